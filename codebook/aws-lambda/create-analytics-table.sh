@@ -0,0 +1,58 @@
+#!/bin/bash
+
+# Script to create the analytics rollups table
+# Keys: rollup = "daily", sk = "YYYY-MM-DD" (revenue, orders, units, new users, refunds per day)
+#       rollup = "product-daily", sk = "YYYY-MM-DD#<productId>" (units and revenue per product per day)
+# After creating it, backfill the rollups once with POST /admin/analytics/rebuild (admin token)
+
+# Configuration
+TABLE_NAME="codebook-analytics"
+REGION="eu-north-1"
+
+echo "Creating Analytics table..."
+echo "Table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Check if AWS CLI is installed
+if ! command -v aws &> /dev/null; then
+    echo "❌ AWS CLI is not installed. Please install it first."
+    exit 1
+fi
+
+# Skip if the table already exists
+if aws dynamodb describe-table --table-name "$TABLE_NAME" --region "$REGION" &> /dev/null; then
+    echo "✅ Table $TABLE_NAME already exists. Nothing to do."
+    exit 0
+fi
+
+# Create the table (on-demand billing - a few writes per order)
+aws dynamodb create-table \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --attribute-definitions \
+        AttributeName=rollup,AttributeType=S \
+        AttributeName=sk,AttributeType=S \
+    --key-schema \
+        AttributeName=rollup,KeyType=HASH \
+        AttributeName=sk,KeyType=RANGE \
+    --billing-mode PAY_PER_REQUEST
+
+if [ $? -ne 0 ]; then
+    echo ""
+    echo "❌ Failed to create table. Please check the error message above."
+    exit 1
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name "$TABLE_NAME" --region "$REGION"
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo "✅ Table created. Run POST /admin/analytics/rebuild to backfill existing orders and users."
+else
+    echo ""
+    echo "❌ Table did not become active. Please check the error message above."
+    exit 1
+fi
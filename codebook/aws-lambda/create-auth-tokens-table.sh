@@ -0,0 +1,61 @@
+#!/bin/bash
+
+# Script to create the auth tokens table
+# Key: tokenHash (SHA-256 of the emailed token - the token itself is never stored)
+# Single-use password reset and email verification tokens, removed via TTL on expiresAt
+
+# Configuration
+TABLE_NAME="codebook-auth-tokens"
+REGION="eu-north-1"
+
+echo "Creating Auth Tokens table..."
+echo "Table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Check if AWS CLI is installed
+if ! command -v aws &> /dev/null; then
+    echo "❌ AWS CLI is not installed. Please install it first."
+    exit 1
+fi
+
+# Skip if the table already exists
+if aws dynamodb describe-table --table-name "$TABLE_NAME" --region "$REGION" &> /dev/null; then
+    echo "✅ Table $TABLE_NAME already exists. Nothing to do."
+    exit 0
+fi
+
+# Create the table (on-demand billing - a few writes per reset or registration)
+aws dynamodb create-table \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --attribute-definitions \
+        AttributeName=tokenHash,AttributeType=S \
+    --key-schema \
+        AttributeName=tokenHash,KeyType=HASH \
+    --billing-mode PAY_PER_REQUEST
+
+if [ $? -ne 0 ]; then
+    echo ""
+    echo "❌ Failed to create table. Please check the error message above."
+    exit 1
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name "$TABLE_NAME" --region "$REGION"
+
+# Enable TTL so expired tokens are cleaned up automatically
+aws dynamodb update-time-to-live \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --time-to-live-specification "Enabled=true, AttributeName=expiresAt"
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo "✅ Table created and TTL enabled on expiresAt."
+else
+    echo ""
+    echo "❌ Failed to enable TTL. Please check the error message above."
+    exit 1
+fi
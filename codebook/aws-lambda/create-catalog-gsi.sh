@@ -0,0 +1,100 @@
+#!/bin/bash
+
+# Script to create the catalog GSIs used for sorted, paginated product listing
+# (GET /products?limit=...&sort=price|rating|createdAt)
+#
+# Every product gets a constant partition attribute `catalog = "products"` so a
+# single index partition holds the whole catalog ordered by the sort key.
+# A product without the sort attribute isn't in that index, so products without
+# a rating get 0 and products without createdAt get the time of the backfill.
+# New products get these from createProduct/updateProduct; this script backfills
+# existing products before creating the indexes.
+#
+# Prerequisites:
+# 1. Ensure AWS CLI is configured
+#
+# Until the indexes are ACTIVE, GET /products falls back to sorting in memory.
+
+set -e
+
+# Load environment variables
+if [ -f "../.env" ]; then
+  export $(grep -v '^#' ../.env | grep -v '^$' | xargs)
+fi
+
+REGION=${AWS_REGION:-eu-north-1}
+TABLE_NAME="codebook-products"
+
+echo "Creating catalog GSIs on table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Step 1: Backfill catalog attribute (and missing rating/createdAt) on existing products
+echo "Backfilling catalog attribute on existing products..."
+BACKFILL_TIME=$(date -u +"%Y-%m-%dT%H:%M:%S.000Z")
+PRODUCT_IDS=$(aws dynamodb scan \
+  --table-name $TABLE_NAME \
+  --region $REGION \
+  --projection-expression "id" \
+  --query "Items[].id.S" \
+  --output text)
+
+for PRODUCT_ID in $PRODUCT_IDS; do
+  aws dynamodb update-item \
+    --table-name $TABLE_NAME \
+    --region $REGION \
+    --key "{\"id\": {\"S\": \"$PRODUCT_ID\"}}" \
+    --update-expression "SET catalog = :catalog, rating = if_not_exists(rating, :rating), createdAt = if_not_exists(createdAt, :createdAt)" \
+    --expression-attribute-values "{\":catalog\": {\"S\": \"products\"}, \":rating\": {\"N\": \"0\"}, \":createdAt\": {\"S\": \"$BACKFILL_TIME\"}}"
+  echo "  ✅ $PRODUCT_ID"
+done
+
+echo ""
+
+# Step 2: Create one GSI per sort key
+# DynamoDB only allows one GSI creation per update-table call,
+# so wait for each index to become ACTIVE before creating the next one
+create_index() {
+  local INDEX_NAME=$1
+  local SORT_KEY=$2
+  local SORT_KEY_TYPE=$3
+
+  echo "Creating GSI: $INDEX_NAME (catalog + $SORT_KEY)..."
+  aws dynamodb update-table \
+    --table-name $TABLE_NAME \
+    --region $REGION \
+    --attribute-definitions \
+      AttributeName=catalog,AttributeType=S \
+      AttributeName=$SORT_KEY,AttributeType=$SORT_KEY_TYPE \
+    --global-secondary-index-updates \
+      "[{
+        \"Create\": {
+          \"IndexName\": \"$INDEX_NAME\",
+          \"KeySchema\": [
+            {\"AttributeName\": \"catalog\", \"KeyType\": \"HASH\"},
+            {\"AttributeName\": \"$SORT_KEY\", \"KeyType\": \"RANGE\"}
+          ],
+          \"Projection\": {\"ProjectionType\": \"ALL\"},
+          \"ProvisionedThroughput\": {\"ReadCapacityUnits\": 5, \"WriteCapacityUnits\": 5}
+        }
+      }]" \
+    --output json > /dev/null
+
+  echo "Waiting for $INDEX_NAME to become ACTIVE..."
+  until [ "$(aws dynamodb describe-table \
+    --table-name $TABLE_NAME \
+    --region $REGION \
+    --query "Table.GlobalSecondaryIndexes[?IndexName=='$INDEX_NAME'].IndexStatus" \
+    --output text)" == "ACTIVE" ]; do
+    sleep 10
+  done
+  echo "✅ $INDEX_NAME is ACTIVE"
+  echo ""
+}
+
+create_index "catalog-price-index" "price" "N"
+create_index "catalog-rating-index" "rating" "N"
+create_index "catalog-createdAt-index" "createdAt" "S"
+
+echo "✅ Catalog GSIs created."
+echo "Sorted product listing now queries the indexes instead of sorting in memory."
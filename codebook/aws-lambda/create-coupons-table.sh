@@ -0,0 +1,45 @@
+#!/bin/bash
+
+# Script to create the coupons table
+# Coupons are keyed by their upper-case code (e.g. SPRING25)
+
+# Configuration
+TABLE_NAME="codebook-coupons"
+REGION="eu-north-1"
+
+echo "Creating Coupons table..."
+echo "Table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Check if AWS CLI is installed
+if ! command -v aws &> /dev/null; then
+    echo "❌ AWS CLI is not installed. Please install it first."
+    exit 1
+fi
+
+# Skip if the table already exists
+if aws dynamodb describe-table --table-name "$TABLE_NAME" --region "$REGION" &> /dev/null; then
+    echo "✅ Table $TABLE_NAME already exists. Nothing to do."
+    exit 0
+fi
+
+# Create the table (on-demand billing - coupon traffic is low and spiky)
+aws dynamodb create-table \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --attribute-definitions \
+        AttributeName=code,AttributeType=S \
+    --key-schema \
+        AttributeName=code,KeyType=HASH \
+    --billing-mode PAY_PER_REQUEST
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo "✅ Table creation initiated. It may take a few seconds to become active."
+    echo "You can check the status in the DynamoDB console."
+else
+    echo ""
+    echo "❌ Failed to create table. Please check the error message above."
+    exit 1
+fi
@@ -0,0 +1,58 @@
+#!/bin/bash
+
+# Script to create the private S3 bucket holding the eBook files (PDF/EPUB)
+# Public access is blocked - files are only reachable through presigned links
+# CORS allows the admin panel to upload files straight from the browser
+# (Using another S3-compatible provider? Create the bucket there and set EBOOK_STORAGE_ENDPOINT instead.)
+
+# Configuration
+BUCKET_NAME="${EBOOK_BUCKET:-codebook-ebooks}"
+REGION="eu-north-1"
+
+echo "Creating eBook bucket..."
+echo "Bucket: $BUCKET_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Check if AWS CLI is installed
+if ! command -v aws &> /dev/null; then
+    echo "❌ AWS CLI is not installed. Please install it first."
+    exit 1
+fi
+
+# Create the bucket unless it already exists
+if aws s3api head-bucket --bucket "$BUCKET_NAME" &> /dev/null; then
+    echo "✅ Bucket $BUCKET_NAME already exists. Updating its settings."
+else
+    aws s3api create-bucket \
+        --bucket "$BUCKET_NAME" \
+        --region "$REGION" \
+        --create-bucket-configuration LocationConstraint="$REGION"
+
+    if [ $? -ne 0 ]; then
+        echo ""
+        echo "❌ Failed to create bucket. Please check the error message above."
+        exit 1
+    fi
+fi
+
+# Block all public access
+aws s3api put-public-access-block \
+    --bucket "$BUCKET_NAME" \
+    --public-access-block-configuration \
+        BlockPublicAcls=true,IgnorePublicAcls=true,BlockPublicPolicy=true,RestrictPublicBuckets=true
+
+# Allow presigned uploads (PUT) and downloads (GET) from the browser
+aws s3api put-bucket-cors \
+    --bucket "$BUCKET_NAME" \
+    --cors-configuration \
+        '{"CORSRules":[{"AllowedOrigins":["*"],"AllowedMethods":["GET","PUT"],"AllowedHeaders":["*"],"MaxAgeSeconds":3000}]}'
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo "✅ Bucket ready."
+else
+    echo ""
+    echo "❌ Failed to configure the bucket. Please check the error message above."
+    exit 1
+fi
@@ -0,0 +1,54 @@
+#!/bin/bash
+
+# Script to create the email log table
+# Key: id (partition) - one entry per email sent by the API (template, recipient, status, Brevo message ID)
+
+# Configuration
+TABLE_NAME="codebook-email-log"
+REGION="eu-north-1"
+
+echo "Creating email log table..."
+echo "Table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Check if AWS CLI is installed
+if ! command -v aws &> /dev/null; then
+    echo "❌ AWS CLI is not installed. Please install it first."
+    exit 1
+fi
+
+# Skip if the table already exists
+if aws dynamodb describe-table --table-name "$TABLE_NAME" --region "$REGION" &> /dev/null; then
+    echo "✅ Table $TABLE_NAME already exists. Nothing to do."
+    exit 0
+fi
+
+# Create the table (on-demand billing)
+aws dynamodb create-table \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --attribute-definitions \
+        AttributeName=id,AttributeType=S \
+    --key-schema \
+        AttributeName=id,KeyType=HASH \
+    --billing-mode PAY_PER_REQUEST
+
+if [ $? -ne 0 ]; then
+    echo ""
+    echo "❌ Failed to create table. Please check the error message above."
+    exit 1
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name "$TABLE_NAME" --region "$REGION"
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo "✅ Table created."
+else
+    echo ""
+    echo "❌ Table did not become active. Please check the error message above."
+    exit 1
+fi
@@ -0,0 +1,56 @@
+#!/bin/bash
+
+# Script to create the email templates table
+# Keys: name (partition), version (sort) - one item per saved version of an email template or partial
+
+# Configuration
+TABLE_NAME="codebook-email-templates"
+REGION="eu-north-1"
+
+echo "Creating email templates table..."
+echo "Table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Check if AWS CLI is installed
+if ! command -v aws &> /dev/null; then
+    echo "❌ AWS CLI is not installed. Please install it first."
+    exit 1
+fi
+
+# Skip if the table already exists
+if aws dynamodb describe-table --table-name "$TABLE_NAME" --region "$REGION" &> /dev/null; then
+    echo "✅ Table $TABLE_NAME already exists. Nothing to do."
+    exit 0
+fi
+
+# Create the table (on-demand billing)
+aws dynamodb create-table \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --attribute-definitions \
+        AttributeName=name,AttributeType=S \
+        AttributeName=version,AttributeType=N \
+    --key-schema \
+        AttributeName=name,KeyType=HASH \
+        AttributeName=version,KeyType=RANGE \
+    --billing-mode PAY_PER_REQUEST
+
+if [ $? -ne 0 ]; then
+    echo ""
+    echo "❌ Failed to create table. Please check the error message above."
+    exit 1
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name "$TABLE_NAME" --region "$REGION"
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo "✅ Table created."
+else
+    echo ""
+    echo "❌ Table did not become active. Please check the error message above."
+    exit 1
+fi
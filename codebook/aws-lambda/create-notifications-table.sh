@@ -0,0 +1,67 @@
+#!/bin/bash
+
+# Script to create the notifications table (in-app notification feed)
+# Key: userId (partition) + id (sort, creation time first - newest last)
+# GSI unread-index: userId + unreadId, only set on unread notifications (unread count)
+# Notifications are removed via TTL on expiresAt after 90 days
+
+# Configuration
+TABLE_NAME="codebook-notifications"
+REGION="eu-north-1"
+
+echo "Creating Notifications table..."
+echo "Table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Check if AWS CLI is installed
+if ! command -v aws &> /dev/null; then
+    echo "❌ AWS CLI is not installed. Please install it first."
+    exit 1
+fi
+
+# Skip if the table already exists
+if aws dynamodb describe-table --table-name "$TABLE_NAME" --region "$REGION" &> /dev/null; then
+    echo "✅ Table $TABLE_NAME already exists. Nothing to do."
+    exit 0
+fi
+
+# Create the table (on-demand billing)
+aws dynamodb create-table \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --attribute-definitions \
+        AttributeName=userId,AttributeType=S \
+        AttributeName=id,AttributeType=S \
+        AttributeName=unreadId,AttributeType=S \
+    --key-schema \
+        AttributeName=userId,KeyType=HASH \
+        AttributeName=id,KeyType=RANGE \
+    --global-secondary-indexes \
+        "[{\"IndexName\":\"unread-index\",\"KeySchema\":[{\"AttributeName\":\"userId\",\"KeyType\":\"HASH\"},{\"AttributeName\":\"unreadId\",\"KeyType\":\"RANGE\"}],\"Projection\":{\"ProjectionType\":\"KEYS_ONLY\"}}]" \
+    --billing-mode PAY_PER_REQUEST
+
+if [ $? -ne 0 ]; then
+    echo ""
+    echo "❌ Failed to create table. Please check the error message above."
+    exit 1
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name "$TABLE_NAME" --region "$REGION"
+
+# Enable TTL so old notifications are cleaned up automatically
+aws dynamodb update-time-to-live \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --time-to-live-specification "Enabled=true, AttributeName=expiresAt"
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo "✅ Table created and TTL enabled on expiresAt."
+else
+    echo ""
+    echo "❌ Failed to enable TTL. Please check the error message above."
+    exit 1
+fi
@@ -0,0 +1,61 @@
+#!/bin/bash
+
+# Script to create the payment idempotency table
+# Keys: "stripe_event#<eventId>" (processed webhook events, expire via TTL on expiresAt)
+#       "payment_intent#<paymentIntentId>" (the one order created for a payment)
+
+# Configuration
+TABLE_NAME="codebook-payment-idempotency"
+REGION="eu-north-1"
+
+echo "Creating Payment Idempotency table..."
+echo "Table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Check if AWS CLI is installed
+if ! command -v aws &> /dev/null; then
+    echo "❌ AWS CLI is not installed. Please install it first."
+    exit 1
+fi
+
+# Skip if the table already exists
+if aws dynamodb describe-table --table-name "$TABLE_NAME" --region "$REGION" &> /dev/null; then
+    echo "✅ Table $TABLE_NAME already exists. Nothing to do."
+    exit 0
+fi
+
+# Create the table (on-demand billing - a few writes per checkout)
+aws dynamodb create-table \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --attribute-definitions \
+        AttributeName=idempotencyKey,AttributeType=S \
+    --key-schema \
+        AttributeName=idempotencyKey,KeyType=HASH \
+    --billing-mode PAY_PER_REQUEST
+
+if [ $? -ne 0 ]; then
+    echo ""
+    echo "❌ Failed to create table. Please check the error message above."
+    exit 1
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name "$TABLE_NAME" --region "$REGION"
+
+# Enable TTL so processed webhook events are cleaned up automatically
+aws dynamodb update-time-to-live \
+    --table-name "$TABLE_NAME" \
+    --region "$REGION" \
+    --time-to-live-specification "Enabled=true, AttributeName=expiresAt"
+
+if [ $? -eq 0 ]; then
+    echo ""
+    echo "✅ Table created and TTL enabled on expiresAt."
+else
+    echo ""
+    echo "❌ Failed to enable TTL. Please check the error message above."
+    exit 1
+fi
@@ -0,0 +1,45 @@
+#!/bin/bash
+
+# Script to create the GSI used by review moderation to find duplicate review text
+# (reviews with the same commentHash = same normalized comment)
+#
+# Prerequisites:
+# 1. Ensure AWS CLI is configured
+#
+# Reviews written before moderation existed have no commentHash and are not
+# compared. Until the index is ACTIVE, moderation falls back to a Scan.
+
+set -e
+
+# Load environment variables
+if [ -f "../.env" ]; then
+  export $(grep -v '^#' ../.env | grep -v '^$' | xargs)
+fi
+
+REGION=${AWS_REGION:-eu-north-1}
+TABLE_NAME="codebook-reviews"
+INDEX_NAME="commentHash-index"
+
+echo "Creating GSI: $INDEX_NAME on table: $TABLE_NAME"
+echo "Region: $REGION"
+echo ""
+
+# Only review IDs are needed (KEYS_ONLY keeps the index small)
+aws dynamodb update-table \
+  --table-name $TABLE_NAME \
+  --region $REGION \
+  --attribute-definitions AttributeName=commentHash,AttributeType=S \
+  --global-secondary-index-updates \
+    "[{
+      \"Create\": {
+        \"IndexName\": \"$INDEX_NAME\",
+        \"KeySchema\": [{\"AttributeName\": \"commentHash\", \"KeyType\": \"HASH\"}],
+        \"Projection\": {\"ProjectionType\": \"KEYS_ONLY\"},
+        \"ProvisionedThroughput\": {\"ReadCapacityUnits\": 5, \"WriteCapacityUnits\": 5}
+      }
+    }]" \
+  --output json
+
+echo ""
+echo "✅ GSI creation initiated. It may take a few minutes to complete."
+echo "Check status in AWS Console: DynamoDB → Tables → $TABLE_NAME → Indexes"
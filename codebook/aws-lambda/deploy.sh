@@ -88,9 +88,60 @@ fi
 if [ ! -z "$BREVO_ADMIN_EMAIL" ]; then
   PARAM_OVERRIDES="$PARAM_OVERRIDES BrevoAdminEmail=$BREVO_ADMIN_EMAIL"
 fi
+if [ ! -z "$EMAIL_TRANSPORT" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES EmailTransport=$EMAIL_TRANSPORT"
+fi
+if [ ! -z "$SMTP_HOST" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES SmtpHost=$SMTP_HOST"
+fi
+if [ ! -z "$SMTP_PORT" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES SmtpPort=$SMTP_PORT"
+fi
+if [ ! -z "$SMTP_SECURE" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES SmtpSecure=$SMTP_SECURE"
+fi
+if [ ! -z "$SMTP_USER" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES SmtpUser=$SMTP_USER"
+fi
+if [ ! -z "$SMTP_PASS" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES SmtpPass=$SMTP_PASS"
+fi
+if [ ! -z "$FRONTEND_URL" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES FrontendUrl=$FRONTEND_URL"
+fi
+if [ ! -z "$API_URL" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES ApiUrl=$API_URL"
+fi
+if [ ! -z "$REVIEW_MODERATION_MODE" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES ReviewModerationMode=$REVIEW_MODERATION_MODE"
+fi
+if [ ! -z "$REVIEW_BANNED_WORDS" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES ReviewBannedWords=$REVIEW_BANNED_WORDS"
+fi
 if [ ! -z "$SHIPPO_API_KEY" ]; then
   PARAM_OVERRIDES="$PARAM_OVERRIDES ShippoApiKey=$SHIPPO_API_KEY"
 fi
+if [ ! -z "$RESERVATION_TIMEOUT_MINUTES" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES ReservationTimeoutMinutes=$RESERVATION_TIMEOUT_MINUTES"
+fi
+if [ ! -z "$EBOOK_BUCKET" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES EbookBucketName=$EBOOK_BUCKET"
+fi
+if [ ! -z "$EBOOK_STORAGE_ENDPOINT" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES EbookStorageEndpoint=$EBOOK_STORAGE_ENDPOINT"
+fi
+if [ ! -z "$EBOOK_STORAGE_ACCESS_KEY_ID" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES EbookStorageAccessKeyId=$EBOOK_STORAGE_ACCESS_KEY_ID"
+fi
+if [ ! -z "$EBOOK_STORAGE_SECRET_ACCESS_KEY" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES EbookStorageSecretAccessKey=$EBOOK_STORAGE_SECRET_ACCESS_KEY"
+fi
+if [ ! -z "$EBOOK_DOWNLOAD_LIMIT" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES EbookDownloadLimit=$EBOOK_DOWNLOAD_LIMIT"
+fi
+if [ ! -z "$EBOOK_LINK_EXPIRY_SECONDS" ]; then
+  PARAM_OVERRIDES="$PARAM_OVERRIDES EbookLinkExpirySeconds=$EBOOK_LINK_EXPIRY_SECONDS"
+fi
 
 # Deploy with parameters if available
 if [ ! -z "$PARAM_OVERRIDES" ]; then
@@ -10,7 +10,7 @@
  *
  * Query Parameters:
  * - entityType: Filter by entity type (order, product, user) - optional
- * - action: Filter by action (create, update, delete, status_change) - optional
+ * - action: Filter by action (create, update, delete, status_change, restock, import, ebook_upload, ebook_remove) - optional
  * - limit: Limit results (default: 100) - optional
  *
  * Response:
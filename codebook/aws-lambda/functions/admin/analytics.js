@@ -0,0 +1,129 @@
+/**
+ * AWS Lambda Function: Admin - Analytics
+ *
+ * Serves the admin analytics page from pre-aggregated daily rollups
+ * (see shared/analytics.js) instead of whole orders/products/users tables.
+ *
+ * Endpoints:
+ * - GET /admin/analytics - Analytics report for a date range
+ *   Query Parameters:
+ *   - from: First day, YYYY-MM-DD (optional, default: first day with data)
+ *   - to: Last day, YYYY-MM-DD (optional, default: today)
+ *   - granularity: "day", "week", "month" or "year" (optional, default: "month")
+ *   - limit: Number of top products, 1-100 (optional, default: 10)
+ *   Response: { range, summary, series, topProducts, productPerformance }
+ *
+ * - POST /admin/analytics/rebuild - Recompute all rollups from the orders, users and products tables
+ *   Response: { message, orders, users, products, days, productDays, removed }
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ * Authorization: Admin role required
+ */
+
+const { getAnalytics, rebuildAnalytics } = require("../../shared/analytics");
+const { requireAuth } = require("../../shared/auth");
+const { logActivity } = require("../../shared/activityLog");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Log the incoming request for debugging
+  console.log("Admin Analytics Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+    queryParams: event.queryStringParameters,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.requestContext?.http?.path || event.path || "";
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  const isRebuild = path.endsWith("/rebuild");
+  if ((isRebuild && httpMethod !== "POST") || (!isRebuild && httpMethod !== "GET")) {
+    return errorResponse(`Method not allowed. Use ${isRebuild ? "POST" : "GET"}.`, 405);
+  }
+
+  try {
+    // Require authentication
+    const decoded = requireAuth(event);
+
+    // Check if user is admin - get role from JWT token (no DynamoDB call needed)
+    if (decoded.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    if (isRebuild) {
+      const result = await rebuildAnalytics();
+
+      // Log activity (non-blocking - don't fail if logging fails)
+      logActivity({
+        userId: decoded.id,
+        userEmail: decoded.email,
+        userName: decoded.name,
+        action: "rebuild",
+        entityType: "analytics",
+        entityId: "rollups",
+        details: result,
+      }).catch((logError) => {
+        console.error("Failed to log activity:", logError);
+        // Don't throw - activity logging is non-critical
+      });
+
+      return successResponse({ message: "Analytics rebuilt", ...result }, 200);
+    }
+
+    const { from, to, granularity, limit } = event.queryStringParameters || {};
+    const analytics = await getAnalytics({
+      from: from || undefined,
+      to: to || undefined,
+      granularity: granularity || undefined,
+      limit: limit || undefined,
+    });
+
+    return successResponse(analytics, 200);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Admin Analytics Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle validation errors (bad query parameters)
+    if (error.message?.startsWith("Invalid ")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,160 @@
+/**
+ * AWS Lambda Function: Admin - Coupon Detail
+ *
+ * This Lambda function reads, updates and deletes a single coupon (admin only).
+ *
+ * Endpoints:
+ * - GET /admin/coupons/{code} - Get a coupon (including usage counters)
+ * - PUT /admin/coupons/{code} - Update a coupon (code and usage counters can't change)
+ * - DELETE /admin/coupons/{code} - Delete a coupon (existing orders keep their discount)
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ * Authorization: Admin role required
+ *
+ * PUT Request Body: Same fields as POST /admin/coupons (all optional, except "code")
+ */
+
+const {
+  getCouponByCode,
+  updateCoupon,
+  deleteCoupon,
+} = require("../../shared/coupons");
+const { requireAuth } = require("../../shared/auth");
+const { logActivity } = require("../../shared/activityLog");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Log the incoming request for debugging
+  console.log("Admin Coupon Detail Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+    pathParameters: event.pathParameters,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  if (!["GET", "PUT", "DELETE"].includes(httpMethod)) {
+    return errorResponse("Method not allowed. Use GET, PUT or DELETE.", 405);
+  }
+
+  try {
+    // Require authentication
+    const decoded = requireAuth(event);
+
+    // Check if user is admin - get role from JWT token (no DynamoDB call needed)
+    if (decoded.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    // Extract coupon code from path parameters
+    const code = event.pathParameters?.code;
+    if (!code) {
+      return errorResponse("Coupon code is required in path", 400);
+    }
+
+    if (httpMethod === "GET") {
+      const coupon = await getCouponByCode(decodeURIComponent(code));
+      if (!coupon) {
+        return errorResponse("Coupon not found", 404);
+      }
+      return successResponse(coupon, 200);
+    }
+
+    let coupon;
+    let details;
+
+    if (httpMethod === "PUT") {
+      // Parse request body
+      let updates;
+      try {
+        updates = event.body ? JSON.parse(event.body) : {};
+      } catch (parseError) {
+        console.error("JSON parse error:", parseError);
+        return errorResponse("Invalid JSON in request body", 400);
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return errorResponse("At least one field must be provided for update", 400);
+      }
+
+      // The code is the table key - create a new coupon to change it
+      delete updates.code;
+
+      coupon = await updateCoupon(decodeURIComponent(code), updates);
+      details = { couponCode: coupon.code, updatedFields: Object.keys(updates) };
+    } else {
+      coupon = await deleteCoupon(decodeURIComponent(code));
+      details = { couponCode: coupon.code, timesUsed: coupon.timesUsed || 0 };
+    }
+
+    // Log activity (non-blocking - don't fail if logging fails)
+    logActivity({
+      userId: decoded.id,
+      userEmail: decoded.email,
+      userName: decoded.name,
+      action: httpMethod === "PUT" ? "update" : "delete",
+      entityType: "coupon",
+      entityId: coupon.code,
+      details,
+    }).catch((logError) => {
+      console.error("Failed to log activity:", logError);
+      // Don't throw - activity logging is non-critical
+    });
+
+    return successResponse(
+      httpMethod === "PUT" ? coupon : { message: "Coupon deleted successfully", code: coupon.code },
+      200
+    );
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Admin Coupon Detail Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle not found errors
+    if (error.message === "Coupon not found") {
+      return errorResponse(error.message, 404);
+    }
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid coupon")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
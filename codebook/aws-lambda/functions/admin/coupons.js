@@ -0,0 +1,141 @@
+/**
+ * AWS Lambda Function: Admin - Coupons
+ *
+ * This Lambda function lists and creates discount coupons (admin only).
+ *
+ * Endpoints:
+ * - GET /admin/coupons - List all coupons (newest first)
+ * - POST /admin/coupons - Create a coupon
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ * Authorization: Admin role required
+ *
+ * POST Request Body:
+ * {
+ *   "code": "SPRING25",
+ *   "description": "25% off spring titles",
+ *   "type": "percentage", // "percentage", "fixed" or "free_shipping"
+ *   "value": 25, // Percent or dollar amount (ignored for free_shipping)
+ *   "minOrderValue": 20, // Optional
+ *   "perUserLimit": 1, // Optional
+ *   "usageLimit": 100, // Optional
+ *   "expiresAt": "2026-06-01T00:00:00.000Z", // Optional
+ *   "productIds": ["..."], // Optional: restrict to these products
+ *   "active": true
+ * }
+ */
+
+const { getAllCoupons, createCoupon } = require("../../shared/coupons");
+const { requireAuth } = require("../../shared/auth");
+const { logActivity } = require("../../shared/activityLog");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Log the incoming request for debugging
+  console.log("Admin Coupons Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  if (httpMethod !== "GET" && httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use GET or POST.", 405);
+  }
+
+  try {
+    // Require authentication
+    const decoded = requireAuth(event);
+
+    // Check if user is admin - get role from JWT token (no DynamoDB call needed)
+    if (decoded.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    if (httpMethod === "GET") {
+      const coupons = await getAllCoupons();
+      return successResponse(coupons, 200);
+    }
+
+    // Parse request body
+    let couponData;
+    try {
+      couponData = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      console.error("JSON parse error:", parseError);
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    const coupon = await createCoupon(couponData);
+
+    // Log activity (non-blocking - don't fail if logging fails)
+    logActivity({
+      userId: decoded.id,
+      userEmail: decoded.email,
+      userName: decoded.name,
+      action: "create",
+      entityType: "coupon",
+      entityId: coupon.code,
+      details: {
+        couponCode: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+      },
+    }).catch((logError) => {
+      console.error("Failed to log activity:", logError);
+      // Don't throw - activity logging is non-critical
+    });
+
+    return successResponse(coupon, 201);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Admin Coupons Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid coupon")) {
+      return errorResponse(error.message, 400);
+    }
+
+    if (error.message === "Coupon code already exists") {
+      return errorResponse(error.message, 409);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,200 @@
+/**
+ * AWS Lambda Function: Admin - Email Template Detail
+ *
+ * This Lambda function reads and edits a single email template or partial (admin only).
+ *
+ * Endpoints:
+ * - GET /admin/email-templates/{name} - Get the current version (?version=N for an older
+ *   one, 0 for the default from the code) with its variables, sample data and history
+ * - PUT /admin/email-templates/{name} - Save a new version (the previous ones are kept)
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ * Authorization: Admin role required
+ *
+ * PUT Request Body (Mustache templates, see shared/emailTemplates.js):
+ * {
+ *   "subject": "Order Confirmation - Order #{{orderId}} [{{uniqueId}}]", // Templates only
+ *   "heading": "Thank You for Your Order!", // Templates only
+ *   "html": "{{> header}} ... {{> footer}}",
+ *   "text": "{{> header}} ... {{> footer}}"
+ * }
+ */
+
+const {
+  TEMPLATE_DEFINITIONS,
+  PARTIAL_DEFINITIONS,
+  getTemplateKind,
+  getTemplate,
+  listTemplateVersions,
+  saveTemplate,
+} = require("../../shared/emailTemplates");
+const { requireAuth } = require("../../shared/auth");
+const { logActivity } = require("../../shared/activityLog");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+// Partials are previewed inside this template (an optional email, so the footer shows its unsubscribe links)
+const PARTIAL_PREVIEW_TEMPLATE = "shipping-notification";
+
+/**
+ * What the editor needs to know about a template: description, variables and sample data
+ * @param {string} name - Template or partial name
+ * @returns {Object} { description, audience, variables, sampleData, previewTemplate }
+ */
+function describeTemplate(name) {
+  if (getTemplateKind(name) === "partial") {
+    const previewDefinition = TEMPLATE_DEFINITIONS[PARTIAL_PREVIEW_TEMPLATE];
+    return {
+      description: PARTIAL_DEFINITIONS[name].description,
+      variables: {
+        heading: "Heading of the template",
+        headerColor: "Header colour of the template",
+        uniqueId: "Unique ID (date-time-random)",
+      },
+      sampleData: previewDefinition.sampleData,
+      previewTemplate: PARTIAL_PREVIEW_TEMPLATE,
+    };
+  }
+
+  const { description, audience, variables, sampleData } = TEMPLATE_DEFINITIONS[name];
+  return {
+    description,
+    audience,
+    variables: {
+      ...variables,
+      heading: "Heading (rendered from the heading part)",
+      uniqueId: "Unique ID (date-time-random), keeps subjects from being grouped as spam",
+    },
+    sampleData,
+    previewTemplate: name,
+  };
+}
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Log the incoming request for debugging
+  console.log("Admin Email Template Detail Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+    pathParameters: event.pathParameters,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  if (httpMethod !== "GET" && httpMethod !== "PUT") {
+    return errorResponse("Method not allowed. Use GET or PUT.", 405);
+  }
+
+  try {
+    // Require authentication
+    const decoded = requireAuth(event);
+
+    // Check if user is admin - get role from JWT token (no DynamoDB call needed)
+    if (decoded.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    // Extract template name from path parameters
+    const name = event.pathParameters?.name;
+    if (!name) {
+      return errorResponse("Template name is required in path", 400);
+    }
+    if (!getTemplateKind(name)) {
+      return errorResponse("Email template not found", 404);
+    }
+
+    if (httpMethod === "GET") {
+      const versionParam = event.queryStringParameters?.version;
+      const version = versionParam !== undefined ? Number(versionParam) : undefined;
+      if (version !== undefined && (!Number.isInteger(version) || version < 0)) {
+        return errorResponse("version must be a non-negative integer", 400);
+      }
+
+      const [template, versions] = await Promise.all([
+        getTemplate(name, version),
+        listTemplateVersions(name),
+      ]);
+      if (!template) {
+        return errorResponse("Email template version not found", 404);
+      }
+
+      return successResponse({ template, ...describeTemplate(name), versions }, 200);
+    }
+
+    // Parse request body
+    let content;
+    try {
+      content = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      console.error("JSON parse error:", parseError);
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    const template = await saveTemplate(name, content, decoded.email);
+
+    // Log activity (non-blocking - don't fail if logging fails)
+    logActivity({
+      userId: decoded.id,
+      userEmail: decoded.email,
+      userName: decoded.name,
+      action: "update",
+      entityType: "email_template",
+      entityId: name,
+      details: { version: template.version },
+    }).catch((logError) => {
+      console.error("Failed to log activity:", logError);
+      // Don't throw - activity logging is non-critical
+    });
+
+    return successResponse(template, 200);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Admin Email Template Detail Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid template")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Another admin saved the template at the same time
+    if (error.message?.startsWith("Email template was changed")) {
+      return errorResponse(error.message, 409);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
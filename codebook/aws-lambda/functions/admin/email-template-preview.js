@@ -0,0 +1,155 @@
+/**
+ * AWS Lambda Function: Admin - Email Template Preview
+ *
+ * This Lambda function renders an email template for the editor, and sends it as a test
+ * email, without saving it (admin only). A partial is rendered inside the
+ * shipping-notification template. Optional emails are previewed with the admin's own
+ * unsubscribe links, and test emails are sent even if the admin unsubscribed.
+ *
+ * Endpoints:
+ * - POST /admin/email-templates/{name}/preview - Render the template
+ * - POST /admin/email-templates/{name}/test - Send the template to the admin's own email
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ * Authorization: Admin role required
+ *
+ * Request Body (all optional):
+ * {
+ *   "content": { "subject", "heading", "html", "text" }, // Unsaved edits (default: current version)
+ *   "data": { ... } // Template data (default: the template's sample data)
+ * }
+ *
+ * Response: { template, subject, html, text } (preview) or { message, to, messageId } (test)
+ */
+
+const {
+  TEMPLATE_DEFINITIONS,
+  getTemplateKind,
+  validateTemplateContent,
+  renderTemplate,
+} = require("../../shared/emailTemplates");
+const { sendTemplateEmail } = require("../../shared/emailSender");
+const { getUnsubscribeLinks } = require("../../shared/notificationPreferences");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+// Partials are previewed inside this template (an optional email, so the footer shows its unsubscribe links)
+const PARTIAL_PREVIEW_TEMPLATE = "shipping-notification";
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Log the incoming request for debugging
+  console.log("Admin Email Template Preview Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+    pathParameters: event.pathParameters,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Require authentication
+    const decoded = requireAuth(event);
+
+    // Check if user is admin - get role from JWT token (no DynamoDB call needed)
+    if (decoded.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    // Extract template name from path parameters
+    const name = event.pathParameters?.name;
+    const kind = getTemplateKind(name);
+    if (!kind) {
+      return errorResponse("Email template not found", 404);
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      console.error("JSON parse error:", parseError);
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    if (body.data !== undefined && (typeof body.data !== "object" || body.data === null)) {
+      return errorResponse("data must be an object", 400);
+    }
+
+    const template = kind === "partial" ? PARTIAL_PREVIEW_TEMPLATE : name;
+    const data = body.data || TEMPLATE_DEFINITIONS[template].sampleData;
+    const drafts = body.content ? { [name]: validateTemplateContent(name, body.content) } : {};
+
+    const path = event.requestContext?.http?.path || event.path || "";
+    if (path.endsWith("/test")) {
+      const result = await sendTemplateEmail(decoded.email, template, data, {
+        event: "template.test",
+        drafts,
+        ignorePreferences: true,
+      });
+
+      console.log("Test email sent:", { template: name, to: decoded.email });
+
+      return successResponse(
+        { message: "Test email sent", to: decoded.email, messageId: result?.messageId },
+        200
+      );
+    }
+
+    const category = TEMPLATE_DEFINITIONS[template].category;
+    const rendered = await renderTemplate(template, data, {
+      drafts,
+      unsubscribe: category ? getUnsubscribeLinks(decoded.id, category) : null,
+    });
+    return successResponse({ template, ...rendered }, 200);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Admin Email Template Preview Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid template")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
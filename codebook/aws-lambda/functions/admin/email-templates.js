@@ -0,0 +1,89 @@
+/**
+ * AWS Lambda Function: Admin - Email Templates
+ *
+ * This Lambda function lists the email templates and the partials they share (admin only).
+ *
+ * Endpoint: GET /admin/email-templates
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ * Authorization: Admin role required
+ *
+ * Response:
+ * {
+ *   "templates": [{ name, kind, description, audience, version, updatedAt, updatedBy }],
+ *   "partials": [{ name, kind, description, version, updatedAt, updatedBy }]
+ * }
+ * version 0 means the template was never edited (the default from the code is used).
+ */
+
+const { listTemplates } = require("../../shared/emailTemplates");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Log the incoming request for debugging
+  console.log("Admin Email Templates Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  if (httpMethod !== "GET") {
+    return errorResponse("Method not allowed. Use GET.", 405);
+  }
+
+  try {
+    // Require authentication
+    const decoded = requireAuth(event);
+
+    // Check if user is admin - get role from JWT token (no DynamoDB call needed)
+    if (decoded.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    const templates = await listTemplates();
+    return successResponse(templates, 200);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Admin Email Templates Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
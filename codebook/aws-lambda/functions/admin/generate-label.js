@@ -30,6 +30,7 @@
 const { getOrderById, updateOrderTracking } = require("../../shared/orders");
 const { requireAuth } = require("../../shared/auth");
 const { logActivity } = require("../../shared/activityLog");
+const { SUPPORTED_COUNTRIES } = require("../../shared/addresses");
 const {
   successResponse,
   errorResponse,
@@ -57,7 +58,8 @@ async function generateShippoLabel(order, options = {}) {
     throw new Error("Shippo API key not configured");
   }
 
-  // Extract shipping address from order (orders may not have shippingAddress field)
+  // Shipping address captured at checkout (validated by shared/addresses.js)
+  // Legacy orders may use the older `address` field
   const shippingAddress = order.shippingAddress || order.address || {};
 
   // Default sender address (can be configured in environment variables)
@@ -82,74 +84,52 @@ async function generateShippoLabel(order, options = {}) {
     );
   }
 
-  // Recipient address from order (use user info as fallback)
-  // Shippo validates US addresses automatically - must be valid addresses
+  // Recipient address from order (admins can override it with options.toAddress)
+  // Shippo validates addresses automatically - must be a real, deliverable address
   let toAddress = options.toAddress;
 
   if (!toAddress) {
-    // Try to get address from order
     const hasValidAddress =
-      shippingAddress.street1 &&
+      (shippingAddress.street1 || shippingAddress.address || shippingAddress.street) &&
       shippingAddress.city &&
-      shippingAddress.state &&
-      shippingAddress.zip;
-
-    if (hasValidAddress) {
-      // Use order address if complete
-      toAddress = {
-        name:
-          shippingAddress.name ||
-          order.user?.name ||
-          order.customerName ||
-          "Customer",
-        street1:
-          shippingAddress.street1 ||
-          shippingAddress.address ||
-          shippingAddress.street,
-        street2: shippingAddress.street2 || shippingAddress.address2 || "",
-        city: shippingAddress.city,
-        state: shippingAddress.state,
-        zip:
-          shippingAddress.zip ||
-          shippingAddress.postalCode ||
-          shippingAddress.zipCode,
-        country: shippingAddress.country || "US",
-        phone: shippingAddress.phone || order.user?.phone || "+1 555 123 4567",
-        email: order.user?.email || order.customerEmail || "",
-      };
-    } else {
-      // In test mode, use a valid test address (Shippo validates addresses)
-      // Use a real valid address format for test mode
-      if (shippoApiKey.startsWith("shippo_test_")) {
-        console.warn(
-          "Order has incomplete shipping address. Using valid test address for Shippo validation."
-        );
-        toAddress = {
-          name: order.user?.name || order.customerName || "Test Customer",
-          street1: "965 Mission St", // Valid San Francisco address
-          street2: "",
-          city: "San Francisco",
-          state: "CA",
-          zip: "94103",
-          country: "US",
-          phone:
-            order.user?.phone || shippingAddress.phone || "+1 555 123 4567",
-          email:
-            order.user?.email || order.customerEmail || "customer@example.com",
-        };
-      } else {
-        throw new Error(
-          "Incomplete shipping address. Please ensure street, city, state, and zip are provided."
-        );
-      }
+      (shippingAddress.zip || shippingAddress.postalCode || shippingAddress.zipCode);
+
+    if (!hasValidAddress) {
+      throw new Error(
+        "Order has no shipping address. Provide toAddress in the request body to generate a label."
+      );
     }
+
+    toAddress = {
+      name:
+        shippingAddress.name ||
+        order.user?.name ||
+        order.customerName ||
+        "Customer",
+      street1:
+        shippingAddress.street1 ||
+        shippingAddress.address ||
+        shippingAddress.street,
+      street2: shippingAddress.street2 || shippingAddress.address2 || "",
+      city: shippingAddress.city,
+      state: shippingAddress.state || "",
+      zip:
+        shippingAddress.zip ||
+        shippingAddress.postalCode ||
+        shippingAddress.zipCode,
+      country: shippingAddress.country || "US",
+      phone: shippingAddress.phone || order.user?.phone || "",
+      email: order.user?.email || order.customerEmail || "",
+    };
   }
 
   // Ensure required fields are present (Shippo requires these for validation)
+  // State is only required for countries that have states (US, CA, AU)
+  const requiresState = !!SUPPORTED_COUNTRIES[toAddress.country || "US"]?.states;
   if (
     !toAddress.street1 ||
     !toAddress.city ||
-    !toAddress.state ||
+    (requiresState && !toAddress.state) ||
     !toAddress.zip
   ) {
     throw new Error(
@@ -204,7 +184,7 @@ async function generateShippoLabel(order, options = {}) {
   console.log("Creating Shippo shipment:", {
     test_mode: isTestMode,
     from_address: `${fromAddress.city}, ${fromAddress.state}`,
-    to_address: `${toAddress.city}, ${toAddress.state}`,
+    to_address: `${toAddress.city}, ${toAddress.state || toAddress.country}`,
     weight: totalWeight,
     note: isTestMode
       ? "Will filter rates to USPS only"
@@ -513,6 +493,7 @@ exports.handler = async (event, context) => {
       trackingCarrier: labelData.trackingCarrier,
       labelUrl: labelData.labelUrl,
       status: "shipped", // Automatically set to shipped when label is generated
+      trackingUrl: labelData.trackingUrl, // Linked in the shipping email
     });
 
     // Log activity (non-blocking - don't fail if logging fails)
@@ -571,6 +552,12 @@ exports.handler = async (event, context) => {
       errorMessage =
         "Shipping address is incomplete. Please ensure all required fields are provided.";
       statusCode = 400;
+    } else if (
+      error.message.includes("Order has no shipping address") ||
+      error.message.includes("Recipient address is incomplete")
+    ) {
+      errorMessage = error.message;
+      statusCode = 400;
     } else if (error.message.includes("No shipping rates")) {
       errorMessage =
         "No shipping rates available. Please check address and parcel dimensions.";
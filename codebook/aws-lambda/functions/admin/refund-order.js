@@ -4,6 +4,16 @@
  * This Lambda function handles POST requests to process refunds for orders (admin only).
  * Integrates with Stripe to process refunds and updates order status in DynamoDB.
  *
+ * Only a refund that brings the total refunded up to the amount paid marks the order
+ * "refunded" (status and paymentStatus) and puts its books back in stock; a fully
+ * refunded order no longer grants downloads of its eBooks (see shared/library.js).
+ * A partial refund only sets paymentStatus "partially_refunded" and adds to refundAmount;
+ * the rest can be refunded later.
+ *
+ * If the order can't be updated after Stripe issued the refund, the update is retried
+ * once; if that fails too, the refund ID is logged ("Refund not recorded on order") for
+ * manual reconciliation and 500 is returned with the refund ID.
+ *
  * Endpoint: POST /admin/orders/{id}/refund
  *
  * Authentication: Required (Bearer token in Authorization header)
@@ -11,35 +21,39 @@
  *
  * Request Body (optional):
  * {
- *   "amount": 1000,  // Optional: Amount in cents to refund (partial refund). If not provided, full refund.
+ *   "amount": 1000,  // Optional: Amount in cents to refund (partial refund). If not provided, everything not refunded yet.
  *   "reason": "requested_by_customer" // Optional: Reason for refund
  * }
  *
  * Response:
  * {
  *   "id": "order_id",
- *   "refundId": "re_...",
- *   "refundAmount": 1000,
- *   "status": "refunded",
- *   "paymentStatus": "refunded",
+ *   "refundId": "re_...",      // Latest refund
+ *   "refundAmount": 1000,      // Total refunded so far, in cents
+ *   "refunds": [{ "id": "re_...", "amount": 1000, "createdAt": "..." }],
+ *   "status": "refunded",      // Unchanged by a partial refund
+ *   "paymentStatus": "refunded", // "partially_refunded" after a partial refund
  *   "updatedAt": "2025-12-04T...",
  *   ...
  * }
  */
 
 const Stripe = require("stripe");
-const { getOrderById } = require("../../shared/orders");
+const { getOrderById, buildCartStockChanges } = require("../../shared/orders");
 const { requireAuth } = require("../../shared/auth");
 const { logActivity } = require("../../shared/activityLog");
-const { getOrderById } = require("../../shared/orders");
+const { recordRefund } = require("../../shared/analytics");
+const { EVENTS, publishEvent } = require("../../shared/events");
 const {
   successResponse,
   errorResponse,
   handleOptions,
 } = require("../../shared/response");
-const { UpdateCommand } = require("@aws-sdk/lib-dynamodb");
-const { dynamoDB, TABLES } = require("../../shared/dynamodb");
-const { incrementProductStock } = require("../../shared/products");
+const { TABLES } = require("../../shared/dynamodb");
+const {
+  buildStockIncrement,
+  runStockTransaction,
+} = require("../../shared/products");
 
 // Initialize Stripe with secret key from environment
 const stripeSecretKey = process.env.STRIPE_SECRET_KEY || process.env.STRIPE_API_KEY;
@@ -49,34 +63,103 @@ if (!stripeSecretKey) {
 const stripe = stripeSecretKey ? new Stripe(stripeSecretKey) : null;
 
 /**
- * Update order with refund information
- * @param {string} orderId - Order ID
- * @param {string} refundId - Stripe refund ID
- * @param {number} refundAmount - Refund amount in cents
- * @returns {Promise<Object>} Updated order
+ * Amount paid for an order in cents
+ * @param {Object} order - Order
+ * @returns {number} Amount in cents
+ */
+function getOrderAmountInCents(order) {
+  return Math.round((Number(order.amount_paid) || 0) * 100);
+}
+
+/**
+ * Update order with refund information (and restore stock for a full refund) in one transaction
+ * @param {Object} order - Order being refunded (as read before the refund)
+ * @param {Object} refund - Stripe refund ({ id, amount } - amount in cents)
+ * @param {boolean} fullyRefunded - Whether the order has now been refunded in full
+ * @param {boolean} restoreStock - Whether to restock cart items (false for a partial refund
+ *   or if the order was already cancelled)
+ * @returns {Promise<Object>} { updatedOrder, stockRestoreResults }
+ *
+ * The refund fields and every stock increment are written with TransactWriteItems,
+ * conditioned on the order not being fully refunded and on the refunded total not having
+ * changed since the order was read, so a double-submitted refund can never restock twice
+ * or lose another refund's amount.
  */
-async function updateOrderWithRefund(orderId, refundId, refundAmount) {
-  const command = new UpdateCommand({
-    TableName: TABLES.ORDERS,
-    Key: { id: orderId },
-    UpdateExpression:
-      "SET #status = :status, paymentStatus = :paymentStatus, refundId = :refundId, refundAmount = :refundAmount, refundedAt = :refundedAt, updatedAt = :updatedAt",
-    ExpressionAttributeNames: {
-      "#status": "status", // 'status' is a reserved word in DynamoDB
-    },
-    ExpressionAttributeValues: {
-      ":status": "refunded",
-      ":paymentStatus": "refunded",
-      ":refundId": refundId,
-      ":refundAmount": refundAmount,
-      ":refundedAt": new Date().toISOString(),
-      ":updatedAt": new Date().toISOString(),
-    },
-    ReturnValues: "ALL_NEW", // Return updated item
+async function updateOrderWithRefund(order, refund, fullyRefunded, restoreStock) {
+  const previousRefundAmount = Number(order.refundAmount) || 0;
+  const now = new Date().toISOString();
+
+  const { stockResults: stockRestoreResults } = await runStockTransaction(async () => {
+    const stockChanges =
+      restoreStock && Array.isArray(order.cartList)
+        ? await buildCartStockChanges(order.cartList, buildStockIncrement)
+        : { transactItems: [], stockResults: [] };
+
+    return {
+      ...stockChanges,
+      transactItems: [
+        {
+          Update: {
+            TableName: TABLES.ORDERS,
+            Key: { id: order.id },
+            UpdateExpression:
+              `SET ${fullyRefunded ? "#status = :refunded, " : ""}paymentStatus = :paymentStatus, refundId = :refundId, refundAmount = :refundAmount, refunds = list_append(if_not_exists(refunds, :noRefunds), :refund), refundedAt = :refundedAt, updatedAt = :updatedAt`,
+            ConditionExpression:
+              "#status <> :refunded AND (attribute_not_exists(paymentStatus) OR paymentStatus <> :refunded) AND " +
+              "(attribute_not_exists(refundAmount) OR refundAmount = :previousRefundAmount)",
+            ExpressionAttributeNames: {
+              "#status": "status", // 'status' is a reserved word in DynamoDB
+            },
+            ExpressionAttributeValues: {
+              ":refunded": "refunded",
+              ":paymentStatus": fullyRefunded ? "refunded" : "partially_refunded",
+              ":refundId": refund.id,
+              ":refundAmount": previousRefundAmount + refund.amount,
+              ":previousRefundAmount": previousRefundAmount,
+              ":noRefunds": [],
+              ":refund": [{ id: refund.id, amount: refund.amount, createdAt: now }],
+              ":refundedAt": now,
+              ":updatedAt": now,
+            },
+          },
+        },
+        ...stockChanges.transactItems,
+      ],
+    };
   });
 
-  const result = await dynamoDB.send(command);
-  return result.Attributes;
+  const updatedOrder = await getOrderById(order.id);
+  return { updatedOrder, stockRestoreResults };
+}
+
+/**
+ * Record a refund Stripe already issued on the order, retrying once on its own if the
+ * first update fails (the money is back with the customer either way)
+ *
+ * @param {Object} order - Order being refunded (as read before the refund)
+ * @param {Object} refund - Stripe refund ({ id, amount })
+ * @param {boolean} fullyRefunded - Whether the order has now been refunded in full
+ * @param {boolean} restoreStock - Whether to restock cart items
+ * @returns {Promise<Object>} { updatedOrder, stockRestoreResults }
+ * @throws {Error} If the retry fails too (the caller logs the refund for reconciliation)
+ */
+async function recordRefundOnOrder(order, refund, fullyRefunded, restoreStock) {
+  try {
+    return await updateOrderWithRefund(order, refund, fullyRefunded, restoreStock);
+  } catch (error) {
+    console.warn("Order update after refund failed, retrying:", {
+      orderId: order.id,
+      refundId: refund.id,
+      error: error.message,
+    });
+
+    // Re-read the order: the first attempt may have been written after all
+    const currentOrder = await getOrderById(order.id);
+    if (currentOrder?.refunds?.some((item) => item.id === refund.id)) {
+      return { updatedOrder: currentOrder, stockRestoreResults: [] };
+    }
+    return updateOrderWithRefund(order, refund, fullyRefunded, restoreStock);
+  }
 }
 
 /**
@@ -132,7 +215,7 @@ exports.handler = async (event, context) => {
       return errorResponse("Order not found", 404);
     }
 
-    // Check if order already refunded
+    // Check if order already refunded in full
     if (order.paymentStatus === "refunded" || order.status === "refunded") {
       return errorResponse("Order has already been refunded", 400);
     }
@@ -173,67 +256,69 @@ exports.handler = async (event, context) => {
       reason: reason || "requested_by_customer", // requested_by_customer, duplicate, fraudulent
     };
 
-    // If amount is provided, do partial refund; otherwise full refund
+    // Earlier partial refunds count towards the amount that can still be refunded
+    const orderAmountInCents = getOrderAmountInCents(order);
+    const refundableAmount = orderAmountInCents - (Number(order.refundAmount) || 0);
+    if (refundableAmount <= 0) {
+      return errorResponse("Order has already been refunded", 400);
+    }
+
+    // If amount is provided, do partial refund; otherwise refund everything not refunded yet
     if (amount && typeof amount === "number" && amount > 0) {
-      // Validate amount doesn't exceed order amount
-      const orderAmountInCents = Math.round((order.amount_paid || 0) * 100);
-      if (amount > orderAmountInCents) {
+      // Validate amount doesn't exceed what is left to refund
+      if (amount > refundableAmount) {
         return errorResponse(
-          `Refund amount (${amount} cents) exceeds order amount (${orderAmountInCents} cents)`,
+          `Refund amount (${amount} cents) exceeds the refundable amount (${refundableAmount} cents)`,
           400
         );
       }
       refundParams.amount = amount;
+    } else {
+      refundParams.amount = refundableAmount;
     }
 
     // Process refund with Stripe
     const refund = await stripe.refunds.create(refundParams);
 
-    // Restore product stock when refund is processed
-    // IMPORTANT: Only restore stock if order was NOT already cancelled
+    // Full refund once the refunded total reaches the amount paid
+    const refundAmount = refund.amount; // Amount refunded in cents
+    const fullyRefunded = (Number(order.refundAmount) || 0) + refundAmount >= orderAmountInCents;
+
+    // Update order with refund information and restore product stock atomically
+    // IMPORTANT: Only restore stock for a full refund of an order that was NOT already cancelled
     // If order was cancelled, stock was already restored during cancellation
     // Refunding a cancelled order should NOT restore stock again
-    const stockRestoreResults = [];
-    if (!wasAlreadyCancelled && order.cartList && Array.isArray(order.cartList)) {
-      for (const item of order.cartList) {
-        if (item.id && item.quantity) {
-          try {
-            console.log(`🔄 Restoring stock for refunded order item:`, {
-              productId: item.id,
-              productName: item.name || item.productName || "Product",
-              quantity: item.quantity,
-            });
-            
-            const updatedProduct = await incrementProductStock(item.id, item.quantity);
-            
-            console.log(`✅ Stock restored for refunded order item:`, {
-              productId: item.id,
-              productName: item.name || item.productName || "Product",
-              quantity: item.quantity,
-              oldStock: updatedProduct.stock - item.quantity, // Calculate old stock
-              newStock: updatedProduct.stock,
-            });
-            
-            stockRestoreResults.push({
-              productId: item.id,
-              productName: item.name || item.productName || "Product",
-              quantity: item.quantity,
-              newStock: updatedProduct.stock,
-              success: true,
-            });
-          } catch (stockError) {
-            // Log error but continue with other products
-            console.error(`Failed to restore stock for product ${item.id}:`, stockError.message);
-            stockRestoreResults.push({
-              productId: item.id,
-              productName: item.name || item.productName || "Product",
-              quantity: item.quantity,
-              success: false,
-              error: stockError.message,
-            });
-          }
-        }
-      }
+    const restoreStock = fullyRefunded && !wasAlreadyCancelled;
+    let updatedOrder;
+    let stockRestoreResults;
+    try {
+      ({ updatedOrder, stockRestoreResults } = await recordRefundOnOrder(
+        order,
+        refund,
+        fullyRefunded,
+        restoreStock
+      ));
+    } catch (updateError) {
+      // Stripe refunded the customer but the order doesn't show it - reconcile by hand
+      console.error("Refund not recorded on order:", {
+        orderId,
+        refundId: refund.id,
+        refundAmount,
+        paymentIntentId,
+        fullyRefunded,
+        error: updateError.message,
+      });
+      return errorResponse(
+        {
+          message: `Refund ${refund.id} was issued but the order could not be updated. Please reconcile it manually.`,
+          error: "RefundNotRecorded",
+          refundId: refund.id,
+        },
+        500
+      );
+    }
+
+    if (restoreStock) {
       console.log("📦 Stock restored for refunded order:", {
         orderId,
         stockRestores: stockRestoreResults,
@@ -244,16 +329,15 @@ exports.handler = async (event, context) => {
       });
     }
 
-    // Get order before update for logging
-    const orderBeforeUpdate = await getOrderById(orderId);
+    // Update the admin analytics rollups (non-critical, never throws)
+    await recordRefund(order, refundAmount, updatedOrder?.refundedAt);
 
-    // Update order with refund information
-    const refundAmount = refund.amount; // Amount refunded in cents
-    const updatedOrder = await updateOrderWithRefund(
-      orderId,
-      refund.id,
-      refundAmount
-    );
+    // Refund confirmation to the customer and refund alert to the admin (never throws)
+    await publishEvent(EVENTS.ORDER_REFUNDED, {
+      order: updatedOrder || order,
+      refundAmount,
+      refundId: refund.id,
+    });
 
     // Log successful refund
     console.log("Refund processed successfully:", {
@@ -272,8 +356,9 @@ exports.handler = async (event, context) => {
       entityType: "order",
       entityId: orderId,
       details: {
-        previousStatus: orderBeforeUpdate?.status || order.status,
-        newStatus: "refunded",
+        previousStatus: order.status,
+        newStatus: updatedOrder?.status || order.status,
+        paymentStatus: updatedOrder?.paymentStatus,
         refundId: refund.id,
         refundAmount: refundAmount,
         paymentIntentId: paymentIntentId,
@@ -290,7 +375,6 @@ exports.handler = async (event, context) => {
       {
         ...updatedOrder,
         refundId: refund.id,
-        refundAmount: refundAmount,
         refundStatus: refund.status,
         _stockRestores: stockRestoreResults || [], // Internal field for frontend use
       },
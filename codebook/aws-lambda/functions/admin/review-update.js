@@ -2,13 +2,35 @@
  * AWS Lambda - Update Review Status (Admin)
  * PUT /admin/reviews/:id
  *
- * Updates review status (approve/reject) for moderation.
+ * Updates review status (approve/reject) for moderation and/or the public
+ * store reply shown under the review.
  * Requires admin authentication.
+ *
+ * Request Body (at least one of status, reply):
+ * {
+ *   "status": "rejected", // approved, pending, rejected
+ *   "reason": "Contains a link to another shop", // Optional, emailed to the customer on rejection
+ *   "reply": "Thanks for the feedback!" // Public store reply (empty string removes it)
+ * }
+ *
+ * The customer is emailed when their review changes to "rejected", and when a reply is
+ * posted or edited (unless they turned off review reply emails). Status changes and
+ * replies also show up in the customer's notification feed.
  */
 
 const { createResponse } = require("../../shared/response");
 const { verifyAuth } = require("../../shared/auth");
-const { getReviewById, updateReview } = require("../../shared/reviews");
+const {
+  MAX_REPLY_LENGTH,
+  getReviewById,
+  updateReview,
+  setReviewReply,
+} = require("../../shared/reviews");
+const { notifyReviewRejected, notifyReviewReply } = require("../../shared/reviewModeration");
+const { logActivity } = require("../../shared/activityLog");
+const { EVENTS, publishEvent } = require("../../shared/events");
+
+const MAX_REASON_LENGTH = 500;
 
 exports.handler = async (event) => {
   try {
@@ -60,18 +82,126 @@ exports.handler = async (event) => {
       updates.status = body.status;
     }
 
-    if (Object.keys(updates).length === 0) {
+    const hasReply = body.reply !== undefined;
+    if (hasReply && body.reply !== null && typeof body.reply !== "string") {
+      return createResponse(400, {
+        error: "Reply must be a string",
+      });
+    }
+    const reply = hasReply ? String(body.reply || "").trim() : "";
+    if (reply.length > MAX_REPLY_LENGTH) {
+      return createResponse(400, {
+        error: `Reply must be at most ${MAX_REPLY_LENGTH} characters`,
+      });
+    }
+
+    if (Object.keys(updates).length === 0 && !hasReply) {
       return createResponse(400, {
         error: "No valid fields to update",
       });
     }
 
-    // Update the review
-    const updatedReview = await updateReview(reviewId, updates);
+    const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+    if (reason.length > MAX_REASON_LENGTH) {
+      return createResponse(400, {
+        error: `Reason must be at most ${MAX_REASON_LENGTH} characters`,
+      });
+    }
+
+    // Update the review (record who moderated it; the reason only applies to rejections)
+    let updatedReview = existingReview;
+    if (updates.status !== undefined) {
+      updatedReview = await updateReview(reviewId, updates, {
+        moderatedBy: authResult.userId,
+        rejectionReason: updates.status === "rejected" ? reason : "",
+      });
+    }
+
+    // Post, edit or remove the store reply
+    if (hasReply) {
+      updatedReview = await setReviewReply(
+        reviewId,
+        reply,
+        authResult.userId,
+        existingReview.reply
+      );
+    }
+
+    // Notify the customer only when the review becomes rejected (not on repeated rejections)
+    let customerNotified = false;
+    if (updates.status === "rejected" && existingReview.status !== "rejected") {
+      try {
+        customerNotified = await notifyReviewRejected(updatedReview, reason);
+      } catch (emailError) {
+        console.error("Failed to send review rejection email:", emailError);
+        // Don't fail the moderation - the status change is saved
+      }
+    }
+
+    // Notify the customer when a reply is posted or its text changes (not when it is removed)
+    if (hasReply && reply && reply !== (existingReview.reply?.text || "")) {
+      try {
+        customerNotified = (await notifyReviewReply(updatedReview, reply)) || customerNotified;
+      } catch (emailError) {
+        console.error("Failed to send review reply email:", emailError);
+        // Don't fail the update - the reply is saved
+      }
+    }
+
+    // Notification feed (never throws)
+    if (updates.status !== undefined && updates.status !== existingReview.status) {
+      await publishEvent(EVENTS.REVIEW_STATUS_CHANGED, {
+        review: updatedReview,
+        previousStatus: existingReview.status,
+      });
+    }
+    if (hasReply && reply && reply !== (existingReview.reply?.text || "")) {
+      await publishEvent(EVENTS.REVIEW_REPLIED, { review: updatedReview, reply });
+    }
+
+    // Log activity (non-blocking - don't fail if logging fails)
+    if (updates.status !== undefined && updates.status !== existingReview.status) {
+      logActivity({
+        userId: authResult.userId,
+        userEmail: authResult.userEmail,
+        userName: authResult.userName,
+        action: "status_change",
+        entityType: "review",
+        entityId: reviewId,
+        details: {
+          productId: existingReview.productId,
+          oldStatus: existingReview.status,
+          newStatus: updates.status,
+          ...(reason && { reason }),
+        },
+      }).catch((logError) => {
+        console.error("Failed to log activity:", logError);
+        // Don't throw - activity logging is non-critical
+      });
+    }
+
+    if (hasReply && reply !== (existingReview.reply?.text || "")) {
+      logActivity({
+        userId: authResult.userId,
+        userEmail: authResult.userEmail,
+        userName: authResult.userName,
+        action: "update",
+        entityType: "review",
+        entityId: reviewId,
+        details: {
+          productId: existingReview.productId,
+          reply: reply || null, // null = reply removed
+        },
+      }).catch((logError) => {
+        console.error("Failed to log activity:", logError);
+        // Don't throw - activity logging is non-critical
+      });
+    }
 
     return createResponse(200, {
       message: "Review updated successfully",
       review: updatedReview,
+      customerNotified,
     });
   } catch (error) {
     console.error("Error updating review:", error);
@@ -18,6 +18,7 @@
 const { deleteUser, getUserById } = require("../../shared/users");
 const { requireAuth } = require("../../shared/auth");
 const { logActivity } = require("../../shared/activityLog");
+const { revokeUserSessions } = require("../../shared/sessions");
 const {
   successResponse,
   errorResponse,
@@ -80,6 +81,9 @@ exports.handler = async (event, context) => {
     // Delete user (uses DeleteCommand - efficient, single item delete)
     const result = await deleteUser(userId);
 
+    // End all of the deleted user's sessions so their refresh tokens stop working
+    await revokeUserSessions(userId, { reason: "user_deleted" });
+
     // Log activity (non-blocking - don't fail if logging fails)
     logActivity({
       userId: decoded.id,
@@ -29,6 +29,7 @@
 const { updateUser, getUserById } = require("../../shared/users");
 const { requireAuth } = require("../../shared/auth");
 const { logActivity } = require("../../shared/activityLog");
+const { revokeUserSessions } = require("../../shared/sessions");
 const {
   successResponse,
   errorResponse,
@@ -105,6 +106,12 @@ exports.handler = async (event, context) => {
     // Update user (uses UpdateCommand - efficient, only updates specified fields)
     const updatedUser = await updateUser(userId, updates);
 
+    // The role is baked into access tokens, so end the user's sessions on a role change.
+    // They have to log in again (at the latest when the current access token expires).
+    if (updates.role !== undefined && updates.role !== (existingUser.role || "user")) {
+      await revokeUserSessions(userId, { reason: "role_changed" });
+    }
+
     // Log activity (non-blocking - don't fail if logging fails)
     logActivity({
       userId: decoded.id,
@@ -13,13 +13,18 @@
  *
  * Response:
  * {
- *   "accessToken": "jwt-token",
+ *   "accessToken": "jwt-token",        // Short-lived (15 minutes)
+ *   "refreshToken": "opaque-token",    // Exchange at POST /auth/refresh for a new access token
+ *   "expiresIn": 900,                  // Access token lifetime in seconds
  *   "user": { "id": "...", "email": "...", "name": "..." }
  * }
+ *
+ * Unverified accounts get 403 with code "EMAIL_NOT_VERIFIED".
  */
 
 const { verifyUser } = require("../../shared/users");
-const { generateToken } = require("../../shared/auth");
+const { generateToken, ACCESS_TOKEN_TTL_SECONDS } = require("../../shared/auth");
+const { createSession } = require("../../shared/sessions");
 const {
   successResponse,
   errorResponse,
@@ -69,13 +74,29 @@ exports.handler = async (event, context) => {
       return errorResponse("Invalid credentials", 401);
     }
 
-    // Generate JWT token
+    // Accounts registered with email verification must be verified first
+    // (older accounts have no emailVerified flag and can log in)
+    if (user.emailVerified === false) {
+      return errorResponse(
+        {
+          message: "Please verify your email before logging in",
+          error: "EmailNotVerified",
+          code: "EMAIL_NOT_VERIFIED",
+        },
+        403
+      );
+    }
+
+    // Generate JWT access token and start a session (refresh token)
     const accessToken = generateToken(user);
+    const refreshToken = await createSession(user.id);
 
-    // Return success response with token and user
+    // Return success response with tokens and user
     return successResponse(
       {
         accessToken,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
         user,
       },
       200
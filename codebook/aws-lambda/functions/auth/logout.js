@@ -0,0 +1,99 @@
+/**
+ * AWS Lambda Function: Logout
+ *
+ * This Lambda function ends a session by revoking its refresh token.
+ *
+ * Endpoint: POST /auth/logout
+ *
+ * Request Body:
+ * {
+ *   "refreshToken": "opaque-token",  // Session to end
+ *   "allSessions": true              // Optional: end every session of the user (requires Bearer token)
+ * }
+ *
+ * Response:
+ * {
+ *   "message": "Logged out",
+ *   "revoked": 1
+ * }
+ *
+ * Logging out is idempotent - an unknown or already revoked token still returns 200.
+ * The access token stays valid until it expires (at most 15 minutes); the client
+ * discards it.
+ */
+
+const { requireAuth } = require("../../shared/auth");
+const { revokeSession, revokeUserSessions } = require("../../shared/sessions");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow POST method
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    const { refreshToken, allSessions } = body;
+
+    // Log out everywhere (e.g. "sign out of all devices")
+    if (allSessions === true) {
+      const decoded = requireAuth(event);
+      const revoked = await revokeUserSessions(decoded.id, { reason: "logout" });
+      return successResponse({ message: "Logged out of all sessions", revoked }, 200);
+    }
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return errorResponse("Refresh token is required", 400);
+    }
+
+    const revoked = await revokeSession(refreshToken);
+    return successResponse({ message: "Logged out", revoked: revoked ? 1 : 0 }, 200);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Logout Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (error.message === "No token provided" || error.message === "Invalid token") {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * AWS Lambda Function: Forgotten Password
+ *
+ * Endpoints:
+ * - POST /auth/forgot-password
+ *   Request Body: { "email": "user@example.com" }
+ *   Emails a password reset link (valid for 1 hour, single use) if an account exists.
+ *   Always responds 200 with the same message, no sooner than the email sender's
+ *   worst-case retry time (see getForgotPasswordResponseMs), so neither the response
+ *   nor how long it takes can be used to find out which emails are registered.
+ *
+ * - POST /auth/reset-password
+ *   Request Body: { "token": "from-the-emailed-link", "password": "new-password" }
+ *   Sets the new password and ends all of the user's sessions (refresh tokens).
+ *   Response: { "message": "Password has been reset. Please log in with your new password." }
+ */
+
+const { getUserByEmail, updateUserPassword } = require("../../shared/users");
+const { TOKEN_TYPES, consumeAuthToken } = require("../../shared/authTokens");
+const { sendPasswordResetEmail } = require("../../shared/accountEmails");
+const { getMaxRetryWaitMs } = require("../../shared/emailSender");
+const { revokeUserSessions } = require("../../shared/sessions");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+// Same rule as the Register form
+const MIN_PASSWORD_LENGTH = 7;
+
+// Time allowed per delivery attempt on top of the sender's retry waits
+const SEND_ATTEMPT_ALLOWANCE_MS = 300;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Minimum time before answering a forgot-password request, whether or not the account
+ * exists: the email sender's longest retry backoff plus one short allowance, so a
+ * request for a registered email only takes longer when the email transport is slow
+ * @returns {number} Milliseconds
+ */
+function getForgotPasswordResponseMs() {
+  return getMaxRetryWaitMs() + SEND_ATTEMPT_ALLOWANCE_MS;
+}
+
+/**
+ * Look up the account and email it a reset link (never throws)
+ * @param {string} email - Email address from the request
+ * @returns {Promise<void>}
+ */
+async function requestPasswordReset(email) {
+  try {
+    const user = await getUserByEmail(email);
+    if (!user) {
+      console.log("Password reset requested for unknown email");
+      return;
+    }
+    await sendPasswordResetEmail(user);
+  } catch (error) {
+    // Don't reveal the failure (it would confirm the account exists) - log it for CloudWatch
+    console.error("Failed to send password reset email:", error);
+  }
+}
+
+/**
+ * Handle POST /auth/forgot-password
+ */
+async function handleForgotPassword(body) {
+  const email = typeof body.email === "string" ? body.email.trim() : "";
+  if (!email) {
+    return errorResponse("Email is required", 400);
+  }
+
+  // Both branches take the same path: the reset runs alongside the minimum wait and
+  // the response goes out once both are done, so the email is always sent before
+  // Lambda freezes the function
+  await Promise.all([requestPasswordReset(email), wait(getForgotPasswordResponseMs())]);
+
+  return successResponse(
+    { message: "If an account exists for this email, a password reset link has been sent." },
+    200
+  );
+}
+
+/**
+ * Handle POST /auth/reset-password
+ */
+async function handleResetPassword(body) {
+  const { token, password } = body;
+  if (!token || typeof token !== "string") {
+    return errorResponse("Reset token is required", 400);
+  }
+  if (!password || typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return errorResponse(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+
+  const userId = await consumeAuthToken(token, TOKEN_TYPES.PASSWORD_RESET);
+  await updateUserPassword(userId, password);
+
+  // Whoever knew the old password is logged out everywhere
+  await revokeUserSessions(userId, { reason: "password_reset" });
+
+  return successResponse(
+    { message: "Password has been reset. Please log in with your new password." },
+    200
+  );
+}
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.requestContext?.http?.path || event.path || "";
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow POST method
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    if (path.endsWith("/reset-password")) {
+      return await handleResetPassword(body);
+    }
+    return await handleForgotPassword(body);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Password Reset Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle specific errors
+    if (error.message === "Invalid or expired token" || error.message === "User not found") {
+      return errorResponse("This reset link is invalid or has expired", 400);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
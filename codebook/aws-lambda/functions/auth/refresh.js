@@ -0,0 +1,111 @@
+/**
+ * AWS Lambda Function: Refresh Access Token
+ *
+ * This Lambda function exchanges a refresh token for a new access token.
+ * The refresh token is rotated: the one sent is used up and a new one is returned.
+ *
+ * Endpoint: POST /auth/refresh
+ *
+ * Request Body:
+ * {
+ *   "refreshToken": "opaque-token"
+ * }
+ *
+ * Response:
+ * {
+ *   "accessToken": "jwt-token",
+ *   "refreshToken": "new-opaque-token",
+ *   "expiresIn": 900,
+ *   "user": { "id": "...", "email": "...", "name": "...", "role": "..." }
+ * }
+ *
+ * The new access token carries the user's current role from the users table,
+ * so role changes take effect on the next refresh.
+ */
+
+const { getUserById } = require("../../shared/users");
+const { generateToken, ACCESS_TOKEN_TTL_SECONDS } = require("../../shared/auth");
+const { rotateSession, revokeUserSessions } = require("../../shared/sessions");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow POST method
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    const { refreshToken } = body;
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return errorResponse("Refresh token is required", 400);
+    }
+
+    // Rotate the refresh token (throws if it's unknown, expired, revoked or reused)
+    const session = await rotateSession(refreshToken);
+
+    // Deleted users can't refresh
+    const user = await getUserById(session.userId);
+    if (!user) {
+      await revokeUserSessions(session.userId, { reason: "user_deleted" });
+      return errorResponse("Invalid refresh token", 401);
+    }
+
+    const accessToken = generateToken({ ...user, role: user.role || "user" });
+
+    return successResponse(
+      {
+        accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        user: { ...user, role: user.role || "user" },
+      },
+      200
+    );
+  } catch (error) {
+    if (error.message === "Invalid refresh token") {
+      return errorResponse("Invalid refresh token", 401);
+    }
+
+    // Log error for CloudWatch monitoring
+    console.error("Refresh Token Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
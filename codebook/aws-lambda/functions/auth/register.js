@@ -2,6 +2,7 @@
  * AWS Lambda Function: Register
  *
  * This Lambda function handles POST requests to register new users.
+ * The account has to be verified through the emailed link before the user can log in.
  *
  * Endpoint: POST /register
  *
@@ -14,13 +15,14 @@
  *
  * Response:
  * {
- *   "accessToken": "jwt-token",
+ *   "message": "Registration successful. Check your email to verify your account.",
+ *   "requiresVerification": true,
  *   "user": { "id": "...", "email": "...", "name": "..." }
  * }
  */
 
 const { createUser } = require("../../shared/users");
-const { generateToken } = require("../../shared/auth");
+const { sendVerificationEmail } = require("../../shared/accountEmails");
 const {
   successResponse,
   errorResponse,
@@ -67,13 +69,18 @@ exports.handler = async (event, context) => {
     // Create new user
     const user = await createUser({ email, password, name });
 
-    // Generate JWT token
-    const accessToken = generateToken(user);
+    // Send the verification link (the user can request a new one from the Login page)
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error("Failed to send verification email:", emailError);
+    }
 
-    // Return success response with token and user
+    // Return success response (no tokens until the email is verified)
     return successResponse(
       {
-        accessToken,
+        message: "Registration successful. Check your email to verify your account.",
+        requiresVerification: true,
         user,
       },
       200
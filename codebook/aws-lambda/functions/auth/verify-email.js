@@ -0,0 +1,122 @@
+/**
+ * AWS Lambda Function: Email Verification
+ *
+ * New accounts must verify their email address before they can log in.
+ *
+ * Endpoints:
+ * - POST /auth/verify-email
+ *   Request Body: { "token": "from-the-emailed-link" }
+ *   Response: { "message": "Email verified. You can now log in.", "email": "user@example.com" }
+ *
+ * - POST /auth/resend-verification
+ *   Request Body: { "email": "user@example.com" }
+ *   Sends a new verification link (valid for 24 hours) if the account exists and
+ *   isn't verified yet. Always responds 200 with the same message.
+ */
+
+const { getUserByEmail, markEmailVerified } = require("../../shared/users");
+const { TOKEN_TYPES, consumeAuthToken } = require("../../shared/authTokens");
+const { sendVerificationEmail } = require("../../shared/accountEmails");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Handle POST /auth/verify-email
+ */
+async function handleVerifyEmail(body) {
+  const { token } = body;
+  if (!token || typeof token !== "string") {
+    return errorResponse("Verification token is required", 400);
+  }
+
+  const userId = await consumeAuthToken(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+  const user = await markEmailVerified(userId);
+
+  return successResponse({ message: "Email verified. You can now log in.", email: user.email }, 200);
+}
+
+/**
+ * Handle POST /auth/resend-verification
+ */
+async function handleResendVerification(body) {
+  const email = typeof body.email === "string" ? body.email.trim() : "";
+  if (!email) {
+    return errorResponse("Email is required", 400);
+  }
+
+  const user = await getUserByEmail(email);
+  // Only accounts created with verification enabled have emailVerified: false
+  if (user && user.emailVerified === false) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error("Failed to send verification email:", emailError);
+    }
+  }
+
+  return successResponse(
+    { message: "If this account still needs verification, a new link has been sent." },
+    200
+  );
+}
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.requestContext?.http?.path || event.path || "";
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow POST method
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    if (path.endsWith("/resend-verification")) {
+      return await handleResendVerification(body);
+    }
+    return await handleVerifyEmail(body);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Email Verification Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle specific errors
+    if (error.message === "Invalid or expired token" || error.message === "User not found") {
+      return errorResponse("This verification link is invalid or has expired", 400);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * AWS Lambda Function: Apply Coupon
+ *
+ * This Lambda function validates a coupon code against the customer's cart
+ * and returns the discount. Nothing is written - the coupon is redeemed when
+ * the order is created (POST /orders validates it again).
+ *
+ * Endpoint: POST /cart/apply-coupon
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ *
+ * Request Body:
+ * {
+ *   "code": "SPRING25",
+ *   "cartList": [{ "id": "product-id", "variantId": "paperback", "quantity": 2 }]
+ * }
+ *
+ * Response:
+ * {
+ *   "coupon": { "code": "SPRING25", "type": "percentage", "value": 25, "description": "..." },
+ *   "subtotal": 58.00,
+ *   "discount": 14.50,
+ *   "freeShipping": false,
+ *   "total": 43.50,
+ *   "eligibleProductIds": ["..."]
+ * }
+ *
+ * Prices come from the products table, not from the request.
+ */
+
+const { applyCouponToCart } = require("../../shared/coupons");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Log the incoming request for debugging
+  console.log("Apply Coupon Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow POST method
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Require authentication - per-user limits need the user ID
+    const decoded = requireAuth(event);
+
+    // Parse request body
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      console.error("JSON parse error:", parseError);
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    const { code, cartList } = body;
+    if (!code || !String(code).trim()) {
+      return errorResponse("Coupon code is required", 400);
+    }
+    if (!Array.isArray(cartList) || cartList.length === 0) {
+      return errorResponse("Cart list is required and must not be empty", 400);
+    }
+
+    const result = await applyCouponToCart(code, cartList, decoded.id);
+    return successResponse(result, 200);
+  } catch (error) {
+    // Log error for CloudWatch monitoring
+    console.error("Apply Coupon Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Coupon can't be used (unknown code, expired, limits, minimum order, ...)
+    if (
+      error.message?.startsWith("Coupon") ||
+      error.message?.startsWith("Product not found") ||
+      error.message?.startsWith("Variant not found")
+    ) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,113 @@
+/**
+ * AWS Lambda Function: Cart
+ *
+ * This Lambda function stores the logged-in customer's cart, so it is the same
+ * on every device and a guest cart can be merged in on login.
+ *
+ * Endpoints:
+ * - GET /cart - Get the cart (prices and stock revalidated)
+ * - PUT /cart - Replace the cart, or merge items into it with "merge": true
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ *
+ * Request Body (PUT):
+ * {
+ *   "cartList": [{ "id": "product-id", "variantId": "paperback", "quantity": 2, "price": 29.99 }],
+ *   "merge": false
+ * }
+ *
+ * Response:
+ * {
+ *   "cartList": [{ ...product, "quantity": 2 }],
+ *   "total": 59.98,
+ *   "adjustments": [{ "id": "...", "type": "quantity_reduced", "message": "..." }],
+ *   "updatedAt": "2026-01-01T00:00:00.000Z"
+ * }
+ *
+ * Deleted or out-of-stock books are removed and quantities are clamped to the
+ * available stock; each change is listed in `adjustments`.
+ */
+
+const { getCart, saveCart } = require("../../shared/cart");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  console.log("Cart Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  try {
+    // Require authentication - users can only access their own cart
+    const decoded = requireAuth(event);
+
+    if (httpMethod === "GET") {
+      const cart = await getCart(decoded.id);
+      return successResponse(cart, 200);
+    }
+
+    if (httpMethod === "PUT") {
+      // Parse request body
+      let body;
+      try {
+        body = event.body ? JSON.parse(event.body) : {};
+      } catch (parseError) {
+        console.error("JSON parse error:", parseError);
+        return errorResponse("Invalid JSON in request body", 400);
+      }
+
+      const cart = await saveCart(decoded.id, body.cartList, {
+        merge: body.merge === true,
+      });
+      return successResponse(cart, 200);
+    }
+
+    return errorResponse("Method not allowed. Use GET or PUT.", 405);
+  } catch (error) {
+    console.error("Cart Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid cart")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
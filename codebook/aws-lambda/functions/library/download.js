@@ -0,0 +1,109 @@
+/**
+ * AWS Lambda Function: eBook Download
+ *
+ * This Lambda function issues a short-lived download link for a purchased eBook.
+ *
+ * Endpoint: GET /library/{productId}/download
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ *
+ * Response:
+ * {
+ *   "url": "https://...",              // Presigned link to the file (expires after a few minutes)
+ *   "expiresIn": 300,
+ *   "expiresAt": "2025-12-04T...",
+ *   "file": { "format": "epub", "fileName": "book.epub", "size": 1048576 },
+ *   "downloadsUsed": 2,
+ *   "downloadLimit": 5,
+ *   "downloadsRemaining": 3
+ * }
+ *
+ * Errors:
+ * - 403 if the user has no paid, non-refunded order containing the book
+ * - 403 if the download limit of every purchase is used up
+ * - 404 if the book has no file attached
+ *
+ * Every link issued counts as one download (see shared/library.js).
+ */
+
+const { createDownloadLink } = require("../../shared/library");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+
+  // Handle CORS preflight request (OPTIONS)
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow GET method
+  if (httpMethod !== "GET") {
+    return errorResponse("Method not allowed. Use GET.", 405);
+  }
+
+  try {
+    // Require authentication - users can only download books they bought
+    const decoded = requireAuth(event);
+
+    const productId = event.pathParameters?.productId;
+    if (!productId) {
+      return errorResponse("Product ID is required", 400);
+    }
+
+    const link = await createDownloadLink(decoded.id, productId);
+    console.log(`Download link issued for ${productId} (user ${decoded.id}):`, {
+      downloadsUsed: link.downloadsUsed,
+      downloadLimit: link.downloadLimit,
+    });
+
+    return successResponse(link, 200);
+  } catch (error) {
+    console.error("eBook Download Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle access errors
+    if (error.message === "eBook not purchased") {
+      return errorResponse("You have not purchased this eBook", 403);
+    }
+    if (error.message === "Download limit reached") {
+      return errorResponse("You have used all downloads for this eBook. Please contact support.", 403);
+    }
+
+    // Handle not found errors
+    if (error.message === "eBook file not available") {
+      return errorResponse("This eBook has no file to download yet", 404);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
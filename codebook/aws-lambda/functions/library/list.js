@@ -0,0 +1,85 @@
+/**
+ * AWS Lambda Function: User Library
+ *
+ * This Lambda function returns every eBook the authenticated user has bought.
+ *
+ * Endpoint: GET /library
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ *
+ * Response:
+ * {
+ *   "items": [{
+ *     "productId": "...",
+ *     "product": { "name": "...", "poster": "...", ... },
+ *     "file": { "format": "pdf", "fileName": "book.pdf", "size": 1048576 },  // null if no file yet
+ *     "purchasedAt": "2025-12-04T...",
+ *     "orderIds": ["..."],
+ *     "downloadsUsed": 1,
+ *     "downloadLimit": 5,
+ *     "downloadsRemaining": 4,
+ *     "lastDownloadAt": "2025-12-05T..."
+ *   }]
+ * }
+ *
+ * Only paid orders count - books from refunded or cancelled orders are not listed.
+ */
+
+const { getLibrary } = require("../../shared/library");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+
+  // Handle CORS preflight request (OPTIONS)
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow GET method
+  if (httpMethod !== "GET") {
+    return errorResponse("Method not allowed. Use GET.", 405);
+  }
+
+  try {
+    // Require authentication - users only see their own library
+    const decoded = requireAuth(event);
+
+    const library = await getLibrary(decoded.id);
+    return successResponse(library, 200);
+  } catch (error) {
+    console.error("User Library Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
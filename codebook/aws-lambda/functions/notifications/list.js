@@ -0,0 +1,107 @@
+/**
+ * AWS Lambda Function: List Notifications
+ *
+ * This Lambda function returns the authenticated user's notification feed, newest first,
+ * one page at a time (see shared/notifications.js).
+ *
+ * Endpoint: GET /notifications?limit=10&cursor=<nextCursor>
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ *
+ * Query Parameters:
+ * - limit: Page size (default 10, max 50)
+ * - cursor: nextCursor from the previous page
+ *
+ * Response:
+ * {
+ *   "notifications": [
+ *     {
+ *       "id": "1767225600000-4f1a9c2e",
+ *       "type": "order",
+ *       "title": "Your order has shipped",
+ *       "message": "Order #123",
+ *       "link": "/dashboard",
+ *       "read": false,
+ *       "createdAt": "2026-01-01T00:00:00.000Z"
+ *     }
+ *   ],
+ *   "nextCursor": "eyJ1c2VySWQiOi...", // null on the last page
+ *   "unreadCount": 3
+ * }
+ */
+
+const { listNotifications, getUnreadCount } = require("../../shared/notifications");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  console.log("List Notifications Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow GET method
+  if (httpMethod !== "GET") {
+    return errorResponse("Method not allowed. Use GET.", 405);
+  }
+
+  try {
+    // Require authentication - users only see their own feed
+    const decoded = requireAuth(event);
+
+    const query = event.queryStringParameters || {};
+    const limit = query.limit !== undefined ? Number(query.limit) : undefined;
+
+    const [page, unreadCount] = await Promise.all([
+      listNotifications(decoded.id, { limit, cursor: query.cursor }),
+      getUnreadCount(decoded.id),
+    ]);
+
+    return successResponse({ ...page, unreadCount }, 200);
+  } catch (error) {
+    console.error("List Notifications Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle validation errors (bad limit or cursor)
+    if (error.message?.startsWith("Invalid")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
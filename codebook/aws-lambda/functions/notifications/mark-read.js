@@ -3,20 +3,31 @@
  *
  * This Lambda function handles POST requests to mark user notifications as read.
  *
- * Endpoint: POST /notifications/mark-read
+ * Endpoints:
+ * - POST /notifications/mark-read - Mark all of the user's notifications as read
+ * - POST /notifications/{id}/read - Mark one notification as read
  *
  * Authentication: Required (Bearer token in Authorization header)
  *
- * Request Body: (empty - uses current timestamp)
+ * Request Body: (empty)
  *
- * Response:
+ * Response (all):
  * {
- *   "notificationsReadAt": "2025-12-06T12:00:00.000Z",
+ *   "updated": 3,
  *   "message": "Notifications marked as read"
  * }
+ *
+ * Response (one):
+ * {
+ *   "notification": { "id": "...", "read": true, ... },
+ *   "message": "Notification marked as read"
+ * }
  */
 
-const { updateUser, getUserById } = require("../../shared/users");
+const {
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require("../../shared/notifications");
 const { requireAuth } = require("../../shared/auth");
 const {
   successResponse,
@@ -49,19 +60,29 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    // Require authentication
-    const user = await requireAuth(event);
+    // Require authentication - users can only mark their own notifications
+    const user = requireAuth(event);
 
-    // Update user's notificationsReadAt timestamp
-    const notificationsReadAt = new Date().toISOString();
-    const updatedUser = await updateUser(user.id, {
-      notificationsReadAt,
-    });
+    // One notification (POST /notifications/{id}/read)
+    const notificationId = event.pathParameters?.id;
+    if (notificationId) {
+      const notification = await markNotificationRead(user.id, notificationId);
+      return successResponse(
+        {
+          notification,
+          message: "Notification marked as read",
+        },
+        200
+      );
+    }
+
+    // All notifications (POST /notifications/mark-read)
+    const updated = await markAllNotificationsRead(user.id);
 
     // Return success response
     return successResponse(
       {
-        notificationsReadAt: updatedUser.notificationsReadAt || notificationsReadAt,
+        updated,
         message: "Notifications marked as read",
       },
       200
@@ -81,8 +102,8 @@ exports.handler = async (event, context) => {
     }
 
     // Handle not found errors
-    if (error.message === "User not found") {
-      return errorResponse("User not found", 404);
+    if (error.message === "Notification not found") {
+      return errorResponse(error.message, 404);
     }
 
     // Return error response
@@ -95,4 +116,3 @@ exports.handler = async (event, context) => {
     );
   }
 };
-
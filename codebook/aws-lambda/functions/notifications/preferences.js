@@ -0,0 +1,132 @@
+/**
+ * AWS Lambda Function: Notification Preferences
+ *
+ * This Lambda function lets the authenticated user choose which optional emails they get
+ * (see shared/notificationPreferences.js). Account emails, order confirmations and failed
+ * payment emails are always sent.
+ *
+ * Endpoints:
+ * - GET /notifications/preferences - Get the user's preferences
+ * - PUT /notifications/preferences - Turn categories on or off
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ *
+ * PUT Request Body (only the categories to change):
+ * {
+ *   "marketing": false,
+ *   "shipping": true
+ * }
+ *
+ * Response:
+ * {
+ *   "preferences": { "orderUpdates": true, "shipping": true, "marketing": false, ... },
+ *   "categories": [{ "key": "orderUpdates", "label": "Order updates", "description": "..." }]
+ * }
+ */
+
+const { getUserById } = require("../../shared/users");
+const {
+  NOTIFICATION_CATEGORIES,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} = require("../../shared/notificationPreferences");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+// Categories in the order the settings page shows them
+const CATEGORY_LIST = Object.entries(NOTIFICATION_CATEGORIES).map(([key, category]) => ({
+  key,
+  ...category,
+}));
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  console.log("Notification Preferences Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  try {
+    // Require authentication - users can only change their own preferences
+    const decoded = requireAuth(event);
+
+    if (httpMethod === "GET") {
+      const user = await getUserById(decoded.id);
+      if (!user) {
+        return errorResponse("User not found", 404);
+      }
+      return successResponse(
+        { preferences: getNotificationPreferences(user), categories: CATEGORY_LIST },
+        200
+      );
+    }
+
+    if (httpMethod === "PUT") {
+      // Parse request body
+      let body;
+      try {
+        body = event.body ? JSON.parse(event.body) : {};
+      } catch (parseError) {
+        console.error("JSON parse error:", parseError);
+        return errorResponse("Invalid JSON in request body", 400);
+      }
+
+      const preferences = await updateNotificationPreferences(decoded.id, body);
+
+      console.log("Notification preferences updated:", { userId: decoded.id, changes: body });
+
+      return successResponse({ preferences, categories: CATEGORY_LIST }, 200);
+    }
+
+    return errorResponse("Method not allowed. Use GET or PUT.", 405);
+  } catch (error) {
+    console.error("Notification Preferences Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle not found errors
+    if (error.message === "User not found") {
+      return errorResponse(error.message, 404);
+    }
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid notification preferences")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,121 @@
+/**
+ * AWS Lambda Function: Unsubscribe
+ *
+ * This Lambda function turns off one notification category for the user named in a signed
+ * unsubscribe link (see shared/notificationPreferences.js). No login is needed - the
+ * token proves the link came from one of our emails.
+ *
+ * Endpoint: POST /notifications/unsubscribe?token=<token>
+ *
+ * Called by:
+ * - email providers for the one-click List-Unsubscribe header (RFC 8058 - the body is
+ *   "List-Unsubscribe=One-Click" and is ignored)
+ * - the frontend /unsubscribe page opened from the footer link (token in the query or
+ *   in a JSON body: { "token": "..." })
+ *
+ * Authentication: None (signed token)
+ *
+ * Response:
+ * {
+ *   "message": "You have been unsubscribed from \"Shipping\"",
+ *   "category": "shipping",
+ *   "label": "Shipping"
+ * }
+ */
+
+const {
+  NOTIFICATION_CATEGORIES,
+  verifyUnsubscribeToken,
+  updateNotificationPreferences,
+} = require("../../shared/notificationPreferences");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Token from the query string, or from a JSON body
+ * @param {object} event - Lambda event object
+ * @returns {string|null} Token
+ */
+function getToken(event) {
+  if (event.queryStringParameters?.token) {
+    return event.queryStringParameters.token;
+  }
+
+  // One-click requests send a form body without a token - only JSON bodies can carry one
+  try {
+    const body = event.body ? JSON.parse(event.body) : {};
+    return typeof body?.token === "string" ? body.token : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  console.log("Unsubscribe Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow POST method (link scanners that open links with GET must not unsubscribe anyone)
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    const unsubscribe = verifyUnsubscribeToken(getToken(event));
+    if (!unsubscribe) {
+      return errorResponse("This unsubscribe link is invalid. Please use the link from the email.", 400);
+    }
+
+    const { userId, category } = unsubscribe;
+    await updateNotificationPreferences(userId, { [category]: false });
+
+    const label = NOTIFICATION_CATEGORIES[category].label;
+    console.log("User unsubscribed:", { userId, category });
+
+    return successResponse(
+      {
+        message: `You have been unsubscribed from "${label}"`,
+        category,
+        label,
+      },
+      200
+    );
+  } catch (error) {
+    console.error("Unsubscribe Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // The account was deleted after the email was sent
+    if (error.message === "User not found") {
+      return errorResponse("This account no longer exists", 404);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
@@ -5,7 +5,7 @@
  *
  * Endpoints:
  * - GET /orders - Get orders for authenticated user (user-specific, regardless of role)
- * - POST /orders - Create a new order
+ * - POST /orders - Create the order for a completed checkout payment
  *
  * Authentication: Required (Bearer token in Authorization header)
  *
@@ -18,19 +18,22 @@
  * POST /orders:
  * Request Body:
  * {
- *   "cartList": [...],
- *   "amount_paid": 100,
- *   "quantity": 5,
- *   "user": { "id": "...", "name": "...", "email": "..." }
+ *   "paymentIntentId": "pi_..." // Required
  * }
+ *
+ * The rest of the body is ignored - cart, prices and amount paid never come from the
+ * client. The payment intent is checked with Stripe and the order is created from its
+ * server-stored pending cart - the same idempotent path the Stripe webhook uses, so the
+ * customer gets the webhook's order if it ran first (200) or a new one (201), never two.
  */
 
 const {
   getOrdersByUserId,
-  createOrder,
   // getAllOrders is not used here - user dashboard should only show user's own orders
   // Admin panel uses separate /admin/orders endpoint
 } = require("../../shared/orders");
+const Stripe = require("stripe");
+const { fulfillPaymentIntent } = require("../../shared/checkout");
 const { requireAuth } = require("../../shared/auth");
 const {
   successResponse,
@@ -38,6 +41,10 @@ const {
   handleOptions,
 } = require("../../shared/response");
 
+// Stripe is only needed to create orders (POST /orders)
+const stripeSecretKey = process.env.STRIPE_SECRET_KEY || process.env.STRIPE_API_KEY;
+const stripe = stripeSecretKey ? new Stripe(stripeSecretKey) : null;
+
 /**
  * Lambda Handler Function
  *
@@ -94,25 +101,52 @@ exports.handler = async (event, context) => {
 
       // Log the incoming order data for debugging
       console.log("Order data received:", {
-        hasCartList: !!body.cartList,
-        cartListLength: body.cartList?.length,
-        amount_paid: body.amount_paid,
-        quantity: body.quantity,
-        userId: body.user?.id,
         decodedId: decoded.id,
+        paymentIntentId: body.paymentIntentId,
       });
 
-      // Create new order
-      const orderData = body;
+      // Orders are only created from a checkout payment (its server-stored pending cart)
+      if (!body.paymentIntentId || typeof body.paymentIntentId !== "string") {
+        return errorResponse("paymentIntentId is required", 400);
+      }
+
+      if (!stripe) {
+        return errorResponse("Payment service is not configured. Please contact support.", 500);
+      }
+
+      let paymentIntent;
+      try {
+        paymentIntent = await stripe.paymentIntents.retrieve(body.paymentIntentId);
+      } catch (stripeError) {
+        if (stripeError.type === "StripeInvalidRequestError") {
+          return errorResponse("Payment intent not found", 404);
+        }
+        throw stripeError;
+      }
 
-      // Verify the order belongs to the authenticated user
-      const userId = orderData.user?.id;
-      if (userId !== decoded.id) {
-        return errorResponse("Unauthorized: User ID mismatch", 403);
+      if (paymentIntent.metadata?.userId !== decoded.id) {
+        return errorResponse("Unauthorized: Payment does not belong to this user", 403);
       }
 
-      const order = await createOrder(orderData);
-      return successResponse(order, 201);
+      try {
+        const { order, created } = await fulfillPaymentIntent(paymentIntent);
+        return successResponse(order, created ? 201 : 200);
+      } catch (fulfillError) {
+        const message = fulfillError.message || "";
+        if (message.startsWith("Payment has not succeeded")) {
+          return errorResponse(message, 400);
+        }
+        if (message.startsWith("No pending cart")) {
+          return errorResponse(message, 404);
+        }
+        if (
+          message.startsWith("Payment amount does not match") ||
+          message.includes("Insufficient stock")
+        ) {
+          return errorResponse(message, 409);
+        }
+        throw fulfillError;
+      }
     }
 
     return errorResponse("Method not allowed. Use GET or POST.", 405);
@@ -0,0 +1,102 @@
+/**
+ * Cancel Checkout Lambda Function
+ *
+ * Cancels an unpaid payment intent and releases the stock reserved for it,
+ * so other customers can buy the books straight away (PaymentCancelPage).
+ *
+ * Endpoint: POST /payment/cancel/{paymentIntentId}
+ * Requires: Authentication (Bearer token)
+ *
+ * Response:
+ * {
+ *   "paymentIntentId": "pi_...",
+ *   "status": "canceled",
+ *   "released": true
+ * }
+ *
+ * A payment that already succeeded or is still processing is not cancelled and its
+ * reservation is kept - the webhook turns it into an order.
+ */
+
+const Stripe = require("stripe");
+const { requireAuth } = require("../../shared/auth");
+const { successResponse, errorResponse, handleOptions } = require("../../shared/response");
+const { getReservation, releaseReservation } = require("../../shared/reservations");
+
+// Initialize Stripe with secret key from environment
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || process.env.STRIPE_API_KEY);
+
+// Payment intent statuses that can no longer be cancelled by the customer
+const PAID_STATUSES = ["succeeded", "processing"];
+
+exports.handler = async (event, context) => {
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+
+  // Handle CORS preflight
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Authenticate user
+    const user = requireAuth(event);
+
+    // Get payment intent ID from path parameters
+    const paymentIntentId = event.pathParameters?.id || event.pathParameters?.paymentIntentId;
+
+    if (!paymentIntentId) {
+      return errorResponse("Payment intent ID is required in path", 400);
+    }
+
+    // Retrieve payment intent from Stripe
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    // Verify that this payment intent belongs to the authenticated user
+    const reservation = await getReservation(paymentIntentId);
+    const ownerId = reservation?.userId || paymentIntent.metadata?.userId;
+    if (ownerId !== user.id) {
+      return errorResponse("Payment intent does not belong to this user", 403);
+    }
+
+    if (PAID_STATUSES.includes(paymentIntent.status)) {
+      return successResponse(
+        { paymentIntentId, status: paymentIntent.status, released: false },
+        200
+      );
+    }
+
+    // Cancel first so the intent can't be paid after its stock was released
+    let status = paymentIntent.status;
+    if (status !== "canceled") {
+      const canceledIntent = await stripe.paymentIntents.cancel(paymentIntentId);
+      status = canceledIntent.status;
+    }
+
+    const { released } = await releaseReservation(paymentIntentId, "released");
+
+    return successResponse({ paymentIntentId, status, released }, 200);
+  } catch (error) {
+    console.error("Cancel Payment Error:", error);
+
+    // Handle Stripe-specific errors
+    if (error.type === "StripeInvalidRequestError") {
+      return errorResponse(
+        { message: error.message, error: "InvalidRequestError", code: error.code },
+        400
+      );
+    }
+
+    if (error.message?.includes("Unauthorized") || error.message?.includes("Invalid token")) {
+      return errorResponse({ message: error.message, error: "UnauthorizedError" }, 401);
+    }
+
+    return errorResponse(
+      { message: error.message || "Internal server error", error: error.name || "UnknownError" },
+      500
+    );
+  }
+};
@@ -6,11 +6,50 @@
  *
  * Endpoint: POST /payment/create-intent
  * Requires: Authentication (Bearer token)
+ *
+ * Request Body:
+ * {
+ *   "cartList": [{ "id": "...", "variantId": "paperback", "quantity": 2 }], // Only IDs and quantities are used
+ *   "couponCode": "SPRING25", // Optional
+ *   "shippingAddress": { "name": "...", "street1": "...", "city": "...", "state": "...", "zip": "...", "country": "US" }
+ * }
+ *
+ * The amount is never taken from the client: prices, stock, coupon discount, shipping
+ * and tax are calculated server-side (shared/pricing.js). The quote is stored against
+ * the payment intent as the pending cart: the webhook verifies the amount that was
+ * paid and creates the order from it (shared/checkout.js).
+ *
+ * Response:
+ * {
+ *   "clientSecret": "...",
+ *   "paymentIntentId": "pi_...",
+ *   "amount": 4498, // Cents
+ *   "currency": "usd",
+ *   "status": "requires_payment_method",
+ *   "quote": { "items": [...], "subtotal": 59.98, "discount": 15, "coupon": {...}, "shipping": 0, "tax": 0, "taxRate": 0, "total": 44.98, "currency": "usd" },
+ *   "reservationExpiresAt": "2026-01-01T00:15:00.000Z"
+ * }
+ *
+ * The books are reserved for the payment intent (shared/reservations.js) until it
+ * succeeds, the checkout is cancelled (POST /payment/cancel/{paymentIntentId}) or
+ * RESERVATION_TIMEOUT_MINUTES pass. If another checkout reserved the last copies
+ * first, the payment intent is cancelled and 400 is returned. If the quote can't be
+ * stored, the payment intent is cancelled and the reservation released, so the customer
+ * can never pay for a checkout the order can't be created from.
+ *
+ * The shipping address is validated and stored on the payment intent (Stripe `shipping`),
+ * so it survives 3D Secure redirects and is returned by GET /payment/verify/{paymentIntentId}.
+ *
+ * Publishes payment.processing (the customer is emailed that the payment is being processed).
  */
 
 const Stripe = require("stripe");
 const { requireAuth } = require("../../shared/auth");
 const { successResponse, errorResponse, handleOptions } = require("../../shared/response");
+const { validateAddress, toStripeShipping } = require("../../shared/addresses");
+const { calculateQuote, saveQuote, toPublicQuote } = require("../../shared/pricing");
+const { createReservation, releaseReservation } = require("../../shared/reservations");
+const { EVENTS, publishEvent } = require("../../shared/events");
 
 // Initialize Stripe with secret key from environment
 const stripeSecretKey = process.env.STRIPE_SECRET_KEY || process.env.STRIPE_API_KEY;
@@ -19,6 +58,20 @@ if (!stripeSecretKey) {
 }
 const stripe = stripeSecretKey ? new Stripe(stripeSecretKey) : null;
 
+/**
+ * Cancel a payment intent the checkout couldn't be completed for (never throws)
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} reason - What went wrong (for the log)
+ */
+async function cancelPaymentIntent(paymentIntentId, reason) {
+  try {
+    await stripe.paymentIntents.cancel(paymentIntentId);
+  } catch (cancelError) {
+    console.error(`Failed to cancel payment intent after ${reason}:`, cancelError);
+  }
+}
+
 exports.handler = async (event, context) => {
   const httpMethod = event.requestContext?.http?.method || event.httpMethod;
 
@@ -42,31 +95,116 @@ exports.handler = async (event, context) => {
     const user = requireAuth(event);
 
     // Parse request body
-    const body = JSON.parse(event.body || "{}");
-    const { amount, currency = "usd", metadata = {} } = body;
+    let body;
+    try {
+      body = JSON.parse(event.body || "{}");
+    } catch (parseError) {
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+    const { cartList, couponCode, shippingAddress } = body;
 
-    // Validate amount
-    if (!amount || typeof amount !== "number" || amount < 50) {
-      // Minimum $0.50 (50 cents)
-      return errorResponse("Invalid amount. Minimum is $0.50.", 400);
+    // Validate shipping address (required - every order ships to an address)
+    let address;
+    try {
+      address = validateAddress(shippingAddress);
+    } catch (addressError) {
+      return errorResponse(addressError.message, 400);
+    }
+
+    // Price the cart server-side (client-sent prices and amounts are ignored)
+    let quote;
+    try {
+      quote = await calculateQuote({
+        cartList: Array.isArray(cartList)
+          ? cartList.map((item) => ({ id: item?.id, variantId: item?.variantId, quantity: item?.quantity }))
+          : cartList,
+        shippingAddress: address,
+        couponCode,
+        userId: user.id,
+      });
+    } catch (quoteError) {
+      const message = quoteError.message || "";
+      if (
+        message.startsWith("Cart list") ||
+        message.startsWith("Invalid quantity") ||
+        message.startsWith("Product not found") ||
+        message.startsWith("Variant not found") ||
+        message.startsWith("Insufficient stock") ||
+        message.startsWith("Coupon") ||
+        message.startsWith("Order total")
+      ) {
+        return errorResponse(message, 400);
+      }
+      throw quoteError;
     }
 
     // Create payment intent with latest Stripe API
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount), // Amount in cents
-      currency: currency.toLowerCase(),
+      amount: quote.amount, // Amount in cents
+      currency: quote.currency,
       automatic_payment_methods: {
         enabled: true, // Enable all payment methods (cards, wallets, etc.)
       },
+      shipping: toStripeShipping(address),
       metadata: {
         userId: user.id,
         userEmail: user.email,
         userName: user.name || "Guest",
-        ...metadata,
+        itemCount: String(quote.items.length),
+        ...(quote.coupon && { couponCode: quote.coupon.code }),
       },
     });
 
-    // Return client secret for frontend
+    // Hold the books for this checkout so no one else can buy them while the customer pays
+    let reservation;
+    try {
+      reservation = await createReservation(paymentIntent.id, {
+        userId: user.id,
+        items: quote.items,
+      });
+    } catch (reservationError) {
+      // Don't leave a payable intent behind for stock we couldn't hold
+      await cancelPaymentIntent(paymentIntent.id, "reservation error");
+
+      const message = reservationError.message || "";
+      if (
+        message.startsWith("Insufficient stock") ||
+        message.startsWith("Product not found") ||
+        message.startsWith("Variant not found")
+      ) {
+        return errorResponse(message, 400);
+      }
+      throw reservationError;
+    }
+
+    // Store the quote - it's the pending cart the webhook creates the order from
+    try {
+      await saveQuote(paymentIntent.id, quote, {
+        userId: user.id,
+        userEmail: user.email,
+        userName: user.name || "Guest",
+        shippingAddress: address,
+      });
+    } catch (quoteError) {
+      // Without a pending cart a payment could never become an order - undo the checkout
+      await cancelPaymentIntent(paymentIntent.id, "quote error");
+      try {
+        await releaseReservation(paymentIntent.id);
+      } catch (releaseError) {
+        // The reservation expiry job releases it later
+        console.error("Failed to release reservation after quote error:", releaseError);
+      }
+      throw quoteError;
+    }
+
+    // Payment processing email to the customer (never throws)
+    await publishEvent(EVENTS.PAYMENT_PROCESSING, {
+      paymentIntentId: paymentIntent.id,
+      user: { id: user.id, email: user.email, name: user.name },
+      amount: quote.total,
+    });
+
+    // Return client secret and the itemized quote for the frontend
     return successResponse(
       {
         clientSecret: paymentIntent.client_secret,
@@ -74,6 +212,8 @@ exports.handler = async (event, context) => {
         amount: paymentIntent.amount,
         currency: paymentIntent.currency,
         status: paymentIntent.status,
+        quote: toPublicQuote(quote),
+        reservationExpiresAt: reservation.expiresAt,
       },
       200
     );
@@ -0,0 +1,68 @@
+/**
+ * Release Expired Reservations Lambda Function
+ *
+ * Scheduled (every 5 minutes, see template.yaml) - releases the stock of checkouts
+ * that weren't paid within RESERVATION_TIMEOUT_MINUTES and cancels their payment
+ * intents, so an abandoned checkout can't hold the last copy for long.
+ *
+ * Trigger: EventBridge schedule (no HTTP endpoint)
+ *
+ * A payment that succeeded or is still processing keeps its reservation - the
+ * webhook converts it into an order.
+ */
+
+const Stripe = require("stripe");
+const { getExpiredReservations, releaseReservation } = require("../../shared/reservations");
+
+// Initialize Stripe with secret key from environment
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || process.env.STRIPE_API_KEY);
+
+// Payment intent statuses that must not lose their reservation
+const PAID_STATUSES = ["succeeded", "processing"];
+
+/**
+ * Cancel the payment intent of an expired reservation and release its stock
+ *
+ * @param {Object} reservation - Expired active reservation
+ * @returns {Promise<string>} "expired", "skipped" (payment in progress) or "kept" (intent couldn't be cancelled)
+ */
+async function expireReservation(reservation) {
+  const { paymentIntentId } = reservation;
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (PAID_STATUSES.includes(paymentIntent.status)) {
+    return "skipped";
+  }
+
+  if (paymentIntent.status !== "canceled") {
+    try {
+      await stripe.paymentIntents.cancel(paymentIntentId);
+    } catch (cancelError) {
+      // Keep the reservation - the intent may still be paid; retried on the next run
+      console.error(`Failed to cancel payment intent ${paymentIntentId}:`, cancelError.message);
+      return "kept";
+    }
+  }
+
+  await releaseReservation(paymentIntentId, "expired");
+  return "expired";
+}
+
+exports.handler = async (event, context) => {
+  const reservations = await getExpiredReservations();
+  const summary = { found: reservations.length, expired: 0, skipped: 0, kept: 0, failed: 0 };
+
+  for (const reservation of reservations) {
+    try {
+      const outcome = await expireReservation(reservation);
+      summary[outcome] += 1;
+    } catch (error) {
+      // One bad reservation shouldn't stop the rest - it is picked up again on the next run
+      summary.failed += 1;
+      console.error(`Failed to expire reservation ${reservation.paymentIntentId}:`, error);
+    }
+  }
+
+  console.log("Expired reservations processed:", summary);
+  return summary;
+};
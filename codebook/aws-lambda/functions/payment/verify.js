@@ -11,6 +11,7 @@
 const Stripe = require("stripe");
 const { requireAuth } = require("../../shared/auth");
 const { successResponse, errorResponse, handleOptions } = require("../../shared/response");
+const { fromStripeShipping } = require("../../shared/addresses");
 
 // Initialize Stripe with secret key from environment
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || process.env.STRIPE_API_KEY);
@@ -54,6 +55,7 @@ exports.handler = async (event, context) => {
         amount: paymentIntent.amount,
         currency: paymentIntent.currency,
         metadata: paymentIntent.metadata,
+        shippingAddress: fromStripeShipping(paymentIntent.shipping),
       },
       200
     );
@@ -6,11 +6,21 @@
  *
  * Endpoint: POST /payment/webhook
  * Requires: Stripe webhook signature verification (no JWT auth)
+ *
+ * payment_intent.succeeded creates the order from the server-stored pending cart.
+ * Events are de-duplicated by Stripe event ID and orders by payment intent ID
+ * (payment idempotency table), so retries and duplicate deliveries create one order.
+ * The order converts the stock reservation made at checkout; payment_intent.canceled
+ * releases it (shared/reservations.js). payment_intent.payment_failed publishes
+ * payment.failed (the customer and the admin are emailed).
  */
 
 const Stripe = require("stripe");
 const { successResponse, errorResponse, handleOptions } = require("../../shared/response");
-const { createOrder, getOrdersByUserId } = require("../../shared/orders");
+const { fulfillPaymentIntent } = require("../../shared/checkout");
+const { isEventProcessed, markEventProcessed } = require("../../shared/idempotency");
+const { releaseReservation } = require("../../shared/reservations");
+const { EVENTS, publishEvent } = require("../../shared/events");
 
 // Initialize Stripe with secret key from environment
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || process.env.STRIPE_API_KEY);
@@ -26,62 +36,28 @@ if (!WEBHOOK_SECRET) {
 
 /**
  * Handle payment_intent.succeeded event
- * Updates order status if order exists, otherwise creates minimal order record
- * Note: Frontend creates the full order with cart items, webhook just ensures payment is recorded
+ * Creates the order from the pending cart stored with the payment intent.
+ * The webhook is the authoritative order creator - it works even if the customer
+ * closed the browser after paying. Safe to run more than once (see shared/checkout.js).
  */
 async function handlePaymentSuccess(paymentIntent) {
   try {
-    const { metadata, amount, currency, id: paymentIntentId } = paymentIntent;
-
-    // Extract order data from metadata
-    const userId = metadata?.userId;
-    const userEmail = metadata?.userEmail;
-    const userName = metadata?.userName || "Guest";
-
-    if (!userId) {
-      console.error("Missing userId in payment intent metadata");
-      return;
-    }
-
-    // Check if order with this paymentIntentId already exists
-    // Frontend creates order with full cart details, webhook just ensures payment is recorded
-    const userOrders = await getOrdersByUserId(userId);
-    const existingOrder = userOrders.find(
-      (order) => order.paymentIntentId === paymentIntentId
-    );
-
-    if (existingOrder) {
-      // Order already exists (created by frontend), just log
-      console.log(
-        `Order ${existingOrder.id} already exists for payment intent: ${paymentIntentId}`
-      );
-      return;
-    }
-
-    // If no order exists, create a minimal order record
-    // This is a fallback - normally frontend creates the order
-    const order = {
-      userId: userId,
-      amount_paid: amount / 100, // Convert cents to dollars
-      quantity: 0, // Will be updated if frontend creates order later
-      cartList: [], // Will be populated if frontend creates order later
-      user: {
-        id: userId,
-        email: userEmail,
-        name: userName,
-      },
-      paymentIntentId: paymentIntentId,
-      paymentStatus: "paid",
-      status: "pending",
-    };
-
-    // Create minimal order in DynamoDB
-    await createOrder(order);
-
+    const { order, created } = await fulfillPaymentIntent(paymentIntent);
     console.log(
-      `Minimal order created for payment intent: ${paymentIntentId} (frontend should create full order)`
+      created
+        ? `Order ${order?.id} created for payment intent: ${paymentIntent.id}`
+        : `Order ${order?.id} already exists for payment intent: ${paymentIntent.id}`
     );
   } catch (error) {
+    // Not retryable - Stripe redelivering the event won't change the outcome
+    if (
+      error.message?.startsWith("No pending cart") ||
+      error.message?.startsWith("Payment amount does not match")
+    ) {
+      console.error(`Cannot create order for payment intent ${paymentIntent.id}:`, error.message);
+      return;
+    }
+    // Anything else (e.g. insufficient stock, DynamoDB errors) fails the webhook so Stripe retries
     console.error("Error handling payment success:", error);
     throw error;
   }
@@ -89,10 +65,31 @@ async function handlePaymentSuccess(paymentIntent) {
 
 /**
  * Handle payment_intent.payment_failed event
+ * Emails the customer (from the payment intent metadata) and the admin.
+ * The reservation is kept - the customer can retry with another payment method.
  */
 async function handlePaymentFailure(paymentIntent) {
   console.log(`Payment failed for intent: ${paymentIntent.id}`);
-  // You might want to log this or send notification to admin
+  const { userId, userEmail, userName } = paymentIntent.metadata || {};
+
+  await publishEvent(EVENTS.PAYMENT_FAILED, {
+    paymentIntentId: paymentIntent.id,
+    user: { id: userId, email: userEmail, name: userName },
+    amount: (paymentIntent.amount || 0) / 100,
+    error: paymentIntent.last_payment_error?.message || "Payment failed",
+  });
+}
+
+/**
+ * Handle payment_intent.canceled event
+ * Releases the stock reserved for the checkout (no-op if it was already released).
+ */
+async function handlePaymentCanceled(paymentIntent) {
+  console.log(`Payment canceled: ${paymentIntent.id}`);
+  const { released } = await releaseReservation(paymentIntent.id, "released");
+  if (released) {
+    console.log(`Reserved stock released for payment intent: ${paymentIntent.id}`);
+  }
 }
 
 exports.handler = async (event, context) => {
@@ -141,6 +138,12 @@ exports.handler = async (event, context) => {
       return errorResponse(`Webhook signature verification failed: ${err.message}`, 400);
     }
 
+    // Skip events we've already handled (Stripe may deliver an event more than once)
+    if (await isEventProcessed(stripeEvent.id)) {
+      console.log(`Duplicate webhook event ignored: ${stripeEvent.id} (${stripeEvent.type})`);
+      return successResponse({ received: true, duplicate: true }, 200);
+    }
+
     // Handle different event types
     switch (stripeEvent.type) {
       case "payment_intent.succeeded":
@@ -152,13 +155,16 @@ exports.handler = async (event, context) => {
         break;
 
       case "payment_intent.canceled":
-        console.log(`Payment canceled: ${stripeEvent.data.object.id}`);
+        await handlePaymentCanceled(stripeEvent.data.object);
         break;
 
       default:
         console.log(`Unhandled event type: ${stripeEvent.type}`);
     }
 
+    // Only recorded once handling succeeded - a failed event is retried by Stripe
+    await markEventProcessed(stripeEvent);
+
     // Return success to Stripe
     return successResponse({ received: true }, 200);
   } catch (error) {
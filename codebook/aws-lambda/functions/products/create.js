@@ -9,19 +9,29 @@
  * Request Body:
  * {
  *   "name": "Product Name",
+ *   "sku": "BK-REACT-001",        // Optional, must be unique
  *   "price": 29.99,
  *   "overview": "Short description",
  *   "long_description": "Full description",
  *   "image_local": "/assets/image.jpg",
  *   "poster": "https://image.url",
  *   "in_stock": true,
- *   "best_seller": false
+ *   "best_seller": false,
+ *   "category": ["Programming", "JavaScript", "React"],
+ *   "tags": ["hooks", "frontend"],
+ *   "variants": [                  // Optional - one per format, each with its own SKU, price, stock and weight (grams)
+ *     { "format": "pdf", "sku": "BK-REACT-001-PDF", "price": 19.99 },
+ *     { "format": "paperback", "sku": "BK-REACT-001-PB", "price": 34.99, "stock": 40, "weight": 620 }
+ *   ]
  * }
+ *
+ * With variants, "price" can be left out - the product price is the cheapest variant.
  */
 
-const { createProduct } = require("../../shared/products");
+const { createProduct, getStockChanges } = require("../../shared/products");
 const { requireAuth } = require("../../shared/auth");
 const { logActivity } = require("../../shared/activityLog");
+const { emitStockEvents } = require("../../shared/stockAlerts");
 const {
   successResponse,
   errorResponse,
@@ -63,7 +73,8 @@ exports.handler = async (event, context) => {
     }
 
     // Validate required fields
-    if (!productData.name || !productData.price) {
+    const hasVariants = Array.isArray(productData.variants) && productData.variants.length > 0;
+    if (!productData.name || (!productData.price && !hasVariants)) {
       return errorResponse("Name and price are required", 400);
     }
 
@@ -106,6 +117,9 @@ exports.handler = async (event, context) => {
       // Don't throw - activity logging is non-critical
     });
 
+    // Admin alert if the product is created out of stock or below its threshold (never throws)
+    await emitStockEvents(getStockChanges(null, product));
+
     return successResponse(product, 201);
   } catch (error) {
     console.error("Product Create Error:", {
@@ -115,6 +129,16 @@ exports.handler = async (event, context) => {
       stack: error.stack,
     });
 
+    // Handle validation errors
+    if (
+      error.message?.startsWith("Invalid category") ||
+      error.message?.startsWith("Invalid tags") ||
+      error.message?.startsWith("Invalid SKU") ||
+      error.message?.startsWith("Invalid variants")
+    ) {
+      return errorResponse(error.message, 400);
+    }
+
     // Handle authentication errors
     if (error.message?.includes("Unauthorized") || error.message?.includes("Invalid token")) {
       return errorResponse({ message: error.message, error: "UnauthorizedError" }, 401);
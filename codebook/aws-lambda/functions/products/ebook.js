@@ -0,0 +1,176 @@
+/**
+ * AWS Lambda Function: Product eBook File
+ *
+ * This Lambda function manages the downloadable file (PDF/EPUB) of a product.
+ * Requires admin authentication.
+ *
+ * Endpoints:
+ * - POST /admin/products/{id}/ebook - Get a presigned upload URL
+ *     Request:  { "fileName": "clean-code.epub", "size": 1048576 }
+ *     Response: { "uploadUrl": "https://...", "key": "ebooks/{id}/...", "contentType": "application/epub+zip", "expiresIn": 900 }
+ *   The browser then PUTs the file to uploadUrl with that Content-Type.
+ * - PUT /admin/products/{id}/ebook - Attach the uploaded file to the product
+ *     Request:  { "key": "ebooks/{id}/...", "fileName": "clean-code.epub" }
+ *     Response: updated product (with ebookFile: { key, fileName, format, size, uploadedAt })
+ * - DELETE /admin/products/{id}/ebook - Detach the file (customers can no longer download it)
+ *
+ * The file is checked in storage before it is attached, so a failed upload never
+ * leaves the product pointing at a missing file.
+ */
+
+const { getProductById, setProductEbookFile } = require("../../shared/products");
+const {
+  normalizeEbookUpload,
+  createEbookUploadUrl,
+  getEbookFileInfo,
+} = require("../../shared/ebookStorage");
+const { requireAuth } = require("../../shared/auth");
+const { logActivity } = require("../../shared/activityLog");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+
+  // Handle CORS preflight request
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  if (!["POST", "PUT", "DELETE"].includes(httpMethod)) {
+    return errorResponse("Method not allowed. Use POST, PUT or DELETE.", 405);
+  }
+
+  try {
+    // Require admin authentication
+    const user = requireAuth(event);
+    if (user.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    const productId = event.pathParameters?.id;
+    if (!productId) {
+      return errorResponse("Product ID is required", 400);
+    }
+
+    const product = await getProductById(productId);
+    if (!product) {
+      return errorResponse("Product not found", 404);
+    }
+
+    // Parse request body
+    let body = {};
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    if (httpMethod === "POST") {
+      const upload = normalizeEbookUpload(body);
+      const result = await createEbookUploadUrl(productId, upload);
+      return successResponse(result, 200);
+    }
+
+    let updatedProduct;
+    let details;
+
+    if (httpMethod === "PUT") {
+      const key = String(body.key || "");
+      // Only keys issued for this product by the POST above
+      if (!key.startsWith(`ebooks/${productId}/`)) {
+        return errorResponse("Invalid eBook file: unknown upload key", 400);
+      }
+
+      const fileInfo = await getEbookFileInfo(key);
+      if (!fileInfo) {
+        return errorResponse("Invalid eBook file: the upload was not found. Please upload the file again.", 400);
+      }
+
+      const upload = normalizeEbookUpload({
+        fileName: body.fileName || key.split("/").pop(),
+        size: fileInfo.size,
+      });
+      updatedProduct = await setProductEbookFile(productId, {
+        key,
+        fileName: upload.fileName,
+        format: upload.format,
+        size: upload.size,
+      });
+      details = {
+        productName: product.name,
+        fileName: upload.fileName,
+        format: upload.format,
+        size: upload.size,
+        previousFileName: product.ebookFile?.fileName,
+      };
+    } else {
+      if (!product.ebookFile) {
+        return errorResponse("This product has no eBook file", 404);
+      }
+      updatedProduct = await setProductEbookFile(productId, null);
+      details = {
+        productName: product.name,
+        previousFileName: product.ebookFile.fileName,
+      };
+    }
+
+    // Log activity (non-blocking - don't fail if logging fails)
+    logActivity({
+      userId: user.id,
+      userEmail: user.email,
+      userName: user.name,
+      action: httpMethod === "PUT" ? "ebook_upload" : "ebook_remove",
+      entityType: "product",
+      entityId: productId,
+      details,
+    }).catch((logError) => {
+      console.error("Failed to log activity:", logError);
+      // Don't throw - activity logging is non-critical
+    });
+
+    return successResponse(updatedProduct, 200);
+  } catch (error) {
+    console.error("Product eBook Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid eBook file")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Handle not found errors
+    if (error.message?.startsWith("Product not found")) {
+      return errorResponse("Product not found", 404);
+    }
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
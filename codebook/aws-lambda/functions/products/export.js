@@ -0,0 +1,95 @@
+/**
+ * AWS Lambda Function: Product Export
+ *
+ * This Lambda function handles GET requests to download the full catalog.
+ * Requires admin authentication.
+ *
+ * Endpoint: GET /admin/products/export?format=csv
+ *
+ * Query Parameters:
+ * - format: "csv" (default) or "json"
+ *
+ * Response: the file itself (text/csv or application/json) with a
+ * Content-Disposition header. The columns are the ones POST /admin/products/import
+ * accepts, so an edited export can be imported again.
+ */
+
+const { exportProducts } = require("../../shared/productImport");
+const { requireAuth } = require("../../shared/auth");
+const {
+  corsHeaders,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+
+  // Handle CORS preflight request
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow GET method
+  if (httpMethod !== "GET") {
+    return errorResponse("Method not allowed. Use GET.", 405);
+  }
+
+  try {
+    // Require admin authentication
+    const user = requireAuth(event);
+    if (user.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    const format = String(event.queryStringParameters?.format || "csv").toLowerCase();
+    const { body, contentType, count } = await exportProducts(format);
+
+    const date = new Date().toISOString().slice(0, 10);
+    console.log(`Exported ${count} products as ${format}`);
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...corsHeaders,
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="codebook-products-${date}.${format}"`,
+      },
+      body,
+    };
+  } catch (error) {
+    console.error("Product Export Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid export")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,167 @@
+/**
+ * AWS Lambda Function: Product Import
+ *
+ * This Lambda function handles POST requests to create or update many products
+ * at once from a CSV or JSON file. Requires admin authentication.
+ *
+ * Endpoint: POST /admin/products/import
+ *
+ * Request Body:
+ * {
+ *   "format": "csv",                 // "csv" or "json"
+ *   "data": "id,sku,name,price,...", // CSV text, or JSON text / array of products
+ *   "mode": "upsert",                // "upsert" (default) or "create"
+ *   "dryRun": true                   // Validate and report only (default false)
+ * }
+ *
+ * Response:
+ * {
+ *   "dryRun": true,
+ *   "mode": "upsert",
+ *   "summary": { "total": 3, "valid": 2, "invalid": 1, "create": 1, "update": 1, "unchanged": 0 },
+ *   "warnings": [],
+ *   "rows": [{ "row": 1, "action": "create", "id": null, "sku": "BK-1", "name": "...", "changedFields": [...], "errors": [] }, ...]
+ * }
+ * A real import adds created/updated/failed to the summary and a status to every row.
+ * If any row is invalid nothing is written and the report is returned with status 400.
+ *
+ * See shared/productImport.js for the columns and matching rules.
+ */
+
+const { importProducts } = require("../../shared/productImport");
+const { getStockChanges } = require("../../shared/products");
+const { requireAuth } = require("../../shared/auth");
+const { logActivity } = require("../../shared/activityLog");
+const { notifyWishlistWatchers } = require("../../shared/wishlist");
+const { emitStockEvents } = require("../../shared/stockAlerts");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+
+  // Handle CORS preflight request
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow POST method
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Require admin authentication
+    const user = requireAuth(event);
+    if (user.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || "{}");
+    } catch (parseError) {
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    // Base URL for QR codes of new products (same sources as product create)
+    const baseUrl =
+      process.env.BASE_URL ||
+      body.baseUrl ||
+      event.headers?.origin ||
+      (event.headers?.["x-forwarded-host"]
+        ? `https://${event.headers["x-forwarded-host"]}`
+        : null);
+
+    const report = await importProducts({
+      format: String(body.format || "").toLowerCase(),
+      data: body.data,
+      mode: body.mode || "upsert",
+      dryRun: body.dryRun === true,
+      baseUrl,
+    });
+
+    if (report.dryRun) {
+      return successResponse(report, 200);
+    }
+
+    const { results, ...response } = report;
+
+    // Log activity (non-blocking - don't fail if logging fails)
+    logActivity({
+      userId: user.id,
+      userEmail: user.email,
+      userName: user.name,
+      action: "import",
+      entityType: "product",
+      entityId: "bulk",
+      details: {
+        format: body.format,
+        mode: report.mode,
+        totalRows: report.summary.total,
+        created: report.summary.created,
+        updated: report.summary.updated,
+        failed: report.summary.failed,
+      },
+    }).catch((logError) => {
+      console.error("Failed to log activity:", logError);
+      // Don't throw - activity logging is non-critical
+    });
+
+    // Stock alerts and wishlist emails, as for single creates/updates (never fail the import)
+    const written = results.filter((entry) => entry.status === "created" || entry.status === "updated");
+    await emitStockEvents(written.flatMap((entry) => getStockChanges(entry.existing, entry.product)));
+    for (const entry of written.filter((item) => item.existing)) {
+      try {
+        await notifyWishlistWatchers(entry.existing, entry.product);
+      } catch (notifyError) {
+        console.error("Failed to send wishlist alerts:", notifyError);
+      }
+    }
+
+    return successResponse(response, 200);
+  } catch (error) {
+    console.error("Product Import Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Invalid rows - return the report so the admin can fix the file
+    if (error.report) {
+      return errorResponse({ message: error.message, error: "ValidationError", ...error.report }, 400);
+    }
+
+    // Handle validation errors
+    if (error.message?.startsWith("Invalid import")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
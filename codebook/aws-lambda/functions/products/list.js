@@ -7,10 +7,27 @@
  *
  * Query Parameters:
  * - name_like (optional): Search term to filter products by name or overview
+ * - limit (optional): Page size (1-100). When present (or cursor is present), the
+ *   response is a page: { items, nextCursor, count } instead of a plain array
+ * - cursor (optional): nextCursor from the previous page
+ * - sort (optional): price | rating | createdAt
+ * - order (optional): asc | desc (default asc)
+ * - min_price, max_price (optional): Price range (inclusive)
+ * - min_rating (optional): Minimum rating (e.g. 4 = 4 stars & above)
+ * - best_seller (optional): "true" to only return best sellers
+ * - in_stock (optional): "true" to only return in-stock products
+ * - category (optional): Category slug - products in that category or any subcategory
+ * - categories (optional): Comma-separated category slugs (facet checkboxes, any match)
+ * - tags (optional): Comma-separated tags (facet checkboxes, any match)
+ * - facets (optional): "true" to add category/tag counts to the first page:
+ *   facets: { categories: [{ slug, name, count, children }], tags: [{ tag, count }] }
  *
  * Example requests:
  * - GET /products (returns all products)
  * - GET /products?name_like=book (returns products matching "book")
+ * - GET /products?limit=12&sort=price&order=desc&min_rating=4 (first page)
+ * - GET /products?limit=12&sort=price&order=desc&min_rating=4&cursor=eyJr... (next page)
+ * - GET /products?limit=12&category=javascript&tags=react,hooks&facets=true (category page with facets)
  *
  * How Lambda functions work:
  * 1. AWS API Gateway receives HTTP request
@@ -20,13 +37,31 @@
  * 5. API Gateway sends response back to client
  */
 
-const { getAllProducts } = require("../../shared/products");
+const { getAllProducts, listProducts } = require("../../shared/products");
+const { parseListParam } = require("../../shared/categories");
 const {
   successResponse,
   errorResponse,
   handleOptions,
 } = require("../../shared/response");
 
+/**
+ * Parse an optional numeric query parameter
+ *
+ * @param {string|undefined} value - Raw query string value
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {number|undefined} Parsed number or undefined if not provided
+ * @throws {Error} If value is present but not a number
+ */
+function parseNumberParam(value, name) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Invalid ${name}. Must be a number`);
+  }
+  return number;
+}
+
 /**
  * Lambda Handler Function
  *
@@ -83,13 +118,50 @@ exports.handler = async (event, context) => {
     // Extract search term from query parameters
     // HTTP API v2: queryStringParameters is an object (e.g., { name_like: 'book' })
     // If not available, parse from rawQueryString
-    let searchTerm = "";
-    if (event.queryStringParameters?.name_like) {
-      searchTerm = event.queryStringParameters.name_like;
-    } else if (event.rawQueryString) {
+    let query = event.queryStringParameters || {};
+    if (!event.queryStringParameters && event.rawQueryString) {
       // Parse from raw query string if queryStringParameters not available
-      const params = new URLSearchParams(event.rawQueryString);
-      searchTerm = params.get("name_like") || "";
+      query = Object.fromEntries(new URLSearchParams(event.rawQueryString));
+    }
+    const searchTerm = query.name_like || "";
+
+    // Paginated catalog request: return one page with a cursor for the next one
+    if (query.limit !== undefined || query.cursor !== undefined) {
+      let page;
+      try {
+        page = await listProducts({
+          limit: parseNumberParam(query.limit, "limit"),
+          cursor: query.cursor,
+          sortBy: query.sort,
+          order: query.order || "asc",
+          searchTerm,
+          includeFacets: query.facets === "true",
+          filters: {
+            minPrice: parseNumberParam(query.min_price, "min_price"),
+            maxPrice: parseNumberParam(query.max_price, "max_price"),
+            minRating: parseNumberParam(query.min_rating, "min_rating"),
+            bestSeller: query.best_seller === "true",
+            inStock: query.in_stock === "true",
+            category: query.category ? query.category.trim().toLowerCase() : undefined,
+            categories: parseListParam(query.categories),
+            tags: parseListParam(query.tags),
+          },
+        });
+      } catch (listError) {
+        if (listError.message?.startsWith("Invalid")) {
+          return errorResponse(listError.message, 400);
+        }
+        throw listError;
+      }
+
+      console.log("Products Page Success:", {
+        count: page.count,
+        hasNextPage: !!page.nextCursor,
+        sort: query.sort || "none",
+        searchTerm: searchTerm || "none",
+      });
+
+      return successResponse(page, 200);
     }
 
     // Get products from DynamoDB
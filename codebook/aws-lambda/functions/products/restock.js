@@ -0,0 +1,147 @@
+/**
+ * AWS Lambda Function: Product Restock
+ *
+ * This Lambda function handles POST requests to record a delivery of new copies.
+ * Requires admin authentication.
+ *
+ * Endpoint: POST /admin/products/{id}/restock
+ *
+ * Request Body:
+ * {
+ *   "quantity": 25,                        // Copies received (required)
+ *   "supplierNote": "PO-1042, O'Reilly",   // Optional
+ *   "cost": 412.5,                         // Total cost of the delivery in dollars (optional)
+ *   "variantId": "paperback"               // Variant received (required for products with variants)
+ * }
+ *
+ * Response:
+ * {
+ *   "product": { ...updated product },
+ *   "restock": { "quantityReceived": 25, "supplierNote": "...", "cost": 412.5, "variantId": "paperback", "oldStock": 2, "newStock": 27 }
+ * }
+ *
+ * The stock is incremented atomically and the restock (quantity received,
+ * supplier note and cost) is recorded in the activity log. Customers who
+ * wishlisted the book are emailed if it was out of stock.
+ */
+
+const { restockProduct, getProductById } = require("../../shared/products");
+const { requireAuth } = require("../../shared/auth");
+const { logActivity } = require("../../shared/activityLog");
+const { notifyWishlistWatchers } = require("../../shared/wishlist");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+
+  // Handle CORS preflight request
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow POST method
+  if (httpMethod !== "POST") {
+    return errorResponse("Method not allowed. Use POST.", 405);
+  }
+
+  try {
+    // Require admin authentication
+    const user = requireAuth(event);
+    if (user.role !== "admin") {
+      return errorResponse("Admin access required", 403);
+    }
+
+    // Extract product ID from path parameters
+    const productId = event.pathParameters?.id || event.pathParameters?.productId;
+    if (!productId) {
+      return errorResponse("Product ID is required in path", 400);
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || "{}");
+    } catch (parseError) {
+      return errorResponse("Invalid JSON in request body", 400);
+    }
+
+    const existingProduct = await getProductById(productId);
+    if (!existingProduct) {
+      return errorResponse("Product not found", 404);
+    }
+
+    const { product, restock } = await restockProduct(productId, body);
+
+    // Log activity (non-blocking - don't fail if logging fails)
+    logActivity({
+      userId: user.id,
+      userEmail: user.email,
+      userName: user.name,
+      action: "restock",
+      entityType: "product",
+      entityId: productId,
+      details: {
+        productName: product.name,
+        productId,
+        ...restock,
+      },
+    }).catch((logError) => {
+      console.error("Failed to log activity:", logError);
+      // Don't throw - activity logging is non-critical
+    });
+
+    // Back-in-stock wishlist alerts (don't fail the restock if emails can't be sent)
+    try {
+      await notifyWishlistWatchers(existingProduct, product);
+    } catch (notifyError) {
+      console.error("Failed to send wishlist alerts:", notifyError);
+    }
+
+    return successResponse({ product, restock }, 200);
+  } catch (error) {
+    console.error("Product Restock Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle validation errors
+    if (
+      error.message?.startsWith("Invalid restock") ||
+      error.message?.startsWith("Stock tracking is not enabled")
+    ) {
+      return errorResponse(error.message, 400);
+    }
+
+    if (error.message?.startsWith("Product not found")) {
+      return errorResponse("Product not found", 404);
+    }
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
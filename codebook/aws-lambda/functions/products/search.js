@@ -0,0 +1,212 @@
+/**
+ * AWS Lambda Function: Product Search
+ *
+ * Relevance-ranked full-text search and search-box suggestions (see shared/search.js).
+ *
+ * Endpoints:
+ * - GET /products/search?q=clean+code&limit=12&cursor=...
+ *   Query Parameters:
+ *   - q (required): Search text (typos and partial words are fine)
+ *   - limit (optional): Page size (1-100, default 12)
+ *   - cursor (optional): nextCursor from the previous page
+ *   - sort (optional): price | rating | createdAt (default: relevance)
+ *   - order (optional): asc | desc (default asc)
+ *   - min_price, max_price, min_rating, best_seller, in_stock, category, categories, tags (optional):
+ *     Same filters as GET /products
+ *   - facets (optional): "true" to add category/tag counts over the matches to the first page
+ *   Response: { query, items, nextCursor, count, total, facets? } - same page shape as GET /products
+ *
+ * - GET /products/autocomplete?q=clea&limit=5
+ *   Query Parameters:
+ *   - q (required): Text typed so far
+ *   - limit (optional): Max suggestions (1-10, default 5)
+ *   Response: { query, products: [{ id, name, price, poster, image_local }], terms: ["clean", ...] }
+ */
+
+const { searchProducts, suggestProducts } = require("../../shared/search");
+const { matchesCatalogFilter } = require("../../shared/products");
+const { parseListParam, buildFacets } = require("../../shared/categories");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+const SORT_FIELDS = ["price", "rating", "createdAt"];
+
+/**
+ * Parse an optional numeric query parameter
+ *
+ * @param {string|undefined} value - Raw query string value
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {number|undefined} Parsed number or undefined if not provided
+ * @throws {Error} If value is present but not a number
+ */
+function parseNumberParam(value, name) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Invalid ${name}. Must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Decode a search cursor (the offset of the next page)
+ *
+ * @param {string|undefined} cursor - Cursor from a previous page
+ * @returns {number} Offset (0 if no cursor)
+ * @throws {Error} If cursor is malformed
+ */
+function decodeOffset(cursor) {
+  if (!cursor) return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if (!Number.isInteger(offset) || offset < 0) throw new Error();
+    return offset;
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+}
+
+/**
+ * Handle GET /products/search
+ */
+async function handleSearch(query) {
+  const searchText = (query.q || "").trim();
+  if (!searchText) {
+    return errorResponse("Search query (q) is required", 400);
+  }
+
+  let page;
+  try {
+    if (query.sort && !SORT_FIELDS.includes(query.sort)) {
+      throw new Error(`Invalid sort. Must be one of: ${SORT_FIELDS.join(", ")}`);
+    }
+    const order = query.order || "asc";
+    if (order !== "asc" && order !== "desc") {
+      throw new Error("Invalid order. Must be asc or desc");
+    }
+
+    const filters = {
+      minPrice: parseNumberParam(query.min_price, "min_price"),
+      maxPrice: parseNumberParam(query.max_price, "max_price"),
+      minRating: parseNumberParam(query.min_rating, "min_rating"),
+      bestSeller: query.best_seller === "true",
+      inStock: query.in_stock === "true",
+      category: query.category ? query.category.trim().toLowerCase() : undefined,
+      categories: parseListParam(query.categories),
+      tags: parseListParam(query.tags),
+    };
+
+    const offset = decodeOffset(query.cursor);
+    page = await searchProducts(searchText, {
+      limit: parseNumberParam(query.limit, "limit"),
+      offset,
+      sortBy: query.sort,
+      order,
+      filter: (product) => matchesCatalogFilter(product, filters),
+      facets:
+        query.facets === "true" && offset === 0
+          ? (matches) => buildFacets(matches, filters, matchesCatalogFilter)
+          : undefined,
+    });
+  } catch (searchError) {
+    if (searchError.message?.startsWith("Invalid")) {
+      return errorResponse(searchError.message, 400);
+    }
+    throw searchError;
+  }
+
+  console.log("Product Search Success:", {
+    query: searchText,
+    total: page.total,
+    count: page.items.length,
+  });
+
+  return successResponse(
+    {
+      query: searchText,
+      items: page.items,
+      nextCursor:
+        page.nextOffset !== null
+          ? Buffer.from(JSON.stringify({ offset: page.nextOffset })).toString("base64url")
+          : null,
+      count: page.items.length,
+      total: page.total,
+      ...(page.facets && { facets: page.facets }),
+    },
+    200
+  );
+}
+
+/**
+ * Handle GET /products/autocomplete
+ */
+async function handleAutocomplete(query) {
+  const searchText = (query.q || "").trim();
+  if (!searchText) {
+    return successResponse({ query: "", products: [], terms: [] }, 200);
+  }
+
+  let limit;
+  try {
+    limit = parseNumberParam(query.limit, "limit");
+  } catch (parseError) {
+    return errorResponse(parseError.message, 400);
+  }
+
+  const suggestions = await suggestProducts(searchText, limit);
+  return successResponse({ query: searchText, ...suggestions }, 200);
+}
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object containing request information
+ * @param {object} context - Lambda context object (runtime information)
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  // Handle both HTTP API v2 and REST API formats for compatibility
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.requestContext?.http?.path || event.path || "";
+
+  // Handle CORS preflight request (OPTIONS)
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  // Only allow GET method
+  if (httpMethod !== "GET") {
+    return errorResponse("Method not allowed. Use GET.", 405);
+  }
+
+  try {
+    let query = event.queryStringParameters || {};
+    if (!event.queryStringParameters && event.rawQueryString) {
+      query = Object.fromEntries(new URLSearchParams(event.rawQueryString));
+    }
+
+    if (path.endsWith("/autocomplete")) {
+      return await handleAutocomplete(query);
+    }
+    return await handleSearch(query);
+  } catch (error) {
+    console.error("Product Search Error:", {
+      message: error.message,
+      name: error.name,
+      code: error.code,
+      stack: error.stack,
+    });
+
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+        code: error.code || "NO_CODE",
+      },
+      500
+    );
+  }
+};
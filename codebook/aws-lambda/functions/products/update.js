@@ -13,11 +13,20 @@
  *   "in_stock": false,
  *   ... (any fields to update)
  * }
+ *
+ * "variants" replaces the whole variant list ([] removes it); price, stock and
+ * in_stock of a product with variants are derived from its variants.
+ *
+ * Customers who wishlisted the book are emailed when it comes back in stock
+ * or its price drops. Admins are emailed when the new stock falls below the
+ * low-stock threshold or reaches zero.
  */
 
-const { updateProduct, getProductById } = require("../../shared/products");
+const { updateProduct, getProductById, getStockChanges } = require("../../shared/products");
 const { requireAuth } = require("../../shared/auth");
 const { logActivity } = require("../../shared/activityLog");
+const { notifyWishlistWatchers } = require("../../shared/wishlist");
+const { emitStockEvents } = require("../../shared/stockAlerts");
 const {
   successResponse,
   errorResponse,
@@ -130,6 +139,16 @@ exports.handler = async (event, context) => {
       // Don't throw - activity logging is non-critical
     });
 
+    // Wishlist alerts (don't fail the update if emails can't be sent)
+    try {
+      await notifyWishlistWatchers(existingProduct, updatedProduct);
+    } catch (notifyError) {
+      console.error("Failed to send wishlist alerts:", notifyError);
+    }
+
+    // Low-stock / out-of-stock admin alert (never throws)
+    await emitStockEvents(getStockChanges(existingProduct, updatedProduct));
+
     return successResponse(updatedProduct, 200);
   } catch (error) {
     console.error("Product Update Error:", {
@@ -139,6 +158,16 @@ exports.handler = async (event, context) => {
       stack: error.stack,
     });
 
+    // Handle validation errors
+    if (
+      error.message?.startsWith("Invalid category") ||
+      error.message?.startsWith("Invalid tags") ||
+      error.message?.startsWith("Invalid SKU") ||
+      error.message?.startsWith("Invalid variants")
+    ) {
+      return errorResponse(error.message, 400);
+    }
+
     // Handle authentication errors
     if (error.message?.includes("Unauthorized") || error.message?.includes("Invalid token")) {
       return errorResponse({ message: error.message, error: "UnauthorizedError" }, 401);
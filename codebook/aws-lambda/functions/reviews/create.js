@@ -4,12 +4,22 @@
  *
  * Creates a new product review.
  * Requires authentication - user must have ordered the product.
+ *
+ * Request Body:
+ * {
+ *   "productId": "...",
+ *   "orderId": "...",
+ *   "rating": 5,
+ *   "comment": "...",
+ *   "images": ["https://..."] // Optional, up to 4 image URLs uploaded via imageService
+ * }
  */
 
 const { createResponse } = require("../../shared/response");
 const { verifyAuth } = require("../../shared/auth");
 const { createReview } = require("../../shared/reviews");
 const { getOrderById } = require("../../shared/orders");
+const { EVENTS, publishEvent } = require("../../shared/events");
 
 exports.handler = async (event) => {
   try {
@@ -34,7 +44,7 @@ exports.handler = async (event) => {
       });
     }
 
-    const { productId, orderId, rating, comment } = body;
+    const { productId, orderId, rating, comment, images } = body;
 
     // Validate required fields
     if (!productId || !orderId || !rating || !comment) {
@@ -82,16 +92,40 @@ exports.handler = async (event) => {
       orderId,
       rating,
       comment,
+      images,
       userName: userName || order.user?.name || "Customer",
       userEmail: userEmail || order.user?.email || "",
     });
 
+    // Tell the admins when the review waits for moderation (never throws)
+    await publishEvent(EVENTS.REVIEW_CREATED, { review });
+
     return createResponse(201, {
-      message: "Review created successfully",
+      message:
+        review.status === "pending"
+          ? "Review submitted and awaiting moderation"
+          : "Review created successfully",
       review,
     });
   } catch (error) {
     console.error("Error creating review:", error);
+
+    // One review per customer and product
+    if (
+      error.message === "You have already reviewed this product" ||
+      error.message === "Your review of this product is awaiting moderation"
+    ) {
+      return createResponse(409, {
+        error: error.message,
+      });
+    }
+
+    if (error.message?.startsWith("Invalid images")) {
+      return createResponse(400, {
+        error: error.message,
+      });
+    }
+
     return createResponse(500, {
       error: "Failed to create review",
       message: error.message,
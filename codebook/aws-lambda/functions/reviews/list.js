@@ -1,13 +1,27 @@
 /**
  * AWS Lambda - Get Reviews by Product ID
- * GET /reviews?productId=xxx
+ * GET /reviews?productId=xxx&sort=helpful
  *
- * Returns all approved reviews for a specific product.
- * Public endpoint - no authentication required.
+ * Returns all approved reviews for a specific product with rating stats
+ * (average, count and a per-star histogram).
+ * Public endpoint - no authentication required. With a token, each review
+ * includes the caller's own helpful/unhelpful vote as myVote and isMine for
+ * the caller's own review. Reviews only carry public fields (see toPublicReview).
+ *
+ * Query Parameters:
+ * - productId: Product ID (required)
+ * - sort: newest (default), oldest, helpful, highest, lowest
  */
 
 const { createResponse } = require("../../shared/response");
-const { getReviewsByProductId, getProductRatingStats } = require("../../shared/reviews");
+const { verifyAuth } = require("../../shared/auth");
+const {
+  REVIEW_SORTS,
+  getReviewsByProductId,
+  getProductRatingStats,
+  sortReviews,
+  toPublicReview,
+} = require("../../shared/reviews");
 
 exports.handler = async (event) => {
   try {
@@ -24,22 +38,30 @@ exports.handler = async (event) => {
       });
     }
 
+    const sort = event.queryStringParameters?.sort || "newest";
+    if (!REVIEW_SORTS.includes(sort)) {
+      return createResponse(400, {
+        error: `Invalid sort. Must be one of: ${REVIEW_SORTS.join(", ")}`,
+      });
+    }
+
+    // Optional: signed-in callers see their own votes
+    const authResult = verifyAuth(event);
+    const userId = authResult.valid ? authResult.userId : null;
+
     console.log("ReviewsListFunction - Fetching reviews for productId:", productId);
     // Get reviews for the product (only approved reviews)
     const reviews = await getReviewsByProductId(productId, "approved");
     console.log("ReviewsListFunction - Reviews fetched:", reviews.length);
 
     console.log("ReviewsListFunction - Calculating rating stats");
-    // Get rating statistics
-    const ratingStats = await getProductRatingStats(productId);
+    // Get rating statistics (from the reviews already loaded)
+    const ratingStats = await getProductRatingStats(productId, reviews);
     console.log("ReviewsListFunction - Rating stats:", ratingStats);
 
-    // Sort reviews by createdAt (newest first)
-    reviews.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
     console.log("ReviewsListFunction - Returning success response");
     return createResponse(200, {
-      reviews,
+      reviews: sortReviews(reviews, sort).map((review) => toPublicReview(review, userId)),
       ratingStats,
     });
   } catch (error) {
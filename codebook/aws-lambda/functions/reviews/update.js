@@ -4,11 +4,14 @@
  *
  * Updates an existing review.
  * Requires authentication - user can update their own review, admin can update any review.
+ * A changed comment goes through moderation again (may be held as "pending").
  */
 
 const { createResponse } = require("../../shared/response");
 const { verifyAuth } = require("../../shared/auth");
 const { getReviewById, updateReview } = require("../../shared/reviews");
+const { moderateComment } = require("../../shared/reviewModeration");
+const { EVENTS, publishEvent } = require("../../shared/events");
 
 exports.handler = async (event) => {
   try {
@@ -56,7 +59,7 @@ exports.handler = async (event) => {
       });
     }
 
-    // Only allow updating rating and comment (not status - that's admin only)
+    // Only allow updating rating, comment and images (not status - that's admin only)
     const updates = {};
     if (body.rating !== undefined) {
       updates.rating = body.rating;
@@ -64,6 +67,9 @@ exports.handler = async (event) => {
     if (body.comment !== undefined) {
       updates.comment = body.comment;
     }
+    if (body.images !== undefined) {
+      updates.images = body.images;
+    }
 
     if (Object.keys(updates).length === 0) {
       return createResponse(400, {
@@ -71,15 +77,46 @@ exports.handler = async (event) => {
       });
     }
 
+    // Re-run moderation when the comment changes, so an approved review can't
+    // be edited into spam. A rejected review goes back to the queue for an admin.
+    let moderation = {};
+    if (updates.comment !== undefined && updates.comment.trim() !== existingReview.comment) {
+      const result = await moderateComment(updates.comment, { reviewId });
+      updates.status = existingReview.status === "rejected" ? "pending" : result.status;
+      moderation = {
+        flagged: result.flagged,
+        moderationReasons: result.moderationReasons,
+        commentHash: result.commentHash,
+      };
+    }
+
     // Update the review
-    const updatedReview = await updateReview(reviewId, updates);
+    const updatedReview = await updateReview(reviewId, updates, moderation);
+
+    // A held edit goes back to the admins' moderation queue (never throws)
+    if (updatedReview.status === "pending" && existingReview.status !== "pending") {
+      await publishEvent(EVENTS.REVIEW_STATUS_CHANGED, {
+        review: updatedReview,
+        previousStatus: existingReview.status,
+      });
+    }
 
     return createResponse(200, {
-      message: "Review updated successfully",
+      message:
+        updatedReview.status === "pending"
+          ? "Review updated and awaiting moderation"
+          : "Review updated successfully",
       review: updatedReview,
     });
   } catch (error) {
     console.error("Error updating review:", error);
+
+    if (error.message?.startsWith("Invalid images")) {
+      return createResponse(400, {
+        error: error.message,
+      });
+    }
+
     return createResponse(500, {
       error: "Failed to update review",
       message: error.message,
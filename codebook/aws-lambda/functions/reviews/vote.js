@@ -0,0 +1,89 @@
+/**
+ * AWS Lambda - Vote on a Review
+ * POST /reviews/:id/vote
+ *
+ * Marks a published review as helpful or unhelpful. One vote per user:
+ * voting again changes the vote, null removes it. Customers can't vote on
+ * their own reviews.
+ * Requires authentication.
+ *
+ * Request Body:
+ * {
+ *   "vote": "helpful" // helpful, unhelpful, or null to remove the vote
+ * }
+ */
+
+const { createResponse } = require("../../shared/response");
+const { verifyAuth } = require("../../shared/auth");
+const { voteOnReview, toPublicReview } = require("../../shared/reviews");
+
+exports.handler = async (event) => {
+  try {
+    // Verify authentication
+    const authResult = verifyAuth(event);
+    if (!authResult.valid) {
+      return createResponse(401, {
+        error: "Unauthorized",
+        message: authResult.error,
+      });
+    }
+
+    const { userId } = authResult;
+
+    // Get review ID from path parameters
+    const reviewId = event.pathParameters?.id;
+    if (!reviewId) {
+      return createResponse(400, {
+        error: "Review ID is required",
+      });
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || "{}");
+    } catch (parseError) {
+      return createResponse(400, {
+        error: "Invalid JSON in request body",
+      });
+    }
+
+    if (body.vote === undefined) {
+      return createResponse(400, {
+        error: "vote is required (helpful, unhelpful, or null)",
+      });
+    }
+
+    const review = await voteOnReview(reviewId, userId, body.vote);
+
+    return createResponse(200, {
+      message: body.vote ? "Vote saved" : "Vote removed",
+      review: toPublicReview(review, userId),
+    });
+  } catch (error) {
+    console.error("Error voting on review:", error);
+
+    if (error.message === "Review not found") {
+      return createResponse(404, {
+        error: error.message,
+      });
+    }
+
+    if (error.message === "You cannot vote on your own review") {
+      return createResponse(403, {
+        error: error.message,
+      });
+    }
+
+    if (error.message?.startsWith("Invalid vote")) {
+      return createResponse(400, {
+        error: error.message,
+      });
+    }
+
+    return createResponse(500, {
+      error: "Failed to save vote",
+      message: error.message,
+    });
+  }
+};
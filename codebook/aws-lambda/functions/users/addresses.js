@@ -0,0 +1,165 @@
+/**
+ * AWS Lambda Function: User Address Book
+ *
+ * This Lambda function manages the authenticated user's saved shipping addresses.
+ *
+ * Endpoints:
+ * - GET /addresses - List saved addresses (with default flag)
+ * - POST /addresses - Add an address
+ * - PUT /addresses/{id} - Update an address (or only make it the default)
+ * - DELETE /addresses/{id} - Delete an address
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ *
+ * POST/PUT Request Body:
+ * {
+ *   "name": "Jane Doe",
+ *   "street1": "965 Mission St",
+ *   "street2": "Suite 400",
+ *   "city": "San Francisco",
+ *   "state": "CA",
+ *   "zip": "94103",
+ *   "country": "US",
+ *   "phone": "+1 555 123 4567",
+ *   "isDefault": true // Optional: make this the default address
+ * }
+ *
+ * PUT with only { "isDefault": true } makes the address the default without editing it.
+ *
+ * Response:
+ * {
+ *   "addresses": [{ "id": "...", ..., "isDefault": true }],
+ *   "defaultAddressId": "...",
+ *   "address": { ... } // POST/PUT only: the saved address
+ * }
+ */
+
+const {
+  getUserAddresses,
+  addUserAddress,
+  updateUserAddress,
+  setDefaultAddress,
+  deleteUserAddress,
+} = require("../../shared/users");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+// Address fields accepted in the request body (everything else is ignored)
+const ADDRESS_FIELDS = ["name", "street1", "street2", "city", "state", "zip", "country", "phone"];
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  console.log("User Addresses Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+    pathParameters: event.pathParameters,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  try {
+    // Require authentication - users can only manage their own address book
+    const decoded = requireAuth(event);
+    const addressId = event.pathParameters?.id;
+
+    if (httpMethod === "GET") {
+      const result = await getUserAddresses(decoded.id);
+      return successResponse(result, 200);
+    }
+
+    if (httpMethod === "DELETE") {
+      if (!addressId) {
+        return errorResponse("Address ID is required", 400);
+      }
+      const result = await deleteUserAddress(decoded.id, addressId);
+      return successResponse(result, 200);
+    }
+
+    if (httpMethod === "POST" || httpMethod === "PUT") {
+      // Parse request body
+      let body;
+      try {
+        body = event.body ? JSON.parse(event.body) : {};
+      } catch (parseError) {
+        console.error("JSON parse error:", parseError);
+        return errorResponse("Invalid JSON in request body", 400);
+      }
+
+      const makeDefault = body.isDefault === true;
+      const hasAddressFields = ADDRESS_FIELDS.some((field) => body[field] !== undefined);
+
+      if (httpMethod === "POST") {
+        const result = await addUserAddress(decoded.id, body, makeDefault);
+        return successResponse(result, 201);
+      }
+
+      if (!addressId) {
+        return errorResponse("Address ID is required", 400);
+      }
+
+      // PUT { isDefault: true } only changes the default address
+      if (!hasAddressFields) {
+        if (!makeDefault) {
+          return errorResponse("No address fields provided", 400);
+        }
+        const result = await setDefaultAddress(decoded.id, addressId);
+        return successResponse(result, 200);
+      }
+
+      const result = await updateUserAddress(decoded.id, addressId, body, makeDefault);
+      return successResponse(result, 200);
+    }
+
+    return errorResponse("Method not allowed. Use GET, POST, PUT or DELETE.", 405);
+  } catch (error) {
+    console.error("User Addresses Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle not found errors
+    if (error.message === "User not found" || error.message === "Address not found") {
+      return errorResponse(error.message, 404);
+    }
+
+    // Handle validation errors
+    if (
+      error.message?.startsWith("Invalid shipping address") ||
+      error.message?.startsWith("Address book is full")
+    ) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,131 @@
+/**
+ * AWS Lambda Function: User Wishlist
+ *
+ * This Lambda function manages the authenticated user's wishlist (books saved for later).
+ *
+ * Endpoints:
+ * - GET /wishlist - List wishlisted books with current product data
+ * - POST /wishlist - Add a book ({ "productId": "..." })
+ * - DELETE /wishlist/{productId} - Remove a book
+ *
+ * Authentication: Required (Bearer token in Authorization header)
+ *
+ * Response:
+ * {
+ *   "items": [{ "productId": "...", "addedAt": "...", "priceWhenAdded": 29.99, "product": { ... } }],
+ *   "productIds": ["..."]
+ * }
+ *
+ * The customer is emailed when a wishlisted book comes back in stock or its price drops.
+ */
+
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+} = require("../../shared/wishlist");
+const { requireAuth } = require("../../shared/auth");
+const {
+  successResponse,
+  errorResponse,
+  handleOptions,
+} = require("../../shared/response");
+
+/**
+ * Lambda Handler Function
+ *
+ * @param {object} event - Lambda event object from HTTP API
+ * @param {object} context - Lambda context object
+ * @returns {Promise<object>} Lambda response object
+ */
+exports.handler = async (event, context) => {
+  console.log("User Wishlist Lambda invoked:", {
+    method: event.requestContext?.http?.method || event.httpMethod,
+    path: event.requestContext?.http?.path || event.path,
+    pathParameters: event.pathParameters,
+  });
+
+  // Handle CORS preflight request (OPTIONS)
+  const httpMethod = event.requestContext?.http?.method || event.httpMethod;
+  if (httpMethod === "OPTIONS") {
+    return handleOptions();
+  }
+
+  try {
+    // Require authentication - users can only manage their own wishlist
+    const decoded = requireAuth(event);
+
+    if (httpMethod === "GET") {
+      const result = await getWishlist(decoded.id);
+      return successResponse(result, 200);
+    }
+
+    if (httpMethod === "POST") {
+      // Parse request body
+      let body;
+      try {
+        body = event.body ? JSON.parse(event.body) : {};
+      } catch (parseError) {
+        console.error("JSON parse error:", parseError);
+        return errorResponse("Invalid JSON in request body", 400);
+      }
+
+      if (!body.productId || typeof body.productId !== "string") {
+        return errorResponse("productId is required", 400);
+      }
+
+      const { item, created } = await addToWishlist(decoded, body.productId);
+      return successResponse(
+        {
+          message: created ? "Added to wishlist" : "Already in wishlist",
+          item,
+        },
+        created ? 201 : 200
+      );
+    }
+
+    if (httpMethod === "DELETE") {
+      const productId = event.pathParameters?.productId;
+      if (!productId) {
+        return errorResponse("Product ID is required", 400);
+      }
+      await removeFromWishlist(decoded.id, productId);
+      return successResponse({ message: "Removed from wishlist", productId }, 200);
+    }
+
+    return errorResponse("Method not allowed. Use GET, POST or DELETE.", 405);
+  } catch (error) {
+    console.error("User Wishlist Error:", {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    });
+
+    // Handle authentication errors
+    if (
+      error.message === "No token provided" ||
+      error.message === "Invalid token"
+    ) {
+      return errorResponse("Unauthorized", 401);
+    }
+
+    // Handle not found errors
+    if (error.message === "Product not found") {
+      return errorResponse(error.message, 404);
+    }
+
+    // Handle validation errors
+    if (error.message?.startsWith("Wishlist is full")) {
+      return errorResponse(error.message, 400);
+    }
+
+    // Return error response
+    return errorResponse(
+      {
+        message: error.message || "Internal server error",
+        error: error.name || "UnknownError",
+      },
+      500
+    );
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * AWS Lambda - Account Email Helper Functions
+ *
+ * Creates the single-use token (see shared/authTokens.js) and emails the link
+ * with sendTemplateEmail (shared/emailSender.js).
+ *
+ * Links point at the frontend, which calls the API with the token:
+ * - /login?verify=<token>          -> POST /auth/verify-email
+ * - /reset-password?token=<token>  -> POST /auth/reset-password
+ */
+
+const { TOKEN_TYPES, createAuthToken } = require("./authTokens");
+const { sendTemplateEmail } = require("./emailSender");
+
+// Frontend base URL for links in emails (no trailing slash)
+const FRONTEND_URL = (process.env.FRONTEND_URL || "https://codebook-aws.vercel.app").replace(
+  /\/+$/,
+  ""
+);
+
+/**
+ * Send the email verification link to a user
+ *
+ * @param {Object} user - User ({ id, email, name })
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = await createAuthToken(user.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+  await sendTemplateEmail(user.email, "email-verification", {
+    customerName: user.name,
+    verifyUrl: `${FRONTEND_URL}/login?verify=${encodeURIComponent(token)}`,
+  });
+  console.log("Verification email sent:", { userId: user.id });
+}
+
+/**
+ * Send the password reset link to a user
+ *
+ * @param {Object} user - User ({ id, email, name })
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(user) {
+  const token = await createAuthToken(user.id, TOKEN_TYPES.PASSWORD_RESET);
+  await sendTemplateEmail(user.email, "password-reset", {
+    customerName: user.name,
+    resetUrl: `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`,
+  });
+  console.log("Password reset email sent:", { userId: user.id });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
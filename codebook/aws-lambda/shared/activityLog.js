@@ -25,7 +25,7 @@ async function getUuid() {
  * @param {string} activityData.userId - User ID who performed the action (admin)
  * @param {string} activityData.userEmail - User email (for display)
  * @param {string} activityData.userName - User name (for display)
- * @param {string} activityData.action - Action type (create, update, delete, status_change)
+ * @param {string} activityData.action - Action type (create, update, delete, status_change, restock, import, ebook_upload, ebook_remove)
  * @param {string} activityData.entityType - Entity type (order, product, user)
  * @param {string} activityData.entityId - Entity ID (UUID)
  * @param {Object} activityData.details - Additional details (status change, field updates, etc.)
@@ -57,7 +57,7 @@ async function logActivity(activityData) {
       userId,
       userEmail: userEmail || null,
       userName: userName || null,
-      action, // create, update, delete, status_change
+      action, // create, update, delete, status_change, restock, import, ebook_upload, ebook_remove
       entityType, // order, product, user
       entityId,
       details: JSON.stringify(details), // Store as JSON string for DynamoDB
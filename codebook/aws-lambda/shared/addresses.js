@@ -0,0 +1,188 @@
+/**
+ * AWS Lambda - Address Helper Functions
+ *
+ * Validation and normalization for shipping addresses.
+ * Used by the user address book (shared/users.js), order creation
+ * (shared/orders.js) and the payment intent (Stripe `shipping` field).
+ *
+ * Address shape (matches what Shippo expects in generate-label.js):
+ * {
+ *   "name": "Jane Doe",
+ *   "street1": "965 Mission St",
+ *   "street2": "Suite 400",   // optional
+ *   "city": "San Francisco",
+ *   "state": "CA",            // required for countries with states
+ *   "zip": "94103",
+ *   "country": "US",          // ISO 3166-1 alpha-2
+ *   "phone": "+1 555 123 4567" // optional
+ * }
+ */
+
+// Countries we ship to. Countries with a `states` list require a valid state code.
+// Keep in sync with src/utils/addresses.js (checkout form options)
+const SUPPORTED_COUNTRIES = {
+  US: {
+    name: "United States",
+    zipPattern: /^\d{5}(-\d{4})?$/,
+    states: [
+      "AL", "AK", "AZ", "AR", "CA", "CO", "CT", "DE", "DC", "FL", "GA", "HI",
+      "ID", "IL", "IN", "IA", "KS", "KY", "LA", "ME", "MD", "MA", "MI", "MN",
+      "MS", "MO", "MT", "NE", "NV", "NH", "NJ", "NM", "NY", "NC", "ND", "OH",
+      "OK", "OR", "PA", "RI", "SC", "SD", "TN", "TX", "UT", "VT", "VA", "WA",
+      "WV", "WI", "WY", "PR",
+    ],
+  },
+  CA: {
+    name: "Canada",
+    zipPattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+    states: ["AB", "BC", "MB", "NB", "NL", "NS", "NT", "NU", "ON", "PE", "QC", "SK", "YT"],
+  },
+  GB: {
+    name: "United Kingdom",
+    zipPattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  },
+  DE: {
+    name: "Germany",
+    zipPattern: /^\d{5}$/,
+  },
+  AU: {
+    name: "Australia",
+    zipPattern: /^\d{4}$/,
+    states: ["ACT", "NSW", "NT", "QLD", "SA", "TAS", "VIC", "WA"],
+  },
+};
+
+const MAX_FIELD_LENGTH = 100;
+
+/**
+ * Trim a string field (non-strings become empty strings)
+ *
+ * @param {*} value - Raw field value
+ * @returns {string} Trimmed string
+ */
+function cleanField(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * Validate and normalize a shipping address
+ *
+ * How it works:
+ * 1. Trims every field and upper-cases country/state/zip
+ * 2. Checks required fields (name, street1, city, zip, country)
+ * 3. Checks the country is supported and the state/zip match that country
+ * 4. Returns a clean address object containing only known fields
+ *
+ * @param {Object} input - Address from request body
+ * @returns {Object} Normalized address
+ * @throws {Error} "Invalid shipping address: ..." describing every invalid field
+ */
+function validateAddress(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("Invalid shipping address: address is required");
+  }
+
+  const address = {
+    name: cleanField(input.name),
+    street1: cleanField(input.street1),
+    street2: cleanField(input.street2),
+    city: cleanField(input.city),
+    state: cleanField(input.state).toUpperCase(),
+    zip: cleanField(input.zip).toUpperCase(),
+    country: cleanField(input.country || "US").toUpperCase(),
+    phone: cleanField(input.phone),
+  };
+
+  const errors = [];
+  ["name", "street1", "city", "zip", "country"].forEach((field) => {
+    if (!address[field]) {
+      errors.push(`${field} is required`);
+    }
+  });
+
+  Object.keys(address).forEach((field) => {
+    if (address[field].length > MAX_FIELD_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+    }
+  });
+
+  const country = SUPPORTED_COUNTRIES[address.country];
+  if (address.country && !country) {
+    errors.push(
+      `country must be one of: ${Object.keys(SUPPORTED_COUNTRIES).join(", ")}`
+    );
+  }
+
+  if (country?.states && !country.states.includes(address.state)) {
+    errors.push(`state must be a valid ${country.name} state code`);
+  }
+
+  if (country && address.zip && !country.zipPattern.test(address.zip)) {
+    errors.push(`zip is not a valid ${country.name} postal code`);
+  }
+
+  if (address.phone && !/^\+?[\d\s().-]{7,20}$/.test(address.phone)) {
+    errors.push("phone is not a valid phone number");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid shipping address: ${errors.join(", ")}`);
+  }
+
+  // Don't store empty optional fields
+  if (!address.street2) delete address.street2;
+  if (!address.state) delete address.state;
+  if (!address.phone) delete address.phone;
+
+  return address;
+}
+
+/**
+ * Convert an address to Stripe's PaymentIntent `shipping` format
+ *
+ * @param {Object} address - Normalized address (validateAddress output)
+ * @returns {Object} Stripe shipping object { name, phone, address: { line1, ... } }
+ */
+function toStripeShipping(address) {
+  return {
+    name: address.name,
+    ...(address.phone && { phone: address.phone }),
+    address: {
+      line1: address.street1,
+      ...(address.street2 && { line2: address.street2 }),
+      city: address.city,
+      ...(address.state && { state: address.state }),
+      postal_code: address.zip,
+      country: address.country,
+    },
+  };
+}
+
+/**
+ * Convert Stripe's PaymentIntent `shipping` object back to our address format
+ *
+ * @param {Object|null} shipping - paymentIntent.shipping
+ * @returns {Object|null} Address or null if the payment intent has no shipping
+ */
+function fromStripeShipping(shipping) {
+  if (!shipping?.address) return null;
+
+  const { address } = shipping;
+  return {
+    name: shipping.name || "",
+    street1: address.line1 || "",
+    ...(address.line2 && { street2: address.line2 }),
+    city: address.city || "",
+    ...(address.state && { state: address.state }),
+    zip: address.postal_code || "",
+    country: address.country || "US",
+    ...(shipping.phone && { phone: shipping.phone }),
+  };
+}
+
+module.exports = {
+  SUPPORTED_COUNTRIES,
+  validateAddress,
+  toStripeShipping,
+  fromStripeShipping,
+};
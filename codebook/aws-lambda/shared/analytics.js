@@ -0,0 +1,681 @@
+/**
+ * AWS Lambda - Analytics Rollup Helper Functions
+ *
+ * The admin analytics page used to download every order, product and user and
+ * aggregate them in the browser. Instead, order, refund and registration writes
+ * keep pre-aggregated daily rollups up to date (analytics table), and
+ * GET /admin/analytics reads only the days in the requested range.
+ *
+ * Items (partition key: rollup, sort key: sk; dates are UTC):
+ * {
+ *   rollup: "daily",
+ *   sk: "2026-10-19",
+ *   revenue: 120.5,                 // Sum of amount_paid
+ *   orders: 3,
+ *   units: 5,                       // Items sold
+ *   newUsers: 2,
+ *   refunds: 1,
+ *   refundAmount: 30,               // Dollars (counted on the day of the refund)
+ *   customerIds: Set["user-id", ...]  // Distinct customers (for active users over a range)
+ * }
+ * {
+ *   rollup: "product-daily",
+ *   sk: "2026-10-19#<productId>",
+ *   productId: "...",
+ *   productName: "...",
+ *   quantity: 2,
+ *   revenue: 59.98                  // quantity * price at the time of the order
+ * }
+ * {
+ *   rollup: "totals",
+ *   sk: "all",
+ *   products: 42,                   // Catalog size (updated on product create/delete)
+ *   users: 310                      // Registered users (updated on register/delete)
+ * }
+ *
+ * Counters are updated with ADD, so concurrent orders never overwrite each other.
+ * Rollups are derived data: rebuildAnalytics() recomputes them from the orders,
+ * users and products tables (run once after deploying, or if they ever drift).
+ */
+
+const { dynamoDB, TABLES } = require("./dynamodb");
+const {
+  GetCommand,
+  UpdateCommand,
+  QueryCommand,
+  ScanCommand,
+  BatchWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+const DAILY = "daily";
+const PRODUCT_DAILY = "product-daily";
+const TOTALS = "totals";
+const TOTALS_SK = "all";
+
+// Product names/prices for the performance report, reloaded at most every 5 minutes per container
+const CATALOG_TTL_MS = 5 * 60 * 1000;
+
+let cachedCatalog = null;
+let cachedCatalogAt = 0;
+
+const GRANULARITIES = ["day", "week", "month", "year"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the UTC day key of a date
+ * @param {string|Date} [date] - ISO string or Date (default: now)
+ * @returns {string} YYYY-MM-DD
+ */
+function toDayKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the bucket a day belongs to
+ * Weeks start on Sunday (same as the old client-side charts).
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} granularity - day | week | month | year
+ * @returns {string} Bucket key (YYYY-MM-DD for day/week, YYYY-MM, YYYY)
+ */
+function toBucketKey(day, granularity) {
+  switch (granularity) {
+    case "week": {
+      const date = new Date(`${day}T00:00:00.000Z`);
+      date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+      return toDayKey(date);
+    }
+    case "month":
+      return day.slice(0, 7);
+    case "year":
+      return day.slice(0, 4);
+    default:
+      return day;
+  }
+}
+
+/**
+ * Get the next bucket key (used to fill gaps with zeros)
+ * @param {string} key - Bucket key from toBucketKey
+ * @param {string} granularity - day | week | month | year
+ * @returns {string} Following bucket key
+ */
+function nextBucketKey(key, granularity) {
+  if (granularity === "year") {
+    return String(Number(key) + 1);
+  }
+  if (granularity === "month") {
+    const [year, month] = key.split("-").map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, "0")}`;
+  }
+  const date = new Date(`${key}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + (granularity === "week" ? 7 : 1));
+  return toDayKey(date);
+}
+
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * ADD counters to a rollup item (creates the item if it doesn't exist)
+ *
+ * @param {string} rollup - Partition key ("daily", "product-daily" or "totals")
+ * @param {string} sk - Sort key
+ * @param {Object} counters - { attribute: amount } to add
+ * @param {Object} [extra]
+ * @param {Object} [extra.set] - Attributes to SET (e.g. productName)
+ * @param {Array<string>} [extra.customerIds] - Added to the customerIds string set
+ */
+async function addToRollup(rollup, sk, counters, { set = {}, customerIds = [] } = {}) {
+  const names = {};
+  const values = {};
+  const adds = [];
+  const sets = [];
+
+  Object.entries(counters).forEach(([attribute, amount], index) => {
+    names[`#c${index}`] = attribute;
+    values[`:c${index}`] = amount;
+    adds.push(`#c${index} :c${index}`);
+  });
+  if (customerIds.length > 0) {
+    names["#customerIds"] = "customerIds";
+    values[":customerIds"] = new Set(customerIds);
+    adds.push("#customerIds :customerIds");
+  }
+  Object.entries(set).forEach(([attribute, value], index) => {
+    names[`#s${index}`] = attribute;
+    values[`:s${index}`] = value;
+    sets.push(`#s${index} = :s${index}`);
+  });
+
+  await dynamoDB.send(
+    new UpdateCommand({
+      TableName: TABLES.ANALYTICS,
+      Key: { rollup, sk },
+      UpdateExpression: [sets.length && `SET ${sets.join(", ")}`, `ADD ${adds.join(", ")}`]
+        .filter(Boolean)
+        .join(" "),
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+    })
+  );
+}
+
+/**
+ * Sum an order's cart per product
+ * @param {Object} order - Order with cartList
+ * @returns {Array<Object>} [{ productId, productName, quantity, revenue }]
+ */
+function getOrderProductSales(order) {
+  const sales = new Map();
+  (order.cartList || []).forEach((item) => {
+    if (!item.id) return;
+    const quantity = Number(item.quantity) || 1;
+    const existing = sales.get(item.id) || {
+      productId: item.id,
+      productName: item.name || "Unknown Product",
+      quantity: 0,
+      revenue: 0,
+    };
+    existing.quantity += quantity;
+    existing.revenue += quantity * (Number(item.price) || 0);
+    sales.set(item.id, existing);
+  });
+  return [...sales.values()];
+}
+
+/**
+ * Add a new order to the rollups
+ * Non-critical: errors are logged, never thrown (the order is already written).
+ *
+ * @param {Object} order - Created order
+ * @returns {Promise<void>}
+ */
+async function recordOrder(order) {
+  try {
+    const day = toDayKey(order.createdAt);
+    const productSales = getOrderProductSales(order);
+    const units = productSales.reduce((sum, sale) => sum + sale.quantity, 0);
+
+    await Promise.all([
+      addToRollup(
+        DAILY,
+        day,
+        { revenue: Number(order.amount_paid) || 0, orders: 1, units },
+        { customerIds: order.user?.id ? [order.user.id] : [] }
+      ),
+      ...productSales.map((sale) =>
+        addToRollup(
+          PRODUCT_DAILY,
+          `${day}#${sale.productId}`,
+          { quantity: sale.quantity, revenue: sale.revenue },
+          { set: { productId: sale.productId, productName: sale.productName, date: day } }
+        )
+      ),
+    ]);
+  } catch (error) {
+    console.error("Failed to update analytics for order:", { orderId: order?.id, error });
+  }
+}
+
+/**
+ * Add a refund to the rollups (counted on the day of the refund)
+ * Non-critical: errors are logged, never thrown.
+ *
+ * @param {Object} order - Refunded order
+ * @param {number} refundAmountCents - Refunded amount in cents (as returned by Stripe)
+ * @param {string} [refundedAt] - ISO timestamp (default: now)
+ * @returns {Promise<void>}
+ */
+async function recordRefund(order, refundAmountCents, refundedAt) {
+  try {
+    await addToRollup(DAILY, toDayKey(refundedAt || new Date()), {
+      refunds: 1,
+      refundAmount: (Number(refundAmountCents) || 0) / 100,
+    });
+  } catch (error) {
+    console.error("Failed to update analytics for refund:", { orderId: order?.id, error });
+  }
+}
+
+/**
+ * Add a registration to the rollups
+ * Non-critical: errors are logged, never thrown.
+ *
+ * @param {Object} user - Created user
+ * @returns {Promise<void>}
+ */
+async function recordNewUser(user) {
+  try {
+    await Promise.all([
+      addToRollup(DAILY, toDayKey(user.createdAt), { newUsers: 1 }),
+      addToRollup(TOTALS, TOTALS_SK, { users: 1 }),
+    ]);
+  } catch (error) {
+    console.error("Failed to update analytics for new user:", { userId: user?.id, error });
+  }
+}
+
+/**
+ * Remove a deleted user from the user count
+ * Non-critical: errors are logged, never thrown.
+ *
+ * @param {string} userId - Deleted user ID
+ * @returns {Promise<void>}
+ */
+async function recordDeletedUser(userId) {
+  try {
+    await addToRollup(TOTALS, TOTALS_SK, { users: -1 });
+  } catch (error) {
+    console.error("Failed to update analytics for deleted user:", { userId, error });
+  }
+}
+
+/**
+ * Add a created (1) or deleted (-1) product to the catalog count
+ * Non-critical: errors are logged, never thrown.
+ *
+ * @param {string} productId - Product ID
+ * @param {number} change - 1 or -1
+ * @returns {Promise<void>}
+ */
+async function recordProductCountChange(productId, change) {
+  try {
+    await addToRollup(TOTALS, TOTALS_SK, { products: change });
+  } catch (error) {
+    console.error("Failed to update analytics product count:", { productId, error });
+  }
+}
+
+/**
+ * Query all items of a rollup between two sort keys (follows pagination)
+ */
+async function queryRollup(rollup, fromKey, toKey) {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.send(
+      new QueryCommand({
+        TableName: TABLES.ANALYTICS,
+        KeyConditionExpression: "#rollup = :rollup AND sk BETWEEN :from AND :to",
+        ExpressionAttributeNames: { "#rollup": "rollup" },
+        ExpressionAttributeValues: { ":rollup": rollup, ":from": fromKey, ":to": toKey },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+/**
+ * Scan a table (follows pagination)
+ */
+async function scanAll(params) {
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.send(new ScanCommand({ ...params, ExclusiveStartKey: lastKey }));
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+/**
+ * Get the catalog and user counts (single GetItem)
+ * @returns {Promise<Object>} { products, users } (0 before the first rebuild)
+ */
+async function getTotals() {
+  const result = await dynamoDB.send(
+    new GetCommand({
+      TableName: TABLES.ANALYTICS,
+      Key: { rollup: TOTALS, sk: TOTALS_SK },
+    })
+  );
+  return {
+    products: Math.max(Number(result.Item?.products) || 0, 0),
+    users: Math.max(Number(result.Item?.users) || 0, 0),
+  };
+}
+
+/**
+ * Get id, name and price of every product, cached per container (see CATALOG_TTL_MS)
+ * Only the product performance report needs the full list (e.g. unsold products).
+ */
+async function getCatalogSummary() {
+  if (cachedCatalog && Date.now() - cachedCatalogAt < CATALOG_TTL_MS) {
+    return cachedCatalog;
+  }
+  cachedCatalog = await scanAll({
+    TableName: TABLES.PRODUCTS,
+    ProjectionExpression: "id, #name, price",
+    ExpressionAttributeNames: { "#name": "name" },
+  });
+  cachedCatalogAt = Date.now();
+  return cachedCatalog;
+}
+
+/**
+ * Validate analytics query options
+ *
+ * @param {Object} options - { from, to, granularity, limit }
+ * @returns {Object} Normalized options
+ * @throws {Error} "Invalid ..." if a value is malformed
+ */
+function normalizeAnalyticsOptions({ from, to, granularity = "month", limit = 10 } = {}) {
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value !== undefined && (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+      throw new Error(`Invalid ${name}. Use YYYY-MM-DD`);
+    }
+  }
+  const toDay = to || toDayKey();
+  if (from && from > toDay) {
+    throw new Error("Invalid range. from must be before to");
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Invalid granularity. Must be one of: ${GRANULARITIES.join(", ")}`);
+  }
+  const topLimit = Number(limit);
+  if (!Number.isInteger(topLimit) || topLimit < 1 || topLimit > 100) {
+    throw new Error("Invalid limit. Must be between 1 and 100");
+  }
+  return { from, to: toDay, granularity, limit: topLimit };
+}
+
+/**
+ * Build the analytics report for a date range from the rollups
+ *
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day (YYYY-MM-DD, default: first day with data)
+ * @param {string} [options.to] - Last day (YYYY-MM-DD, default: today)
+ * @param {string} [options.granularity] - Series buckets: day | week | month | year (default month)
+ * @param {number} [options.limit] - Number of top products (default 10)
+ * @returns {Promise<Object>} { range, summary, series, topProducts, productPerformance }
+ */
+async function getAnalytics(options = {}) {
+  const { from, to, granularity, limit } = normalizeAnalyticsOptions(options);
+  const currentMonthStart = `${toDayKey().slice(0, 7)}-01`;
+
+  const [days, productDays, products, counts, currentMonthDays] = await Promise.all([
+    queryRollup(DAILY, from || "0000-00-00", to),
+    queryRollup(PRODUCT_DAILY, from || "0000-00-00", `${to}#\uffff`),
+    getCatalogSummary(),
+    getTotals(),
+    queryRollup(DAILY, currentMonthStart, toDayKey()),
+  ]);
+
+  // Summary over the range
+  const totals = { revenue: 0, orders: 0, units: 0, newUsers: 0, refunds: 0, refundAmount: 0 };
+  const customers = new Set();
+  days.forEach((day) => {
+    Object.keys(totals).forEach((key) => {
+      totals[key] += Number(day[key]) || 0;
+    });
+    (day.customerIds || []).forEach((id) => customers.add(id));
+  });
+
+  // Series, with empty buckets filled so charts have a continuous axis
+  const buckets = new Map();
+  days.forEach((day) => {
+    const key = toBucketKey(day.sk, granularity);
+    const bucket = buckets.get(key) || {
+      date: key,
+      revenue: 0,
+      orders: 0,
+      units: 0,
+      newUsers: 0,
+      refunds: 0,
+      refundAmount: 0,
+    };
+    Object.keys(totals).forEach((field) => {
+      bucket[field] += Number(day[field]) || 0;
+    });
+    buckets.set(key, bucket);
+  });
+  const firstDay = from || days[0]?.sk;
+  const series = [];
+  if (firstDay) {
+    const lastKey = toBucketKey(to, granularity);
+    for (let key = toBucketKey(firstDay, granularity); key <= lastKey; key = nextBucketKey(key, granularity)) {
+      const bucket = buckets.get(key) || {
+        date: key,
+        revenue: 0,
+        orders: 0,
+        units: 0,
+        newUsers: 0,
+        refunds: 0,
+        refundAmount: 0,
+      };
+      series.push({
+        ...bucket,
+        revenue: roundMoney(bucket.revenue),
+        refundAmount: roundMoney(bucket.refundAmount),
+      });
+    }
+  }
+
+  // Sales per product over the range
+  const productSales = new Map();
+  productDays.forEach((item) => {
+    const existing = productSales.get(item.productId) || {
+      productId: item.productId,
+      productName: item.productName,
+      quantity: 0,
+      revenue: 0,
+    };
+    existing.quantity += Number(item.quantity) || 0;
+    existing.revenue += Number(item.revenue) || 0;
+    productSales.set(item.productId, existing);
+  });
+
+  const topProducts = [...productSales.values()]
+    .sort((a, b) => b.revenue - a.revenue)
+    .slice(0, limit)
+    .map((item) => ({ ...item, revenue: roundMoney(item.revenue) }));
+
+  // Product performance (same shape as the old client-side calculateProductPerformance)
+  const productStats = products.map((product) => {
+    const sales = productSales.get(product.id);
+    return {
+      id: product.id,
+      name: product.name,
+      revenue: roundMoney(sales?.revenue),
+      quantity: sales?.quantity || 0,
+      price: product.price || 0,
+    };
+  });
+  const maxRevenue = Math.max(0, ...productStats.map((product) => product.revenue));
+  const bestSellers = productStats.filter((product) => product.revenue === maxRevenue && product.revenue > 0);
+  const averagePrice =
+    products.length > 0
+      ? products.reduce((sum, product) => sum + (Number(product.price) || 0), 0) / products.length
+      : 0;
+
+  const productPerformance = {
+    totalProducts: counts.products,
+    productsSold: productStats.filter((product) => product.revenue > 0 || product.quantity > 0).length,
+    averagePrice: roundMoney(averagePrice),
+    totalRevenue: roundMoney(productStats.reduce((sum, product) => sum + product.revenue, 0)),
+    bestSeller: bestSellers[0] || null,
+    bestSellers,
+    topSellersByRevenue: [...productStats]
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, 3)
+      .filter((product) => product.revenue > 0),
+    topSellersByQuantity: [...productStats]
+      .sort((a, b) => b.quantity - a.quantity)
+      .slice(0, 3)
+      .filter((product) => product.quantity > 0),
+    unsoldProducts: productStats
+      .filter((product) => product.revenue === 0 && product.quantity === 0)
+      .sort((a, b) => (a.name || "").localeCompare(b.name || "")),
+  };
+
+  return {
+    range: { from: firstDay || to, to, granularity },
+    summary: {
+      totalRevenue: roundMoney(totals.revenue),
+      totalOrders: totals.orders,
+      averageOrderValue: totals.orders > 0 ? roundMoney(totals.revenue / totals.orders) : 0,
+      unitsSold: totals.units,
+      refunds: totals.refunds,
+      refundAmount: roundMoney(totals.refundAmount),
+      netRevenue: roundMoney(totals.revenue - totals.refundAmount),
+      newUsers: totals.newUsers,
+      activeUsers: customers.size,
+      newUsersThisMonth: currentMonthDays.reduce((sum, day) => sum + (Number(day.newUsers) || 0), 0),
+      totalProducts: counts.products,
+      totalUsers: counts.users,
+    },
+    series,
+    topProducts,
+    productPerformance,
+  };
+}
+
+/**
+ * Write rollup items in batches of 25 (BatchWriteItem limit), retrying unprocessed items
+ *
+ * @param {Array<Object>} requests - [{ PutRequest }] or [{ DeleteRequest }]
+ */
+async function batchWrite(requests) {
+  for (let index = 0; index < requests.length; index += 25) {
+    let pending = { [TABLES.ANALYTICS]: requests.slice(index, index + 25) };
+    for (let attempt = 0; attempt < 5 && pending[TABLES.ANALYTICS]?.length; attempt++) {
+      if (attempt > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 100 * 2 ** attempt));
+      }
+      const result = await dynamoDB.send(new BatchWriteCommand({ RequestItems: pending }));
+      pending = result.UnprocessedItems || {};
+    }
+    if (pending[TABLES.ANALYTICS]?.length) {
+      throw new Error("Failed to write analytics rollups (unprocessed items)");
+    }
+  }
+}
+
+/**
+ * Recompute all rollups from the orders, users and products tables
+ *
+ * Used once to backfill after deploying and to repair drift. Replaces every
+ * rollup item; orders placed while it runs may need another rebuild.
+ *
+ * @returns {Promise<Object>} { orders, users, products, days, productDays }
+ */
+async function rebuildAnalytics() {
+  const [orders, users, products, existingDays, existingProductDays] = await Promise.all([
+    scanAll({ TableName: TABLES.ORDERS }),
+    scanAll({
+      TableName: TABLES.USERS,
+      ProjectionExpression: "id, createdAt",
+    }),
+    scanAll({ TableName: TABLES.PRODUCTS, ProjectionExpression: "id" }),
+    queryRollup(DAILY, "0000-00-00", "9999-99-99"),
+    queryRollup(PRODUCT_DAILY, "0000-00-00", "9999-99-99#\uffff"),
+  ]);
+
+  const days = new Map();
+  const productDays = new Map();
+  const getDay = (key) => {
+    if (!days.has(key)) {
+      days.set(key, {
+        rollup: DAILY,
+        sk: key,
+        revenue: 0,
+        orders: 0,
+        units: 0,
+        newUsers: 0,
+        refunds: 0,
+        refundAmount: 0,
+        customerIds: new Set(),
+      });
+    }
+    return days.get(key);
+  };
+
+  orders.forEach((order) => {
+    if (!order.createdAt) return;
+    const dayKey = toDayKey(order.createdAt);
+    const day = getDay(dayKey);
+    const productSales = getOrderProductSales(order);
+    day.revenue += Number(order.amount_paid) || 0;
+    day.orders += 1;
+    day.units += productSales.reduce((sum, sale) => sum + sale.quantity, 0);
+    if (order.user?.id) day.customerIds.add(order.user.id);
+
+    productSales.forEach((sale) => {
+      const sk = `${dayKey}#${sale.productId}`;
+      const item = productDays.get(sk) || {
+        rollup: PRODUCT_DAILY,
+        sk,
+        productId: sale.productId,
+        productName: sale.productName,
+        date: dayKey,
+        quantity: 0,
+        revenue: 0,
+      };
+      item.quantity += sale.quantity;
+      item.revenue += sale.revenue;
+      productDays.set(sk, item);
+    });
+
+    if (order.refundedAt && order.refundAmount) {
+      const refundDay = getDay(toDayKey(order.refundedAt));
+      refundDay.refunds += 1;
+      refundDay.refundAmount += (Number(order.refundAmount) || 0) / 100;
+    }
+  });
+
+  users.forEach((user) => {
+    if (user.createdAt) getDay(toDayKey(user.createdAt)).newUsers += 1;
+  });
+
+  // DynamoDB doesn't store empty sets
+  const dayItems = [...days.values()].map(({ customerIds, ...day }) =>
+    customerIds.size > 0 ? { ...day, customerIds } : day
+  );
+  const stale = [...existingDays, ...existingProductDays].filter(
+    (item) => !days.has(item.sk) && !productDays.has(item.sk)
+  );
+
+  await batchWrite([
+    ...dayItems.map((item) => ({ PutRequest: { Item: item } })),
+    ...[...productDays.values()].map((item) => ({ PutRequest: { Item: item } })),
+    ...stale.map((item) => ({ DeleteRequest: { Key: { rollup: item.rollup, sk: item.sk } } })),
+    {
+      PutRequest: {
+        Item: { rollup: TOTALS, sk: TOTALS_SK, products: products.length, users: users.length },
+      },
+    },
+  ]);
+
+  const summary = {
+    orders: orders.length,
+    users: users.length,
+    products: products.length,
+    days: dayItems.length,
+    productDays: productDays.size,
+    removed: stale.length,
+  };
+  console.log("Analytics rollups rebuilt:", summary);
+  return summary;
+}
+
+module.exports = {
+  GRANULARITIES,
+  recordOrder,
+  recordRefund,
+  recordNewUser,
+  recordDeletedUser,
+  recordProductCountChange,
+  getAnalytics,
+  rebuildAnalytics,
+};
@@ -3,6 +3,9 @@
  *
  * This module provides authentication utilities for Lambda functions.
  * Similar to lib/auth.js but adapted for Lambda environment.
+ *
+ * Access tokens are short-lived. Clients keep a refresh token (see
+ * shared/sessions.js) to get a new access token from POST /auth/refresh.
  */
 
 const jwt = require("jsonwebtoken");
@@ -12,11 +15,14 @@ const bcrypt = require("bcryptjs");
 const JWT_SECRET =
   process.env.JWT_SECRET || "your-secret-key-change-in-production";
 
+// Access token lifetime - also the longest a revoked session (e.g. a demoted admin) keeps working
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
 /**
- * Generate JWT token for user
+ * Generate a short-lived JWT access token for user
  *
  * @param {object} user - User object with id, email, name, role
- * @returns {string} JWT token
+ * @returns {string} JWT token (expires after ACCESS_TOKEN_TTL_SECONDS)
  */
 function generateToken(user) {
   return jwt.sign(
@@ -27,7 +33,7 @@ function generateToken(user) {
       role: user.role || "user", // Include role in token to avoid DynamoDB lookups
     },
     JWT_SECRET,
-    { expiresIn: "7d" }
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
   );
 }
 
@@ -140,6 +146,7 @@ function requireAuth(event) {
 }
 
 module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
   generateToken,
   verifyToken,
   hashPassword,
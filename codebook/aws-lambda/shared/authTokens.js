@@ -0,0 +1,129 @@
+/**
+ * AWS Lambda - Single-Use Auth Token Helper Functions
+ *
+ * Tokens sent by email to prove the user controls an address:
+ * - password_reset: POST /auth/forgot-password -> link -> POST /auth/reset-password
+ * - email_verification: registration -> link -> POST /auth/verify-email
+ *
+ * Each token expires and can only be used once. Only a SHA-256 hash of the
+ * token is stored (auth tokens table):
+ * {
+ *   tokenHash: "...",            // Primary key
+ *   type: "password_reset",
+ *   userId: "...",
+ *   createdAt: "...",
+ *   expiresAt: 1767225600,       // DynamoDB TTL (epoch seconds)
+ *   usedAt: "..."                // Set when the token is used
+ * }
+ */
+
+const crypto = require("crypto");
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { GetCommand, PutCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+
+const TOKEN_TYPES = {
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
+};
+
+// Reset links are short-lived, verification links have to survive a day in an inbox
+const TOKEN_TTL_SECONDS = {
+  [TOKEN_TYPES.PASSWORD_RESET]: 60 * 60,
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * 60,
+};
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token from the emailed link
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Create a single-use token for a user
+ *
+ * @param {string} userId - User ID
+ * @param {string} type - One of TOKEN_TYPES
+ * @returns {Promise<string>} Token (only sent to the user, never stored)
+ */
+async function createAuthToken(userId, type) {
+  if (!TOKEN_TTL_SECONDS[type]) {
+    throw new Error(`Unknown auth token type: ${type}`);
+  }
+
+  try {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = new Date();
+    await dynamoDB.send(
+      new PutCommand({
+        TableName: TABLES.AUTH_TOKENS,
+        Item: {
+          tokenHash: hashToken(token),
+          type,
+          userId,
+          createdAt: now.toISOString(),
+          expiresAt: Math.floor(now.getTime() / 1000) + TOKEN_TTL_SECONDS[type],
+        },
+      })
+    );
+    return token;
+  } catch (error) {
+    console.error("createAuthToken error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Use up a token
+ *
+ * @param {string} token - Token from the emailed link
+ * @param {string} type - Expected type (a reset token can't verify an email and vice versa)
+ * @returns {Promise<string>} ID of the user the token was issued to
+ * @throws {Error} "Invalid or expired token" (unknown, wrong type, expired or already used)
+ */
+async function consumeAuthToken(token, type) {
+  const tokenHash = hashToken(token);
+  const result = await dynamoDB.send(
+    new GetCommand({
+      TableName: TABLES.AUTH_TOKENS,
+      Key: { tokenHash },
+      ConsistentRead: true,
+    })
+  );
+  const record = result.Item;
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  // TTL deletion can lag behind expiresAt, so check it here too
+  if (!record || record.type !== type || record.usedAt || record.expiresAt <= nowSeconds) {
+    throw new Error("Invalid or expired token");
+  }
+
+  try {
+    // Conditional update so two requests with the same token can't both succeed
+    await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.AUTH_TOKENS,
+        Key: { tokenHash },
+        UpdateExpression: "SET usedAt = :usedAt",
+        ConditionExpression: "attribute_exists(tokenHash) AND attribute_not_exists(usedAt)",
+        ExpressionAttributeValues: { ":usedAt": new Date().toISOString() },
+      })
+    );
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("Invalid or expired token");
+    }
+    console.error("consumeAuthToken error:", error);
+    throw error;
+  }
+
+  return record.userId;
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  createAuthToken,
+  consumeAuthToken,
+};
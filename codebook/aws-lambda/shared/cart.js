@@ -0,0 +1,305 @@
+/**
+ * AWS Lambda - Cart Helper Functions
+ *
+ * Server-side cart of a logged-in customer, stored in its own table
+ * (partition key: userId) so it follows the customer across devices.
+ *
+ * Only product IDs, variant IDs (format), quantities and the price the customer
+ * last saw are stored. A line is a product, or a product in one format.
+ * Every read/write revalidates the cart against the products table:
+ * - deleted or out-of-stock books (and formats no longer sold) are removed
+ * - quantities are clamped to the available stock (stock minus copies reserved by other
+ *   customers' open checkouts - the customer's own checkout doesn't count against them)
+ * - price changes since the customer last saw the cart are reported
+ * Each correction is returned in `adjustments` so the frontend can tell the customer.
+ *
+ * Guest carts live in the browser and are merged in on login (saveCart with merge).
+ */
+
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { GetCommand, PutCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  getProductById,
+  isProductAvailable,
+  getVariantProduct,
+  getVariantLabel,
+  getLineKey,
+  getAvailableStock,
+} = require("./products");
+const { getUserReservedQuantities } = require("./reservations");
+
+// Distinct lines (books/formats) per cart and copies per line
+const MAX_CART_ITEMS = 50;
+const MAX_ITEM_QUANTITY = 99;
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate cart items from a request and combine duplicates
+ *
+ * @param {Array} cartList - Cart items ({ id, variantId, quantity, price })
+ * @returns {Array<Object>} Entries [{ id, variantId, quantity, price }]
+ * @throws {Error} "Invalid cart: ..." if the list is malformed
+ */
+function normalizeCartList(cartList) {
+  if (!Array.isArray(cartList)) {
+    throw new Error("Invalid cart: cartList must be an array");
+  }
+
+  const entries = new Map();
+  for (const item of cartList) {
+    const id = item?.id;
+    if (!id || typeof id !== "string") {
+      throw new Error("Invalid cart: every item needs a product id");
+    }
+    const variantId = item.variantId ?? undefined;
+    if (variantId !== undefined && (typeof variantId !== "string" || !variantId)) {
+      throw new Error(`Invalid cart: invalid variant for product ${id}`);
+    }
+
+    const quantity = Number(item.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error(`Invalid cart: invalid quantity for product ${id}`);
+    }
+
+    const key = getLineKey(id, variantId);
+    const existing = entries.get(key);
+    const price = item.price !== undefined && item.price !== null ? Number(item.price) : undefined;
+    entries.set(key, {
+      id,
+      variantId,
+      quantity: (existing?.quantity || 0) + quantity,
+      price: Number.isFinite(price) ? price : existing?.price,
+    });
+  }
+
+  if (entries.size > MAX_CART_ITEMS) {
+    throw new Error(`Invalid cart: maximum ${MAX_CART_ITEMS} different books`);
+  }
+
+  return [...entries.values()];
+}
+
+/**
+ * Merge two entry lists, summing the quantities of the same book and format
+ * (the price the customer saw last comes from `incoming` when it has one)
+ *
+ * @param {Array<Object>} stored - Entries already in the cart
+ * @param {Array<Object>} incoming - Entries to add (e.g. the guest cart)
+ * @returns {Array<Object>} Merged entries
+ */
+function mergeEntries(stored, incoming) {
+  const merged = new Map(stored.map((entry) => [getLineKey(entry.id, entry.variantId), { ...entry }]));
+  for (const entry of incoming) {
+    const key = getLineKey(entry.id, entry.variantId);
+    const existing = merged.get(key);
+    merged.set(key, {
+      id: entry.id,
+      variantId: entry.variantId,
+      quantity: (existing?.quantity || 0) + entry.quantity,
+      price: entry.price !== undefined ? entry.price : existing?.price,
+    });
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Check entries against the current products
+ *
+ * @param {string} userId - Cart owner (copies held by their own open checkouts count as available)
+ * @param {Array<Object>} entries - Entries [{ id, variantId, quantity, price }]
+ * @returns {Promise<Object>} { cartList: [{ ...product, quantity }], entries, adjustments }
+ *   (for products with variants, the product as sold in the chosen format - see getVariantProduct)
+ */
+async function revalidateEntries(userId, entries) {
+  const [products, ownReserved] = await Promise.all([
+    Promise.all(entries.map((entry) => getProductById(entry.id))),
+    entries.length > 0 ? getUserReservedQuantities(userId) : {},
+  ]);
+
+  const cartList = [];
+  const validEntries = [];
+  const adjustments = [];
+
+  entries.forEach((entry, index) => {
+    const storedProduct = products[index];
+
+    if (!storedProduct) {
+      adjustments.push({
+        id: entry.id,
+        type: "removed",
+        message: "A book in your cart is no longer available and was removed",
+      });
+      return;
+    }
+
+    let product;
+    try {
+      product = getVariantProduct(storedProduct, entry.variantId);
+    } catch {
+      adjustments.push({
+        id: entry.id,
+        variantId: entry.variantId,
+        type: "removed",
+        message: entry.variantId
+          ? `The format of "${storedProduct.name}" in your cart is no longer sold and was removed`
+          : `"${storedProduct.name}" is now sold in several formats - please add it again in the one you want`,
+      });
+      return;
+    }
+    const displayName = product.variantId ? `${product.name} (${getVariantLabel(product)})` : product.name;
+
+    // Copies reserved by other customers' open checkouts can't be bought either;
+    // the customer's own checkout holds its copies for them
+    const unreserved = getAvailableStock(product);
+    const available =
+      unreserved === undefined
+        ? undefined
+        : Math.min(
+            Number(product.stock) || 0,
+            unreserved + (ownReserved[getLineKey(entry.id, product.variantId)] || 0)
+          );
+    if (!isProductAvailable(product) || available === 0) {
+      adjustments.push({
+        id: entry.id,
+        type: "out_of_stock",
+        message: `"${displayName}" is out of stock and was removed from your cart`,
+      });
+      return;
+    }
+
+    let quantity = Math.min(entry.quantity, MAX_ITEM_QUANTITY);
+    if (available !== undefined && quantity > available) {
+      quantity = available;
+      adjustments.push({
+        id: entry.id,
+        type: "quantity_reduced",
+        quantity,
+        message: `Only ${quantity} of "${displayName}" left - quantity reduced`,
+      });
+    }
+
+    const price = Number(product.price) || 0;
+    if (entry.price !== undefined && roundMoney(entry.price) !== roundMoney(price)) {
+      adjustments.push({
+        id: entry.id,
+        type: "price_changed",
+        oldPrice: roundMoney(entry.price),
+        newPrice: roundMoney(price),
+        message: `The price of "${displayName}" changed from $${entry.price.toFixed(2)} to $${price.toFixed(2)}`,
+      });
+    }
+
+    cartList.push({ ...product, quantity });
+    validEntries.push({ id: entry.id, variantId: product.variantId, quantity, price });
+  });
+
+  return { cartList, entries: validEntries, adjustments };
+}
+
+/**
+ * Store the cart entries of a user
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Object>} entries - Entries [{ id, variantId, quantity, price }]
+ * @returns {Promise<string>} updatedAt
+ */
+async function putCartEntries(userId, entries) {
+  const updatedAt = new Date().toISOString();
+  await dynamoDB.send(
+    new PutCommand({
+      TableName: TABLES.CARTS,
+      Item: { userId, items: entries, updatedAt },
+    })
+  );
+  return updatedAt;
+}
+
+/**
+ * Build the API response for a revalidated cart
+ *
+ * @param {Object} revalidated - Result of revalidateEntries
+ * @param {string|null} updatedAt - Last save time
+ * @returns {Object} { cartList, total, adjustments, updatedAt }
+ */
+function toCartResponse({ cartList, adjustments }, updatedAt) {
+  return {
+    cartList,
+    total: roundMoney(cartList.reduce((sum, item) => sum + (Number(item.price) || 0) * item.quantity, 0)),
+    adjustments,
+    updatedAt,
+  };
+}
+
+/**
+ * Get a user's cart with current prices and stock
+ * Corrections (removed books, reduced quantities, new prices) are saved so
+ * they are only reported once.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { cartList, total, adjustments, updatedAt }
+ */
+async function getCart(userId) {
+  const result = await dynamoDB.send(
+    new GetCommand({
+      TableName: TABLES.CARTS,
+      Key: { userId },
+    })
+  );
+
+  const storedEntries = result.Item?.items || [];
+  const revalidated = await revalidateEntries(userId, storedEntries);
+
+  let updatedAt = result.Item?.updatedAt || null;
+  if (revalidated.adjustments.length > 0) {
+    updatedAt = await putCartEntries(userId, revalidated.entries);
+  }
+
+  return toCartResponse(revalidated, updatedAt);
+}
+
+/**
+ * Replace a user's cart, or merge items into it
+ *
+ * @param {string} userId - User ID
+ * @param {Array} cartList - Cart items ({ id, variantId, quantity, price })
+ * @param {Object} [options]
+ * @param {boolean} [options.merge=false] - Add to the stored cart (guest cart on login) instead of replacing it
+ * @returns {Promise<Object>} { cartList, total, adjustments, updatedAt }
+ * @throws {Error} "Invalid cart: ..." if the list is malformed
+ */
+async function saveCart(userId, cartList, { merge = false } = {}) {
+  let entries = normalizeCartList(cartList);
+
+  if (merge) {
+    const result = await dynamoDB.send(
+      new GetCommand({
+        TableName: TABLES.CARTS,
+        Key: { userId },
+      })
+    );
+    entries = mergeEntries(result.Item?.items || [], entries);
+    if (entries.length > MAX_CART_ITEMS) {
+      throw new Error(`Invalid cart: maximum ${MAX_CART_ITEMS} different books`);
+    }
+  }
+
+  const revalidated = await revalidateEntries(userId, entries);
+  const updatedAt = await putCartEntries(userId, revalidated.entries);
+
+  return toCartResponse(revalidated, updatedAt);
+}
+
+module.exports = {
+  MAX_CART_ITEMS,
+  MAX_ITEM_QUANTITY,
+  getCart,
+  saveCart,
+};
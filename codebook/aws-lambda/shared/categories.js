@@ -0,0 +1,182 @@
+/**
+ * AWS Lambda - Product Category & Tag Helper Functions
+ *
+ * Categories are hierarchical and stored on the product as a path from the
+ * top level down, plus the slug of every level (used for filtering):
+ * {
+ *   category: ["Programming", "JavaScript", "React"],
+ *   categorySlugs: ["programming", "javascript", "react"],
+ *   tags: ["hooks", "frontend"]
+ * }
+ *
+ * A product is in every category on its path, so /products/category/javascript
+ * also lists products filed under Programming > JavaScript > React. The
+ * category tree itself isn't stored anywhere - it is built from the products
+ * (see buildFacets), so a category exists as long as a product uses it.
+ */
+
+// Limits keep product items small and the FilterBar readable
+const MAX_CATEGORY_DEPTH = 4;
+const MAX_CATEGORY_NAME_LENGTH = 50;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Turn a category name or tag into a URL slug ("Node.js & Express" -> "node-js-express")
+ *
+ * @param {string} value - Name to slugify
+ * @returns {string} Slug
+ */
+function slugify(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Validate and normalize a category path
+ *
+ * @param {Array<string>|string} input - ["Programming", "JavaScript"] or "Programming > JavaScript"
+ * @returns {Object} { category, categorySlugs } - both empty arrays if input is empty
+ * @throws {Error} "Invalid category: ..." if the path is too deep or a level is invalid
+ */
+function normalizeCategory(input) {
+  if (input === undefined || input === null || input === "") {
+    return { category: [], categorySlugs: [] };
+  }
+
+  const levels = Array.isArray(input) ? input : String(input).split(">");
+  const category = levels.map((level) => String(level ?? "").trim()).filter(Boolean);
+
+  if (category.length > MAX_CATEGORY_DEPTH) {
+    throw new Error(`Invalid category: at most ${MAX_CATEGORY_DEPTH} levels allowed`);
+  }
+
+  const categorySlugs = category.map((name) => {
+    if (name.length > MAX_CATEGORY_NAME_LENGTH) {
+      throw new Error(
+        `Invalid category: "${name}" is longer than ${MAX_CATEGORY_NAME_LENGTH} characters`
+      );
+    }
+    const slug = slugify(name);
+    if (!slug) {
+      throw new Error(`Invalid category: "${name}" must contain letters or numbers`);
+    }
+    return slug;
+  });
+
+  return { category, categorySlugs };
+}
+
+/**
+ * Validate and normalize free-form tags
+ * Tags are lowercased, trimmed and de-duplicated.
+ *
+ * @param {Array<string>|string} input - ["React", "hooks"] or "react, hooks"
+ * @returns {Array<string>} Tags (empty array if input is empty)
+ * @throws {Error} "Invalid tags: ..." if there are too many or one is too long
+ */
+function normalizeTags(input) {
+  if (input === undefined || input === null || input === "") {
+    return [];
+  }
+
+  const values = Array.isArray(input) ? input : String(input).split(",");
+  const tags = [
+    ...new Set(
+      values
+        .map((tag) => String(tag ?? "").trim().toLowerCase().replace(/\s+/g, " "))
+        .filter(Boolean)
+    ),
+  ];
+
+  if (tags.length > MAX_TAGS) {
+    throw new Error(`Invalid tags: at most ${MAX_TAGS} tags allowed`);
+  }
+  const tooLong = tags.find((tag) => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw new Error(`Invalid tags: "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return tags;
+}
+
+/**
+ * Parse a comma-separated list query parameter ("react,vue" -> ["react", "vue"])
+ *
+ * @param {string|undefined} value - Raw query string value
+ * @returns {Array<string>|undefined} Values, or undefined if not provided
+ */
+function parseListParam(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const values = String(value)
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+  return values.length > 0 ? values : undefined;
+}
+
+/**
+ * Count products per category (as a tree) and per tag
+ *
+ * Counts are disjunctive, like most shop facets: category counts ignore the
+ * selected categories and tag counts ignore the selected tags, so ticking one
+ * checkbox doesn't zero out the other options in the same group.
+ *
+ * @param {Array} products - Products to count (already narrowed by search, if any)
+ * @param {Object} filters - Catalog filters ({ categories, tags, minPrice, ... })
+ * @param {Function} matchesFilter - (product, filters) => boolean, e.g. matchesCatalogFilter
+ * @returns {Object} { categories: [{ slug, name, count, children: [...] }], tags: [{ tag, count }] }
+ */
+function buildFacets(products, filters, matchesFilter) {
+  const { categories: _categories, tags: _tags, ...otherFilters } = filters || {};
+
+  const rootNodes = new Map();
+  const tagCounts = new Map();
+
+  for (const product of products) {
+    if (!matchesFilter(product, otherFilters)) continue;
+
+    if (matchesFilter(product, { ...otherFilters, tags: filters?.tags })) {
+      let level = rootNodes;
+      (product.category || []).forEach((name, depth) => {
+        const slug = product.categorySlugs?.[depth] || slugify(name);
+        if (!level.has(slug)) {
+          level.set(slug, { slug, name, count: 0, children: new Map() });
+        }
+        const node = level.get(slug);
+        node.count += 1;
+        level = node.children;
+      });
+    }
+
+    if (matchesFilter(product, { ...otherFilters, categories: filters?.categories })) {
+      for (const tag of product.tags || []) {
+        tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+      }
+    }
+  }
+
+  const toTree = (nodes) =>
+    [...nodes.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(({ children, ...node }) => ({ ...node, children: toTree(children) }));
+
+  return {
+    categories: toTree(rootNodes),
+    tags: [...tagCounts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+  };
+}
+
+module.exports = {
+  slugify,
+  normalizeCategory,
+  normalizeTags,
+  parseListParam,
+  buildFacets,
+};
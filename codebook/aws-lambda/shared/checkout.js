@@ -0,0 +1,149 @@
+/**
+ * AWS Lambda - Checkout Fulfillment Helper Functions
+ *
+ * Turns a succeeded Stripe payment intent into exactly one order.
+ *
+ * The order is built from the quote stored by POST /payment/create-intent
+ * (the server-side pending cart), not from the browser's cart. Both the Stripe
+ * webhook and POST /orders call fulfillPaymentIntent - whichever runs first
+ * creates the order and the other gets the same order back, because the
+ * order is written in one transaction with the payment intent's idempotency key
+ * (see shared/idempotency.js).
+ */
+
+const { getProductById, getVariant, getVariantProduct } = require("./products");
+const { createOrder, getOrderById } = require("./orders");
+const { getQuote, updateQuoteStatus } = require("./pricing");
+const { paymentIntentKey, getIdempotencyRecord } = require("./idempotency");
+
+/**
+ * Check the amount Stripe collected against the stored quote
+ * Marks the quote "paid", or "amount_mismatch" if the amount or currency differ.
+ *
+ * @param {Object} paymentIntent - Stripe payment intent
+ * @param {Object} quote - Quote from the payment quotes table
+ * @returns {Promise<boolean>} false if the payment doesn't match its quote
+ */
+async function verifyPaidAmount(paymentIntent, quote) {
+  const { id: paymentIntentId, currency } = paymentIntent;
+  const amountReceived = paymentIntent.amount_received ?? paymentIntent.amount;
+
+  if (amountReceived !== quote.amount || currency !== quote.currency) {
+    console.error("Payment amount does not match stored quote:", {
+      paymentIntentId,
+      amountReceived,
+      currency,
+      quoteAmount: quote.amount,
+      quoteCurrency: quote.currency,
+    });
+    await updateQuoteStatus(paymentIntentId, "amount_mismatch", { amountReceived });
+    return false;
+  }
+
+  if (quote.status === "pending") {
+    await updateQuoteStatus(paymentIntentId, "paid", { amountReceived });
+  }
+  return true;
+}
+
+/**
+ * Build the order's cart list from a quote
+ * Product details come from the products table; prices and quantities are the quoted ones.
+ * Items of products with variants carry the variant's ID, format, SKU and weight.
+ *
+ * @param {Object} quote - Quote from the payment quotes table
+ * @returns {Promise<Array>} Cart items for createOrder
+ */
+async function buildOrderCartList(quote) {
+  const cartList = [];
+  for (const item of quote.items) {
+    const storedProduct = await getProductById(item.id);
+    // A variant removed since checkout keeps its quoted ID and format
+    const product =
+      item.variantId && getVariant(storedProduct, item.variantId)
+        ? getVariantProduct(storedProduct, item.variantId)
+        : storedProduct;
+    cartList.push({
+      ...(product || { id: item.id, name: item.name }),
+      ...(item.variantId && { variantId: item.variantId, format: item.format }),
+      price: item.price,
+      quantity: item.quantity,
+    });
+  }
+  return cartList;
+}
+
+/**
+ * Create the order for a succeeded payment intent (idempotent)
+ *
+ * @param {Object} paymentIntent - Stripe payment intent (retrieved from Stripe or from a verified webhook event)
+ * @returns {Promise<Object>} { order, created } - created is false if the order already existed
+ * @throws {Error} "Payment has not succeeded", "No pending cart for payment intent ...",
+ *   "Payment amount does not match the checkout quote" or a createOrder error
+ *   (e.g. "Insufficient stock ..." - safe to retry later)
+ */
+async function fulfillPaymentIntent(paymentIntent) {
+  const { id: paymentIntentId } = paymentIntent;
+
+  if (paymentIntent.status !== "succeeded") {
+    throw new Error("Payment has not succeeded");
+  }
+
+  // Cheap check first - most repeat calls end here
+  const idempotencyKey = paymentIntentKey(paymentIntentId);
+  const existing = await getIdempotencyRecord(idempotencyKey);
+  if (existing) {
+    const order = await getOrderById(existing.orderId);
+    return { order, created: false };
+  }
+
+  const quote = await getQuote(paymentIntentId);
+  if (!quote) {
+    throw new Error(`No pending cart for payment intent ${paymentIntentId}`);
+  }
+
+  const amountMatches = await verifyPaidAmount(paymentIntent, quote);
+  if (!amountMatches) {
+    throw new Error("Payment amount does not match the checkout quote");
+  }
+
+  const cartList = await buildOrderCartList(quote);
+  const order = await createOrder(
+    {
+      cartList,
+      amount_paid: quote.total,
+      quantity: quote.items.reduce((sum, item) => sum + item.quantity, 0),
+      user: {
+        id: quote.userId,
+        email: quote.userEmail,
+        name: quote.userName,
+      },
+      shippingAddress: quote.shippingAddress,
+    },
+    {
+      idempotencyKey,
+      paymentIntentId, // Succeeded and amount verified above - recorded as paid
+      reservationId: paymentIntentId, // Stock reserved when the payment intent was created
+      pricing: {
+        subtotal: quote.subtotal,
+        discount: quote.discount,
+        coupon: quote.coupon,
+        shippingCost: quote.shipping,
+        tax: quote.tax,
+      },
+    }
+  );
+
+  if (order._duplicate) {
+    const { _duplicate, ...existingOrder } = order;
+    return { order: existingOrder, created: false };
+  }
+
+  await updateQuoteStatus(paymentIntentId, "fulfilled", { orderId: order.id });
+  return { order, created: true };
+}
+
+module.exports = {
+  verifyPaidAmount,
+  fulfillPaymentIntent,
+};
@@ -0,0 +1,523 @@
+/**
+ * AWS Lambda - Coupon Helper Functions
+ *
+ * This module provides coupon management and validation utilities for Lambda functions.
+ *
+ * Coupons are stored in the coupons table keyed by their (upper-case) code:
+ * {
+ *   code: "SPRING25",
+ *   description: "25% off spring titles",
+ *   type: "percentage" | "fixed" | "free_shipping",
+ *   value: 25,               // Percent for "percentage", dollars for "fixed", unused for "free_shipping"
+ *   minOrderValue: 20,       // Optional: minimum subtotal (of eligible items) in dollars
+ *   perUserLimit: 1,         // Optional: max redemptions per user
+ *   usageLimit: 100,         // Optional: max redemptions in total
+ *   expiresAt: "2026-06-01T00:00:00.000Z", // Optional
+ *   productIds: ["..."],     // Optional: only these products are discounted
+ *   active: true,
+ *   timesUsed: 0,
+ *   usageByUser: { "<userId>": 1 },
+ *   createdAt, updatedAt
+ * }
+ *
+ * Prices are always looked up from the products table - the cart sent by the
+ * client only provides product IDs and quantities.
+ */
+
+const { dynamoDB, TABLES } = require("./dynamodb");
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  ScanCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { getProductById, getVariantProduct } = require("./products");
+
+const COUPON_TYPES = ["percentage", "fixed", "free_shipping"];
+
+// Codes are case-insensitive for customers and stored upper-case
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+/**
+ * Normalize a coupon code entered by a customer or admin
+ * @param {string} code - Raw code
+ * @returns {string} Trimmed, upper-case code
+ */
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Parse an optional non-negative number field
+ * @param {*} value - Raw value
+ * @param {string} field - Field name (for error messages)
+ * @param {boolean} integer - Require a whole number
+ * @returns {number|null} Parsed number, or null when empty
+ * @throws {Error} If the value is not a valid number
+ */
+function parseOptionalNumber(value, field, integer = false) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(
+      `Invalid coupon: ${field} must be a ${integer ? "whole number" : "number"} of 0 or more`
+    );
+  }
+  return number;
+}
+
+/**
+ * Validate and clean coupon fields sent by an admin
+ *
+ * @param {Object} data - Coupon fields
+ * @param {Object} existing - Current coupon when updating (fields not in data are kept)
+ * @returns {Object} Clean coupon fields (without code, usage counters or timestamps)
+ * @throws {Error} "Invalid coupon: ..." when a field is invalid
+ */
+function validateCouponData(data, existing = {}) {
+  const merged = { ...existing, ...data };
+
+  const type = merged.type;
+  if (!COUPON_TYPES.includes(type)) {
+    throw new Error(`Invalid coupon: type must be one of ${COUPON_TYPES.join(", ")}`);
+  }
+
+  let value = 0;
+  if (type !== "free_shipping") {
+    value = parseOptionalNumber(merged.value, "value");
+    if (!value) {
+      throw new Error("Invalid coupon: value must be greater than 0");
+    }
+    if (type === "percentage" && value > 100) {
+      throw new Error("Invalid coupon: percentage cannot be more than 100");
+    }
+  }
+
+  let expiresAt = null;
+  if (merged.expiresAt) {
+    const expiry = new Date(merged.expiresAt);
+    if (Number.isNaN(expiry.getTime())) {
+      throw new Error("Invalid coupon: expiresAt must be a valid date");
+    }
+    expiresAt = expiry.toISOString();
+  }
+
+  const productIds = Array.isArray(merged.productIds)
+    ? [...new Set(merged.productIds.map(String).filter(Boolean))]
+    : [];
+
+  return {
+    description: String(merged.description || "").trim().slice(0, 200),
+    type,
+    value,
+    minOrderValue: parseOptionalNumber(merged.minOrderValue, "minOrderValue"),
+    perUserLimit: parseOptionalNumber(merged.perUserLimit, "perUserLimit", true),
+    usageLimit: parseOptionalNumber(merged.usageLimit, "usageLimit", true),
+    expiresAt,
+    productIds,
+    active: merged.active !== false,
+  };
+}
+
+/**
+ * Get all coupons (admin only)
+ *
+ * @returns {Promise<Array>} Coupons sorted by creation date (newest first)
+ */
+async function getAllCoupons() {
+  try {
+    const coupons = [];
+    let lastKey;
+
+    // Scan all pages - the coupons table is small
+    do {
+      const result = await dynamoDB.send(
+        new ScanCommand({
+          TableName: TABLES.COUPONS,
+          ...(lastKey && { ExclusiveStartKey: lastKey }),
+        })
+      );
+      coupons.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return coupons.sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+  } catch (error) {
+    console.error("getAllCoupons error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get coupon by code
+ *
+ * @param {string} code - Coupon code (any case)
+ * @returns {Promise<Object|null>} Coupon or null if not found
+ */
+async function getCouponByCode(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+
+  try {
+    const result = await dynamoDB.send(
+      new GetCommand({
+        TableName: TABLES.COUPONS,
+        Key: { code: normalized },
+      })
+    );
+    return result.Item || null;
+  } catch (error) {
+    console.error("getCouponByCode error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Create a coupon (admin only)
+ *
+ * @param {Object} data - Coupon fields (code, type, value, ...)
+ * @returns {Promise<Object>} Created coupon
+ * @throws {Error} "Invalid coupon: ..." or "Coupon code already exists"
+ */
+async function createCoupon(data) {
+  const code = normalizeCode(data.code);
+  if (!CODE_PATTERN.test(code)) {
+    throw new Error(
+      "Invalid coupon: code must be 3-32 characters (letters, numbers, - or _)"
+    );
+  }
+
+  const now = new Date().toISOString();
+  const coupon = {
+    code,
+    ...validateCouponData(data),
+    timesUsed: 0,
+    usageByUser: {},
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await dynamoDB.send(
+      new PutCommand({
+        TableName: TABLES.COUPONS,
+        Item: coupon,
+        ConditionExpression: "attribute_not_exists(code)", // Codes are unique
+      })
+    );
+    return coupon;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("Coupon code already exists");
+    }
+    console.error("createCoupon error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a coupon (admin only)
+ * The code and usage counters cannot be changed.
+ *
+ * @param {string} code - Coupon code
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated coupon
+ * @throws {Error} "Coupon not found" or "Invalid coupon: ..."
+ */
+async function updateCoupon(code, updates) {
+  const existing = await getCouponByCode(code);
+  if (!existing) {
+    throw new Error("Coupon not found");
+  }
+
+  const fields = validateCouponData(updates, existing);
+  fields.updatedAt = new Date().toISOString();
+
+  const names = {};
+  const values = {};
+  const setParts = [];
+  const removeParts = [];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    names[`#${key}`] = key;
+    // DynamoDB can't store null here - clear optional limits instead
+    if (value === null) {
+      removeParts.push(`#${key}`);
+    } else {
+      values[`:${key}`] = value;
+      setParts.push(`#${key} = :${key}`);
+    }
+  });
+
+  try {
+    const result = await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.COUPONS,
+        Key: { code: existing.code },
+        UpdateExpression:
+          `SET ${setParts.join(", ")}` +
+          (removeParts.length ? ` REMOVE ${removeParts.join(", ")}` : ""),
+        ConditionExpression: "attribute_exists(code)",
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("Coupon not found");
+    }
+    console.error("updateCoupon error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a coupon (admin only)
+ * Orders keep their own copy of the coupon, so deleting does not affect past orders.
+ *
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object>} Deleted coupon
+ * @throws {Error} "Coupon not found"
+ */
+async function deleteCoupon(code) {
+  try {
+    const result = await dynamoDB.send(
+      new DeleteCommand({
+        TableName: TABLES.COUPONS,
+        Key: { code: normalizeCode(code) },
+        ConditionExpression: "attribute_exists(code)",
+        ReturnValues: "ALL_OLD",
+      })
+    );
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("Coupon not found");
+    }
+    console.error("deleteCoupon error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Look up current prices for cart items
+ *
+ * @param {Array} cartList - Cart items ({ id, variantId, quantity })
+ * @returns {Promise<Object>} { items: [{ id, variantId, name, price, quantity }], subtotal }
+ * @throws {Error} If the cart is empty or a product (or variant) no longer exists
+ */
+async function priceCartItems(cartList) {
+  if (!Array.isArray(cartList) || cartList.length === 0) {
+    throw new Error("Cart list is required and must not be empty");
+  }
+
+  const items = [];
+  for (const item of cartList) {
+    const quantity = Number(item.quantity) || 1;
+    const storedProduct = await getProductById(item.id);
+    if (!storedProduct) {
+      throw new Error(`Product not found: ${item.id}`);
+    }
+    const product = getVariantProduct(storedProduct, item.variantId);
+    items.push({
+      id: product.id,
+      ...(product.variantId && { variantId: product.variantId }),
+      name: product.name,
+      price: Number(product.price) || 0,
+      quantity,
+    });
+  }
+
+  const subtotal = roundMoney(
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+  return { items, subtotal };
+}
+
+/**
+ * Check a coupon against a priced cart and calculate the discount
+ *
+ * @param {Object} coupon - Coupon from the coupons table
+ * @param {Object} cart - Priced cart from priceCartItems ({ items, subtotal })
+ * @param {string} userId - Customer user ID (for the per-user limit)
+ * @returns {Object} { discount, freeShipping, eligibleSubtotal, eligibleProductIds }
+ * @throws {Error} "Coupon ..." message explaining why the coupon can't be used
+ *
+ * How it works:
+ * 1. Rejects inactive, expired or used-up coupons
+ * 2. Only items in productIds count when the coupon is restricted to products
+ * 3. minOrderValue is checked against the eligible subtotal
+ * 4. Percentage/fixed discounts never exceed the eligible subtotal
+ */
+function evaluateCoupon(coupon, cart, userId) {
+  if (!coupon || coupon.active === false) {
+    throw new Error("Coupon is not valid");
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= new Date()) {
+    throw new Error("Coupon has expired");
+  }
+  if (coupon.usageLimit != null && (coupon.timesUsed || 0) >= coupon.usageLimit) {
+    throw new Error("Coupon usage limit has been reached");
+  }
+  if (
+    coupon.perUserLimit != null &&
+    (coupon.usageByUser?.[userId] || 0) >= coupon.perUserLimit
+  ) {
+    throw new Error("Coupon has already been used the maximum number of times on your account");
+  }
+
+  const restricted = Array.isArray(coupon.productIds) && coupon.productIds.length > 0;
+  const eligibleItems = restricted
+    ? cart.items.filter((item) => coupon.productIds.includes(item.id))
+    : cart.items;
+
+  if (eligibleItems.length === 0) {
+    throw new Error("Coupon does not apply to any items in your cart");
+  }
+
+  const eligibleSubtotal = roundMoney(
+    eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+
+  if (coupon.minOrderValue != null && eligibleSubtotal < coupon.minOrderValue) {
+    throw new Error(
+      `Coupon requires a minimum order of $${Number(coupon.minOrderValue).toFixed(2)}` +
+        (restricted ? " of eligible items" : "")
+    );
+  }
+
+  let discount = 0;
+  if (coupon.type === "percentage") {
+    discount = roundMoney((eligibleSubtotal * coupon.value) / 100);
+  } else if (coupon.type === "fixed") {
+    discount = roundMoney(Math.min(coupon.value, eligibleSubtotal));
+  }
+
+  return {
+    discount,
+    freeShipping: coupon.type === "free_shipping",
+    eligibleSubtotal,
+    eligibleProductIds: eligibleItems.map((item) => item.id),
+  };
+}
+
+/**
+ * Validate a coupon code for a customer's cart
+ * Used by POST /cart/apply-coupon and again when the order is created.
+ *
+ * @param {string} code - Coupon code entered by the customer
+ * @param {Array} cartList - Cart items ({ id, quantity })
+ * @param {string} userId - Customer user ID
+ * @returns {Promise<Object>} { coupon, subtotal, discount, freeShipping, total, eligibleProductIds }
+ * @throws {Error} "Coupon ..." message when the coupon can't be used
+ */
+async function applyCouponToCart(code, cartList, userId) {
+  const coupon = await getCouponByCode(code);
+  if (!coupon) {
+    throw new Error("Coupon not found");
+  }
+
+  const cart = await priceCartItems(cartList);
+  const result = evaluateCoupon(coupon, cart, userId);
+
+  return {
+    coupon: toOrderCoupon(coupon),
+    subtotal: cart.subtotal,
+    discount: result.discount,
+    freeShipping: result.freeShipping,
+    total: roundMoney(cart.subtotal - result.discount),
+    eligibleProductIds: result.eligibleProductIds,
+  };
+}
+
+/**
+ * Coupon details stored on orders and returned to customers
+ * (no usage counters or per-user data)
+ *
+ * @param {Object} coupon - Coupon from the coupons table
+ * @returns {Object} { code, type, value, description }
+ */
+function toOrderCoupon(coupon) {
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value,
+    description: coupon.description || "",
+  };
+}
+
+/**
+ * Build a TransactWriteItems Update that records one redemption of a coupon
+ * Meant to run in the same transaction as the order Put (see createOrder).
+ *
+ * @param {Object} coupon - Coupon from the coupons table
+ * @param {string} userId - Customer user ID
+ * @param {Object} [options]
+ * @param {boolean} [options.enforceLimits=true] - false when the discount was already paid for
+ *   (webhook fulfillment) - the redemption is then only counted
+ * @returns {Object} transactItem
+ *
+ * The condition re-checks the limits at write time, so two orders racing for
+ * the last redemption can't both succeed - the loser's transaction is cancelled
+ * and retried, and the retry fails validation with a clear message.
+ */
+function buildCouponRedemption(coupon, userId, { enforceLimits = true } = {}) {
+  const conditions = ["attribute_exists(code)"];
+  const values = {
+    ":zero": 0,
+    ":one": 1,
+  };
+
+  if (enforceLimits) {
+    conditions.push("active = :active");
+    values[":active"] = true;
+  }
+  if (enforceLimits && coupon.usageLimit != null) {
+    conditions.push("(attribute_not_exists(timesUsed) OR timesUsed < :usageLimit)");
+    values[":usageLimit"] = coupon.usageLimit;
+  }
+  if (enforceLimits && coupon.perUserLimit != null) {
+    conditions.push("(attribute_not_exists(usageByUser.#userId) OR usageByUser.#userId < :perUserLimit)");
+    values[":perUserLimit"] = coupon.perUserLimit;
+  }
+
+  return {
+    Update: {
+      TableName: TABLES.COUPONS,
+      Key: { code: coupon.code },
+      UpdateExpression:
+        "SET timesUsed = if_not_exists(timesUsed, :zero) + :one, " +
+        "usageByUser.#userId = if_not_exists(usageByUser.#userId, :zero) + :one",
+      ConditionExpression: conditions.join(" AND "),
+      ExpressionAttributeNames: { "#userId": userId },
+      ExpressionAttributeValues: values,
+    },
+  };
+}
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCode,
+  getAllCoupons,
+  getCouponByCode,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  priceCartItems,
+  evaluateCoupon,
+  applyCouponToCart,
+  toOrderCoupon,
+  buildCouponRedemption,
+};
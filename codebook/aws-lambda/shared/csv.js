@@ -0,0 +1,98 @@
+/**
+ * AWS Lambda - CSV Helper Functions
+ *
+ * Minimal RFC 4180 CSV reader/writer used by the product import/export:
+ * - fields are separated by commas and rows by \n or \r\n
+ * - fields containing commas, quotes or line breaks are wrapped in double quotes
+ * - a double quote inside a quoted field is written as two double quotes
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * Blank lines are skipped.
+ *
+ * @param {string} text - CSV text (a leading UTF-8 BOM is ignored)
+ * @returns {Array<Array<string>>} Rows
+ * @throws {Error} "Invalid CSV: ..." if a quoted field is never closed
+ */
+function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    // Skip blank lines (a single empty field)
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Invalid CSV: a quoted field is not closed");
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a value for CSV output if needed
+ *
+ * @param {any} value - Value (null/undefined become an empty field)
+ * @returns {string} CSV field
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ *
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array<any>>} rows - Data rows (same order as header)
+ * @returns {string} CSV text (\r\n line endings)
+ */
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(escapeCsvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
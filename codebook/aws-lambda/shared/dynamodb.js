@@ -54,6 +54,19 @@ const TABLES = {
   ACTIVITY_LOG: "codebook-activity-log", // Activity log for admin actions
   TICKETS: "codebook-tickets", // Support tickets table
   REVIEWS: "codebook-reviews", // Product reviews table
+  COUPONS: "codebook-coupons", // Discount coupons table (partition key: code)
+  PAYMENT_QUOTES: "codebook-payment-quotes", // Checkout quotes / pending carts per payment intent (partition key: paymentIntentId)
+  PAYMENT_IDEMPOTENCY: "codebook-payment-idempotency", // Processed Stripe events and payment intent -> order (partition key: idempotencyKey)
+  REFRESH_TOKENS: "codebook-refresh-tokens", // Hashed refresh tokens / login sessions (partition key: tokenHash, GSI: userId-index)
+  AUTH_TOKENS: "codebook-auth-tokens", // Single-use password reset / email verification tokens (partition key: tokenHash)
+  ANALYTICS: "codebook-analytics", // Pre-aggregated daily rollups for admin analytics (partition key: rollup, sort key: sk)
+  WISHLIST: "codebook-wishlist", // Per-user wishlist (partition key: userId, sort key: productId, GSI: productId-index)
+  CARTS: "codebook-carts", // Server-side cart of logged-in users (partition key: userId)
+  RESERVATIONS: "codebook-reservations", // Stock held for open checkouts (partition key: paymentIntentId, GSI: status-expiresAt-index)
+  EBOOK_DOWNLOADS: "codebook-ebook-downloads", // Download counter per purchased eBook (partition key: userId, sort key: purchaseId)
+  EMAIL_LOG: "codebook-email-log", // Every email sent by the API with its delivery status (partition key: id)
+  EMAIL_TEMPLATES: "codebook-email-templates", // Edited email templates, one item per version (partition key: name, sort key: version)
+  NOTIFICATIONS: "codebook-notifications", // In-app notification feed (partition key: userId, sort key: id, GSI: unread-index)
 };
 
 module.exports = { dynamoDB, TABLES };
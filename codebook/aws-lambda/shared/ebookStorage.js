@@ -0,0 +1,189 @@
+/**
+ * AWS Lambda - eBook File Storage
+ *
+ * The files delivered to customers (PDF/EPUB) live in a private bucket on S3 or
+ * any S3-compatible storage (Cloudflare R2, MinIO, Backblaze B2, ...). Nothing is
+ * public: admins upload through a presigned PUT URL and customers download through
+ * short-lived presigned GET URLs issued by GET /library/{productId}/download.
+ *
+ * Configuration (environment variables):
+ * - EBOOK_BUCKET: bucket name (required)
+ * - EBOOK_STORAGE_ENDPOINT: endpoint of an S3-compatible provider (empty = AWS S3)
+ * - EBOOK_STORAGE_REGION: region (default: AWS_REGION, "auto" works for R2)
+ * - EBOOK_STORAGE_ACCESS_KEY_ID / EBOOK_STORAGE_SECRET_ACCESS_KEY: credentials for
+ *   other providers (empty = the Lambda execution role)
+ * - EBOOK_LINK_EXPIRY_SECONDS: lifetime of download links (default 300)
+ */
+
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+const EBOOK_FORMATS = {
+  pdf: "application/pdf",
+  epub: "application/epub+zip",
+};
+
+const MAX_EBOOK_SIZE = 200 * 1024 * 1024; // 200 MB
+const UPLOAD_URL_EXPIRY_SECONDS = 15 * 60;
+const DEFAULT_LINK_EXPIRY_SECONDS = 300;
+
+const BUCKET = process.env.EBOOK_BUCKET || "";
+const ENDPOINT = process.env.EBOOK_STORAGE_ENDPOINT || "";
+
+// Client is created once per Lambda execution context (reused across invocations)
+const s3 = new S3Client({
+  region: process.env.EBOOK_STORAGE_REGION || process.env.AWS_REGION || "eu-north-1",
+  ...(ENDPOINT && {
+    endpoint: ENDPOINT,
+    forcePathStyle: true, // Most S3-compatible providers don't support bucket subdomains
+  }),
+  ...(process.env.EBOOK_STORAGE_ACCESS_KEY_ID && {
+    credentials: {
+      accessKeyId: process.env.EBOOK_STORAGE_ACCESS_KEY_ID,
+      secretAccessKey: process.env.EBOOK_STORAGE_SECRET_ACCESS_KEY || "",
+    },
+  }),
+});
+
+/**
+ * Throw if the bucket is not configured
+ * @throws {Error} "eBook storage is not configured"
+ */
+function assertStorageConfigured() {
+  if (!BUCKET) {
+    throw new Error("eBook storage is not configured");
+  }
+}
+
+/**
+ * Lifetime of download links in seconds (EBOOK_LINK_EXPIRY_SECONDS, 60 - 3600)
+ * @returns {number} Seconds
+ */
+function getLinkExpirySeconds() {
+  const seconds = Number(process.env.EBOOK_LINK_EXPIRY_SECONDS);
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    return DEFAULT_LINK_EXPIRY_SECONDS;
+  }
+  return Math.min(Math.max(seconds, 60), 3600);
+}
+
+/**
+ * Validate an upload request and work out the file format
+ *
+ * @param {Object} input - { fileName, size }
+ * @returns {Object} { fileName, format, contentType, size }
+ * @throws {Error} "Invalid eBook file: ..." if the file is not a PDF/EPUB or too large
+ */
+function normalizeEbookUpload(input = {}) {
+  const fileName = String(input.fileName || "").trim();
+  const extension = fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : "";
+  if (!fileName || !EBOOK_FORMATS[extension]) {
+    throw new Error("Invalid eBook file: only .pdf and .epub files are supported");
+  }
+
+  const size = Number(input.size);
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new Error("Invalid eBook file: size (in bytes) is required");
+  }
+  if (size > MAX_EBOOK_SIZE) {
+    throw new Error(`Invalid eBook file: maximum size is ${MAX_EBOOK_SIZE / 1024 / 1024} MB`);
+  }
+
+  return {
+    // Keep the name safe for the Content-Disposition header of downloads
+    fileName: fileName.replace(/[^A-Za-z0-9._ -]/g, "_").slice(0, 200),
+    format: extension,
+    contentType: EBOOK_FORMATS[extension],
+    size,
+  };
+}
+
+/**
+ * Create a presigned URL the admin panel uploads a product's file to
+ *
+ * @param {string} productId - Product ID
+ * @param {Object} upload - Normalized upload (normalizeEbookUpload)
+ * @returns {Promise<Object>} { uploadUrl, key, contentType, expiresIn }
+ *
+ * Every upload gets a new key, so replacing a file never changes what a
+ * previously issued download link points to.
+ */
+async function createEbookUploadUrl(productId, upload) {
+  assertStorageConfigured();
+
+  const key = `ebooks/${productId}/${Date.now()}.${upload.format}`;
+  const uploadUrl = await getSignedUrl(
+    s3,
+    new PutObjectCommand({
+      Bucket: BUCKET,
+      Key: key,
+      ContentType: upload.contentType,
+      ContentLength: upload.size,
+    }),
+    { expiresIn: UPLOAD_URL_EXPIRY_SECONDS }
+  );
+
+  return { uploadUrl, key, contentType: upload.contentType, expiresIn: UPLOAD_URL_EXPIRY_SECONDS };
+}
+
+/**
+ * Get the size and type of an uploaded file
+ *
+ * @param {string} key - Object key
+ * @returns {Promise<Object|null>} { size, contentType } or null if the file doesn't exist
+ */
+async function getEbookFileInfo(key) {
+  assertStorageConfigured();
+
+  try {
+    const result = await s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key: key }));
+    return { size: result.ContentLength, contentType: result.ContentType };
+  } catch (error) {
+    if (error.name === "NotFound" || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a short-lived download link for a product's file
+ *
+ * @param {Object} ebookFile - Product's ebookFile ({ key, fileName, format })
+ * @returns {Promise<Object>} { url, expiresIn, expiresAt }
+ */
+async function createEbookDownloadUrl(ebookFile) {
+  assertStorageConfigured();
+
+  const expiresIn = getLinkExpirySeconds();
+  const url = await getSignedUrl(
+    s3,
+    new GetObjectCommand({
+      Bucket: BUCKET,
+      Key: ebookFile.key,
+      ResponseContentDisposition: `attachment; filename="${ebookFile.fileName || `ebook.${ebookFile.format}`}"`,
+      ResponseContentType: EBOOK_FORMATS[ebookFile.format],
+    }),
+    { expiresIn }
+  );
+
+  return {
+    url,
+    expiresIn,
+    expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+  };
+}
+
+module.exports = {
+  EBOOK_FORMATS,
+  MAX_EBOOK_SIZE,
+  normalizeEbookUpload,
+  createEbookUploadUrl,
+  getEbookFileInfo,
+  createEbookDownloadUrl,
+};
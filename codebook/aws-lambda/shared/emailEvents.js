@@ -0,0 +1,250 @@
+/**
+ * AWS Lambda - Transactional Email Subscribers
+ *
+ * Emails the customer and/or the store admin when an order, payment or support
+ * ticket changes (see EVENTS in shared/events.js):
+ * - order.created: order-confirmation + admin-new-order
+ * - order.status_changed: shipping-notification (shipped), delivery-confirmation (delivered),
+ *   order-canceled (cancelled)
+ * - order.tracking_added: shipping-notification with the tracking number
+ * - order.refunded: order-refunded + admin-refund-processed
+ * - payment.processing: payment-processing
+ * - payment.failed: payment-failed + admin-payment-failure
+ * - ticket.created: admin-ticket-message
+ * - ticket.replied: ticket-reply (admin replied) or admin-ticket-message (customer replied)
+ * - ticket.status_changed: ticket-status-changed
+ *
+ * Loaded by shared/events.js on the first publish. Every email is recorded in the
+ * email log with the event that triggered it and retried while the transport fails.
+ */
+
+const { EVENTS, subscribe } = require("./events");
+const { getVariantLabel } = require("./products");
+const { sendTemplateEmail, sendAdminTemplateEmail } = require("./emailSender");
+
+// Frontend base URL for links in emails (no trailing slash)
+const FRONTEND_URL = (process.env.FRONTEND_URL || "https://codebook-aws.vercel.app").replace(
+  /\/+$/,
+  ""
+);
+
+// Order status -> customer email sent when an order changes to it
+const ORDER_STATUS_TEMPLATES = {
+  shipped: "shipping-notification",
+  delivered: "delivery-confirmation",
+  cancelled: "order-canceled",
+};
+
+/**
+ * Send emails in parallel; throws if any of them failed (after all were tried)
+ *
+ * @param {Array<Promise>} sends - sendTemplateEmail / sendAdminTemplateEmail calls
+ * @returns {Promise<void>}
+ */
+async function sendAll(sends) {
+  const results = await Promise.allSettled(sends);
+  const failed = results.filter((result) => result.status === "rejected");
+  if (failed.length > 0) {
+    throw new Error(failed.map((result) => result.reason?.message || result.reason).join("; "));
+  }
+}
+
+/**
+ * Order items for the order emails (the format is part of the name for variants)
+ * @param {Object} order - Order
+ * @returns {Array<Object>} [{ id, name, quantity, price }]
+ */
+function getOrderEmailItems(order) {
+  return (order.cartList || []).map((item) => {
+    const name = item.productName || item.name;
+    return {
+      id: item.id,
+      name: item.format ? `${name} (${getVariantLabel(item)})` : name,
+      quantity: item.quantity || 1,
+      price: item.price,
+    };
+  });
+}
+
+subscribe(EVENTS.ORDER_CREATED, async ({ order }, event) => {
+  const items = getOrderEmailItems(order);
+  const customerName = order.user?.name || "Customer";
+  const sends = [
+    sendAdminTemplateEmail(
+      "admin-new-order",
+      {
+        orderId: order.id,
+        customerName,
+        customerEmail: order.user?.email,
+        total: order.amount_paid,
+        itemCount: items.length,
+        totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        items,
+      },
+      { event }
+    ),
+  ];
+
+  if (order.user?.email) {
+    sends.push(
+      sendTemplateEmail(
+        order.user.email,
+        "order-confirmation",
+        {
+          orderId: order.id,
+          customerName,
+          items,
+          total: order.amount_paid,
+          orderDate: new Date(order.createdAt).toLocaleDateString(),
+          // Price breakdown recorded on the order from the checkout quote
+          subtotal: order.subtotal,
+          discount: order.discount,
+          couponCode: order.coupon?.code,
+          shippingCost: order.shippingCost,
+          tax: order.tax,
+        },
+        { event }
+      )
+    );
+  }
+
+  await sendAll(sends);
+});
+
+subscribe(EVENTS.ORDER_STATUS_CHANGED, async ({ order, previousStatus }, event) => {
+  const template = ORDER_STATUS_TEMPLATES[order.status];
+  if (!template || order.status === previousStatus || !order.user?.email) return;
+
+  await sendTemplateEmail(
+    order.user.email,
+    template,
+    {
+      orderId: order.id,
+      customerName: order.user.name || "Customer",
+      trackingNumber: order.trackingNumber,
+      trackingCarrier: order.trackingCarrier,
+      refundAmount: order.refundAmount, // cents, if the order was refunded before it was cancelled
+    },
+    { event }
+  );
+});
+
+subscribe(EVENTS.ORDER_TRACKING_ADDED, async ({ order, trackingUrl }, event) => {
+  if (!order.user?.email) return;
+
+  await sendTemplateEmail(
+    order.user.email,
+    "shipping-notification",
+    {
+      orderId: order.id,
+      customerName: order.user.name || "Customer",
+      trackingNumber: order.trackingNumber,
+      trackingCarrier: order.trackingCarrier || "usps",
+      trackingUrl: trackingUrl || null,
+    },
+    { event }
+  );
+});
+
+subscribe(EVENTS.ORDER_REFUNDED, async ({ order, refundAmount, refundId }, event) => {
+  const customerName = order.user?.name || "Customer";
+  const data = { orderId: order.id, customerName, refundAmount, refundId };
+  const sends = [sendAdminTemplateEmail("admin-refund-processed", data, { event })];
+  if (order.user?.email) {
+    sends.push(sendTemplateEmail(order.user.email, "order-refunded", data, { event }));
+  }
+  await sendAll(sends);
+});
+
+subscribe(EVENTS.PAYMENT_PROCESSING, async ({ paymentIntentId, user, amount }, event) => {
+  if (!user?.email) return;
+
+  await sendTemplateEmail(
+    user.email,
+    "payment-processing",
+    { orderId: paymentIntentId, customerName: user.name || "Customer", amount },
+    { event }
+  );
+});
+
+subscribe(EVENTS.PAYMENT_FAILED, async ({ paymentIntentId, user, amount, error }, event) => {
+  const customerName = user?.name || "Customer";
+  const sends = [
+    sendAdminTemplateEmail(
+      "admin-payment-failure",
+      { orderId: paymentIntentId, customerName, amount, error },
+      { event }
+    ),
+  ];
+  if (user?.email) {
+    sends.push(
+      sendTemplateEmail(
+        user.email,
+        "payment-failed",
+        { orderId: paymentIntentId, customerName, amount },
+        { event }
+      )
+    );
+  }
+  await sendAll(sends);
+});
+
+subscribe(EVENTS.TICKET_CREATED, async ({ ticket }, event) => {
+  await sendAdminTemplateEmail(
+    "admin-ticket-message",
+    {
+      customerName: ticket.customerName,
+      customerEmail: ticket.customerEmail,
+      subject: ticket.subject,
+      message: ticket.messages?.[0]?.message,
+      ticketUrl: `${FRONTEND_URL}/admin/tickets/${ticket.id}`,
+    },
+    { event }
+  );
+});
+
+subscribe(EVENTS.TICKET_REPLIED, async ({ ticket, reply }, event) => {
+  if (reply.senderRole === "admin") {
+    await sendTemplateEmail(
+      ticket.customerEmail,
+      "ticket-reply",
+      {
+        customerName: ticket.customerName,
+        subject: ticket.subject,
+        message: reply.message,
+        ticketUrl: `${FRONTEND_URL}/tickets/${ticket.id}`,
+      },
+      { event }
+    );
+    return;
+  }
+
+  await sendAdminTemplateEmail(
+    "admin-ticket-message",
+    {
+      isReply: true,
+      customerName: ticket.customerName,
+      customerEmail: ticket.customerEmail,
+      subject: ticket.subject,
+      message: reply.message,
+      ticketUrl: `${FRONTEND_URL}/admin/tickets/${ticket.id}`,
+    },
+    { event }
+  );
+});
+
+subscribe(EVENTS.TICKET_STATUS_CHANGED, async ({ ticket, previousStatus }, event) => {
+  if (ticket.status === previousStatus) return;
+
+  await sendTemplateEmail(
+    ticket.customerEmail,
+    "ticket-status-changed",
+    {
+      customerName: ticket.customerName,
+      subject: ticket.subject,
+      status: ticket.status,
+      ticketUrl: `${FRONTEND_URL}/tickets/${ticket.id}`,
+    },
+    { event }
+  );
+});
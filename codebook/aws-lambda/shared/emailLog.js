@@ -0,0 +1,118 @@
+/**
+ * AWS Lambda - Email Log Helper Functions
+ *
+ * Every email sent by the API (sendTemplateEmail in shared/emailSender.js)
+ * is recorded in the email log table before it is handed to the transport, and updated
+ * with the outcome once delivery succeeded or all retries failed.
+ *
+ * Items (partition key: id):
+ * {
+ *   id: "uuid",
+ *   template: "order-confirmation",
+ *   recipient: "customer@example.com",
+ *   subject: "Order Confirmation - Order #...",
+ *   event: "order.created",          // Domain event that triggered the email (shared/events.js), or
+ *                                    // "template.test" for test emails from the template editor
+ *   transport: "brevo" | "smtp" | "outbox", // Transport that sent it (shared/emailTransport.js)
+ *   status: "pending" | "sent" | "failed" | "skipped", // skipped: the recipient unsubscribed
+ *   attempts: 1,                      // Delivery attempts made (see EMAIL_MAX_ATTEMPTS)
+ *   providerMessageId: "<...@smtp-relay.mailin.fr>", // Message ID from the transport once sent
+ *   error: "Brevo API error: 502 - ...", // Last error when failed
+ *   createdAt, updatedAt
+ * }
+ *
+ * Logging is best-effort: a failed log write never stops the email itself.
+ */
+
+const crypto = require("crypto");
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { PutCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+
+// Longest error message kept on a log entry
+const MAX_ERROR_LENGTH = 1000;
+
+/**
+ * Record an email that is about to be sent (or was skipped)
+ * Never throws - returns null if the entry couldn't be written.
+ *
+ * @param {Object} entry - { template, recipient, subject, event, transport, status }
+ *   (status defaults to "pending"; "skipped" records an email that won't be sent)
+ * @returns {Promise<string|null>} Log entry ID
+ */
+async function createEmailLog({ template, recipient, subject, event, transport, status = "pending" }) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+
+  try {
+    await dynamoDB.send(
+      new PutCommand({
+        TableName: TABLES.EMAIL_LOG,
+        Item: {
+          id,
+          template,
+          recipient,
+          subject,
+          event,
+          transport,
+          status,
+          attempts: 0,
+          createdAt: now,
+          updatedAt: now,
+        },
+      })
+    );
+    return id;
+  } catch (error) {
+    console.error("Failed to write email log:", { template, recipient, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Record the outcome of an email
+ * Never throws.
+ *
+ * @param {string|null} id - Log entry ID (from createEmailLog; null is ignored)
+ * @param {Object} result - { status: "sent" | "failed", attempts, providerMessageId, error }
+ * @returns {Promise<void>}
+ */
+async function updateEmailLog(id, { status, attempts, providerMessageId, error }) {
+  if (!id) return;
+
+  const updateExpressions = ["#status = :status", "attempts = :attempts", "updatedAt = :updatedAt"];
+  const expressionAttributeValues = {
+    ":status": status,
+    ":attempts": attempts,
+    ":updatedAt": new Date().toISOString(),
+  };
+  if (providerMessageId) {
+    updateExpressions.push("providerMessageId = :providerMessageId");
+    expressionAttributeValues[":providerMessageId"] = providerMessageId;
+  }
+  if (error) {
+    updateExpressions.push("#error = :error");
+    expressionAttributeValues[":error"] = String(error).slice(0, MAX_ERROR_LENGTH);
+  }
+
+  try {
+    await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.EMAIL_LOG,
+        Key: { id },
+        UpdateExpression: `SET ${updateExpressions.join(", ")}`,
+        ExpressionAttributeNames: {
+          "#status": "status", // 'status' is a reserved word in DynamoDB
+          ...(error && { "#error": "error" }),
+        },
+        ExpressionAttributeValues: expressionAttributeValues,
+      })
+    );
+  } catch (updateError) {
+    console.error("Failed to update email log:", { id, status, error: updateError.message });
+  }
+}
+
+module.exports = {
+  createEmailLog,
+  updateEmailLog,
+};
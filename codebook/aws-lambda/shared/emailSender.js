@@ -0,0 +1,218 @@
+/**
+ * AWS Lambda - Email Sender
+ *
+ * Renders a template from the email template store (shared/emailTemplates.js) and sends
+ * it through the transport selected by EMAIL_TRANSPORT (shared/emailTransport.js).
+ * Used by the shared modules and functions that email customers and the admin
+ * (shared/emailEvents.js, shared/accountEmails.js, shared/reviewModeration.js, ...)
+ * and by POST /email/send (functions/email/send-email.js).
+ *
+ * Every email is recorded in the email log (shared/emailLog.js) and retried with
+ * exponential backoff when the transport fails (EMAIL_MAX_ATTEMPTS, default 3).
+ * Optional emails (templates with a notification category) respect the recipient's
+ * notification preferences (shared/notificationPreferences.js).
+ */
+
+const { createEmailLog, updateEmailLog } = require("./emailLog");
+const { getEmailTransport } = require("./emailTransport");
+const { TEMPLATE_DEFINITIONS, renderTemplate } = require("./emailTemplates");
+const { getUserByEmail } = require("./users");
+const { isNotificationEnabled, getUnsubscribeLinks } = require("./notificationPreferences");
+
+// Sender and admin addresses (used by every transport)
+const SENDER_EMAIL = process.env.BREVO_SENDER_EMAIL || "arnobt78@gmail.com";
+const SENDER_NAME = process.env.BREVO_SENDER_NAME || "CodeBook Store";
+const BREVO_ADMIN_EMAIL = process.env.BREVO_ADMIN_EMAIL || "arnobt78@gmail.com";
+
+// Delivery retries: attempts per email and the delay before the first retry (doubled for each retry)
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 500;
+
+// Headers that help email providers (especially Yahoo) identify legitimate transactional emails
+const DELIVERABILITY_HEADERS = {
+  "X-Mailer": "CodeBook Store Email System",
+  "X-Priority": "3",
+  "Importance": "normal",
+  "Precedence": "bulk", // Indicates automated transactional email
+  "Auto-Submitted": "auto-generated", // RFC 3834: Indicates automated email
+};
+
+/**
+ * Build the message handed to the email transport (shared/emailTransport.js)
+ *
+ * @param {string} to - Recipient email address
+ * @param {string} template - Template name
+ * @param {Object} content - Rendered template ({ subject, html, text })
+ * @param {Object|null} unsubscribe - Unsubscribe links of an optional email (see getUnsubscribeLinks)
+ * @returns {Object} Transport message
+ */
+function buildMessage(to, template, content, unsubscribe) {
+  const sender = { email: SENDER_EMAIL, name: SENDER_NAME };
+  return {
+    from: sender,
+    replyTo: sender, // Same as sender for transactional emails
+    to,
+    subject: content.subject,
+    html: content.html,
+    text: content.text,
+    headers: {
+      ...DELIVERABILITY_HEADERS,
+      // RFC 8058 one-click unsubscribe: the provider POSTs to the link, no login needed
+      ...(unsubscribe && {
+        "List-Unsubscribe": `<${unsubscribe.oneClickUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      }),
+    },
+    template,
+  };
+}
+
+/**
+ * Delivery attempts per email (EMAIL_MAX_ATTEMPTS)
+ * @returns {number} Attempts (at least 1)
+ */
+function getMaxAttempts() {
+  const attempts = Number(process.env.EMAIL_MAX_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts > 0 ? attempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Delay before the retry after an attempt, without jitter (EMAIL_RETRY_BASE_DELAY_MS doubled per retry)
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt) {
+  const baseDelay = Number(process.env.EMAIL_RETRY_BASE_DELAY_MS) || DEFAULT_RETRY_BASE_DELAY_MS;
+  return baseDelay * 2 ** (attempt - 1);
+}
+
+/**
+ * Wait before the next attempt: base delay doubled per retry, plus up to 50% jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {Promise<void>}
+ */
+function waitBeforeRetry(attempt) {
+  const delay = getRetryDelay(attempt);
+  return new Promise((resolve) => setTimeout(resolve, delay + Math.random() * delay * 0.5));
+}
+
+/**
+ * Longest time sendTemplateEmail can spend waiting between retries (all attempts failing
+ * with the most jitter) - the transport calls themselves come on top
+ * @returns {number} Milliseconds
+ */
+function getMaxRetryWaitMs() {
+  let total = 0;
+  for (let attempt = 1; attempt < getMaxAttempts(); attempt++) {
+    total += getRetryDelay(attempt) * 1.5;
+  }
+  return total;
+}
+
+/**
+ * Send a message, retrying with exponential backoff while the transport fails with a
+ * retryable error (error.retryable, see shared/emailTransport.js)
+ *
+ * @param {Object} transport - Email transport ({ name, send })
+ * @param {Object} message - Transport message (see buildMessage)
+ * @returns {Promise<Object>} { result, attempts } - transport result ({ messageId }) and attempts made
+ * @throws {Error} Last error (error.attempts = attempts made)
+ */
+async function sendWithRetry(transport, message) {
+  const maxAttempts = getMaxAttempts();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await transport.send(message);
+      return { result, attempts: attempt };
+    } catch (error) {
+      if (attempt >= maxAttempts || !error.retryable) {
+        error.attempts = attempt;
+        throw error;
+      }
+      console.warn(
+        `Email to ${message.to} failed via ${transport.name} (attempt ${attempt} of ${maxAttempts}), retrying:`,
+        error.message
+      );
+      await waitBeforeRetry(attempt);
+    }
+  }
+}
+
+/**
+ * Render a template and send it
+ * The email is recorded in the email log and retried while the transport fails.
+ * Optional emails are skipped when the recipient turned their category off.
+ *
+ * @param {string} to - Recipient email address
+ * @param {string} template - Template name (see TEMPLATE_DEFINITIONS in shared/emailTemplates.js)
+ * @param {Object} data - Template data
+ * @param {Object} [options] - { event, drafts, ignorePreferences } - domain event that triggered
+ *   the email (stored in the log), unsaved template content to send instead (see renderTemplate)
+ *   and whether to send even if the recipient unsubscribed (test emails)
+ * @returns {Promise<Object|null>} Transport result ({ messageId }), null if the recipient unsubscribed
+ * @throws {Error} "Invalid template: ...", "Invalid EMAIL_TRANSPORT: ..." or the last delivery error
+ */
+async function sendTemplateEmail(to, template, data, options = {}) {
+  // Optional emails: find the recipient's account for their preferences and unsubscribe link
+  const category = TEMPLATE_DEFINITIONS[template]?.category;
+  const recipientUser = category ? await getUserByEmail(to) : null;
+  const unsubscribe = recipientUser ? getUnsubscribeLinks(recipientUser.id, category) : null;
+
+  const templateContent = await renderTemplate(template, data, {
+    drafts: options.drafts,
+    unsubscribe,
+  });
+
+  if (recipientUser && !options.ignorePreferences && !isNotificationEnabled(recipientUser, category)) {
+    console.log("Email skipped, recipient unsubscribed:", { template, to, category });
+    await createEmailLog({
+      template,
+      recipient: to,
+      subject: templateContent.subject,
+      event: options.event,
+      status: "skipped",
+    });
+    return null;
+  }
+
+  const transport = getEmailTransport();
+
+  const logId = await createEmailLog({
+    template,
+    recipient: to,
+    subject: templateContent.subject,
+    event: options.event,
+    transport: transport.name,
+  });
+
+  try {
+    const { result, attempts } = await sendWithRetry(
+      transport,
+      buildMessage(to, template, templateContent, unsubscribe)
+    );
+    await updateEmailLog(logId, { status: "sent", attempts, providerMessageId: result?.messageId });
+    return result;
+  } catch (error) {
+    await updateEmailLog(logId, { status: "failed", attempts: error.attempts || 1, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Render a template and send it to the store admin (BREVO_ADMIN_EMAIL)
+ *
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ * @param {Object} [options] - { event, drafts } (see sendTemplateEmail)
+ * @returns {Promise<Object|null>} Transport result ({ messageId })
+ */
+async function sendAdminTemplateEmail(template, data, options) {
+  return sendTemplateEmail(BREVO_ADMIN_EMAIL, template, data, options);
+}
+
+module.exports = {
+  sendTemplateEmail,
+  sendAdminTemplateEmail,
+  getMaxRetryWaitMs,
+};
@@ -0,0 +1,953 @@
+/**
+ * AWS Lambda - Email Template Store
+ *
+ * Email templates are Mustache templates stored as data, so their copy can be changed
+ * from the admin panel without redeploying. A template has four parts:
+ * - subject: email subject (plain text)
+ * - heading: title shown in the coloured header row (plain text, available to the
+ *   other parts as {{heading}})
+ * - html: HTML part - {{name}} is HTML-escaped, {{{name}}} inserts raw HTML
+ * - text: plain text part
+ * The html and text parts include the shared partials with {{> header}} and {{> footer}}.
+ * Partials have an html and a text version; the text part gets the text version.
+ *
+ * The defaults ship with the code: subject and heading in TEMPLATE_DEFINITIONS, html and
+ * text parts in shared/email-templates/ (<name>.html, <name>.txt, partials/). Edits are
+ * saved to the email templates table as a new version, so every change can be looked up
+ * and restored.
+ *
+ * Items (partition key: name, sort key: version):
+ * {
+ *   name: "order-confirmation",
+ *   version: 3,                       // Highest version is the one in use (0 = the default from the code)
+ *   kind: "template" | "partial",
+ *   subject, heading, html, text,     // Templates: all four parts; partials: html and text
+ *   updatedAt: "2025-01-15T10:30:00.000Z",
+ *   updatedBy: "admin@example.com"
+ * }
+ *
+ * Each template's prepare() turns the data passed to sendTemplateEmail into the
+ * variables listed in its definition (formatted amounts, defaults, labels), so the
+ * templates themselves need no logic beyond Mustache sections.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Mustache = require("mustache");
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { GetCommand, PutCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+
+// Default html and text parts
+const DEFAULTS_DIR = path.join(__dirname, "email-templates");
+
+// Current templates are cached per Lambda container for a minute
+const TEMPLATE_CACHE_TTL_MS = 60 * 1000;
+
+// Versions returned by listTemplateVersions (newest first)
+const MAX_LISTED_VERSIONS = 25;
+
+// Longest part an admin can save
+const MAX_PART_LENGTH = 100000;
+
+// Parts stored for each kind
+const TEMPLATE_PARTS = ["subject", "heading", "html", "text"];
+const PARTIAL_PARTS = ["html", "text"];
+
+const formatMoney = (value) => Number(value || 0).toFixed(2);
+
+/**
+ * Order items for the item list ({{#items}}...{{/items}})
+ * @param {Array<Object>} items - [{ name, quantity, price }]
+ * @returns {Array<Object>} [{ name, quantity, lineTotal }]
+ */
+function prepareItems(items) {
+  return (items || []).map((item) => ({
+    name: item.name || item.productName || "Product",
+    quantity: item.quantity || 1,
+    lineTotal: formatMoney((item.price || 0) * (item.quantity || 1)),
+  }));
+}
+
+const TICKET_STATUS_LABELS = {
+  open: "Open",
+  in_progress: "In Progress",
+  resolved: "Resolved",
+  closed: "Closed",
+};
+
+// Sample data for previews and test emails
+const SAMPLE_ITEMS = [
+  { id: 10001, name: "The Complete Guide to Backend Development (eBook)", quantity: 1, price: 29.99 },
+  { id: 10004, name: "JavaScript Basics to Advance", quantity: 2, price: 19.5 },
+];
+const SAMPLE_ORDER = {
+  orderId: "ord_7f3a9c21",
+  customerName: "Jane Doe",
+  customerEmail: "jane.doe@example.com",
+  items: SAMPLE_ITEMS,
+  orderDate: "1/15/2025",
+  subtotal: 68.99,
+  discount: 6.9,
+  couponCode: "WELCOME10",
+  shippingCost: 0,
+  tax: 4.97,
+  total: 67.06,
+};
+const SAMPLE_TICKET = {
+  customerName: "Jane Doe",
+  customerEmail: "jane.doe@example.com",
+  subject: "Where is my order?",
+  ticketUrl: "https://codebook-aws.vercel.app/tickets/tkt_5b21e8",
+};
+const SAMPLE_PRODUCT_URL = "https://codebook-aws.vercel.app/products/10001";
+
+/**
+ * Templates: default subject and heading, header colour, notification category (optional
+ * emails customers can turn off, see shared/notificationPreferences.js), the variables
+ * available to the template (name -> description), sample data and prepare(data) -> variables
+ */
+const TEMPLATE_DEFINITIONS = {
+  // Customer emails
+  "order-confirmation": {
+    description: "Sent to the customer when an order is placed",
+    audience: "customer",
+    headerColor: "#2563eb",
+    subject: "Order Confirmation - Order #{{orderId}} [{{uniqueId}}]",
+    heading: "Thank You for Your Order!",
+    variables: {
+      customerName: "Customer name",
+      orderId: "Order ID",
+      orderDate: "Order date",
+      showBreakdown: "True when the order has a discount, shipping or tax",
+      subtotal: "Subtotal (e.g. 68.99)",
+      discount: "Discount amount, if any",
+      discountLabel: 'Discount label ("Discount (CODE)" with a coupon)',
+      shipping: 'Shipping cost ("$4.99" or "Free"), if known',
+      tax: "Tax amount, if any",
+      total: "Total paid",
+      hasItems: "True when the order has items",
+      items: "Items: name, quantity, lineTotal",
+    },
+    sampleData: SAMPLE_ORDER,
+    prepare: (data) => {
+      const hasDiscount = Number(data.discount) > 0;
+      const hasShipping = data.shippingCost !== undefined && data.shippingCost !== null;
+      const hasTax = Number(data.tax) > 0;
+      const items = prepareItems(data.items);
+      return {
+        customerName: data.customerName || "Customer",
+        orderId: data.orderId,
+        orderDate: data.orderDate || new Date().toLocaleDateString(),
+        showBreakdown: hasDiscount || hasShipping || hasTax,
+        subtotal: formatMoney(data.subtotal),
+        discount: hasDiscount ? formatMoney(data.discount) : null,
+        discountLabel: data.couponCode ? `Discount (${data.couponCode})` : "Discount",
+        shipping: hasShipping
+          ? Number(data.shippingCost) > 0
+            ? `$${formatMoney(data.shippingCost)}`
+            : "Free"
+          : null,
+        tax: hasTax ? formatMoney(data.tax) : null,
+        total: formatMoney(data.total),
+        hasItems: items.length > 0,
+        items,
+      };
+    },
+  },
+
+  "shipping-notification": {
+    description: "Sent to the customer when an order ships or gets a tracking number",
+    audience: "customer",
+    category: "shipping",
+    headerColor: "#10b981",
+    subject: "Your Order #{{orderId}} Has Shipped! [{{uniqueId}}]",
+    heading: "Your Order Has Shipped!",
+    variables: {
+      customerName: "Customer name",
+      orderId: "Order ID",
+      trackingNumber: "Tracking number, if any",
+      trackingCarrier: "Carrier (e.g. USPS), if any",
+      trackingUrl: "Carrier tracking page, if any",
+    },
+    sampleData: {
+      ...SAMPLE_ORDER,
+      trackingNumber: "9400111899223197428490",
+      trackingCarrier: "usps",
+      trackingUrl: "https://tools.usps.com/go/TrackConfirmAction?tLabels=9400111899223197428490",
+    },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      orderId: data.orderId,
+      trackingNumber: data.trackingNumber || null,
+      trackingCarrier: data.trackingCarrier ? String(data.trackingCarrier).toUpperCase() : null,
+      trackingUrl: data.trackingUrl || null,
+    }),
+  },
+
+  "delivery-confirmation": {
+    description: "Sent to the customer when an order is marked delivered",
+    audience: "customer",
+    category: "shipping",
+    headerColor: "#059669",
+    subject: "Your Order #{{orderId}} Has Been Delivered! [{{uniqueId}}]",
+    heading: "Your Order Has Been Delivered!",
+    variables: {
+      customerName: "Customer name",
+      orderId: "Order ID",
+    },
+    sampleData: SAMPLE_ORDER,
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      orderId: data.orderId,
+    }),
+  },
+
+  "payment-processing": {
+    description: "Sent to the customer when checkout starts a payment",
+    audience: "customer",
+    category: "orderUpdates",
+    headerColor: "#f59e0b",
+    subject: "Payment Processing - Order #{{orderId}} [{{uniqueId}}]",
+    heading: "Payment Processing",
+    variables: {
+      customerName: "Customer name",
+      orderId: "Payment / order ID",
+      amount: "Amount (e.g. 67.06)",
+    },
+    sampleData: { ...SAMPLE_ORDER, orderId: "pi_3QhX2sLk9d8Z", amount: 67.06 },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      orderId: data.orderId,
+      amount: formatMoney(data.amount),
+    }),
+  },
+
+  "payment-failed": {
+    description: "Sent to the customer when a payment fails",
+    audience: "customer",
+    headerColor: "#ef4444",
+    subject: "Payment Failed - Order #{{orderId}} [{{uniqueId}}]",
+    heading: "Payment Failed",
+    variables: {
+      customerName: "Customer name",
+      orderId: "Payment / order ID",
+      amount: "Amount (e.g. 67.06)",
+    },
+    sampleData: { ...SAMPLE_ORDER, orderId: "pi_3QhX2sLk9d8Z", amount: 67.06 },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      orderId: data.orderId,
+      amount: formatMoney(data.amount),
+    }),
+  },
+
+  "order-canceled": {
+    description: "Sent to the customer when an order is cancelled",
+    audience: "customer",
+    category: "orderUpdates",
+    headerColor: "#6b7280",
+    subject: "Order Canceled - Order #{{orderId}} [{{uniqueId}}]",
+    heading: "Order Canceled",
+    variables: {
+      customerName: "Customer name",
+      orderId: "Order ID",
+      refundAmount: "Refunded amount, if the order was refunded",
+    },
+    sampleData: { ...SAMPLE_ORDER, refundAmount: 6706 },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      orderId: data.orderId,
+      refundAmount: data.refundAmount ? formatMoney(data.refundAmount / 100) : null,
+    }),
+  },
+
+  "order-refunded": {
+    description: "Sent to the customer when an order is refunded",
+    audience: "customer",
+    category: "orderUpdates",
+    headerColor: "#8b5cf6",
+    subject: "Refund Processed - Order #{{orderId}} [{{uniqueId}}]",
+    heading: "Refund Processed",
+    variables: {
+      customerName: "Customer name",
+      orderId: "Order ID",
+      refundAmount: "Refunded amount (e.g. 67.06)",
+    },
+    sampleData: { ...SAMPLE_ORDER, refundAmount: 6706, refundId: "re_3QhX4aLk9d8Z" },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      orderId: data.orderId,
+      refundAmount: formatMoney((data.refundAmount || 0) / 100),
+    }),
+  },
+
+  // Account emails
+  "email-verification": {
+    description: "Sent after registration to confirm the email address",
+    audience: "customer",
+    headerColor: "#2563eb",
+    subject: "Verify Your Email [{{uniqueId}}]",
+    heading: "Verify Your Email",
+    variables: {
+      customerName: "Customer name",
+      verifyUrl: "Verification link (expires in 24 hours)",
+    },
+    sampleData: {
+      customerName: SAMPLE_ORDER.customerName,
+      verifyUrl: "https://codebook-aws.vercel.app/verify-email?token=sample-token",
+    },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      verifyUrl: data.verifyUrl,
+    }),
+  },
+
+  "password-reset": {
+    description: "Sent when a customer asks to reset their password",
+    audience: "customer",
+    headerColor: "#2563eb",
+    subject: "Reset Your Password [{{uniqueId}}]",
+    heading: "Reset Your Password",
+    variables: {
+      customerName: "Customer name",
+      resetUrl: "Password reset link (expires in 1 hour)",
+    },
+    sampleData: {
+      customerName: SAMPLE_ORDER.customerName,
+      resetUrl: "https://codebook-aws.vercel.app/reset-password?token=sample-token",
+    },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      resetUrl: data.resetUrl,
+    }),
+  },
+
+  // Admin alerts
+  "admin-new-order": {
+    description: "Sent to the admin when an order is placed",
+    audience: "admin",
+    headerColor: "#2563eb",
+    subject: "New Order Received - Order #{{orderId}} [{{uniqueId}}]",
+    heading: "New Order Alert",
+    variables: {
+      orderId: "Order ID",
+      customerName: "Customer name",
+      customerEmail: "Customer email",
+      total: "Total paid",
+      itemsDisplay: 'Item count (e.g. "2 items, 3 quantity")',
+      hasItems: "True when the order has items",
+      items: "Items: name, quantity, lineTotal",
+    },
+    sampleData: SAMPLE_ORDER,
+    prepare: (data) => {
+      const items = prepareItems(data.items);
+      const totalQuantity =
+        data.totalQuantity || items.reduce((sum, item) => sum + item.quantity, 0) || data.itemCount || 0;
+      const itemCount = data.itemCount || items.length;
+      return {
+        orderId: data.orderId,
+        customerName: data.customerName || "N/A",
+        customerEmail: data.customerEmail || "N/A",
+        total: formatMoney(data.total),
+        itemsDisplay:
+          itemCount === totalQuantity
+            ? `${totalQuantity} item${totalQuantity !== 1 ? "s" : ""}`
+            : `${itemCount} item${itemCount !== 1 ? "s" : ""}, ${totalQuantity} quantity`,
+        hasItems: items.length > 0,
+        items,
+      };
+    },
+  },
+
+  "admin-low-stock": {
+    description: "Sent to the admin when a product's stock falls to its low stock threshold",
+    audience: "admin",
+    headerColor: "#f59e0b",
+    subject: "Low Stock Alert - {{productName}} [{{uniqueId}}]",
+    heading: "⚠️ Low Stock Alert",
+    variables: {
+      productName: "Product name",
+      productId: "Product ID",
+      currentStock: "Copies in stock",
+      lowStockThreshold: "Low stock threshold",
+    },
+    sampleData: {
+      productName: "The Complete Guide to Backend Development",
+      productId: "10001",
+      currentStock: 3,
+      lowStockThreshold: 10,
+    },
+    prepare: (data) => ({
+      productName: data.productName || "N/A",
+      productId: data.productId || "N/A",
+      currentStock: data.currentStock || 0,
+      lowStockThreshold: data.lowStockThreshold || 10,
+    }),
+  },
+
+  "admin-out-of-stock": {
+    description: "Sent to the admin when a product sells out",
+    audience: "admin",
+    headerColor: "#ef4444",
+    subject: "Out of Stock Alert - {{productName}} [{{uniqueId}}]",
+    heading: "Out of Stock Alert",
+    variables: {
+      productName: "Product name",
+      productId: "Product ID",
+    },
+    sampleData: {
+      productName: "The Complete Guide to Backend Development",
+      productId: "10001",
+    },
+    prepare: (data) => ({
+      productName: data.productName || "N/A",
+      productId: data.productId || "N/A",
+    }),
+  },
+
+  "admin-payment-failure": {
+    description: "Sent to the admin when a payment fails",
+    audience: "admin",
+    headerColor: "#ef4444",
+    subject: "Payment Failure Alert - Order #{{orderId}} [{{uniqueId}}]",
+    heading: "Payment Failure Alert",
+    variables: {
+      orderId: "Payment / order ID",
+      customerName: "Customer name",
+      amount: "Amount (e.g. 67.06)",
+      error: "Error reported by Stripe",
+    },
+    sampleData: {
+      ...SAMPLE_ORDER,
+      orderId: "pi_3QhX2sLk9d8Z",
+      amount: 67.06,
+      error: "Your card has insufficient funds.",
+    },
+    prepare: (data) => ({
+      orderId: data.orderId,
+      customerName: data.customerName || "N/A",
+      amount: formatMoney(data.amount),
+      error: data.error || "Unknown error",
+    }),
+  },
+
+  "admin-refund-processed": {
+    description: "Sent to the admin when an order is refunded",
+    audience: "admin",
+    headerColor: "#8b5cf6",
+    subject: "Refund Processed - Order #{{orderId}} [{{uniqueId}}]",
+    heading: "Refund Processed",
+    variables: {
+      orderId: "Order ID",
+      customerName: "Customer name",
+      refundAmount: "Refunded amount (e.g. 67.06)",
+      refundId: "Stripe refund ID",
+    },
+    sampleData: { ...SAMPLE_ORDER, refundAmount: 6706, refundId: "re_3QhX4aLk9d8Z" },
+    prepare: (data) => ({
+      orderId: data.orderId,
+      customerName: data.customerName || "N/A",
+      refundAmount: formatMoney((data.refundAmount || 0) / 100),
+      refundId: data.refundId || "N/A",
+    }),
+  },
+
+  // Reviews and wishlist
+  "review-rejected": {
+    description: "Sent to the customer when their review is rejected by moderation",
+    audience: "customer",
+    category: "reviewReplies",
+    headerColor: "#2563eb",
+    subject: "Your Review Was Not Published [{{uniqueId}}]",
+    heading: "Your Review Was Not Published",
+    variables: {
+      customerName: "Customer name",
+      productName: "Reviewed product",
+      reason: "Moderator's reason, if any",
+      productUrl: "Product page",
+    },
+    sampleData: {
+      customerName: SAMPLE_ORDER.customerName,
+      productName: "The Complete Guide to Backend Development",
+      reason: "Reviews can't contain links to other shops.",
+      productUrl: SAMPLE_PRODUCT_URL,
+    },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      productName: data.productName || "your purchase",
+      reason: data.reason || null,
+      productUrl: data.productUrl || null,
+    }),
+  },
+
+  "review-reply": {
+    description: "Sent to the customer when the store replies to their review",
+    audience: "customer",
+    category: "reviewReplies",
+    headerColor: "#2563eb",
+    subject: "The Store Replied to Your Review [{{uniqueId}}]",
+    heading: "New Reply to Your Review",
+    variables: {
+      customerName: "Customer name",
+      productName: "Reviewed product",
+      reply: "The store's reply",
+      productUrl: "Product page",
+    },
+    sampleData: {
+      customerName: SAMPLE_ORDER.customerName,
+      productName: "The Complete Guide to Backend Development",
+      reply: "Thanks for the kind words! A second edition with a chapter on queues is on the way.",
+      productUrl: SAMPLE_PRODUCT_URL,
+    },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      productName: data.productName || "your purchase",
+      reply: data.reply || "",
+      productUrl: data.productUrl || null,
+    }),
+  },
+
+  "wishlist-alert": {
+    description: "Sent to customers when a book on their wishlist is back in stock or cheaper",
+    audience: "customer",
+    category: "marketing",
+    headerColor: "#2563eb",
+    subject: "{{heading}}: {{productName}} [{{uniqueId}}]",
+    heading: "{{#backInStock}}Back in Stock{{/backInStock}}{{^backInStock}}Price Drop{{/backInStock}}",
+    variables: {
+      customerName: "Customer name",
+      productName: "Book name",
+      backInStock: "True when the book is back in stock",
+      priceDropped: "True when the price dropped",
+      newPrice: "New price (e.g. 24.99)",
+      oldPrice: "Previous price",
+      productUrl: "Product page",
+    },
+    sampleData: {
+      customerName: SAMPLE_ORDER.customerName,
+      productName: "The Complete Guide to Backend Development",
+      backInStock: false,
+      priceDropped: true,
+      newPrice: 24.99,
+      oldPrice: 29.99,
+      productUrl: SAMPLE_PRODUCT_URL,
+    },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      productName: data.productName || "A book on your wishlist",
+      backInStock: Boolean(data.backInStock),
+      priceDropped: Boolean(data.priceDropped),
+      newPrice: formatMoney(data.newPrice),
+      oldPrice: formatMoney(data.oldPrice),
+      productUrl: data.productUrl || null,
+    }),
+  },
+
+  // Support tickets
+  "admin-ticket-message": {
+    description: "Sent to the admin when a customer opens or replies to a support ticket",
+    audience: "admin",
+    headerColor: "#7c3aed",
+    subject: "{{heading}}: {{subject}} [{{uniqueId}}]",
+    heading: "{{#isReply}}New Ticket Reply{{/isReply}}{{^isReply}}New Support Ticket{{/isReply}}",
+    variables: {
+      isReply: "True for a reply, false for a new ticket",
+      customerName: "Customer name",
+      customerEmail: "Customer email",
+      subject: "Ticket subject",
+      message: "Customer's message",
+      ticketUrl: "Ticket page in the admin panel",
+    },
+    sampleData: {
+      ...SAMPLE_TICKET,
+      isReply: false,
+      message: "Hi, I ordered two books last week and haven't received a shipping email yet.",
+      ticketUrl: "https://codebook-aws.vercel.app/admin/tickets/tkt_5b21e8",
+    },
+    prepare: (data) => ({
+      isReply: Boolean(data.isReply),
+      customerName: data.customerName || "A customer",
+      customerEmail: data.customerEmail || "N/A",
+      subject: data.subject || "Support Ticket",
+      message: data.message || null,
+      ticketUrl: data.ticketUrl || null,
+    }),
+  },
+
+  "ticket-reply": {
+    description: "Sent to the customer when support replies to their ticket",
+    audience: "customer",
+    category: "ticketReplies",
+    headerColor: "#2563eb",
+    subject: "Re: {{subject}} [{{uniqueId}}]",
+    heading: "New Reply to Your Support Ticket",
+    variables: {
+      customerName: "Customer name",
+      subject: "Ticket subject",
+      message: "Support's reply",
+      ticketUrl: "Ticket page",
+    },
+    sampleData: {
+      ...SAMPLE_TICKET,
+      message: "Hi Jane, your order shipped this morning - you'll get the tracking number by email shortly.",
+    },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      subject: data.subject || "Support Ticket",
+      message: data.message || "",
+      ticketUrl: data.ticketUrl || "",
+    }),
+  },
+
+  "ticket-status-changed": {
+    description: "Sent to the customer when their ticket's status changes",
+    audience: "customer",
+    category: "ticketReplies",
+    headerColor: "#2563eb",
+    subject: "Your Support Ticket Is {{statusLabel}} [{{uniqueId}}]",
+    heading: "Support Ticket {{statusLabel}}",
+    variables: {
+      customerName: "Customer name",
+      subject: "Ticket subject",
+      statusLabel: 'New status (e.g. "Resolved")',
+      isResolved: "True when the ticket was resolved",
+      ticketUrl: "Ticket page",
+    },
+    sampleData: { ...SAMPLE_TICKET, status: "resolved" },
+    prepare: (data) => ({
+      customerName: data.customerName || "Customer",
+      subject: data.subject || "Support Ticket",
+      statusLabel: TICKET_STATUS_LABELS[data.status] || data.status,
+      isResolved: data.status === "resolved",
+      ticketUrl: data.ticketUrl || null,
+    }),
+  },
+};
+
+/**
+ * Partials shared by all templates ({{> header}} / {{> footer}})
+ */
+const PARTIAL_DEFINITIONS = {
+  header: {
+    description: "Document head and the coloured heading row ({{heading}}, {{headerColor}})",
+  },
+  footer: {
+    description:
+      "Store footer below the email content - optional emails also get {{unsubscribeUrl}}, {{preferencesUrl}} and {{notificationCategory}}",
+  },
+};
+
+/**
+ * Generate unique identifier for email subject to prevent spam filtering
+ * Format: YYYYMMDD-HHMMSS-RRRR (date-time-random)
+ * @returns {string} Unique identifier string
+ */
+function generateUniqueId() {
+  const now = new Date();
+  const dateStr = now.toISOString().slice(0, 10).replace(/-/g, ""); // YYYYMMDD
+  const timeStr = now.toTimeString().slice(0, 8).replace(/:/g, ""); // HHMMSS
+  const random = Math.floor(Math.random() * 10000).toString().padStart(4, "0"); // 4-digit random
+  return `${dateStr}-${timeStr}-${random}`;
+}
+
+/**
+ * Whether a name is a template or a partial
+ * @param {string} name - Template or partial name
+ * @returns {string|null} "template", "partial" or null if unknown
+ */
+function getTemplateKind(name) {
+  if (Object.hasOwn(TEMPLATE_DEFINITIONS, name)) return "template";
+  if (Object.hasOwn(PARTIAL_DEFINITIONS, name)) return "partial";
+  return null;
+}
+
+/**
+ * Default content of a template or partial (version 0)
+ * @param {string} name - Template or partial name
+ * @returns {Object} { name, kind, version: 0, subject, heading, html, text }
+ */
+function getDefaultTemplate(name) {
+  const kind = getTemplateKind(name);
+  const dir = kind === "partial" ? path.join(DEFAULTS_DIR, "partials") : DEFAULTS_DIR;
+  const readPart = (extension) => fs.readFileSync(path.join(dir, `${name}.${extension}`), "utf8");
+
+  return {
+    name,
+    kind,
+    version: 0,
+    ...(kind === "template" && {
+      subject: TEMPLATE_DEFINITIONS[name].subject,
+      heading: TEMPLATE_DEFINITIONS[name].heading,
+    }),
+    html: readPart("html"),
+    text: readPart("txt"),
+  };
+}
+
+// Current version per name: name -> { template, cachedAt }
+const templateCache = new Map();
+
+/**
+ * Get a template or partial
+ * Without a version, returns the current one (cached per container) - the default from
+ * the code if it was never edited, or if the table can't be read.
+ *
+ * @param {string} name - Template or partial name
+ * @param {number} [version] - Version to get (0 = default)
+ * @returns {Promise<Object|null>} Template or null if the name or version doesn't exist
+ */
+async function getTemplate(name, version) {
+  if (!getTemplateKind(name)) return null;
+
+  if (version === 0) {
+    return getDefaultTemplate(name);
+  }
+
+  if (version !== undefined) {
+    const result = await dynamoDB.send(
+      new GetCommand({
+        TableName: TABLES.EMAIL_TEMPLATES,
+        Key: { name, version },
+      })
+    );
+    return result.Item || null;
+  }
+
+  const cached = templateCache.get(name);
+  if (cached && Date.now() - cached.cachedAt < TEMPLATE_CACHE_TTL_MS) {
+    return cached.template;
+  }
+
+  let template;
+  try {
+    template = (await queryVersions(name, { limit: 1 }))[0] || getDefaultTemplate(name);
+  } catch (error) {
+    console.error("Failed to read email template, using the default:", { name, error: error.message });
+    return getDefaultTemplate(name);
+  }
+
+  templateCache.set(name, { template, cachedAt: Date.now() });
+  return template;
+}
+
+/**
+ * Query the saved versions of a template, newest first
+ * @param {string} name - Template or partial name
+ * @param {Object} [options] - { limit, projection }
+ * @returns {Promise<Array<Object>>} Items
+ */
+async function queryVersions(name, { limit, projection } = {}) {
+  const result = await dynamoDB.send(
+    new QueryCommand({
+      TableName: TABLES.EMAIL_TEMPLATES,
+      KeyConditionExpression: "#name = :name",
+      ExpressionAttributeNames: {
+        "#name": "name", // 'name' is a reserved word in DynamoDB
+        ...(projection && { "#version": "version" }),
+      },
+      ExpressionAttributeValues: { ":name": name },
+      ...(projection && { ProjectionExpression: projection }),
+      ScanIndexForward: false,
+      Limit: limit,
+    })
+  );
+  return result.Items || [];
+}
+
+/**
+ * Version history of a template (newest first, the default from the code last)
+ * @param {string} name - Template or partial name
+ * @returns {Promise<Array<Object>>} [{ version, updatedAt, updatedBy }]
+ */
+async function listTemplateVersions(name) {
+  const versions = await queryVersions(name, {
+    limit: MAX_LISTED_VERSIONS,
+    projection: "#version, updatedAt, updatedBy",
+  });
+  return [...versions, { version: 0, updatedAt: null, updatedBy: null }];
+}
+
+/**
+ * All templates and partials with their current version (for the admin list)
+ * @returns {Promise<Object>} { templates: [...], partials: [...] }
+ */
+async function listTemplates() {
+  const summarize = async (name, definition) => {
+    const template = await getTemplate(name);
+    return {
+      name,
+      kind: template.kind,
+      description: definition.description,
+      ...(definition.audience && { audience: definition.audience }),
+      version: template.version,
+      updatedAt: template.updatedAt || null,
+      updatedBy: template.updatedBy || null,
+    };
+  };
+
+  const [templates, partials] = await Promise.all([
+    Promise.all(Object.entries(TEMPLATE_DEFINITIONS).map(([name, def]) => summarize(name, def))),
+    Promise.all(Object.entries(PARTIAL_DEFINITIONS).map(([name, def]) => summarize(name, def))),
+  ]);
+  return { templates, partials };
+}
+
+/**
+ * Check that every part is valid Mustache and only includes known partials
+ * (partials can't include partials)
+ *
+ * @param {string} name - Template or partial name
+ * @param {Object} content - { subject, heading, html, text }
+ * @returns {Object} The parts of the content for this kind
+ * @throws {Error} "Invalid template: ..." if a part is missing or doesn't parse
+ */
+function validateTemplateContent(name, content) {
+  const kind = getTemplateKind(name);
+  const parts = kind === "partial" ? PARTIAL_PARTS : TEMPLATE_PARTS;
+  const validated = {};
+
+  const findPartials = (tokens) =>
+    tokens.flatMap((token) => [
+      ...(token[0] === ">" ? [token[1]] : []),
+      ...(Array.isArray(token[4]) ? findPartials(token[4]) : []),
+    ]);
+
+  for (const part of parts) {
+    const value = content?.[part];
+    if (typeof value !== "string" || !value.trim()) {
+      throw new Error(`Invalid template: ${part} is required`);
+    }
+    if (value.length > MAX_PART_LENGTH) {
+      throw new Error(`Invalid template: ${part} is longer than ${MAX_PART_LENGTH} characters`);
+    }
+
+    let tokens;
+    try {
+      tokens = Mustache.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid template: ${part} - ${error.message}`);
+    }
+
+    for (const partial of findPartials(tokens)) {
+      if (kind === "partial" || ["subject", "heading"].includes(part)) {
+        throw new Error(`Invalid template: ${part} can't include partials`);
+      }
+      if (!Object.hasOwn(PARTIAL_DEFINITIONS, partial)) {
+        throw new Error(`Invalid template: unknown partial "${partial}" in ${part}`);
+      }
+    }
+
+    validated[part] = value;
+  }
+
+  return validated;
+}
+
+/**
+ * Save a new version of a template or partial (admin only)
+ *
+ * @param {string} name - Template or partial name
+ * @param {Object} content - { subject, heading, html, text } (partials: { html, text })
+ * @param {string} updatedBy - Email of the admin making the change
+ * @returns {Promise<Object>} Saved version
+ * @throws {Error} "Email template not found", "Invalid template: ..." or a conflict if
+ *   another admin saved the template at the same time
+ */
+async function saveTemplate(name, content, updatedBy) {
+  const kind = getTemplateKind(name);
+  if (!kind) {
+    throw new Error("Email template not found");
+  }
+  const parts = validateTemplateContent(name, content);
+
+  const [latest] = await queryVersions(name, { limit: 1, projection: "#version" });
+  const template = {
+    name,
+    version: (latest?.version || 0) + 1,
+    kind,
+    ...parts,
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+  };
+
+  try {
+    await dynamoDB.send(
+      new PutCommand({
+        TableName: TABLES.EMAIL_TEMPLATES,
+        Item: template,
+        ConditionExpression: "attribute_not_exists(#version)", // Another admin saved this version first
+        ExpressionAttributeNames: { "#version": "version" },
+      })
+    );
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("Email template was changed by someone else - reload it and try again");
+    }
+    throw error;
+  }
+
+  templateCache.set(name, { template, cachedAt: Date.now() });
+  return template;
+}
+
+/**
+ * Render a template into an email
+ *
+ * @param {string} name - Template name
+ * @param {Object} data - Template data (see the template's prepare)
+ * @param {Object} [options] - { drafts, unsubscribe }
+ * @param {Object} [options.drafts] - { [template or partial name]: content } - unsaved content
+ *   to render instead of the current version (previews and test emails)
+ * @param {Object} [options.unsubscribe] - Unsubscribe links for the footer of an optional
+ *   email ({ url, preferencesUrl, categoryLabel }, see getUnsubscribeLinks)
+ * @returns {Promise<Object>} { subject, html, text }
+ * @throws {Error} "Invalid template: ..." for an unknown template
+ */
+async function renderTemplate(name, data, { drafts = {}, unsubscribe = null } = {}) {
+  const definition = TEMPLATE_DEFINITIONS[name];
+  if (!definition) {
+    throw new Error(`Invalid template: ${name}`);
+  }
+
+  const load = async (templateName) => ({
+    ...(await getTemplate(templateName)),
+    ...drafts[templateName],
+  });
+  const [template, ...partials] = await Promise.all(
+    [name, ...Object.keys(PARTIAL_DEFINITIONS)].map(load)
+  );
+
+  const htmlPartials = Object.fromEntries(partials.map((partial) => [partial.name, partial.html]));
+  const textPartials = Object.fromEntries(partials.map((partial) => [partial.name, partial.text]));
+
+  // Subject, heading and text are plain text - nothing is HTML-escaped
+  const plain = { escape: (value) => String(value) };
+
+  const view = {
+    ...definition.prepare(data || {}),
+    headerColor: definition.headerColor,
+    uniqueId: generateUniqueId(),
+    unsubscribeUrl: unsubscribe?.url || null,
+    preferencesUrl: unsubscribe?.preferencesUrl || null,
+    notificationCategory: unsubscribe?.categoryLabel || null,
+  };
+  view.heading = Mustache.render(template.heading, view, {}, plain).trim();
+
+  return {
+    subject: Mustache.render(template.subject, view, {}, plain).trim(),
+    html: Mustache.render(template.html, view, htmlPartials),
+    text: Mustache.render(template.text, view, textPartials, plain).trim(),
+  };
+}
+
+module.exports = {
+  TEMPLATE_DEFINITIONS,
+  PARTIAL_DEFINITIONS,
+  getTemplateKind,
+  getTemplate,
+  listTemplateVersions,
+  listTemplates,
+  validateTemplateContent,
+  saveTemplate,
+  renderTemplate,
+};
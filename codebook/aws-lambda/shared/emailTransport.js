@@ -0,0 +1,218 @@
+/**
+ * AWS Lambda - Email Transports
+ *
+ * sendTemplateEmail (shared/emailSender.js) renders a template into a message
+ * and hands it to the transport selected by EMAIL_TRANSPORT:
+ * - "brevo" (default): Brevo transactional email HTTP API (BREVO_API_KEY)
+ * - "smtp": any SMTP server (SMTP_HOST, SMTP_PORT default 587, SMTP_SECURE "true" for
+ *   implicit TLS on 465, SMTP_USER / SMTP_PASS)
+ * - "outbox": nothing is sent - every email is written to EMAIL_OUTBOX_DIR (default
+ *   <tmp>/codebook-outbox) as a raw .eml and its .html part, to develop and test the
+ *   templates offline
+ *
+ * Every transport has the same interface:
+ *   send({ from, replyTo, to, subject, html, text, headers, template }) -> { messageId }
+ * from and replyTo are { email, name }. Errors carry `retryable` (true if trying
+ * again may succeed) so sendTemplateEmail knows whether to back off and retry.
+ */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const BREVO_API_URL = "https://api.brevo.com/v3/smtp/email";
+const DEFAULT_TRANSPORT = "brevo";
+
+/**
+ * Create an error for a failed send
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether trying again may succeed
+ * @param {Object} [details] - Extra properties (e.g. { status })
+ * @returns {Error} Error with `retryable`
+ */
+function transportError(message, retryable, details = {}) {
+  return Object.assign(new Error(message), details, { retryable });
+}
+
+/**
+ * Format an address for nodemailer ("Name <email>")
+ * @param {Object} address - { email, name }
+ * @returns {Object} { address, name }
+ */
+function toMailAddress({ email, name }) {
+  return { address: email, ...(name && { name }) };
+}
+
+/**
+ * Build the nodemailer message for a transport message
+ * @param {Object} message - Transport message
+ * @returns {Object} nodemailer message options
+ */
+function toMailOptions(message) {
+  return {
+    from: toMailAddress(message.from),
+    to: message.to,
+    ...(message.replyTo && { replyTo: toMailAddress(message.replyTo) }),
+    subject: message.subject,
+    html: message.html,
+    ...(message.text && { text: message.text }),
+    headers: message.headers || {},
+  };
+}
+
+/**
+ * Brevo transactional email API
+ * Network errors, rate limiting (429) and Brevo server errors (5xx) are retryable;
+ * other 4xx errors (invalid address, bad API key) fail the same way every time.
+ */
+const brevoTransport = {
+  name: "brevo",
+
+  async send(message) {
+    const apiKey = process.env.BREVO_API_KEY;
+    if (!apiKey) {
+      throw transportError("BREVO_API_KEY environment variable is not set", false);
+    }
+
+    const emailData = {
+      sender: message.from,
+      to: [{ email: message.to }],
+      subject: message.subject,
+      htmlContent: message.html,
+      // Plain text version for better email client compatibility and deliverability
+      ...(message.text && { textContent: message.text }),
+      ...(message.replyTo && { replyTo: message.replyTo }),
+      headers: message.headers,
+    };
+
+    let response;
+    try {
+      response = await fetch(BREVO_API_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "api-key": apiKey,
+        },
+        body: JSON.stringify(emailData),
+      });
+    } catch (error) {
+      throw transportError(`Brevo API request failed: ${error.message}`, true);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw transportError(
+        `Brevo API error: ${response.status} - ${errorText}`,
+        response.status === 429 || response.status >= 500,
+        { status: response.status }
+      );
+    }
+
+    const result = await response.json();
+    return { messageId: result.messageId };
+  },
+};
+
+// SMTP connection is created once per Lambda execution context (reused across invocations)
+let smtpTransporter = null;
+
+/**
+ * Generic SMTP server
+ * Connection errors and temporary (4xx) SMTP replies are retryable; permanent (5xx)
+ * replies and authentication errors are not.
+ */
+const smtpTransport = {
+  name: "smtp",
+
+  async send(message) {
+    if (!process.env.SMTP_HOST) {
+      throw transportError("SMTP_HOST environment variable is not set", false);
+    }
+
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        ...(process.env.SMTP_USER && {
+          auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" },
+        }),
+      });
+    }
+
+    try {
+      const info = await smtpTransporter.sendMail(toMailOptions(message));
+      return { messageId: info.messageId };
+    } catch (error) {
+      const retryable = error.responseCode
+        ? error.responseCode >= 400 && error.responseCode < 500
+        : error.code !== "EAUTH" && error.code !== "EENVELOPE";
+      throw transportError(`SMTP error: ${error.message}`, retryable, {
+        ...(error.responseCode && { status: error.responseCode }),
+      });
+    }
+  },
+};
+
+// Builds the raw message without connecting anywhere
+const emlBuilder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+/**
+ * Local outbox: writes <time>-<template>-<id>.eml (the full message as it would be
+ * sent) and .html (the HTML part, to open in a browser) to EMAIL_OUTBOX_DIR
+ */
+const outboxTransport = {
+  name: "outbox",
+
+  async send(message) {
+    const outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), "codebook-outbox");
+
+    try {
+      const { message: eml, messageId } = await emlBuilder.sendMail(toMailOptions(message));
+      const fileName = [
+        new Date().toISOString().replace(/[:.]/g, "-"),
+        message.template || "email",
+        crypto.randomUUID().slice(0, 8),
+      ].join("-");
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(path.join(outboxDir, `${fileName}.eml`), eml);
+      await fs.writeFile(path.join(outboxDir, `${fileName}.html`), message.html);
+
+      console.log(`Email to ${message.to} written to outbox:`, path.join(outboxDir, fileName));
+      return { messageId };
+    } catch (error) {
+      throw transportError(`Outbox error: ${error.message}`, false);
+    }
+  },
+};
+
+const TRANSPORTS = {
+  brevo: brevoTransport,
+  smtp: smtpTransport,
+  outbox: outboxTransport,
+};
+
+/**
+ * The transport selected by EMAIL_TRANSPORT (default "brevo")
+ * @returns {Object} Transport ({ name, send })
+ * @throws {Error} "Invalid EMAIL_TRANSPORT: ..." for an unknown transport
+ */
+function getEmailTransport() {
+  const name = (process.env.EMAIL_TRANSPORT || DEFAULT_TRANSPORT).trim().toLowerCase();
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw transportError(
+      `Invalid EMAIL_TRANSPORT: ${name} (must be one of ${Object.keys(TRANSPORTS).join(", ")})`,
+      false
+    );
+  }
+  return transport;
+}
+
+module.exports = {
+  TRANSPORTS,
+  getEmailTransport,
+};
@@ -0,0 +1,97 @@
+/**
+ * AWS Lambda - Domain Event Bus
+ *
+ * In-process publish/subscribe for store state changes. The code that changes an
+ * order, payment, ticket or review publishes an event; subscribers react to it
+ * (shared/emailEvents.js emails the customer and the admin, shared/notificationEvents.js
+ * adds to their notification feeds).
+ *
+ * Subscriber modules register their handlers when they are loaded. They are loaded
+ * on the first publish, so the modules that publish don't have to require them
+ * (and no require cycle is created).
+ *
+ * Publishing never throws and waits for every handler: a Lambda may be frozen as
+ * soon as it returns, so handlers must finish before the response is sent.
+ */
+
+/**
+ * Event types and their payloads
+ */
+const EVENTS = {
+  ORDER_CREATED: "order.created", // { order }
+  ORDER_STATUS_CHANGED: "order.status_changed", // { order, previousStatus }
+  ORDER_TRACKING_ADDED: "order.tracking_added", // { order, trackingUrl }
+  ORDER_REFUNDED: "order.refunded", // { order, refundAmount (cents), refundId }
+  PAYMENT_PROCESSING: "payment.processing", // { paymentIntentId, user, amount (dollars) }
+  PAYMENT_FAILED: "payment.failed", // { paymentIntentId, user, amount (dollars), error }
+  TICKET_CREATED: "ticket.created", // { ticket }
+  TICKET_REPLIED: "ticket.replied", // { ticket, reply }
+  TICKET_STATUS_CHANGED: "ticket.status_changed", // { ticket, previousStatus }
+  REVIEW_CREATED: "review.created", // { review }
+  REVIEW_STATUS_CHANGED: "review.status_changed", // { review, previousStatus }
+  REVIEW_REPLIED: "review.replied", // { review, reply }
+};
+
+// Modules that subscribe to events (loaded on the first publish)
+const SUBSCRIBER_MODULES = ["./emailEvents", "./notificationEvents"];
+
+const handlers = {};
+let subscribersLoaded = false;
+
+/**
+ * Register a handler for an event type
+ *
+ * @param {string} type - Event type (one of EVENTS)
+ * @param {Function} handler - async (payload, type) => void
+ */
+function subscribe(type, handler) {
+  if (!Object.values(EVENTS).includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  handlers[type] = [...(handlers[type] || []), handler];
+}
+
+/**
+ * Load the subscriber modules once
+ */
+function loadSubscribers() {
+  if (subscribersLoaded) return;
+  subscribersLoaded = true;
+  SUBSCRIBER_MODULES.forEach((modulePath) => require(modulePath));
+}
+
+/**
+ * Publish an event to its subscribers
+ * Never throws - a failed subscriber must not fail the change that raised the event.
+ *
+ * @param {string} type - Event type (one of EVENTS)
+ * @param {Object} payload - Event payload (see EVENTS)
+ * @returns {Promise<Object>} { handled, failed }
+ */
+async function publishEvent(type, payload) {
+  try {
+    loadSubscribers();
+  } catch (error) {
+    console.error("Failed to load event subscribers:", error.message);
+  }
+
+  const eventHandlers = handlers[type] || [];
+  if (eventHandlers.length === 0) {
+    return { handled: 0, failed: 0 };
+  }
+
+  const results = await Promise.allSettled(eventHandlers.map((handler) => handler(payload, type)));
+
+  const failed = results.filter((result) => result.status === "rejected");
+  failed.forEach((result) => {
+    console.error(`Event handler failed for ${type}:`, result.reason?.message || result.reason);
+  });
+
+  return { handled: results.length - failed.length, failed: failed.length };
+}
+
+module.exports = {
+  EVENTS,
+  subscribe,
+  publishEvent,
+};
@@ -0,0 +1,136 @@
+/**
+ * AWS Lambda - Payment Idempotency Helper Functions
+ *
+ * Records in the payment idempotency table make payment handling safe to repeat
+ * (Stripe retries, duplicate webhook deliveries, the browser and the webhook
+ * racing each other). Two kinds of keys are stored:
+ *
+ * - "payment_intent#<paymentIntentId>" -> { orderId }
+ *   Written in the same transaction as the order Put (see createOrder), so a
+ *   payment intent can never produce more than one order.
+ *
+ * - "stripe_event#<eventId>" -> { eventType, paymentIntentId, processedAt }
+ *   Written after a webhook event was handled, so duplicate deliveries are skipped.
+ *   Expires via DynamoDB TTL (expiresAt) - Stripe stops retrying after 3 days.
+ */
+
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { GetCommand, PutCommand } = require("@aws-sdk/lib-dynamodb");
+
+// Processed webhook events are kept for 30 days
+const EVENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Idempotency key for the order created from a payment intent
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {string} Idempotency key
+ */
+function paymentIntentKey(paymentIntentId) {
+  return `payment_intent#${paymentIntentId}`;
+}
+
+/**
+ * Idempotency key for a Stripe webhook event
+ * @param {string} eventId - Stripe event ID
+ * @returns {string} Idempotency key
+ */
+function stripeEventKey(eventId) {
+  return `stripe_event#${eventId}`;
+}
+
+/**
+ * Get an idempotency record
+ *
+ * @param {string} idempotencyKey - Key from paymentIntentKey or stripeEventKey
+ * @returns {Promise<Object|null>} Record or null if the key hasn't been used
+ */
+async function getIdempotencyRecord(idempotencyKey) {
+  try {
+    const result = await dynamoDB.send(
+      new GetCommand({
+        TableName: TABLES.PAYMENT_IDEMPOTENCY,
+        Key: { idempotencyKey },
+        ConsistentRead: true, // Must see a record written moments ago by a concurrent request
+      })
+    );
+    return result.Item || null;
+  } catch (error) {
+    console.error("getIdempotencyRecord error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Build a TransactWriteItems Put that claims an idempotency key
+ * The transaction is cancelled if the key was already claimed.
+ *
+ * @param {string} idempotencyKey - Key to claim
+ * @param {Object} attributes - Attributes stored with the key (e.g. { orderId })
+ * @returns {Object} transactItem
+ */
+function buildIdempotencyClaim(idempotencyKey, attributes = {}) {
+  return {
+    Put: {
+      TableName: TABLES.PAYMENT_IDEMPOTENCY,
+      Item: {
+        idempotencyKey,
+        ...attributes,
+        createdAt: new Date().toISOString(),
+      },
+      ConditionExpression: "attribute_not_exists(idempotencyKey)",
+    },
+  };
+}
+
+/**
+ * Check whether a Stripe webhook event was already handled
+ *
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<boolean>} True if the event was processed before
+ */
+async function isEventProcessed(eventId) {
+  const record = await getIdempotencyRecord(stripeEventKey(eventId));
+  return !!record;
+}
+
+/**
+ * Record that a Stripe webhook event was handled
+ *
+ * @param {Object} stripeEvent - Stripe event
+ * @returns {Promise<boolean>} False if another delivery of the event recorded it first
+ */
+async function markEventProcessed(stripeEvent) {
+  const now = new Date();
+  try {
+    await dynamoDB.send(
+      new PutCommand({
+        TableName: TABLES.PAYMENT_IDEMPOTENCY,
+        Item: {
+          idempotencyKey: stripeEventKey(stripeEvent.id),
+          eventType: stripeEvent.type,
+          paymentIntentId: stripeEvent.data?.object?.id,
+          processedAt: now.toISOString(),
+          createdAt: now.toISOString(),
+          expiresAt: Math.floor(now.getTime() / 1000) + EVENT_TTL_SECONDS,
+        },
+        ConditionExpression: "attribute_not_exists(idempotencyKey)",
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    console.error("markEventProcessed error:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  paymentIntentKey,
+  stripeEventKey,
+  getIdempotencyRecord,
+  buildIdempotencyClaim,
+  isEventProcessed,
+  markEventProcessed,
+};
@@ -0,0 +1,280 @@
+/**
+ * AWS Lambda - Customer Library (purchased eBooks)
+ *
+ * A customer owns every book in their paid orders. Ownership is always derived from
+ * the orders themselves, so refunding (or cancelling) an order revokes access to its
+ * books the moment the order status changes - there is nothing else to clean up.
+ *
+ * Only digital order lines count: books without variants, or the PDF/EPUB variant
+ * of a book that is also sold in print (a paperback doesn't come with a download).
+ *
+ * Downloads are counted per purchase (one order line) in their own table:
+ * - Partition key: userId, sort key: purchaseId ("{orderId}#{productId}", plus ":{variantId}" for variants)
+ * - downloadCount is incremented with a condition, so concurrent requests can't
+ *   go over EBOOK_DOWNLOAD_LIMIT (default 5 downloads per purchase)
+ * A customer who bought the same book twice gets the limit twice; the oldest
+ * purchase with downloads left is used first.
+ */
+
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { QueryCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const { getOrdersByUserId } = require("./orders");
+const { getProductById, getLineKey, DIGITAL_FORMATS } = require("./products");
+const { createEbookDownloadUrl } = require("./ebookStorage");
+
+const DEFAULT_DOWNLOAD_LIMIT = 5;
+
+/**
+ * Downloads allowed per purchase (EBOOK_DOWNLOAD_LIMIT)
+ * @returns {number} Limit
+ */
+function getDownloadLimit() {
+  const limit = Number(process.env.EBOOK_DOWNLOAD_LIMIT);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_DOWNLOAD_LIMIT;
+}
+
+/**
+ * Whether an order grants access to its books (paid - or partially refunded - and not
+ * fully refunded or cancelled)
+ *
+ * Only orders created from a verified Stripe payment (fulfillPaymentIntent) count as paid:
+ * they are the only ones with a paymentIntentId, which createOrder never takes from a request.
+ *
+ * @param {Object} order - Order
+ * @returns {boolean} True if the customer may download the order's books
+ */
+function isEntitledOrder(order) {
+  return (
+    Boolean(order?.paymentIntentId) &&
+    (order.paymentStatus === "paid" || order.paymentStatus === "partially_refunded") &&
+    order.status !== "refunded" &&
+    order.status !== "cancelled"
+  );
+}
+
+/**
+ * Get every purchase (order line) that grants access, oldest first
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Purchases { purchaseId, orderId, productId, purchasedAt, item }
+ */
+async function getPurchases(userId) {
+  const orders = await getOrdersByUserId(userId);
+
+  return orders
+    .filter(isEntitledOrder)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .flatMap((order) =>
+      (order.cartList || [])
+        .filter((item) => item?.id && (!item.format || DIGITAL_FORMATS.includes(item.format)))
+        .map((item) => ({
+          purchaseId: `${order.id}#${getLineKey(item.id, item.variantId)}`,
+          orderId: order.id,
+          productId: item.id,
+          purchasedAt: order.createdAt,
+          item,
+        }))
+    );
+}
+
+/**
+ * Get the download counters of a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Map of purchaseId -> { downloadCount, lastDownloadAt }
+ */
+async function getDownloadCounts(userId) {
+  const counts = {};
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.send(
+      new QueryCommand({
+        TableName: TABLES.EBOOK_DOWNLOADS,
+        KeyConditionExpression: "userId = :userId",
+        ExpressionAttributeValues: { ":userId": userId },
+        ...(lastEvaluatedKey && { ExclusiveStartKey: lastEvaluatedKey }),
+      })
+    );
+    (result.Items || []).forEach((entry) => {
+      counts[entry.purchaseId] = entry;
+    });
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return counts;
+}
+
+/**
+ * Public description of a product's file (never exposes the storage key)
+ *
+ * @param {Object} product - Product
+ * @returns {Object|null} { format, fileName, size } or null if the book has no file
+ */
+function describeEbookFile(product) {
+  if (!product?.ebookFile?.key) return null;
+  const { format, fileName, size } = product.ebookFile;
+  return { format, fileName, size };
+}
+
+/**
+ * Sum the download usage of a set of purchases
+ *
+ * @param {Array<Object>} purchases - Purchases of one book
+ * @param {Object} counts - Download counters (getDownloadCounts)
+ * @returns {Object} { downloadsUsed, downloadLimit, downloadsRemaining, lastDownloadAt }
+ */
+function summarizeDownloads(purchases, counts) {
+  const limit = getDownloadLimit();
+  let downloadsUsed = 0;
+  let lastDownloadAt = null;
+
+  purchases.forEach((purchase) => {
+    const entry = counts[purchase.purchaseId];
+    downloadsUsed += Math.min(Number(entry?.downloadCount) || 0, limit);
+    if (entry?.lastDownloadAt && (!lastDownloadAt || entry.lastDownloadAt > lastDownloadAt)) {
+      lastDownloadAt = entry.lastDownloadAt;
+    }
+  });
+
+  const downloadLimit = limit * purchases.length;
+  return {
+    downloadsUsed,
+    downloadLimit,
+    downloadsRemaining: Math.max(downloadLimit - downloadsUsed, 0),
+    lastDownloadAt,
+  };
+}
+
+/**
+ * Get a user's library: one entry per purchased book, newest purchase first
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { items: [{ productId, product, file, purchasedAt, orderIds, downloadsUsed, downloadLimit, downloadsRemaining, lastDownloadAt }] }
+ *
+ * Books that were deleted from the store are still listed (from the order snapshot)
+ * but have no file to download.
+ */
+async function getLibrary(userId) {
+  const [purchases, counts] = await Promise.all([getPurchases(userId), getDownloadCounts(userId)]);
+
+  const byProduct = new Map();
+  purchases.forEach((purchase) => {
+    if (!byProduct.has(purchase.productId)) byProduct.set(purchase.productId, []);
+    byProduct.get(purchase.productId).push(purchase);
+  });
+
+  const entries = [...byProduct.entries()];
+  const products = await Promise.all(entries.map(([productId]) => getProductById(productId)));
+
+  const items = entries.map(([productId, productPurchases], index) => {
+    const current = products[index];
+    const latest = productPurchases[productPurchases.length - 1];
+    const { ebookFile, ...product } = current || latest.item;
+
+    return {
+      productId,
+      product,
+      file: describeEbookFile(current),
+      purchasedAt: latest.purchasedAt,
+      orderIds: [...new Set(productPurchases.map((purchase) => purchase.orderId))],
+      ...summarizeDownloads(productPurchases, counts),
+    };
+  });
+
+  items.sort((a, b) => new Date(b.purchasedAt) - new Date(a.purchasedAt));
+  return { items };
+}
+
+/**
+ * Count one download against a purchase (fails if the purchase has none left)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} purchase - Purchase
+ * @param {number} limit - Downloads allowed per purchase
+ * @returns {Promise<boolean>} True if the download was counted
+ */
+async function claimDownload(userId, purchase, limit) {
+  try {
+    await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.EBOOK_DOWNLOADS,
+        Key: { userId, purchaseId: purchase.purchaseId },
+        UpdateExpression:
+          "SET orderId = :orderId, productId = :productId, lastDownloadAt = :now ADD downloadCount :one",
+        ConditionExpression: "attribute_not_exists(downloadCount) OR downloadCount < :limit",
+        ExpressionAttributeValues: {
+          ":orderId": purchase.orderId,
+          ":productId": purchase.productId,
+          ":now": new Date().toISOString(),
+          ":one": 1,
+          ":limit": limit,
+        },
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Issue a short-lived download link for a purchased book
+ *
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} { url, expiresIn, expiresAt, file, downloadsUsed, downloadLimit, downloadsRemaining }
+ * @throws {Error} "eBook not purchased" if no paid, non-refunded order contains the book
+ * @throws {Error} "eBook file not available" if the book has no file
+ * @throws {Error} "Download limit reached" if every purchase used up its downloads
+ */
+async function createDownloadLink(userId, productId) {
+  const purchases = (await getPurchases(userId)).filter((purchase) => purchase.productId === productId);
+  if (purchases.length === 0) {
+    throw new Error("eBook not purchased");
+  }
+
+  const product = await getProductById(productId);
+  if (!product?.ebookFile?.key) {
+    throw new Error("eBook file not available");
+  }
+
+  // Sign first (local, no request) so a storage misconfiguration doesn't cost a download
+  const link = await createEbookDownloadUrl(product.ebookFile);
+
+  const limit = getDownloadLimit();
+  const counts = await getDownloadCounts(userId);
+  let claimed = null;
+  for (const purchase of purchases) {
+    if ((Number(counts[purchase.purchaseId]?.downloadCount) || 0) >= limit) continue;
+    if (await claimDownload(userId, purchase, limit)) {
+      claimed = purchase;
+      break;
+    }
+  }
+  if (!claimed) {
+    throw new Error("Download limit reached");
+  }
+
+  counts[claimed.purchaseId] = {
+    ...counts[claimed.purchaseId],
+    downloadCount: (Number(counts[claimed.purchaseId]?.downloadCount) || 0) + 1,
+    lastDownloadAt: new Date().toISOString(),
+  };
+
+  return {
+    ...link,
+    file: describeEbookFile(product),
+    ...summarizeDownloads(purchases, counts),
+  };
+}
+
+module.exports = {
+  getDownloadLimit,
+  isEntitledOrder,
+  getLibrary,
+  createDownloadLink,
+};
@@ -0,0 +1,233 @@
+/**
+ * AWS Lambda - Notification Feed Subscribers
+ *
+ * Adds to the customer's and/or the admins' notification feeds (shared/notifications.js)
+ * when an order, payment, support ticket or review changes (see EVENTS in shared/events.js):
+ * - order.created: customer (order placed) + admins (new order)
+ * - order.status_changed: customer (processing, shipped, delivered, cancelled)
+ * - order.tracking_added: customer
+ * - order.refunded: customer
+ * - payment.failed: customer
+ * - ticket.created: admins
+ * - ticket.replied: customer (admin replied) or admins (customer replied)
+ * - ticket.status_changed: customer
+ * - review.created: admins (when held for moderation)
+ * - review.status_changed: customer (published or rejected) or admins (back to pending)
+ * - review.replied: customer
+ *
+ * Loaded by shared/events.js on the first publish. Unlike emails, feed notifications
+ * don't follow the email preferences - they are only seen when the user opens the feed.
+ */
+
+const { EVENTS, subscribe } = require("./events");
+const { getProductById } = require("./products");
+const { createNotification, notifyAdmins } = require("./notifications");
+
+// Order status -> customer notification title
+const ORDER_STATUS_TITLES = {
+  processing: "Your order is being processed",
+  shipped: "Your order has shipped",
+  delivered: "Your order was delivered",
+  cancelled: "Your order was cancelled",
+};
+
+// Ticket status -> customer notification title
+const TICKET_STATUS_TITLES = {
+  open: "Your support ticket was reopened",
+  in_progress: "Your support ticket is being worked on",
+  resolved: "Your support ticket was resolved",
+  closed: "Your support ticket was closed",
+};
+
+const formatMoney = (value) => Number(value || 0).toFixed(2);
+
+/**
+ * Name of a reviewed product for the notification text
+ * @param {Object} review - Review ({ productId })
+ * @returns {Promise<string>} Product name (or "a product" if it can't be loaded)
+ */
+async function getReviewedProductName(review) {
+  const product = await getProductById(review.productId).catch(() => null);
+  return product?.name || "a product";
+}
+
+subscribe(EVENTS.ORDER_CREATED, async ({ order }, event) => {
+  const customerName = order.user?.name || "Customer";
+  const notifications = [
+    notifyAdmins(
+      {
+        type: "order",
+        title: "New order",
+        message: `${customerName} placed order #${order.id} ($${formatMoney(order.amount_paid)})`,
+        link: `/admin/orders/${order.id}`,
+        event,
+      },
+      { excludeUserId: order.userId }
+    ),
+  ];
+
+  if (order.userId) {
+    notifications.push(
+      createNotification(order.userId, {
+        type: "order",
+        title: "Order placed",
+        message: `We received your order #${order.id}`,
+        link: "/dashboard",
+        event,
+      })
+    );
+  }
+
+  await Promise.all(notifications);
+});
+
+subscribe(EVENTS.ORDER_STATUS_CHANGED, async ({ order, previousStatus }, event) => {
+  const title = ORDER_STATUS_TITLES[order.status];
+  if (!title || order.status === previousStatus || !order.userId) return;
+
+  await createNotification(order.userId, {
+    type: "order",
+    title,
+    message: `Order #${order.id}`,
+    link: "/dashboard",
+    event,
+  });
+});
+
+subscribe(EVENTS.ORDER_TRACKING_ADDED, async ({ order }, event) => {
+  if (!order.userId) return;
+
+  await createNotification(order.userId, {
+    type: "order",
+    title: "Your order has shipped",
+    message: `Order #${order.id} - tracking number ${order.trackingNumber}`,
+    link: "/dashboard",
+    event,
+  });
+});
+
+subscribe(EVENTS.ORDER_REFUNDED, async ({ order, refundAmount }, event) => {
+  if (!order.userId) return;
+
+  await createNotification(order.userId, {
+    type: "order",
+    title: "Your refund was issued",
+    message: `$${formatMoney((refundAmount || 0) / 100)} refunded for order #${order.id}`,
+    link: "/dashboard",
+    event,
+  });
+});
+
+subscribe(EVENTS.PAYMENT_FAILED, async ({ user, amount }, event) => {
+  if (!user?.id) return;
+
+  await createNotification(user.id, {
+    type: "payment",
+    title: "Your payment failed",
+    message: `The payment of $${formatMoney(amount)} didn't go through. Your cart is still saved.`,
+    link: "/cart",
+    event,
+  });
+});
+
+subscribe(EVENTS.TICKET_CREATED, async ({ ticket }, event) => {
+  await notifyAdmins(
+    {
+      type: "ticket",
+      title: "New support ticket",
+      message: `${ticket.customerName}: ${ticket.subject}`,
+      link: `/admin/tickets/${ticket.id}`,
+      event,
+    },
+    { excludeUserId: ticket.userId }
+  );
+});
+
+subscribe(EVENTS.TICKET_REPLIED, async ({ ticket, reply }, event) => {
+  if (reply.senderRole === "admin") {
+    await createNotification(ticket.userId, {
+      type: "ticket",
+      title: "New reply to your support ticket",
+      message: ticket.subject,
+      link: `/tickets/${ticket.id}`,
+      event,
+    });
+    return;
+  }
+
+  await notifyAdmins(
+    {
+      type: "ticket",
+      title: "Customer replied to a ticket",
+      message: `${ticket.customerName}: ${ticket.subject}`,
+      link: `/admin/tickets/${ticket.id}`,
+      event,
+    },
+    { excludeUserId: ticket.userId }
+  );
+});
+
+subscribe(EVENTS.TICKET_STATUS_CHANGED, async ({ ticket, previousStatus }, event) => {
+  if (ticket.status === previousStatus) return;
+
+  await createNotification(ticket.userId, {
+    type: "ticket",
+    title: TICKET_STATUS_TITLES[ticket.status] || "Your support ticket was updated",
+    message: ticket.subject,
+    link: `/tickets/${ticket.id}`,
+    event,
+  });
+});
+
+subscribe(EVENTS.REVIEW_CREATED, async ({ review }, event) => {
+  if (review.status !== "pending") return;
+
+  await notifyAdmins(
+    {
+      type: "review",
+      title: "Review awaiting moderation",
+      message: `${review.userName} reviewed ${await getReviewedProductName(review)}`,
+      link: "/admin/reviews",
+      event,
+    },
+    { excludeUserId: review.userId }
+  );
+});
+
+subscribe(EVENTS.REVIEW_STATUS_CHANGED, async ({ review, previousStatus }, event) => {
+  if (review.status === previousStatus) return;
+  const productName = await getReviewedProductName(review);
+
+  // Back in the moderation queue (e.g. an edited review was held)
+  if (review.status === "pending") {
+    await notifyAdmins(
+      {
+        type: "review",
+        title: "Review awaiting moderation",
+        message: `${review.userName}'s review of ${productName}`,
+        link: "/admin/reviews",
+        event,
+      },
+      { excludeUserId: review.userId }
+    );
+    return;
+  }
+
+  await createNotification(review.userId, {
+    type: "review",
+    title: review.status === "approved" ? "Your review was published" : "Your review wasn't published",
+    message: `Your review of ${productName}`,
+    link: `/products/${encodeURIComponent(review.productId)}`,
+    event,
+  });
+});
+
+subscribe(EVENTS.REVIEW_REPLIED, async ({ review }, event) => {
+  await createNotification(review.userId, {
+    type: "review",
+    title: "The store replied to your review",
+    message: `Your review of ${await getReviewedProductName(review)}`,
+    link: `/products/${encodeURIComponent(review.productId)}`,
+    event,
+  });
+});
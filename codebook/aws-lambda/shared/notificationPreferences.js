@@ -0,0 +1,223 @@
+/**
+ * AWS Lambda - Notification Preference Helper Functions
+ *
+ * Customers choose which optional emails they get. Preferences are stored on the user
+ * record (users table) as category -> on/off; categories that are missing are on:
+ * {
+ *   notificationPreferences: {
+ *     orderUpdates: true,
+ *     shipping: true,
+ *     marketing: false,
+ *     reviewReplies: true,
+ *     ticketReplies: true
+ *   }
+ * }
+ *
+ * Every optional email template names its category (category in TEMPLATE_DEFINITIONS,
+ * shared/emailTemplates.js) and sendTemplateEmail skips it for recipients who turned the
+ * category off. Templates without a category (account emails, the order confirmation,
+ * failed payments and admin alerts) are essential and always sent.
+ *
+ * Optional emails carry signed unsubscribe links that work without logging in:
+ * - footer link: <FRONTEND_URL>/unsubscribe?token=... -> POST /notifications/unsubscribe
+ * - List-Unsubscribe header: <API_URL>/notifications/unsubscribe?token=... (one-click, RFC 8058)
+ * The token is an HMAC of the user ID and the category, so it can't be changed to
+ * unsubscribe someone else. It doesn't expire - an old email can always be used to opt out.
+ */
+
+const crypto = require("crypto");
+const { getUserById, updateUser } = require("./users");
+
+// Frontend base URL for links in emails (no trailing slash)
+const FRONTEND_URL = (process.env.FRONTEND_URL || "https://codebook-aws.vercel.app").replace(
+  /\/+$/,
+  ""
+);
+
+// API base URL for the one-click List-Unsubscribe link (no trailing slash)
+const API_URL = (process.env.API_URL || "https://d4vvkswb4a.execute-api.eu-north-1.amazonaws.com").replace(
+  /\/+$/,
+  ""
+);
+
+// Unsubscribe tokens are signed with the JWT secret (set in template.yaml)
+const SIGNING_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
+
+/**
+ * Categories customers can turn off (shown in this order on the settings page)
+ */
+const NOTIFICATION_CATEGORIES = {
+  orderUpdates: {
+    label: "Order updates",
+    description: "Payment progress, cancellations and refunds for your orders",
+  },
+  shipping: {
+    label: "Shipping",
+    description: "When an order ships (with tracking) and when it is delivered",
+  },
+  marketing: {
+    label: "Wishlist alerts",
+    description: "Back in stock and price drop alerts for books on your wishlist",
+  },
+  reviewReplies: {
+    label: "Review replies",
+    description: "When the store replies to one of your reviews or doesn't publish it",
+  },
+  ticketReplies: {
+    label: "Support ticket replies",
+    description: "Replies and status changes on your support tickets",
+  },
+};
+
+/**
+ * Whether a category exists
+ * @param {string} category - Category key
+ * @returns {boolean}
+ */
+function isNotificationCategory(category) {
+  return Object.hasOwn(NOTIFICATION_CATEGORIES, category);
+}
+
+/**
+ * A user's preferences with every category filled in
+ * @param {Object} user - User (with notificationPreferences, if ever saved)
+ * @returns {Object} category -> boolean
+ */
+function getNotificationPreferences(user) {
+  const saved = user?.notificationPreferences || {};
+  return Object.fromEntries(
+    Object.keys(NOTIFICATION_CATEGORIES).map((category) => [category, saved[category] !== false])
+  );
+}
+
+/**
+ * Whether a user gets the emails of a category
+ * @param {Object} user - User
+ * @param {string} category - Category key
+ * @returns {boolean}
+ */
+function isNotificationEnabled(user, category) {
+  return getNotificationPreferences(user)[category] !== false;
+}
+
+/**
+ * Validate a preference update
+ * @param {Object} changes - category -> boolean (only the categories to change)
+ * @returns {Object} Validated changes
+ * @throws {Error} "Invalid notification preferences: ..." if a category or value is wrong
+ */
+function validateNotificationPreferences(changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new Error("Invalid notification preferences: expected an object of category: true/false");
+  }
+
+  const errors = [];
+  for (const [category, enabled] of Object.entries(changes)) {
+    if (!isNotificationCategory(category)) {
+      errors.push(`unknown category ${category}`);
+    } else if (typeof enabled !== "boolean") {
+      errors.push(`${category} must be true or false`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid notification preferences: ${errors.join(", ")}`);
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new Error("Invalid notification preferences: no categories provided");
+  }
+
+  return changes;
+}
+
+/**
+ * Turn categories on or off for a user
+ *
+ * @param {string} userId - User ID
+ * @param {Object} changes - category -> boolean (other categories keep their setting)
+ * @returns {Promise<Object>} All preferences after the update
+ * @throws {Error} "Invalid notification preferences: ..." or "User not found"
+ */
+async function updateNotificationPreferences(userId, changes) {
+  validateNotificationPreferences(changes);
+
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const preferences = { ...getNotificationPreferences(user), ...changes };
+  await updateUser(userId, { notificationPreferences: preferences });
+  return preferences;
+}
+
+/**
+ * HMAC of a user ID and category
+ * @param {string} userId - User ID
+ * @param {string} category - Category key
+ * @returns {string} base64url signature
+ */
+function signUnsubscribe(userId, category) {
+  return crypto
+    .createHmac("sha256", SIGNING_SECRET)
+    .update(`unsubscribe:${userId}:${category}`)
+    .digest("base64url");
+}
+
+/**
+ * Create the token for an unsubscribe link
+ * @param {string} userId - User ID
+ * @param {string} category - Category key
+ * @returns {string} Token (<userId>.<category>.<signature>)
+ */
+function createUnsubscribeToken(userId, category) {
+  return `${userId}.${category}.${signUnsubscribe(userId, category)}`;
+}
+
+/**
+ * Check an unsubscribe token
+ * @param {string} token - Token from the link
+ * @returns {Object|null} { userId, category } or null if the token is malformed or forged
+ */
+function verifyUnsubscribeToken(token) {
+  const [userId, category, signature, ...rest] = String(token || "").split(".");
+  if (!userId || !signature || rest.length > 0 || !isNotificationCategory(category)) {
+    return null;
+  }
+
+  const expected = Buffer.from(signUnsubscribe(userId, category));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return { userId, category };
+}
+
+/**
+ * Links for the footer and List-Unsubscribe header of an optional email
+ *
+ * @param {string} userId - Recipient's user ID
+ * @param {string} category - Template's category
+ * @returns {Object} { url, oneClickUrl, preferencesUrl, categoryLabel }
+ */
+function getUnsubscribeLinks(userId, category) {
+  const token = encodeURIComponent(createUnsubscribeToken(userId, category));
+  return {
+    url: `${FRONTEND_URL}/unsubscribe?token=${token}`,
+    oneClickUrl: `${API_URL}/notifications/unsubscribe?token=${token}`,
+    preferencesUrl: `${FRONTEND_URL}/settings`,
+    categoryLabel: NOTIFICATION_CATEGORIES[category].label,
+  };
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  isNotificationCategory,
+  getNotificationPreferences,
+  isNotificationEnabled,
+  validateNotificationPreferences,
+  updateNotificationPreferences,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  getUnsubscribeLinks,
+};
@@ -0,0 +1,317 @@
+/**
+ * AWS Lambda - In-App Notification Helper Functions
+ *
+ * The notification feed in the header. One record per notification (notifications table),
+ * written by shared/notificationEvents.js when an order, ticket or review changes:
+ * {
+ *   userId: "...",                          // Partition key (recipient)
+ *   id: "1767225600000-4f1a9c2e",           // Sort key (creation time + random suffix, newest last)
+ *   type: "order",                          // order, payment, ticket or review
+ *   title: "Your order has shipped",
+ *   message: "Order #123 is on its way",
+ *   link: "/dashboard",                     // Frontend route opened when the notification is clicked
+ *   read: false,
+ *   unreadId: "1767225600000-4f1a9c2e",     // Only while unread (key of the sparse unread-index)
+ *   event: "order.status_changed",          // Event that created it
+ *   createdAt: "...",
+ *   expiresAt: 1775001600                   // DynamoDB TTL (epoch seconds)
+ * }
+ *
+ * unread-index (userId + unreadId) only holds unread notifications, so the unread count
+ * polled by the header reads just those instead of the whole feed.
+ *
+ * Admin notifications (new orders, tickets, reviews to moderate) are written to every
+ * admin user, so each admin has their own read state.
+ */
+
+const crypto = require("crypto");
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { PutCommand, QueryCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const { getAllUsers } = require("./users");
+
+const NOTIFICATION_TYPES = ["order", "payment", "ticket", "review"];
+
+// Notifications are removed after 90 days
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Admin user IDs are reused for a few minutes (every admin notification needs them)
+const ADMIN_CACHE_MS = 5 * 60 * 1000;
+let adminCache = null;
+
+/**
+ * Encode the last key of a page as an opaque cursor string
+ * @param {Object} key - LastEvaluatedKey
+ * @returns {string} URL-safe base64 cursor
+ */
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - Cursor from a previous page's nextCursor
+ * @param {string} userId - Owner of the feed (a cursor can't point into another user's feed)
+ * @returns {Object|null} ExclusiveStartKey or null if no cursor
+ * @throws {Error} If cursor is malformed
+ */
+function decodeCursor(cursor, userId) {
+  if (!cursor) return null;
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+  if (key?.userId !== userId || typeof key.id !== "string") {
+    throw new Error("Invalid cursor");
+  }
+  return key;
+}
+
+/**
+ * Create a notification for one user
+ *
+ * @param {string} userId - Recipient
+ * @param {Object} notification - Notification data
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.title - Short title
+ * @param {string} [notification.message] - One-line detail
+ * @param {string} [notification.link] - Frontend route to open
+ * @param {string} [notification.event] - Event that created it
+ * @returns {Promise<Object>} Created notification
+ * @throws {Error} If the type is unknown or the title is missing
+ */
+async function createNotification(userId, { type, title, message, link, event }) {
+  if (!userId) {
+    throw new Error("Notification recipient is required");
+  }
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Invalid notification type. Must be one of: ${NOTIFICATION_TYPES.join(", ")}`);
+  }
+  if (!title) {
+    throw new Error("Notification title is required");
+  }
+
+  const now = new Date();
+  const id = `${now.getTime()}-${crypto.randomBytes(4).toString("hex")}`;
+  const notification = {
+    userId,
+    id,
+    type,
+    title,
+    message,
+    link,
+    read: false,
+    unreadId: id,
+    event,
+    createdAt: now.toISOString(),
+    expiresAt: Math.floor(now.getTime() / 1000) + NOTIFICATION_TTL_SECONDS,
+  };
+
+  await dynamoDB.send(
+    new PutCommand({
+      TableName: TABLES.NOTIFICATIONS,
+      Item: notification,
+    })
+  );
+
+  return notification;
+}
+
+/**
+ * IDs of the admin users (cached for ADMIN_CACHE_MS)
+ * @returns {Promise<Array<string>>}
+ */
+async function getAdminUserIds() {
+  if (adminCache && Date.now() - adminCache.loadedAt < ADMIN_CACHE_MS) {
+    return adminCache.ids;
+  }
+
+  const users = await getAllUsers();
+  const ids = users.filter((user) => user.role === "admin").map((user) => user.id);
+  adminCache = { ids, loadedAt: Date.now() };
+  return ids;
+}
+
+/**
+ * Create the same notification for every admin
+ *
+ * @param {Object} notification - Notification data (see createNotification)
+ * @param {Object} [options]
+ * @param {string} [options.excludeUserId] - Admin who caused the change (not notified)
+ * @returns {Promise<number>} Number of admins notified
+ */
+async function notifyAdmins(notification, { excludeUserId } = {}) {
+  const adminIds = (await getAdminUserIds()).filter((id) => id !== excludeUserId);
+  await Promise.all(adminIds.map((adminId) => createNotification(adminId, notification)));
+  return adminIds.length;
+}
+
+/**
+ * One page of a user's notifications, newest first
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Page size (default DEFAULT_PAGE_SIZE, max MAX_PAGE_SIZE)
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @returns {Promise<Object>} { notifications, nextCursor }
+ * @throws {Error} "Invalid cursor" or "Invalid limit..."
+ */
+async function listNotifications(userId, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid limit. Must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  const exclusiveStartKey = decodeCursor(cursor, userId);
+
+  const result = await dynamoDB.send(
+    new QueryCommand({
+      TableName: TABLES.NOTIFICATIONS,
+      KeyConditionExpression: "userId = :userId",
+      ExpressionAttributeValues: { ":userId": userId },
+      ScanIndexForward: false, // Newest first
+      Limit: limit,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey }),
+    })
+  );
+
+  return {
+    notifications: (result.Items || []).map(toPublicNotification),
+    nextCursor: result.LastEvaluatedKey ? encodeCursor(result.LastEvaluatedKey) : null,
+  };
+}
+
+/**
+ * Keys of all unread notifications of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} [{ userId, id }]
+ */
+async function getUnreadKeys(userId) {
+  const keys = [];
+  let lastKey;
+  do {
+    const result = await dynamoDB.send(
+      new QueryCommand({
+        TableName: TABLES.NOTIFICATIONS,
+        IndexName: "unread-index",
+        KeyConditionExpression: "userId = :userId",
+        ExpressionAttributeValues: { ":userId": userId },
+        ProjectionExpression: "userId, id",
+        ...(lastKey && { ExclusiveStartKey: lastKey }),
+      })
+    );
+    (result.Items || []).forEach((item) => keys.push({ userId: item.userId, id: item.id }));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return keys;
+}
+
+/**
+ * Number of unread notifications of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function getUnreadCount(userId) {
+  let count = 0;
+  let lastKey;
+  do {
+    const result = await dynamoDB.send(
+      new QueryCommand({
+        TableName: TABLES.NOTIFICATIONS,
+        IndexName: "unread-index",
+        KeyConditionExpression: "userId = :userId",
+        ExpressionAttributeValues: { ":userId": userId },
+        Select: "COUNT",
+        ...(lastKey && { ExclusiveStartKey: lastKey }),
+      })
+    );
+    count += result.Count || 0;
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return count;
+}
+
+/**
+ * Mark one notification as read (drops it from unread-index)
+ *
+ * @param {string} userId - Owner
+ * @param {string} id - Notification ID
+ * @returns {Promise<Object>} Updated notification
+ * @throws {Error} "Notification not found" if the user has no such notification
+ */
+async function markNotificationRead(userId, id) {
+  try {
+    const result = await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.NOTIFICATIONS,
+        Key: { userId, id },
+        UpdateExpression: "SET #read = :true REMOVE unreadId",
+        ConditionExpression: "attribute_exists(id)",
+        ExpressionAttributeNames: { "#read": "read" },
+        ExpressionAttributeValues: { ":true": true },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    return toPublicNotification(result.Attributes);
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("Notification not found");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of notifications that were unread
+ */
+async function markAllNotificationsRead(userId) {
+  const keys = await getUnreadKeys(userId);
+  await Promise.all(
+    keys.map((key) =>
+      dynamoDB.send(
+        new UpdateCommand({
+          TableName: TABLES.NOTIFICATIONS,
+          Key: key,
+          UpdateExpression: "SET #read = :true REMOVE unreadId",
+          ExpressionAttributeNames: { "#read": "read" },
+          ExpressionAttributeValues: { ":true": true },
+        })
+      )
+    )
+  );
+  return keys.length;
+}
+
+/**
+ * Notification as returned by the API (without keys used only for storage)
+ * @param {Object} item - Notification record
+ * @returns {Object} { id, type, title, message, link, read, createdAt }
+ */
+function toPublicNotification(item) {
+  return {
+    id: item.id,
+    type: item.type,
+    title: item.title,
+    message: item.message || null,
+    link: item.link || null,
+    read: item.read === true,
+    createdAt: item.createdAt,
+  };
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  createNotification,
+  notifyAdmins,
+  listNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
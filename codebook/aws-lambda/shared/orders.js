@@ -6,8 +6,25 @@
  */
 
 const { dynamoDB, TABLES } = require("./dynamodb");
-const { QueryCommand, PutCommand, GetCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
-const { decrementProductStock, incrementProductStock } = require("./products");
+const { QueryCommand, GetCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  buildStockDecrement,
+  buildStockIncrement,
+  combineStockChanges,
+  getLineKey,
+  runStockTransaction,
+} = require("./products");
+const { validateAddress } = require("./addresses");
+const { emitStockEvents } = require("./stockAlerts");
+const {
+  getReservation,
+  getReservedQuantities,
+  buildReservationConversion,
+} = require("./reservations");
+const { getCouponByCode, buildCouponRedemption } = require("./coupons");
+const { getIdempotencyRecord, buildIdempotencyClaim } = require("./idempotency");
+const { recordOrder } = require("./analytics");
+const { EVENTS, publishEvent } = require("./events");
 
 // Lazy load uuid (ESM module) - will be imported when needed
 let uuidModule = null;
@@ -78,14 +95,89 @@ async function getOrdersByUserId(userId) {
   }
 }
 
+/**
+ * Build stock changes for every cart item
+ *
+ * @param {Array} cartList - Cart items ({ id, variantId, quantity, name })
+ * @param {Function} buildStockChange - buildStockDecrement or buildStockIncrement
+ *   (called with productId, quantity, { variantId })
+ * @returns {Promise<Object>} { transactItems, stockResults }
+ * @throws {Error} If a product has insufficient stock
+ *
+ * Products (or variants) that no longer exist are skipped and reported with success: false
+ * (same as before transactions - an order is not blocked by a deleted product).
+ * Variants of the same product share one Update (see combineStockChanges).
+ */
+async function buildCartStockChanges(cartList, buildStockChange) {
+  const stockChanges = [];
+  const stockResults = [];
+
+  for (const item of cartList) {
+    if (!item.id || !item.quantity) continue;
+
+    const productName = item.name || item.productName || "Product";
+    try {
+      const stockChange = await buildStockChange(item.id, item.quantity, { variantId: item.variantId });
+      if (!stockChange) continue; // No stock tracking for this product
+
+      stockChanges.push(stockChange);
+      stockResults.push({
+        ...stockChange.result,
+        productName: item.name || item.productName || stockChange.result.productName,
+        success: true,
+      });
+    } catch (stockError) {
+      if (
+        !stockError.message.startsWith("Product not found") &&
+        !stockError.message.startsWith("Variant not found")
+      ) {
+        throw stockError;
+      }
+      console.error(`Failed to update stock for product ${item.id}:`, stockError.message);
+      stockResults.push({
+        productId: item.id,
+        productName,
+        ...(item.variantId && { variantId: item.variantId }),
+        quantity: item.quantity,
+        success: false,
+        error: stockError.message,
+      });
+    }
+  }
+
+  return { transactItems: combineStockChanges(stockChanges), stockResults };
+}
+
 /**
  * Create new order
  *
- * @param {object} orderData - Order data { cartList, amount_paid, quantity, user }
+ * @param {object} orderData - Order data { cartList, amount_paid, quantity, user, shippingAddress }
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - At most one order is ever created for this key
+ *   (e.g. paymentIntentKey(paymentIntentId)); if it was used, the existing order is returned
+ *   with `_duplicate: true`
+ * @param {object} [options.pricing] - Price breakdown locked in a paid checkout quote
+ *   { subtotal, discount, coupon, shippingCost, tax }; the order stores it and redeems its coupon
+ * @param {string} [options.reservationId] - Stock reservation made at checkout (payment intent ID);
+ *   if it is still active, its reserved copies are used for this order and it is marked converted
+ * @param {string} [options.paymentIntentId] - Succeeded payment intent whose amount was checked
+ *   against the checkout quote (fulfillPaymentIntent); the order is recorded as paid with it.
+ *   Never taken from orderData, so a request body can't mark an order as paid
  * @returns {Promise<Object>} Created order
- * @throws {Error} If validation fails
+ * @throws {Error} If validation fails (including "Invalid shipping address: ...")
+ *
+ * The order Put and every stock decrement run as one DynamoDB transaction
+ * (TransactWriteItems): either the order is written and all stock is decremented,
+ * or nothing changes. If another order changes stock between our read and write,
+ * the transaction is retried with fresh stock values.
+ *
+ * With options.pricing the customer has already paid for the quoted discount, so the
+ * coupon's redemption is recorded in the same transaction without re-checking its limits.
+ *
+ * With options.reservationId the copies reserved at checkout (shared/reservations.js)
+ * are taken out of the products' `reserved` count in the same transaction.
  */
-async function createOrder(orderData) {
+async function createOrder(orderData, options = {}) {
   try {
     const { cartList, amount_paid, quantity, user } = orderData;
 
@@ -97,6 +189,11 @@ async function createOrder(orderData) {
       throw new Error("User information is required");
     }
 
+    // Validate the shipping address selected at checkout (optional for legacy/webhook orders)
+    const shippingAddress = orderData.shippingAddress
+      ? validateAddress(orderData.shippingAddress)
+      : null;
+
     // Generate UUID for order ID
     const orderId = await getUuid();
 
@@ -112,78 +209,6 @@ async function createOrder(orderData) {
       return cleanItem;
     });
 
-    // Decrement product stock for each item in cart (before creating order)
-    // This ensures stock is reserved when order is created
-    // Note: Stock updates use ConditionExpression to prevent race conditions
-    // If order creation fails after stock is decremented, stock will be incorrect until order is cancelled/refunded
-    // For production, consider using DynamoDB Transactions for atomic order+stock updates
-    const stockUpdateResults = [];
-    const stockUpdatesToRollback = []; // Track successful stock updates for potential rollback
-    
-    for (const item of cleanCartList) {
-      if (item.id && item.quantity) {
-        try {
-          console.log(`🛒 Processing stock decrement for order item:`, {
-            productId: item.id,
-            productName: item.name || item.productName || "Product",
-            quantity: item.quantity,
-          });
-          
-          const updatedProduct = await decrementProductStock(item.id, item.quantity);
-          
-          console.log(`✅ Stock decremented for order item:`, {
-            productId: item.id,
-            productName: item.name || item.productName || "Product",
-            quantity: item.quantity,
-            oldStock: updatedProduct.stock + item.quantity, // Calculate old stock
-            newStock: updatedProduct.stock,
-            shouldTriggerLowStockAlert: updatedProduct._shouldTriggerLowStockAlert,
-            lowStockThreshold: updatedProduct._lowStockThreshold,
-          });
-          
-          stockUpdateResults.push({
-            productId: item.id,
-            productName: item.name || item.productName || "Product",
-            quantity: item.quantity,
-            newStock: updatedProduct.stock,
-            success: true,
-            shouldTriggerLowStockAlert: updatedProduct._shouldTriggerLowStockAlert || false,
-            lowStockThreshold: updatedProduct._lowStockThreshold,
-          });
-          // Track for potential rollback if order creation fails
-          stockUpdatesToRollback.push({
-            productId: item.id,
-            quantity: item.quantity,
-          });
-        } catch (stockError) {
-          // If stock update fails, log error but continue with other products
-          // This allows partial stock updates (some products might not have stock tracking)
-          console.error(`Failed to update stock for product ${item.id}:`, stockError.message);
-          stockUpdateResults.push({
-            productId: item.id,
-            productName: item.name || item.productName || "Product",
-            quantity: item.quantity,
-            success: false,
-            error: stockError.message,
-          });
-          // If stock validation fails (insufficient stock), rollback any successful updates and throw error
-          if (stockError.message.includes("Insufficient stock") || stockError.message.includes("ConditionalCheckFailedException")) {
-            // Rollback successful stock updates
-            for (const rollback of stockUpdatesToRollback) {
-              try {
-                await incrementProductStock(rollback.productId, rollback.quantity);
-                console.log(`Rolled back stock for product ${rollback.productId}`);
-              } catch (rollbackError) {
-                console.error(`Failed to rollback stock for product ${rollback.productId}:`, rollbackError.message);
-                // Log but don't throw - rollback failures are logged for manual intervention
-              }
-            }
-            throw stockError;
-          }
-        }
-      }
-    }
-
     const order = {
       id: orderId,
       userId: user.id,
@@ -195,34 +220,87 @@ async function createOrder(orderData) {
         email: user.email || "",
         id: user.id,
       },
-      // Include payment information if provided
-      ...(orderData.paymentIntentId && { paymentIntentId: orderData.paymentIntentId }),
-      ...(orderData.paymentStatus && { paymentStatus: orderData.paymentStatus }),
-      status: orderData.status || "pending", // Order status (pending, processing, shipped, delivered, cancelled)
+      ...(shippingAddress && { shippingAddress }),
+      // Payment information is only set for server-verified payments (options.paymentIntentId)
+      ...(options.paymentIntentId && {
+        paymentIntentId: options.paymentIntentId,
+        paymentStatus: "paid",
+      }),
+      status: "pending", // Order status (pending, processing, shipped, delivered, cancelled)
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
-    const command = new PutCommand({
-      TableName: TABLES.ORDERS,
-      Item: order,
-    });
+    const { pricing, idempotencyKey, reservationId } = options;
 
-    try {
-      await dynamoDB.send(command);
-    } catch (orderError) {
-      // If order creation fails after stock is decremented, rollback stock changes
-      console.error("Order creation failed, rolling back stock updates:", orderError.message);
-      for (const rollback of stockUpdatesToRollback) {
-        try {
-          await incrementProductStock(rollback.productId, rollback.quantity);
-          console.log(`Rolled back stock for product ${rollback.productId}`);
-        } catch (rollbackError) {
-          console.error(`Failed to rollback stock for product ${rollback.productId}:`, rollbackError.message);
-          // Log but don't throw - rollback failures are logged for manual intervention
+    // Pricing breakdown locked in the payment intent's checkout quote (shared/pricing.js)
+    if (pricing) {
+      order.subtotal = Number(pricing.subtotal) || 0;
+      order.shippingCost = Number(pricing.shippingCost) || 0;
+      order.tax = Number(pricing.tax) || 0;
+      if (pricing.coupon) {
+        order.coupon = pricing.coupon;
+        order.discount = Number(pricing.discount) || 0;
+      }
+    }
+
+    // Write order + stock decrements (+ coupon redemption, + idempotency key) atomically
+    const {
+      stockResults: stockUpdateResults,
+      existingOrderId,
+    } = await runStockTransaction(async () => {
+      // Re-checked on every attempt: if a concurrent request claimed the key, return its order
+      if (idempotencyKey) {
+        const existing = await getIdempotencyRecord(idempotencyKey);
+        if (existing) {
+          return { transactItems: [], stockResults: [], existingOrderId: existing.orderId };
         }
       }
-      throw orderError; // Re-throw to be caught by outer catch
+
+      // Re-read the reservation on every attempt - it may have expired in the meantime
+      const reservation = reservationId ? await getReservation(reservationId) : null;
+      const reservedQuantities = getReservedQuantities(reservation);
+      const reservationItems =
+        reservation?.status === "active" ? [buildReservationConversion(reservation, orderId)] : [];
+
+      const stockChanges = await buildCartStockChanges(cleanCartList, (productId, itemQuantity, { variantId }) =>
+        buildStockDecrement(productId, itemQuantity, {
+          variantId,
+          releaseReserved: reservedQuantities[getLineKey(productId, variantId)] || 0,
+        })
+      );
+
+      // Re-read the coupon on every attempt so a retry sees the latest usage counters
+      const couponItems = [];
+      if (pricing?.coupon) {
+        const coupon = await getCouponByCode(pricing.coupon.code);
+        if (coupon) {
+          couponItems.push(buildCouponRedemption(coupon, user.id, { enforceLimits: false }));
+        }
+      }
+
+      return {
+        ...stockChanges,
+        transactItems: [
+          {
+            Put: {
+              TableName: TABLES.ORDERS,
+              Item: order,
+              ConditionExpression: "attribute_not_exists(id)", // Never overwrite an existing order
+            },
+          },
+          ...stockChanges.transactItems,
+          ...couponItems,
+          ...reservationItems,
+          ...(idempotencyKey ? [buildIdempotencyClaim(idempotencyKey, { orderId })] : []),
+        ],
+      };
+    });
+
+    if (existingOrderId) {
+      console.log(`Order ${existingOrderId} already exists for idempotency key: ${idempotencyKey}`);
+      const existingOrder = await getOrderById(existingOrderId);
+      return { ...existingOrder, _duplicate: true };
     }
 
     // Log stock updates for debugging
@@ -235,31 +313,20 @@ async function createOrder(orderData) {
       failedUpdates: stockUpdateResults.filter(s => !s.success).length,
     });
 
-    // Check for low stock alerts and include in response for frontend to send emails
-    // Frontend will handle sending low stock emails (similar to out-of-stock emails)
-    const lowStockAlerts = stockUpdateResults
-      .filter(update => update.shouldTriggerLowStockAlert && update.success)
-      .map(update => ({
-        productId: update.productId,
-        productName: update.productName,
-        currentStock: update.newStock,
-        lowStockThreshold: update.lowStockThreshold,
-      }));
-
-    if (lowStockAlerts.length > 0) {
-      console.log("⚠️ Low stock alerts detected:", {
-        orderId,
-        lowStockAlerts,
-        count: lowStockAlerts.length,
-      });
-    }
+    // Update the admin analytics rollups (non-critical, never throws)
+    await recordOrder(order);
+
+    // Email the admin about books that fell below their low stock threshold or sold out
+    // (non-critical, never throws)
+    await emitStockEvents(stockUpdateResults);
 
-    // Include stock update results in order response for frontend to check out-of-stock products
-    // Frontend can use this to send out-of-stock alerts and low stock alerts
+    // Order confirmation and admin new order emails (never throws)
+    await publishEvent(EVENTS.ORDER_CREATED, { order });
+
+    // Include stock update results in order response (logged by the frontend for debugging)
     return {
       ...order,
       _stockUpdates: stockUpdateResults, // Internal field for frontend use
-      _lowStockAlerts: lowStockAlerts, // Internal field for frontend to send low stock emails
     };
   } catch (error) {
     console.error("createOrder error:", error);
@@ -314,7 +381,11 @@ async function getOrderById(orderId) {
  * @throws {Error} If order not found or update fails
  * 
  * Uses UpdateCommand (efficient - only updates specified attribute)
- * Automatically restores product stock when order is cancelled
+ * Automatically restores product stock when order is cancelled - the status change
+ * and every stock increment run as one DynamoDB transaction
+ *
+ * Publishes order.status_changed (the customer is emailed when the order ships,
+ * is delivered or is cancelled).
  */
 async function updateOrderStatus(orderId, status) {
   // Validate status
@@ -331,50 +402,42 @@ async function updateOrderStatus(orderId, status) {
 
   const previousStatus = existingOrder.status;
 
-  // Track stock restore results for cancelled orders (to include in response)
-  let stockRestoreResults = [];
+  const statusUpdate = {
+    TableName: TABLES.ORDERS,
+    Key: { id: orderId },
+    UpdateExpression: "SET #status = :status, updatedAt = :updatedAt",
+    ExpressionAttributeNames: {
+      "#status": "status", // 'status' is a reserved word in DynamoDB
+    },
+    ExpressionAttributeValues: {
+      ":status": status,
+      ":updatedAt": new Date().toISOString(),
+    },
+  };
 
-  // If order is being cancelled, restore product stock
+  // If order is being cancelled, restore product stock in the same transaction as the status change
+  // The status condition ensures two concurrent cancellations can't both restock the order
   if (status === "cancelled" && previousStatus !== "cancelled" && existingOrder.cartList) {
-    for (const item of existingOrder.cartList) {
-      if (item.id && item.quantity) {
-        try {
-          console.log(`🔄 Restoring stock for cancelled order item:`, {
-            productId: item.id,
-            productName: item.name || item.productName || "Product",
-            quantity: item.quantity,
-          });
-          
-          const updatedProduct = await incrementProductStock(item.id, item.quantity);
-          
-          console.log(`✅ Stock restored for cancelled order item:`, {
-            productId: item.id,
-            productName: item.name || item.productName || "Product",
-            quantity: item.quantity,
-            oldStock: updatedProduct.stock - item.quantity, // Calculate old stock
-            newStock: updatedProduct.stock,
-          });
-          
-          stockRestoreResults.push({
-            productId: item.id,
-            productName: item.name || item.productName || "Product",
-            quantity: item.quantity,
-            newStock: updatedProduct.stock,
-            success: true,
-          });
-        } catch (stockError) {
-          // Log error but continue with other products
-          console.error(`Failed to restore stock for product ${item.id}:`, stockError.message);
-          stockRestoreResults.push({
-            productId: item.id,
-            productName: item.name || item.productName || "Product",
-            quantity: item.quantity,
-            success: false,
-            error: stockError.message,
-          });
-        }
-      }
-    }
+    const { stockResults: stockRestoreResults } = await runStockTransaction(async () => {
+      const stockChanges = await buildCartStockChanges(existingOrder.cartList, buildStockIncrement);
+      return {
+        ...stockChanges,
+        transactItems: [
+          {
+            Update: {
+              ...statusUpdate,
+              ConditionExpression: "#status = :previousStatus",
+              ExpressionAttributeValues: {
+                ...statusUpdate.ExpressionAttributeValues,
+                ":previousStatus": previousStatus,
+              },
+            },
+          },
+          ...stockChanges.transactItems,
+        ],
+      };
+    });
+
     console.log("📦 Stock restored for cancelled order:", {
       orderId,
       stockRestores: stockRestoreResults,
@@ -383,35 +446,26 @@ async function updateOrderStatus(orderId, status) {
       successfulRestores: stockRestoreResults.filter(s => s.success).length,
       failedRestores: stockRestoreResults.filter(s => !s.success).length,
     });
+
+    const updatedOrder = await getOrderById(orderId);
+    await publishEvent(EVENTS.ORDER_STATUS_CHANGED, { order: updatedOrder, previousStatus });
+
+    // Include stock restore results in order response for frontend
+    return {
+      ...updatedOrder,
+      ...(stockRestoreResults.length > 0 && { _stockRestores: stockRestoreResults }), // Internal field for frontend use
+    };
   }
 
   // Update order status using UpdateCommand (efficient - only updates status field)
   const command = new UpdateCommand({
-    TableName: TABLES.ORDERS,
-    Key: { id: orderId },
-    UpdateExpression: "SET #status = :status, updatedAt = :updatedAt",
-    ExpressionAttributeNames: {
-      "#status": "status", // 'status' is a reserved word in DynamoDB
-    },
-    ExpressionAttributeValues: {
-      ":status": status,
-      ":updatedAt": new Date().toISOString(),
-    },
+    ...statusUpdate,
     ReturnValues: "ALL_NEW", // Return updated item
   });
 
   const result = await dynamoDB.send(command);
-  const updatedOrder = result.Attributes;
-
-  // Include stock restore results in order response for frontend (if order was cancelled)
-  if (status === "cancelled" && stockRestoreResults && stockRestoreResults.length > 0) {
-    return {
-      ...updatedOrder,
-      _stockRestores: stockRestoreResults, // Internal field for frontend use
-    };
-  }
-
-  return updatedOrder;
+  await publishEvent(EVENTS.ORDER_STATUS_CHANGED, { order: result.Attributes, previousStatus });
+  return result.Attributes;
 }
 
 /**
@@ -419,6 +473,8 @@ async function updateOrderStatus(orderId, status) {
  * 
  * Dynamically builds UpdateExpression to only update provided fields.
  * Supports partial updates (only trackingNumber, or only status, etc.).
+ * Publishes order.tracking_added when a tracking number is set (the customer gets
+ * the shipping email), otherwise order.status_changed when only the status changes.
  * 
  * @param {string} orderId - Order ID (UUID)
  * @param {Object} trackingData - Tracking data object
@@ -426,6 +482,7 @@ async function updateOrderStatus(orderId, status) {
  *   - trackingCarrier: string (optional) - Carrier name (e.g., "usps", "ups")
  *   - labelUrl: string (optional) - URL to download shipping label PDF
  *   - status: string (optional) - Order status to update (e.g., "shipped")
+ *   - trackingUrl: string (optional) - Carrier tracking page for the shipping email (not stored)
  * @returns {Promise<Object>} Updated order object with all fields
  * @throws {Error} If order not found or update fails
  * 
@@ -438,7 +495,7 @@ async function updateOrderStatus(orderId, status) {
  *   });
  */
 async function updateOrderTracking(orderId, trackingData) {
-  const { trackingNumber, trackingCarrier, labelUrl, status } = trackingData;
+  const { trackingNumber, trackingCarrier, labelUrl, status, trackingUrl } = trackingData;
 
   // Check if order exists first
   const existingOrder = await getOrderById(orderId);
@@ -490,11 +547,24 @@ async function updateOrderTracking(orderId, trackingData) {
   });
 
   const result = await dynamoDB.send(command);
+
+  // Shipping notification with the tracking number (replaces the status change email,
+  // so the customer isn't emailed twice when tracking marks the order shipped)
+  if (trackingNumber) {
+    await publishEvent(EVENTS.ORDER_TRACKING_ADDED, { order: result.Attributes, trackingUrl });
+  } else if (status) {
+    await publishEvent(EVENTS.ORDER_STATUS_CHANGED, {
+      order: result.Attributes,
+      previousStatus: existingOrder.status,
+    });
+  }
+
   return result.Attributes;
 }
 
 module.exports = {
   getOrdersByUserId,
+  buildCartStockChanges,
   createOrder,
   getAllOrders,
   getOrderById,
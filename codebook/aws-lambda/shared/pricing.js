@@ -0,0 +1,322 @@
+/**
+ * AWS Lambda - Checkout Pricing Helper Functions
+ *
+ * Calculates what a customer pays for a cart. The client only sends product
+ * IDs, variant IDs and quantities - prices, stock, coupon discounts, shipping and tax
+ * are all worked out here from the products and coupons tables.
+ *
+ * A quote is stored per payment intent in the payment quotes table. It is the
+ * server-side pending cart: once the payment succeeds, the order is created from
+ * it (shared/checkout.js), never from what the browser sends.
+ * {
+ *   paymentIntentId: "pi_...",
+ *   userId: "...",
+ *   userEmail: "...",
+ *   userName: "...",
+ *   items: [{ id, variantId, format, name, price, quantity, lineTotal }],  // variantId/format for products with variants
+ *   subtotal: 59.98,
+ *   discount: 15,
+ *   coupon: { code, type, value, description } | null,
+ *   shipping: 0,
+ *   tax: 0,
+ *   taxRate: 0,
+ *   total: 44.98,
+ *   amount: 4498,            // total in cents (what Stripe charges)
+ *   currency: "usd",
+ *   shippingAddress: { ... },
+ *   status: "pending" | "paid" | "fulfilled" | "amount_mismatch",
+ *   orderId: "...",          // Set once the order is created
+ *   createdAt, updatedAt,
+ *   expiresAt: 1767225600    // DynamoDB TTL (epoch seconds)
+ * }
+ */
+
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { GetCommand, PutCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  getProductById,
+  getAvailableStock,
+  getVariantProduct,
+  getVariantLabel,
+} = require("./products");
+const { getCouponByCode, evaluateCoupon, toOrderCoupon } = require("./coupons");
+
+const CURRENCY = "usd";
+
+// Flat shipping rate per destination country (dollars); other countries use the default
+const SHIPPING_RATES = {
+  US: 4.99,
+  CA: 9.99,
+};
+const DEFAULT_SHIPPING_RATE = 14.99;
+
+// Orders at or above this amount (after discounts) ship free
+const FREE_SHIPPING_THRESHOLD = 50;
+
+// Tax rate per destination country, applied to the discounted subtotal.
+// US sales tax depends on the state and isn't collected by the store.
+const TAX_RATES = {
+  CA: 0.05,
+  GB: 0.2,
+  DE: 0.19,
+  AU: 0.1,
+};
+
+// Stripe minimum charge for USD
+const MIN_AMOUNT_CENTS = 50;
+
+// Unpaid quotes are removed by DynamoDB TTL after a week
+const QUOTE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Look up current prices and check stock for cart items
+ *
+ * @param {Array} cartList - Cart items ({ id, variantId, quantity })
+ * @returns {Promise<Object>} { items: [{ id, variantId, format, name, price, quantity, lineTotal }], subtotal }
+ * @throws {Error} If the cart is invalid, a product or variant no longer exists or is out of stock
+ */
+async function priceCartWithStock(cartList) {
+  if (!Array.isArray(cartList) || cartList.length === 0) {
+    throw new Error("Cart list is required and must not be empty");
+  }
+
+  const items = [];
+  for (const item of cartList) {
+    const quantity = Number(item?.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error(`Invalid quantity for product ${item?.id}`);
+    }
+
+    const storedProduct = await getProductById(item.id);
+    if (!storedProduct) {
+      throw new Error(`Product not found: ${item.id}`);
+    }
+    // Price and stock of the chosen format for products with variants
+    const product = getVariantProduct(storedProduct, item.variantId);
+
+    // Products without stock tracking (stock undefined) are always available;
+    // copies reserved by other open checkouts don't count
+    if (product.stock !== undefined) {
+      const available = getAvailableStock(product);
+      if (available < quantity) {
+        const format = product.variantId ? ` (${getVariantLabel(product)})` : "";
+        throw new Error(
+          `Insufficient stock for product ${product.name || product.id}${format}. Available: ${available}, Requested: ${quantity}`
+        );
+      }
+    }
+
+    const price = Number(product.price) || 0;
+    items.push({
+      id: product.id,
+      ...(product.variantId && { variantId: product.variantId, format: product.format }),
+      name: product.name,
+      price,
+      quantity,
+      lineTotal: roundMoney(price * quantity),
+    });
+  }
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  return { items, subtotal };
+}
+
+/**
+ * Calculate an itemized quote for a cart
+ *
+ * @param {Object} params
+ * @param {Array} params.cartList - Cart items ({ id, variantId, quantity })
+ * @param {Object} params.shippingAddress - Validated shipping address (country decides shipping and tax)
+ * @param {string} [params.couponCode] - Coupon code applied in the cart
+ * @param {string} params.userId - Customer user ID (for coupon per-user limits)
+ * @returns {Promise<Object>} { items, subtotal, discount, coupon, shipping, tax, taxRate, total, amount, currency }
+ * @throws {Error} "Product ...", "Variant ...", "Insufficient stock ...", "Coupon ..." or "Order total ..." messages
+ *
+ * How it works:
+ * 1. Prices every item from the products table and checks stock
+ * 2. Applies the coupon (if any) with the same rules as POST /cart/apply-coupon
+ * 3. Adds shipping (free above FREE_SHIPPING_THRESHOLD or with a free shipping coupon)
+ * 4. Adds tax on the discounted subtotal
+ */
+async function calculateQuote({ cartList, shippingAddress, couponCode, userId }) {
+  const cart = await priceCartWithStock(cartList);
+
+  let discount = 0;
+  let freeShipping = false;
+  let coupon = null;
+  if (couponCode) {
+    const couponRecord = await getCouponByCode(couponCode);
+    if (!couponRecord) {
+      throw new Error("Coupon not found");
+    }
+    const result = evaluateCoupon(couponRecord, cart, userId);
+    discount = result.discount;
+    freeShipping = result.freeShipping;
+    coupon = toOrderCoupon(couponRecord);
+  }
+
+  const discountedSubtotal = roundMoney(Math.max(0, cart.subtotal - discount));
+  const country = shippingAddress?.country;
+
+  const shipping =
+    freeShipping || discountedSubtotal >= FREE_SHIPPING_THRESHOLD
+      ? 0
+      : SHIPPING_RATES[country] ?? DEFAULT_SHIPPING_RATE;
+
+  const taxRate = TAX_RATES[country] || 0;
+  const tax = roundMoney(discountedSubtotal * taxRate);
+
+  const total = roundMoney(discountedSubtotal + shipping + tax);
+  const amount = Math.round(total * 100);
+
+  if (amount < MIN_AMOUNT_CENTS) {
+    throw new Error("Order total must be at least $0.50");
+  }
+
+  return {
+    items: cart.items,
+    subtotal: cart.subtotal,
+    discount,
+    coupon,
+    shipping,
+    tax,
+    taxRate,
+    total,
+    amount,
+    currency: CURRENCY,
+  };
+}
+
+/**
+ * Store the quote a payment intent was created for
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {Object} quote - Quote from calculateQuote
+ * @param {Object} details - { userId, userEmail, userName, shippingAddress }
+ * @returns {Promise<Object>} Stored quote
+ */
+async function saveQuote(paymentIntentId, quote, { userId, userEmail, userName, shippingAddress }) {
+  try {
+    const now = new Date();
+    const item = {
+      paymentIntentId,
+      userId,
+      userEmail,
+      userName,
+      ...quote,
+      shippingAddress,
+      status: "pending",
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: Math.floor(now.getTime() / 1000) + QUOTE_TTL_SECONDS,
+    };
+
+    await dynamoDB.send(
+      new PutCommand({
+        TableName: TABLES.PAYMENT_QUOTES,
+        Item: item,
+      })
+    );
+
+    return item;
+  } catch (error) {
+    console.error("saveQuote error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the stored quote for a payment intent
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<Object|null>} Quote or null if not found
+ */
+async function getQuote(paymentIntentId) {
+  try {
+    const result = await dynamoDB.send(
+      new GetCommand({
+        TableName: TABLES.PAYMENT_QUOTES,
+        Key: { paymentIntentId },
+      })
+    );
+    return result.Item || null;
+  } catch (error) {
+    console.error("getQuote error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update the status of a stored quote (e.g. "paid", "fulfilled" or "amount_mismatch")
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} status - New status
+ * @param {Object} [extra] - Extra attributes to set (e.g. { amountReceived } or { orderId })
+ * @returns {Promise<void>}
+ */
+async function updateQuoteStatus(paymentIntentId, status, extra = {}) {
+  try {
+    const names = { "#status": "status" };
+    const values = { ":status": status, ":updatedAt": new Date().toISOString() };
+    const sets = ["#status = :status", "updatedAt = :updatedAt"];
+
+    Object.entries(extra).forEach(([key, value]) => {
+      names[`#${key}`] = key;
+      values[`:${key}`] = value;
+      sets.push(`#${key} = :${key}`);
+    });
+
+    await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.PAYMENT_QUOTES,
+        Key: { paymentIntentId },
+        UpdateExpression: `SET ${sets.join(", ")}`,
+        ConditionExpression: "attribute_exists(paymentIntentId)",
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+      })
+    );
+  } catch (error) {
+    console.error("updateQuoteStatus error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Itemized quote returned to the customer (no internal fields)
+ *
+ * @param {Object} quote - Quote from calculateQuote or the quotes table
+ * @returns {Object} { items, subtotal, discount, coupon, shipping, tax, taxRate, total, currency }
+ */
+function toPublicQuote(quote) {
+  return {
+    items: quote.items,
+    subtotal: quote.subtotal,
+    discount: quote.discount,
+    coupon: quote.coupon,
+    shipping: quote.shipping,
+    tax: quote.tax,
+    taxRate: quote.taxRate,
+    total: quote.total,
+    currency: quote.currency,
+  };
+}
+
+module.exports = {
+  FREE_SHIPPING_THRESHOLD,
+  priceCartWithStock,
+  calculateQuote,
+  saveQuote,
+  getQuote,
+  updateQuoteStatus,
+  toPublicQuote,
+};
@@ -0,0 +1,567 @@
+/**
+ * AWS Lambda - Product Import/Export Helper Functions
+ *
+ * Bulk create/update of products from CSV or JSON (POST /admin/products/import)
+ * and export of the full catalog (GET /admin/products/export) in the same
+ * columns, so an export can be edited in a spreadsheet and imported again.
+ *
+ * Rows are matched to existing products by id, then by sku:
+ * - mode "upsert" (default): matched rows update the product, the others create one
+ * - mode "create": every row must be a new product
+ *
+ * Empty cells leave a field unchanged when updating. Category is a path
+ * ("Programming > JavaScript") and tags are comma-separated in CSV; JSON rows
+ * may use arrays. A dry run validates every row and reports what would happen
+ * without writing anything; a real import is refused if any row is invalid.
+ */
+
+const {
+  getAllProducts,
+  createProduct,
+  updateProduct,
+  normalizeSku,
+} = require("./products");
+const { normalizeCategory, normalizeTags } = require("./categories");
+const { parseCsv, toCsv } = require("./csv");
+
+// One import runs inside a single Lambda invocation
+const MAX_IMPORT_ROWS = 500;
+const MAX_FEATURED_PRODUCTS = 3;
+const IMPORT_MODES = ["upsert", "create"];
+const IMPORT_FORMATS = ["csv", "json"];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Exported columns (and the columns an import understands), in order
+const PRODUCT_COLUMNS = [
+  "id",
+  "sku",
+  "name",
+  "price",
+  "stock",
+  "lowStockThreshold",
+  "in_stock",
+  "best_seller",
+  "featured_product",
+  "rating",
+  "category",
+  "tags",
+  "overview",
+  "long_description",
+  "image_local",
+  "poster",
+];
+
+const TEXT_COLUMNS = ["name", "overview", "long_description", "image_local", "poster"];
+const BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false, 1: true, 0: false };
+
+/**
+ * Turn the uploaded file content into row objects
+ *
+ * @param {string} format - "csv" or "json"
+ * @param {string|Array} data - CSV text, JSON text or an array of row objects
+ * @returns {Object} { rows, warnings }
+ * @throws {Error} "Invalid import: ..." if the file can't be read or has too many rows
+ */
+function parseImportData(format, data) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid import: format must be one of ${IMPORT_FORMATS.join(", ")}`);
+  }
+
+  let rows;
+  const warnings = [];
+
+  if (format === "csv") {
+    if (typeof data !== "string") {
+      throw new Error("Invalid import: CSV data must be text");
+    }
+    let lines;
+    try {
+      lines = parseCsv(data);
+    } catch (error) {
+      throw new Error(`Invalid import: ${error.message}`);
+    }
+    if (lines.length === 0) {
+      throw new Error("Invalid import: the file is empty");
+    }
+
+    const header = lines[0].map((column) => column.trim());
+    const unknownColumns = header.filter((column) => column && !PRODUCT_COLUMNS.includes(column));
+    if (unknownColumns.length > 0) {
+      warnings.push(`Unknown columns ignored: ${unknownColumns.join(", ")}`);
+    }
+
+    rows = lines.slice(1).map((cells) =>
+      Object.fromEntries(header.map((column, index) => [column, cells[index]]))
+    );
+  } else {
+    let parsed = data;
+    if (typeof data === "string") {
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        throw new Error("Invalid import: the file is not valid JSON");
+      }
+    }
+    if (!Array.isArray(parsed) || parsed.some((row) => !row || typeof row !== "object")) {
+      throw new Error("Invalid import: JSON must be an array of products");
+    }
+    rows = parsed;
+  }
+
+  if (rows.length === 0) {
+    throw new Error("Invalid import: no products found");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Invalid import: at most ${MAX_IMPORT_ROWS} products per import`);
+  }
+
+  return { rows, warnings };
+}
+
+/**
+ * Value of a cell (strings trimmed, empty cells as undefined)
+ *
+ * @param {Object} raw - Row object
+ * @param {string} column - Column name
+ * @returns {any} Value or undefined
+ */
+function readCell(raw, column) {
+  const value = raw[column];
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed === "" ? undefined : trimmed;
+  }
+  return value;
+}
+
+/**
+ * Read a numeric cell
+ *
+ * @param {any} value - Cell value
+ * @param {string} column - Column name (for the error)
+ * @param {Array<string>} errors - Row errors (appended to)
+ * @param {Object} [limits] - { integer, min, max }
+ * @returns {number|undefined} Number, or undefined if empty or invalid
+ */
+function readNumber(value, column, errors, { integer = false, min = 0, max = Infinity } = {}) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  const isValid =
+    Number.isFinite(number) && (!integer || Number.isInteger(number)) && number >= min && number <= max;
+  if (!isValid) {
+    const kind = integer ? "a whole number" : "a number";
+    errors.push(
+      max === Infinity
+        ? `${column} must be ${kind} of ${min} or more`
+        : `${column} must be ${kind} between ${min} and ${max}`
+    );
+    return undefined;
+  }
+  return number;
+}
+
+/**
+ * Read a true/false cell (true/false, yes/no or 1/0)
+ *
+ * @param {any} value - Cell value
+ * @param {string} column - Column name (for the error)
+ * @param {Array<string>} errors - Row errors (appended to)
+ * @returns {boolean|undefined} Boolean, or undefined if empty or invalid
+ */
+function readBoolean(value, column, errors) {
+  if (value === undefined) return undefined;
+
+  const key = String(value).toLowerCase();
+  if (!(key in BOOLEAN_VALUES)) {
+    errors.push(`${column} must be true or false`);
+    return undefined;
+  }
+  return BOOLEAN_VALUES[key];
+}
+
+/**
+ * Validate one row and convert it to product fields
+ * Only the fields that have a value are returned.
+ *
+ * @param {Object} raw - Row object (CSV cells or JSON values)
+ * @returns {Object} { fields, errors }
+ */
+function validateRow(raw) {
+  const errors = [];
+  const fields = {};
+
+  const id = readCell(raw, "id");
+  if (id !== undefined) {
+    if (UUID_PATTERN.test(String(id))) {
+      fields.id = String(id);
+    } else {
+      errors.push("id must be a UUID");
+    }
+  }
+
+  try {
+    const sku = normalizeSku(readCell(raw, "sku"));
+    if (sku) fields.sku = sku;
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  TEXT_COLUMNS.forEach((column) => {
+    const value = readCell(raw, column);
+    if (value !== undefined) fields[column] = String(value);
+  });
+
+  const price = readNumber(readCell(raw, "price"), "price", errors, { min: 0 });
+  if (price === 0) {
+    errors.push("price must be greater than 0");
+  } else if (price !== undefined) {
+    fields.price = price;
+  }
+
+  const stock = readNumber(readCell(raw, "stock"), "stock", errors, { integer: true });
+  if (stock !== undefined) fields.stock = stock;
+
+  const lowStockThreshold = readNumber(readCell(raw, "lowStockThreshold"), "lowStockThreshold", errors, {
+    integer: true,
+  });
+  if (lowStockThreshold !== undefined) fields.lowStockThreshold = lowStockThreshold;
+
+  const rating = readNumber(readCell(raw, "rating"), "rating", errors, { max: 5 });
+  if (rating !== undefined) fields.rating = rating;
+
+  const inStock = readBoolean(readCell(raw, "in_stock"), "in_stock", errors);
+  if (inStock !== undefined) {
+    fields.in_stock = inStock;
+  } else if (stock !== undefined) {
+    fields.in_stock = stock > 0; // Follows the stock unless given
+  }
+
+  const bestSeller = readBoolean(readCell(raw, "best_seller"), "best_seller", errors);
+  if (bestSeller !== undefined) fields.best_seller = bestSeller;
+
+  const featured = readBoolean(readCell(raw, "featured_product"), "featured_product", errors);
+  if (featured !== undefined) fields.featured_product = featured ? 1 : 0;
+
+  const category = readCell(raw, "category");
+  if (category !== undefined) {
+    try {
+      fields.category = normalizeCategory(category).category;
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const tags = readCell(raw, "tags");
+  if (tags !== undefined) {
+    try {
+      fields.tags = normalizeTags(tags);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Whether a product is featured (stored as 1/0, older products as true/false)
+ * @param {Object} product - Product
+ * @returns {boolean}
+ */
+function isFeatured(product) {
+  return product?.featured_product === 1 || product?.featured_product === true;
+}
+
+/**
+ * Fields of a row that differ from the existing product
+ *
+ * @param {Object} fields - Row fields
+ * @param {Object} product - Existing product
+ * @returns {Array<string>} Changed field names
+ */
+function getChangedFields(fields, product) {
+  return Object.keys(fields).filter((field) => {
+    if (field === "id") return false;
+    if (field === "featured_product") return fields[field] !== (isFeatured(product) ? 1 : 0);
+    if (field === "in_stock" || field === "best_seller") return fields[field] !== Boolean(product[field]);
+    return JSON.stringify(fields[field]) !== JSON.stringify(product[field]);
+  });
+}
+
+/**
+ * Validate all rows and decide what each one does
+ *
+ * @param {Array<Object>} rows - Row objects
+ * @param {Array<Object>} existingProducts - Current catalog
+ * @param {string} mode - "upsert" or "create"
+ * @returns {Array<Object>} One entry per row:
+ *   { row, action: "create"|"update"|"unchanged"|"invalid", id, sku, name, changedFields, errors, fields, existing }
+ */
+function planImport(rows, existingProducts, mode) {
+  const productsById = new Map(existingProducts.map((product) => [product.id, product]));
+  const productsBySku = new Map(
+    existingProducts.filter((product) => product.sku).map((product) => [product.sku, product])
+  );
+  const seenProducts = new Map(); // product key -> row number
+  let featuredCount = existingProducts.filter(isFeatured).length;
+
+  return rows.map((raw, index) => {
+    const row = index + 1; // Data rows only (the CSV header is not counted)
+    const { fields, errors } = validateRow(raw);
+
+    let existing = null;
+    if (fields.id) {
+      existing = productsById.get(fields.id) || null;
+    } else if (fields.sku) {
+      existing = productsBySku.get(fields.sku) || null;
+    }
+
+    // The SKU may not belong to another product
+    const skuOwner = fields.sku ? productsBySku.get(fields.sku) : null;
+    if (skuOwner && existing?.id !== skuOwner.id) {
+      errors.push(`sku "${fields.sku}" is already used by "${skuOwner.name}"`);
+    }
+
+    // Each product (and SKU) once per file
+    const keys = [existing?.id || fields.id, fields.sku && `sku:${fields.sku}`].filter(Boolean);
+    const duplicateOf = keys.map((key) => seenProducts.get(key)).find(Boolean);
+    if (duplicateOf) {
+      errors.push(`duplicate of row ${duplicateOf}`);
+    }
+    keys.forEach((key) => seenProducts.set(key, row));
+
+    if (existing && mode === "create") {
+      errors.push(`product already exists ("${existing.name}")`);
+    }
+    if (!existing) {
+      if (!fields.name) errors.push("name is required for new products");
+      if (fields.price === undefined && !errors.some((error) => error.startsWith("price"))) {
+        errors.push("price is required for new products");
+      }
+    }
+
+    // Max 3 featured products after the import (same rule as the product form)
+    const featuredChanged =
+      fields.featured_product !== undefined && fields.featured_product !== (isFeatured(existing) ? 1 : 0);
+    if (errors.length === 0 && featuredChanged) {
+      if (fields.featured_product === 1 && featuredCount >= MAX_FEATURED_PRODUCTS) {
+        errors.push(`featured_product: at most ${MAX_FEATURED_PRODUCTS} featured products allowed`);
+      } else {
+        featuredCount += fields.featured_product === 1 ? 1 : -1;
+      }
+    }
+
+    const changedFields = existing ? getChangedFields(fields, existing) : Object.keys(fields);
+    let action = existing ? "update" : "create";
+    if (errors.length > 0) {
+      action = "invalid";
+    } else if (existing && changedFields.length === 0) {
+      action = "unchanged";
+    }
+
+    return {
+      row,
+      action,
+      id: existing?.id || fields.id || null,
+      sku: fields.sku || existing?.sku || null,
+      name: fields.name || existing?.name || null,
+      changedFields: action === "invalid" ? [] : changedFields,
+      errors,
+      fields,
+      existing: existing || null,
+    };
+  });
+}
+
+/**
+ * Count rows per action
+ *
+ * @param {Array<Object>} plan - Planned rows
+ * @returns {Object} { total, valid, invalid, create, update, unchanged }
+ */
+function summarizePlan(plan) {
+  const count = (action) => plan.filter((entry) => entry.action === action).length;
+  const invalid = count("invalid");
+  return {
+    total: plan.length,
+    valid: plan.length - invalid,
+    invalid,
+    create: count("create"),
+    update: count("update"),
+    unchanged: count("unchanged"),
+  };
+}
+
+/**
+ * Write the planned rows
+ * Rows are written one at a time; a failed row doesn't stop the others.
+ *
+ * @param {Array<Object>} plan - Planned rows (all valid)
+ * @param {string|null} baseUrl - Base URL for QR codes of new products
+ * @returns {Promise<Array<Object>>} Written rows: { ...entry, status: "created"|"updated"|"unchanged"|"failed", product }
+ */
+async function applyImport(plan, baseUrl) {
+  const results = [];
+
+  for (const entry of plan) {
+    if (entry.action === "unchanged") {
+      results.push({ ...entry, status: "unchanged", product: entry.existing });
+      continue;
+    }
+
+    try {
+      if (entry.action === "create") {
+        const { id, ...productData } = entry.fields;
+        // SKUs were checked against the catalog while planning
+        const product = await createProduct(productData, baseUrl, { id, checkSku: false });
+        results.push({ ...entry, id: product.id, status: "created", product });
+      } else {
+        const updates = Object.fromEntries(entry.changedFields.map((field) => [field, entry.fields[field]]));
+        const product = await updateProduct(entry.existing.id, updates, baseUrl);
+        results.push({ ...entry, status: "updated", product });
+      }
+    } catch (error) {
+      console.error(`Product import row ${entry.row} failed:`, error.message);
+      results.push({ ...entry, status: "failed", errors: [error.message] });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Import products
+ *
+ * @param {Object} params
+ * @param {string} params.format - "csv" or "json"
+ * @param {string|Array} params.data - File content
+ * @param {string} [params.mode="upsert"] - "upsert" or "create"
+ * @param {boolean} [params.dryRun=false] - Only validate and report
+ * @param {string|null} [params.baseUrl] - Base URL for QR codes of new products
+ * @returns {Promise<Object>} { dryRun, mode, summary, warnings, rows, results }
+ *   results (written rows with products) is only set when not a dry run
+ * @throws {Error} "Invalid import: ..." if the request or file is invalid, or if any row is
+ *   invalid on a real import (error.report has the dry run report)
+ */
+async function importProducts({ format, data, mode = "upsert", dryRun = false, baseUrl = null }) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Invalid import: mode must be one of ${IMPORT_MODES.join(", ")}`);
+  }
+
+  const { rows, warnings } = parseImportData(format, data);
+  const existingProducts = await getAllProducts();
+  const plan = planImport(rows, existingProducts, mode);
+  const summary = summarizePlan(plan);
+
+  const toRowReport = ({ fields, existing, product, ...entry }) => entry;
+  const report = { dryRun, mode, summary, warnings, rows: plan.map(toRowReport) };
+
+  if (dryRun) {
+    return report;
+  }
+
+  if (summary.invalid > 0) {
+    const error = new Error(
+      `Invalid import: ${summary.invalid} of ${summary.total} rows have errors - nothing was imported`
+    );
+    error.report = report;
+    throw error;
+  }
+
+  const results = await applyImport(plan, baseUrl);
+  const countStatus = (status) => results.filter((entry) => entry.status === status).length;
+
+  return {
+    dryRun,
+    mode,
+    summary: {
+      ...summary,
+      created: countStatus("created"),
+      updated: countStatus("updated"),
+      failed: countStatus("failed"),
+    },
+    warnings,
+    rows: results.map(toRowReport),
+    results,
+  };
+}
+
+/**
+ * Product as an export row (PRODUCT_COLUMNS only)
+ *
+ * @param {Object} product - Product
+ * @returns {Object} Row with the exported fields
+ */
+function toExportRow(product) {
+  return {
+    id: product.id,
+    sku: product.sku ?? null,
+    name: product.name ?? "",
+    price: product.price ?? null,
+    stock: product.stock ?? null,
+    lowStockThreshold: product.lowStockThreshold ?? null,
+    in_stock: Boolean(product.in_stock),
+    best_seller: Boolean(product.best_seller),
+    featured_product: isFeatured(product),
+    rating: product.rating ?? null,
+    category: Array.isArray(product.category) ? product.category : [],
+    tags: Array.isArray(product.tags) ? product.tags : [],
+    overview: product.overview ?? "",
+    long_description: product.long_description ?? "",
+    image_local: product.image_local ?? "",
+    poster: product.poster ?? "",
+  };
+}
+
+/**
+ * Export the full catalog
+ *
+ * @param {string} format - "csv" or "json"
+ * @returns {Promise<Object>} { body, contentType, count }
+ * @throws {Error} "Invalid export: ..." if the format is unknown
+ */
+async function exportProducts(format) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Invalid export: format must be one of ${IMPORT_FORMATS.join(", ")}`);
+  }
+
+  const products = await getAllProducts();
+  const rows = products
+    .map(toExportRow)
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+  if (format === "json") {
+    return {
+      body: JSON.stringify(rows, null, 2),
+      contentType: "application/json",
+      count: rows.length,
+    };
+  }
+
+  const csvRows = rows.map((row) =>
+    PRODUCT_COLUMNS.map((column) => {
+      if (column === "category") return row.category.join(" > ");
+      if (column === "tags") return row.tags.join(", ");
+      return row[column];
+    })
+  );
+
+  return {
+    body: toCsv(PRODUCT_COLUMNS, csvRows),
+    contentType: "text/csv; charset=utf-8",
+    count: rows.length,
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  PRODUCT_COLUMNS,
+  parseImportData,
+  validateRow,
+  planImport,
+  importProducts,
+  exportProducts,
+};
@@ -16,6 +16,9 @@ const {
   DeleteCommand,
 } = require("@aws-sdk/lib-dynamodb");
 const { generateProductQRCode } = require("./qrcode");
+const { normalizeCategory, normalizeTags, buildFacets } = require("./categories");
+const { emitStockEvents } = require("./stockAlerts");
+const { recordProductCountChange } = require("./analytics");
 
 // Lazy load uuid (ESM module) - will be imported when needed
 let uuidModule = null;
@@ -115,6 +118,359 @@ async function getAllProducts(searchTerm = "") {
   }
 }
 
+/**
+ * Catalog partition key
+ *
+ * Every product carries `catalog: "products"` so the catalog GSIs can use a single
+ * partition and keep products ordered by their sort key (price, rating, createdAt).
+ * Run create-catalog-gsi.sh to create the indexes and backfill existing products.
+ */
+const CATALOG_PARTITION = "products";
+
+/**
+ * Catalog sort keys mapped to their GSI names
+ * Products without the sort attribute would be missing from that index, so every product
+ * gets a rating (0 until it has one) and createdAt: createProduct writes them,
+ * updateProduct and create-catalog-gsi.sh backfill older products.
+ */
+const CATALOG_SORT_INDEXES = {
+  price: "catalog-price-index",
+  rating: "catalog-rating-index",
+  createdAt: "catalog-createdAt-index",
+};
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
+
+// Items read per DynamoDB call when a filter is applied (see readCatalogPage)
+const CATALOG_READ_BATCH_SIZE = 200;
+
+/**
+ * Encode a pagination position as an opaque cursor string
+ *
+ * @param {Object} position - { key: LastEvaluatedKey } or { offset: number }
+ * @returns {string} URL-safe base64 cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - Cursor from a previous page's nextCursor
+ * @returns {Object|null} Decoded position or null if no cursor
+ * @throws {Error} If cursor is malformed
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+}
+
+/**
+ * Build a DynamoDB FilterExpression from catalog filters
+ *
+ * @param {Object} filters - { minPrice, maxPrice, minRating, bestSeller, inStock, category, categories, tags }
+ *   category is a single category slug (category landing pages); categories and tags are
+ *   arrays of slugs/tags from the FilterBar facets, matched if the product has any of them
+ * @returns {Object} { FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues } (empty if no filters)
+ */
+function buildCatalogFilter(filters = {}) {
+  const expressions = [];
+  const names = {};
+  const values = {};
+
+  if (filters.minPrice !== undefined) {
+    expressions.push("#price >= :minPrice");
+    names["#price"] = "price";
+    values[":minPrice"] = filters.minPrice;
+  }
+  if (filters.maxPrice !== undefined) {
+    expressions.push("#price <= :maxPrice");
+    names["#price"] = "price";
+    values[":maxPrice"] = filters.maxPrice;
+  }
+  if (filters.minRating !== undefined) {
+    expressions.push("#rating >= :minRating");
+    names["#rating"] = "rating";
+    values[":minRating"] = filters.minRating;
+  }
+  if (filters.bestSeller) {
+    expressions.push("#best_seller = :true");
+    names["#best_seller"] = "best_seller";
+    values[":true"] = true;
+  }
+  if (filters.inStock) {
+    expressions.push("#in_stock = :true");
+    names["#in_stock"] = "in_stock";
+    values[":true"] = true;
+  }
+  if (filters.category) {
+    expressions.push("contains(#categorySlugs, :category)");
+    names["#categorySlugs"] = "categorySlugs";
+    values[":category"] = filters.category;
+  }
+  if (filters.categories?.length) {
+    const conditions = filters.categories.map((slug, index) => {
+      values[`:category${index}`] = slug;
+      return `contains(#categorySlugs, :category${index})`;
+    });
+    expressions.push(`(${conditions.join(" OR ")})`);
+    names["#categorySlugs"] = "categorySlugs";
+  }
+  if (filters.tags?.length) {
+    const conditions = filters.tags.map((tag, index) => {
+      values[`:tag${index}`] = tag;
+      return `contains(#tags, :tag${index})`;
+    });
+    expressions.push(`(${conditions.join(" OR ")})`);
+    names["#tags"] = "tags";
+  }
+
+  if (expressions.length === 0) return {};
+
+  return {
+    FilterExpression: expressions.join(" AND "),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+  };
+}
+
+/**
+ * Check a product against catalog filters in memory
+ * Mirrors buildCatalogFilter for the in-memory fallback path.
+ */
+function matchesCatalogFilter(product, filters = {}) {
+  const price = Number(product.price);
+  const rating = Number(product.rating);
+  if (filters.minPrice !== undefined && !(price >= filters.minPrice)) return false;
+  if (filters.maxPrice !== undefined && !(price <= filters.maxPrice)) return false;
+  if (filters.minRating !== undefined && !(rating >= filters.minRating)) return false;
+  if (filters.bestSeller && product.best_seller !== true) return false;
+  if (filters.inStock && product.in_stock !== true) return false;
+
+  const categorySlugs = product.categorySlugs || [];
+  if (filters.category && !categorySlugs.includes(filters.category)) return false;
+  if (
+    filters.categories?.length &&
+    !filters.categories.some((slug) => categorySlugs.includes(slug))
+  ) {
+    return false;
+  }
+  if (filters.tags?.length && !filters.tags.some((tag) => (product.tags || []).includes(tag))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Read one page from DynamoDB, following LastEvaluatedKey until the page is full
+ *
+ * FilterExpression is applied after Limit, so with a filter each call reads a fixed
+ * batch (CATALOG_READ_BATCH_SIZE) rather than the remaining count - a selective filter
+ * would otherwise take one round trip per matching item. The page is trimmed to
+ * `limit` and the cursor is the key of its last item (any item's key is a valid
+ * ExclusiveStartKey), so items read past the page are returned on the next one.
+ *
+ * @param {Function} CommandClass - ScanCommand or QueryCommand
+ * @param {Object} params - Command parameters
+ * @param {number} limit - Page size
+ * @param {Object} [startKey] - Key from the previous page's cursor
+ * @param {Array<string>} keyAttributes - Attributes of the table/index key (for the cursor)
+ * @returns {Promise<Object>} { items, nextCursor }
+ */
+async function readCatalogPage(CommandClass, params, limit, startKey, keyAttributes) {
+  const items = [];
+  let exclusiveStartKey = startKey || undefined;
+
+  do {
+    const result = await dynamoDB.send(
+      new CommandClass({
+        ...params,
+        Limit: params.FilterExpression ? CATALOG_READ_BATCH_SIZE : limit - items.length,
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+    items.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey && items.length < limit);
+
+  const page = items.slice(0, limit);
+  const hasMore = items.length > limit || (items.length === limit && exclusiveStartKey);
+  const lastItem = page[page.length - 1];
+
+  return {
+    items: page,
+    nextCursor: hasMore
+      ? encodeCursor({
+          key: Object.fromEntries(keyAttributes.map((attribute) => [attribute, lastItem[attribute]])),
+        })
+      : null,
+  };
+}
+
+/**
+ * List products one page at a time (cursor-based pagination)
+ *
+ * @param {Object} options - Listing options
+ * @param {number} options.limit - Page size (default 12, max 100)
+ * @param {string} options.cursor - nextCursor from the previous page (optional)
+ * @param {string} options.sortBy - price | rating | createdAt (optional, table order if omitted)
+ * @param {string} options.order - asc | desc (default asc)
+ * @param {Object} options.filters - { minPrice, maxPrice, minRating, bestSeller, inStock, category, categories, tags }
+ * @param {string} options.searchTerm - Optional name/overview search term
+ * @param {boolean} options.includeFacets - Add category/tag facet counts to the first page
+ * @returns {Promise<Object>} { items, nextCursor, count, facets? } - nextCursor is null on the last page
+ *
+ * How it works:
+ * 1. No sort: Scan with FilterExpression, resuming from the cursor's LastEvaluatedKey
+ * 2. Sort: Query the matching catalog GSI (ScanIndexForward = asc/desc)
+ * 3. Search term or missing GSI: full Scan, filter and sort in memory, offset cursor
+ * 4. Facets (first page only): counted over the whole catalog, see buildFacets
+ */
+async function listProducts(options = {}) {
+  const { includeFacets = false, ...pageOptions } = options;
+  const page = await listProductsPage(pageOptions);
+
+  if (!includeFacets || options.cursor) {
+    return page;
+  }
+
+  const allProducts = await getAllProducts(options.searchTerm || "");
+  return {
+    ...page,
+    facets: buildFacets(allProducts, options.filters || {}, matchesCatalogFilter),
+  };
+}
+
+/**
+ * Read one catalog page for listProducts (see listProducts for options)
+ */
+async function listProductsPage(options = {}) {
+  const {
+    cursor,
+    sortBy,
+    order = "asc",
+    filters = {},
+    searchTerm = "",
+  } = options;
+
+  const limit = Math.min(
+    Math.max(Number(options.limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  if (sortBy && !CATALOG_SORT_INDEXES[sortBy]) {
+    throw new Error(
+      `Invalid sort. Must be one of: ${Object.keys(CATALOG_SORT_INDEXES).join(", ")}`
+    );
+  }
+  if (order !== "asc" && order !== "desc") {
+    throw new Error("Invalid order. Must be asc or desc");
+  }
+
+  const position = decodeCursor(cursor);
+  const filterParams = buildCatalogFilter(filters);
+
+  try {
+    // Case-insensitive search can't be expressed as a FilterExpression,
+    // and offset cursors only make sense for the in-memory path
+    if (!searchTerm && position?.offset === undefined) {
+      if (!sortBy) {
+        const page = await readCatalogPage(
+          ScanCommand,
+          { TableName: TABLES.PRODUCTS, ...filterParams },
+          limit,
+          position?.key,
+          ["id"]
+        );
+        return { ...page, count: page.items.length };
+      }
+
+      try {
+        const { QueryCommand } = require("@aws-sdk/lib-dynamodb");
+        const page = await readCatalogPage(
+          QueryCommand,
+          {
+            TableName: TABLES.PRODUCTS,
+            IndexName: CATALOG_SORT_INDEXES[sortBy],
+            KeyConditionExpression: "#catalog = :catalog",
+            ScanIndexForward: order === "asc",
+            ...filterParams,
+            ExpressionAttributeNames: {
+              ...filterParams.ExpressionAttributeNames,
+              "#catalog": "catalog",
+            },
+            ExpressionAttributeValues: {
+              ...filterParams.ExpressionAttributeValues,
+              ":catalog": CATALOG_PARTITION,
+            },
+          },
+          limit,
+          position?.key,
+          ["id", "catalog", sortBy] // Table key + index key
+        );
+        return { ...page, count: page.items.length };
+      } catch (gsiError) {
+        // GSI not available yet, fall back to in-memory sort
+        if (
+          gsiError.name !== "ValidationException" &&
+          gsiError.name !== "ResourceNotFoundException"
+        ) {
+          throw gsiError;
+        }
+        console.warn(
+          `GSI "${CATALOG_SORT_INDEXES[sortBy]}" not found. Sorting in memory (less efficient). Run create-catalog-gsi.sh to optimize.`
+        );
+        if (position?.key) {
+          throw new Error("Invalid cursor");
+        }
+      }
+    }
+
+    // Fallback: read the whole catalog, then filter, sort and slice in memory
+    const allProducts = await getAllProducts(searchTerm);
+    const direction = order === "desc" ? -1 : 1;
+    const matching = allProducts.filter((product) =>
+      matchesCatalogFilter(product, filters)
+    );
+
+    if (sortBy) {
+      matching.sort((a, b) => {
+        const left = sortBy === "createdAt" ? a.createdAt || "" : Number(a[sortBy]) || 0;
+        const right = sortBy === "createdAt" ? b.createdAt || "" : Number(b[sortBy]) || 0;
+        if (left < right) return -1 * direction;
+        if (left > right) return 1 * direction;
+        return 0;
+      });
+    }
+
+    const offset = position?.offset || 0;
+    const items = matching.slice(offset, offset + limit);
+    const nextOffset = offset + items.length;
+
+    return {
+      items,
+      nextCursor: nextOffset < matching.length ? encodeCursor({ offset: nextOffset }) : null,
+      count: items.length,
+    };
+  } catch (error) {
+    console.error("listProducts error:", {
+      message: error.message,
+      name: error.name,
+      limit,
+      sortBy,
+      order,
+      filters,
+    });
+    throw error;
+  }
+}
+
 /**
  * Get product by ID
  *
@@ -266,17 +622,304 @@ async function getFeaturedProductsCount() {
   }
 }
 
+// SKUs are the seller's own product codes (used to match rows in product imports)
+const MAX_SKU_LENGTH = 64;
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Validate and normalize a SKU
+ *
+ * @param {string} input - SKU (e.g. "BK-REACT-001")
+ * @returns {string|undefined} Trimmed SKU, or undefined if empty
+ * @throws {Error} "Invalid SKU: ..." if it is too long or contains other characters
+ */
+function normalizeSku(input) {
+  if (input === undefined || input === null) return undefined;
+  const sku = String(input).trim();
+  if (!sku) return undefined;
+
+  if (sku.length > MAX_SKU_LENGTH) {
+    throw new Error(`Invalid SKU: at most ${MAX_SKU_LENGTH} characters allowed`);
+  }
+  if (!SKU_PATTERN.test(sku)) {
+    throw new Error("Invalid SKU: use letters, numbers, dots, dashes and underscores");
+  }
+  return sku;
+}
+
+/**
+ * Get a product by SKU
+ *
+ * @param {string} sku - SKU
+ * @returns {Promise<Object|null>} Product or null if no product has this SKU
+ */
+async function getProductBySku(sku) {
+  let lastKey;
+  do {
+    const result = await dynamoDB.send(
+      new ScanCommand({
+        TableName: TABLES.PRODUCTS,
+        FilterExpression: "sku = :sku",
+        ExpressionAttributeValues: { ":sku": sku },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    if (result.Items?.length) {
+      return result.Items[0];
+    }
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return null;
+}
+
+/**
+ * Get the product that uses a SKU, either as its own SKU or as the SKU of one of its variants
+ *
+ * @param {string} sku - SKU
+ * @returns {Promise<Object|null>} Product or null if no product or variant has this SKU
+ */
+async function getSkuOwner(sku) {
+  let lastKey;
+  do {
+    const result = await dynamoDB.send(
+      new ScanCommand({
+        TableName: TABLES.PRODUCTS,
+        // Variant SKUs are nested in a list, so products with variants are checked here
+        FilterExpression: "sku = :sku OR attribute_exists(variants)",
+        ExpressionAttributeValues: { ":sku": sku },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    const owner = (result.Items || []).find(
+      (item) => item.sku === sku || (item.variants || []).some((variant) => variant.sku === sku)
+    );
+    if (owner) {
+      return owner;
+    }
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return null;
+}
+
+/**
+ * Make sure no other product (or variant of another product) uses a SKU
+ *
+ * @param {string} sku - Normalized SKU
+ * @param {string} [productId] - Product that may keep the SKU (on update)
+ * @throws {Error} "Invalid SKU: ... is already used by ..." if another product has it
+ */
+async function assertSkuAvailable(sku, productId = null) {
+  const owner = await getSkuOwner(sku);
+  if (owner && owner.id !== productId) {
+    throw new Error(`Invalid SKU: "${sku}" is already used by "${owner.name}"`);
+  }
+}
+
+// Formats a book can be sold in - a product has at most one variant per format
+const VARIANT_FORMATS = {
+  pdf: "PDF",
+  epub: "EPUB",
+  paperback: "Paperback",
+  hardcover: "Hardcover",
+};
+
+// Formats delivered as a download from the customer's library (shared/library.js)
+const DIGITAL_FORMATS = ["pdf", "epub"];
+
+/**
+ * Read an optional non-negative number of a variant
+ *
+ * @param {*} value - Value from the request
+ * @param {string} label - Field description for the error message
+ * @param {boolean} [integer=false] - Require a whole number
+ * @returns {number|undefined} Number, or undefined if empty
+ * @throws {Error} "Invalid variants: ..." if it is not a valid number
+ */
+function readVariantNumber(value, label, integer = false) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new Error(`Invalid variants: ${label} must be a ${integer ? "whole number" : "number"} of 0 or more`);
+  }
+  return number;
+}
+
+/**
+ * Validate and normalize the variants of a product
+ * The format is the variant ID (e.g. "paperback"), so cart lines and orders keep
+ * pointing at the same variant when the list is edited.
+ *
+ * @param {Array} input - Variants [{ format, sku, price, stock, weight }]
+ *   (stock: copies on hand, leave empty for formats that can't run out; weight: grams)
+ * @param {Array<Object>} [existingVariants] - Current variants (their reserved copies are kept)
+ * @returns {Array<Object>} Variants [{ id, format, sku, price, stock, weight, reserved }] (empty list = no variants)
+ * @throws {Error} "Invalid variants: ..." or "Invalid SKU: ..." if a variant is invalid
+ */
+function normalizeVariants(input, existingVariants = []) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) {
+    throw new Error("Invalid variants: must be a list");
+  }
+
+  const formats = new Set();
+  const skus = new Set();
+  return input.map((variant) => {
+    const format = String(variant?.format || "").trim().toLowerCase();
+    if (!VARIANT_FORMATS[format]) {
+      throw new Error(`Invalid variants: format must be one of ${Object.keys(VARIANT_FORMATS).join(", ")}`);
+    }
+    if (formats.has(format)) {
+      throw new Error(`Invalid variants: only one ${VARIANT_FORMATS[format]} variant allowed`);
+    }
+    formats.add(format);
+
+    const sku = normalizeSku(variant.sku);
+    if (sku && skus.has(sku)) {
+      throw new Error(`Invalid SKU: "${sku}" is used by more than one variant`);
+    }
+    if (sku) skus.add(sku);
+
+    const label = VARIANT_FORMATS[format];
+    const price = readVariantNumber(variant.price, `${label} price`);
+    if (price === undefined) {
+      throw new Error(`Invalid variants: ${label} price is required`);
+    }
+    const stock = readVariantNumber(variant.stock, `${label} stock`, true);
+    const existing = existingVariants.find((item) => item.id === format);
+
+    return {
+      id: format,
+      format,
+      sku,
+      price: Math.round(price * 100) / 100,
+      stock,
+      weight: readVariantNumber(variant.weight, `${label} weight`),
+      // Copies held by open checkouts stay reserved when the admin edits the list
+      reserved: stock !== undefined && Number(existing?.reserved) > 0 ? Number(existing.reserved) : undefined,
+    };
+  });
+}
+
+/**
+ * Display name of a variant's format
+ *
+ * @param {Object} variant - Variant
+ * @returns {string} e.g. "Paperback"
+ */
+function getVariantLabel(variant) {
+  return VARIANT_FORMATS[variant?.format] || variant?.format || "";
+}
+
+/**
+ * Whether a variant can be bought right now (variants without stock can't run out)
+ *
+ * @param {Object} variant - Variant
+ * @returns {boolean} True if available
+ */
+function isVariantAvailable(variant) {
+  return variant.stock === undefined || Number(variant.stock) > 0;
+}
+
+/**
+ * Product-level values derived from the variants
+ * - price: cheapest variant (the "from" price in the catalog, filters and sorting)
+ * - stock/reserved: sums over the variants that track stock (undefined if none do)
+ * - in_stock: at least one variant can be bought
+ *
+ * @param {Array<Object>} variants - Normalized variants (not empty)
+ * @returns {Object} { price, stock, reserved, in_stock }
+ */
+function getVariantTotals(variants) {
+  const tracked = variants.filter((variant) => variant.stock !== undefined);
+  const sum = (field) => tracked.reduce((total, variant) => total + (Number(variant[field]) || 0), 0);
+
+  return {
+    price: Math.min(...variants.map((variant) => Number(variant.price) || 0)),
+    stock: tracked.length > 0 ? sum("stock") : undefined,
+    reserved: tracked.length > 0 ? sum("reserved") : undefined,
+    in_stock: variants.some(isVariantAvailable),
+  };
+}
+
+/**
+ * Find a variant of a product
+ *
+ * @param {Object} product - Product
+ * @param {string} variantId - Variant ID (format)
+ * @returns {Object|null} Variant or null if the product has no such variant
+ */
+function getVariant(product, variantId) {
+  return (product?.variants || []).find((variant) => variant.id === variantId) || null;
+}
+
+/**
+ * The product as sold in one variant: the variant's price, stock, SKU and weight
+ * replace the product's (cart lines and order items)
+ *
+ * @param {Object} product - Product
+ * @param {string} [variantId] - Variant ID (format); ignored for products without variants
+ * @returns {Object} Product with variantId/format set, or the product itself if it has no variants
+ * @throws {Error} "Variant not found: ..." if the product has variants and none matches
+ */
+function getVariantProduct(product, variantId) {
+  if (!product.variants?.length) {
+    return product;
+  }
+
+  const variant = getVariant(product, variantId);
+  if (!variant) {
+    throw new Error(
+      variantId
+        ? `Variant not found: "${product.name}" is not sold as ${variantId}`
+        : `Variant not found: choose a format for "${product.name}"`
+    );
+  }
+
+  const { variants, ...details } = product;
+  return {
+    ...details,
+    variantId: variant.id,
+    format: variant.format,
+    sku: variant.sku,
+    price: variant.price,
+    stock: variant.stock,
+    reserved: variant.reserved,
+    weight: variant.weight,
+    in_stock: isVariantAvailable(variant),
+  };
+}
+
+/**
+ * Key of a cart line: the product, plus the variant for products sold in several formats
+ *
+ * @param {string} productId - Product ID
+ * @param {string} [variantId] - Variant ID (format)
+ * @returns {string} "productId" or "productId:variantId"
+ */
+function getLineKey(productId, variantId) {
+  return variantId ? `${productId}:${variantId}` : productId;
+}
+
 /**
  * Create a new product
  *
  * @param {Object} productData - Product data (name, price, description, etc.)
  * @param {string} baseUrl - Base URL for QR code generation (e.g., "https://codebook-aws.vercel.app")
+ * @param {Object} [options]
+ * @param {string} [options.id] - Use this ID instead of generating one (product import); fails if it is taken
+ * @param {boolean} [options.checkSku=true] - Check that the SKU is unused (the import checks the whole file at once)
  * @returns {Promise<Object>} Created product with generated ID
  *
- * Required fields: name, price
- * Optional fields: overview, long_description, image_local, poster, in_stock, best_seller, featured_product, rating
+ * Required fields: name, price (or variants)
+ * Optional fields: sku, overview, long_description, image_local, poster, in_stock, best_seller, featured_product, rating,
+ *   category (path, e.g. ["Programming", "JavaScript"]), tags,
+ *   variants ([{ format, sku, price, stock, weight }] - price, stock and in_stock are then derived from them)
+ * @throws {Error} "Invalid category: ...", "Invalid tags: ...", "Invalid SKU: ..." or "Invalid variants: ..."
+ *   if category/tags/sku/variants are invalid
  */
-async function createProduct(productData, baseUrl = null) {
+async function createProduct(productData, baseUrl = null, { id: presetId, checkSku = true } = {}) {
   try {
     // Convert featured_product to Number (1/0) for GSI support
     // Accept both Boolean and Number for backward compatibility
@@ -298,8 +941,22 @@ async function createProduct(productData, baseUrl = null) {
       }
     }
 
+    const { category, categorySlugs } = normalizeCategory(productData.category);
+    const tags = normalizeTags(productData.tags);
+    const sku = normalizeSku(productData.sku);
+    if (sku && checkSku) {
+      await assertSkuAvailable(sku);
+    }
+    const variants = normalizeVariants(productData.variants);
+    if (checkSku) {
+      for (const variant of variants) {
+        if (variant.sku) await assertSkuAvailable(variant.sku);
+      }
+    }
+    const variantTotals = variants.length > 0 ? getVariantTotals(variants) : null;
+
     // Generate UUID for product ID
-    const id = await getUuid();
+    const id = presetId || (await getUuid());
 
     // Store QR code URL (not base64 PNG) to minimize DynamoDB storage and RCU consumption
     // Frontend will generate QR code from URL client-side (fast, no cost)
@@ -316,10 +973,14 @@ async function createProduct(productData, baseUrl = null) {
     // Note: featured_product is stored as Number (1/0) instead of Boolean to support GSI
     const product = {
       id,
+      sku,
       name: productData.name,
-      price: Number(productData.price) || 0,
-      stock:
-        productData.stock !== undefined ? Number(productData.stock) : undefined,
+      price: variantTotals ? variantTotals.price : Number(productData.price) || 0,
+      stock: variantTotals
+        ? variantTotals.stock
+        : productData.stock !== undefined
+          ? Number(productData.stock)
+          : undefined,
       lowStockThreshold:
         productData.lowStockThreshold !== undefined
           ? Number(productData.lowStockThreshold)
@@ -328,8 +989,9 @@ async function createProduct(productData, baseUrl = null) {
       long_description: productData.long_description || "",
       image_local: productData.image_local || "",
       poster: productData.poster || "",
-      in_stock:
-        productData.in_stock !== undefined
+      in_stock: variantTotals
+        ? variantTotals.in_stock
+        : productData.in_stock !== undefined
           ? Boolean(productData.in_stock)
           : true,
       best_seller:
@@ -339,9 +1001,14 @@ async function createProduct(productData, baseUrl = null) {
       featured_product: featuredValue, // Number: 1 = featured, 0 = not featured (for GSI support)
       rating:
         productData.rating !== undefined
-          ? Number(productData.rating)
-          : undefined,
+          ? Number(productData.rating) || 0
+          : 0, // Always set - products without it would be missing from catalog-rating-index
+      category, // Category path, top level first
+      categorySlugs, // Slug of every level in the path (for category filters)
+      tags,
+      variants: variants.length > 0 ? variants : undefined, // Formats the book is sold in (own price/stock each)
       qrCode: qrCode || undefined, // Store QR code as base64 data URL
+      catalog: CATALOG_PARTITION, // Partition key for the catalog sort GSIs
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
@@ -349,9 +1016,14 @@ async function createProduct(productData, baseUrl = null) {
     const command = new PutCommand({
       TableName: TABLES.PRODUCTS,
       Item: product,
+      // Never overwrite an existing product with a preset ID
+      ...(presetId && { ConditionExpression: "attribute_not_exists(id)" }),
     });
 
     await dynamoDB.send(command);
+
+    // Update the catalog count in the analytics rollups (non-critical, never throws)
+    await recordProductCountChange(product.id, 1);
     return product;
   } catch (error) {
     console.error("createProduct error:", error);
@@ -366,6 +1038,11 @@ async function createProduct(productData, baseUrl = null) {
  * @param {Object} updates - Fields to update
  * @param {string} baseUrl - Base URL for QR code generation (optional, used if product doesn't have QR code)
  * @returns {Promise<Object>} Updated product
+ * @throws {Error} "Invalid category: ...", "Invalid tags: ...", "Invalid SKU: ..." or "Invalid variants: ..."
+ *   if category/tags/sku/variants are invalid
+ *
+ * Sending `variants` replaces the whole list (an empty list removes the variants).
+ * Price, stock and in_stock of a product with variants are derived from them and can't be set directly.
  */
 async function updateProduct(id, updates, baseUrl = null) {
   try {
@@ -420,6 +1097,49 @@ async function updateProduct(id, updates, baseUrl = null) {
       }
     }
 
+    // Category and tags are normalized here; categorySlugs always follows category
+    if (updates.category !== undefined) {
+      const { category, categorySlugs } = normalizeCategory(updates.category);
+      updates.category = category;
+      updates.categorySlugs = categorySlugs;
+    } else {
+      delete updates.categorySlugs;
+    }
+    if (updates.tags !== undefined) {
+      updates.tags = normalizeTags(updates.tags);
+    }
+    if (updates.sku !== undefined) {
+      // An empty SKU is skipped below (SKUs can be changed but not removed)
+      updates.sku = normalizeSku(updates.sku);
+      if (updates.sku && updates.sku !== currentProduct.sku) {
+        await assertSkuAvailable(updates.sku, id);
+      }
+    }
+
+    let variants = null;
+    if (updates.variants !== undefined) {
+      variants = normalizeVariants(updates.variants, currentProduct.variants);
+      const currentSkus = (currentProduct.variants || []).map((variant) => variant.sku);
+      for (const variant of variants) {
+        if (variant.sku && !currentSkus.includes(variant.sku)) {
+          await assertSkuAvailable(variant.sku, id);
+        }
+      }
+    }
+    delete updates.variants;
+
+    const variantTotals = variants?.length > 0 ? getVariantTotals(variants) : null;
+    if (variantTotals) {
+      updates.price = variantTotals.price;
+      updates.stock = variantTotals.stock;
+      updates.in_stock = variantTotals.in_stock;
+    } else if (!variants && currentProduct.variants?.length > 0) {
+      // Derived from the variants (e.g. a product import row) - keep them in sync
+      delete updates.price;
+      delete updates.stock;
+      delete updates.in_stock;
+    }
+
     // Build update expression dynamically based on provided fields
     const updateExpressions = [];
     const expressionAttributeNames = {};
@@ -428,6 +1148,7 @@ async function updateProduct(id, updates, baseUrl = null) {
     // Allowed fields to update (added featured_product, rating, stock, lowStockThreshold, qrCode)
     const allowedFields = [
       "name",
+      "sku",
       "price",
       "stock",
       "lowStockThreshold",
@@ -439,6 +1160,9 @@ async function updateProduct(id, updates, baseUrl = null) {
       "best_seller",
       "featured_product",
       "rating",
+      "category",
+      "categorySlugs",
+      "tags",
       "qrCode",
     ];
 
@@ -496,11 +1220,45 @@ async function updateProduct(id, updates, baseUrl = null) {
       }
     });
 
+    // Variant list (replaced as a whole); the product's reserved count is the sum over the variants
+    const removeExpressions = [];
+    if (variantTotals) {
+      updateExpressions.push("#variants = :variants");
+      expressionAttributeNames["#variants"] = "variants";
+      expressionAttributeValues[":variants"] = variants;
+      if (variantTotals.stock === undefined) {
+        // No variant tracks stock any more
+        removeExpressions.push("#stock", "#reserved");
+        expressionAttributeNames["#stock"] = "stock";
+      } else {
+        updateExpressions.push("#reserved = :reserved");
+        expressionAttributeValues[":reserved"] = variantTotals.reserved;
+      }
+      expressionAttributeNames["#reserved"] = "reserved";
+    } else if (variants) {
+      removeExpressions.push("#variants");
+      expressionAttributeNames["#variants"] = "variants";
+    }
+
     // Always update updatedAt timestamp
     updateExpressions.push("#updatedAt = :updatedAt");
     expressionAttributeNames["#updatedAt"] = "updatedAt";
     expressionAttributeValues[":updatedAt"] = new Date().toISOString();
 
+    // Keep catalog partition key set (backfills products created before the catalog GSIs)
+    updateExpressions.push("#catalog = :catalog");
+    expressionAttributeNames["#catalog"] = "catalog";
+    expressionAttributeValues[":catalog"] = CATALOG_PARTITION;
+
+    // Same for the rating and createdAt sort keys (older products may lack them)
+    if (!Object.values(expressionAttributeNames).includes("rating")) {
+      updateExpressions.push("#rating = if_not_exists(#rating, :defaultRating)");
+      expressionAttributeNames["#rating"] = "rating";
+      expressionAttributeValues[":defaultRating"] = 0;
+    }
+    updateExpressions.push("#createdAt = if_not_exists(#createdAt, :updatedAt)");
+    expressionAttributeNames["#createdAt"] = "createdAt";
+
     if (updateExpressions.length === 0) {
       throw new Error("No valid fields to update");
     }
@@ -519,7 +1277,9 @@ async function updateProduct(id, updates, baseUrl = null) {
     const command = new UpdateCommand({
       TableName: TABLES.PRODUCTS,
       Key: { id },
-      UpdateExpression: `SET ${updateExpressions.join(", ")}`,
+      UpdateExpression:
+        `SET ${updateExpressions.join(", ")}` +
+        (removeExpressions.length > 0 ? ` REMOVE ${removeExpressions.join(", ")}` : ""),
       ExpressionAttributeNames: expressionAttributeNames,
       ExpressionAttributeValues: expressionAttributeValues,
       ReturnValues: "ALL_NEW",
@@ -555,9 +1315,13 @@ async function deleteProduct(id) {
     const command = new DeleteCommand({
       TableName: TABLES.PRODUCTS,
       Key: { id },
+      ReturnValues: "ALL_OLD", // Only count products that actually existed
     });
 
-    await dynamoDB.send(command);
+    const result = await dynamoDB.send(command);
+    if (result.Attributes) {
+      await recordProductCountChange(id, -1);
+    }
     return true;
   } catch (error) {
     console.error("deleteProduct error:", error);
@@ -566,92 +1330,646 @@ async function deleteProduct(id) {
 }
 
 /**
- * Decrement product stock by quantity (used when order is placed)
- * Only updates if product has stock tracking enabled (stock !== undefined)
+ * Maximum number of actions DynamoDB accepts in a single TransactWriteItems call
+ */
+const MAX_TRANSACTION_ITEMS = 100;
+
+// Used when a product has no lowStockThreshold (same default as the admin product form)
+const DEFAULT_LOW_STOCK_THRESHOLD = 10;
+
+/**
+ * Low-stock threshold of a product
  *
- * @param {string} productId - Product ID (UUID)
- * @param {number} quantity - Quantity to decrement
- * @returns {Promise<Object>} Updated product
- * @throws {Error} If stock would go negative or product not found
+ * @param {Object} product - Product
+ * @returns {number} product.lowStockThreshold or DEFAULT_LOW_STOCK_THRESHOLD
  */
-async function decrementProductStock(productId, quantity) {
-  try {
-    // Get current product to check stock
-    const product = await getProductById(productId);
-    if (!product) {
-      throw new Error(`Product not found: ${productId}`);
-    }
+function getLowStockThreshold(product) {
+  const threshold = Number(product?.lowStockThreshold);
+  return Number.isFinite(threshold) && threshold > 0 ? threshold : DEFAULT_LOW_STOCK_THRESHOLD;
+}
 
-    // If product doesn't have stock tracking, skip update
-    if (product.stock === undefined) {
-      console.log(
-        `Product ${productId} doesn't have stock tracking, skipping stock update`
-      );
-      return product;
-    }
+/**
+ * Stock event raised by a decrement, if it crossed a level
+ * Only fires on the decrement that crosses the level, not on every later one.
+ *
+ * @param {number} oldStock - Stock before the decrement
+ * @param {number} newStock - Stock after the decrement
+ * @param {number} lowStockThreshold - Product's low-stock threshold
+ * @returns {string|null} "out_of_stock", "low_stock" or null
+ */
+function getStockEvent(oldStock, newStock, lowStockThreshold) {
+  if (newStock <= 0 && oldStock > 0) {
+    return "out_of_stock";
+  }
+  if (newStock < lowStockThreshold && oldStock >= lowStockThreshold) {
+    return "low_stock";
+  }
+  return null;
+}
 
-    const currentStock = Number(product.stock) || 0;
-    const decrementAmount = Number(quantity) || 0;
+/**
+ * Stock events raised by an admin create/update (stock set directly)
+ * A new product counts as crossing from "plenty of stock".
+ * Products with variants get one entry per variant that tracks stock.
+ *
+ * @param {Object|null} existingProduct - Product before the change (null when created)
+ * @param {Object} product - Product after the change
+ * @returns {Array<Object>} [{ productId, productName, variantId, variantLabel, newStock, lowStockThreshold, stockEvent }]
+ *   for emitStockEvents (empty if stock isn't tracked)
+ */
+function getStockChanges(existingProduct, product) {
+  if (!product) return [];
+
+  const lowStockThreshold = getLowStockThreshold(product);
+  const toOldStock = (stock) =>
+    stock === undefined || stock === null ? Infinity : Number(stock) || 0;
+
+  if (product.variants?.length > 0) {
+    return product.variants
+      .filter((variant) => variant.stock !== undefined && variant.stock !== null)
+      .map((variant) => {
+        const newStock = Number(variant.stock) || 0;
+        return {
+          productId: product.id,
+          productName: product.name,
+          variantId: variant.id,
+          variantLabel: getVariantLabel(variant),
+          newStock,
+          lowStockThreshold,
+          stockEvent: getStockEvent(
+            toOldStock(getVariant(existingProduct, variant.id)?.stock),
+            newStock,
+            lowStockThreshold
+          ),
+        };
+      });
+  }
 
-    // Validate stock availability
-    if (currentStock < decrementAmount) {
-      throw new Error(
-        `Insufficient stock for product ${
-          product.name || productId
-        }. Available: ${currentStock}, Requested: ${decrementAmount}`
-      );
-    }
+  if (product.stock === undefined || product.stock === null) return [];
+
+  const newStock = Number(product.stock) || 0;
+  return [
+    {
+      productId: product.id,
+      productName: product.name,
+      newStock,
+      lowStockThreshold,
+      stockEvent: getStockEvent(toOldStock(existingProduct?.stock), newStock, lowStockThreshold),
+    },
+  ];
+}
+
+/**
+ * Stock that can still be bought: stock minus copies reserved by open checkouts
+ * (see shared/reservations.js)
+ *
+ * @param {Object} product - Product (or a product as sold in one variant, see getVariantProduct)
+ * @returns {number|undefined} Available copies (undefined if stock isn't tracked)
+ */
+function getAvailableStock(product) {
+  if (!product || product.stock === undefined) return undefined;
+  return Math.max(0, (Number(product.stock) || 0) - (Number(product.reserved) || 0));
+}
 
-    // Calculate new stock
-    const newStock = Math.max(0, currentStock - decrementAmount); // Ensure non-negative
+/**
+ * Find the stock a cart line draws from: the product itself, or one of its variants
+ *
+ * @param {Object} product - Product
+ * @param {string} [variantId] - Variant ID (format) of the cart line
+ * @returns {Object|null} { variant, index, stock, reserved }, or null if the product has variants
+ *   and none matches (products without variants ignore variantId)
+ */
+function getStockTarget(product, variantId) {
+  const variants = product.variants || [];
+  if (variants.length === 0) {
+    return { variant: null, index: -1, stock: product.stock, reserved: product.reserved };
+  }
 
-    // Automatically update in_stock boolean based on new stock value
-    const newInStock = newStock > 0;
+  const index = variants.findIndex((variant) => variant.id === variantId);
+  if (index === -1) return null;
+  return { variant: variants[index], index, stock: variants[index].stock, reserved: variants[index].reserved };
+}
 
-    // Update product stock and in_stock status
-    // Use ConditionExpression to prevent race conditions (ensure stock hasn't changed since we read it)
-    const command = new UpdateCommand({
+/**
+ * Attribute paths of the stock a cart line draws from (product or variants[i])
+ *
+ * @param {Object} target - Result of getStockTarget
+ * @returns {Object} { stock, reserved } attribute paths
+ */
+function getStockPaths(target) {
+  return target.variant
+    ? { stock: `variants[${target.index}].stock`, reserved: `variants[${target.index}].reserved` }
+    : { stock: "stock", reserved: "reserved" };
+}
+
+/**
+ * Describe the stock change of one target (turned into an Update by toStockTransactItem)
+ * Placeholders of a variant get its index as suffix, so changes to several variants of
+ * the same product can be combined into one Update.
+ *
+ * @param {Object} product - Product as read
+ * @param {Object} target - Result of getStockTarget
+ * @param {Object} change
+ * @param {Array<string>} change.setExpressions - SET actions on the target's paths (see getStockPaths)
+ * @param {string} change.condition - ConditionExpression
+ * @param {Object} change.values - ExpressionAttributeValues
+ * @param {number} [change.newStock] - Target's stock after the change (undefined if stock doesn't change)
+ * @param {number} [change.reservedDelta=0] - Change of the target's reserved copies
+ * @returns {Object} Stock update { productId, product, target, setExpressions, condition, values, stockDelta, reservedDelta, newStock }
+ */
+function buildStockUpdate(product, target, { setExpressions, condition, values, newStock, reservedDelta = 0 }) {
+  const update = { productId: product.id, product, target, newStock, stockDelta: 0, reservedDelta: 0 };
+  if (!target.variant) {
+    return { ...update, setExpressions, condition, values };
+  }
+
+  const suffix = `_${target.index}`;
+  const rename = (expression) => expression.replace(/:(\w+)/g, `:$1${suffix}`);
+  return {
+    ...update,
+    setExpressions: setExpressions.map(rename),
+    // The variant list may have been edited since we read it
+    condition: `variants[${target.index}].id = :variantId${suffix} AND (${rename(condition)})`,
+    values: {
+      ...Object.fromEntries(Object.entries(values).map(([key, value]) => [`${key}${suffix}`, value])),
+      [`:variantId${suffix}`]: target.variant.id,
+    },
+    // The product's stock/reserved are the sums over its variants and move by the same amount
+    stockDelta: newStock !== undefined ? newStock - (Number(target.stock) || 0) : 0,
+    reservedDelta,
+  };
+}
+
+/**
+ * Build the products table Update for the stock updates of one product
+ *
+ * @param {Array<Object>} updates - Results of buildStockUpdate (all for the same product)
+ * @returns {Object} TransactWriteItems Update
+ */
+function toStockTransactItem(updates) {
+  const [{ productId, product }] = updates;
+  const expressions = updates.flatMap((update) => update.setExpressions);
+  const values = Object.assign({}, ...updates.map((update) => update.values));
+
+  const stockDelta = updates.reduce((sum, update) => sum + update.stockDelta, 0);
+  const reservedDelta = updates.reduce((sum, update) => sum + update.reservedDelta, 0);
+  if (stockDelta !== 0) {
+    expressions.push("stock = if_not_exists(stock, :zero) + :stockDelta");
+    values[":stockDelta"] = stockDelta;
+  }
+  if (reservedDelta !== 0) {
+    expressions.push("reserved = if_not_exists(reserved, :zero) + :reservedDelta");
+    values[":reservedDelta"] = reservedDelta;
+  }
+  if (stockDelta !== 0 || reservedDelta !== 0) {
+    values[":zero"] = 0;
+  }
+
+  // in_stock: stock left after the change (for variants: any variant can still be bought)
+  const stockChanges = updates.filter((update) => update.newStock !== undefined);
+  if (stockChanges.length > 0) {
+    expressions.push("in_stock = :in_stock");
+    values[":in_stock"] = product.variants?.length
+      ? product.variants.some((variant, index) => {
+          const change = stockChanges.find((update) => update.target.index === index);
+          return change ? change.newStock > 0 : isVariantAvailable(variant);
+        })
+      : stockChanges[0].newStock > 0;
+  }
+
+  expressions.push("updatedAt = :updatedAt");
+  values[":updatedAt"] = new Date().toISOString();
+
+  return {
+    Update: {
       TableName: TABLES.PRODUCTS,
       Key: { id: productId },
-      UpdateExpression:
-        "SET stock = :stock, in_stock = :in_stock, updatedAt = :updatedAt",
-      ConditionExpression: "stock = :currentStock", // Ensure stock hasn't changed (prevents race conditions)
-      ExpressionAttributeValues: {
-        ":stock": newStock,
-        ":in_stock": newInStock,
-        ":currentStock": currentStock, // Current stock value we read
-        ":updatedAt": new Date().toISOString(),
-      },
-      ReturnValues: "ALL_NEW",
-    });
+      UpdateExpression: `SET ${expressions.join(", ")}`,
+      ConditionExpression:
+        updates.length === 1
+          ? updates[0].condition
+          : updates.map((update) => `(${update.condition})`).join(" AND "),
+      ExpressionAttributeValues: values,
+    },
+  };
+}
 
-    const result = await dynamoDB.send(command);
-    const updatedProduct = result.Attributes;
+/**
+ * Combine stock changes into one Update per product
+ * A transaction can only touch each item once, and a cart may hold several
+ * variants of the same book.
+ *
+ * @param {Array<Object|null>} stockChanges - Results of the build* functions below (null entries are skipped)
+ * @returns {Array<Object>} TransactWriteItems Updates
+ */
+function combineStockChanges(stockChanges) {
+  const updatesByProduct = new Map();
+  for (const stockChange of stockChanges) {
+    if (!stockChange) continue;
+    const { productId } = stockChange.update;
+    updatesByProduct.set(productId, [...(updatesByProduct.get(productId) || []), stockChange.update]);
+  }
+  return [...updatesByProduct.values()].map(toStockTransactItem);
+}
+
+/**
+ * Build a stock decrement for a DynamoDB transaction (used when order is placed)
+ * Only builds an update if product (or the ordered variant) has stock tracking enabled (stock !== undefined)
+ *
+ * @param {string} productId - Product ID (UUID)
+ * @param {number} quantity - Quantity to decrement
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Ordered variant (required for products with variants)
+ * @param {number} [options.releaseReserved=0] - Copies this order had reserved at checkout;
+ *   they are taken out of `reserved` and count as available for this order
+ * @returns {Promise<Object|null>} { transactItem, update, result } or null if product has no stock tracking
+ *   (update: for combineStockChanges when several variants of a product are in one transaction)
+ * @throws {Error} If stock would go negative, product not found or "Variant not found: ..."
+ *
+ * The Update is conditioned on the stock and reserved values we read
+ * (stock = :currentStock, reserved = :currentReserved), so the whole transaction
+ * is cancelled if another order or checkout changed them in between.
+ */
+async function buildStockDecrement(productId, quantity, { variantId, releaseReserved = 0 } = {}) {
+  // Get current product to check stock
+  const product = await getProductById(productId);
+  if (!product) {
+    throw new Error(`Product not found: ${productId}`);
+  }
 
-    // Check if stock is now below low stock threshold
-    // Only trigger if: threshold is set, new stock is below threshold, and old stock was above threshold
-    const lowStockThreshold = Number(updatedProduct.lowStockThreshold) || undefined;
-    const shouldTriggerLowStockAlert = 
-      lowStockThreshold !== undefined && 
-      updatedProduct.stock < lowStockThreshold && 
-      currentStock >= lowStockThreshold;
+  const target = getStockTarget(product, variantId);
+  if (!target) {
+    getVariantProduct(product, variantId); // Throws "Variant not found: ..."
+  }
 
-    // Log successful stock update
-    console.log(`✅ Stock decremented successfully for product ${productId}:`, {
-      productName: updatedProduct.name,
+  // If product doesn't have stock tracking, skip update
+  if (target.stock === undefined) {
+    console.log(
+      `Product ${productId} doesn't have stock tracking, skipping stock update`
+    );
+    return null;
+  }
+
+  const currentStock = Number(target.stock) || 0;
+  const currentReserved = Number(target.reserved) || 0;
+  const decrementAmount = Number(quantity) || 0;
+
+  // Copies held for this order's checkout are ours; copies held by other checkouts are not
+  const releasedAmount = Math.min(Number(releaseReserved) || 0, currentReserved, decrementAmount);
+  const available = currentStock - (currentReserved - releasedAmount);
+  const productName = product.name || "Product";
+  const variantLabel = target.variant ? getVariantLabel(target.variant) : undefined;
+
+  // Validate stock availability
+  if (available < decrementAmount) {
+    throw new Error(
+      `Insufficient stock for product ${
+        variantLabel ? `${product.name || productId} (${variantLabel})` : product.name || productId
+      }. Available: ${Math.max(0, available)}, Requested: ${decrementAmount}`
+    );
+  }
+
+  // Calculate new stock
+  const newStock = Math.max(0, currentStock - decrementAmount); // Ensure non-negative
+  const newReserved = currentReserved - releasedAmount;
+
+  // Check if stock just fell below the low stock threshold or ran out
+  // Only trigger if: new stock is below threshold and old stock was at or above it
+  const lowStockThreshold = getLowStockThreshold(product);
+  const stockEvent = getStockEvent(currentStock, newStock, lowStockThreshold);
+  const shouldTriggerLowStockAlert = stockEvent === "low_stock";
+
+  const paths = getStockPaths(target);
+  const update = buildStockUpdate(product, target, {
+    setExpressions: [
+      `${paths.stock} = :stock`,
+      ...(releasedAmount > 0 ? [`${paths.reserved} = :reserved`] : []),
+    ],
+    // Ensure stock and reservations haven't changed (prevents race conditions)
+    condition: `${paths.stock} = :currentStock AND (attribute_not_exists(${paths.reserved}) OR ${paths.reserved} = :currentReserved)`,
+    values: {
+      ":stock": newStock,
+      ":currentStock": currentStock, // Current stock value we read
+      ":currentReserved": currentReserved,
+      ...(releasedAmount > 0 && { ":reserved": newReserved }),
+    },
+    newStock,
+    reservedDelta: -releasedAmount,
+  });
+  const transactItem = toStockTransactItem([update]);
+  const newInStock = transactItem.Update.ExpressionAttributeValues[":in_stock"];
+
+  return {
+    transactItem,
+    update,
+    result: {
+      productId,
+      productName,
+      ...(target.variant && { variantId: target.variant.id, variantLabel }),
+      quantity: decrementAmount,
       oldStock: currentStock,
-      newStock: updatedProduct.stock,
-      decrementAmount,
-      in_stock: updatedProduct.in_stock,
+      newStock,
+      reserved: newReserved,
+      in_stock: newInStock,
       lowStockThreshold,
+      stockEvent,
       shouldTriggerLowStockAlert,
+    },
+  };
+}
+
+/**
+ * Build a stock increment for a DynamoDB transaction (used when order is cancelled or refunded)
+ * Only builds an update if product (or the ordered variant) has stock tracking enabled (stock !== undefined)
+ *
+ * @param {string} productId - Product ID (UUID)
+ * @param {number} quantity - Quantity to increment
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Ordered variant
+ * @returns {Promise<Object|null>} { transactItem, update, result } or null if product has no stock tracking
+ *   (or the variant was removed from the product since)
+ * @throws {Error} If product not found
+ *
+ * Uses an atomic ADD (stock = stock + :quantity) so concurrent restocks never overwrite each other.
+ */
+async function buildStockIncrement(productId, quantity, { variantId } = {}) {
+  // Get current product to check stock tracking
+  const product = await getProductById(productId);
+  if (!product) {
+    throw new Error(`Product not found: ${productId}`);
+  }
+
+  const target = getStockTarget(product, variantId);
+  if (!target) {
+    console.log(`Product ${productId} has no variant ${variantId}, skipping stock update`);
+    return null;
+  }
+
+  // If product doesn't have stock tracking, skip update
+  if (target.stock === undefined) {
+    console.log(
+      `Product ${productId} doesn't have stock tracking, skipping stock update`
+    );
+    return null;
+  }
+
+  const currentStock = Number(target.stock) || 0;
+  const incrementAmount = Number(quantity) || 0;
+
+  const paths = getStockPaths(target);
+  const update = buildStockUpdate(product, target, {
+    // Adding stock always leaves stock > 0, so in_stock becomes true
+    setExpressions: [`${paths.stock} = ${paths.stock} + :quantity`],
+    condition: "attribute_exists(id)", // Ensure product still exists (prevents errors if product was deleted)
+    values: { ":quantity": incrementAmount },
+    newStock: currentStock + incrementAmount,
+  });
+
+  return {
+    transactItem: toStockTransactItem([update]),
+    update,
+    result: {
+      productId,
+      productName: product.name || "Product",
+      ...(target.variant && { variantId: target.variant.id, variantLabel: getVariantLabel(target.variant) }),
+      quantity: incrementAmount,
+      oldStock: currentStock,
+      newStock: currentStock + incrementAmount, // As read - concurrent changes are added atomically
+    },
+  };
+}
+
+/**
+ * Build a stock reservation for a DynamoDB transaction (used when checkout starts)
+ * Holds copies for a payment intent so other shoppers can't buy them until the
+ * reservation is converted into an order or released.
+ * Only builds an update if product (or the variant) has stock tracking enabled (stock !== undefined)
+ *
+ * @param {string} productId - Product ID (UUID)
+ * @param {number} quantity - Quantity to reserve
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Variant in the cart (required for products with variants)
+ * @returns {Promise<Object|null>} { transactItem, update, result } or null if product has no stock tracking
+ * @throws {Error} "Product not found: ...", "Variant not found: ..." or "Insufficient stock ..."
+ *   (counting other reservations)
+ */
+async function buildStockReservation(productId, quantity, { variantId } = {}) {
+  const product = await getProductById(productId);
+  if (!product) {
+    throw new Error(`Product not found: ${productId}`);
+  }
+
+  const target = getStockTarget(product, variantId);
+  if (!target) {
+    getVariantProduct(product, variantId); // Throws "Variant not found: ..."
+  }
+
+  if (target.stock === undefined) {
+    return null;
+  }
+
+  const currentStock = Number(target.stock) || 0;
+  const currentReserved = Number(target.reserved) || 0;
+  const reserveAmount = Number(quantity) || 0;
+  const available = getAvailableStock(target);
+
+  if (available < reserveAmount) {
+    const variantLabel = target.variant ? ` (${getVariantLabel(target.variant)})` : "";
+    throw new Error(
+      `Insufficient stock for product ${
+        product.name || productId
+      }${variantLabel}. Available: ${available}, Requested: ${reserveAmount}`
+    );
+  }
+
+  const paths = getStockPaths(target);
+  const update = buildStockUpdate(product, target, {
+    setExpressions: [`${paths.reserved} = :reserved`],
+    condition: `${paths.stock} = :currentStock AND (attribute_not_exists(${paths.reserved}) OR ${paths.reserved} = :currentReserved)`,
+    values: {
+      ":reserved": currentReserved + reserveAmount,
+      ":currentStock": currentStock,
+      ":currentReserved": currentReserved,
+    },
+    reservedDelta: reserveAmount,
+  });
+
+  return {
+    transactItem: toStockTransactItem([update]),
+    update,
+    result: {
+      productId,
+      productName: product.name || "Product",
+      ...(target.variant && { variantId: target.variant.id }),
+      quantity: reserveAmount,
+      reserved: currentReserved + reserveAmount,
+      available: available - reserveAmount,
+    },
+  };
+}
+
+/**
+ * Build the release of reserved copies for a DynamoDB transaction
+ * (checkout cancelled or reservation expired)
+ *
+ * @param {string} productId - Product ID (UUID)
+ * @param {number} quantity - Quantity that was reserved
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Reserved variant
+ * @returns {Promise<Object|null>} { transactItem, update, result } or null if there is nothing to release
+ *   (product or variant deleted, no stock tracking or no reserved copies left)
+ */
+async function buildReservationRelease(productId, quantity, { variantId } = {}) {
+  const product = await getProductById(productId);
+  const target = product && getStockTarget(product, variantId);
+  if (!target || target.stock === undefined) {
+    return null;
+  }
+
+  const currentReserved = Number(target.reserved) || 0;
+  const releaseAmount = Math.min(Number(quantity) || 0, currentReserved);
+  if (releaseAmount <= 0) {
+    return null;
+  }
+
+  const paths = getStockPaths(target);
+  const update = buildStockUpdate(product, target, {
+    setExpressions: [`${paths.reserved} = :reserved`],
+    condition: `${paths.reserved} = :currentReserved`,
+    values: {
+      ":reserved": currentReserved - releaseAmount,
+      ":currentReserved": currentReserved,
+    },
+    reservedDelta: -releaseAmount,
+  });
+
+  return {
+    transactItem: toStockTransactItem([update]),
+    update,
+    result: {
+      productId,
+      productName: product.name || "Product",
+      ...(target.variant && { variantId: target.variant.id }),
+      quantity: releaseAmount,
+      reserved: currentReserved - releaseAmount,
+    },
+  };
+}
+
+/**
+ * Run a stock-changing DynamoDB transaction, retrying when stock changed concurrently
+ *
+ * @param {Function} buildTransaction - Async function returning { transactItems, ...extra }.
+ *   Called again on every attempt so stock is re-read and re-validated
+ *   (e.g. a retry throws "Insufficient stock" if another order took the last copy).
+ * @param {number} maxAttempts - Maximum attempts (default: 3)
+ * @returns {Promise<Object>} The object returned by the successful buildTransaction call
+ * @throws {Error} If validation fails, a condition keeps failing, or the transaction is too large
+ *
+ * All items succeed or none do - TransactWriteItems rolls back every write if any
+ * condition fails, so stock and orders can never get out of sync.
+ */
+async function runStockTransaction(buildTransaction, maxAttempts = 3) {
+  const { TransactWriteCommand } = require("@aws-sdk/lib-dynamodb");
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const transaction = await buildTransaction();
+    const { transactItems } = transaction;
+
+    // Nothing to write (e.g. no products with stock tracking)
+    if (transactItems.length === 0) {
+      return transaction;
+    }
+
+    if (transactItems.length > MAX_TRANSACTION_ITEMS) {
+      throw new Error(
+        `Too many items in one order. Maximum is ${MAX_TRANSACTION_ITEMS - 1} different products.`
+      );
+    }
+
+    try {
+      await dynamoDB.send(
+        new TransactWriteCommand({ TransactItems: transactItems })
+      );
+      return transaction;
+    } catch (error) {
+      const conditionFailed =
+        error.name === "TransactionCanceledException" &&
+        (error.CancellationReasons || []).some(
+          (reason) => reason?.Code === "ConditionalCheckFailed"
+        );
+
+      // Another request changed stock (or the order) between our read and write - re-read and retry
+      if (conditionFailed && attempt < maxAttempts) {
+        console.warn(
+          `Stock transaction condition failed (attempt ${attempt}/${maxAttempts}), retrying:`,
+          { reasons: error.CancellationReasons?.map((reason) => reason?.Code) }
+        );
+        continue;
+      }
+
+      if (conditionFailed) {
+        throw new Error(
+          "Stock or order changed while processing the request. Please try again."
+        );
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Whether a product can be bought right now
+ * (stock-tracked products need stock left, others follow in_stock;
+ * a product with variants needs at least one available variant)
+ *
+ * @param {Object} product - Product (or a product as sold in one variant, see getVariantProduct)
+ * @returns {boolean} True if available
+ */
+function isProductAvailable(product) {
+  if (!product) return false;
+  if (product.variants?.length > 0) return product.variants.some(isVariantAvailable);
+  if (product.in_stock === false) return false;
+  return product.stock === undefined || Number(product.stock) > 0;
+}
+
+/**
+ * Decrement product stock by quantity
+ * Single-product version of buildStockDecrement + runStockTransaction
+ * Only updates if product has stock tracking enabled (stock !== undefined)
+ *
+ * @param {string} productId - Product ID (UUID)
+ * @param {number} quantity - Quantity to decrement
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Variant to take the copies from (required for products with variants)
+ * @returns {Promise<Object>} Updated product
+ * @throws {Error} If stock would go negative, product not found or "Variant not found: ..."
+ */
+async function decrementProductStock(productId, quantity, { variantId } = {}) {
+  try {
+    let stockChange = null;
+    await runStockTransaction(async () => {
+      stockChange = await buildStockDecrement(productId, quantity, { variantId });
+      return { transactItems: stockChange ? [stockChange.transactItem] : [] };
     });
 
+    const updatedProduct = await getProductById(productId);
+    if (!stockChange) {
+      return updatedProduct;
+    }
+
+    // Log successful stock update
+    console.log(`✅ Stock decremented successfully for product ${productId}:`, stockChange.result);
+
+    // Low-stock / out-of-stock event (admin email, never throws)
+    await emitStockEvents([stockChange.result]);
+
     // Return updated product with low stock alert flag
     return {
       ...updatedProduct,
-      _shouldTriggerLowStockAlert: shouldTriggerLowStockAlert,
-      _lowStockThreshold: lowStockThreshold,
+      _shouldTriggerLowStockAlert: stockChange.result.shouldTriggerLowStockAlert,
+      _lowStockThreshold: stockChange.result.lowStockThreshold,
+      _stockEvent: stockChange.result.stockEvent,
     };
   } catch (error) {
     console.error(`❌ decrementProductStock error for product ${productId}:`, {
@@ -659,6 +1977,7 @@ async function decrementProductStock(productId, quantity) {
       errorName: error.name,
       errorCode: error.code,
       productId,
+      variantId,
       quantity,
     });
     throw error;
@@ -666,69 +1985,30 @@ async function decrementProductStock(productId, quantity) {
 }
 
 /**
- * Increment product stock by quantity (used when order is cancelled or refunded)
+ * Increment product stock by quantity
+ * Single-product version of buildStockIncrement + runStockTransaction
  * Only updates if product has stock tracking enabled (stock !== undefined)
  *
  * @param {string} productId - Product ID (UUID)
  * @param {number} quantity - Quantity to increment
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Variant to add the copies to
  * @returns {Promise<Object>} Updated product
  * @throws {Error} If product not found
  */
-async function incrementProductStock(productId, quantity) {
+async function incrementProductStock(productId, quantity, { variantId } = {}) {
   try {
-    // Get current product to check stock
-    const product = await getProductById(productId);
-    if (!product) {
-      throw new Error(`Product not found: ${productId}`);
-    }
-
-    // If product doesn't have stock tracking, skip update
-    if (product.stock === undefined) {
-      console.log(
-        `Product ${productId} doesn't have stock tracking, skipping stock update`
-      );
-      return product;
-    }
-
-    const currentStock = Number(product.stock) || 0;
-    const incrementAmount = Number(quantity) || 0;
-
-    // Calculate new stock
-    const newStock = currentStock + incrementAmount;
-
-    // Automatically update in_stock boolean based on new stock value
-    // If stock was 0 and now > 0, set in_stock = true
-    const newInStock = newStock > 0;
-
-    // Update product stock and in_stock status
-    // Note: ConditionExpression is optional for increment (adding stock is safe),
-    // but included for consistency and to ensure product still exists
-    const command = new UpdateCommand({
-      TableName: TABLES.PRODUCTS,
-      Key: { id: productId },
-      UpdateExpression:
-        "SET stock = :stock, in_stock = :in_stock, updatedAt = :updatedAt",
-      ConditionExpression: "attribute_exists(id)", // Ensure product still exists (prevents errors if product was deleted)
-      ExpressionAttributeValues: {
-        ":stock": newStock,
-        ":in_stock": newInStock,
-        ":updatedAt": new Date().toISOString(),
-      },
-      ReturnValues: "ALL_NEW",
-    });
-
-    const result = await dynamoDB.send(command);
-    const updatedProduct = result.Attributes;
-
-    // Log successful stock update
-    console.log(`✅ Stock incremented successfully for product ${productId}:`, {
-      productName: updatedProduct.name,
-      oldStock: currentStock,
-      newStock: updatedProduct.stock,
-      incrementAmount,
-      in_stock: updatedProduct.in_stock,
+    let stockChange = null;
+    await runStockTransaction(async () => {
+      stockChange = await buildStockIncrement(productId, quantity, { variantId });
+      return { transactItems: stockChange ? [stockChange.transactItem] : [] };
     });
 
+    const updatedProduct = await getProductById(productId);
+    if (stockChange) {
+      // Log successful stock update
+      console.log(`✅ Stock incremented successfully for product ${productId}:`, stockChange.result);
+    }
     return updatedProduct;
   } catch (error) {
     console.error(`❌ incrementProductStock error for product ${productId}:`, {
@@ -736,20 +2016,186 @@ async function incrementProductStock(productId, quantity) {
       errorName: error.name,
       errorCode: error.code,
       productId,
+      variantId,
       quantity,
     });
     throw error;
   }
 }
 
+// Limits for a single restock (a delivery from a supplier)
+const MAX_RESTOCK_QUANTITY = 100000;
+const MAX_SUPPLIER_NOTE_LENGTH = 500;
+
+/**
+ * Validate a restock request
+ *
+ * @param {Object} body - { quantity, supplierNote, cost, variantId }
+ * @returns {Object} { quantity, supplierNote, cost, variantId } (supplierNote/cost/variantId null if not given)
+ * @throws {Error} "Invalid restock: ..." if a field is invalid
+ */
+function normalizeRestock(body = {}) {
+  const quantity = Number(body.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_RESTOCK_QUANTITY) {
+    throw new Error(`Invalid restock: quantity must be a whole number between 1 and ${MAX_RESTOCK_QUANTITY}`);
+  }
+
+  let supplierNote = null;
+  if (body.supplierNote !== undefined && body.supplierNote !== null && body.supplierNote !== "") {
+    if (typeof body.supplierNote !== "string") {
+      throw new Error("Invalid restock: supplierNote must be text");
+    }
+    supplierNote = body.supplierNote.trim().slice(0, MAX_SUPPLIER_NOTE_LENGTH) || null;
+  }
+
+  let cost = null;
+  if (body.cost !== undefined && body.cost !== null && body.cost !== "") {
+    cost = Number(body.cost);
+    if (!Number.isFinite(cost) || cost < 0) {
+      throw new Error("Invalid restock: cost must be a positive amount");
+    }
+    cost = Math.round(cost * 100) / 100;
+  }
+
+  let variantId = null;
+  if (body.variantId !== undefined && body.variantId !== null && body.variantId !== "") {
+    if (typeof body.variantId !== "string") {
+      throw new Error("Invalid restock: variantId must be text");
+    }
+    variantId = body.variantId;
+  }
+
+  return { quantity, supplierNote, cost, variantId };
+}
+
+/**
+ * Add received copies to a product's stock (admin restock)
+ *
+ * @param {string} productId - Product ID (UUID)
+ * @param {Object} restock - { quantity, supplierNote, cost, variantId } (validated with normalizeRestock;
+ *   variantId is required for products with variants)
+ * @returns {Promise<Object>} { product, restock: { quantityReceived, supplierNote, cost, variantId, oldStock, newStock } }
+ * @throws {Error} "Product not found: ...", "Invalid restock: ..." or
+ *   "Stock tracking is not enabled for this product/variant" (set a stock quantity first)
+ */
+async function restockProduct(productId, restock) {
+  const { quantity, supplierNote, cost, variantId } = normalizeRestock(restock);
+
+  const product = await getProductById(productId);
+  if (!product) {
+    throw new Error(`Product not found: ${productId}`);
+  }
+  const target = getStockTarget(product, variantId);
+  if (!target) {
+    throw new Error(
+      variantId
+        ? `Invalid restock: "${product.name}" has no ${variantId} variant`
+        : "Invalid restock: choose the variant to restock"
+    );
+  }
+  if (target.stock === undefined) {
+    throw new Error(`Stock tracking is not enabled for this ${target.variant ? "variant" : "product"}`);
+  }
+
+  let stockChange = null;
+  await runStockTransaction(async () => {
+    stockChange = await buildStockIncrement(productId, quantity, { variantId });
+    return { transactItems: stockChange ? [stockChange.transactItem] : [] };
+  });
+
+  const updatedProduct = await getProductById(productId);
+  const updatedTarget = updatedProduct && getStockTarget(updatedProduct, variantId);
+  const restockResult = {
+    quantityReceived: quantity,
+    supplierNote,
+    cost,
+    variantId: target.variant?.id || null,
+    oldStock: stockChange.result.oldStock,
+    newStock: Number(updatedTarget?.stock ?? stockChange.result.newStock),
+  };
+  console.log(`✅ Product ${productId} restocked:`, restockResult);
+
+  return { product: updatedProduct, restock: restockResult };
+}
+
+/**
+ * Attach the downloadable file (PDF/EPUB) to a product, or remove it
+ *
+ * @param {string} productId - Product ID
+ * @param {Object|null} ebookFile - { key, fileName, format, size } or null to remove the file
+ * @returns {Promise<Object>} Updated product
+ * @throws {Error} "Product not found: ..." if the product doesn't exist
+ *
+ * The file itself lives in the eBook bucket (shared/ebookStorage.js); the product only
+ * stores where to find it. Customers download it from their library.
+ */
+async function setProductEbookFile(productId, ebookFile) {
+  const updatedAt = new Date().toISOString();
+  const command = ebookFile
+    ? new UpdateCommand({
+        TableName: TABLES.PRODUCTS,
+        Key: { id: productId },
+        UpdateExpression: "SET ebookFile = :ebookFile, updatedAt = :updatedAt",
+        ConditionExpression: "attribute_exists(id)",
+        ExpressionAttributeValues: {
+          ":ebookFile": { ...ebookFile, uploadedAt: updatedAt },
+          ":updatedAt": updatedAt,
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    : new UpdateCommand({
+        TableName: TABLES.PRODUCTS,
+        Key: { id: productId },
+        UpdateExpression: "REMOVE ebookFile SET updatedAt = :updatedAt",
+        ConditionExpression: "attribute_exists(id)",
+        ExpressionAttributeValues: { ":updatedAt": updatedAt },
+        ReturnValues: "ALL_NEW",
+      });
+
+  try {
+    const result = await dynamoDB.send(command);
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error(`Product not found: ${productId}`);
+    }
+    throw error;
+  }
+}
+
 module.exports = {
   getAllProducts,
+  listProducts,
+  matchesCatalogFilter,
   getProductById,
   getFeaturedProducts,
   getFeaturedProductsCount,
   createProduct,
   updateProduct,
   deleteProduct,
+  isProductAvailable,
+  getAvailableStock,
+  normalizeSku,
+  getProductBySku,
+  getLowStockThreshold,
+  getStockEvent,
+  getStockChanges,
+  VARIANT_FORMATS,
+  DIGITAL_FORMATS,
+  normalizeVariants,
+  getVariantLabel,
+  getVariant,
+  getVariantProduct,
+  getLineKey,
   decrementProductStock,
   incrementProductStock,
+  normalizeRestock,
+  restockProduct,
+  setProductEbookFile,
+  buildStockDecrement,
+  buildStockIncrement,
+  buildStockReservation,
+  buildReservationRelease,
+  combineStockChanges,
+  runStockTransaction,
 };
@@ -0,0 +1,342 @@
+/**
+ * AWS Lambda - Inventory Reservation Helper Functions
+ *
+ * Holds stock for a cart while the customer pays, so two shoppers can't both
+ * pay for the last copy.
+ *
+ * Lifecycle (one reservation per payment intent, partition key: paymentIntentId):
+ * - "active": created by POST /payment/create-intent; the copies are added to
+ *   the product's (or variant's) `reserved` count (available = stock - reserved)
+ * - "converted": the order was created (stock decremented and `reserved` reduced
+ *   in the same transaction, see createOrder in shared/orders.js)
+ * - "released": the customer cancelled the checkout (PaymentCancelPage) or Stripe
+ *   cancelled the payment intent
+ * - "expired": not paid within RESERVATION_TIMEOUT_MINUTES (released by the
+ *   scheduled functions/payment/release-reservations.js)
+ *
+ * GSI status-expiresAt-index finds active reservations that have expired.
+ */
+
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { GetCommand, QueryCommand, ScanCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  buildStockReservation,
+  buildReservationRelease,
+  combineStockChanges,
+  getLineKey,
+  runStockTransaction,
+} = require("./products");
+
+const DEFAULT_TIMEOUT_MINUTES = 15;
+
+/**
+ * Minutes a reservation holds stock (RESERVATION_TIMEOUT_MINUTES, default 15)
+ * @returns {number} Timeout in minutes
+ */
+function getReservationTimeoutMinutes() {
+  const minutes = Number(process.env.RESERVATION_TIMEOUT_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TIMEOUT_MINUTES;
+}
+
+/**
+ * Get a reservation
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<Object|null>} Reservation or null if not found
+ */
+async function getReservation(paymentIntentId) {
+  const result = await dynamoDB.send(
+    new GetCommand({
+      TableName: TABLES.RESERVATIONS,
+      Key: { paymentIntentId },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Reserve stock for the items of a checkout
+ * Products without stock tracking are not reserved (they can't run out).
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {Object} params
+ * @param {string} params.userId - Customer user ID
+ * @param {Array} params.items - Quoted items ({ id, variantId, quantity })
+ * @returns {Promise<Object>} Reservation { paymentIntentId, userId, items, status, expiresAt, ... }
+ * @throws {Error} "Insufficient stock ..." if other checkouts or orders hold the copies
+ */
+async function createReservation(paymentIntentId, { userId, items }) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + getReservationTimeoutMinutes() * 60 * 1000);
+
+  const { reservation } = await runStockTransaction(async () => {
+    const stockChanges = [];
+    const reservedItems = [];
+
+    for (const item of items) {
+      const stockChange = await buildStockReservation(item.id, item.quantity, { variantId: item.variantId });
+      if (!stockChange) continue; // No stock tracking for this product
+
+      stockChanges.push(stockChange);
+      reservedItems.push({
+        id: item.id,
+        ...(item.variantId && { variantId: item.variantId }),
+        quantity: stockChange.result.quantity,
+      });
+    }
+
+    const transactItems = combineStockChanges(stockChanges);
+
+    const reservation = {
+      paymentIntentId,
+      userId,
+      items: reservedItems,
+      status: "active",
+      expiresAt: expiresAt.toISOString(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    };
+
+    transactItems.push({
+      Put: {
+        TableName: TABLES.RESERVATIONS,
+        Item: reservation,
+        ConditionExpression: "attribute_not_exists(paymentIntentId)", // One reservation per payment intent
+      },
+    });
+
+    return { transactItems, reservation };
+  });
+
+  console.log("Stock reserved for checkout:", {
+    paymentIntentId,
+    items: reservation.items,
+    expiresAt: reservation.expiresAt,
+  });
+  return reservation;
+}
+
+/**
+ * Build the transaction item that marks a reservation as converted into an order
+ * (createOrder adds it to the order transaction together with the stock decrements)
+ *
+ * @param {Object} reservation - Active reservation
+ * @param {string} orderId - Order being created
+ * @returns {Object} TransactWriteItems Update
+ */
+function buildReservationConversion(reservation, orderId) {
+  return {
+    Update: {
+      TableName: TABLES.RESERVATIONS,
+      Key: { paymentIntentId: reservation.paymentIntentId },
+      UpdateExpression: "SET #status = :converted, orderId = :orderId, updatedAt = :updatedAt",
+      ConditionExpression: "#status = :active", // Not released or expired in the meantime
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: {
+        ":converted": "converted",
+        ":active": "active",
+        ":orderId": orderId,
+        ":updatedAt": new Date().toISOString(),
+      },
+    },
+  };
+}
+
+/**
+ * Reserved quantity per cart line of an active reservation
+ *
+ * @param {Object|null} reservation - Reservation
+ * @returns {Object} { [lineKey]: quantity } keyed by getLineKey(productId, variantId)
+ *   (empty unless the reservation is active)
+ */
+function getReservedQuantities(reservation) {
+  if (reservation?.status !== "active") return {};
+  return Object.fromEntries(
+    (reservation.items || []).map((item) => [getLineKey(item.id, item.variantId), item.quantity])
+  );
+}
+
+/**
+ * Copies a customer's own open checkouts hold, summed per cart line
+ * Their cart may still show these books while they pay (e.g. after a 3D Secure
+ * redirect), so the cart counts them as available to that customer.
+ *
+ * @param {string} userId - Customer user ID
+ * @returns {Promise<Object>} { [lineKey]: quantity } keyed by getLineKey(productId, variantId)
+ */
+async function getUserReservedQuantities(userId) {
+  const reservations = [];
+  const params = {
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: { ":active": "active", ":userId": userId },
+  };
+
+  let lastKey;
+  try {
+    // Active reservations are few: read them from 'status-expiresAt-index', keep the user's
+    do {
+      const result = await dynamoDB.send(
+        new QueryCommand({
+          TableName: TABLES.RESERVATIONS,
+          IndexName: "status-expiresAt-index",
+          KeyConditionExpression: "#status = :active",
+          FilterExpression: "userId = :userId",
+          ExclusiveStartKey: lastKey,
+          ...params,
+        })
+      );
+      reservations.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+  } catch (error) {
+    // Fallback to Scan if GSI doesn't exist yet
+    if (error.name === "ValidationException" || error.name === "ResourceNotFoundException") {
+      console.warn(
+        'GSI "status-expiresAt-index" not found on reservations table. Using Scan (less efficient). Run ./create-reservations-table.sh to optimize.'
+      );
+      reservations.length = 0;
+      lastKey = undefined;
+      do {
+        const result = await dynamoDB.send(
+          new ScanCommand({
+            TableName: TABLES.RESERVATIONS,
+            FilterExpression: "#status = :active AND userId = :userId",
+            ExclusiveStartKey: lastKey,
+            ...params,
+          })
+        );
+        reservations.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+    } else {
+      throw error;
+    }
+  }
+
+  const quantities = {};
+  for (const reservation of reservations) {
+    for (const [lineKey, quantity] of Object.entries(getReservedQuantities(reservation))) {
+      quantities[lineKey] = (quantities[lineKey] || 0) + (Number(quantity) || 0);
+    }
+  }
+  return quantities;
+}
+
+/**
+ * Release the stock held by a reservation
+ * Does nothing if the reservation doesn't exist or isn't active any more.
+ *
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} [status="released"] - Final status ("released" or "expired")
+ * @returns {Promise<Object>} { released, reservation }
+ */
+async function releaseReservation(paymentIntentId, status = "released") {
+  const { released, reservation } = await runStockTransaction(async () => {
+    // Re-read on every attempt - an order may have converted it in the meantime
+    const reservation = await getReservation(paymentIntentId);
+    if (!reservation || reservation.status !== "active") {
+      return { transactItems: [], released: false, reservation };
+    }
+
+    const stockChanges = [];
+    for (const item of reservation.items || []) {
+      stockChanges.push(await buildReservationRelease(item.id, item.quantity, { variantId: item.variantId }));
+    }
+    const transactItems = combineStockChanges(stockChanges);
+
+    const updatedAt = new Date().toISOString();
+    transactItems.push({
+      Update: {
+        TableName: TABLES.RESERVATIONS,
+        Key: { paymentIntentId },
+        UpdateExpression: "SET #status = :status, releasedAt = :updatedAt, updatedAt = :updatedAt",
+        ConditionExpression: "#status = :active",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":status": status,
+          ":active": "active",
+          ":updatedAt": updatedAt,
+        },
+      },
+    });
+
+    return {
+      transactItems,
+      released: true,
+      reservation: { ...reservation, status, releasedAt: updatedAt, updatedAt },
+    };
+  });
+
+  if (released) {
+    console.log(`Reservation ${status}:`, { paymentIntentId, items: reservation.items });
+  }
+  return { released, reservation };
+}
+
+/**
+ * Find active reservations that are past their expiry time
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Expired reservations (still "active")
+ */
+async function getExpiredReservations(now = new Date()) {
+  const reservations = [];
+  const params = {
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: { ":active": "active", ":now": now.toISOString() },
+  };
+
+  let lastKey;
+  try {
+    // This requires a GSI named 'status-expiresAt-index' (status + expiresAt)
+    do {
+      const result = await dynamoDB.send(
+        new QueryCommand({
+          TableName: TABLES.RESERVATIONS,
+          IndexName: "status-expiresAt-index",
+          KeyConditionExpression: "#status = :active AND expiresAt < :now",
+          ExclusiveStartKey: lastKey,
+          ...params,
+        })
+      );
+      reservations.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+  } catch (error) {
+    // Fallback to Scan if GSI doesn't exist yet
+    if (error.name === "ValidationException" || error.name === "ResourceNotFoundException") {
+      console.warn(
+        'GSI "status-expiresAt-index" not found on reservations table. Using Scan (less efficient). Run ./create-reservations-table.sh to optimize.'
+      );
+      reservations.length = 0;
+      lastKey = undefined;
+      do {
+        const result = await dynamoDB.send(
+          new ScanCommand({
+            TableName: TABLES.RESERVATIONS,
+            FilterExpression: "#status = :active AND expiresAt < :now",
+            ExclusiveStartKey: lastKey,
+            ...params,
+          })
+        );
+        reservations.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+    } else {
+      throw error;
+    }
+  }
+
+  return reservations;
+}
+
+module.exports = {
+  getReservationTimeoutMinutes,
+  getReservation,
+  createReservation,
+  buildReservationConversion,
+  getReservedQuantities,
+  getUserReservedQuantities,
+  releaseReservation,
+  getExpiredReservations,
+};
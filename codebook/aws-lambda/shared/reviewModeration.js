@@ -0,0 +1,297 @@
+/**
+ * AWS Lambda - Review Moderation Helper Functions
+ *
+ * Decides whether a new (or edited) review is published right away or held
+ * for an admin in the moderation queue (status "pending").
+ *
+ * Moderation mode (REVIEW_MODERATION_MODE environment variable):
+ * - "auto_approve": publish everything (flags are still stored for admins)
+ * - "hold_all": hold every review until an admin approves it
+ * - "hold_flagged": publish clean reviews, hold the ones the rules flag (default)
+ *
+ * Rules (each adds a reason to review.moderationReasons):
+ * - banned_words: contains a banned word (DEFAULT_BANNED_WORDS + REVIEW_BANNED_WORDS, comma-separated)
+ * - links: contains a URL or a domain name
+ * - all_caps: mostly upper-case text
+ * - too_short: fewer than MIN_COMMENT_LENGTH characters
+ * - duplicate: same text as another review (compared via commentHash)
+ *
+ * When an admin rejects a review or replies to it, the customer is emailed
+ * (notifyReviewRejected, notifyReviewReply).
+ */
+
+const crypto = require("crypto");
+const { dynamoDB, TABLES } = require("./dynamodb");
+const { QueryCommand, ScanCommand } = require("@aws-sdk/lib-dynamodb");
+const { getProductById } = require("./products");
+const { sendTemplateEmail } = require("./emailSender");
+
+// Frontend base URL for links in emails (no trailing slash)
+const FRONTEND_URL = (process.env.FRONTEND_URL || "https://codebook-aws.vercel.app").replace(
+  /\/+$/,
+  ""
+);
+
+const MODERATION_MODES = {
+  AUTO_APPROVE: "auto_approve",
+  HOLD_ALL: "hold_all",
+  HOLD_FLAGGED: "hold_flagged",
+};
+
+const DEFAULT_BANNED_WORDS = [
+  "fuck",
+  "shit",
+  "bitch",
+  "asshole",
+  "bastard",
+  "cunt",
+  "viagra",
+  "casino",
+  "crypto giveaway",
+];
+
+const MIN_COMMENT_LENGTH = 10;
+
+// All-caps rule only applies to comments with enough letters to judge
+const ALL_CAPS_MIN_LETTERS = 10;
+const ALL_CAPS_RATIO = 0.7;
+
+// Bare domains only for TLDs that aren't also tech names (ASP.NET, Socket.IO, ...)
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|org|ru|cn|info|biz|xyz|ly)\b/i;
+
+/**
+ * Get the configured moderation mode
+ * @returns {string} One of MODERATION_MODES (invalid values fall back to hold_flagged)
+ */
+function getModerationMode() {
+  const mode = (process.env.REVIEW_MODERATION_MODE || "").trim().toLowerCase();
+  return Object.values(MODERATION_MODES).includes(mode) ? mode : MODERATION_MODES.HOLD_FLAGGED;
+}
+
+/**
+ * Get the banned words list (defaults plus REVIEW_BANNED_WORDS)
+ * @returns {Array<string>} Lower-case words/phrases
+ */
+function getBannedWords() {
+  const extra = (process.env.REVIEW_BANNED_WORDS || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set([...DEFAULT_BANNED_WORDS, ...extra])];
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value - Text to match literally
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Normalize a comment for duplicate detection (case, accents, punctuation, spacing)
+ * @param {string} comment - Review comment
+ * @returns {string} Normalized text
+ */
+function normalizeComment(comment) {
+  return String(comment || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Hash of the normalized comment (stored on the review as commentHash)
+ * @param {string} comment - Review comment
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashComment(comment) {
+  return crypto.createHash("sha256").update(normalizeComment(comment)).digest("hex");
+}
+
+/**
+ * Find other reviews with the same comment text
+ *
+ * @param {string} commentHash - Hash from hashComment
+ * @param {string} [excludeReviewId] - Review being edited (not a duplicate of itself)
+ * @returns {Promise<Array<string>>} IDs of matching reviews
+ */
+async function findDuplicateReviewIds(commentHash, excludeReviewId) {
+  const items = [];
+  let lastKey;
+  try {
+    // This requires a GSI named 'commentHash-index' on the 'commentHash' attribute
+    do {
+      const result = await dynamoDB.send(
+        new QueryCommand({
+          TableName: TABLES.REVIEWS,
+          IndexName: "commentHash-index",
+          KeyConditionExpression: "commentHash = :commentHash",
+          ExpressionAttributeValues: { ":commentHash": commentHash },
+          ExclusiveStartKey: lastKey,
+        })
+      );
+      items.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+  } catch (error) {
+    // Fallback to Scan if GSI doesn't exist yet (every page - the filter runs after each page is read)
+    if (error.name === "ValidationException" || error.name === "ResourceNotFoundException") {
+      console.warn(
+        'GSI "commentHash-index" not found. Using Scan (less efficient). Run ./create-review-moderation-gsi.sh to optimize.'
+      );
+      items.length = 0;
+      lastKey = undefined;
+      do {
+        const result = await dynamoDB.send(
+          new ScanCommand({
+            TableName: TABLES.REVIEWS,
+            FilterExpression: "commentHash = :commentHash",
+            ExpressionAttributeValues: { ":commentHash": commentHash },
+            ProjectionExpression: "id",
+            ExclusiveStartKey: lastKey,
+          })
+        );
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+    } else {
+      throw error;
+    }
+  }
+
+  return items.map((item) => item.id).filter((id) => id !== excludeReviewId);
+}
+
+/**
+ * Run the flagging rules on a comment
+ *
+ * @param {string} comment - Review comment
+ * @param {Object} [options]
+ * @param {string} [options.reviewId] - Review being edited (excluded from duplicate check)
+ * @returns {Promise<Array<Object>>} Reasons [{ code, message }] (empty if clean)
+ */
+async function flagComment(comment, { reviewId } = {}) {
+  const text = String(comment || "").trim();
+  const lower = text.toLowerCase();
+  const reasons = [];
+
+  const bannedWords = getBannedWords().filter((word) =>
+    new RegExp(`\\b${escapeRegExp(word)}\\b`, "i").test(lower)
+  );
+  if (bannedWords.length > 0) {
+    reasons.push({ code: "banned_words", message: `Contains banned words: ${bannedWords.join(", ")}` });
+  }
+
+  if (LINK_PATTERN.test(text)) {
+    reasons.push({ code: "links", message: "Contains a link" });
+  }
+
+  // Links are usually lower-case, so leave them out of the all-caps check
+  const letters = text.replace(new RegExp(LINK_PATTERN.source, "gi"), "").replace(/[^a-zA-Z]/g, "");
+  const upperCase = letters.replace(/[^A-Z]/g, "");
+  if (letters.length >= ALL_CAPS_MIN_LETTERS && upperCase.length / letters.length >= ALL_CAPS_RATIO) {
+    reasons.push({ code: "all_caps", message: "Written in all caps" });
+  }
+
+  if (text.length < MIN_COMMENT_LENGTH) {
+    reasons.push({ code: "too_short", message: `Shorter than ${MIN_COMMENT_LENGTH} characters` });
+  }
+
+  const duplicateIds = await findDuplicateReviewIds(hashComment(text), reviewId);
+  if (duplicateIds.length > 0) {
+    reasons.push({
+      code: "duplicate",
+      message: `Same text as ${duplicateIds.length} other review${duplicateIds.length === 1 ? "" : "s"}`,
+    });
+  }
+
+  return reasons;
+}
+
+/**
+ * Moderate a review comment: run the rules and pick the status for the mode
+ *
+ * @param {string} comment - Review comment
+ * @param {Object} [options]
+ * @param {string} [options.reviewId] - Review being edited
+ * @returns {Promise<Object>} { status, flagged, moderationReasons, commentHash }
+ */
+async function moderateComment(comment, { reviewId } = {}) {
+  const moderationReasons = await flagComment(comment, { reviewId });
+  const flagged = moderationReasons.length > 0;
+  const mode = getModerationMode();
+
+  let status = "approved";
+  if (mode === MODERATION_MODES.HOLD_ALL || (mode === MODERATION_MODES.HOLD_FLAGGED && flagged)) {
+    status = "pending";
+  }
+
+  return {
+    status,
+    flagged,
+    moderationReasons,
+    commentHash: hashComment(comment),
+  };
+}
+
+/**
+ * Email the customer that their review was rejected
+ *
+ * @param {Object} review - Rejected review ({ userEmail, userName, productId })
+ * @param {string} [reason] - Admin's reason (included in the email)
+ * @returns {Promise<boolean>} True if an email was sent (false if the review has no email)
+ */
+async function notifyReviewRejected(review, reason) {
+  if (!review.userEmail) {
+    console.warn("Rejected review has no email, customer not notified:", { reviewId: review.id });
+    return false;
+  }
+
+  const product = await getProductById(review.productId).catch(() => null);
+  await sendTemplateEmail(review.userEmail, "review-rejected", {
+    customerName: review.userName,
+    productName: product?.name,
+    productUrl: `${FRONTEND_URL}/products/${encodeURIComponent(review.productId)}`,
+    reason,
+  });
+  console.log("Review rejection email sent:", { reviewId: review.id });
+  return true;
+}
+
+/**
+ * Email the customer that the store replied to their review
+ * Not sent if the customer turned off review reply emails (see sendTemplateEmail).
+ *
+ * @param {Object} review - Review ({ userEmail, userName, productId })
+ * @param {string} reply - Reply text
+ * @returns {Promise<boolean>} True if an email was sent
+ */
+async function notifyReviewReply(review, reply) {
+  if (!review.userEmail) {
+    console.warn("Review has no email, customer not notified of the reply:", { reviewId: review.id });
+    return false;
+  }
+
+  const product = await getProductById(review.productId).catch(() => null);
+  const result = await sendTemplateEmail(review.userEmail, "review-reply", {
+    customerName: review.userName,
+    productName: product?.name,
+    productUrl: `${FRONTEND_URL}/products/${encodeURIComponent(review.productId)}`,
+    reply,
+  });
+  console.log("Review reply email:", { reviewId: review.id, sent: !!result });
+  return !!result;
+}
+
+module.exports = {
+  MODERATION_MODES,
+  getModerationMode,
+  flagComment,
+  moderateComment,
+  notifyReviewRejected,
+  notifyReviewReply,
+};
@@ -3,6 +3,12 @@
  *
  * This module provides utilities for managing product reviews in DynamoDB.
  * Reviews allow customers who have purchased products to rate and review them.
+ * New and edited reviews go through moderation (see ./reviewModeration.js).
+ *
+ * Reviews can also carry:
+ * - images: up to MAX_REVIEW_IMAGES image URLs (uploaded from the browser via imageService)
+ * - helpfulCount / unhelpfulCount: customer votes, one per user (votes map: userId -> vote)
+ * - reply: a public store reply posted by an admin ({ text, createdAt, updatedAt, repliedBy })
  */
 
 const { dynamoDB, TABLES } = require("./dynamodb");
@@ -13,6 +19,17 @@ const {
   ScanCommand,
   QueryCommand,
 } = require("@aws-sdk/lib-dynamodb");
+const { moderateComment } = require("./reviewModeration");
+
+const MAX_REVIEW_IMAGES = 4;
+const MAX_IMAGE_URL_LENGTH = 500;
+const MAX_REPLY_LENGTH = 1000;
+
+// Vote values for POST /reviews/{id}/vote (null removes the vote)
+const REVIEW_VOTES = ["helpful", "unhelpful"];
+
+// Sort orders for GET /reviews (default: newest)
+const REVIEW_SORTS = ["newest", "oldest", "helpful", "highest", "lowest"];
 
 // Lazy load uuid (ESM module) - will be imported when needed
 let uuidModule = null;
@@ -24,6 +41,36 @@ async function getUuid() {
   return uuidv4();
 }
 
+/**
+ * Validate review image URLs
+ *
+ * @param {Array<string>} images - Image URLs (from imageService uploads)
+ * @returns {Array<string>} Trimmed URLs
+ * @throws {Error} "Invalid images: ..." if not an array of https URLs or too many
+ */
+function validateReviewImages(images) {
+  if (!Array.isArray(images)) {
+    throw new Error("Invalid images: must be an array of image URLs");
+  }
+  if (images.length > MAX_REVIEW_IMAGES) {
+    throw new Error(`Invalid images: at most ${MAX_REVIEW_IMAGES} images per review`);
+  }
+
+  return images.map((image) => {
+    const url = typeof image === "string" ? image.trim() : "";
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Handled below
+    }
+    if (!parsed || parsed.protocol !== "https:" || url.length > MAX_IMAGE_URL_LENGTH) {
+      throw new Error("Invalid images: each image must be an https URL");
+    }
+    return url;
+  });
+}
+
 /**
  * Create a new product review
  *
@@ -35,7 +82,8 @@ async function getUuid() {
  * @param {string} reviewData.comment - Review comment
  * @param {string} reviewData.userName - User name
  * @param {string} reviewData.userEmail - User email
- * @returns {Promise<Object>} Created review object
+ * @param {Array<string>} [reviewData.images] - Image URLs (max MAX_REVIEW_IMAGES)
+ * @returns {Promise<Object>} Created review object ("pending" if held for moderation)
  * @throws {Error} If validation fails or user hasn't ordered the product
  */
 async function createReview(reviewData) {
@@ -47,6 +95,7 @@ async function createReview(reviewData) {
     comment,
     userName,
     userEmail,
+    images = [],
   } = reviewData;
 
   // Validate required fields
@@ -62,16 +111,25 @@ async function createReview(reviewData) {
     throw new Error("Rating must be a number between 1 and 5");
   }
 
+  const imageUrls = validateReviewImages(images);
+
   // Check if user has already reviewed this product
   const existingReviews = await getReviewsByProductAndUser(productId, userId);
   if (existingReviews.length > 0) {
-    throw new Error("You have already reviewed this product");
+    throw new Error(
+      existingReviews[0].status === "pending"
+        ? "Your review of this product is awaiting moderation"
+        : "You have already reviewed this product"
+    );
   }
 
   // Generate review ID
   const reviewId = await getUuid();
   const now = new Date().toISOString();
 
+  // Run the moderation rules (decides approved vs pending for the configured mode)
+  const moderation = await moderateComment(comment);
+
   // Create review object
   const review = {
     id: reviewId,
@@ -80,9 +138,16 @@ async function createReview(reviewData) {
     orderId,
     rating: ratingNum,
     comment: comment.trim(),
+    images: imageUrls,
     userName: userName || "Customer",
     userEmail: userEmail || "",
-    status: "approved", // approved, pending, rejected (for moderation)
+    status: moderation.status, // approved, pending, rejected (for moderation)
+    flagged: moderation.flagged,
+    moderationReasons: moderation.moderationReasons, // [{ code, message }] from the flagging rules
+    commentHash: moderation.commentHash, // For duplicate detection (commentHash-index)
+    helpfulCount: 0,
+    unhelpfulCount: 0,
+    votes: {}, // userId -> "helpful" | "unhelpful" (never returned by GET /reviews)
     createdAt: now,
     updatedAt: now,
   };
@@ -364,10 +429,16 @@ async function getAllReviews(status = null) {
  * Update review
  *
  * @param {string} reviewId - Review ID
- * @param {Object} updates - Fields to update (rating, comment, status)
+ * @param {Object} updates - Fields to update (rating, comment, images, status)
+ * @param {Object} [moderation] - Moderation fields to store with the update
+ * @param {Array<Object>} [moderation.moderationReasons] - Reasons from the flagging rules
+ * @param {boolean} [moderation.flagged] - Whether any rule matched
+ * @param {string} [moderation.commentHash] - Hash of the new comment
+ * @param {string} [moderation.moderatedBy] - Admin who set the status
+ * @param {string} [moderation.rejectionReason] - Admin note sent to the customer on rejection
  * @returns {Promise<Object>} Updated review
  */
-async function updateReview(reviewId, updates) {
+async function updateReview(reviewId, updates, moderation = {}) {
   // Build update expression dynamically
   const updateExpressions = [];
   const expressionAttributeNames = {};
@@ -391,6 +462,12 @@ async function updateReview(reviewId, updates) {
     expressionAttributeValues[":comment"] = updates.comment.trim();
   }
 
+  if (updates.images !== undefined) {
+    updateExpressions.push("#images = :images");
+    expressionAttributeNames["#images"] = "images";
+    expressionAttributeValues[":images"] = validateReviewImages(updates.images);
+  }
+
   if (updates.status !== undefined) {
     const validStatuses = ["approved", "pending", "rejected"];
     if (!validStatuses.includes(updates.status)) {
@@ -403,6 +480,22 @@ async function updateReview(reviewId, updates) {
     expressionAttributeValues[":status"] = updates.status;
   }
 
+  // Moderation fields (set by the moderation rules or an admin, never by the customer)
+  ["moderationReasons", "flagged", "commentHash", "moderatedBy", "rejectionReason"].forEach(
+    (field) => {
+      if (moderation[field] !== undefined) {
+        updateExpressions.push(`#${field} = :${field}`);
+        expressionAttributeNames[`#${field}`] = field;
+        expressionAttributeValues[`:${field}`] = moderation[field];
+      }
+    }
+  );
+  if (moderation.moderatedBy !== undefined) {
+    updateExpressions.push("#moderatedAt = :moderatedAt");
+    expressionAttributeNames["#moderatedAt"] = "moderatedAt";
+    expressionAttributeValues[":moderatedAt"] = new Date().toISOString();
+  }
+
   // Always update updatedAt (also a reserved keyword, must escape)
   updateExpressions.push("#updatedAt = :updatedAt");
   expressionAttributeNames["#updatedAt"] = "updatedAt";
@@ -426,6 +519,198 @@ async function updateReview(reviewId, updates) {
   return result.Attributes;
 }
 
+/**
+ * Vote a review helpful or unhelpful (one vote per user, can be changed or removed)
+ *
+ * The vote is stored in the review's votes map and the counters are adjusted in
+ * the same update. The condition on the previous vote keeps the counters right
+ * when the same user votes twice at once (the update is retried).
+ *
+ * @param {string} reviewId - Review ID
+ * @param {string} userId - Voting user
+ * @param {string|null} vote - "helpful", "unhelpful" or null to remove the vote
+ * @param {number} [attempt] - Retry counter (internal)
+ * @returns {Promise<Object>} Updated review
+ * @throws {Error} If the vote is invalid, the review isn't published or it's the user's own review
+ */
+async function voteOnReview(reviewId, userId, vote, attempt = 1) {
+  if (vote !== null && !REVIEW_VOTES.includes(vote)) {
+    throw new Error(`Invalid vote. Must be one of: ${REVIEW_VOTES.join(", ")} (or null to remove)`);
+  }
+
+  // Only published reviews can be voted on
+  const review = await getReviewById(reviewId);
+  if (!review || review.status !== "approved") {
+    throw new Error("Review not found");
+  }
+  if (review.userId === userId) {
+    throw new Error("You cannot vote on your own review");
+  }
+
+  const previousVote = review.votes?.[userId] || null;
+  if (previousVote === vote) {
+    return review;
+  }
+
+  const delta = (value) => (vote === value ? 1 : 0) - (previousVote === value ? 1 : 0);
+  const expressionAttributeNames = {
+    "#votes": "votes",
+    "#helpfulCount": "helpfulCount",
+    "#unhelpfulCount": "unhelpfulCount",
+  };
+  const expressionAttributeValues = {
+    ":helpfulDelta": delta("helpful"),
+    ":unhelpfulDelta": delta("unhelpful"),
+  };
+  const addExpression = "ADD #helpfulCount :helpfulDelta, #unhelpfulCount :unhelpfulDelta";
+
+  let updateExpression;
+  let conditionExpression;
+  if (!review.votes) {
+    // Reviews created before voting have no votes map yet - create it with this vote
+    updateExpression = `SET #votes = :votes ${addExpression}`;
+    conditionExpression = "attribute_not_exists(#votes)";
+    expressionAttributeValues[":votes"] = { [userId]: vote };
+  } else {
+    expressionAttributeNames["#userId"] = userId;
+    updateExpression = vote
+      ? `SET #votes.#userId = :vote ${addExpression}`
+      : `REMOVE #votes.#userId ${addExpression}`;
+    if (vote) {
+      expressionAttributeValues[":vote"] = vote;
+    }
+    if (previousVote) {
+      conditionExpression = "#votes.#userId = :previousVote";
+      expressionAttributeValues[":previousVote"] = previousVote;
+    } else {
+      conditionExpression = "attribute_not_exists(#votes.#userId)";
+    }
+  }
+
+  try {
+    const result = await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.REVIEWS,
+        Key: { id: reviewId },
+        UpdateExpression: updateExpression,
+        ConditionExpression: conditionExpression,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    return result.Attributes;
+  } catch (error) {
+    // The vote changed between the read and the update - read it again
+    if (error.name === "ConditionalCheckFailedException" && attempt < 3) {
+      return voteOnReview(reviewId, userId, vote, attempt + 1);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Set (or remove) the public store reply on a review
+ *
+ * @param {string} reviewId - Review ID
+ * @param {string} text - Reply text (empty removes the reply)
+ * @param {string} repliedBy - Admin user ID
+ * @param {Object} [existingReply] - Current reply (keeps its createdAt on edits)
+ * @returns {Promise<Object>} Updated review
+ * @throws {Error} If the reply is too long
+ */
+async function setReviewReply(reviewId, text, repliedBy, existingReply = null) {
+  const replyText = String(text || "").trim();
+  if (replyText.length > MAX_REPLY_LENGTH) {
+    throw new Error(`Reply must be at most ${MAX_REPLY_LENGTH} characters`);
+  }
+
+  const now = new Date().toISOString();
+  const command = new UpdateCommand({
+    TableName: TABLES.REVIEWS,
+    Key: { id: reviewId },
+    UpdateExpression: replyText
+      ? "SET #reply = :reply, #updatedAt = :updatedAt"
+      : "REMOVE #reply SET #updatedAt = :updatedAt",
+    ExpressionAttributeNames: {
+      "#reply": "reply",
+      "#updatedAt": "updatedAt",
+    },
+    ExpressionAttributeValues: {
+      ":updatedAt": now,
+      ...(replyText && {
+        ":reply": {
+          text: replyText,
+          repliedBy,
+          createdAt: existingReply?.createdAt || now,
+          updatedAt: now,
+        },
+      }),
+    },
+    ReturnValues: "ALL_NEW",
+  });
+
+  const result = await dynamoDB.send(command);
+  return result.Attributes;
+}
+
+/**
+ * Sort reviews for display
+ *
+ * @param {Array<Object>} reviews - Reviews
+ * @param {string} sort - One of REVIEW_SORTS
+ * @returns {Array<Object>} Sorted copy (ties: newest first)
+ */
+function sortReviews(reviews, sort = "newest") {
+  const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+  const compare = {
+    newest: newestFirst,
+    oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+    helpful: (a, b) =>
+      (b.helpfulCount || 0) - (a.helpfulCount || 0) ||
+      (a.unhelpfulCount || 0) - (b.unhelpfulCount || 0) ||
+      newestFirst(a, b),
+    highest: (a, b) => b.rating - a.rating || newestFirst(a, b),
+    lowest: (a, b) => a.rating - b.rating || newestFirst(a, b),
+  }[sort] || newestFirst;
+
+  return [...reviews].sort(compare);
+}
+
+/**
+ * Public view of a review (GET /reviews)
+ * Only the fields shown on the product page - never the author's email or user ID,
+ * the votes map (who voted what) or moderation data. Adds the caller's own vote and
+ * whether the caller wrote the review.
+ *
+ * @param {Object} review - Review from DynamoDB
+ * @param {string} [userId] - Signed-in user (for myVote and isMine)
+ * @returns {Object} Review for the product page
+ */
+function toPublicReview(review, userId = null) {
+  const reply = review.reply && {
+    text: review.reply.text,
+    createdAt: review.reply.createdAt,
+    updatedAt: review.reply.updatedAt,
+  };
+
+  return {
+    id: review.id,
+    productId: review.productId,
+    userName: review.userName,
+    rating: review.rating,
+    comment: review.comment,
+    images: review.images || [],
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt,
+    helpfulCount: review.helpfulCount || 0,
+    unhelpfulCount: review.unhelpfulCount || 0,
+    myVote: (userId && review.votes?.[userId]) || null,
+    isMine: Boolean(userId) && review.userId === userId,
+    ...(reply && { reply }),
+  };
+}
+
 /**
  * Delete review
  *
@@ -447,15 +732,24 @@ async function deleteReview(reviewId) {
  * Calculate average rating for a product
  *
  * @param {string} productId - Product ID
- * @returns {Promise<Object>} Object with averageRating and reviewCount
+ * @param {Array<Object>} [approvedReviews] - Approved reviews if already loaded (skips the query)
+ * @returns {Promise<Object>} Object with averageRating, reviewCount and histogram
+ *   (histogram: number of reviews per star, { 1: n, 2: n, 3: n, 4: n, 5: n })
  */
-async function getProductRatingStats(productId) {
-  const reviews = await getReviewsByProductId(productId, "approved");
+async function getProductRatingStats(productId, approvedReviews = null) {
+  const reviews = approvedReviews || (await getReviewsByProductId(productId, "approved"));
+
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  reviews.forEach((review) => {
+    const stars = Math.min(5, Math.max(1, Math.round(review.rating)));
+    histogram[stars] += 1;
+  });
 
   if (reviews.length === 0) {
     return {
       averageRating: 0,
       reviewCount: 0,
+      histogram,
     };
   }
 
@@ -465,10 +759,15 @@ async function getProductRatingStats(productId) {
   return {
     averageRating: Math.round(averageRating * 10) / 10, // Round to 1 decimal
     reviewCount: reviews.length,
+    histogram,
   };
 }
 
 module.exports = {
+  MAX_REVIEW_IMAGES,
+  MAX_REPLY_LENGTH,
+  REVIEW_VOTES,
+  REVIEW_SORTS,
   createReview,
   getReviewById,
   getReviewsByProductId,
@@ -477,6 +776,10 @@ module.exports = {
   getAllReviews,
   updateReview,
   deleteReview,
+  voteOnReview,
+  setReviewReply,
+  sortReviews,
+  toPublicReview,
   getProductRatingStats,
 };
 
@@ -0,0 +1,364 @@
+/**
+ * AWS Lambda - Product Search Helper Functions
+ *
+ * Full-text search over the catalog. An inverted index (term -> products that
+ * contain it) is built from name, overview, long_description and tags, and
+ * queries are ranked by relevance (TF-IDF with per-field weights).
+ *
+ * Query terms match indexed terms in three ways, best match wins:
+ * - Exact:  "python" -> "python"
+ * - Prefix: "pyth" -> "python" (so results show up while typing)
+ * - Typo:   "pyhton" -> "python" (edit distance 1 for 4-7 letters, 2 for 8+)
+ *
+ * The index lives in memory and is cached per Lambda container for a few
+ * minutes, so warm invocations don't scan the products table. The catalog is
+ * small enough for this; a larger catalog would need a search service
+ * (e.g. OpenSearch) instead.
+ */
+
+const { getAllProducts } = require("./products");
+
+// Rebuild the index at most every 5 minutes per container
+const INDEX_TTL_MS = 5 * 60 * 1000;
+
+// How much a term in each field counts towards relevance
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2,
+  overview: 1.5,
+  long_description: 1,
+};
+
+// Score multipliers for non-exact matches
+const PREFIX_MATCH_WEIGHT = 0.7;
+const FUZZY_MATCH_WEIGHT = 0.5;
+
+// Bonus when the whole query appears in the product name
+const NAME_PHRASE_BONUS = 2;
+
+// Very common words that don't help tell products apart
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "into",
+  "is", "it", "of", "on", "or", "the", "this", "to", "with", "your", "you",
+]);
+
+const DEFAULT_SEARCH_LIMIT = 12;
+const MAX_SEARCH_LIMIT = 100;
+const DEFAULT_SUGGESTION_LIMIT = 5;
+const MAX_SUGGESTION_LIMIT = 10;
+
+let cachedIndex = null;
+let cachedAt = 0;
+
+/**
+ * Split text into normalized search terms
+ * Lowercases, strips accents and punctuation, and drops stopwords.
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms in order of appearance
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter((term) => term && !STOPWORDS.has(term));
+}
+
+/**
+ * Text of a product field (tags may be an array or a comma-separated string)
+ * @param {Object} product - Product
+ * @param {string} field - Field name
+ * @returns {string} Field text
+ */
+function getFieldText(product, field) {
+  const value = product[field];
+  if (Array.isArray(value)) return value.join(" ");
+  return value ? String(value) : "";
+}
+
+/**
+ * Build an inverted index over the given products
+ *
+ * @param {Array} products - Products from the products table
+ * @returns {Object} { products: Map<id, product>, postings: Map<term, Map<id, weight>>, terms: Array<string> }
+ */
+function buildIndex(products) {
+  const productsById = new Map();
+  const postings = new Map();
+
+  for (const product of products) {
+    if (!product?.id) continue;
+    productsById.set(product.id, product);
+
+    for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const term of tokenize(getFieldText(product, field))) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const termPostings = postings.get(term);
+        termPostings.set(product.id, (termPostings.get(product.id) || 0) + fieldWeight);
+      }
+    }
+  }
+
+  return {
+    products: productsById,
+    postings,
+    terms: [...postings.keys()].sort(),
+  };
+}
+
+/**
+ * Get the search index, rebuilding it if the cached one is stale
+ *
+ * @param {Object} [options] - { refresh: true } to force a rebuild
+ * @returns {Promise<Object>} Index from buildIndex
+ */
+async function getSearchIndex({ refresh = false } = {}) {
+  if (!refresh && cachedIndex && Date.now() - cachedAt < INDEX_TTL_MS) {
+    return cachedIndex;
+  }
+
+  const products = await getAllProducts();
+  cachedIndex = buildIndex(products);
+  cachedAt = Date.now();
+
+  console.log("Search index built:", {
+    products: cachedIndex.products.size,
+    terms: cachedIndex.terms.length,
+  });
+
+  return cachedIndex;
+}
+
+/**
+ * Levenshtein distance between two terms, giving up once it exceeds maxDistance
+ *
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} maxDistance - Largest distance we care about
+ * @returns {number} Distance, or maxDistance + 1 if it is larger
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query term
+ * @param {string} term - Query term
+ * @returns {number} Maximum edit distance
+ */
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Find the indexed terms a query term matches
+ *
+ * @param {Object} index - Index from buildIndex
+ * @param {string} queryTerm - Normalized query term
+ * @returns {Map<string, number>} Indexed term -> match weight (1 exact, less for prefix/typo)
+ */
+function expandTerm(index, queryTerm) {
+  const matches = new Map();
+  const maxTypos = allowedTypos(queryTerm);
+
+  for (const term of index.terms) {
+    let weight = 0;
+    if (term === queryTerm) {
+      weight = 1;
+    } else if (term.startsWith(queryTerm)) {
+      weight = PREFIX_MATCH_WEIGHT;
+    } else if (maxTypos > 0 && editDistance(queryTerm, term, maxTypos) <= maxTypos) {
+      weight = FUZZY_MATCH_WEIGHT;
+    }
+    if (weight > 0) {
+      matches.set(term, Math.max(matches.get(term) || 0, weight));
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Score every product that matches a query
+ *
+ * @param {Object} index - Index from buildIndex
+ * @param {Array<string>} queryTerms - Normalized query terms
+ * @returns {Map<string, Object>} Product ID -> { score, matchedTerms: Set<queryTerm> }
+ */
+function scoreProducts(index, queryTerms) {
+  const totalProducts = index.products.size || 1;
+  const scores = new Map();
+
+  for (const queryTerm of queryTerms) {
+    for (const [term, matchWeight] of expandTerm(index, queryTerm)) {
+      const termPostings = index.postings.get(term);
+      // Rare terms say more about a product than common ones
+      const idf = Math.log(1 + totalProducts / termPostings.size);
+
+      for (const [productId, fieldWeight] of termPostings) {
+        const entry = scores.get(productId) || { score: 0, matchedTerms: new Set() };
+        entry.score += fieldWeight * idf * matchWeight;
+        entry.matchedTerms.add(queryTerm);
+        scores.set(productId, entry);
+      }
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Search products by relevance
+ *
+ * @param {string} query - Search text
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Page size (default 12, max 100)
+ * @param {number} [options.offset] - Results to skip (default 0)
+ * @param {Function} [options.filter] - Extra product predicate (e.g. catalog filters)
+ * @param {string} [options.sortBy] - price | rating | createdAt (default: relevance)
+ * @param {string} [options.order] - asc | desc for sortBy (default asc)
+ * @param {Function} [options.facets] - Called with every text match (before options.filter);
+ *   its return value is added to the result as facets
+ * @returns {Promise<Object>} { items, total, nextOffset, facets? } - nextOffset is null on the last page
+ *
+ * How it works:
+ * 1. Products matching every query term are returned; if none do, products
+ *    matching any term are returned instead (so one typo'd word doesn't empty the page)
+ * 2. Results are ordered by score, then by rating (or by sortBy if given)
+ * 3. Each item carries its relevance score (_score)
+ */
+async function searchProducts(query, options = {}) {
+  const limit = Math.min(
+    Math.max(Number(options.limit) || DEFAULT_SEARCH_LIMIT, 1),
+    MAX_SEARCH_LIMIT
+  );
+  const offset = Math.max(Number(options.offset) || 0, 0);
+  const queryTerms = [...new Set(tokenize(query))];
+
+  if (queryTerms.length === 0) {
+    return { items: [], total: 0, nextOffset: null };
+  }
+
+  const index = await getSearchIndex();
+  const scores = scoreProducts(index, queryTerms);
+  const phrase = queryTerms.join(" ");
+
+  let results = [...scores.entries()].map(([productId, entry]) => {
+    const product = index.products.get(productId);
+    const nameText = tokenize(product.name).join(" ");
+    const score = entry.score + (nameText.includes(phrase) ? NAME_PHRASE_BONUS * queryTerms.length : 0);
+    return { product, score, matchesAll: entry.matchedTerms.size === queryTerms.length };
+  });
+
+  const allTermResults = results.filter((result) => result.matchesAll);
+  if (allTermResults.length > 0) {
+    results = allTermResults;
+  }
+
+  const facets = options.facets
+    ? options.facets(results.map((result) => result.product))
+    : undefined;
+
+  if (options.filter) {
+    results = results.filter((result) => options.filter(result.product));
+  }
+
+  results.sort(
+    (a, b) => b.score - a.score || (Number(b.product.rating) || 0) - (Number(a.product.rating) || 0)
+  );
+
+  if (options.sortBy) {
+    const direction = options.order === "desc" ? -1 : 1;
+    const sortValue = (product) =>
+      options.sortBy === "createdAt" ? product.createdAt || "" : Number(product[options.sortBy]) || 0;
+    // Array.prototype.sort is stable, so ties keep their relevance order
+    results.sort((a, b) => {
+      const left = sortValue(a.product);
+      const right = sortValue(b.product);
+      if (left < right) return -1 * direction;
+      if (left > right) return 1 * direction;
+      return 0;
+    });
+  }
+
+  const items = results
+    .slice(offset, offset + limit)
+    .map(({ product, score }) => ({ ...product, _score: Math.round(score * 1000) / 1000 }));
+  const nextOffset = offset + items.length;
+
+  return {
+    items,
+    total: results.length,
+    nextOffset: nextOffset < results.length ? nextOffset : null,
+    ...(facets && { facets }),
+  };
+}
+
+/**
+ * Suggestions for the search box while the user is typing
+ *
+ * @param {string} prefix - Text typed so far
+ * @param {number} [limit] - Max products and terms to return (default 5, max 10)
+ * @returns {Promise<Object>} { products: [{ id, name, price, poster, image_local }], terms: Array<string> }
+ *
+ * The last word is treated as a prefix ("clean co" -> "clean code"), earlier
+ * words must match as in searchProducts.
+ */
+async function suggestProducts(prefix, limit = DEFAULT_SUGGESTION_LIMIT) {
+  const size = Math.min(
+    Math.max(Number(limit) || DEFAULT_SUGGESTION_LIMIT, 1),
+    MAX_SUGGESTION_LIMIT
+  );
+  const queryTerms = tokenize(prefix);
+
+  if (queryTerms.length === 0) {
+    return { products: [], terms: [] };
+  }
+
+  const index = await getSearchIndex();
+  const lastTerm = queryTerms[queryTerms.length - 1];
+
+  // Term completions, most widely used terms first
+  const terms = index.terms
+    .filter((term) => term.startsWith(lastTerm) && term !== lastTerm)
+    .sort((a, b) => index.postings.get(b).size - index.postings.get(a).size)
+    .slice(0, size);
+
+  const { items } = await searchProducts(prefix, { limit: size });
+  const products = items.map((product) => ({
+    id: product.id,
+    name: product.name,
+    price: product.price,
+    poster: product.poster,
+    image_local: product.image_local,
+  }));
+
+  return { products, terms };
+}
+
+module.exports = {
+  tokenize,
+  buildIndex,
+  getSearchIndex,
+  searchProducts,
+  suggestProducts,
+};
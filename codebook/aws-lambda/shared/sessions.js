@@ -0,0 +1,289 @@
+/**
+ * AWS Lambda - Refresh Token (Session) Helper Functions
+ *
+ * Access tokens (see shared/auth.js) are short-lived JWTs that can't be revoked.
+ * Each login starts a session: a long-lived, opaque refresh token that is stored
+ * server-side and exchanged for a new access token via POST /auth/refresh.
+ *
+ * Refresh tokens rotate: every refresh marks the presented token as rotated and
+ * issues a new one in the same family (one family per login). If a rotated token
+ * is presented again, it was most likely stolen, so the whole family is revoked.
+ *
+ * Only a SHA-256 hash of each token is stored (refresh tokens table):
+ * {
+ *   tokenHash: "...",          // Primary key
+ *   userId: "...",             // GSI userId-index (revoke all of a user's sessions)
+ *   familyId: "...",           // Same for every token issued from one login
+ *   createdAt: "...",
+ *   expiresAt: 1767225600,     // DynamoDB TTL (epoch seconds)
+ *   rotatedAt: "...",          // Set once exchanged for a new token
+ *   revokedAt: "...",          // Set on logout, role change, user deletion or reuse
+ *   revokedReason: "logout"
+ * }
+ */
+
+const crypto = require("crypto");
+const { dynamoDB, TABLES } = require("./dynamodb");
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+// Sessions last a week without activity (the old access token lifetime)
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Build a new refresh token and the item that stores it
+ *
+ * @param {string} userId - User ID
+ * @param {string} familyId - Token family (login session) ID
+ * @returns {Object} { refreshToken, item }
+ */
+function buildRefreshToken(userId, familyId) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const now = new Date();
+  return {
+    refreshToken,
+    item: {
+      tokenHash: hashToken(refreshToken),
+      userId,
+      familyId,
+      createdAt: now.toISOString(),
+      expiresAt: Math.floor(now.getTime() / 1000) + REFRESH_TOKEN_TTL_SECONDS,
+    },
+  };
+}
+
+/**
+ * Start a new session for a user (called on login and registration)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Refresh token (only returned to the client, never stored)
+ */
+async function createSession(userId) {
+  try {
+    const { refreshToken, item } = buildRefreshToken(userId, crypto.randomUUID());
+    await dynamoDB.send(
+      new PutCommand({
+        TableName: TABLES.REFRESH_TOKENS,
+        Item: item,
+      })
+    );
+    return refreshToken;
+  } catch (error) {
+    console.error("createSession error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ *
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object>} { userId, refreshToken } - the new refresh token
+ * @throws {Error} "Invalid refresh token" (unknown, expired, revoked or already used)
+ */
+async function rotateSession(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const result = await dynamoDB.send(
+    new GetCommand({
+      TableName: TABLES.REFRESH_TOKENS,
+      Key: { tokenHash },
+      ConsistentRead: true,
+    })
+  );
+  const record = result.Item;
+
+  // TTL deletion can lag behind expiresAt, so check it here too
+  if (!record || record.revokedAt || record.expiresAt <= Math.floor(Date.now() / 1000)) {
+    throw new Error("Invalid refresh token");
+  }
+
+  if (record.rotatedAt) {
+    console.warn("Refresh token reuse detected, revoking session:", {
+      userId: record.userId,
+      familyId: record.familyId,
+    });
+    await revokeUserSessions(record.userId, {
+      familyId: record.familyId,
+      reason: "reuse_detected",
+    });
+    throw new Error("Invalid refresh token");
+  }
+
+  const next = buildRefreshToken(record.userId, record.familyId);
+  try {
+    await dynamoDB.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName: TABLES.REFRESH_TOKENS,
+              Key: { tokenHash },
+              UpdateExpression: "SET rotatedAt = :now",
+              ConditionExpression:
+                "attribute_exists(tokenHash) AND attribute_not_exists(rotatedAt) AND attribute_not_exists(revokedAt)",
+              ExpressionAttributeValues: { ":now": next.item.createdAt },
+            },
+          },
+          {
+            Put: {
+              TableName: TABLES.REFRESH_TOKENS,
+              Item: next.item,
+            },
+          },
+        ],
+      })
+    );
+  } catch (error) {
+    // Another request rotated or revoked the token in the meantime
+    if (error.name === "TransactionCanceledException") {
+      throw new Error("Invalid refresh token");
+    }
+    console.error("rotateSession error:", error);
+    throw error;
+  }
+
+  return { userId: record.userId, refreshToken: next.refreshToken };
+}
+
+/**
+ * Mark one refresh token as revoked
+ *
+ * @param {string} tokenHash - Hash of the refresh token
+ * @param {string} reason - Why it was revoked (e.g. "logout")
+ * @returns {Promise<boolean>} False if the token doesn't exist or was already revoked
+ */
+async function revokeTokenHash(tokenHash, reason) {
+  try {
+    await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.REFRESH_TOKENS,
+        Key: { tokenHash },
+        UpdateExpression: "SET revokedAt = :now, revokedReason = :reason",
+        ConditionExpression: "attribute_exists(tokenHash) AND attribute_not_exists(revokedAt)",
+        ExpressionAttributeValues: {
+          ":now": new Date().toISOString(),
+          ":reason": reason,
+        },
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * End the session a refresh token belongs to (logout)
+ *
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<boolean>} False if the token was unknown or already revoked
+ */
+async function revokeSession(refreshToken) {
+  try {
+    return await revokeTokenHash(hashToken(refreshToken), "logout");
+  } catch (error) {
+    console.error("revokeSession error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke every active refresh token of a user (or of one token family)
+ *
+ * Access tokens already issued stay valid until they expire (15 minutes), but
+ * can't be refreshed - the user has to log in again, which picks up their
+ * current role.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.familyId] - Only revoke this token family
+ * @param {string} [options.reason] - Stored as revokedReason (default "revoked")
+ * @returns {Promise<number>} Number of tokens revoked
+ *
+ * Uses the userId-index GSI, falling back to Scan if it doesn't exist yet.
+ */
+async function revokeUserSessions(userId, { familyId, reason = "revoked" } = {}) {
+  try {
+    // Every page - a user can have more tokens than fit in one response
+    const items = [];
+    let lastKey;
+    try {
+      do {
+        const result = await dynamoDB.send(
+          new QueryCommand({
+            TableName: TABLES.REFRESH_TOKENS,
+            IndexName: "userId-index",
+            KeyConditionExpression: "userId = :userId",
+            ExpressionAttributeValues: { ":userId": userId },
+            ExclusiveStartKey: lastKey,
+          })
+        );
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+    } catch (error) {
+      if (error.name !== "ValidationException" && error.name !== "ResourceNotFoundException") {
+        throw error;
+      }
+      console.warn(
+        'GSI "userId-index" not found on refresh tokens table. Using Scan (less efficient). Run create-refresh-tokens-table.sh to optimize.'
+      );
+      items.length = 0;
+      lastKey = undefined;
+      do {
+        const result = await dynamoDB.send(
+          new ScanCommand({
+            TableName: TABLES.REFRESH_TOKENS,
+            FilterExpression: "userId = :userId",
+            ExpressionAttributeValues: { ":userId": userId },
+            ExclusiveStartKey: lastKey,
+          })
+        );
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+    }
+
+    const active = items.filter(
+      (item) => !item.revokedAt && (!familyId || item.familyId === familyId)
+    );
+
+    let revoked = 0;
+    for (const item of active) {
+      if (await revokeTokenHash(item.tokenHash, reason)) {
+        revoked += 1;
+      }
+    }
+
+    console.log("Revoked refresh tokens:", { userId, familyId, reason, revoked });
+    return revoked;
+  } catch (error) {
+    console.error("revokeUserSessions error:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,68 @@
+/**
+ * AWS Lambda - Stock Alert Helper Functions
+ *
+ * Low-stock and out-of-stock events are raised by stock decrements that cross a
+ * level (see getStockEvent in shared/products.js):
+ * - "low_stock": stock fell below the product's lowStockThreshold (default 10)
+ * - "out_of_stock": the last copy was sold
+ * Products with variants raise them per variant (e.g. only the paperback ran out).
+ *
+ * Each event is logged and emailed to the store admin with the admin-low-stock /
+ * admin-out-of-stock templates (sendAdminTemplateEmail in shared/emailSender.js).
+ */
+
+const { sendAdminTemplateEmail } = require("./emailSender");
+
+const STOCK_EVENT_TEMPLATES = {
+  low_stock: "admin-low-stock",
+  out_of_stock: "admin-out-of-stock",
+};
+
+/**
+ * Email the admin about the stock events in a list of stock changes
+ * Never throws - a failed alert must not fail the order that caused it.
+ *
+ * @param {Array<Object>} stockResults - Results of buildStockDecrement
+ *   ({ productId, productName, variantLabel, newStock, lowStockThreshold, stockEvent }; variantLabel for variants)
+ * @returns {Promise<Object>} { events, sent, failed }
+ */
+async function emitStockEvents(stockResults = []) {
+  const events = stockResults.filter(
+    (result) => result && result.success !== false && STOCK_EVENT_TEMPLATES[result.stockEvent]
+  );
+  if (events.length === 0) {
+    return { events: 0, sent: 0, failed: 0 };
+  }
+
+  console.log(
+    "⚠️ Stock events:",
+    events.map((event) => ({
+      productId: event.productId,
+      variantId: event.variantId,
+      stockEvent: event.stockEvent,
+      newStock: event.newStock,
+      lowStockThreshold: event.lowStockThreshold,
+    }))
+  );
+
+  const results = await Promise.allSettled(
+    events.map((event) =>
+      sendAdminTemplateEmail(STOCK_EVENT_TEMPLATES[event.stockEvent], {
+        productId: event.productId,
+        // Variants run out separately, so the alert names the format
+        productName: event.variantLabel ? `${event.productName} (${event.variantLabel})` : event.productName,
+        currentStock: event.newStock,
+        lowStockThreshold: event.lowStockThreshold,
+      })
+    )
+  );
+
+  const failed = results.filter((result) => result.status === "rejected");
+  failed.forEach((result) => console.error("Failed to send stock alert email:", result.reason));
+
+  return { events: events.length, sent: results.length - failed.length, failed: failed.length };
+}
+
+module.exports = {
+  emitStockEvents,
+};
@@ -3,6 +3,9 @@
  *
  * This module provides utilities for managing support tickets in DynamoDB.
  * Tickets are used for customer support communication between customers and admins.
+ *
+ * Creating, replying to and changing the status of a ticket publish ticket events
+ * (shared/events.js) - the other side of the conversation is emailed.
  */
 
 const { dynamoDB, TABLES } = require("./dynamodb");
@@ -13,6 +16,7 @@ const {
   ScanCommand,
   QueryCommand,
 } = require("@aws-sdk/lib-dynamodb");
+const { EVENTS, publishEvent } = require("./events");
 
 // Lazy load uuid (ESM module) - will be imported when needed
 let uuidModule = null;
@@ -84,6 +88,9 @@ async function createTicket(ticketData) {
     })
   );
 
+  // Email the admin about the new ticket (never throws)
+  await publishEvent(EVENTS.TICKET_CREATED, { ticket });
+
   return ticket;
 }
 
@@ -243,13 +250,18 @@ async function addTicketReply(ticketId, replyData) {
     })
   );
 
-  // Return updated ticket
-  return {
+  const updatedTicket = {
     ...ticket,
     messages: updatedMessages,
     status: updatedStatus,
     updatedAt: now,
   };
+
+  // Email the customer about an admin reply, or the admin about a customer reply (never throws)
+  await publishEvent(EVENTS.TICKET_REPLIED, { ticket: updatedTicket, reply });
+
+  // Return updated ticket
+  return updatedTicket;
 }
 
 /**
@@ -290,12 +302,17 @@ async function updateTicketStatus(ticketId, status) {
     })
   );
 
-  // Return updated ticket
-  return {
+  const updatedTicket = {
     ...ticket,
     status,
     updatedAt: now,
   };
+
+  // Email the customer about the new status (never throws)
+  await publishEvent(EVENTS.TICKET_STATUS_CHANGED, { ticket: updatedTicket, previousStatus: ticket.status });
+
+  // Return updated ticket
+  return updatedTicket;
 }
 
 /**
@@ -15,6 +15,11 @@ const {
   DeleteCommand,
 } = require("@aws-sdk/lib-dynamodb");
 const { hashPassword, comparePassword } = require("./auth");
+const { validateAddress } = require("./addresses");
+const { recordNewUser, recordDeletedUser } = require("./analytics");
+
+// Maximum number of saved addresses per user (keeps the user item small)
+const MAX_ADDRESSES = 10;
 
 // Lazy load uuid (ESM module) - will be imported when needed
 let uuidModule = null;
@@ -148,7 +153,7 @@ async function createUser(userData) {
     name,
     password: hashedPassword,
     role: "user", // Default role for all new registrations
-    notificationsReadAt: null, // Timestamp when user last read notifications
+    emailVerified: false, // Set by POST /auth/verify-email (users created before verification existed have no flag and count as verified)
     createdAt: new Date().toISOString(),
   };
 
@@ -159,6 +164,9 @@ async function createUser(userData) {
 
   await dynamoDB.send(command);
 
+  // Update the admin analytics rollups (non-critical, never throws)
+  await recordNewUser(user);
+
   // Return user without password
   const { password: _, ...userWithoutPassword } = user;
   return userWithoutPassword;
@@ -280,9 +288,9 @@ async function updateUser(userId, updates) {
     expressionAttributeValues[":role"] = updates.role;
   }
 
-  if (updates.notificationsReadAt !== undefined) {
-    updateExpressions.push("notificationsReadAt = :notificationsReadAt");
-    expressionAttributeValues[":notificationsReadAt"] = updates.notificationsReadAt;
+  if (updates.notificationPreferences !== undefined) {
+    updateExpressions.push("notificationPreferences = :notificationPreferences");
+    expressionAttributeValues[":notificationPreferences"] = updates.notificationPreferences;
   }
 
   if (updateExpressions.length === 0) {
@@ -311,6 +319,75 @@ async function updateUser(userId, updates) {
   return userWithoutPassword;
 }
 
+/**
+ * Set a new password (password reset)
+ * Resetting through an emailed link also proves the user owns the email address.
+ *
+ * @param {string} userId - User ID (UUID)
+ * @param {string} password - New plain text password
+ * @returns {Promise<void>}
+ * @throws {Error} If user not found
+ */
+async function updateUserPassword(userId, password) {
+  const hashedPassword = await hashPassword(password);
+  const now = new Date().toISOString();
+
+  try {
+    await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.USERS,
+        Key: { id: userId },
+        UpdateExpression:
+          "SET password = :password, emailVerified = :verified, passwordChangedAt = :now, updatedAt = :now",
+        ConditionExpression: "attribute_exists(id)",
+        ExpressionAttributeValues: {
+          ":password": hashedPassword,
+          ":verified": true,
+          ":now": now,
+        },
+      })
+    );
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("User not found");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Mark a user's email address as verified
+ *
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Object>} Updated user (without password)
+ * @throws {Error} If user not found
+ */
+async function markEmailVerified(userId) {
+  try {
+    const result = await dynamoDB.send(
+      new UpdateCommand({
+        TableName: TABLES.USERS,
+        Key: { id: userId },
+        UpdateExpression: "SET emailVerified = :verified, emailVerifiedAt = :now, updatedAt = :now",
+        ConditionExpression: "attribute_exists(id)",
+        ExpressionAttributeValues: {
+          ":verified": true,
+          ":now": new Date().toISOString(),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    const { password: _, ...userWithoutPassword } = result.Attributes;
+    return userWithoutPassword;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      throw new Error("User not found");
+    }
+    throw error;
+  }
+}
+
 /**
  * Delete user (admin only)
  * 
@@ -334,6 +411,9 @@ async function deleteUser(userId) {
   });
 
   await dynamoDB.send(command);
+
+  // Update the user count in the analytics rollups (non-critical, never throws)
+  await recordDeletedUser(userId);
   
   return {
     message: "User deleted successfully",
@@ -341,6 +421,200 @@ async function deleteUser(userId) {
   };
 }
 
+/**
+ * Get a user's saved shipping addresses
+ *
+ * Addresses are stored on the user record:
+ * - addresses: [{ id, name, street1, street2, city, state, zip, country, phone, createdAt, updatedAt }]
+ * - defaultAddressId: id of the address preselected at checkout
+ *
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Object>} { addresses, defaultAddressId }
+ * @throws {Error} If user not found
+ */
+async function getUserAddresses(userId) {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const addresses = user.addresses || [];
+  return {
+    addresses: addresses.map((address) => ({
+      ...address,
+      isDefault: address.id === user.defaultAddressId,
+    })),
+    defaultAddressId: user.defaultAddressId || null,
+  };
+}
+
+/**
+ * Write the address book back to the user record
+ *
+ * @param {string} userId - User ID (UUID)
+ * @param {Array} addresses - Full list of addresses
+ * @param {string|null} defaultAddressId - Default address ID
+ * @returns {Promise<Object>} { addresses, defaultAddressId }
+ */
+async function saveUserAddresses(userId, addresses, defaultAddressId) {
+  const command = new UpdateCommand({
+    TableName: TABLES.USERS,
+    Key: { id: userId },
+    UpdateExpression:
+      "SET addresses = :addresses, defaultAddressId = :defaultAddressId, updatedAt = :updatedAt",
+    ConditionExpression: "attribute_exists(id)", // Never create a user record here
+    ExpressionAttributeValues: {
+      ":addresses": addresses,
+      ":defaultAddressId": defaultAddressId,
+      ":updatedAt": new Date().toISOString(),
+    },
+  });
+
+  await dynamoDB.send(command);
+
+  return {
+    addresses: addresses.map((address) => ({
+      ...address,
+      isDefault: address.id === defaultAddressId,
+    })),
+    defaultAddressId,
+  };
+}
+
+/**
+ * Add a shipping address to the user's address book
+ *
+ * The first saved address always becomes the default.
+ *
+ * @param {string} userId - User ID (UUID)
+ * @param {Object} addressData - Address fields (validated by validateAddress)
+ * @param {boolean} [makeDefault=false] - Make this the default address
+ * @returns {Promise<Object>} { address, addresses, defaultAddressId }
+ * @throws {Error} If user not found, address invalid or address book full
+ */
+async function addUserAddress(userId, addressData, makeDefault = false) {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const addresses = user.addresses || [];
+  if (addresses.length >= MAX_ADDRESSES) {
+    throw new Error(`Address book is full. You can save up to ${MAX_ADDRESSES} addresses`);
+  }
+
+  const now = new Date().toISOString();
+  const address = {
+    id: await getUuid(),
+    ...validateAddress(addressData),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const defaultAddressId =
+    makeDefault || !user.defaultAddressId ? address.id : user.defaultAddressId;
+
+  const result = await saveUserAddresses(userId, [...addresses, address], defaultAddressId);
+  return {
+    address: { ...address, isDefault: address.id === defaultAddressId },
+    ...result,
+  };
+}
+
+/**
+ * Update a saved shipping address
+ *
+ * @param {string} userId - User ID (UUID)
+ * @param {string} addressId - Address ID
+ * @param {Object} addressData - Address fields (validated by validateAddress)
+ * @param {boolean} [makeDefault=false] - Make this the default address
+ * @returns {Promise<Object>} { address, addresses, defaultAddressId }
+ * @throws {Error} If user or address not found, or address invalid
+ */
+async function updateUserAddress(userId, addressId, addressData, makeDefault = false) {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const addresses = user.addresses || [];
+  const existing = addresses.find((address) => address.id === addressId);
+  if (!existing) {
+    throw new Error("Address not found");
+  }
+
+  const address = {
+    id: existing.id,
+    ...validateAddress(addressData),
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const defaultAddressId = makeDefault ? address.id : user.defaultAddressId || address.id;
+
+  const result = await saveUserAddresses(
+    userId,
+    addresses.map((item) => (item.id === addressId ? address : item)),
+    defaultAddressId
+  );
+  return {
+    address: { ...address, isDefault: address.id === defaultAddressId },
+    ...result,
+  };
+}
+
+/**
+ * Make a saved address the default one
+ *
+ * @param {string} userId - User ID (UUID)
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object>} { addresses, defaultAddressId }
+ * @throws {Error} If user or address not found
+ */
+async function setDefaultAddress(userId, addressId) {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const addresses = user.addresses || [];
+  if (!addresses.some((address) => address.id === addressId)) {
+    throw new Error("Address not found");
+  }
+
+  return saveUserAddresses(userId, addresses, addressId);
+}
+
+/**
+ * Delete a saved shipping address
+ *
+ * If the default address is deleted, the first remaining address becomes the default.
+ *
+ * @param {string} userId - User ID (UUID)
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object>} { addresses, defaultAddressId }
+ * @throws {Error} If user or address not found
+ */
+async function deleteUserAddress(userId, addressId) {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const addresses = user.addresses || [];
+  if (!addresses.some((address) => address.id === addressId)) {
+    throw new Error("Address not found");
+  }
+
+  const remaining = addresses.filter((address) => address.id !== addressId);
+  const defaultAddressId =
+    user.defaultAddressId === addressId
+      ? remaining[0]?.id || null
+      : user.defaultAddressId || null;
+
+  return saveUserAddresses(userId, remaining, defaultAddressId);
+}
+
 module.exports = {
   getUserById,
   getUserByEmail,
@@ -348,5 +622,12 @@ module.exports = {
   verifyUser,
   getAllUsers,
   updateUser,
+  updateUserPassword,
+  markEmailVerified,
   deleteUser,
+  getUserAddresses,
+  addUserAddress,
+  updateUserAddress,
+  setDefaultAddress,
+  deleteUserAddress,
 };
@@ -0,0 +1,248 @@
+/**
+ * AWS Lambda - Wishlist Helper Functions
+ *
+ * Per-user wishlist ("save for later") stored in its own table:
+ * - Partition key: userId, sort key: productId (one entry per user and book)
+ * - GSI productId-index: find everyone watching a book (for the alert emails)
+ *
+ * Customers are emailed when a wishlisted book comes back in stock or its
+ * price drops (notifyWishlistWatchers, called after an admin updates a product).
+ */
+
+const { dynamoDB, TABLES } = require("./dynamodb");
+const {
+  PutCommand,
+  GetCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { getProductById, isProductAvailable } = require("./products");
+const { sendTemplateEmail } = require("./emailSender");
+
+// Frontend base URL for links in emails (no trailing slash)
+const FRONTEND_URL = (process.env.FRONTEND_URL || "https://codebook-aws.vercel.app").replace(
+  /\/+$/,
+  ""
+);
+
+const MAX_WISHLIST_ITEMS = 100;
+
+/**
+ * Get the raw wishlist entries of a user (newest first)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Entries { userId, productId, addedAt, ... }
+ */
+async function getWishlistEntries(userId) {
+  const result = await dynamoDB.send(
+    new QueryCommand({
+      TableName: TABLES.WISHLIST,
+      KeyConditionExpression: "userId = :userId",
+      ExpressionAttributeValues: { ":userId": userId },
+    })
+  );
+
+  return (result.Items || []).sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+}
+
+/**
+ * Get a user's wishlist with the current product data
+ * Books that were deleted from the store are left out.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { items: [{ productId, addedAt, priceWhenAdded, product }], productIds }
+ */
+async function getWishlist(userId) {
+  const entries = await getWishlistEntries(userId);
+  const products = await Promise.all(entries.map((entry) => getProductById(entry.productId)));
+
+  const items = entries
+    .map((entry, index) => ({
+      productId: entry.productId,
+      addedAt: entry.addedAt,
+      priceWhenAdded: entry.priceWhenAdded,
+      product: products[index],
+    }))
+    .filter((item) => item.product);
+
+  return {
+    items,
+    productIds: items.map((item) => item.productId),
+  };
+}
+
+/**
+ * Add a book to a user's wishlist (adding it again keeps the original entry)
+ *
+ * @param {Object} user - Decoded token ({ id, email, name })
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} { item, created }
+ * @throws {Error} "Product not found" or "Wishlist is full ..."
+ */
+async function addToWishlist(user, productId) {
+  const product = await getProductById(productId);
+  if (!product) {
+    throw new Error("Product not found");
+  }
+
+  const existing = await dynamoDB.send(
+    new GetCommand({
+      TableName: TABLES.WISHLIST,
+      Key: { userId: user.id, productId },
+    })
+  );
+  if (existing.Item) {
+    return { item: existing.Item, created: false };
+  }
+
+  const entries = await getWishlistEntries(user.id);
+  if (entries.length >= MAX_WISHLIST_ITEMS) {
+    throw new Error(`Wishlist is full (maximum ${MAX_WISHLIST_ITEMS} books)`);
+  }
+
+  // Email and name are stored so the alert emails don't need a user lookup
+  const item = {
+    userId: user.id,
+    productId,
+    userEmail: user.email || "",
+    userName: user.name || "",
+    priceWhenAdded: Number(product.price) || 0,
+    addedAt: new Date().toISOString(),
+  };
+
+  await dynamoDB.send(
+    new PutCommand({
+      TableName: TABLES.WISHLIST,
+      Item: item,
+    })
+  );
+
+  return { item, created: true };
+}
+
+/**
+ * Remove a book from a user's wishlist (no error if it isn't there)
+ *
+ * @param {string} userId - User ID
+ * @param {string} productId - Product ID
+ * @returns {Promise<boolean>} True
+ */
+async function removeFromWishlist(userId, productId) {
+  await dynamoDB.send(
+    new DeleteCommand({
+      TableName: TABLES.WISHLIST,
+      Key: { userId, productId },
+    })
+  );
+  return true;
+}
+
+/**
+ * Get all wishlist entries for a book (everyone watching it)
+ *
+ * @param {string} productId - Product ID
+ * @returns {Promise<Array<Object>>} Wishlist entries
+ */
+async function getProductWatchers(productId) {
+  const entries = [];
+  let lastKey;
+  try {
+    // This requires a GSI named 'productId-index' on the wishlist table
+    do {
+      const result = await dynamoDB.send(
+        new QueryCommand({
+          TableName: TABLES.WISHLIST,
+          IndexName: "productId-index",
+          KeyConditionExpression: "productId = :productId",
+          ExpressionAttributeValues: { ":productId": productId },
+          ExclusiveStartKey: lastKey,
+        })
+      );
+      entries.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+  } catch (error) {
+    // Fallback to Scan if GSI doesn't exist yet
+    if (error.name === "ValidationException" || error.name === "ResourceNotFoundException") {
+      console.warn(
+        'GSI "productId-index" not found on wishlist table. Using Scan (less efficient). Run ./create-wishlist-table.sh to optimize.'
+      );
+      entries.length = 0;
+      lastKey = undefined;
+      do {
+        const result = await dynamoDB.send(
+          new ScanCommand({
+            TableName: TABLES.WISHLIST,
+            FilterExpression: "productId = :productId",
+            ExpressionAttributeValues: { ":productId": productId },
+            ExclusiveStartKey: lastKey,
+          })
+        );
+        entries.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+      } while (lastKey);
+    } else {
+      throw error;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Email everyone who wishlisted a book when it comes back in stock or gets cheaper
+ *
+ * @param {Object} before - Product before the change
+ * @param {Object} after - Product after the change
+ * @returns {Promise<Object>} { backInStock, priceDropped, notified, skipped, failed } - skipped:
+ *   watchers who turned off wishlist alerts
+ */
+async function notifyWishlistWatchers(before, after) {
+  const backInStock = !isProductAvailable(before) && isProductAvailable(after);
+  const oldPrice = Number(before?.price) || 0;
+  const newPrice = Number(after?.price) || 0;
+  // A price drop only matters if the book can be bought
+  const priceDropped = newPrice > 0 && newPrice < oldPrice && isProductAvailable(after);
+
+  if (!backInStock && !priceDropped) {
+    return { backInStock, priceDropped, notified: 0, skipped: 0, failed: 0 };
+  }
+
+  const watchers = (await getProductWatchers(after.id)).filter((entry) => entry.userEmail);
+  const results = await Promise.allSettled(
+    watchers.map((entry) =>
+      sendTemplateEmail(entry.userEmail, "wishlist-alert", {
+        customerName: entry.userName,
+        productName: after.name,
+        productUrl: `${FRONTEND_URL}/products/${encodeURIComponent(after.id)}`,
+        backInStock,
+        priceDropped,
+        oldPrice,
+        newPrice,
+      })
+    )
+  );
+
+  const failed = results.filter((result) => result.status === "rejected");
+  failed.forEach((result) => console.error("Failed to send wishlist alert:", result.reason));
+
+  const skipped = results.filter((result) => result.status === "fulfilled" && !result.value);
+
+  const summary = {
+    backInStock,
+    priceDropped,
+    notified: results.length - failed.length - skipped.length,
+    skipped: skipped.length,
+    failed: failed.length,
+  };
+  console.log("Wishlist alerts sent:", { productId: after.id, ...summary });
+  return summary;
+}
+
+module.exports = {
+  MAX_WISHLIST_ITEMS,
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  notifyWishlistWatchers,
+};
@@ -1,11 +1,10 @@
-import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { toast } from "react-toastify";
 import { useQueryClient } from "@tanstack/react-query";
 import { logout } from "../../services";
 import { useUser } from "../../hooks/useUser";
 import { useCart } from "../../context";
-import { useNotificationCount, useMarkNotificationsRead } from "../../hooks/useNotifications";
 
 export const DropdownLoggedIn = ({ setDropdown }) => {
   const navigate = useNavigate();
@@ -25,13 +24,6 @@ export const DropdownLoggedIn = ({ setDropdown }) => {
   // Use React Query hook - automatically handles caching, deduplication, and loading states
   const { data: userData, error } = useUser();
 
-  // Get notification count (includes breakdown of orders and tickets)
-  const { data: notificationData } = useNotificationCount();
-  const notificationCount = notificationData?.count || 0;
-  const orderNotificationCount = notificationData?.orderCount || 0;
-  const ticketNotificationCount = notificationData?.ticketCount || 0;
-  const markReadMutation = useMarkNotificationsRead();
-
   // Update cached email when sessionStorage changes or user data is fetched
   useEffect(() => {
     // Check sessionStorage immediately
@@ -84,46 +76,6 @@ export const DropdownLoggedIn = ({ setDropdown }) => {
   );
   const isAdmin = userRole === "admin";
 
-  // Handle notification click - memoized to prevent unnecessary re-renders
-  // Smart redirect logic:
-  // - If BOTH ticket and order notifications exist: Prioritize tickets (more urgent customer service)
-  // - If only ticket notifications: Go to tickets page
-  // - If only order notifications: Go to orders/dashboard page
-  // - If neither: Fallback to default page
-  const handleNotificationClick = useCallback(() => {
-    // Mark notifications as read (this will optimistically clear the badge immediately)
-    markReadMutation.mutate();
-    
-    // Determine redirect destination based on notification types
-    // Priority: Tickets > Orders (tickets are more urgent customer service items)
-    if (ticketNotificationCount > 0) {
-      // Redirect to tickets page if there are ticket notifications
-      // This handles both cases: tickets only, or tickets + orders (tickets prioritized)
-      if (isAdmin) {
-        navigate("/admin/tickets");
-      } else {
-        navigate("/tickets");
-      }
-    } else if (orderNotificationCount > 0) {
-      // Redirect to orders/dashboard if there are only order notifications (no tickets)
-      if (isAdmin) {
-        navigate("/admin/orders");
-      } else {
-        navigate("/dashboard");
-      }
-    } else {
-      // Fallback: no specific notifications, go to default page
-      if (isAdmin) {
-        navigate("/admin/orders");
-      } else {
-        navigate("/dashboard");
-      }
-    }
-    
-    // Close dropdown
-    setDropdown(false);
-  }, [markReadMutation, isAdmin, navigate, setDropdown, ticketNotificationCount, orderNotificationCount]);
-
   // Handle logout if user data fetch fails and no cached email
   useEffect(() => {
     if (error && !cachedEmail) {
@@ -208,6 +160,15 @@ export const DropdownLoggedIn = ({ setDropdown }) => {
             Dashboard
           </Link>
         </li>
+        <li>
+          <Link
+            onClick={() => setDropdown(false)}
+            to="/library"
+            className="block py-2 px-4 hover:bg-gray-100 dark:hover:bg-gray-600 dark:hover:text-white"
+          >
+            My Library
+          </Link>
+        </li>
         <li>
           <Link
             onClick={() => setDropdown(false)}
@@ -218,19 +179,13 @@ export const DropdownLoggedIn = ({ setDropdown }) => {
           </Link>
         </li>
         <li>
-          <button
-            onClick={handleNotificationClick}
-            className="w-full text-left block py-2 px-4 hover:bg-gray-100 dark:hover:bg-gray-600 dark:hover:text-white relative"
+          <Link
+            onClick={() => setDropdown(false)}
+            to="/settings"
+            className="block py-2 px-4 hover:bg-gray-100 dark:hover:bg-gray-600 dark:hover:text-white"
           >
-            <span className="flex items-center justify-between">
-              <span>Notifications</span>
-              {notificationCount > 0 && (
-                <span className="ml-2 inline-flex items-center justify-center px-2 py-0.5 text-xs font-bold leading-none text-white bg-red-600 rounded-full">
-                  {notificationCount > 99 ? "99+" : notificationCount}
-                </span>
-              )}
-            </span>
-          </button>
+            Settings
+          </Link>
         </li>
         {isAdmin && (
           <li>
@@ -0,0 +1,178 @@
+/**
+ * NotificationDropdown Component
+ *
+ * Bell icon with the unread count for the header. Opens a list of the user's
+ * notifications (newest first, more loaded on demand); clicking one marks it
+ * read and opens the page it links to.
+ */
+
+import { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  useNotificationCount,
+  useNotifications,
+  useMarkNotificationsRead,
+  useMarkNotificationRead,
+} from "../../hooks/useNotifications";
+import { formatRelativeTime } from "../../utils";
+
+// Icon per notification type
+const TYPE_ICONS = {
+  order: "bi-bag-check",
+  payment: "bi-credit-card",
+  ticket: "bi-chat-left-text",
+  review: "bi-star",
+};
+
+/**
+ * NotificationDropdown component
+ * @param {string} [className] - Classes for the bell icon (to match the surrounding header)
+ */
+export const NotificationDropdown = ({ className = "" }) => {
+  const navigate = useNavigate();
+  const dropdownRef = useRef(null);
+  const [open, setOpen] = useState(false);
+
+  const { data: countData } = useNotificationCount();
+  const unreadCount = countData?.count || 0;
+
+  // The list is only loaded while the dropdown is open
+  const {
+    data,
+    isLoading,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useNotifications(open);
+  const notifications = data?.pages.flatMap((page) => page.notifications) || [];
+
+  const markAllMutation = useMarkNotificationsRead();
+  const markOneMutation = useMarkNotificationRead();
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [open]);
+
+  const handleNotificationClick = (notification) => {
+    if (!notification.read) {
+      markOneMutation.mutate(notification.id);
+    }
+    setOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <span ref={dropdownRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`relative bi bi-bell-fill ${className}`}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : "Notifications"}
+        aria-expanded={open}
+      >
+        {unreadCount > 0 && (
+          <span className="text-white text-xs font-bold absolute -top-1 left-2.5 bg-rose-500 px-1 rounded-full">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="select-none absolute top-10 -right-12 sm:right-0 z-[100] w-80 max-w-[calc(100vw-2rem)] bg-white rounded shadow dark:bg-gray-700">
+          <div className="flex items-center justify-between py-3 px-4 border-b border-gray-100 dark:border-gray-600">
+            <span className="text-sm font-medium text-gray-900 dark:text-white">Notifications</span>
+            <button
+              type="button"
+              onClick={() => markAllMutation.mutate()}
+              disabled={unreadCount === 0 || markAllMutation.isPending}
+              className="text-xs font-medium text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 disabled:text-gray-400 dark:disabled:text-gray-500 disabled:cursor-not-allowed"
+            >
+              Mark all as read
+            </button>
+          </div>
+
+          <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-600 text-sm">
+            {isLoading ? (
+              Array(3).fill(0).map((_, index) => (
+                <li key={`notification-skeleton-${index}`} className="py-3 px-4 animate-pulse">
+                  <div className="h-4 w-3/4 mb-2 bg-gray-200 dark:bg-gray-600 rounded"></div>
+                  <div className="h-3 w-1/2 bg-gray-200 dark:bg-gray-600 rounded"></div>
+                </li>
+              ))
+            ) : error ? (
+              <li className="py-6 px-4 text-center text-gray-500 dark:text-gray-400">
+                {error.message || "Failed to load notifications"}
+              </li>
+            ) : notifications.length === 0 ? (
+              <li className="py-6 px-4 text-center text-gray-500 dark:text-gray-400">
+                No notifications yet
+              </li>
+            ) : (
+              notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    type="button"
+                    onClick={() => handleNotificationClick(notification)}
+                    className={`w-full flex gap-3 text-left py-3 px-4 hover:bg-gray-100 dark:hover:bg-gray-600 ${
+                      notification.read ? "" : "bg-blue-50 dark:bg-gray-800"
+                    }`}
+                  >
+                    <span
+                      className={`bi ${TYPE_ICONS[notification.type] || "bi-bell"} mt-0.5 text-base text-blue-600 dark:text-blue-400`}
+                    ></span>
+                    <span className="flex-1 min-w-0">
+                      <span
+                        className={`block text-gray-900 dark:text-white ${
+                          notification.read ? "" : "font-semibold"
+                        }`}
+                      >
+                        {notification.title}
+                      </span>
+                      {notification.message && (
+                        <span className="block truncate text-gray-600 dark:text-gray-300">
+                          {notification.message}
+                        </span>
+                      )}
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">
+                        {formatRelativeTime(notification.createdAt)}
+                      </span>
+                    </span>
+                    {!notification.read && (
+                      <span className="mt-1.5 h-2 w-2 flex-shrink-0 rounded-full bg-blue-600 dark:bg-blue-400" aria-label="Unread"></span>
+                    )}
+                  </button>
+                </li>
+              ))
+            )}
+          </ul>
+
+          {hasNextPage && (
+            <div className="border-t border-gray-100 dark:border-gray-600">
+              <button
+                type="button"
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+                className="w-full py-2 px-4 text-sm text-gray-700 hover:bg-gray-100 dark:text-gray-200 dark:hover:bg-gray-600 disabled:cursor-not-allowed"
+              >
+                {isFetchingNextPage ? "Loading..." : "Load more"}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </span>
+  );
+};
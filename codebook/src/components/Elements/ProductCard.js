@@ -3,13 +3,17 @@ import { useState } from "react";
 import { Link } from "react-router-dom";
 import { useCart } from "../../context";
 import { Rating } from "./Rating";
+import { WishlistButton } from "./WishlistButton";
 import { getProductImageUrl, getProductImageKey } from "../../utils/productImage";
+import { hasVariants } from "../../utils/productVariants";
 
 export const ProductCard = ({product}) => {
     const { cartList, addToCart, removeFromCart } = useCart();
     const [inCart, setInCart] = useState(false);
     const {id, name, overview, price, rating, best_seller} = product;
     const productImageUrl = getProductImageUrl(product);
+    // Books sold in several formats are added from the detail page, where the format is picked
+    const withVariants = hasVariants(product);
 
     useEffect(() => {
         const productInCart = cartList.find(item => item.id === product.id);
@@ -23,7 +27,8 @@ export const ProductCard = ({product}) => {
     }, [cartList, product.id]);
 
   return (
-    <div className="m-3 max-w-sm bg-white rounded-lg border border-gray-200 shadow-md dark:bg-gray-800 dark:border-gray-700">
+    <div className="relative m-3 max-w-sm bg-white rounded-lg border border-gray-200 shadow-md dark:bg-gray-800 dark:border-gray-700">
+        <WishlistButton productId={id} className="absolute top-3 right-3 z-10" />
         <Link to={`/products/${id}`} className="relative" >
             { best_seller && <span className="absolute top-4 left-2 px-2 bg-orange-500 bg-opacity-90 text-white rounded">Best Seller</span> }
             {productImageUrl && (
@@ -77,9 +82,18 @@ export const ProductCard = ({product}) => {
 
             <p className="flex justify-between items-center">
                 <span className="text-2xl dark:text-gray-200">
+                    { withVariants && <span className="text-sm text-gray-500 dark:text-gray-400 mr-1">from</span> }
                     <span>$</span><span>{price}</span>
                 </span>
-                { !inCart && (
+                { withVariants && (
+                  <Link
+                    to={`/products/${id}`}
+                    className="inline-flex items-center py-2 px-3 text-sm font-medium text-center text-white bg-blue-700 rounded-lg hover:bg-blue-800"
+                  >
+                    Choose Format <i className="ml-1 bi bi-arrow-right"></i>
+                  </Link>
+                )}
+                { !withVariants && !inCart && (
                   <button 
                     onClick={() => {
                       // Prevent adding out-of-stock items
@@ -94,7 +108,7 @@ export const ProductCard = ({product}) => {
                     Add To Cart <i className="ml-1 bi bi-plus-lg"></i>
                   </button>
                 )}  
-                { inCart && (
+                { !withVariants && inCart && (
                   <button 
                     onClick={() => removeFromCart(product)} 
                     className="inline-flex items-center py-2 px-3 text-sm font-medium text-center text-white bg-red-600 rounded-lg hover:bg-red-800"
@@ -0,0 +1,68 @@
+/**
+ * RatingHistogram Component
+ *
+ * Shows the average rating and how many reviews gave each number of stars.
+ */
+
+import { Rating } from "./Rating";
+
+/**
+ * RatingHistogram component
+ * @param {Object} props
+ * @param {Object} props.ratingStats - { averageRating, reviewCount, histogram: { 1..5: count } }
+ */
+export const RatingHistogram = ({ ratingStats }) => {
+  const { averageRating = 0, reviewCount = 0, histogram = {} } = ratingStats || {};
+
+  if (reviewCount === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-4 sm:gap-8 p-4 sm:p-6 border border-gray-200 dark:border-slate-700 rounded-lg bg-white dark:bg-slate-800">
+      {/* Average */}
+      <div className="flex flex-col items-center justify-center sm:min-w-[140px]">
+        <span className="text-4xl font-bold text-gray-900 dark:text-slate-200">
+          {averageRating.toFixed(1)}
+        </span>
+        <div className="flex items-center">
+          <Rating rating={Math.round(averageRating)} />
+        </div>
+        <span className="text-sm text-gray-500 dark:text-slate-400 mt-1">
+          {reviewCount} {reviewCount === 1 ? "review" : "reviews"}
+        </span>
+      </div>
+
+      {/* Per-star counts */}
+      <div className="flex-1 space-y-1.5">
+        {[5, 4, 3, 2, 1].map((stars) => {
+          const count = histogram[stars] || 0;
+          const percent = Math.round((count / reviewCount) * 100);
+          return (
+            <div key={stars} className="flex items-center gap-3 text-sm">
+              <span className="w-12 text-gray-700 dark:text-slate-300 whitespace-nowrap">
+                {stars} <i className="bi bi-star-fill text-yellow-500 text-xs"></i>
+              </span>
+              <div
+                className="flex-1 h-2.5 bg-gray-200 dark:bg-slate-700 rounded-full overflow-hidden"
+                role="progressbar"
+                aria-valuenow={percent}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-label={`${stars} star reviews`}
+              >
+                <div
+                  className="h-full bg-yellow-500 rounded-full"
+                  style={{ width: `${percent}%` }}
+                ></div>
+              </div>
+              <span className="w-10 text-right text-gray-500 dark:text-slate-400">
+                {count}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -1,46 +1,13 @@
 /**
  * ReviewCard Component
  *
- * Displays a single product review with rating, comment, and user info.
+ * Displays a single product review with rating, comment, and user info,
+ * plus its photos, helpful/unhelpful votes and the store's reply.
  */
 
 import { Rating } from "./Rating";
-
-/**
- * Format date to relative time (e.g., "2 days ago")
- * @param {string|Date} date - Date string or Date object
- * @returns {string} Formatted date string
- */
-function formatRelativeTime(date) {
-  if (!date) return "";
-
-  try {
-    const dateObj = typeof date === "string" ? new Date(date) : date;
-    const now = new Date();
-    const diffMs = now - dateObj;
-    const diffSecs = Math.floor(diffMs / 1000);
-    const diffMins = Math.floor(diffSecs / 60);
-    const diffHours = Math.floor(diffMins / 60);
-    const diffDays = Math.floor(diffHours / 24);
-    const diffWeeks = Math.floor(diffDays / 7);
-    const diffMonths = Math.floor(diffDays / 30);
-    const diffYears = Math.floor(diffDays / 365);
-
-    if (diffSecs < 60) return "just now";
-    if (diffMins < 60)
-      return `${diffMins} minute${diffMins > 1 ? "s" : ""} ago`;
-    if (diffHours < 24)
-      return `${diffHours} hour${diffHours > 1 ? "s" : ""} ago`;
-    if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? "s" : ""} ago`;
-    if (diffWeeks < 4)
-      return `${diffWeeks} week${diffWeeks > 1 ? "s" : ""} ago`;
-    if (diffMonths < 12)
-      return `${diffMonths} month${diffMonths > 1 ? "s" : ""} ago`;
-    return `${diffYears} year${diffYears > 1 ? "s" : ""} ago`;
-  } catch {
-    return "";
-  }
-}
+import { getOptimizedImageUrl } from "../../services/imageService";
+import { formatRelativeTime } from "../../utils";
 
 /**
  * ReviewCard component
@@ -50,9 +17,16 @@ function formatRelativeTime(date) {
  * @param {string} review.comment - Review comment
  * @param {string} review.userName - User name
  * @param {string} review.createdAt - Creation timestamp
+ * @param {Array<string>} review.images - Photo URLs
+ * @param {number} review.helpfulCount - Helpful votes
+ * @param {number} review.unhelpfulCount - Unhelpful votes
+ * @param {string|null} review.myVote - Current user's vote (helpful, unhelpful, null)
+ * @param {Object} review.reply - Store reply { text, createdAt }
  * @param {boolean} showActions - Whether to show edit/delete actions
  * @param {Function} onEdit - Edit handler
  * @param {Function} onDelete - Delete handler
+ * @param {Function} onVote - Vote handler (receives review and "helpful", "unhelpful" or null)
+ * @param {boolean} isVoting - Whether a vote is being saved
  * @param {string} currentUserId - Current user ID (to check if user owns the review)
  */
 export const ReviewCard = ({
@@ -60,11 +34,34 @@ export const ReviewCard = ({
   showActions = false,
   onEdit,
   onDelete,
+  onVote,
+  isVoting = false,
   currentUserId,
 }) => {
-  const isOwner = currentUserId && review.userId === currentUserId;
+  // isMine is set by the API for the signed-in caller (reviews don't include user IDs)
+  const isOwner = !!currentUserId && !!review.isMine;
   const canEdit = showActions && isOwner;
   const canDelete = showActions && isOwner;
+  // Logged-in customers can vote on other people's reviews
+  const canVote = !!onVote && !!currentUserId && !isOwner;
+  const images = review.images || [];
+
+  // Clicking the current vote again removes it
+  const handleVote = (vote) => {
+    if (!canVote || isVoting) return;
+    onVote(review, review.myVote === vote ? null : vote);
+  };
+
+  const voteButtonClass = (vote) =>
+    `inline-flex items-center gap-1 px-2 py-1 rounded-md border transition-colors ${
+      review.myVote === vote
+        ? "border-blue-600 text-blue-600 dark:border-blue-400 dark:text-blue-400"
+        : "border-gray-200 dark:border-slate-600 text-gray-600 dark:text-slate-400"
+    } ${
+      canVote
+        ? "hover:bg-gray-100 dark:hover:bg-slate-700"
+        : "cursor-default"
+    } disabled:opacity-50`;
 
   return (
     <div className="p-4 sm:p-6 border border-gray-200 dark:border-slate-700 rounded-lg shadow-sm dark:shadow-slate-900/50 bg-white dark:bg-slate-800">
@@ -85,10 +82,75 @@ export const ReviewCard = ({
             {review.comment}
           </p>
 
-          {/* Timestamp */}
-          <div className="text-xs sm:text-sm text-gray-500 dark:text-slate-400">
-            {formatRelativeTime(review.createdAt)}
+          {/* Photos */}
+          {images.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-3">
+              {images.map((image, index) => (
+                <a
+                  key={image}
+                  href={image}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  aria-label={`Open review photo ${index + 1}`}
+                >
+                  <img
+                    src={getOptimizedImageUrl(image, { width: 160, height: 160, crop: "fill" })}
+                    alt={`Review by ${review.userName || "Anonymous"} (${index + 1})`}
+                    loading="lazy"
+                    className="w-20 h-20 object-cover rounded-md border border-gray-200 dark:border-slate-700"
+                  />
+                </a>
+              ))}
+            </div>
+          )}
+
+          {/* Timestamp and Votes */}
+          <div className="flex flex-wrap items-center gap-3 text-xs sm:text-sm text-gray-500 dark:text-slate-400">
+            <span>{formatRelativeTime(review.createdAt)}</span>
+            <span className="flex items-center gap-2">
+              <span className="hidden sm:inline">Helpful?</span>
+              <button
+                type="button"
+                onClick={() => handleVote("helpful")}
+                disabled={!canVote || isVoting}
+                className={voteButtonClass("helpful")}
+                aria-label="Mark review as helpful"
+                aria-pressed={review.myVote === "helpful"}
+                title={canVote ? "Helpful" : isOwner ? "Your review" : "Log in to vote"}
+              >
+                <i className={review.myVote === "helpful" ? "bi bi-hand-thumbs-up-fill" : "bi bi-hand-thumbs-up"}></i>
+                {review.helpfulCount || 0}
+              </button>
+              <button
+                type="button"
+                onClick={() => handleVote("unhelpful")}
+                disabled={!canVote || isVoting}
+                className={voteButtonClass("unhelpful")}
+                aria-label="Mark review as not helpful"
+                aria-pressed={review.myVote === "unhelpful"}
+                title={canVote ? "Not helpful" : isOwner ? "Your review" : "Log in to vote"}
+              >
+                <i className={review.myVote === "unhelpful" ? "bi bi-hand-thumbs-down-fill" : "bi bi-hand-thumbs-down"}></i>
+                {review.unhelpfulCount || 0}
+              </button>
+            </span>
           </div>
+
+          {/* Store Reply */}
+          {review.reply?.text && (
+            <div className="mt-4 pl-4 border-l-4 border-blue-500 dark:border-blue-400 bg-gray-50 dark:bg-slate-900/40 rounded-r-md p-3">
+              <div className="flex items-center gap-2 mb-1 text-sm font-semibold text-gray-900 dark:text-slate-200">
+                <i className="bi bi-shop"></i>
+                Response from CodeBook
+                <span className="font-normal text-xs text-gray-500 dark:text-slate-400">
+                  {formatRelativeTime(review.reply.createdAt)}
+                </span>
+              </div>
+              <p className="text-sm text-gray-700 dark:text-slate-300 whitespace-pre-line">
+                {review.reply.text}
+              </p>
+            </div>
+          )}
         </div>
 
         {/* Actions */}
@@ -2,17 +2,24 @@
  * ReviewForm Component
  *
  * Form for creating or editing a product review.
+ * Customers can attach up to MAX_REVIEW_IMAGES photos (uploaded via imageService).
  */
 
-import { useState, useCallback } from "react";
+import { useState, useCallback, useRef } from "react";
+import { toast } from "react-toastify";
 import { Rating } from "./Rating";
 import { FormTextarea } from "../ui/form-textarea";
 import { FormError } from "../ui/form-error";
+import { useImageUpload } from "../../hooks/useImageUpload";
+import { getOptimizedImageUrl } from "../../services/imageService";
+
+// Same limit as the API (shared/reviews.js)
+const MAX_REVIEW_IMAGES = 4;
 
 /**
  * ReviewForm component
  * @param {Object} props
- * @param {Function} props.onSubmit - Submit handler (receives { rating, comment })
+ * @param {Function} props.onSubmit - Submit handler (receives { rating, comment, images })
  * @param {Function} props.onCancel - Cancel handler
  * @param {Object} props.initialData - Initial form data (for editing)
  * @param {boolean} props.isSubmitting - Whether form is submitting
@@ -25,7 +32,44 @@ export const ReviewForm = ({
 }) => {
   const [rating, setRating] = useState(initialData?.rating || 0);
   const [comment, setComment] = useState(initialData?.comment || "");
+  const [images, setImages] = useState(initialData?.images || []);
   const [errors, setErrors] = useState({});
+  const fileInputRef = useRef(null);
+
+  const imageUploadMutation = useImageUpload({ folder: "codebook/reviews" });
+  const isUploading = imageUploadMutation.isPending;
+
+  // Upload the chosen photos one after another (up to the remaining slots)
+  const handleImagesSelected = useCallback(
+    async (e) => {
+      const files = Array.from(e.target.files || []);
+      e.target.value = ""; // Allow choosing the same file again
+      const remaining = MAX_REVIEW_IMAGES - images.length;
+      if (files.length > remaining) {
+        toast.info(`You can add up to ${MAX_REVIEW_IMAGES} photos`, {
+          closeButton: true,
+          position: "bottom-right",
+        });
+      }
+
+      for (const file of files.slice(0, remaining)) {
+        try {
+          const result = await imageUploadMutation.mutateAsync(file);
+          setImages((prev) => [...prev, result.url].slice(0, MAX_REVIEW_IMAGES));
+        } catch (error) {
+          toast.error(error.message || "Failed to upload photo", {
+            closeButton: true,
+            position: "bottom-right",
+          });
+        }
+      }
+    },
+    [images.length, imageUploadMutation]
+  );
+
+  const handleRemoveImage = useCallback((url) => {
+    setImages((prev) => prev.filter((image) => image !== url));
+  }, []);
 
   const handleRatingClick = useCallback((selectedRating) => {
     setRating(selectedRating);
@@ -54,9 +98,9 @@ export const ReviewForm = ({
       }
 
       setErrors({});
-      onSubmit({ rating, comment: comment.trim() });
+      onSubmit({ rating, comment: comment.trim(), images });
     },
-    [rating, comment, onSubmit]
+    [rating, comment, images, onSubmit]
   );
 
   return (
@@ -113,11 +157,60 @@ export const ReviewForm = ({
         />
       </div>
 
+      {/* Photos */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-slate-300 mb-2">
+          Photos{" "}
+          <span className="font-normal text-gray-500 dark:text-slate-400">
+            (optional, up to {MAX_REVIEW_IMAGES})
+          </span>
+        </label>
+        <div className="flex flex-wrap items-center gap-2">
+          {images.map((image, index) => (
+            <div key={image} className="relative">
+              <img
+                src={getOptimizedImageUrl(image, { width: 160, height: 160, crop: "fill" })}
+                alt={`Review attachment ${index + 1}`}
+                className="w-20 h-20 object-cover rounded-md border border-gray-200 dark:border-slate-700"
+              />
+              <button
+                type="button"
+                onClick={() => handleRemoveImage(image)}
+                disabled={isSubmitting}
+                className="absolute -top-2 -right-2 w-6 h-6 flex items-center justify-center rounded-full bg-red-600 text-white text-xs hover:bg-red-700 disabled:opacity-50"
+                aria-label={`Remove photo ${index + 1}`}
+              >
+                <i className="bi bi-x"></i>
+              </button>
+            </div>
+          ))}
+          {images.length < MAX_REVIEW_IMAGES && (
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isSubmitting || isUploading}
+              className="w-20 h-20 flex flex-col items-center justify-center gap-1 rounded-md border-2 border-dashed border-gray-300 dark:border-slate-600 text-gray-500 dark:text-slate-400 hover:border-blue-500 hover:text-blue-600 dark:hover:border-blue-400 dark:hover:text-blue-400 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <i className={`bi ${isUploading ? "bi-hourglass-split" : "bi-camera"} text-xl`}></i>
+              <span className="text-xs">{isUploading ? "Uploading" : "Add photo"}</span>
+            </button>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/jpeg,image/png,image/webp,image/gif"
+            multiple
+            onChange={handleImagesSelected}
+            className="hidden"
+          />
+        </div>
+      </div>
+
       {/* Actions */}
       <div className="flex items-center gap-3">
         <button
           type="submit"
-          disabled={isSubmitting}
+          disabled={isSubmitting || isUploading}
           className={`px-4 py-2 rounded-lg font-medium text-white transition-colors ${
             isSubmitting
               ? "bg-gray-400 cursor-not-allowed"
@@ -1,73 +1,64 @@
 /**
  * ReviewList Component
  *
- * Displays a list of product reviews with sorting and pagination options.
+ * Displays a list of product reviews with a rating histogram and sort options.
+ * Reviews are sorted by the API (GET /reviews?sort=...), so the sort is
+ * controlled by the page that fetches them.
  */
 
-import { useState, useMemo, useCallback } from "react";
+import { useCallback } from "react";
 import { ReviewCard } from "./ReviewCard";
+import { RatingHistogram } from "./RatingHistogram";
 import { EmptyState } from "../ui/empty-state";
 import { FormSelect } from "../ui/form-select";
 
 // Memoized sort options (static data - never changes)
 const SORT_OPTIONS = [
   { value: "newest", label: "Newest First" },
-  { value: "oldest", label: "Oldest First" },
+  { value: "helpful", label: "Most Helpful" },
   { value: "highest", label: "Highest Rated" },
   { value: "lowest", label: "Lowest Rated" },
+  { value: "oldest", label: "Oldest First" },
 ];
 
 /**
  * ReviewList component
  * @param {Object} props
- * @param {Array} props.reviews - Array of review objects
+ * @param {Array} props.reviews - Array of review objects (already sorted)
+ * @param {Object} props.ratingStats - Rating stats with histogram (optional)
  * @param {boolean} props.isLoading - Loading state
+ * @param {string} props.sortBy - Current sort (newest, helpful, highest, lowest, oldest)
+ * @param {Function} props.onSortChange - Sort change handler (receives the sort value)
  * @param {Function} props.onEdit - Edit handler
  * @param {Function} props.onDelete - Delete handler
+ * @param {Function} props.onVote - Vote handler (receives review and vote)
+ * @param {boolean} props.isVoting - Whether a vote is being saved
  * @param {string} props.currentUserId - Current user ID
  */
 export const ReviewList = ({
   reviews = [],
+  ratingStats = null,
   isLoading = false,
+  sortBy = "newest",
+  onSortChange,
   onEdit,
   onDelete,
+  onVote,
+  isVoting = false,
   currentUserId,
 }) => {
-  const [sortBy, setSortBy] = useState("newest");
-
-  // Sort reviews based on selected option
-  const sortedReviews = useMemo(() => {
-    if (!reviews || reviews.length === 0) return [];
-
-    const sorted = [...reviews];
-
-    switch (sortBy) {
-      case "newest":
-        return sorted.sort(
-          (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-        );
-      case "oldest":
-        return sorted.sort(
-          (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
-        );
-      case "highest":
-        return sorted.sort((a, b) => b.rating - a.rating);
-      case "lowest":
-        return sorted.sort((a, b) => a.rating - b.rating);
-      default:
-        return sorted;
-    }
-  }, [reviews, sortBy]);
-
-  const handleSortChange = useCallback((e) => {
-    setSortBy(e.target.value);
-  }, []);
+  const handleSortChange = useCallback(
+    (e) => {
+      onSortChange && onSortChange(e.target.value);
+    },
+    [onSortChange]
+  );
 
   if (isLoading) {
     return <ReviewListSkeleton />;
   }
 
-  if (sortedReviews.length === 0) {
+  if (reviews.length === 0) {
     return (
       <EmptyState
         title="No Reviews Yet"
@@ -78,10 +69,13 @@ export const ReviewList = ({
 
   return (
     <div className="space-y-4">
+      {/* Rating Histogram */}
+      {ratingStats && <RatingHistogram ratingStats={ratingStats} />}
+
       {/* Sort Controls */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-0">
         <h3 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-slate-200">
-          Reviews ({sortedReviews.length})
+          Reviews ({reviews.length})
         </h3>
         <div className="flex items-center gap-2">
           <label className="text-sm text-gray-600 dark:text-slate-400 whitespace-nowrap">
@@ -98,13 +92,15 @@ export const ReviewList = ({
 
       {/* Reviews List */}
       <div className="space-y-4">
-        {sortedReviews.map((review) => (
+        {reviews.map((review) => (
           <ReviewCard
             key={review.id}
             review={review}
             showActions={true}
             onEdit={onEdit}
             onDelete={onDelete}
+            onVote={onVote}
+            isVoting={isVoting}
             currentUserId={currentUserId}
           />
         ))}
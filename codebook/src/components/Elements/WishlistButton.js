@@ -0,0 +1,59 @@
+import { toast } from "react-toastify";
+import { useWishlist, useAddToWishlist, useRemoveFromWishlist } from "../../hooks/useWishlist";
+
+/**
+ * Heart toggle that adds a book to / removes it from the user's wishlist
+ *
+ * @param {Object} props
+ * @param {string} props.productId - Product ID
+ * @param {string} [props.className] - Extra classes (e.g. for positioning)
+ * @param {boolean} [props.showLabel=false] - Show "Wishlist" / "Wishlisted" next to the heart
+ */
+export const WishlistButton = ({ productId, className = "", showLabel = false }) => {
+  const { data: wishlist } = useWishlist();
+  const addToWishlist = useAddToWishlist();
+  const removeFromWishlist = useRemoveFromWishlist();
+
+  const isWishlisted = (wishlist?.productIds || []).includes(productId);
+  const isPending = addToWishlist.isPending || removeFromWishlist.isPending;
+
+  const handleClick = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (!sessionStorage.getItem("token")) {
+      toast.info("Please log in to save books to your wishlist", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      return;
+    }
+
+    if (isWishlisted) {
+      removeFromWishlist.mutate(productId);
+    } else {
+      addToWishlist.mutate(productId);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={isPending}
+      aria-pressed={isWishlisted}
+      aria-label={isWishlisted ? "Remove from wishlist" : "Add to wishlist"}
+      title={isWishlisted ? "Remove from wishlist" : "Add to wishlist"}
+      className={`inline-flex items-center justify-center gap-1.5 rounded-full bg-white/90 dark:bg-gray-800/90 px-2.5 py-1.5 shadow-sm border border-gray-200 dark:border-gray-600 hover:bg-white dark:hover:bg-gray-700 transition-colors disabled:opacity-60 disabled:cursor-wait ${className}`}
+    >
+      <i
+        className={`bi ${isWishlisted ? "bi-heart-fill text-red-500" : "bi-heart text-gray-600 dark:text-gray-300"}`}
+      ></i>
+      {showLabel && (
+        <span className="text-sm font-medium text-gray-700 dark:text-gray-200">
+          {isWishlisted ? "Wishlisted" : "Wishlist"}
+        </span>
+      )}
+    </button>
+  );
+};
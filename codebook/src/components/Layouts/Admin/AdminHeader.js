@@ -11,6 +11,7 @@ import { toast } from "react-toastify";
 import { useQueryClient } from "@tanstack/react-query";
 import { logout } from "../../../services";
 import { useUser } from "../../../hooks/useUser";
+import { NotificationDropdown } from "../../Elements/NotificationDropdown";
 
 export const AdminHeader = ({ onMenuClick }) => {
   const navigate = useNavigate();
@@ -85,6 +86,9 @@ export const AdminHeader = ({ onMenuClick }) => {
 
         {/* Right: User Info & Actions */}
         <div className="flex items-center gap-4">
+          {/* Notifications */}
+          <NotificationDropdown className="text-xl text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white" />
+
           {/* User Email */}
           <div className="hidden md:flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-800 rounded-lg">
             <span className="bi-person-circle text-xl text-gray-700 dark:text-gray-300"></span>
@@ -105,6 +105,11 @@ export const AdminSidebar = ({ isOpen, setIsOpen, onMenuClick }) => {
       label: "Users",
       icon: "bi-people",
     },
+    {
+      path: "/admin/coupons",
+      label: "Coupons",
+      icon: "bi-tag",
+    },
     {
       path: "/admin/business-insights",
       label: "Analytics",
@@ -125,6 +130,11 @@ export const AdminSidebar = ({ isOpen, setIsOpen, onMenuClick }) => {
       label: "Product Reviews",
       icon: "bi-star",
     },
+    {
+      path: "/admin/email-templates",
+      label: "Email Templates",
+      icon: "bi-envelope",
+    },
     {
       path: "/admin/settings",
       label: "Settings",
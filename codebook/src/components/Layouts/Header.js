@@ -2,7 +2,7 @@ import { useEffect, useState, useMemo } from "react";
 import { Link } from "react-router-dom";
 import Logo from "../../assets/logo.png";
 import { Search } from "../Sections/Search";
-import { DropdownLoggedOut, DropdownLoggedIn } from "../index";
+import { DropdownLoggedOut, DropdownLoggedIn, NotificationDropdown } from "../index";
 import { useCart } from "../../context";
 
 export const Header = () => {
@@ -58,6 +58,9 @@ export const Header = () => {
                 </span>
               </span>
             </Link>
+            {token && (
+              <NotificationDropdown className="text-xl text-gray-700 dark:text-white mr-3 sm:mr-5" />
+            )}
             <span
               onClick={() => setDropdown(!dropdown)}
               className="bi bi-person-circle cursor-pointer text-2xl text-gray-700 dark:text-white"
@@ -1,22 +1,123 @@
-import { useRef } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
+import { useSearchSuggestions } from "../../hooks/useProducts";
+import { getProductImageUrl } from "../../utils/productImage";
+import { formatPrice } from "../../utils/formatPrice";
+
+// Wait for a pause in typing before asking for suggestions
+const SUGGESTION_DELAY_MS = 250;
 
 export const Search = ({setSearchSection}) => {
   const navigate = useNavigate();
   const searchRef = useRef();
+  const [input, setInput] = useState("");
+  const [debouncedInput, setDebouncedInput] = useState("");
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedInput(input), SUGGESTION_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [input]);
+
+  const { data: suggestions } = useSearchSuggestions(debouncedInput);
+  const showSuggestions = input.trim().length >= 2 && debouncedInput.trim().length >= 2;
+  const terms = showSuggestions ? suggestions?.terms || [] : [];
+  const products = showSuggestions ? suggestions?.products || [] : [];
+
+  // Keyboard navigation runs over terms first, then products
+  const options = [
+    ...terms.map((term) => ({ type: "term", term })),
+    ...products.map((product) => ({ type: "product", product })),
+  ];
+
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [debouncedInput]);
+
+  // Replace the word being typed with the chosen completion
+  const completeTerm = (term) => {
+    const words = input.trim().split(/\s+/);
+    words[words.length - 1] = term;
+    return words.join(" ");
+  };
+
+  const searchFor = (query) => {
+    setSearchSection(false);
+    navigate(`/products?q=${encodeURIComponent(query)}`);
+  }
+
+  const selectOption = (option) => {
+    if (option.type === "term") {
+      searchFor(completeTerm(option.term));
+    } else {
+      setSearchSection(false);
+      navigate(`/products/${option.product.id}`);
+    }
+  }
 
   const handleSearch = (event) => {
     event.preventDefault();
-    setSearchSection(false);
-    navigate(`/products?q=${searchRef.current.value}`);
+    if (activeIndex >= 0 && options[activeIndex]) {
+      selectOption(options[activeIndex]);
+      return;
+    }
+    searchFor(searchRef.current.value);
   }
 
+  const handleKeyDown = (event) => {
+    if (options.length === 0) return;
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActiveIndex((index) => (index + 1) % options.length);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? options.length - 1 : index - 1));
+    } else if (event.key === "Escape") {
+      setActiveIndex(-1);
+      setInput("");
+    }
+  }
+
+  const optionClass = (index) =>
+    `flex items-center gap-3 w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-200 ${
+      index === activeIndex ? "bg-gray-100 dark:bg-gray-600" : "hover:bg-gray-100 dark:hover:bg-gray-600"
+    }`;
+
   return (
     <div className="mx-auto max-w-screen-xl p-2 my-5">
         <form onSubmit={handleSearch} className="flex items-center">   
             <div className="relative w-full">
                 <span className="bi bi-search flex absolute inset-y-0 left-0 items-center pl-3 pointer-events-none"></span>
-                <input ref={searchRef} name="search" type="text" id="simple-search" className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full pl-10 p-2.5  dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white dark:focus:ring-blue-500 dark:focus:border-blue-500" placeholder="Search" autoComplete="off" required="" />
+                <input ref={searchRef} name="search" type="text" id="simple-search" value={input} onChange={(event) => setInput(event.target.value)} onKeyDown={handleKeyDown} className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full pl-10 p-2.5  dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white dark:focus:ring-blue-500 dark:focus:border-blue-500" placeholder="Search" autoComplete="off" required="" role="combobox" aria-expanded={options.length > 0} aria-controls="search-suggestions" />
+                {options.length > 0 && (
+                  <ul id="search-suggestions" role="listbox" className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg dark:bg-gray-700 dark:border-gray-600 overflow-hidden">
+                    {terms.map((term, index) => (
+                      <li key={`term-${term}`} role="option" aria-selected={index === activeIndex}>
+                        <button type="button" onMouseDown={(event) => event.preventDefault()} onClick={() => selectOption(options[index])} className={optionClass(index)}>
+                          <span className="bi bi-search text-gray-400"></span>
+                          <span>{completeTerm(term)}</span>
+                        </button>
+                      </li>
+                    ))}
+                    {products.map((product, productIndex) => {
+                      const index = terms.length + productIndex;
+                      const imageUrl = getProductImageUrl(product);
+                      return (
+                        <li key={`product-${product.id}`} role="option" aria-selected={index === activeIndex}>
+                          <button type="button" onMouseDown={(event) => event.preventDefault()} onClick={() => selectOption(options[index])} className={optionClass(index)}>
+                            {imageUrl ? (
+                              <img src={imageUrl} alt="" className="w-8 h-8 rounded object-cover" loading="lazy" />
+                            ) : (
+                              <span className="bi bi-book w-8 text-center text-gray-400"></span>
+                            )}
+                            <span className="flex-1 truncate">{product.name}</span>
+                            <span className="text-gray-500 dark:text-gray-400">${formatPrice(product.price)}</span>
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
             </div>
             <button type="submit" className="bi bi-search py-2.5 px-3 ml-2 text-sm font-medium text-white bg-blue-700 rounded-lg border border-blue-700 hover:bg-blue-800 focus:ring-4 focus:outline-none focus:ring-blue-300 dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800">
             </button>
@@ -6,11 +6,14 @@ export { ProductCard } from "./Elements/ProductCard";
 export { ProductCardSkeleton } from "./Elements/ProductCardSkeleton";
 export { ProductDetailSkeleton } from "./Elements/ProductDetailSkeleton";
 export { Rating } from "./Elements/Rating";
+export { RatingHistogram } from "./Elements/RatingHistogram";
 export { ReviewCard } from "./Elements/ReviewCard";
 export { ReviewForm } from "./Elements/ReviewForm";
 export { ReviewList, ReviewListSkeleton, ReviewCardSkeleton } from "./Elements/ReviewList";
+export { WishlistButton } from "./Elements/WishlistButton";
 
 export { DropdownLoggedIn } from "./Elements/DropdownLoggedIn";
 export { DropdownLoggedOut } from "./Elements/DropdownLoggedOut";
+export { NotificationDropdown } from "./Elements/NotificationDropdown";
 
 export { ScrollToTop } from "./Other/ScrollToTop";
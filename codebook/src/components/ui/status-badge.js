@@ -45,6 +45,9 @@ export function StatusBadge({
     if (statusLower === "refunded") {
       return "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200";
     }
+    if (statusLower === "partially_refunded") {
+      return "bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300";
+    }
     
     // Verification statuses
     if (statusLower === "verified") {
@@ -61,6 +64,9 @@ export function StatusBadge({
     if (statusLower === "out_of_stock" || statusLower === "out of stock") {
       return "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200";
     }
+    if (statusLower === "low_stock" || statusLower === "low stock") {
+      return "bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300";
+    }
     
     // Product statuses
     if (statusLower === "best_seller" || statusLower === "best seller") {
@@ -78,6 +84,14 @@ export function StatusBadge({
       return "bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-200";
     }
     
+    // Coupon statuses
+    if (statusLower === "active") {
+      return "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200";
+    }
+    if (statusLower === "expired" || statusLower === "used_up") {
+      return "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200";
+    }
+    
     // Default
     return "bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-200";
   };
@@ -1,20 +1,109 @@
-import { createContext, useContext, useReducer, useEffect, useRef } from "react";
-import { cartReducer } from "../reducers";
+import { createContext, useContext, useReducer, useEffect, useRef, useCallback } from "react";
+import { toast } from "react-toastify";
+import { cartReducer, getCartLineKey } from "../reducers";
+import { getCart, saveCart, mergeCart } from "../services/cartService";
 
 const cartInitialState = {
     cartList: [],
-    total: 0
+    total: 0,
+    coupon: null // Applied coupon: { coupon, subtotal, discount, freeShipping, total } from POST /cart/apply-coupon
 }
 
 const CartContext = createContext(cartInitialState);
 
+// Guest cart is kept in localStorage (survives closing the tab) until it is merged on login
+const GUEST_CART_KEY = "guestCart";
+
+// Wait for quantity clicks to settle before saving the cart to the API
+const SAVE_DELAY_MS = 500;
+
+/**
+ * Get the logged-in user ID (null for guests)
+ * @returns {string|null} User ID
+ */
+function getCurrentUserId() {
+    try {
+        const userId = sessionStorage.getItem("cbid");
+        return userId ? JSON.parse(userId) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the guest cart from localStorage
+ * @returns {Array} Cart items ({ ...product, quantity })
+ */
+function readGuestCart() {
+    try {
+        const cartList = JSON.parse(localStorage.getItem(GUEST_CART_KEY));
+        return Array.isArray(cartList) ? cartList : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Store the guest cart in localStorage (an empty cart removes it)
+ * @param {Array} cartList - Cart items
+ */
+function writeGuestCart(cartList) {
+    try {
+        if (cartList.length > 0) {
+            localStorage.setItem(GUEST_CART_KEY, JSON.stringify(cartList));
+        } else {
+            localStorage.removeItem(GUEST_CART_KEY);
+        }
+    } catch (error) {
+        console.warn("Failed to store guest cart:", error);
+    }
+}
+
+/**
+ * Sum of price x quantity of all cart items
+ * @param {Array} cartList - Cart items
+ * @returns {number} Cart total
+ */
+function calculateTotal(cartList) {
+    return cartList.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0);
+}
+
+/**
+ * Initial state: guests start with the cart they left in localStorage,
+ * logged-in users get their server cart once it is loaded
+ */
+function initCartState(initialState) {
+    if (getCurrentUserId()) return initialState;
+    const cartList = readGuestCart();
+    return { ...initialState, cartList, total: calculateTotal(cartList) };
+}
+
+/**
+ * Tell the customer what changed when the cart was revalidated by the API
+ * (books removed, quantities reduced to the stock, new prices)
+ * @param {Array} adjustments - Adjustments from GET/PUT /cart
+ */
+function showCartAdjustments(adjustments = []) {
+    adjustments.forEach((adjustment) => {
+        toast.warning(adjustment.message, {
+            closeButton: true,
+            position: "bottom-right",
+        });
+    });
+}
+
 export const CartProvider = ({children}) => {
-    const [state, dispatch] = useReducer(cartReducer, cartInitialState);
+    const [state, dispatch] = useReducer(cartReducer, cartInitialState, initCartState);
     const previousUserIdRef = useRef(null); // Track previous user ID to detect user changes
+    const cartOwnerRef = useRef(getCurrentUserId() ? undefined : null); // Whose cart is in state (null = guest, undefined = not loaded yet)
+    const syncRef = useRef(null); // { userId, promise } of the server cart load for the current login
+    const serverListRef = useRef(null); // cartList as last received from the API (not saved again)
 
     /**
      * Add product to cart or increase quantity if already exists
      * Cart items structure: { ...product, quantity: number }
+     * Products sold in several formats are added as the chosen variant
+     * (see getVariantProduct) - each format is its own cart line.
      */
     function addToCart(product){
         // Validate product
@@ -36,7 +125,7 @@ export const CartProvider = ({children}) => {
 
         // Check if requested quantity exceeds available stock (if stock tracking enabled)
         if (product.stock !== undefined) {
-            const existingItem = state.cartList.find(item => item.id === product.id);
+            const existingItem = state.cartList.find(item => getCartLineKey(item) === getCartLineKey(product));
             const currentQuantity = existingItem ? existingItem.quantity : 0;
             const requestedQuantity = currentQuantity + 1; // Adding 1 more item
             
@@ -47,7 +136,7 @@ export const CartProvider = ({children}) => {
         }
 
         // Check if product already exists in cart
-        const existingItemIndex = state.cartList.findIndex(item => item.id === product.id);
+        const existingItemIndex = state.cartList.findIndex(item => getCartLineKey(item) === getCartLineKey(product));
         const productPrice = product.price || 0;
         
         let updatedList;
@@ -78,16 +167,17 @@ export const CartProvider = ({children}) => {
     }
 
     /**
-     * Remove product from cart completely
+     * Remove product (or the format of it in the given cart item) from cart completely
      */
     function removeFromCart(product){
         if (!product || !product.id) return;
         
-        const itemToRemove = state.cartList.find(item => item.id === product.id);
+        const lineKey = getCartLineKey(product);
+        const itemToRemove = state.cartList.find(item => getCartLineKey(item) === lineKey);
         if (!itemToRemove) return;
 
         const itemTotal = (itemToRemove.quantity || 1) * (itemToRemove.price || 0);
-        const updatedList = state.cartList.filter(item => item.id !== product.id);
+        const updatedList = state.cartList.filter(item => getCartLineKey(item) !== lineKey);
         const updatedTotal = Math.max(0, state.total - itemTotal); // Ensure total doesn't go negative
 
         dispatch({
@@ -110,7 +200,7 @@ export const CartProvider = ({children}) => {
         // Ensure quantity is at least 1
         const quantity = Math.max(1, Math.floor(newQuantity || 1));
         
-        const existingItemIndex = state.cartList.findIndex(item => item.id === product.id);
+        const existingItemIndex = state.cartList.findIndex(item => getCartLineKey(item) === getCartLineKey(product));
         if (existingItemIndex < 0) return;
 
         const existingItem = state.cartList[existingItemIndex];
@@ -158,8 +248,90 @@ export const CartProvider = ({children}) => {
     }
 
     /**
-     * Clear cart when user changes (login/logout)
-     * Monitors sessionStorage for user ID changes to prevent cart persisting across users
+     * Replace the cart with the one returned by the API
+     * @param {Array} cartList - Cart items ({ ...product, quantity })
+     */
+    const setCart = useCallback((cartList) => {
+        serverListRef.current = cartList;
+        dispatch({
+            type: "SET_CART",
+            payload: {
+                products: cartList,
+                total: calculateTotal(cartList)
+            }
+        })
+    }, []);
+
+    /**
+     * Load the server cart of a user who just logged in (or reloaded the page).
+     * A guest cart is merged into it first (quantities summed and clamped to stock).
+     * Runs once per login - repeated calls return the same promise.
+     * @param {string} userId - Logged-in user ID
+     * @returns {Promise<Object|null>} Cart from the API (null if it couldn't be loaded)
+     */
+    const loadUserCart = useCallback((userId) => {
+        if (syncRef.current?.userId === userId) {
+            return syncRef.current.promise;
+        }
+
+        const guestCart = readGuestCart();
+        const promise = (guestCart.length > 0 ? mergeCart(guestCart) : getCart())
+            .then((cart) => {
+                if (guestCart.length > 0) {
+                    writeGuestCart([]);
+                }
+                // User logged out or switched while the request was running
+                if (getCurrentUserId() !== userId) {
+                    return cart;
+                }
+                cartOwnerRef.current = userId;
+                setCart(cart.cartList || []);
+                showCartAdjustments(cart.adjustments);
+                return cart;
+            })
+            .catch((error) => {
+                // Keep the local cart usable; it isn't saved until the next login
+                console.error("Failed to load cart:", error);
+                return null;
+            });
+
+        syncRef.current = { userId, promise };
+        return promise;
+    }, [setCart]);
+
+    /**
+     * Merge the guest cart into the server cart after login (called by the Login page)
+     * @returns {Promise<Object|null>} Merged cart (null for guests or if it couldn't be loaded)
+     */
+    function mergeGuestCart(){
+        const userId = getCurrentUserId();
+        return userId ? loadUserCart(userId) : Promise.resolve(null);
+    }
+
+    /**
+     * Store a validated coupon (result of POST /cart/apply-coupon)
+     * @param {Object} couponResult - { coupon, subtotal, discount, freeShipping, total }
+     */
+    function applyCoupon(couponResult){
+        dispatch({
+            type: "APPLY_COUPON",
+            payload: {
+                coupon: couponResult
+            }
+        })
+    }
+
+    function removeCoupon(){
+        dispatch({
+            type: "REMOVE_COUPON",
+            payload: {}
+        })
+    }
+
+    /**
+     * Swap carts when user changes (login/logout)
+     * Monitors sessionStorage for user ID changes to prevent cart persisting across users.
+     * A logged-in user gets their server cart; a guest cart is merged into it on login.
      */
     useEffect(() => {
         const checkUserChange = () => {
@@ -167,17 +339,26 @@ export const CartProvider = ({children}) => {
                 const currentUserId = sessionStorage.getItem("cbid");
                 const parsedUserId = currentUserId ? JSON.parse(currentUserId) : null;
 
-                // If user ID changed (login, logout, or switch user), clear cart
+                // If a logged-in user logs out or switches, clear cart
                 if (previousUserIdRef.current !== null && previousUserIdRef.current !== parsedUserId) {
                     clearCart();
+                    cartOwnerRef.current = null;
+                    syncRef.current = null;
                 }
 
                 // Update previous user ID
                 previousUserIdRef.current = parsedUserId;
+
+                // Load the server cart (merging the guest cart) once per login
+                if (parsedUserId && cartOwnerRef.current !== parsedUserId) {
+                    loadUserCart(parsedUserId);
+                }
             } catch (error) {
                 // If error parsing, treat as logout (no user)
                 if (previousUserIdRef.current !== null) {
                     clearCart();
+                    cartOwnerRef.current = null;
+                    syncRef.current = null;
                     previousUserIdRef.current = null;
                 }
             }
@@ -205,15 +386,58 @@ export const CartProvider = ({children}) => {
             window.removeEventListener("storage", handleStorageChange);
             clearInterval(interval);
         };
-    }, []); // Empty dependency array - only run on mount/unmount
+    }, [loadUserCart]); // loadUserCart is stable - only runs on mount/unmount
+
+    /**
+     * Persist cart changes: guests in localStorage, logged-in users via PUT /cart
+     * (debounced; carts that came from the API aren't sent back)
+     */
+    useEffect(() => {
+        const userId = getCurrentUserId();
+        if (!userId) {
+            writeGuestCart(state.cartList);
+            return undefined;
+        }
+
+        // Not loaded yet (or loading failed) - don't overwrite the server cart
+        if (cartOwnerRef.current !== userId || state.cartList === serverListRef.current) {
+            return undefined;
+        }
+
+        const cartList = state.cartList;
+        const timeoutId = setTimeout(() => {
+            saveCart(cartList)
+                .then((cart) => {
+                    // Stock or prices changed since the books were added
+                    if (cart.adjustments?.length > 0 && getCurrentUserId() === userId) {
+                        setCart(cart.cartList || []);
+                        showCartAdjustments(cart.adjustments);
+                    }
+                })
+                .catch((error) => {
+                    console.error("Failed to save cart:", error);
+                });
+        }, SAVE_DELAY_MS);
+
+        return () => clearTimeout(timeoutId);
+    }, [state.cartList, setCart]);
+
+    // Discount from the applied coupon - total stays the undiscounted subtotal
+    const discount = state.coupon?.discount || 0;
 
     const value = {
         cartList: state.cartList,
         total: state.total,
+        coupon: state.coupon,
+        discount,
+        payableTotal: Math.max(0, state.total - discount),
         addToCart,
         removeFromCart,
         updateQuantity,
-        clearCart
+        clearCart,
+        mergeGuestCart,
+        applyCoupon,
+        removeCoupon
     }
 
     return (
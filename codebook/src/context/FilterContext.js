@@ -1,69 +1,56 @@
-import { createContext, useContext, useReducer, useCallback } from "react"
+import { createContext, useContext, useReducer, useMemo } from "react"
 import { filterReducer } from "../reducers";
 
 const filterInitialState = {
-    productList: [],
     onlyInStock: false,
     bestSellerOnly: false,
     sortBy: null,
-    ratings: null
+    ratings: null,
+    minPrice: "",
+    maxPrice: "",
+    categories: [],
+    tags: []
 }
 
 const FilterContext = createContext(filterInitialState);
 
-export const FilterProvider = ({children}) => {
-    const [state, dispatch] = useReducer(filterReducer, filterInitialState);
-
-    const initialProductList = useCallback((products) => {
-        dispatch({
-            type: "PRODUCT_LIST",
-            payload: {
-                products: products
-            }
-        });
-    }, []);
-
-    function bestSeller(products){
-        return state.bestSellerOnly ? products.filter(product => product.best_seller === true) : products;
-    }
+// Sort options offered in FilterBar mapped to the API's sort/order parameters
+const SORT_OPTIONS = {
+    lowtohigh: { sort: "price", order: "asc" },
+    hightolow: { sort: "price", order: "desc" },
+    toprated: { sort: "rating", order: "desc" },
+    newest: { sort: "createdAt", order: "desc" }
+}
 
-    function inStock(products){
-        return state.onlyInStock ? products.filter(product => product.in_stock === true) : products;
-    }
-    
-    function sort(products){
-        if(state.sortBy === "lowtohigh"){
-            return products.sort((a, b) => Number(a.price) - Number(b.price));
-        }
-        if(state.sortBy === "hightolow"){
-            return products.sort((a, b) => Number(b.price) - Number(a.price));
-        }
-        return products;
-    }
+// Rating options offered in FilterBar mapped to the API's min_rating parameter
+const RATING_OPTIONS = {
+    "4STARSABOVE": 4,
+    "3STARSABOVE": 3,
+    "2STARSABOVE": 2,
+    "1STARSABOVE": 1
+}
 
-    function rating(products){
-        if(state.ratings === "4STARSABOVE"){
-            return products.filter(product => product.rating >= 4);
-        }
-        if(state.ratings === "3STARSABOVE"){
-            return products.filter(product => product.rating >= 3);
-        }
-        if(state.ratings === "2STARSABOVE"){
-            return products.filter(product => product.rating >= 2);
-        }
-        if(state.ratings === "1STARSABOVE"){
-            return products.filter(product => product.rating >= 1);
-        }
-        return products;
-    }
+export const FilterProvider = ({children}) => {
+    const [state, dispatch] = useReducer(filterReducer, filterInitialState);
 
-    const filteredProductList = rating(sort(inStock(bestSeller(state.productList))));
+    // Filtering and sorting happen server-side (GET /products), so the context only
+    // turns the selected filters into query parameters for useProducts
+    const filters = useMemo(() => ({
+        ...(SORT_OPTIONS[state.sortBy] || {}),
+        min_rating: RATING_OPTIONS[state.ratings],
+        min_price: state.minPrice,
+        max_price: state.maxPrice,
+        best_seller: state.bestSellerOnly || undefined,
+        in_stock: state.onlyInStock || undefined,
+        categories: state.categories.join(",") || undefined,
+        tags: state.tags.join(",") || undefined,
+        facets: true // Ask for category/tag counts for the FilterBar
+    }), [state]);
 
     const value = {
-        state, 
+        state,
         dispatch,
-        products: filteredProductList,
-        initialProductList
+        filters
     }
     return (
         <FilterContext.Provider value={value}>
@@ -75,4 +62,4 @@ export const FilterProvider = ({children}) => {
 export const useFilter = () => {
     const context = useContext(FilterContext);
     return context;
-}
\ No newline at end of file
+}
@@ -0,0 +1,105 @@
+/**
+ * React Query hooks for the user's address book
+ *
+ * Caching Strategy:
+ * - staleTime: Infinity = Data never becomes stale automatically
+ * - refetchOnMount: true = Refetch ONLY when data is stale (invalidated)
+ * - Mutations write the returned address book straight into the cache
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} from "../services/addressService";
+import { toast } from "react-toastify";
+
+/**
+ * Hook to fetch the user's saved addresses
+ *
+ * @param {boolean} enabled - Whether to enable the query (default: true)
+ * @returns {Object} Query result with data ({ addresses, defaultAddressId }), isLoading, error, etc.
+ */
+export function useAddresses(enabled = true) {
+  // Check if user is authenticated
+  const hasToken = typeof window !== "undefined" && sessionStorage.getItem("token");
+
+  return useQuery({
+    queryKey: ["addresses"],
+    queryFn: getAddresses,
+    enabled: enabled && !!hasToken,
+    staleTime: Infinity, // Cache forever until invalidated
+    refetchOnWindowFocus: false, // Don't refetch on window focus
+    refetchOnMount: true, // Refetch when component mounts (after invalidation)
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Shared mutation setup: every address endpoint returns the full address book,
+ * so the cache is updated from the response instead of refetching
+ *
+ * @param {Function} mutationFn - Address service call
+ * @param {string} errorMessage - Fallback toast message
+ * @returns {Object} Mutation object
+ */
+function useAddressMutation(mutationFn, errorMessage) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: (data) => {
+      queryClient.setQueryData(["addresses"], {
+        addresses: data.addresses || [],
+        defaultAddressId: data.defaultAddressId || null,
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || errorMessage, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to save a new address
+ * @returns {Object} Mutation object (variables: { address, isDefault })
+ */
+export function useAddAddress() {
+  return useAddressMutation(
+    ({ address, isDefault }) => addAddress(address, isDefault),
+    "Failed to save address"
+  );
+}
+
+/**
+ * Hook to update a saved address
+ * @returns {Object} Mutation object (variables: { addressId, address, isDefault })
+ */
+export function useUpdateAddress() {
+  return useAddressMutation(
+    ({ addressId, address, isDefault }) => updateAddress(addressId, address, isDefault),
+    "Failed to update address"
+  );
+}
+
+/**
+ * Hook to make a saved address the default one
+ * @returns {Object} Mutation object (variables: addressId)
+ */
+export function useSetDefaultAddress() {
+  return useAddressMutation(setDefaultAddress, "Failed to set default address");
+}
+
+/**
+ * Hook to delete a saved address
+ * @returns {Object} Mutation object (variables: addressId)
+ */
+export function useDeleteAddress() {
+  return useAddressMutation(deleteAddress, "Failed to delete address");
+}
@@ -11,6 +11,10 @@ import {
   getAdminStats,
   createProduct,
   updateProduct,
+  restockProduct,
+  uploadEbookFile,
+  removeEbookFile,
+  importProducts,
   deleteProduct,
   migrateFeaturedProducts,
   migrateFeaturedToNumber,
@@ -24,15 +28,6 @@ import {
   getUserById,
   getActivityLogs,
 } from "../services/adminService";
-import {
-  sendShippingNotificationEmail,
-  sendDeliveryConfirmationEmail,
-  sendOrderCanceledEmail,
-  sendOrderRefundedEmail,
-  sendAdminRefundProcessedEmail,
-  sendAdminLowStockEmail,
-  sendAdminOutOfStockEmail,
-} from "../services/emailService";
 import {
   invalidateAfterProductChange,
   invalidateAfterOrderStatusUpdate,
@@ -142,34 +137,6 @@ export function useCreateProduct() {
         closeButton: true,
         position: "bottom-right",
       });
-
-      // Check for low stock and send admin alert (async, don't block)
-      const stock = data?.stock;
-      const lowStockThreshold = data?.lowStockThreshold || 10; // Default threshold: 10
-      if (stock !== undefined) {
-        if (stock === 0) {
-          // Send out-of-stock alert if stock is 0
-          sendAdminOutOfStockEmail({
-            productId: data?.id,
-            productName: data?.name || "Product",
-          }).catch((emailError) => {
-            console.error(
-              "Failed to send out-of-stock alert email:",
-              emailError
-            );
-          });
-        } else if (stock <= lowStockThreshold) {
-          // Send low stock alert if stock is below threshold but not 0
-          sendAdminLowStockEmail({
-            productId: data?.id,
-            productName: data?.name || "Product",
-            currentStock: stock,
-            lowStockThreshold,
-          }).catch((emailError) => {
-            console.error("Failed to send low stock alert email:", emailError);
-          });
-        }
-      }
     },
     onError: (error) => {
       // Show error toast
@@ -219,39 +186,152 @@ export function useUpdateProduct() {
         closeButton: true,
         position: "bottom-right",
       });
+    },
+    onError: (error) => {
+      // Show error toast
+      toast.error(error.message || "Failed to update product", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
 
-      // Check for low stock and send admin alert (async, don't block)
-      // Check if stock was updated and if it's below threshold
-      const stock = data?.stock;
-      const lowStockThreshold = data?.lowStockThreshold || 10; // Default threshold: 10
-      if (stock !== undefined) {
-        if (stock === 0) {
-          // Send out-of-stock alert if stock is 0
-          sendAdminOutOfStockEmail({
-            productId: variables.productId,
-            productName: data?.name || "Product",
-          }).catch((emailError) => {
-            console.error(
-              "Failed to send out-of-stock alert email:",
-              emailError
-            );
-          });
-        } else if (stock <= lowStockThreshold) {
-          // Send low stock alert if stock is below threshold but not 0
-          sendAdminLowStockEmail({
-            productId: variables.productId,
-            productName: data?.name || "Product",
-            currentStock: stock,
-            lowStockThreshold,
-          }).catch((emailError) => {
-            console.error("Failed to send low stock alert email:", emailError);
-          });
+/**
+ * Hook to restock a product (admin only)
+ * Automatically invalidates product queries and activity logs after the restock
+ * @returns {Object} Mutation object with mutate function and loading/error states
+ */
+export function useRestockProduct() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, restock }) => restockProduct(productId, restock), // API call function
+    onSuccess: (data, variables) => {
+      // Invalidate all product-related queries to refetch fresh data
+      invalidateAfterProductChange(queryClient);
+
+      // Also invalidate the specific product detail query
+      queryClient.invalidateQueries({
+        queryKey: ["product", variables.productId],
+      });
+
+      // Invalidate activity logs to show the restock entry
+      queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
+
+      // Show success toast
+      toast.success(
+        `Restocked: +${data?.restock?.quantityReceived} copies (now ${data?.restock?.newStock})`,
+        {
+          closeButton: true,
+          position: "bottom-right",
         }
+      );
+    },
+    onError: (error) => {
+      // Show error toast
+      toast.error(error.message || "Failed to restock product", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to upload and attach a product's eBook file (admin only)
+ * @returns {Object} Mutation object (variables: { productId, file })
+ */
+export function useUploadEbookFile() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, file }) => uploadEbookFile(productId, file), // API call function
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({
+        queryKey: ["product", variables.productId],
+      });
+      queryClient.invalidateQueries({ queryKey: ["admin-products"] });
+      queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
+
+      toast.success(`eBook file uploaded: ${data?.ebookFile?.fileName || variables.file.name}`, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to upload eBook file", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to remove a product's eBook file (admin only)
+ * @returns {Object} Mutation object (variables: productId)
+ */
+export function useRemoveEbookFile() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: removeEbookFile, // API call function
+    onSuccess: (data, productId) => {
+      queryClient.invalidateQueries({ queryKey: ["product", productId] });
+      queryClient.invalidateQueries({ queryKey: ["admin-products"] });
+      queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
+
+      toast.success("eBook file removed", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to remove eBook file", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to import products from CSV/JSON (admin only)
+ * A dry run only validates; a real import invalidates product queries and activity logs
+ * @returns {Object} Mutation object with mutate function and loading/error states
+ */
+export function useImportProducts() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: importProducts, // API call function
+    onSuccess: (data) => {
+      if (data?.dryRun) return; // Nothing was written
+
+      // Invalidate all product-related queries to refetch fresh data
+      invalidateAfterProductChange(queryClient);
+
+      // Invalidate activity logs to show the import entry
+      queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
+
+      const { created = 0, updated = 0, failed = 0 } = data?.summary || {};
+      const message = `Import finished: ${created} created, ${updated} updated`;
+      if (failed > 0) {
+        toast.warning(`${message}, ${failed} failed`, {
+          closeButton: true,
+          position: "bottom-right",
+        });
+      } else {
+        toast.success(message, {
+          closeButton: true,
+          position: "bottom-right",
+        });
       }
     },
     onError: (error) => {
       // Show error toast
-      toast.error(error.message || "Failed to update product", {
+      toast.error(error.message || "Failed to import products", {
         closeButton: true,
         position: "bottom-right",
       });
@@ -490,45 +570,7 @@ export function useUpdateOrderStatus() {
         );
       }
 
-      // Send email notifications based on status change (async, don't block)
-      const { status: newStatus } = variables;
-      const customerEmail = data?.user?.email || data?.userEmail;
-      const customerName = data?.user?.name || data?.userName || "Customer";
-      const orderId = variables.orderId;
-
-      if (newStatus === "shipped" && customerEmail) {
-        sendShippingNotificationEmail({
-          customerEmail,
-          customerName,
-          orderId,
-          trackingNumber: data?.trackingNumber, // Optional tracking number
-        }).catch((emailError) => {
-          console.error(
-            "Failed to send shipping notification email:",
-            emailError
-          );
-        });
-      } else if (newStatus === "delivered" && customerEmail) {
-        sendDeliveryConfirmationEmail({
-          customerEmail,
-          customerName,
-          orderId,
-        }).catch((emailError) => {
-          console.error(
-            "Failed to send delivery confirmation email:",
-            emailError
-          );
-        });
-      } else if (newStatus === "cancelled" && customerEmail) {
-        sendOrderCanceledEmail({
-          customerEmail,
-          customerName,
-          orderId,
-          refundAmount: data?.refundAmount, // Optional refund amount (in cents)
-        }).catch((emailError) => {
-          console.error("Failed to send order cancellation email:", emailError);
-        });
-      }
+      // The customer is emailed by the API (shipped, delivered and cancelled orders)
     },
     onError: (error) => {
       // Show error toast
@@ -575,8 +617,10 @@ export function useRefundOrder() {
       queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
 
       // Show success toast with refund details
-      const refundAmount = data?.refundAmount
-        ? `$${(data.refundAmount / 100).toFixed(2)}`
+      // refundAmount is the order's refunded total; the last refund is this one
+      const lastRefundAmount = data?.refunds?.at(-1)?.amount ?? data?.refundAmount;
+      const refundAmount = lastRefundAmount
+        ? `$${(lastRefundAmount / 100).toFixed(2)}`
         : "full amount";
       toast.success(`Refund processed successfully (${refundAmount})`, {
         closeButton: true,
@@ -584,24 +628,6 @@ export function useRefundOrder() {
         autoClose: 5000,
       });
 
-      // Send refund confirmation email to customer (async, don't block)
-      const customerEmail = data?.user?.email || data?.userEmail;
-      const customerName = data?.user?.name || data?.userName || "Customer";
-      if (customerEmail) {
-        sendOrderRefundedEmail({
-          customerEmail,
-          customerName,
-          orderId: variables.orderId,
-          refundAmount: data?.refundAmount,
-          refundId: data?.refundId,
-        }).catch((emailError) => {
-          console.error(
-            "Failed to send refund confirmation email:",
-            emailError
-          );
-        });
-      }
-
       // Log stock restoration for browser console
       if (data?._stockRestores && Array.isArray(data._stockRestores)) {
         console.log("📦 Order refunded - Stock restored:", {
@@ -631,16 +657,6 @@ export function useRefundOrder() {
         "🔄 Cache invalidated - Admin products should refetch automatically (refunded order)"
       );
 
-      // Send admin alert email (async, don't block)
-      sendAdminRefundProcessedEmail({
-        orderId: variables.orderId,
-        customerName,
-        refundAmount: data?.refundAmount,
-        refundId: data?.refundId,
-      }).catch((emailError) => {
-        console.error("Failed to send admin refund alert email:", emailError);
-      });
-
       // Invalidate product queries since stock is restored when refunded
       invalidateAfterProductChange(queryClient);
     },
@@ -712,25 +728,6 @@ export function useGenerateShippingLabel() {
         "Customer Name": data?.user?.name || data?.userName || "N/A",
         "Timestamp": new Date().toISOString(),
       });
-
-      // Send shipping notification email to customer (async, don't block)
-      const customerEmail = data?.user?.email || data?.userEmail;
-      const customerName = data?.user?.name || data?.userName || "Customer";
-      if (customerEmail) {
-        sendShippingNotificationEmail({
-          customerEmail,
-          customerName,
-          orderId: variables.orderId,
-          trackingNumber: data.trackingNumber,
-          trackingCarrier: data.trackingCarrier,
-          trackingUrl: data.trackingUrl,
-        }).catch((emailError) => {
-          console.error(
-            "Failed to send shipping notification email:",
-            emailError
-          );
-        });
-      }
     },
     onError: (error) => {
       // Show error toast
@@ -776,24 +773,6 @@ export function useAddTrackingNumber() {
         closeButton: true,
         position: "bottom-right",
       });
-
-      // Send shipping notification email to customer (async, don't block)
-      const customerEmail = data?.user?.email || data?.userEmail;
-      const customerName = data?.user?.name || data?.userName || "Customer";
-      if (customerEmail) {
-        sendShippingNotificationEmail({
-          customerEmail,
-          customerName,
-          orderId: variables.orderId,
-          trackingNumber: data.trackingNumber,
-          trackingCarrier: data.trackingCarrier,
-        }).catch((emailError) => {
-          console.error(
-            "Failed to send shipping notification email:",
-            emailError
-          );
-        });
-      }
     },
     onError: (error) => {
       // Show error toast
@@ -2,23 +2,48 @@
  * React Query hooks for analytics data
  *
  * Provides automatic caching, deduplication, and loading states for analytics.
- * All analytics calculations are done client-side from existing data.
- * Uses infinite cache strategy - data cached until manually invalidated.
+ * Data comes from GET /admin/analytics, which reads pre-aggregated daily rollups
+ * (the page no longer downloads all orders, products and users).
+ * Hooks asking for the same range share one request through the query key.
  */
 
 import { useQuery } from "@tanstack/react-query";
 import { useMemo } from "react";
-import { useAllOrders } from "./useAdmin";
-import { useAllProducts } from "./useAdmin";
-import { useAllUsers } from "./useAdmin";
-import {
-  calculateRevenueByPeriod,
-  calculateSalesTrends,
-  calculateTopProducts,
-  calculateProductPerformance,
-  calculateUserAnalytics,
-  calculateAnalyticsSummary,
-} from "../services/analyticsService";
+import { getAdminAnalytics } from "../services/analyticsService";
+
+// API granularity for each period used by the charts
+const PERIOD_GRANULARITY = {
+  daily: "day",
+  weekly: "week",
+  monthly: "month",
+  yearly: "year",
+};
+
+// All-time report shared by the summary, products and users sections (one request)
+const ALL_TIME = { granularity: "month", limit: 10 };
+
+/**
+ * Hook to fetch an analytics report (admin only)
+ * @param {Object} params - { from, to, granularity, limit } (see getAdminAnalytics)
+ * @param {boolean} enabled - Whether to enable the query (default: true)
+ * @returns {Object} Query result with data, loading, error states
+ */
+export function useAdminAnalytics(params = {}, enabled = true) {
+  const hasToken =
+    typeof window !== "undefined" && sessionStorage.getItem("token");
+  const userRole =
+    typeof window !== "undefined" ? sessionStorage.getItem("userRole") : null;
+  const isAdmin = userRole === "admin";
+
+  return useQuery({
+    queryKey: ["admin-analytics", params], // Cache key per range/granularity
+    queryFn: () => getAdminAnalytics(params), // API call function
+    enabled: enabled && !!hasToken && isAdmin, // Only fetch if enabled, logged in, and admin
+    staleTime: 5 * 60 * 1000, // Rollups change with every order - refresh after 5 minutes
+    gcTime: 10 * 60 * 1000, // Keep in cache for 10 minutes
+    retry: 1, // Retry once on failure
+  });
+}
 
 /**
  * Hook to get revenue data by period (daily, weekly, monthly, yearly)
@@ -27,17 +52,18 @@ import {
  * @returns {Object} Query result with revenue data, loading, error states
  */
 export function useRevenueByPeriod(period = "monthly", enabled = true) {
-  const { data: orders = [], isLoading: ordersLoading, error: ordersError } = useAllOrders(enabled);
+  const granularity = PERIOD_GRANULARITY[period] || "month";
+  const { data, isLoading, error } = useAdminAnalytics({ ...ALL_TIME, granularity }, enabled);
 
-  const revenueData = useMemo(() => {
-    if (ordersLoading || ordersError || !orders.length) return [];
-    return calculateRevenueByPeriod(orders, period);
-  }, [orders, period, ordersLoading, ordersError]);
+  const revenueData = useMemo(
+    () => (data?.series || []).map(({ date, revenue }) => ({ date, revenue })),
+    [data]
+  );
 
   return {
     data: revenueData,
-    isLoading: ordersLoading,
-    error: ordersError,
+    isLoading,
+    error,
   };
 }
 
@@ -48,17 +74,24 @@ export function useRevenueByPeriod(period = "monthly", enabled = true) {
  * @returns {Object} Query result with trends data, loading, error states
  */
 export function useSalesTrends(days = 30, enabled = true) {
-  const { data: orders = [], isLoading: ordersLoading, error: ordersError } = useAllOrders(enabled);
-
-  const trendsData = useMemo(() => {
-    if (ordersLoading || ordersError || !orders.length) return [];
-    return calculateSalesTrends(orders, days);
-  }, [orders, days, ordersLoading, ordersError]);
+  // UTC day keys, same as the rollups
+  const from = useMemo(() => {
+    const startDate = new Date();
+    startDate.setUTCDate(startDate.getUTCDate() - days);
+    return startDate.toISOString().split("T")[0];
+  }, [days]);
+  const { data, isLoading, error } = useAdminAnalytics({ from, granularity: "day" }, enabled);
+
+  const trendsData = useMemo(
+    () =>
+      (data?.series || []).map(({ date, revenue, orders }) => ({ date, revenue, orders })),
+    [data]
+  );
 
   return {
     data: trendsData,
-    isLoading: ordersLoading,
-    error: ordersError,
+    isLoading,
+    error,
   };
 }
 
@@ -69,20 +102,12 @@ export function useSalesTrends(days = 30, enabled = true) {
  * @returns {Object} Query result with top products data, loading, error states
  */
 export function useTopProducts(limit = 10, enabled = true) {
-  const { data: orders = [], isLoading: ordersLoading, error: ordersError } = useAllOrders(enabled);
-  const { data: products = [], isLoading: productsLoading, error: productsError } = useAllProducts(enabled);
-
-  const topProducts = useMemo(() => {
-    if (ordersLoading || productsLoading || ordersError || productsError || !orders.length || !products.length) {
-      return [];
-    }
-    return calculateTopProducts(orders, products, limit);
-  }, [orders, products, limit, ordersLoading, productsLoading, ordersError, productsError]);
+  const { data, isLoading, error } = useAdminAnalytics({ ...ALL_TIME, limit }, enabled);
 
   return {
-    data: topProducts,
-    isLoading: ordersLoading || productsLoading,
-    error: ordersError || productsError,
+    data: data?.topProducts || [],
+    isLoading,
+    error,
   };
 }
 
@@ -92,30 +117,22 @@ export function useTopProducts(limit = 10, enabled = true) {
  * @returns {Object} Query result with performance metrics, loading, error states
  */
 export function useProductPerformance(enabled = true) {
-  const { data: orders = [], isLoading: ordersLoading, error: ordersError } = useAllOrders(enabled);
-  const { data: products = [], isLoading: productsLoading, error: productsError } = useAllProducts(enabled);
-
-  const performance = useMemo(() => {
-    if (ordersLoading || productsLoading || ordersError || productsError) {
-      return {
-        totalProducts: 0,
-        productsSold: 0,
-        averagePrice: 0,
-        totalRevenue: 0,
-        bestSeller: null,
-        bestSellers: [],
-        topSellersByRevenue: [],
-        topSellersByQuantity: [],
-        unsoldProducts: [],
-      };
-    }
-    return calculateProductPerformance(orders, products);
-  }, [orders, products, ordersLoading, productsLoading, ordersError, productsError]);
+  const { data, isLoading, error } = useAdminAnalytics(ALL_TIME, enabled);
 
   return {
-    data: performance,
-    isLoading: ordersLoading || productsLoading,
-    error: ordersError || productsError,
+    data: data?.productPerformance || {
+      totalProducts: 0,
+      productsSold: 0,
+      averagePrice: 0,
+      totalRevenue: 0,
+      bestSeller: null,
+      bestSellers: [],
+      topSellersByRevenue: [],
+      topSellersByQuantity: [],
+      unsoldProducts: [],
+    },
+    isLoading,
+    error,
   };
 }
 
@@ -125,11 +142,10 @@ export function useProductPerformance(enabled = true) {
  * @returns {Object} Query result with user analytics, loading, error states
  */
 export function useUserAnalytics(enabled = true) {
-  const { data: users = [], isLoading: usersLoading, error: usersError } = useAllUsers(enabled);
-  const { data: orders = [], isLoading: ordersLoading, error: ordersError } = useAllOrders(enabled);
+  const { data, isLoading, error } = useAdminAnalytics(ALL_TIME, enabled);
 
   const userAnalytics = useMemo(() => {
-    if (usersLoading || ordersLoading || usersError || ordersError) {
+    if (!data) {
       return {
         totalUsers: 0,
         activeUsers: 0,
@@ -137,13 +153,20 @@ export function useUserAnalytics(enabled = true) {
         registrationTrends: [],
       };
     }
-    return calculateUserAnalytics(users, orders);
-  }, [users, orders, usersLoading, ordersLoading, usersError, ordersError]);
+    return {
+      totalUsers: data.summary.totalUsers,
+      activeUsers: data.summary.activeUsers,
+      newUsersThisMonth: data.summary.newUsersThisMonth,
+      registrationTrends: data.series
+        .filter((bucket) => bucket.newUsers > 0)
+        .map(({ date, newUsers }) => ({ date, count: newUsers })),
+    };
+  }, [data]);
 
   return {
     data: userAnalytics,
-    isLoading: usersLoading || ordersLoading,
-    error: usersError || ordersError,
+    isLoading,
+    error,
   };
 }
 
@@ -153,27 +176,17 @@ export function useUserAnalytics(enabled = true) {
  * @returns {Object} Query result with summary data, loading, error states
  */
 export function useAnalyticsSummary(enabled = true) {
-  const { data: orders = [], isLoading: ordersLoading, error: ordersError } = useAllOrders(enabled);
-  const { data: products = [], isLoading: productsLoading, error: productsError } = useAllProducts(enabled);
-  const { data: users = [], isLoading: usersLoading, error: usersError } = useAllUsers(enabled);
-
-  const summary = useMemo(() => {
-    if (ordersLoading || productsLoading || usersLoading || ordersError || productsError || usersError) {
-      return {
-        totalRevenue: 0,
-        totalOrders: 0,
-        totalProducts: 0,
-        totalUsers: 0,
-        averageOrderValue: 0,
-      };
-    }
-    return calculateAnalyticsSummary(orders, products, users);
-  }, [orders, products, users, ordersLoading, productsLoading, usersLoading, ordersError, productsError, usersError]);
+  const { data, isLoading, error } = useAdminAnalytics(ALL_TIME, enabled);
 
   return {
-    data: summary,
-    isLoading: ordersLoading || productsLoading || usersLoading,
-    error: ordersError || productsError || usersError,
+    data: data?.summary || {
+      totalRevenue: 0,
+      totalOrders: 0,
+      totalProducts: 0,
+      totalUsers: 0,
+      averageOrderValue: 0,
+    },
+    isLoading,
+    error,
   };
 }
-
@@ -0,0 +1,155 @@
+/**
+ * React Query hooks for coupons
+ *
+ * Caching Strategy:
+ * - staleTime: Infinity = Data never becomes stale automatically
+ * - refetchOnMount: true = Refetch ONLY when data is stale (invalidated)
+ * - Admin mutations invalidate the coupon list and activity logs
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  applyCoupon,
+  getAllCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../services/couponService";
+import { toast } from "react-toastify";
+
+/**
+ * Hook to validate a coupon against the cart
+ * Errors are not toasted - the coupon form shows them inline.
+ * @returns {Object} Mutation object (variables: { code, cartList })
+ */
+export function useApplyCoupon() {
+  return useMutation({
+    mutationFn: ({ code, cartList }) => applyCoupon(code, cartList),
+  });
+}
+
+/**
+ * Hook to fetch all coupons (admin view)
+ * @param {boolean} enabled - Whether to enable the query (default: true)
+ * @returns {Object} Query result with data, loading, error states
+ */
+export function useAllCoupons(enabled = true) {
+  // Check if user is authenticated and is admin
+  const hasToken = typeof window !== "undefined" && sessionStorage.getItem("token");
+  const isAdmin = typeof window !== "undefined" && sessionStorage.getItem("userRole") === "admin";
+
+  return useQuery({
+    queryKey: ["admin-coupons"],
+    queryFn: getAllCoupons,
+    enabled: enabled && !!hasToken && isAdmin,
+    staleTime: Infinity, // Cache forever until invalidated
+    refetchOnWindowFocus: false, // Don't refetch on window focus
+    refetchOnMount: true, // Refetch when component mounts (after invalidation)
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Hook to fetch a single coupon (admin view)
+ * @param {string} code - Coupon code
+ * @param {boolean} enabled - Whether to enable the query (default: true)
+ * @returns {Object} Query result with data, loading, error states
+ */
+export function useCoupon(code, enabled = true) {
+  const hasToken = typeof window !== "undefined" && sessionStorage.getItem("token");
+  const isAdmin = typeof window !== "undefined" && sessionStorage.getItem("userRole") === "admin";
+
+  return useQuery({
+    queryKey: ["admin-coupon", code],
+    queryFn: () => getCoupon(code),
+    enabled: enabled && !!code && !!hasToken && isAdmin,
+    staleTime: Infinity, // Cache forever until invalidated
+    refetchOnWindowFocus: false, // Don't refetch on window focus
+    refetchOnMount: true, // Refetch when component mounts (after invalidation)
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Hook to create a coupon (admin only)
+ * @returns {Object} Mutation object (variables: couponData)
+ */
+export function useCreateCoupon() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: createCoupon,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["admin-coupons"] });
+      queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
+
+      toast.success("Coupon created successfully", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to create coupon", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to update a coupon (admin only)
+ * @returns {Object} Mutation object (variables: { code, updates })
+ */
+export function useUpdateCoupon() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ code, updates }) => updateCoupon(code, updates),
+    onSuccess: (data, { code }) => {
+      queryClient.setQueryData(["admin-coupon", code], data);
+      queryClient.invalidateQueries({ queryKey: ["admin-coupons"] });
+      queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
+
+      toast.success("Coupon updated successfully", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update coupon", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to delete a coupon (admin only)
+ * @returns {Object} Mutation object (variables: code)
+ */
+export function useDeleteCoupon() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: deleteCoupon,
+    onSuccess: (data, code) => {
+      queryClient.removeQueries({ queryKey: ["admin-coupon", code] });
+      queryClient.invalidateQueries({ queryKey: ["admin-coupons"] });
+      queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
+
+      toast.success("Coupon deleted successfully", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to delete coupon", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
@@ -0,0 +1,133 @@
+/**
+ * React Query hooks for the email template editor (admin only)
+ *
+ * Caching Strategy:
+ * - staleTime: Infinity = Data never becomes stale automatically
+ * - refetchOnMount: true = Refetch ONLY when data is stale (invalidated)
+ * - Saving a template invalidates the template list, the template and activity logs
+ * - Previews are keyed by the (debounced) content, so unchanged content isn't re-rendered
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  getEmailTemplates,
+  getEmailTemplate,
+  saveEmailTemplate,
+  previewEmailTemplate,
+  sendTestEmailTemplate,
+} from "../services/emailTemplateService";
+import { toast } from "react-toastify";
+
+/**
+ * Whether the logged-in user is an admin with a token
+ * @returns {boolean}
+ */
+function isAdminSession() {
+  const hasToken = typeof window !== "undefined" && sessionStorage.getItem("token");
+  const isAdmin = typeof window !== "undefined" && sessionStorage.getItem("userRole") === "admin";
+  return !!hasToken && isAdmin;
+}
+
+/**
+ * Hook to fetch all email templates and partials
+ * @returns {Object} Query result with data ({ templates, partials }), loading, error states
+ */
+export function useEmailTemplates() {
+  return useQuery({
+    queryKey: ["admin-email-templates"],
+    queryFn: getEmailTemplates,
+    enabled: isAdminSession(),
+    staleTime: Infinity, // Cache forever until invalidated
+    refetchOnWindowFocus: false, // Don't refetch on window focus
+    refetchOnMount: true, // Refetch when component mounts (after invalidation)
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Hook to fetch an email template or partial
+ * @param {string} name - Template or partial name
+ * @param {number|null} version - Version to load (null: current)
+ * @returns {Object} Query result with data, loading, error states
+ */
+export function useEmailTemplate(name, version = null) {
+  return useQuery({
+    queryKey: ["admin-email-template", name, version],
+    queryFn: () => getEmailTemplate(name, version),
+    enabled: !!name && isAdminSession(),
+    staleTime: Infinity, // Cache forever until invalidated
+    refetchOnWindowFocus: false, // Don't refetch on window focus
+    refetchOnMount: true, // Refetch when component mounts (after invalidation)
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Hook to render unsaved template content
+ * Errors (e.g. an unclosed section) are shown by the editor, not toasted.
+ * @param {string} name - Template or partial name
+ * @param {Object|null} content - Debounced content (null disables the query)
+ * @param {Object|null} data - Template data (null: sample data)
+ * @returns {Object} Query result with data ({ subject, html, text }), loading, error states
+ */
+export function useEmailTemplatePreview(name, content, data = null) {
+  return useQuery({
+    queryKey: ["admin-email-template-preview", name, content, data],
+    queryFn: () => previewEmailTemplate(name, { content, data: data || undefined }),
+    enabled: !!name && !!content && isAdminSession(),
+    placeholderData: (previousData) => previousData, // Keep the last preview while the next one renders
+    staleTime: Infinity,
+    refetchOnWindowFocus: false,
+    retry: false, // Invalid templates fail the same way every time
+  });
+}
+
+/**
+ * Hook to save a new version of an email template (admin only)
+ * @returns {Object} Mutation object (variables: { name, content })
+ */
+export function useSaveEmailTemplate() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ name, content }) => saveEmailTemplate(name, content),
+    onSuccess: (data, { name }) => {
+      queryClient.invalidateQueries({ queryKey: ["admin-email-template", name] });
+      queryClient.invalidateQueries({ queryKey: ["admin-email-templates"] });
+      queryClient.invalidateQueries({ queryKey: ["admin-activity-logs"] });
+
+      toast.success(`Template saved as version ${data.version}`, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save template", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to send unsaved template content as a test email to the logged-in admin
+ * @returns {Object} Mutation object (variables: { name, content, data })
+ */
+export function useSendTestEmail() {
+  return useMutation({
+    mutationFn: ({ name, content, data }) => sendTestEmailTemplate(name, { content, data }),
+    onSuccess: (data) => {
+      toast.success(`Test email sent to ${data.to}`, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to send test email", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
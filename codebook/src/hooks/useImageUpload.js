@@ -14,6 +14,7 @@ import { uploadImage } from "../services/imageService";
  * Upload image mutation hook
  *
  * @param {Object} options - Mutation options
+ * @param {string} options.folder - Upload folder (default: "codebook/products")
  * @param {Function} options.onSuccess - Success callback (receives upload result)
  * @param {Function} options.onError - Error callback (receives error)
  * @returns {Object} Mutation object
@@ -25,9 +26,9 @@ export function useImageUpload(options = {}) {
         throw new Error("No file provided");
       }
       
-      // Upload with folder structure for products
+      // Upload with folder structure (products by default, reviews pass their own)
       const result = await uploadImage(file, {
-        folder: "codebook/products",
+        folder: options.folder || "codebook/products",
         ...uploadOptions,
       });
       
@@ -0,0 +1,65 @@
+/**
+ * React Query hooks for the user's library (purchased eBooks)
+ *
+ * Caching Strategy:
+ * - staleTime: 5 minutes = Library refreshes on its own after new orders or refunds
+ * - Downloads invalidate the library so the remaining download counts are fresh
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { getLibrary, getDownloadLink } from "../services/libraryService";
+import { toast } from "react-toastify";
+
+/**
+ * Hook to fetch the user's library
+ *
+ * @param {boolean} enabled - Whether to enable the query (default: true)
+ * @returns {Object} Query result with data ({ items }), isLoading, error, etc.
+ */
+export function useLibrary(enabled = true) {
+  // Check if user is authenticated
+  const hasToken = typeof window !== "undefined" && sessionStorage.getItem("token");
+
+  return useQuery({
+    queryKey: ["library"],
+    queryFn: getLibrary,
+    enabled: enabled && !!hasToken,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    refetchOnWindowFocus: false, // Don't refetch on window focus
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Hook to download a purchased book
+ * Requests a short-lived link and hands it to the browser, which saves the file.
+ * @returns {Object} Mutation object (variables: productId)
+ */
+export function useDownloadEbook() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: getDownloadLink,
+    onSuccess: (data) => {
+      // The link is signed for a few minutes only - use it right away
+      window.location.assign(data.url);
+
+      queryClient.invalidateQueries({ queryKey: ["library"] });
+      toast.success(
+        `Download started (${data.downloadsRemaining} of ${data.downloadLimit} downloads left)`,
+        {
+          closeButton: true,
+          position: "bottom-right",
+        }
+      );
+    },
+    onError: (error) => {
+      // Access may have changed (refund, limit reached) - refresh the library
+      queryClient.invalidateQueries({ queryKey: ["library"] });
+      toast.error(error.message || "Failed to download eBook", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
@@ -1,21 +1,48 @@
 /**
  * React Query hooks for notifications
- * Provides automatic caching, polling, and loading states for notification operations
+ * Provides automatic caching, polling, and loading states for the notification feed
+ * and the user's email notification preferences
  */
 
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import {
+  getNotifications,
   getNotificationCount,
   markNotificationsRead,
+  markNotificationRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
 } from "../services/notificationService";
 import { toast } from "react-toastify";
 
+// Number of notifications loaded per page of the feed
+const NOTIFICATIONS_PAGE_SIZE = 10;
+
+/**
+ * Mark notifications as read in the cached feed pages
+ * @param {Object} data - Infinite query data ({ pages, pageParams })
+ * @param {Function} shouldMark - (notification) => boolean
+ * @returns {Object} Updated data
+ */
+function markCachedNotifications(data, shouldMark) {
+  if (!data) return data;
+  return {
+    ...data,
+    pages: data.pages.map((page) => ({
+      ...page,
+      notifications: page.notifications.map((notification) =>
+        shouldMark(notification) ? { ...notification, read: true } : notification
+      ),
+    })),
+  };
+}
+
 /**
  * Hook to get unread notification count
  * Polls every 30 seconds to keep count updated
  *
  * @param {boolean} enabled - Whether to enable the query (default: true)
- * @returns {Object} Query result with count, notificationsReadAt, loading, error states
+ * @returns {Object} Query result with data ({ count }), loading, error states
  */
 export function useNotificationCount(enabled = true) {
   // Check if user is logged in
@@ -34,7 +61,32 @@ export function useNotificationCount(enabled = true) {
 }
 
 /**
- * Hook to mark notifications as read
+ * Hook to load the notification feed page by page (newest first)
+ * Only fetches while enabled (e.g. while the header dropdown is open), and
+ * reloads every time it is opened so new notifications show up.
+ *
+ * @param {boolean} enabled - Whether to enable the query (default: true)
+ * @returns {Object} Infinite query result with data.pages, fetchNextPage, hasNextPage, loading and error states
+ */
+export function useNotifications(enabled = true) {
+  // Check if user is logged in
+  const hasToken =
+    typeof window !== "undefined" && sessionStorage.getItem("token");
+
+  return useInfiniteQuery({
+    queryKey: ["notifications"],
+    queryFn: ({ pageParam }) =>
+      getNotifications({ cursor: pageParam, limit: NOTIFICATIONS_PAGE_SIZE }),
+    initialPageParam: null, // First page has no cursor
+    getNextPageParam: (lastPage) => lastPage?.nextCursor || undefined, // undefined = no more pages
+    enabled: enabled && !!hasToken,
+    staleTime: 0, // Fresh list every time the dropdown opens
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Hook to mark all notifications as read
  *
  * @returns {Object} Mutation result with mutate, mutateAsync, isPending, etc.
  */
@@ -44,48 +96,147 @@ export function useMarkNotificationsRead() {
   return useMutation({
     mutationFn: markNotificationsRead,
     onMutate: async () => {
-      // Optimistically update notification count to 0 immediately
-      // This makes the badge disappear instantly when clicked
+      // Optimistically clear the badge and the unread markers immediately
+      await queryClient.cancelQueries({ queryKey: ["notification-count"] });
+      await queryClient.cancelQueries({ queryKey: ["notifications"] });
+
+      // Snapshot previous values for rollback
+      const previousCount = queryClient.getQueryData(["notification-count"]);
+      const previousList = queryClient.getQueryData(["notifications"]);
+
+      queryClient.setQueryData(["notification-count"], (old) => ({ ...old, count: 0 }));
+      queryClient.setQueryData(["notifications"], (old) =>
+        markCachedNotifications(old, () => true)
+      );
+
+      return { previousCount, previousList };
+    },
+    onError: (error, variables, context) => {
+      // Rollback optimistic update on error
+      if (context?.previousCount) {
+        queryClient.setQueryData(["notification-count"], context.previousCount);
+      }
+      if (context?.previousList) {
+        queryClient.setQueryData(["notifications"], context.previousList);
+      }
+
+      console.error("Mark notifications read error:", error);
+      toast.error(error.message || "Failed to mark notifications as read", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onSettled: () => {
+      // Sync with the server (a notification may have arrived meanwhile)
+      queryClient.invalidateQueries({ queryKey: ["notification-count"] });
+    },
+  });
+}
+
+/**
+ * Hook to mark one notification as read (when it is clicked)
+ *
+ * @returns {Object} Mutation result (variables: notification ID)
+ */
+export function useMarkNotificationRead() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: markNotificationRead,
+    onMutate: async (notificationId) => {
       await queryClient.cancelQueries({ queryKey: ["notification-count"] });
-      
+      await queryClient.cancelQueries({ queryKey: ["notifications"] });
+
+      // Snapshot previous values for rollback
+      const previousCount = queryClient.getQueryData(["notification-count"]);
+      const previousList = queryClient.getQueryData(["notifications"]);
+
+      queryClient.setQueryData(["notification-count"], (old) =>
+        old ? { ...old, count: Math.max((old.count || 0) - 1, 0) } : old
+      );
+      queryClient.setQueryData(["notifications"], (old) =>
+        markCachedNotifications(old, (notification) => notification.id === notificationId)
+      );
+
+      return { previousCount, previousList };
+    },
+    onError: (error, variables, context) => {
+      // Rollback optimistic update on error
+      if (context?.previousCount) {
+        queryClient.setQueryData(["notification-count"], context.previousCount);
+      }
+      if (context?.previousList) {
+        queryClient.setQueryData(["notifications"], context.previousList);
+      }
+
+      console.error("Mark notification read error:", error);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["notification-count"] });
+    },
+  });
+}
+
+/**
+ * Hook to get the user's email notification preferences
+ *
+ * @returns {Object} Query result with data ({ preferences, categories }), loading, error states
+ */
+export function useNotificationPreferences() {
+  // Check if user is logged in
+  const hasToken =
+    typeof window !== "undefined" && sessionStorage.getItem("token");
+
+  return useQuery({
+    queryKey: ["notification-preferences"],
+    queryFn: getNotificationPreferences,
+    enabled: !!hasToken,
+    staleTime: Infinity, // Only changes when the user saves (or unsubscribes from an email)
+    refetchOnWindowFocus: true, // Pick up unsubscribes made from an email in another tab
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Hook to turn email categories on or off
+ * The switch flips immediately and rolls back if saving fails.
+ *
+ * @returns {Object} Mutation result (variables: { [category]: boolean })
+ */
+export function useUpdateNotificationPreferences() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: updateNotificationPreferences,
+    onMutate: async (changes) => {
+      await queryClient.cancelQueries({ queryKey: ["notification-preferences"] });
+
       // Snapshot previous value for rollback
-      const previousData = queryClient.getQueryData(["notification-count"]);
-      
-      // Optimistically set count to 0
-      queryClient.setQueryData(["notification-count"], (old) => ({
-        ...old,
-        count: 0,
-        orderCount: 0,
-        ticketCount: 0,
-        notificationsReadAt: new Date().toISOString(),
-      }));
-      
+      const previousData = queryClient.getQueryData(["notification-preferences"]);
+
+      queryClient.setQueryData(["notification-preferences"], (old) =>
+        old ? { ...old, preferences: { ...old.preferences, ...changes } } : old
+      );
+
       return { previousData };
     },
     onSuccess: (data) => {
-      // Update with actual server response
-      queryClient.setQueryData(["notification-count"], {
-        count: 0,
-        orderCount: 0,
-        ticketCount: 0,
-        notificationsReadAt: data.notificationsReadAt || new Date().toISOString(),
+      queryClient.setQueryData(["notification-preferences"], data);
+      toast.success("Email preferences saved", {
+        closeButton: true,
+        position: "bottom-right",
       });
-      
-      // Also invalidate user query to update notificationsReadAt
-      queryClient.invalidateQueries({ queryKey: ["user"] });
     },
     onError: (error, variables, context) => {
       // Rollback optimistic update on error
       if (context?.previousData) {
-        queryClient.setQueryData(["notification-count"], context.previousData);
+        queryClient.setQueryData(["notification-preferences"], context.previousData);
       }
-      
-      console.error("Mark notifications read error:", error);
-      toast.error(error.message || "Failed to mark notifications as read", {
+
+      toast.error(error.message || "Failed to save email preferences", {
         closeButton: true,
         position: "bottom-right",
       });
     },
   });
 }
-
@@ -4,7 +4,11 @@
  */
 
 import { useMutation, useQuery } from "@tanstack/react-query";
-import { createPaymentIntent, verifyPaymentStatus } from "../services/paymentService";
+import {
+  createPaymentIntent,
+  verifyPaymentStatus,
+  cancelPaymentIntent,
+} from "../services/paymentService";
 import { toast } from "react-toastify";
 
 /**
@@ -14,8 +18,8 @@ import { toast } from "react-toastify";
  */
 export function useCreatePaymentIntent(options = {}) {
   return useMutation({
-    mutationFn: ({ amount, cartList, user }) =>
-      createPaymentIntent(amount, cartList, user),
+    mutationFn: ({ cartList, shippingAddress, couponCode }) =>
+      createPaymentIntent(cartList, shippingAddress, couponCode),
     retry: false, // Don't retry automatically - prevent hundreds of calls
     onSuccess: (data) => {
       if (options.onSuccess) {
@@ -36,6 +40,21 @@ export function useCreatePaymentIntent(options = {}) {
   });
 }
 
+/**
+ * Hook to cancel an unpaid payment intent (releases the books reserved for the checkout)
+ * Failures are only logged - unreleased reservations expire on their own.
+ * @returns {Object} Mutation object with mutate, isPending, data, etc.
+ */
+export function useCancelPaymentIntent() {
+  return useMutation({
+    mutationFn: (paymentIntentId) => cancelPaymentIntent(paymentIntentId),
+    retry: false,
+    onError: (error) => {
+      console.error("Payment intent cancellation error:", error);
+    },
+  });
+}
+
 /**
  * Hook to verify payment status
  * @param {string} paymentIntentId - Stripe payment intent ID
@@ -3,20 +3,52 @@
  * Provides automatic caching, deduplication, and loading states
  */
 
-import { useQuery } from "@tanstack/react-query";
-import { getProductList, getFeaturedList, getProduct } from "../services";
+import { useQuery, useInfiniteQuery } from "@tanstack/react-query";
+import {
+  getProductList,
+  getProductPage,
+  searchProducts,
+  getSearchSuggestions,
+  getFeaturedList,
+  getProduct,
+} from "../services";
+
+// Number of products requested per catalog page
+const PRODUCTS_PAGE_SIZE = 12;
+
+// Search box suggestions need at least this many characters
+const MIN_SUGGESTION_LENGTH = 2;
 
 /**
- * Hook to fetch all products with optional search term
- * Automatically refetches when searchTerm changes
+ * Hook to fetch the product catalog page by page (infinite loading)
+ * Filtering, sorting and pagination happen server-side; each page carries a
+ * nextCursor that is passed back to load the following page.
+ * With a search term, pages come from the relevance-ranked search endpoint
+ * (best matches first unless a sort filter is chosen).
+ * Automatically restarts from the first page when searchTerm or filters change
  * Uses Infinity staleTime with manual invalidation for optimal performance
  * @param {string} searchTerm - Optional search term from URL params
- * @returns {Object} Query result with data, loading, error states
+ * @param {Object} filters - Catalog query filters (from FilterContext `filters`)
+ * @returns {Object} Infinite query result with data.pages, fetchNextPage, hasNextPage, loading and error states
  */
-export function useProducts(searchTerm = "") {
-  return useQuery({
-    queryKey: ["products", searchTerm], // Unique key for caching
-    queryFn: () => getProductList(searchTerm), // API call function
+export function useProducts(searchTerm = "", filters = {}) {
+  return useInfiniteQuery({
+    queryKey: ["products", "catalog", searchTerm, filters], // Unique key per search + filter combination
+    queryFn: ({ pageParam }) =>
+      searchTerm
+        ? searchProducts({
+            query: searchTerm,
+            filters,
+            cursor: pageParam,
+            limit: PRODUCTS_PAGE_SIZE,
+          })
+        : getProductPage({
+            filters,
+            cursor: pageParam,
+            limit: PRODUCTS_PAGE_SIZE,
+          }), // API call function
+    initialPageParam: null, // First page has no cursor
+    getNextPageParam: (lastPage) => lastPage?.nextCursor || undefined, // undefined = no more pages
     staleTime: Infinity, // Data never becomes stale automatically - only invalidated manually
     gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
     retry: 1, // Retry once on failure
@@ -27,6 +59,26 @@ export function useProducts(searchTerm = "") {
   });
 }
 
+/**
+ * Hook to fetch search box suggestions while the user types
+ * Callers should debounce the query; short queries don't hit the API.
+ * Keeps the previous suggestions on screen while the next ones load.
+ * @param {string} query - Text typed so far
+ * @returns {Object} Query result with data ({ products, terms }), loading, error states
+ */
+export function useSearchSuggestions(query = "") {
+  const trimmed = query.trim();
+  return useQuery({
+    queryKey: ["products", "suggestions", trimmed.toLowerCase()],
+    queryFn: () => getSearchSuggestions(trimmed),
+    enabled: trimmed.length >= MIN_SUGGESTION_LENGTH,
+    placeholderData: (previousData) => previousData, // Avoid flicker between keystrokes
+    staleTime: 60 * 1000, // Suggestions are cheap to reuse for a minute
+    gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
+    retry: false, // A failed suggestion just means no dropdown
+  });
+}
+
 /**
  * Hook to fetch featured products
  * Now filters from products list instead of separate API
@@ -34,9 +86,16 @@ export function useProducts(searchTerm = "") {
  * @returns {Object} Query result with data, loading, error states
  */
 export function useFeaturedProducts() {
-  // Use products query and filter for featured products
-  // This ensures featured products are always in sync with products
-  const { data: allProducts = [], isLoading, error } = useProducts("");
+  // Use the full products list and filter for featured products
+  // Shares the ["products"] key prefix so product invalidation refreshes it too
+  const { data: allProducts = [], isLoading, error } = useQuery({
+    queryKey: ["products", "all"],
+    queryFn: () => getProductList(""),
+    staleTime: Infinity, // Data never becomes stale automatically - only invalidated manually
+    gcTime: 5 * 60 * 1000, // Keep in cache for 5 minutes
+    retry: 1, // Retry once on failure
+    refetchOnMount: true, // Refetch if data is stale (invalidated) - won't refetch if fresh
+  });
 
   // Filter featured products from all products
   // Handle both Number (1/0) and Boolean (true/false) for backward compatibility
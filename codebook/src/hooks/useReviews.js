@@ -15,6 +15,8 @@ import {
   deleteReview,
   getAllReviews,
   updateReviewStatus,
+  voteReview,
+  replyToReview,
 } from "../services/reviewService";
 import { toast } from "react-toastify";
 
@@ -23,18 +25,19 @@ import { toast } from "react-toastify";
  *
  * @param {string} productId - Product ID
  * @param {boolean} enabled - Whether to enable the query (default: true)
+ * @param {string} sort - newest, oldest, helpful, highest, lowest (default: newest)
  * @returns {Object} Query result with data, isLoading, error, etc.
  */
-export function useReviewsByProduct(productId, enabled = true) {
+export function useReviewsByProduct(productId, enabled = true, sort = "newest") {
   return useQuery({
-    queryKey: ["reviews", productId],
+    queryKey: ["reviews", productId, sort], // ["reviews", productId] invalidates every sort
     queryFn: async () => {
       console.log("🔄 [useReviews] useReviewsByProduct - queryFn called");
       console.log("🔄 [useReviews] productId:", productId);
       console.log("🔄 [useReviews] enabled:", enabled);
       
       try {
-        const result = await getReviewsByProduct(productId);
+        const result = await getReviewsByProduct(productId, sort);
         console.log("✅ [useReviews] Query successful:", result);
         return result;
       } catch (error) {
@@ -74,6 +77,16 @@ export function useCreateReview() {
         queryKey: ["product", variables.productId],
       });
 
+      // Held reviews aren't listed until an admin approves them
+      const review = data?.review || data;
+      if (review?.status === "pending") {
+        toast.info("Thanks! Your review will appear once it has been approved.", {
+          closeButton: true,
+          position: "bottom-right",
+        });
+        return;
+      }
+
       toast.success("Review submitted successfully!", {
         closeButton: true,
         position: "bottom-right",
@@ -123,6 +136,14 @@ export function useUpdateReview() {
         });
       }
 
+      if (review?.status === "pending") {
+        toast.info("Your edited review will appear once it has been approved.", {
+          closeButton: true,
+          position: "bottom-right",
+        });
+        return;
+      }
+
       toast.success("Review updated successfully!", {
         closeButton: true,
         position: "bottom-right",
@@ -137,6 +158,31 @@ export function useUpdateReview() {
   });
 }
 
+/**
+ * Hook to vote a review helpful or unhelpful
+ *
+ * @returns {Object} Mutation object - mutate({ reviewId, vote, productId })
+ */
+export function useVoteReview() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ reviewId, vote }) => voteReview(reviewId, vote),
+    onSuccess: (review, variables) => {
+      // Refetch the product's reviews (counts and "most helpful" order change)
+      queryClient.invalidateQueries({
+        queryKey: ["reviews", variables.productId || review?.productId],
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save your vote", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
 /**
  * Hook to delete a review
  *
@@ -224,8 +270,8 @@ export function useUpdateReviewStatus() {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: ({ reviewId, status }) =>
-      updateReviewStatus(reviewId, status),
+    mutationFn: ({ reviewId, status, reason }) =>
+      updateReviewStatus(reviewId, status, reason),
     onSuccess: (data, variables) => {
       // Invalidate all review queries
       queryClient.invalidateQueries({
@@ -270,3 +316,100 @@ export function useUpdateReviewStatus() {
   });
 }
 
+/**
+ * Hook to approve or reject several reviews at once (admin only)
+ * Sends one PUT /admin/reviews/{id} per review; failures don't stop the others.
+ *
+ * @returns {Object} Mutation object - mutate({ reviewIds, status, reason })
+ */
+export function useBulkUpdateReviewStatus() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ reviewIds, status, reason }) => {
+      const results = await Promise.allSettled(
+        reviewIds.map((reviewId) => updateReviewStatus(reviewId, status, reason))
+      );
+      return {
+        updated: results.filter((result) => result.status === "fulfilled").length,
+        failed: results.filter((result) => result.status === "rejected").length,
+      };
+    },
+    onSuccess: ({ updated, failed }, variables) => {
+      // Invalidate all admin and product review queries (several products may be affected)
+      queryClient.invalidateQueries({
+        queryKey: ["admin-reviews"],
+        exact: false,
+      });
+      queryClient.invalidateQueries({
+        queryKey: ["reviews"],
+        exact: false,
+      });
+      queryClient.invalidateQueries({
+        queryKey: ["product"],
+        exact: false,
+      });
+
+      if (updated > 0) {
+        toast.success(
+          `${updated} review${updated === 1 ? "" : "s"} ${variables.status}`,
+          {
+            closeButton: true,
+            position: "bottom-right",
+          }
+        );
+      }
+      if (failed > 0) {
+        toast.error(
+          `Failed to update ${failed} review${failed === 1 ? "" : "s"}`,
+          {
+            closeButton: true,
+            position: "bottom-right",
+          }
+        );
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update reviews", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to post, edit or remove the store reply on a review (admin only)
+ *
+ * @returns {Object} Mutation object - mutate({ reviewId, reply })
+ */
+export function useReplyToReview() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ reviewId, reply }) => replyToReview(reviewId, reply),
+    onSuccess: (review, variables) => {
+      queryClient.invalidateQueries({
+        queryKey: ["admin-reviews"],
+        exact: false, // Match all admin review queries
+      });
+
+      if (review?.productId) {
+        queryClient.invalidateQueries({
+          queryKey: ["reviews", review.productId],
+        });
+      }
+
+      toast.success(variables.reply ? "Reply posted" : "Reply removed", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save reply", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * React Query hooks for the user's wishlist
+ *
+ * Caching Strategy:
+ * - staleTime: Infinity = Data never becomes stale automatically
+ * - refetchOnMount: true = Refetch ONLY when data is stale (invalidated)
+ * - Mutations invalidate the wishlist so product data and prices are fresh
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+} from "../services/wishlistService";
+import { toast } from "react-toastify";
+
+/**
+ * Hook to fetch the user's wishlist
+ *
+ * @param {boolean} enabled - Whether to enable the query (default: true)
+ * @returns {Object} Query result with data ({ items, productIds }), isLoading, error, etc.
+ */
+export function useWishlist(enabled = true) {
+  // Check if user is authenticated
+  const hasToken = typeof window !== "undefined" && sessionStorage.getItem("token");
+
+  return useQuery({
+    queryKey: ["wishlist"],
+    queryFn: getWishlist,
+    enabled: enabled && !!hasToken,
+    staleTime: Infinity, // Cache forever until invalidated
+    refetchOnWindowFocus: false, // Don't refetch on window focus
+    refetchOnMount: true, // Refetch when component mounts (after invalidation)
+    retry: 1, // Retry once on failure
+  });
+}
+
+/**
+ * Hook to add a book to the wishlist
+ * @param {Object} [options]
+ * @param {boolean} [options.silent=false] - Skip the success toast (caller shows its own)
+ * @returns {Object} Mutation object (variables: productId)
+ */
+export function useAddToWishlist({ silent = false } = {}) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: addToWishlist,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["wishlist"] });
+      if (!silent) {
+        toast.success("Added to wishlist", {
+          closeButton: true,
+          position: "bottom-right",
+        });
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to add to wishlist", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
+
+/**
+ * Hook to remove a book from the wishlist
+ * @returns {Object} Mutation object (variables: productId)
+ */
+export function useRemoveFromWishlist() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: removeFromWishlist,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["wishlist"] });
+      toast.info("Removed from wishlist", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to remove from wishlist", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    },
+  });
+}
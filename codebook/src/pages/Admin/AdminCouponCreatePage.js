@@ -0,0 +1,79 @@
+/**
+ * AdminCouponCreatePage Component
+ *
+ * Page for creating a new discount coupon.
+ * Uses CouponForm component and handles form submission.
+ */
+
+import { useNavigate } from "react-router-dom";
+import { useEffect } from "react";
+import { toast } from "react-toastify";
+import { useTitle } from "../../hooks/useTitle";
+import { useCreateCoupon } from "../../hooks/useCoupons";
+import { AdminLayout, useAdminLayout } from "../../components/Layouts/Admin";
+import { CouponForm } from "./components/CouponForm";
+import { PageHeader, Card } from "../../components/ui";
+
+// Inner component that uses the AdminLayout context
+const AdminCouponCreateContent = () => {
+  const { toggleSidebar } = useAdminLayout();
+  const navigate = useNavigate();
+  const createCouponMutation = useCreateCoupon();
+
+  // Handle form submission
+  const handleSubmit = async (formData) => {
+    try {
+      await createCouponMutation.mutateAsync(formData);
+      // Navigate back to coupons list after successful creation
+      navigate("/admin/coupons");
+    } catch (error) {
+      // Error toast is handled by the mutation hook
+      console.error("Create coupon error:", error);
+    }
+  };
+
+  return (
+    <div className="space-y-6 w-full max-w-full">
+      {/* Page Header */}
+      <PageHeader
+        title="Create New Coupon"
+        description="Add a discount code for your customers"
+        onToggleSidebar={toggleSidebar}
+        showBackButton={true}
+        onBack={() => navigate("/admin/coupons")}
+      />
+
+      {/* Coupon Form */}
+      <Card className="p-4 sm:p-6">
+        <CouponForm
+          coupon={null}
+          onSubmit={handleSubmit}
+          isLoading={createCouponMutation.isPending}
+        />
+      </Card>
+    </div>
+  );
+};
+
+export const AdminCouponCreatePage = () => {
+  useTitle("Create Coupon - Admin");
+  const navigate = useNavigate();
+
+  // Check if user is admin before rendering
+  useEffect(() => {
+    const userRole = sessionStorage.getItem("userRole");
+    if (userRole !== "admin") {
+      toast.error("Admin access required", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      navigate("/products");
+    }
+  }, [navigate]);
+
+  return (
+    <AdminLayout>
+      <AdminCouponCreateContent />
+    </AdminLayout>
+  );
+};
@@ -0,0 +1,109 @@
+/**
+ * AdminCouponEditPage Component
+ *
+ * Page for editing an existing discount coupon.
+ * Fetches coupon data (including usage counters) and uses CouponForm component.
+ */
+
+import { useParams, useNavigate } from "react-router-dom";
+import { useEffect } from "react";
+import { toast } from "react-toastify";
+import { useTitle } from "../../hooks/useTitle";
+import { useCoupon, useUpdateCoupon } from "../../hooks/useCoupons";
+import { AdminLayout, useAdminLayout } from "../../components/Layouts/Admin";
+import { CouponForm } from "./components/CouponForm";
+import { PageHeader, LoadingState, ErrorState, Card } from "../../components/ui";
+
+// Inner component that uses the AdminLayout context
+const AdminCouponEditContent = () => {
+  const { toggleSidebar } = useAdminLayout();
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const { data: coupon, isLoading, error } = useCoupon(code);
+  const updateCouponMutation = useUpdateCoupon();
+
+  // Handle form submission
+  const handleSubmit = async (formData) => {
+    try {
+      await updateCouponMutation.mutateAsync({ code, updates: formData });
+      // Navigate back to coupons list after successful update
+      navigate("/admin/coupons");
+    } catch (error) {
+      // Error toast is handled by the mutation hook
+      console.error("Update coupon error:", error);
+    }
+  };
+
+  return (
+    <div className="space-y-6 w-full max-w-full">
+      {/* Page Header */}
+      <PageHeader
+        title={`Edit Coupon ${code}`}
+        description="Update coupon rules and limits"
+        onToggleSidebar={toggleSidebar}
+        showBackButton={true}
+        onBack={() => navigate("/admin/coupons")}
+      />
+
+      {/* Loading State */}
+      {isLoading && <LoadingState message="Loading coupon..." />}
+
+      {/* Error State */}
+      {error && !isLoading && (
+        <ErrorState message={error.message || "Failed to load coupon"} />
+      )}
+
+      {!isLoading && coupon && (
+        <>
+          {/* Usage */}
+          <Card className="p-4 sm:p-6">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Used{" "}
+              <span className="font-semibold text-gray-900 dark:text-white">
+                {coupon.timesUsed || 0}
+              </span>
+              {coupon.usageLimit != null && ` of ${coupon.usageLimit}`}{" "}
+              {(coupon.timesUsed || 0) === 1 ? "time" : "times"} by{" "}
+              <span className="font-semibold text-gray-900 dark:text-white">
+                {Object.keys(coupon.usageByUser || {}).length}
+              </span>{" "}
+              customers
+            </p>
+          </Card>
+
+          {/* Coupon Form */}
+          <Card className="p-4 sm:p-6">
+            <CouponForm
+              coupon={coupon}
+              onSubmit={handleSubmit}
+              isLoading={updateCouponMutation.isPending}
+            />
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export const AdminCouponEditPage = () => {
+  useTitle("Edit Coupon - Admin");
+  const navigate = useNavigate();
+
+  // Check if user is admin before rendering
+  useEffect(() => {
+    const userRole = sessionStorage.getItem("userRole");
+    if (userRole !== "admin") {
+      toast.error("Admin access required", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      navigate("/products");
+    }
+  }, [navigate]);
+
+  return (
+    <AdminLayout>
+      <AdminCouponEditContent />
+    </AdminLayout>
+  );
+};
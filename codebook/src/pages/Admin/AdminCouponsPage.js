@@ -0,0 +1,362 @@
+/**
+ * AdminCouponsPage Component
+ *
+ * Coupons management page for admin panel.
+ * Displays all discount coupons in a table with search, status filter, and CRUD operations.
+ * Uses React Query for efficient data fetching and caching.
+ *
+ * Features:
+ * - Coupons list table with search and status filter
+ * - Usage counters (total uses / limit)
+ * - Create/Edit/Delete coupon functionality
+ */
+
+import { useState, useMemo, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useTitle } from "../../hooks/useTitle";
+import { useAllCoupons, useDeleteCoupon } from "../../hooks/useCoupons";
+import { AdminLayout, useAdminLayout } from "../../components/Layouts/Admin";
+import { formatDateShort } from "../../utils/formatDate";
+import { formatPrice } from "../../utils/formatPrice";
+import {
+  SortableTable,
+  PageHeader,
+  SearchFilterBar,
+  StatusBadge,
+  LoadingState,
+  ErrorState,
+  EmptyState,
+  Card,
+  ResultsCount,
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "../../components/ui";
+
+/**
+ * Current status of a coupon (for the badge and filter)
+ * @param {Object} coupon - Coupon
+ * @returns {string} "active", "inactive", "expired" or "used_up"
+ */
+function getCouponStatus(coupon) {
+  if (coupon.active === false) return "inactive";
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= new Date()) return "expired";
+  if (coupon.usageLimit != null && (coupon.timesUsed || 0) >= coupon.usageLimit) return "used_up";
+  return "active";
+}
+
+/**
+ * Human-readable discount (e.g. "25% off", "$10.00 off", "Free shipping")
+ * @param {Object} coupon - Coupon
+ * @returns {string} Discount label
+ */
+function formatDiscount(coupon) {
+  if (coupon.type === "percentage") return `${coupon.value}% off`;
+  if (coupon.type === "fixed") return `$${formatPrice(coupon.value)} off`;
+  return "Free shipping";
+}
+
+// Inner component that uses the AdminLayout context
+const AdminCouponsContent = () => {
+  const { toggleSidebar } = useAdminLayout();
+  const navigate = useNavigate();
+  const { data: coupons, isLoading, error } = useAllCoupons();
+  const deleteCouponMutation = useDeleteCoupon();
+  const [searchQuery, setSearchQuery] = useState("");
+  const [filterStatus, setFilterStatus] = useState("all");
+  const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
+  const [couponToDelete, setCouponToDelete] = useState(null); // coupon code
+
+  // Show error toast if API call fails
+  useEffect(() => {
+    if (error) {
+      toast.error(error.message || "Failed to load coupons", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    }
+  }, [error]);
+
+  // Filter coupons based on search query and status filter
+  const filteredCoupons = useMemo(() => {
+    if (!coupons) return [];
+
+    let filtered = [...coupons];
+
+    // Apply search filter
+    if (searchQuery.trim()) {
+      const query = searchQuery.toLowerCase().trim();
+      filtered = filtered.filter(
+        (coupon) =>
+          coupon.code?.toLowerCase().includes(query) ||
+          coupon.description?.toLowerCase().includes(query)
+      );
+    }
+
+    // Apply status filter
+    if (filterStatus !== "all") {
+      filtered = filtered.filter((coupon) => getCouponStatus(coupon) === filterStatus);
+    }
+
+    return filtered;
+  }, [coupons, searchQuery, filterStatus]);
+
+  // Open delete confirmation dialog
+  const handleDeleteClick = (code) => {
+    setCouponToDelete(code);
+    setDeleteDialogOpen(true);
+  };
+
+  // Handle delete coupon confirmation
+  const handleDeleteConfirm = async () => {
+    if (!couponToDelete) return;
+
+    try {
+      await deleteCouponMutation.mutateAsync(couponToDelete);
+      setDeleteDialogOpen(false);
+      setCouponToDelete(null);
+    } catch (error) {
+      // Error toast is handled by the mutation hook
+      console.error("Delete error:", error);
+      // Keep dialog open on error so user can try again
+    }
+  };
+
+  // Define table columns configuration
+  const tableColumns = [
+    {
+      key: "code",
+      label: "Code",
+      sortable: true,
+      className: "",
+    },
+    {
+      key: "type",
+      label: "Discount",
+      sortable: true,
+      className: "",
+    },
+    {
+      key: "timesUsed",
+      label: "Used",
+      sortable: true,
+      sortFn: (a, b) => (a.timesUsed || 0) - (b.timesUsed || 0),
+      className: "",
+    },
+    {
+      key: "expiresAt",
+      label: "Expires",
+      sortable: true,
+      sortFn: (a, b) => {
+        const dateA = a.expiresAt ? new Date(a.expiresAt) : new Date(8640000000000000);
+        const dateB = b.expiresAt ? new Date(b.expiresAt) : new Date(8640000000000000);
+        return dateA - dateB;
+      },
+      className: "",
+    },
+    {
+      key: "status",
+      label: "Status",
+      sortable: true,
+      sortFn: (a, b) => getCouponStatus(a).localeCompare(getCouponStatus(b)),
+      className: "",
+    },
+    {
+      key: "actions",
+      label: "Actions",
+      sortable: false,
+      className: "",
+    },
+  ];
+
+  // Available status filter options
+  const filterStatusOptions = [
+    { value: "all", label: "All Coupons" },
+    { value: "active", label: "Active" },
+    { value: "inactive", label: "Inactive" },
+    { value: "expired", label: "Expired" },
+    { value: "used_up", label: "Used Up" },
+  ];
+
+  return (
+    <div className="space-y-6 w-full max-w-full">
+      {/* Page Header */}
+      <PageHeader
+        title="Coupons Management"
+        description="Create and manage discount codes"
+        onToggleSidebar={toggleSidebar}
+        actions={
+          <button
+            onClick={() => navigate("/admin/coupons/new")}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 dark:bg-blue-500 text-white rounded-lg hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors"
+          >
+            <span className="bi-plus-lg"></span>
+            <span className="hidden sm:inline">Create Coupon</span>
+          </button>
+        }
+      />
+
+      {/* Loading State */}
+      {isLoading && <LoadingState message="Loading coupons..." />}
+
+      {/* Error State */}
+      {error && !isLoading && (
+        <ErrorState message={error.message || "Failed to load coupons"} />
+      )}
+
+      {/* Coupons Table */}
+      {!isLoading && !error && (
+        <Card className="p-0">
+          {/* Search and Filter Bar */}
+          <SearchFilterBar
+            searchValue={searchQuery}
+            onSearchChange={setSearchQuery}
+            searchPlaceholder="Search by code or description..."
+            filterValue={filterStatus}
+            onFilterChange={setFilterStatus}
+            filterOptions={filterStatusOptions}
+          >
+            <ResultsCount
+              filteredCount={filteredCoupons.length}
+              totalCount={coupons?.length || 0}
+              entityName="coupons"
+            />
+          </SearchFilterBar>
+
+          {filteredCoupons.length === 0 ? (
+            <EmptyState
+              message={
+                searchQuery || filterStatus !== "all"
+                  ? "No coupons found matching your filters"
+                  : "No coupons yet"
+              }
+            />
+          ) : (
+            <SortableTable
+              data={filteredCoupons}
+              columns={tableColumns}
+              defaultSortColumn="code"
+              defaultSortDirection="asc"
+              renderRow={(coupon) => (
+                <tr
+                  key={coupon.code}
+                  className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                >
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-mono font-medium text-gray-900 dark:text-white">
+                      {coupon.code}
+                    </div>
+                    {coupon.description && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400 truncate max-w-xs">
+                        {coupon.description}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm text-gray-900 dark:text-white">
+                      {formatDiscount(coupon)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {[
+                        coupon.minOrderValue != null && `Min $${formatPrice(coupon.minOrderValue)}`,
+                        coupon.productIds?.length > 0 &&
+                          `${coupon.productIds.length} ${coupon.productIds.length === 1 ? "product" : "products"}`,
+                        coupon.perUserLimit != null && `${coupon.perUserLimit} per customer`,
+                      ]
+                        .filter(Boolean)
+                        .join(" • ")}
+                    </div>
+                  </td>
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                    {coupon.timesUsed || 0}
+                    {coupon.usageLimit != null && ` / ${coupon.usageLimit}`}
+                  </td>
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                    {coupon.expiresAt ? formatDateShort(coupon.expiresAt) : "Never"}
+                  </td>
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+                    <StatusBadge status={getCouponStatus(coupon)} />
+                  </td>
+                  <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => navigate(`/admin/coupons/${encodeURIComponent(coupon.code)}/edit`)}
+                        className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300"
+                        aria-label="Edit coupon"
+                        title="Edit coupon"
+                      >
+                        <span className="bi-pencil"></span>
+                      </button>
+                      <button
+                        onClick={() => handleDeleteClick(coupon.code)}
+                        disabled={deleteCouponMutation.isPending}
+                        className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300"
+                        aria-label="Delete coupon"
+                        title="Delete coupon"
+                      >
+                        <span className="bi-trash"></span>
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              )}
+            />
+          )}
+        </Card>
+      )}
+
+      {/* Delete Confirmation Dialog */}
+      <AlertDialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Coupon</AlertDialogTitle>
+            <AlertDialogDescription>
+              {`Are you sure you want to delete coupon "${couponToDelete || ""}"? Customers will no longer be able to use it. Existing orders keep their discount.`}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={deleteCouponMutation.isPending}>
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleDeleteConfirm}
+              disabled={deleteCouponMutation.isPending}
+              className="bg-red-600 dark:bg-red-500 hover:bg-red-700 dark:hover:bg-red-600"
+            >
+              {deleteCouponMutation.isPending ? "Deleting..." : "Delete"}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export const AdminCouponsPage = () => {
+  useTitle("Admin Coupons");
+  const navigate = useNavigate();
+
+  // Check if user is admin before rendering
+  useEffect(() => {
+    const userRole = sessionStorage.getItem("userRole");
+    if (userRole !== "admin") {
+      toast.error("Admin access required", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      navigate("/products");
+    }
+  }, [navigate]);
+
+  return (
+    <AdminLayout>
+      <AdminCouponsContent />
+    </AdminLayout>
+  );
+};
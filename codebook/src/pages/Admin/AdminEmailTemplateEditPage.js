@@ -0,0 +1,436 @@
+/**
+ * AdminEmailTemplateEditPage Component
+ *
+ * Editor for an email template or one of the shared partials.
+ * Edits are rendered by the API with sample order data as you type (debounced) and
+ * can be sent as a test email before they are saved. Saving creates a new version;
+ * older versions (and the default from the code) can be loaded and saved again.
+ *
+ * Features:
+ * - Subject, heading, HTML and plain-text parts (Mustache)
+ * - Live HTML / text preview with editable sample data
+ * - Variables available to the template
+ * - Version history, send test email
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useTitle } from "../../hooks/useTitle";
+import {
+  useEmailTemplate,
+  useEmailTemplatePreview,
+  useSaveEmailTemplate,
+  useSendTestEmail,
+} from "../../hooks/useEmailTemplates";
+import { AdminLayout, useAdminLayout } from "../../components/Layouts/Admin";
+import { formatDateShort } from "../../utils/formatDate";
+import {
+  PageHeader,
+  LoadingState,
+  ErrorState,
+  Card,
+  FormInput,
+  FormLabel,
+  FormSelect,
+  FormTextarea,
+  FormError,
+} from "../../components/ui";
+
+// Wait this long after the last keystroke before rendering the preview
+const PREVIEW_DELAY_MS = 500;
+
+const PART_TABS = [
+  { value: "html", label: "HTML" },
+  { value: "text", label: "Plain Text" },
+];
+
+/**
+ * Editable parts of a loaded template
+ * @param {Object} template - Template from the API
+ * @returns {Object} { subject, heading, html, text } (partials: { html, text })
+ */
+function toContent(template) {
+  if (template.kind === "partial") {
+    return { html: template.html || "", text: template.text || "" };
+  }
+  return {
+    subject: template.subject || "",
+    heading: template.heading || "",
+    html: template.html || "",
+    text: template.text || "",
+  };
+}
+
+/**
+ * Label for a version in the history select
+ * @param {Object} version - { version, updatedAt, updatedBy }
+ * @returns {string} e.g. "v3 - Jan 15, 2025 (admin@example.com)"
+ */
+function formatVersion(version) {
+  if (version.version === 0) return "Default (from the code)";
+  return `v${version.version} - ${formatDateShort(version.updatedAt)}${version.updatedBy ? ` (${version.updatedBy})` : ""}`;
+}
+
+// Inner component that uses the AdminLayout context
+const AdminEmailTemplateEditContent = () => {
+  const { toggleSidebar } = useAdminLayout();
+  const { name } = useParams();
+  const navigate = useNavigate();
+  const [selectedVersion, setSelectedVersion] = useState(null); // null = current version
+  const { data, isLoading, error } = useEmailTemplate(name, selectedVersion);
+  const saveTemplateMutation = useSaveEmailTemplate();
+  const sendTestEmailMutation = useSendTestEmail();
+
+  const [content, setContent] = useState(null);
+  const [debouncedContent, setDebouncedContent] = useState(null);
+  const [activePart, setActivePart] = useState("html");
+  const [previewMode, setPreviewMode] = useState("html");
+  const [sampleDataText, setSampleDataText] = useState("");
+
+  const isPartial = data?.template?.kind === "partial";
+
+  // Load the template (or the selected version) into the editor
+  useEffect(() => {
+    if (data?.template) {
+      setContent(toContent(data.template));
+    }
+  }, [data?.template]);
+
+  // Sample data only changes with the template
+  useEffect(() => {
+    if (data?.sampleData) {
+      setSampleDataText(JSON.stringify(data.sampleData, null, 2));
+    }
+  }, [data?.sampleData]);
+
+  // Render the preview once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedContent(content), PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [content]);
+
+  // Parsed sample data (null while the JSON is invalid - the preview keeps the default)
+  const { sampleData, sampleDataError } = useMemo(() => {
+    if (!sampleDataText.trim()) return { sampleData: null, sampleDataError: null };
+    try {
+      const parsed = JSON.parse(sampleDataText);
+      if (typeof parsed !== "object" || parsed === null || Array.isArray(parsed)) {
+        return { sampleData: null, sampleDataError: "Sample data must be a JSON object" };
+      }
+      return { sampleData: parsed, sampleDataError: null };
+    } catch (parseError) {
+      return { sampleData: null, sampleDataError: `Invalid JSON: ${parseError.message}` };
+    }
+  }, [sampleDataText]);
+
+  const {
+    data: preview,
+    error: previewError,
+    isFetching: isPreviewLoading,
+  } = useEmailTemplatePreview(name, debouncedContent, sampleData);
+
+  const isDirty = useMemo(
+    () =>
+      !!content &&
+      !!data?.template &&
+      JSON.stringify(content) !== JSON.stringify(toContent(data.template)),
+    [content, data?.template]
+  );
+
+  const versionOptions = useMemo(
+    () => [
+      { value: "", label: "Current version" },
+      ...(data?.versions || []).map((version) => ({
+        value: String(version.version),
+        label: formatVersion(version),
+      })),
+    ],
+    [data?.versions]
+  );
+
+  // Update a part of the template
+  const handleChange = (part) => (e) => {
+    setContent((prev) => ({ ...prev, [part]: e.target.value }));
+  };
+
+  // Load another version (unsaved edits are replaced)
+  const handleVersionChange = (e) => {
+    setSelectedVersion(e.target.value === "" ? null : Number(e.target.value));
+  };
+
+  // Save the editor content as a new version
+  const handleSave = async () => {
+    try {
+      await saveTemplateMutation.mutateAsync({ name, content });
+      setSelectedVersion(null);
+    } catch (saveError) {
+      // Error toast is handled by the mutation hook
+      console.error("Save template error:", saveError);
+    }
+  };
+
+  // Send the editor content to the logged-in admin
+  const handleSendTest = () => {
+    if (sampleDataError) {
+      toast.error(sampleDataError, { closeButton: true, position: "bottom-right" });
+      return;
+    }
+    sendTestEmailMutation.mutate({ name, content, data: sampleData || undefined });
+  };
+
+  const tabClass = (active) =>
+    `px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+      active
+        ? "bg-blue-600 dark:bg-blue-500 text-white"
+        : "text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+    }`;
+
+  return (
+    <div className="space-y-6 w-full max-w-full">
+      {/* Page Header */}
+      <PageHeader
+        title={`Edit ${name}`}
+        description={data?.description || "Edit and preview an email template"}
+        onToggleSidebar={toggleSidebar}
+        showBackButton={true}
+        onBack={() => navigate("/admin/email-templates")}
+        actions={
+          content && (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleSendTest}
+                disabled={sendTestEmailMutation.isPending}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+              >
+                <span className="bi-send"></span>
+                <span className="hidden sm:inline">
+                  {sendTestEmailMutation.isPending ? "Sending..." : "Send Test Email"}
+                </span>
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saveTemplateMutation.isPending || (!isDirty && selectedVersion === null)}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 dark:bg-blue-500 text-white rounded-lg hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors disabled:opacity-50"
+              >
+                <span className="bi-check-lg"></span>
+                <span className="hidden sm:inline">
+                  {saveTemplateMutation.isPending
+                    ? "Saving..."
+                    : selectedVersion !== null && !isDirty
+                      ? "Restore Version"
+                      : "Save"}
+                </span>
+              </button>
+            </div>
+          )
+        }
+      />
+
+      {/* Loading State */}
+      {isLoading && <LoadingState message="Loading template..." />}
+
+      {/* Error State */}
+      {error && !isLoading && (
+        <ErrorState message={error.message || "Failed to load template"} />
+      )}
+
+      {!isLoading && data && content && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          {/* Editor */}
+          <div className="space-y-6 min-w-0">
+            <Card className="p-4 sm:p-6 space-y-4">
+              <div>
+                <FormLabel htmlFor="version">Version</FormLabel>
+                <FormSelect
+                  id="version"
+                  name="version"
+                  value={selectedVersion === null ? "" : String(selectedVersion)}
+                  onChange={handleVersionChange}
+                  options={versionOptions}
+                />
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {`In use: ${data.versions?.[0]?.version > 0 ? `v${data.versions[0].version}` : "default"}. Load an older version and save it to restore it.`}
+                </p>
+              </div>
+
+              {!isPartial && (
+                <>
+                  <div>
+                    <FormLabel htmlFor="subject" required>
+                      Subject
+                    </FormLabel>
+                    <FormInput
+                      id="subject"
+                      name="subject"
+                      value={content.subject}
+                      onChange={handleChange("subject")}
+                      className="font-mono text-sm"
+                    />
+                  </div>
+                  <div>
+                    <FormLabel htmlFor="heading" required>
+                      Heading
+                    </FormLabel>
+                    <FormInput
+                      id="heading"
+                      name="heading"
+                      value={content.heading}
+                      onChange={handleChange("heading")}
+                      className="font-mono text-sm"
+                    />
+                  </div>
+                </>
+              )}
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <FormLabel htmlFor={`part-${activePart}`} required>
+                    {activePart === "html" ? "HTML Part" : "Plain Text Part"}
+                  </FormLabel>
+                  <div className="flex gap-1">
+                    {PART_TABS.map((tab) => (
+                      <button
+                        key={tab.value}
+                        type="button"
+                        onClick={() => setActivePart(tab.value)}
+                        className={tabClass(activePart === tab.value)}
+                      >
+                        {tab.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <FormTextarea
+                  id={`part-${activePart}`}
+                  name={activePart}
+                  value={content[activePart]}
+                  onChange={handleChange(activePart)}
+                  rows={22}
+                  spellCheck={false}
+                  className="font-mono text-xs"
+                />
+              </div>
+            </Card>
+
+            {/* Variables */}
+            <Card className="p-4 sm:p-6">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+                Variables
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+                {"{{name}} inserts a value (HTML-escaped), {{#name}}...{{/name}} shows a block when it is set or repeats it for a list, {{^name}}...{{/name}} when it isn't. {{> header}} and {{> footer}} include the shared partials."}
+              </p>
+              <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-2 text-sm">
+                {Object.entries(data.variables || {}).map(([variable, description]) => (
+                  <div key={variable}>
+                    <dt className="font-mono text-gray-900 dark:text-white">{`{{${variable}}}`}</dt>
+                    <dd className="text-gray-500 dark:text-gray-400">{description}</dd>
+                  </div>
+                ))}
+              </dl>
+            </Card>
+          </div>
+
+          {/* Preview */}
+          <div className="space-y-6 min-w-0">
+            <Card className="p-4 sm:p-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  Preview
+                  {isPreviewLoading && (
+                    <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                      Rendering...
+                    </span>
+                  )}
+                </h2>
+                <div className="flex gap-1">
+                  {PART_TABS.map((tab) => (
+                    <button
+                      key={tab.value}
+                      type="button"
+                      onClick={() => setPreviewMode(tab.value)}
+                      className={tabClass(previewMode === tab.value)}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {isPartial && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {`Shown inside the ${data.previewTemplate} template.`}
+                </p>
+              )}
+
+              {previewError && <FormError message={previewError.message} />}
+
+              {preview && (
+                <>
+                  <div className="text-sm">
+                    <span className="text-gray-500 dark:text-gray-400">Subject: </span>
+                    <span className="text-gray-900 dark:text-white">{preview.subject}</span>
+                  </div>
+                  {previewMode === "html" ? (
+                    <iframe
+                      title="Email preview"
+                      srcDoc={preview.html}
+                      sandbox=""
+                      className="w-full h-[640px] rounded-lg border border-gray-200 dark:border-gray-700 bg-white"
+                    />
+                  ) : (
+                    <pre className="w-full h-[640px] overflow-auto p-4 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900 text-xs text-gray-900 dark:text-gray-100 whitespace-pre-wrap">
+                      {preview.text}
+                    </pre>
+                  )}
+                </>
+              )}
+            </Card>
+
+            {/* Sample Data */}
+            <Card className="p-4 sm:p-6">
+              <FormLabel htmlFor="sampleData">Sample Data (JSON)</FormLabel>
+              <FormTextarea
+                id="sampleData"
+                name="sampleData"
+                value={sampleDataText}
+                onChange={(e) => setSampleDataText(e.target.value)}
+                rows={12}
+                spellCheck={false}
+                className="font-mono text-xs"
+              />
+              <FormError message={sampleDataError} />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                The data the API would pass to this template. Used for the preview and the test email.
+              </p>
+            </Card>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const AdminEmailTemplateEditPage = () => {
+  useTitle("Edit Email Template - Admin");
+  const navigate = useNavigate();
+
+  // Check if user is admin before rendering
+  useEffect(() => {
+    const userRole = sessionStorage.getItem("userRole");
+    if (userRole !== "admin") {
+      toast.error("Admin access required", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      navigate("/products");
+    }
+  }, [navigate]);
+
+  return (
+    <AdminLayout>
+      <AdminEmailTemplateEditContent />
+    </AdminLayout>
+  );
+};
@@ -0,0 +1,256 @@
+/**
+ * AdminEmailTemplatesPage Component
+ *
+ * Email templates page for admin panel.
+ * Lists the email templates and the header/footer partials they share, with the
+ * version in use and who changed it last.
+ *
+ * Features:
+ * - Templates table with search and audience filter
+ * - Partials table
+ * - Link to the editor with live preview for each template
+ */
+
+import { useState, useMemo, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useTitle } from "../../hooks/useTitle";
+import { useEmailTemplates } from "../../hooks/useEmailTemplates";
+import { AdminLayout, useAdminLayout } from "../../components/Layouts/Admin";
+import { formatDateShort } from "../../utils/formatDate";
+import {
+  SortableTable,
+  PageHeader,
+  SearchFilterBar,
+  LoadingState,
+  ErrorState,
+  EmptyState,
+  Card,
+  ResultsCount,
+} from "../../components/ui";
+
+// Define table columns configuration
+const TABLE_COLUMNS = [
+  {
+    key: "name",
+    label: "Template",
+    sortable: true,
+    className: "",
+  },
+  {
+    key: "audience",
+    label: "Recipient",
+    sortable: true,
+    className: "",
+  },
+  {
+    key: "version",
+    label: "Version",
+    sortable: true,
+    sortFn: (a, b) => a.version - b.version,
+    className: "",
+  },
+  {
+    key: "updatedAt",
+    label: "Last Changed",
+    sortable: true,
+    sortFn: (a, b) => new Date(a.updatedAt || 0) - new Date(b.updatedAt || 0),
+    className: "",
+  },
+  {
+    key: "actions",
+    label: "Actions",
+    sortable: false,
+    className: "",
+  },
+];
+
+// Available audience filter options
+const FILTER_AUDIENCE_OPTIONS = [
+  { value: "all", label: "All Templates" },
+  { value: "customer", label: "Customer Emails" },
+  { value: "admin", label: "Admin Alerts" },
+];
+
+// Inner component that uses the AdminLayout context
+const AdminEmailTemplatesContent = () => {
+  const { toggleSidebar } = useAdminLayout();
+  const navigate = useNavigate();
+  const { data, isLoading, error } = useEmailTemplates();
+  const [searchQuery, setSearchQuery] = useState("");
+  const [filterAudience, setFilterAudience] = useState("all");
+
+  // Show error toast if API call fails
+  useEffect(() => {
+    if (error) {
+      toast.error(error.message || "Failed to load email templates", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    }
+  }, [error]);
+
+  // Filter templates based on search query and audience filter
+  const filteredTemplates = useMemo(() => {
+    if (!data?.templates) return [];
+
+    let filtered = [...data.templates];
+
+    // Apply search filter
+    if (searchQuery.trim()) {
+      const query = searchQuery.toLowerCase().trim();
+      filtered = filtered.filter(
+        (template) =>
+          template.name.toLowerCase().includes(query) ||
+          template.description?.toLowerCase().includes(query)
+      );
+    }
+
+    // Apply audience filter
+    if (filterAudience !== "all") {
+      filtered = filtered.filter((template) => template.audience === filterAudience);
+    }
+
+    return filtered;
+  }, [data, searchQuery, filterAudience]);
+
+  // Table row shared by templates and partials
+  const renderRow = (template) => (
+    <tr
+      key={template.name}
+      className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+    >
+      <td className="px-4 sm:px-6 py-4">
+        <div className="text-sm font-mono font-medium text-gray-900 dark:text-white">
+          {template.name}
+        </div>
+        <div className="text-xs text-gray-500 dark:text-gray-400 max-w-md">
+          {template.description}
+        </div>
+      </td>
+      <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+        {template.kind === "partial" ? "All emails" : template.audience === "admin" ? "Admin" : "Customer"}
+      </td>
+      <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+        {template.version > 0 ? `v${template.version}` : "Default"}
+      </td>
+      <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+        {template.updatedAt ? (
+          <>
+            {formatDateShort(template.updatedAt)}
+            {template.updatedBy && (
+              <div className="text-xs">{template.updatedBy}</div>
+            )}
+          </>
+        ) : (
+          "Never"
+        )}
+      </td>
+      <td className="px-4 sm:px-6 py-4 whitespace-nowrap text-sm font-medium">
+        <button
+          onClick={() => navigate(`/admin/email-templates/${template.name}`)}
+          className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300"
+          aria-label="Edit template"
+          title="Edit template"
+        >
+          <span className="bi-pencil"></span>
+        </button>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="space-y-6 w-full max-w-full">
+      {/* Page Header */}
+      <PageHeader
+        title="Email Templates"
+        description="Edit the copy of the emails the store sends, without a redeploy"
+        onToggleSidebar={toggleSidebar}
+      />
+
+      {/* Loading State */}
+      {isLoading && <LoadingState message="Loading email templates..." />}
+
+      {/* Error State */}
+      {error && !isLoading && (
+        <ErrorState message={error.message || "Failed to load email templates"} />
+      )}
+
+      {!isLoading && !error && data && (
+        <>
+          {/* Templates Table */}
+          <Card className="p-0">
+            <SearchFilterBar
+              searchValue={searchQuery}
+              onSearchChange={setSearchQuery}
+              searchPlaceholder="Search by name or description..."
+              filterValue={filterAudience}
+              onFilterChange={setFilterAudience}
+              filterOptions={FILTER_AUDIENCE_OPTIONS}
+            >
+              <ResultsCount
+                filteredCount={filteredTemplates.length}
+                totalCount={data.templates.length}
+                entityName="templates"
+              />
+            </SearchFilterBar>
+
+            {filteredTemplates.length === 0 ? (
+              <EmptyState message="No templates found matching your filters" />
+            ) : (
+              <SortableTable
+                data={filteredTemplates}
+                columns={TABLE_COLUMNS}
+                defaultSortColumn="name"
+                defaultSortDirection="asc"
+                renderRow={renderRow}
+              />
+            )}
+          </Card>
+
+          {/* Partials Table */}
+          <Card className="p-0">
+            <div className="px-4 sm:px-6 pt-4">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                Shared Partials
+              </h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {"Included by every template with {{> header}} and {{> footer}}"}
+              </p>
+            </div>
+            <SortableTable
+              data={data.partials}
+              columns={TABLE_COLUMNS}
+              defaultSortColumn="name"
+              defaultSortDirection="desc"
+              renderRow={renderRow}
+            />
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export const AdminEmailTemplatesPage = () => {
+  useTitle("Admin Email Templates");
+  const navigate = useNavigate();
+
+  // Check if user is admin before rendering
+  useEffect(() => {
+    const userRole = sessionStorage.getItem("userRole");
+    if (userRole !== "admin") {
+      toast.error("Admin access required", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      navigate("/products");
+    }
+  }, [navigate]);
+
+  return (
+    <AdminLayout>
+      <AdminEmailTemplatesContent />
+    </AdminLayout>
+  );
+};
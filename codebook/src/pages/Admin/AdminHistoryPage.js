@@ -8,7 +8,7 @@
  * Features:
  * - Activity logs table with search and filters
  * - Filter by entity type (order, product, user)
- * - Filter by action (create, update, delete, status_change)
+ * - Filter by action (create, update, delete, status_change, restock, import, ebook_upload, ebook_remove)
  * - Real-time updates with cache invalidation
  */
 
@@ -139,6 +139,14 @@ const AdminHistoryContent = () => {
       delete: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200",
       status_change:
         "bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200",
+      restock:
+        "bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200",
+      import:
+        "bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200",
+      ebook_upload:
+        "bg-cyan-100 text-cyan-800 dark:bg-cyan-900 dark:text-cyan-200",
+      ebook_remove:
+        "bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200",
     };
     return (
       colorMap[action] ||
@@ -151,6 +159,7 @@ const AdminHistoryContent = () => {
     const fieldNameMap = {
       // Product fields
       name: "Name",
+      sku: "SKU",
       price: "Price",
       stock: "Stock",
       lowStockThreshold: "Low Stock Threshold",
@@ -265,6 +274,10 @@ const AdminHistoryContent = () => {
                 update: "Updated",
                 delete: "Deleted",
                 status_change: "Status Changed",
+                restock: "Restocked",
+                import: "Imported",
+                ebook_upload: "File Uploaded",
+                ebook_remove: "File Removed",
               }}
             />
           </td>
@@ -355,6 +368,53 @@ const AdminHistoryContent = () => {
                     </span>
                   </div>
                 )}
+                {log.details.quantityReceived !== undefined && (
+                  <div className="truncate">
+                    <span className="text-gray-700 dark:text-gray-300">
+                      Received:
+                    </span>{" "}
+                    <span className="text-gray-600 dark:text-gray-400">
+                      +{log.details.quantityReceived} ({log.details.oldStock} → {log.details.newStock})
+                      {log.details.cost !== null &&
+                        log.details.cost !== undefined &&
+                        `, cost $${Number(log.details.cost).toFixed(2)}`}
+                    </span>
+                  </div>
+                )}
+                {log.details.totalRows !== undefined && (
+                  <div className="truncate">
+                    <span className="text-gray-700 dark:text-gray-300">
+                      Import:
+                    </span>{" "}
+                    <span className="text-gray-600 dark:text-gray-400">
+                      {log.details.totalRows} rows ({log.details.format?.toUpperCase()}),{" "}
+                      {log.details.created} created, {log.details.updated} updated
+                      {log.details.failed > 0 && `, ${log.details.failed} failed`}
+                    </span>
+                  </div>
+                )}
+                {(log.details.fileName || log.details.previousFileName) && (
+                  <div className="truncate">
+                    <span className="text-gray-700 dark:text-gray-300">
+                      File:
+                    </span>{" "}
+                    <span className="text-gray-600 dark:text-gray-400">
+                      {log.details.fileName
+                        ? `${log.details.fileName} (${log.details.format?.toUpperCase()})`
+                        : `${log.details.previousFileName} removed`}
+                    </span>
+                  </div>
+                )}
+                {log.details.supplierNote && (
+                  <div className="truncate">
+                    <span className="text-gray-700 dark:text-gray-300">
+                      Supplier:
+                    </span>{" "}
+                    <span className="text-gray-600 dark:text-gray-400">
+                      {log.details.supplierNote}
+                    </span>
+                  </div>
+                )}
                 {log.details.trackingNumber && (
                   <div className="truncate">
                     <span className="text-gray-700 dark:text-gray-300">
@@ -433,6 +493,10 @@ const AdminHistoryContent = () => {
       { value: "update", label: "Updated" },
       { value: "delete", label: "Deleted" },
       { value: "status_change", label: "Status Changed" },
+      { value: "restock", label: "Restocked" },
+      { value: "import", label: "Imported" },
+      { value: "ebook_upload", label: "File Uploaded" },
+      { value: "ebook_remove", label: "File Removed" },
     ],
     []
   );
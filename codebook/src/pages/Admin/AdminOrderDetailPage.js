@@ -9,7 +9,7 @@
  * - Full order details view
  * - Order items list
  * - Status update functionality
- * - Customer information
+ * - Customer information and shipping address
  * - Real-time updates with cache invalidation
  */
 
@@ -32,6 +32,8 @@ import {
 } from "../../utils/productImage";
 import { formatPrice } from "../../utils/formatPrice";
 import { formatDateLong } from "../../utils/formatDate";
+import { formatAddressLines } from "../../utils/addresses";
+import { getVariantLabel } from "../../utils/productVariants";
 import {
   PageHeader,
   StatusBadge,
@@ -180,9 +182,10 @@ const AdminOrderDetailContent = () => {
   // Check if order can be refunded
   const canRefund = useMemo(() => {
     if (!enrichedOrder) return false;
-    // Can refund if: order is paid, not already refunded, and has paymentIntentId
+    // Can refund if: order is paid (or partially refunded), not fully refunded, and has paymentIntentId
     return (
-      enrichedOrder.paymentStatus === "paid" &&
+      (enrichedOrder.paymentStatus === "paid" ||
+        enrichedOrder.paymentStatus === "partially_refunded") &&
       enrichedOrder.status !== "refunded" &&
       enrichedOrder.paymentStatus !== "refunded" &&
       enrichedOrder.paymentIntentId
@@ -294,6 +297,29 @@ const AdminOrderDetailContent = () => {
                       {enrichedOrder.userId || enrichedOrder.user?.id || "N/A"}
                     </dd>
                   </div>
+                  <div>
+                    <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                      Shipping Address
+                    </dt>
+                    <dd className="text-sm text-gray-900 dark:text-white">
+                      {enrichedOrder.shippingAddress ? (
+                        <>
+                          {formatAddressLines(enrichedOrder.shippingAddress).map(
+                            (line, index) => (
+                              <div key={index}>{line}</div>
+                            )
+                          )}
+                          {enrichedOrder.shippingAddress.phone && (
+                            <div className="text-gray-500 dark:text-gray-400">
+                              {enrichedOrder.shippingAddress.phone}
+                            </div>
+                          )}
+                        </>
+                      ) : (
+                        "Not provided"
+                      )}
+                    </dd>
+                  </div>
                 </dl>
               </div>
             </div>
@@ -339,7 +365,7 @@ const AdminOrderDetailContent = () => {
                         {item.name || "N/A"}
                       </div>
                       <div className="text-xs text-gray-500 dark:text-gray-400">
-                        Quantity: {item.quantity || 1}
+                        {item.format && `${getVariantLabel(item)} \u00B7 `}Quantity: {item.quantity || 1}
                       </div>
                       {item.overview && (
                         <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 line-clamp-2">
@@ -390,6 +416,51 @@ const AdminOrderDetailContent = () => {
                   {enrichedOrder.cartList?.length || 0}
                 </dd>
               </div>
+              {/* Price breakdown (recorded on the order when it was created) */}
+              {enrichedOrder.subtotal !== undefined && (
+                <div className="flex justify-between">
+                  <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                    Subtotal
+                  </dt>
+                  <dd className="text-sm text-gray-900 dark:text-white">
+                    ${formatPrice(enrichedOrder.subtotal)}
+                  </dd>
+                </div>
+              )}
+              {enrichedOrder.coupon && (
+                <div className="flex justify-between">
+                  <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                    Coupon ({enrichedOrder.coupon.code})
+                  </dt>
+                  <dd className="text-sm text-green-600 dark:text-green-400">
+                    {enrichedOrder.coupon.type === "free_shipping"
+                      ? "Free shipping"
+                      : `-$${formatPrice(enrichedOrder.discount)}`}
+                  </dd>
+                </div>
+              )}
+              {enrichedOrder.shippingCost !== undefined && (
+                <div className="flex justify-between">
+                  <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                    Shipping
+                  </dt>
+                  <dd className="text-sm text-gray-900 dark:text-white">
+                    {enrichedOrder.shippingCost > 0
+                      ? `$${formatPrice(enrichedOrder.shippingCost)}`
+                      : "Free"}
+                  </dd>
+                </div>
+              )}
+              {enrichedOrder.tax > 0 && (
+                <div className="flex justify-between">
+                  <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                    Tax
+                  </dt>
+                  <dd className="text-sm text-gray-900 dark:text-white">
+                    ${formatPrice(enrichedOrder.tax)}
+                  </dd>
+                </div>
+              )}
               <div className="flex justify-between border-t border-gray-200 dark:border-gray-700 pt-2">
                 <dt className="text-base font-semibold text-gray-900 dark:text-white">
                   Total Amount
@@ -586,8 +657,9 @@ const AdminOrderDetailContent = () => {
                 Refund Management
               </h3>
               <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
-                Process a refund for this order. The full amount will be
-                refunded to the customer's original payment method.
+                Process a refund for this order. The full amount (less any
+                earlier partial refunds) will be refunded to the customer's
+                original payment method.
               </p>
               <AlertDialog
                 open={refundDialogOpen}
@@ -611,7 +683,11 @@ const AdminOrderDetailContent = () => {
                       Are you sure you want to process a refund for this order?
                       The amount of{" "}
                       <span className="font-semibold">
-                        ${formatPrice(enrichedOrder.amount_paid)}
+                        $
+                        {formatPrice(
+                          (enrichedOrder.amount_paid || 0) -
+                            (enrichedOrder.refundAmount || 0) / 100
+                        )}
                       </span>{" "}
                       will be refunded to the customer's original payment
                       method. This action cannot be undone.
@@ -11,11 +11,12 @@
  * - QR code display
  * - Product image and information
  * - Stock and inventory management info
+ * - eBook file upload (PDF/EPUB delivered to customers)
  * - Edit/Update button
  * - Real-time updates with cache invalidation
  */
 
-import { useEffect, useMemo } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { toast } from "react-toastify";
 import { useTitle } from "../../hooks/useTitle";
@@ -36,12 +37,14 @@ import { formatPrice } from "../../utils/formatPrice";
 import { getProductImageUrl, getProductImageKey } from "../../utils/productImage";
 import { calculateSingleProductAnalytics } from "../../services/analyticsService";
 import { Rating } from "../../components";
+import { RestockDialog, EbookFileCard } from "./components";
 
 // Inner component that uses the AdminLayout context
 const AdminProductDetailContent = () => {
   const { toggleSidebar } = useAdminLayout();
   const { id: productId } = useParams();
   const navigate = useNavigate();
+  const [restockOpen, setRestockOpen] = useState(false);
   
   // Fetch product data
   const { data: product, isLoading: productLoading, error: productError } = useProduct(productId, !!productId);
@@ -261,6 +264,16 @@ const AdminProductDetailContent = () => {
                       {product.id}
                     </dd>
                   </div>
+                  {product.sku && (
+                    <div>
+                      <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                        SKU
+                      </dt>
+                      <dd className="text-sm text-gray-900 dark:text-white font-mono mt-1">
+                        {product.sku}
+                      </dd>
+                    </div>
+                  )}
                   <div>
                     <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
                       Price
@@ -279,6 +292,17 @@ const AdminProductDetailContent = () => {
                       </dd>
                     </div>
                   )}
+                  {product.stock !== undefined && (
+                    <div>
+                      <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                        Reserved / Available
+                      </dt>
+                      <dd className="text-sm text-gray-900 dark:text-white mt-1">
+                        {product.reserved || 0} reserved by open checkouts,{" "}
+                        {Math.max(0, product.stock - (product.reserved || 0))} available to buy
+                      </dd>
+                    </div>
+                  )}
                   {product.lowStockThreshold !== undefined && (
                     <div>
                       <dt className="text-sm font-medium text-gray-500 dark:text-gray-400">
@@ -370,6 +394,9 @@ const AdminProductDetailContent = () => {
             </div>
           </Card>
 
+          {/* eBook File Card - the file customers download from their library */}
+          <EbookFileCard product={product} />
+
           {/* Description Card */}
           {product.long_description && (
             <Card className="p-4 sm:p-6">
@@ -391,6 +418,16 @@ const AdminProductDetailContent = () => {
               <i className="bi bi-pencil mr-2"></i>
               Edit Product
             </button>
+            {/* Restock (only for products with stock tracking) */}
+            {product.stock !== undefined && (
+              <button
+                onClick={() => setRestockOpen(true)}
+                className="px-4 py-2 rounded-lg font-medium bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors"
+              >
+                <i className="bi bi-box-seam mr-2"></i>
+                Restock
+              </button>
+            )}
             <button
               onClick={() => navigate("/admin/products")}
               className="px-4 py-2 rounded-lg font-medium bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
@@ -398,6 +435,11 @@ const AdminProductDetailContent = () => {
               Back to Products
             </button>
           </div>
+
+          <RestockDialog
+            product={restockOpen ? product : null}
+            onClose={() => setRestockOpen(false)}
+          />
         </div>
       )}
     </div>
@@ -0,0 +1,440 @@
+/**
+ * AdminProductImportPage Component
+ *
+ * Import wizard for creating/updating many products from a CSV or JSON file.
+ *
+ * Steps:
+ * 1. Upload - pick a file and the mode (upsert or create only)
+ * 2. Review - dry run result per row (create / update / unchanged / errors)
+ * 3. Done - what was written
+ *
+ * Rows are matched to existing products by id, then by SKU. An export from the
+ * products page has the same columns and can be edited and imported again.
+ */
+
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useTitle } from "../../hooks/useTitle";
+import { useImportProducts } from "../../hooks/useAdmin";
+import { AdminLayout, useAdminLayout } from "../../components/Layouts/Admin";
+import { exportProducts } from "../../services";
+import { downloadBlob } from "../../utils/exportUtils";
+import {
+  PageHeader,
+  Card,
+  FormLabel,
+  FormSelect,
+  StatusBadge,
+} from "../../components/ui";
+
+const MODE_OPTIONS = [
+  { value: "upsert", label: "Create new and update existing products" },
+  { value: "create", label: "Only create new products" },
+];
+
+const ACTION_LABELS = {
+  create: "Create",
+  update: "Update",
+  unchanged: "Unchanged",
+  invalid: "Error",
+  created: "Created",
+  updated: "Updated",
+  failed: "Failed",
+};
+
+const ACTION_COLORS = {
+  create: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200",
+  created: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200",
+  update: "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200",
+  updated: "bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200",
+  unchanged: "bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300",
+  invalid: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200",
+  failed: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200",
+};
+
+// Format from the file extension (the API also accepts JSON arrays)
+const getFileFormat = (fileName) =>
+  fileName.toLowerCase().endsWith(".json") ? "json" : "csv";
+
+// Inner component that uses the AdminLayout context
+const AdminProductImportContent = () => {
+  const { toggleSidebar } = useAdminLayout();
+  const navigate = useNavigate();
+  const importMutation = useImportProducts();
+
+  const [step, setStep] = useState("upload"); // "upload", "review", "done"
+  const [file, setFile] = useState(null); // { name, format, data }
+  const [mode, setMode] = useState("upsert");
+  const [report, setReport] = useState(null);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFile({
+        name: selected.name,
+        format: getFileFormat(selected.name),
+        data: String(reader.result || ""),
+      });
+    };
+    reader.onerror = () => {
+      toast.error("Could not read the file", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    };
+    reader.readAsText(selected);
+  };
+
+  // Step 1 -> 2: validate every row without writing anything
+  const handleValidate = async () => {
+    if (!file) return;
+    try {
+      const result = await importMutation.mutateAsync({
+        format: file.format,
+        data: file.data,
+        mode,
+        dryRun: true,
+      });
+      setReport(result);
+      setShowErrorsOnly(result.summary.invalid > 0);
+      setStep("review");
+    } catch (error) {
+      // Error toast is handled by the mutation hook
+      console.error("Product import validation error:", error);
+    }
+  };
+
+  // Step 2 -> 3: write the products
+  const handleImport = async () => {
+    try {
+      const result = await importMutation.mutateAsync({
+        format: file.format,
+        data: file.data,
+        mode,
+        dryRun: false,
+      });
+      setReport(result);
+      setShowErrorsOnly(false);
+      setStep("done");
+    } catch (error) {
+      // Error toast is handled by the mutation hook
+      console.error("Product import error:", error);
+    }
+  };
+
+  const handleReset = () => {
+    setFile(null);
+    setReport(null);
+    setStep("upload");
+  };
+
+  const handleExport = async (format) => {
+    setIsExporting(true);
+    try {
+      const blob = await exportProducts(format);
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `codebook-products-${date}.${format}`);
+    } catch (error) {
+      toast.error(error.message || "Failed to export products", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const rows = (report?.rows || []).filter(
+    (row) => !showErrorsOnly || row.errors?.length > 0
+  );
+  const summary = report?.summary;
+  const writableCount = summary ? summary.create + summary.update : 0;
+
+  return (
+    <div className="space-y-6 w-full max-w-full">
+      {/* Page Header */}
+      <PageHeader
+        title="Import Products"
+        description="Create or update products in bulk from a CSV or JSON file"
+        onToggleSidebar={toggleSidebar}
+        showBackButton
+        onBack={() => navigate("/admin/products")}
+      />
+
+      {/* Step indicator */}
+      <div className="flex items-center gap-2 text-sm">
+        {["upload", "review", "done"].map((name, index) => (
+          <div key={name} className="flex items-center gap-2">
+            {index > 0 && (
+              <span className="bi-chevron-right text-gray-400"></span>
+            )}
+            <span
+              className={
+                step === name
+                  ? "font-semibold text-blue-600 dark:text-blue-400"
+                  : "text-gray-500 dark:text-gray-400"
+              }
+            >
+              {index + 1}. {name === "upload" ? "Upload" : name === "review" ? "Review" : "Done"}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Step 1: Upload */}
+      {step === "upload" && (
+        <Card className="p-4 sm:p-6">
+          <div className="space-y-5">
+            <div>
+              <FormLabel htmlFor="import-file" required>
+                File (.csv or .json)
+              </FormLabel>
+              <input
+                id="import-file"
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={handleFileChange}
+                className="block w-full text-sm text-gray-700 dark:text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 dark:file:bg-blue-900/30 dark:file:text-blue-300"
+              />
+              {file && (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  {file.name} ({file.format.toUpperCase()})
+                </p>
+              )}
+            </div>
+
+            <div>
+              <FormLabel htmlFor="import-mode">Mode</FormLabel>
+              <FormSelect
+                id="import-mode"
+                name="mode"
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+                options={MODE_OPTIONS}
+              />
+            </div>
+
+            <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
+              <p>
+                Columns: id, sku, name, price, stock, lowStockThreshold, in_stock,
+                best_seller, featured_product, rating, category, tags, overview,
+                long_description, image_local, poster.
+              </p>
+              <p>
+                Rows are matched by id, then by SKU. New products need a name and
+                a price; empty cells leave existing values unchanged. Category is a
+                path ("Programming &gt; JavaScript") and tags are comma-separated.
+              </p>
+              <p>
+                Start from an export of the current catalog:{" "}
+                <button
+                  type="button"
+                  onClick={() => handleExport("csv")}
+                  disabled={isExporting}
+                  className="text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                >
+                  CSV
+                </button>{" "}
+                or{" "}
+                <button
+                  type="button"
+                  onClick={() => handleExport("json")}
+                  disabled={isExporting}
+                  className="text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                >
+                  JSON
+                </button>
+              </p>
+            </div>
+
+            <button
+              onClick={handleValidate}
+              disabled={!file || importMutation.isPending}
+              className="px-4 py-2 rounded-lg font-medium bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {importMutation.isPending ? "Validating..." : "Validate File"}
+            </button>
+          </div>
+        </Card>
+      )}
+
+      {/* Step 2 and 3: Review / Done */}
+      {(step === "review" || step === "done") && report && (
+        <Card className="p-0">
+          {/* Summary */}
+          <div className="p-4 sm:p-6 space-y-3 border-b border-gray-200 dark:border-gray-700">
+            <div className="flex flex-wrap gap-3 text-sm">
+              <span className="text-gray-700 dark:text-gray-300">
+                {summary.total} rows
+              </span>
+              {step === "review" ? (
+                <>
+                  <span className="text-green-700 dark:text-green-300">{summary.create} to create</span>
+                  <span className="text-blue-700 dark:text-blue-300">{summary.update} to update</span>
+                  <span className="text-gray-500 dark:text-gray-400">{summary.unchanged} unchanged</span>
+                  <span className="text-red-700 dark:text-red-300">{summary.invalid} with errors</span>
+                </>
+              ) : (
+                <>
+                  <span className="text-green-700 dark:text-green-300">{summary.created} created</span>
+                  <span className="text-blue-700 dark:text-blue-300">{summary.updated} updated</span>
+                  <span className="text-gray-500 dark:text-gray-400">{summary.unchanged} unchanged</span>
+                  <span className="text-red-700 dark:text-red-300">{summary.failed} failed</span>
+                </>
+              )}
+            </div>
+            {report.warnings?.map((warning) => (
+              <p key={warning} className="text-xs text-amber-700 dark:text-amber-300">
+                <i className="bi bi-exclamation-triangle mr-1"></i>
+                {warning}
+              </p>
+            ))}
+            {step === "review" && summary.invalid > 0 && (
+              <p className="text-sm text-red-700 dark:text-red-300">
+                Fix the rows with errors and upload the file again - nothing is
+                imported while a row has errors.
+              </p>
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={showErrorsOnly}
+                onChange={(e) => setShowErrorsOnly(e.target.checked)}
+              />
+              Only show rows with errors
+            </label>
+          </div>
+
+          {/* Rows */}
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 dark:bg-gray-900">
+                <tr>
+                  {["Row", "Result", "Product", "SKU", "Details"].map((label) => (
+                    <th
+                      key={label}
+                      className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+                    >
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {rows.map((row) => {
+                  const result = row.status || row.action;
+                  return (
+                    <tr key={row.row}>
+                      <td className="px-4 sm:px-6 py-3 text-sm text-gray-500 dark:text-gray-400">
+                        {row.row}
+                      </td>
+                      <td className="px-4 sm:px-6 py-3 whitespace-nowrap">
+                        <StatusBadge
+                          status={result}
+                          className={ACTION_COLORS[result]}
+                          customLabels={ACTION_LABELS}
+                        />
+                      </td>
+                      <td className="px-4 sm:px-6 py-3 text-sm text-gray-900 dark:text-white">
+                        {row.name || "-"}
+                      </td>
+                      <td className="px-4 sm:px-6 py-3 text-sm font-mono text-gray-600 dark:text-gray-400">
+                        {row.sku || "-"}
+                      </td>
+                      <td className="px-4 sm:px-6 py-3 text-sm">
+                        {row.errors?.length > 0 ? (
+                          <ul className="text-red-700 dark:text-red-300 space-y-0.5">
+                            {row.errors.map((error) => (
+                              <li key={error}>{error}</li>
+                            ))}
+                          </ul>
+                        ) : row.action === "update" ? (
+                          <span className="text-gray-600 dark:text-gray-400 text-xs">
+                            Changes: {row.changedFields.join(", ")}
+                          </span>
+                        ) : null}
+                      </td>
+                    </tr>
+                  );
+                })}
+                {rows.length === 0 && (
+                  <tr>
+                    <td
+                      colSpan={5}
+                      className="px-4 sm:px-6 py-6 text-center text-sm text-gray-500 dark:text-gray-400"
+                    >
+                      No rows to show
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Actions */}
+          <div className="p-4 sm:p-6 flex flex-wrap gap-3 border-t border-gray-200 dark:border-gray-700">
+            {step === "review" && (
+              <button
+                onClick={handleImport}
+                disabled={
+                  summary.invalid > 0 ||
+                  writableCount === 0 ||
+                  importMutation.isPending
+                }
+                className="px-4 py-2 rounded-lg font-medium bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {importMutation.isPending
+                  ? "Importing..."
+                  : `Import ${writableCount} ${writableCount === 1 ? "Product" : "Products"}`}
+              </button>
+            )}
+            {step === "done" && (
+              <button
+                onClick={() => navigate("/admin/products")}
+                className="px-4 py-2 rounded-lg font-medium bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors"
+              >
+                Back to Products
+              </button>
+            )}
+            <button
+              onClick={handleReset}
+              disabled={importMutation.isPending}
+              className="px-4 py-2 rounded-lg font-medium bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+            >
+              {step === "done" ? "Import Another File" : "Choose Another File"}
+            </button>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+export const AdminProductImportPage = () => {
+  useTitle("Import Products - Admin");
+  const navigate = useNavigate();
+
+  // Check if user is admin before rendering
+  useEffect(() => {
+    const userRole = sessionStorage.getItem("userRole");
+    if (userRole !== "admin") {
+      toast.error("Admin access required", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      navigate("/products");
+    }
+  }, [navigate]);
+
+  return (
+    <AdminLayout>
+      <AdminProductImportContent />
+    </AdminLayout>
+  );
+};
@@ -18,12 +18,15 @@ import { useEffect } from "react";
 import { toast } from "react-toastify";
 import { useTitle } from "../../hooks/useTitle";
 import { useAllProducts, useDeleteProduct } from "../../hooks/useAdmin";
+import { exportProducts } from "../../services";
+import { downloadBlob } from "../../utils/exportUtils";
 import { AdminLayout, useAdminLayout } from "../../components/Layouts/Admin";
 import {
   getProductImageUrl,
   getProductImageKey,
 } from "../../utils/productImage";
 import { formatPrice } from "../../utils/formatPrice";
+import { RestockDialog } from "./components";
 import {
   AlertDialog,
   AlertDialogAction,
@@ -44,6 +47,15 @@ import {
   ResultsCount,
 } from "../../components/ui";
 
+// Default low-stock threshold when a product has none (same as the API)
+const DEFAULT_LOW_STOCK_THRESHOLD = 10;
+
+// Stock is tracked, not sold out, but at or below the product's threshold
+const isLowStock = (product) =>
+  product.stock !== undefined &&
+  product.stock > 0 &&
+  product.stock <= (product.lowStockThreshold || DEFAULT_LOW_STOCK_THRESHOLD);
+
 // Inner component that uses the AdminLayout context
 const AdminProductsContent = () => {
   const { toggleSidebar } = useAdminLayout();
@@ -51,9 +63,11 @@ const AdminProductsContent = () => {
   const { data: products, isLoading, error } = useAllProducts();
   const deleteProductMutation = useDeleteProduct();
   const [searchQuery, setSearchQuery] = useState("");
-  const [filterInStock, setFilterInStock] = useState("all"); // "all", "in_stock", "out_of_stock", "featured"
+  const [filterInStock, setFilterInStock] = useState("all"); // "all", "in_stock", "out_of_stock", "low_stock", "featured"
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [productToDelete, setProductToDelete] = useState(null); // { id, name }
+  const [productToRestock, setProductToRestock] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
 
   // Show error toast if API call fails
   useEffect(() => {
@@ -87,6 +101,8 @@ const AdminProductsContent = () => {
       filtered = filtered.filter((product) => product.in_stock === true);
     } else if (filterInStock === "out_of_stock") {
       filtered = filtered.filter((product) => product.in_stock === false);
+    } else if (filterInStock === "low_stock") {
+      filtered = filtered.filter(isLowStock);
     } else if (filterInStock === "featured") {
       // Filter for featured products (handle both Number 1/0 and Boolean true/false)
       filtered = filtered.filter(
@@ -183,10 +199,28 @@ const AdminProductsContent = () => {
   ];
 
   // Available filter options
+  // Download the full catalog (same columns as the import)
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const blob = await exportProducts("csv");
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `codebook-products-${date}.csv`);
+    } catch (exportError) {
+      toast.error(exportError.message || "Failed to export products", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const filterOptions = [
     { value: "all", label: "All Products" },
     { value: "in_stock", label: "In Stock" },
     { value: "out_of_stock", label: "Out of Stock" },
+    { value: "low_stock", label: "Low Stock" },
     { value: "featured", label: "Featured Products" },
   ];
 
@@ -198,13 +232,32 @@ const AdminProductsContent = () => {
         description="Manage all products in your store"
         onToggleSidebar={toggleSidebar}
         actions={
-          <button
-            onClick={() => navigate("/admin/products/new")}
-            className="flex items-center gap-2 px-4 py-2 bg-blue-600 dark:bg-blue-500 text-white rounded-lg hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors"
-          >
-            <span className="bi-plus-lg"></span>
-            <span className="hidden sm:inline">Create Product</span>
-          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleExport}
+              disabled={isExporting}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors disabled:opacity-50"
+              aria-label="Export products as CSV"
+            >
+              <span className="bi-download"></span>
+              <span className="hidden sm:inline">Export</span>
+            </button>
+            <button
+              onClick={() => navigate("/admin/products/import")}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+              aria-label="Import products"
+            >
+              <span className="bi-upload"></span>
+              <span className="hidden sm:inline">Import</span>
+            </button>
+            <button
+              onClick={() => navigate("/admin/products/new")}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 dark:bg-blue-500 text-white rounded-lg hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors"
+            >
+              <span className="bi-plus-lg"></span>
+              <span className="hidden sm:inline">Create Product</span>
+            </button>
+          </div>
         }
       />
 
@@ -275,8 +328,14 @@ const AdminProductsContent = () => {
                       )}
                       {/* Product Name and Overview */}
                       <div className="flex-1 min-w-0">
-                        <div className="text-sm font-medium text-gray-900 dark:text-white">
-                          {product.name || "N/A"}
+                        <div className="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-white">
+                          <span>{product.name || "N/A"}</span>
+                          {isLowStock(product) && (
+                            <StatusBadge
+                              status="low_stock"
+                              customLabels={{ low_stock: "Low stock" }}
+                            />
+                          )}
                         </div>
                         <div className="text-xs text-gray-500 dark:text-gray-400 truncate max-w-xs">
                           {product.overview || "No description"}
@@ -326,6 +385,13 @@ const AdminProductsContent = () => {
                         }}
                       />
                     )}
+                    {/* Copies held by open checkouts (released if not paid in time) */}
+                    {product.stock !== undefined && product.reserved > 0 && (
+                      <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        {product.reserved} reserved,{" "}
+                        {Math.max(0, product.stock - product.reserved)} available
+                      </div>
+                    )}
                   </td>
                   <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
                     {product.best_seller ? (
@@ -373,6 +439,16 @@ const AdminProductsContent = () => {
                       >
                         <span className="bi-pencil"></span>
                       </button>
+                      {/* Restock Button (only for products with stock tracking) */}
+                      {product.stock !== undefined && (
+                        <button
+                          onClick={() => setProductToRestock(product)}
+                          className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300"
+                          aria-label="Restock product"
+                        >
+                          <span className="bi-box-seam"></span>
+                        </button>
+                      )}
                       {/* Delete Button */}
                       <button
                         onClick={() =>
@@ -393,6 +469,12 @@ const AdminProductsContent = () => {
         </Card>
       )}
 
+      {/* Restock Dialog */}
+      <RestockDialog
+        product={productToRestock}
+        onClose={() => setProductToRestock(null)}
+      />
+
       {/* Delete Confirmation Dialog */}
       <AlertDialog open={deleteDialogOpen} onOpenChange={setDeleteDialogOpen}>
         <AlertDialogContent>
@@ -3,6 +3,9 @@
  *
  * Admin-facing page to manage all product reviews.
  * Displays all reviews in a table with search, filters, and status management.
+ * Flagged reviews show the moderation reasons; several reviews can be approved
+ * or rejected at once. Rejecting asks for an optional reason that is emailed
+ * to the customer. Admins can also post a public store reply under a review.
  * Uses reusable ShadCN UI components and React Query hooks.
  */
 
@@ -10,7 +13,12 @@ import { useState, useMemo, useEffect, useCallback } from "react";
 import { useSearchParams } from "react-router-dom";
 import { toast } from "react-toastify";
 import { useTitle } from "../../hooks/useTitle";
-import { useAllReviews, useUpdateReviewStatus } from "../../hooks/useReviews";
+import {
+  useAllReviews,
+  useUpdateReviewStatus,
+  useBulkUpdateReviewStatus,
+  useReplyToReview,
+} from "../../hooks/useReviews";
 import { AdminLayout, useAdminLayout } from "../../components/Layouts/Admin";
 import {
   SortableTable,
@@ -22,6 +30,16 @@ import {
   Card,
   ResultsCount,
   FormSelect,
+  FormCheckbox,
+  FormTextarea,
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
 } from "../../components/ui";
 import { Rating } from "../../components/Elements/Rating";
 
@@ -37,8 +55,12 @@ const FILTER_STATUS_OPTIONS = [
   { value: "approved", label: "Approved" },
   { value: "pending", label: "Pending" },
   { value: "rejected", label: "Rejected" },
+  { value: "flagged", label: "Flagged" },
 ];
 
+// Server-side status filters ("flagged" is filtered in the page)
+const API_STATUSES = ["approved", "pending", "rejected"];
+
 // Inner component that uses the AdminLayout context
 const AdminReviewsContent = () => {
   const { toggleSidebar } = useAdminLayout();
@@ -57,8 +79,28 @@ const AdminReviewsContent = () => {
     data: reviews = [],
     isLoading,
     error,
-  } = useAllReviews(filterStatus !== "all" ? filterStatus : null);
+  } = useAllReviews(API_STATUSES.includes(filterStatus) ? filterStatus : null);
   const updateStatusMutation = useUpdateReviewStatus();
+  const bulkUpdateMutation = useBulkUpdateReviewStatus();
+  const replyMutation = useReplyToReview();
+
+  // Selected review IDs for bulk approve/reject
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+  // Reject dialog: reviews to reject and the optional reason for the customer
+  const [rejectDialogOpen, setRejectDialogOpen] = useState(false);
+  const [reviewIdsToReject, setReviewIdsToReject] = useState([]);
+  const [rejectReason, setRejectReason] = useState("");
+
+  // Reply dialog: review being answered and the public reply text
+  const [replyDialogOpen, setReplyDialogOpen] = useState(false);
+  const [reviewToReply, setReviewToReply] = useState(null);
+  const [replyText, setReplyText] = useState("");
+
+  // Clear the selection when the filter changes (selected rows may disappear)
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [filterStatus]);
 
   // Sync search params with state
   useEffect(() => {
@@ -82,6 +124,11 @@ const AdminReviewsContent = () => {
   const filteredReviews = useMemo(() => {
     let filtered = [...reviews];
 
+    // Apply flagged filter (reviews the moderation rules flagged)
+    if (filterStatus === "flagged") {
+      filtered = filtered.filter((review) => review.flagged);
+    }
+
     // Apply search filter
     if (searchQuery) {
       const query = searchQuery.toLowerCase();
@@ -95,11 +142,23 @@ const AdminReviewsContent = () => {
     }
 
     return filtered;
-  }, [reviews, searchQuery]);
+  }, [reviews, searchQuery, filterStatus]);
+
+  // Open the reject dialog for one or more reviews
+  const openRejectDialog = useCallback((reviewIds) => {
+    setReviewIdsToReject(reviewIds);
+    setRejectReason("");
+    setRejectDialogOpen(true);
+  }, []);
 
   // Handle status update
   const handleStatusUpdate = useCallback(
     (reviewId, newStatus) => {
+      // Rejections go through the dialog to collect a reason
+      if (newStatus === "rejected") {
+        openRejectDialog([reviewId]);
+        return;
+      }
       updateStatusMutation.mutate(
         { reviewId, status: newStatus },
         {
@@ -109,9 +168,77 @@ const AdminReviewsContent = () => {
         }
       );
     },
-    [updateStatusMutation]
+    [updateStatusMutation, openRejectDialog]
   );
 
+  // Reject the reviews in the dialog (single review or bulk)
+  const handleRejectConfirm = useCallback(() => {
+    const reason = rejectReason.trim();
+    if (reviewIdsToReject.length === 1) {
+      updateStatusMutation.mutate({
+        reviewId: reviewIdsToReject[0],
+        status: "rejected",
+        reason,
+      });
+    } else {
+      bulkUpdateMutation.mutate(
+        { reviewIds: reviewIdsToReject, status: "rejected", reason },
+        { onSuccess: () => setSelectedIds(new Set()) }
+      );
+    }
+    setReviewIdsToReject([]);
+  }, [rejectReason, reviewIdsToReject, updateStatusMutation, bulkUpdateMutation]);
+
+  // Open the reply dialog (prefilled when editing an existing reply)
+  const openReplyDialog = useCallback((review) => {
+    setReviewToReply(review);
+    setReplyText(review.reply?.text || "");
+    setReplyDialogOpen(true);
+  }, []);
+
+  // Save the reply (an empty reply removes it)
+  const handleReplyConfirm = useCallback(() => {
+    if (!reviewToReply) return;
+    replyMutation.mutate({
+      reviewId: reviewToReply.id,
+      reply: replyText.trim(),
+    });
+    setReviewToReply(null);
+  }, [replyMutation, reviewToReply, replyText]);
+
+  // Approve all selected reviews
+  const handleBulkApprove = useCallback(() => {
+    bulkUpdateMutation.mutate(
+      { reviewIds: [...selectedIds], status: "approved" },
+      { onSuccess: () => setSelectedIds(new Set()) }
+    );
+  }, [bulkUpdateMutation, selectedIds]);
+
+  // Toggle one row / all visible rows
+  const toggleSelected = useCallback((reviewId) => {
+    setSelectedIds((previous) => {
+      const next = new Set(previous);
+      if (next.has(reviewId)) {
+        next.delete(reviewId);
+      } else {
+        next.add(reviewId);
+      }
+      return next;
+    });
+  }, []);
+
+  const allVisibleSelected =
+    filteredReviews.length > 0 &&
+    filteredReviews.every((review) => selectedIds.has(review.id));
+
+  const toggleAllVisible = useCallback(() => {
+    setSelectedIds(
+      allVisibleSelected
+        ? new Set()
+        : new Set(filteredReviews.map((review) => review.id))
+    );
+  }, [allVisibleSelected, filteredReviews]);
+
   // Format date to two lines (date and time)
   const formatDateTwoLines = useCallback((dateString) => {
     if (!dateString) return { datePart: "N/A", timePart: "" };
@@ -135,6 +262,18 @@ const AdminReviewsContent = () => {
   // Table columns
   const columns = useMemo(
     () => [
+      {
+        key: "select",
+        label: (
+          <FormCheckbox
+            id="select-all-reviews"
+            checked={allVisibleSelected}
+            onChange={toggleAllVisible}
+            aria-label="Select all reviews"
+          />
+        ),
+        sortable: false,
+      },
       {
         key: "userName",
         label: "User",
@@ -166,7 +305,7 @@ const AdminReviewsContent = () => {
         sortable: true,
       },
     ],
-    []
+    [allVisibleSelected, toggleAllVisible]
   );
 
   // Render row function for SortableTable - memoized for performance
@@ -179,6 +318,16 @@ const AdminReviewsContent = () => {
           key={review.id}
           className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
         >
+          {/* Select */}
+          <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
+            <FormCheckbox
+              id={`select-review-${review.id}`}
+              checked={selectedIds.has(review.id)}
+              onChange={() => toggleSelected(review.id)}
+              aria-label="Select review"
+            />
+          </td>
+
           {/* User */}
           <td className="px-4 sm:px-6 py-4 whitespace-nowrap">
             <div>
@@ -209,6 +358,63 @@ const AdminReviewsContent = () => {
               <p className="text-sm text-gray-700 dark:text-slate-300">
                 {review.comment}
               </p>
+              {review.moderationReasons?.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {review.moderationReasons.map((reason) => (
+                    <span
+                      key={reason.code}
+                      title={reason.message}
+                      className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300"
+                    >
+                      <span className="bi-flag"></span>
+                      {reason.message}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {review.status === "rejected" && review.rejectionReason && (
+                <p className="mt-2 text-xs text-red-600 dark:text-red-400">
+                  Rejection reason: {review.rejectionReason}
+                </p>
+              )}
+              {review.images?.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {review.images.map((image, index) => (
+                    <a
+                      key={image}
+                      href={image}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      <img
+                        src={image}
+                        alt={`Review attachment ${index + 1}`}
+                        className="w-10 h-10 object-cover rounded border border-gray-200 dark:border-slate-700"
+                      />
+                    </a>
+                  ))}
+                </div>
+              )}
+              {review.reply?.text && (
+                <p className="mt-2 pl-2 border-l-2 border-blue-500 text-xs text-gray-600 dark:text-slate-400 whitespace-pre-line">
+                  <span className="font-semibold">Store reply:</span>{" "}
+                  {review.reply.text}
+                </p>
+              )}
+              <div className="mt-2 flex items-center gap-3 text-xs text-gray-500 dark:text-slate-400">
+                <span title="Helpful / not helpful votes">
+                  <span className="bi-hand-thumbs-up mr-1"></span>
+                  {review.helpfulCount || 0}
+                  <span className="bi-hand-thumbs-down ml-2 mr-1"></span>
+                  {review.unhelpfulCount || 0}
+                </span>
+                <button
+                  onClick={() => openReplyDialog(review)}
+                  className="text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  {review.reply?.text ? "Edit reply" : "Reply"}
+                </button>
+              </div>
             </div>
           </td>
 
@@ -248,7 +454,13 @@ const AdminReviewsContent = () => {
         </tr>
       );
     },
-    [handleStatusUpdate, formatDateTwoLines]
+    [
+      handleStatusUpdate,
+      formatDateTwoLines,
+      selectedIds,
+      toggleSelected,
+      openReplyDialog,
+    ]
   );
 
   if (isLoading) {
@@ -303,6 +515,37 @@ const AdminReviewsContent = () => {
         entityName="reviews"
       />
 
+      {/* Bulk Actions */}
+      {selectedIds.size > 0 && (
+        <Card className="mb-3 flex flex-wrap items-center gap-3">
+          <span className="text-sm text-gray-700 dark:text-slate-300">
+            {selectedIds.size} selected
+          </span>
+          <button
+            onClick={handleBulkApprove}
+            disabled={bulkUpdateMutation.isPending}
+            className="flex items-center gap-2 px-4 py-2 text-sm bg-green-600 dark:bg-green-500 text-white rounded-lg hover:bg-green-700 dark:hover:bg-green-600 transition-colors disabled:opacity-50"
+          >
+            <span className="bi-check-lg"></span>
+            Approve
+          </button>
+          <button
+            onClick={() => openRejectDialog([...selectedIds])}
+            disabled={bulkUpdateMutation.isPending}
+            className="flex items-center gap-2 px-4 py-2 text-sm bg-red-600 dark:bg-red-500 text-white rounded-lg hover:bg-red-700 dark:hover:bg-red-600 transition-colors disabled:opacity-50"
+          >
+            <span className="bi-x-lg"></span>
+            Reject
+          </button>
+          <button
+            onClick={() => setSelectedIds(new Set())}
+            className="text-sm text-gray-600 dark:text-slate-400 hover:underline"
+          >
+            Clear selection
+          </button>
+        </Card>
+      )}
+
       {/* Reviews Table */}
       {filteredReviews.length === 0 ? (
         <Card>
@@ -326,6 +569,76 @@ const AdminReviewsContent = () => {
           />
         </Card>
       )}
+
+      {/* Reject Dialog */}
+      <AlertDialog open={rejectDialogOpen} onOpenChange={setRejectDialogOpen}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              {reviewIdsToReject.length > 1
+                ? `Reject ${reviewIdsToReject.length} Reviews`
+                : "Reject Review"}
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              Rejected reviews are hidden from the product page and the customer
+              is notified by email. The reason is optional and included in the
+              email.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <FormTextarea
+            id="reject-reason"
+            name="rejectReason"
+            value={rejectReason}
+            onChange={(e) => setRejectReason(e.target.value)}
+            rows={3}
+            maxLength={500}
+            placeholder="e.g. Reviews can't contain links to other shops"
+          />
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRejectConfirm}>
+              Reject
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {/* Reply Dialog */}
+      <AlertDialog open={replyDialogOpen} onOpenChange={setReplyDialogOpen}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              {reviewToReply?.reply?.text ? "Edit Store Reply" : "Reply to Review"}
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              The reply is shown publicly under the review on the product page.
+              Leave it empty to remove an existing reply.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          {reviewToReply && (
+            <p className="text-sm text-gray-600 dark:text-slate-400 italic line-clamp-3">
+              "{reviewToReply.comment}"
+            </p>
+          )}
+          <FormTextarea
+            id="review-reply"
+            name="replyText"
+            value={replyText}
+            onChange={(e) => setReplyText(e.target.value)}
+            rows={4}
+            maxLength={1000}
+            placeholder="e.g. Thanks for your feedback! We've passed it on to the author."
+          />
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleReplyConfirm}>
+              {replyText.trim() || !reviewToReply?.reply?.text
+                ? "Post Reply"
+                : "Remove Reply"}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
     </div>
   );
 };
@@ -0,0 +1,391 @@
+/**
+ * CouponForm Component
+ *
+ * Form component for creating and editing discount coupons.
+ * Supports percentage, fixed amount and free shipping coupons with optional
+ * minimum order value, usage limits, expiry date and product restrictions.
+ *
+ * @param {Object} coupon - Existing coupon data (for edit mode) or null (for create mode)
+ * @param {Function} onSubmit - Callback function when form is submitted
+ * @param {boolean} isLoading - Loading state from mutation
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import {
+  FormInput,
+  FormLabel,
+  FormSelect,
+  FormTextarea,
+  FormCheckbox,
+  FormError,
+} from "../../../components/ui";
+import { useAllProducts } from "../../../hooks/useAdmin";
+
+const COUPON_TYPE_OPTIONS = [
+  { value: "percentage", label: "Percentage off" },
+  { value: "fixed", label: "Fixed amount off" },
+  { value: "free_shipping", label: "Free shipping" },
+];
+
+/**
+ * Convert an ISO date to the yyyy-mm-dd value used by date inputs
+ * @param {string} isoDate - ISO date string
+ * @returns {string} Date input value ("" when empty)
+ */
+function toDateInputValue(isoDate) {
+  if (!isoDate) return "";
+  const date = new Date(isoDate);
+  if (Number.isNaN(date.getTime())) return "";
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+}
+
+/**
+ * Optional number field as a string for the form
+ * @param {*} value - Stored value
+ * @returns {string} Form value
+ */
+function toFormNumber(value) {
+  return value !== undefined && value !== null ? String(value) : "";
+}
+
+export const CouponForm = ({ coupon = null, onSubmit, isLoading = false }) => {
+  const isEditMode = !!coupon;
+  const { data: products = [] } = useAllProducts();
+
+  // Form state
+  const [formData, setFormData] = useState({
+    code: "",
+    description: "",
+    type: "percentage",
+    value: "",
+    minOrderValue: "",
+    perUserLimit: "",
+    usageLimit: "",
+    expiresAt: "",
+    productIds: [],
+    active: true,
+  });
+  const [productSearch, setProductSearch] = useState("");
+
+  // Form validation errors
+  const [errors, setErrors] = useState({});
+
+  // Initialize form with coupon data if editing
+  useEffect(() => {
+    if (coupon) {
+      setFormData({
+        code: coupon.code || "",
+        description: coupon.description || "",
+        type: coupon.type || "percentage",
+        value: toFormNumber(coupon.value),
+        minOrderValue: toFormNumber(coupon.minOrderValue),
+        perUserLimit: toFormNumber(coupon.perUserLimit),
+        usageLimit: toFormNumber(coupon.usageLimit),
+        expiresAt: toDateInputValue(coupon.expiresAt),
+        productIds: coupon.productIds || [],
+        active: coupon.active !== false,
+      });
+    }
+  }, [coupon]);
+
+  // Products shown in the restriction list (selected products first)
+  const visibleProducts = useMemo(() => {
+    const query = productSearch.toLowerCase().trim();
+    return products
+      .filter((product) => !query || product.name?.toLowerCase().includes(query))
+      .sort(
+        (a, b) =>
+          Number(formData.productIds.includes(b.id)) -
+          Number(formData.productIds.includes(a.id))
+      );
+  }, [products, productSearch, formData.productIds]);
+
+  // Handle input change
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[name];
+        return newErrors;
+      });
+    }
+  };
+
+  const toggleProduct = (productId) => {
+    setFormData((prev) => ({
+      ...prev,
+      productIds: prev.productIds.includes(productId)
+        ? prev.productIds.filter((id) => id !== productId)
+        : [...prev.productIds, productId],
+    }));
+  };
+
+  // Validate form
+  const validate = () => {
+    const newErrors = {};
+
+    if (!/^[A-Za-z0-9_-]{3,32}$/.test(formData.code.trim())) {
+      newErrors.code = "Code must be 3-32 characters (letters, numbers, - or _)";
+    }
+
+    if (formData.type !== "free_shipping") {
+      const value = Number(formData.value);
+      if (!formData.value || value <= 0) {
+        newErrors.value = "Valid discount value is required";
+      } else if (formData.type === "percentage" && value > 100) {
+        newErrors.value = "Percentage cannot be more than 100";
+      }
+    }
+
+    ["minOrderValue", "perUserLimit", "usageLimit"].forEach((field) => {
+      if (formData[field] !== "" && Number(formData[field]) < 0) {
+        newErrors[field] = "Must be 0 or more";
+      }
+    });
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!validate()) {
+      return;
+    }
+
+    // Empty optional fields are sent as "" so the API clears them on update
+    const submitData = {
+      description: formData.description.trim(),
+      type: formData.type,
+      value: formData.type === "free_shipping" ? 0 : Number(formData.value),
+      minOrderValue: formData.minOrderValue === "" ? "" : Number(formData.minOrderValue),
+      perUserLimit: formData.perUserLimit === "" ? "" : Number(formData.perUserLimit),
+      usageLimit: formData.usageLimit === "" ? "" : Number(formData.usageLimit),
+      // Coupon is valid until the end of the selected day (local time)
+      expiresAt: formData.expiresAt
+        ? new Date(`${formData.expiresAt}T23:59:59`).toISOString()
+        : "",
+      productIds: formData.productIds,
+      active: formData.active,
+    };
+
+    // The code can't change after creation (it's the coupon's key)
+    if (!isEditMode) {
+      submitData.code = formData.code.trim().toUpperCase();
+    }
+
+    onSubmit(submitData);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Code */}
+        <div>
+          <FormLabel htmlFor="code" required>
+            Coupon Code
+          </FormLabel>
+          <FormInput
+            id="code"
+            name="code"
+            value={formData.code}
+            onChange={handleChange}
+            placeholder="e.g. SPRING25"
+            disabled={isEditMode}
+            error={errors.code}
+            className="uppercase"
+          />
+          <FormError message={errors.code} />
+        </div>
+
+        {/* Type */}
+        <div>
+          <FormLabel htmlFor="type" required>
+            Discount Type
+          </FormLabel>
+          <FormSelect
+            id="type"
+            name="type"
+            value={formData.type}
+            onChange={handleChange}
+            options={COUPON_TYPE_OPTIONS}
+          />
+        </div>
+
+        {/* Value */}
+        {formData.type !== "free_shipping" && (
+          <div>
+            <FormLabel htmlFor="value" required>
+              {formData.type === "percentage" ? "Percentage (%)" : "Amount ($)"}
+            </FormLabel>
+            <FormInput
+              id="value"
+              name="value"
+              type="number"
+              step={formData.type === "percentage" ? "1" : "0.01"}
+              min="0"
+              value={formData.value}
+              onChange={handleChange}
+              error={errors.value}
+            />
+            <FormError message={errors.value} />
+          </div>
+        )}
+
+        {/* Minimum Order Value */}
+        <div>
+          <FormLabel htmlFor="minOrderValue">Minimum Order Value ($)</FormLabel>
+          <FormInput
+            id="minOrderValue"
+            name="minOrderValue"
+            type="number"
+            step="0.01"
+            min="0"
+            value={formData.minOrderValue}
+            onChange={handleChange}
+            placeholder="No minimum"
+            error={errors.minOrderValue}
+          />
+          <FormError message={errors.minOrderValue} />
+        </div>
+
+        {/* Per User Limit */}
+        <div>
+          <FormLabel htmlFor="perUserLimit">Uses Per Customer</FormLabel>
+          <FormInput
+            id="perUserLimit"
+            name="perUserLimit"
+            type="number"
+            step="1"
+            min="0"
+            value={formData.perUserLimit}
+            onChange={handleChange}
+            placeholder="Unlimited"
+            error={errors.perUserLimit}
+          />
+          <FormError message={errors.perUserLimit} />
+        </div>
+
+        {/* Total Usage Limit */}
+        <div>
+          <FormLabel htmlFor="usageLimit">Total Uses</FormLabel>
+          <FormInput
+            id="usageLimit"
+            name="usageLimit"
+            type="number"
+            step="1"
+            min="0"
+            value={formData.usageLimit}
+            onChange={handleChange}
+            placeholder="Unlimited"
+            error={errors.usageLimit}
+          />
+          <FormError message={errors.usageLimit} />
+        </div>
+
+        {/* Expiry */}
+        <div>
+          <FormLabel htmlFor="expiresAt">Expires On</FormLabel>
+          <FormInput
+            id="expiresAt"
+            name="expiresAt"
+            type="date"
+            value={formData.expiresAt}
+            onChange={handleChange}
+          />
+        </div>
+      </div>
+
+      {/* Description */}
+      <div>
+        <FormLabel htmlFor="description">Description</FormLabel>
+        <FormTextarea
+          id="description"
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+          rows={2}
+          placeholder="Shown to customers when the coupon is applied"
+        />
+      </div>
+
+      {/* Product Restrictions */}
+      <div>
+        <FormLabel htmlFor="productSearch">
+          Restrict to Products ({formData.productIds.length === 0
+            ? "all products"
+            : `${formData.productIds.length} selected`})
+        </FormLabel>
+        <FormInput
+          id="productSearch"
+          name="productSearch"
+          value={productSearch}
+          onChange={(e) => setProductSearch(e.target.value)}
+          placeholder="Search products..."
+        />
+        <div className="mt-2 max-h-56 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+          {visibleProducts.length === 0 ? (
+            <p className="p-3 text-sm text-gray-500 dark:text-gray-400">No products found</p>
+          ) : (
+            visibleProducts.map((product) => (
+              <label
+                key={product.id}
+                className="flex items-center gap-3 px-3 py-2 text-sm text-gray-900 dark:text-white cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                <input
+                  type="checkbox"
+                  checked={formData.productIds.includes(product.id)}
+                  onChange={() => toggleProduct(product.id)}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                <span className="flex-1">{product.name}</span>
+                <span className="text-gray-500 dark:text-gray-400">${product.price}</span>
+              </label>
+            ))
+          )}
+        </div>
+      </div>
+
+      {/* Active */}
+      <FormCheckbox
+        id="active"
+        name="active"
+        checked={formData.active}
+        onChange={handleChange}
+        label="Active (customers can use this coupon)"
+      />
+
+      {/* Submit Button */}
+      <div className="flex items-center justify-end gap-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+        <button
+          type="button"
+          onClick={() => window.history.back()}
+          className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors"
+          disabled={isLoading}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 dark:bg-blue-500 rounded-lg hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isLoading
+            ? "Saving..."
+            : isEditMode
+            ? "Update Coupon"
+            : "Create Coupon"}
+        </button>
+      </div>
+    </form>
+  );
+};
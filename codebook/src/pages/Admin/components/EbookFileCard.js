@@ -0,0 +1,158 @@
+/**
+ * EbookFileCard Component
+ *
+ * Shows the downloadable file (PDF/EPUB) of a product and lets the admin upload,
+ * replace or remove it. Customers download the file from their library.
+ *
+ * @param {Object} product - Product (ebookFile: { fileName, format, size, uploadedAt })
+ */
+
+import { useRef, useState } from "react";
+import { toast } from "react-toastify";
+import { useUploadEbookFile, useRemoveEbookFile } from "../../../hooks/useAdmin";
+import { formatDateLong } from "../../../utils/formatDate";
+import { formatFileSize } from "../../../utils/formatFileSize";
+import {
+  Card,
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "../../../components/ui";
+
+// Same limits as the API (shared/ebookStorage.js)
+const ACCEPTED_EXTENSIONS = [".pdf", ".epub"];
+const MAX_FILE_SIZE = 200 * 1024 * 1024; // 200 MB
+
+export const EbookFileCard = ({ product }) => {
+  const fileInputRef = useRef(null);
+  const [removeDialogOpen, setRemoveDialogOpen] = useState(false);
+  const uploadMutation = useUploadEbookFile();
+  const removeMutation = useRemoveEbookFile();
+  const ebookFile = product.ebookFile;
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ""; // Allow choosing the same file again
+    if (!file) return;
+
+    const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase();
+    if (!ACCEPTED_EXTENSIONS.includes(extension)) {
+      toast.error("Only PDF and EPUB files can be uploaded.", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error(`File is too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB.`, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      return;
+    }
+
+    uploadMutation.mutate({ productId: product.id, file });
+  };
+
+  const handleRemoveConfirm = () => {
+    removeMutation.mutate(product.id, {
+      onSettled: () => setRemoveDialogOpen(false),
+    });
+  };
+
+  return (
+    <Card className="p-4 sm:p-6">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+        eBook File
+      </h2>
+
+      {ebookFile ? (
+        <div className="flex items-center gap-3 mb-4">
+          <i
+            className={`bi ${
+              ebookFile.format === "pdf" ? "bi-file-earmark-pdf" : "bi-book"
+            } text-3xl text-blue-600 dark:text-blue-400`}
+          ></i>
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+              {ebookFile.fileName}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {ebookFile.format?.toUpperCase()}
+              {ebookFile.size ? ` \u00B7 ${formatFileSize(ebookFile.size)}` : ""}
+              {ebookFile.uploadedAt ? ` \u00B7 uploaded ${formatDateLong(ebookFile.uploadedAt)}` : ""}
+            </p>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-amber-700 dark:text-amber-400 mb-4">
+          <i className="bi bi-exclamation-triangle mr-1"></i>
+          No file attached. Customers who buy this book have nothing to download.
+        </p>
+      )}
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={`${ACCEPTED_EXTENSIONS.join(",")},application/pdf,application/epub+zip`}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploadMutation.isPending || removeMutation.isPending}
+          className="px-4 py-2 rounded-lg font-medium bg-blue-600 dark:bg-blue-500 text-white hover:bg-blue-700 dark:hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <i className="bi bi-cloud-upload mr-2"></i>
+          {uploadMutation.isPending
+            ? "Uploading..."
+            : ebookFile
+              ? "Replace File"
+              : "Upload PDF/EPUB"}
+        </button>
+        {ebookFile && (
+          <button
+            type="button"
+            onClick={() => setRemoveDialogOpen(true)}
+            disabled={uploadMutation.isPending || removeMutation.isPending}
+            className="px-4 py-2 rounded-lg font-medium bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <i className="bi bi-trash mr-2"></i>
+            Remove
+          </button>
+        )}
+      </div>
+
+      <AlertDialog open={removeDialogOpen} onOpenChange={setRemoveDialogOpen}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Remove eBook File</AlertDialogTitle>
+            <AlertDialogDescription>
+              Customers who bought "{product.name}" will not be able to download it
+              until a new file is uploaded.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={removeMutation.isPending}>
+              Cancel
+            </AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleRemoveConfirm}
+              disabled={removeMutation.isPending}
+              className="bg-red-600 dark:bg-red-500 hover:bg-red-700 dark:hover:bg-red-600"
+            >
+              {removeMutation.isPending ? "Removing..." : "Remove"}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
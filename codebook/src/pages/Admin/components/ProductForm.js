@@ -4,6 +4,8 @@
  * Form component for creating and editing products.
  * Handles form validation, submission, and error states.
  * Includes validation for max 3 featured products.
+ * Formats (variants) can be added, each with its own SKU, price, stock and weight.
+ * With variants, the product price/stock/in-stock flag are derived from them by the API.
  *
  * @param {Object} product - Existing product data (for edit mode) or null (for create mode)
  * @param {Function} onSubmit - Callback function when form is submitted
@@ -21,6 +23,42 @@ import {
   ImageUpload,
 } from "../../../components/ui";
 import { useImageUpload } from "../../../hooks/useImageUpload";
+import { VARIANT_FORMATS } from "../../../utils/productVariants";
+
+// Empty form row for a variant (all values as input strings)
+const EMPTY_VARIANT = { format: "", sku: "", price: "", stock: "", weight: "" };
+
+/**
+ * Convert variants to form rows
+ * @param {Array} variants - Product variants
+ * @returns {Array<Object>} Rows [{ format, sku, price, stock, weight }]
+ */
+function toVariantRows(variants = []) {
+  const toText = (value) => (value !== undefined && value !== null ? String(value) : "");
+  return variants.map((variant) => ({
+    format: variant.format || "",
+    sku: variant.sku || "",
+    price: toText(variant.price),
+    stock: toText(variant.stock),
+    weight: toText(variant.weight),
+  }));
+}
+
+/**
+ * Convert form rows to the variants sent to the API (empty stock/weight left out)
+ * @param {Array<Object>} rows - Form rows
+ * @returns {Array<Object>} Variants [{ format, sku, price, stock, weight }]
+ */
+function toVariantPayload(rows) {
+  const toNumber = (value) => (value !== "" ? Number(value) : undefined);
+  return rows.map((row) => ({
+    format: row.format,
+    sku: row.sku.trim() || undefined,
+    price: Number(row.price),
+    stock: toNumber(row.stock),
+    weight: toNumber(row.weight),
+  }));
+}
 
 export const ProductForm = ({ product = null, onSubmit, isLoading = false, featuredProductsCount = 0 }) => {
   const isEditMode = !!product;
@@ -39,6 +77,7 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
   // Form state
   const [formData, setFormData] = useState({
     name: "",
+    sku: "",
     price: "",
     stock: "",
     lowStockThreshold: "",
@@ -50,6 +89,9 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
     best_seller: false,
     featured_product: false,
     rating: "",
+    category: "", // "Programming > JavaScript > React"
+    tags: "", // "hooks, frontend"
+    variants: [], // Formats: [{ format, sku, price, stock, weight }]
   });
 
   // Form validation errors
@@ -76,6 +118,7 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
       
       const formDataToSet = {
         name: product.name || "",
+        sku: product.sku || "",
         price: product.price || "",
         // Handle stock: preserve 0 values, use empty string only if undefined/null
         stock: product.stock !== undefined && product.stock !== null ? String(product.stock) : "",
@@ -89,6 +132,9 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
         best_seller: product.best_seller !== undefined ? product.best_seller : false,
         featured_product: featuredValue, // Boolean for checkbox (converted from Number)
         rating: product.rating !== undefined ? product.rating : "",
+        category: (product.category || []).join(" > "),
+        tags: (product.tags || []).join(", "),
+        variants: toVariantRows(product.variants),
       };
       
       console.log("📝 Product Form - Setting form data:", {
@@ -132,6 +178,41 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
     }
   };
 
+  // Products sold in several formats take price and stock from their variants
+  const hasVariantRows = formData.variants.length > 0;
+  const usedFormats = formData.variants.map((variant) => variant.format);
+
+  // Add a variant row (preselects the first format not used yet)
+  const addVariant = () => {
+    const format = Object.keys(VARIANT_FORMATS).find((key) => !usedFormats.includes(key)) || "";
+    setFormData((prev) => ({
+      ...prev,
+      variants: [...prev.variants, { ...EMPTY_VARIANT, format }],
+    }));
+  };
+
+  // Update one field of a variant row
+  const handleVariantChange = (index, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      variants: prev.variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)),
+    }));
+    if (errors.variants) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors.variants;
+        return newErrors;
+      });
+    }
+  };
+
+  const removeVariant = (index) => {
+    setFormData((prev) => ({
+      ...prev,
+      variants: prev.variants.filter((_, i) => i !== index),
+    }));
+  };
+
   // Validate form
   const validate = () => {
     const newErrors = {};
@@ -140,10 +221,34 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
       newErrors.name = "Product name is required";
     }
 
-    if (!formData.price || Number(formData.price) <= 0) {
+    if (!hasVariantRows && (!formData.price || Number(formData.price) <= 0)) {
       newErrors.price = "Valid price is required";
     }
 
+    // Same rules as the server (normalizeVariants in shared/products.js)
+    if (hasVariantRows) {
+      if (formData.variants.some((variant) => !variant.format)) {
+        newErrors.variants = "Choose a format for every variant";
+      } else if (new Set(usedFormats).size !== usedFormats.length) {
+        newErrors.variants = "Each format can only be added once";
+      } else if (formData.variants.some((variant) => !variant.price || Number(variant.price) <= 0)) {
+        newErrors.variants = "Every format needs a valid price";
+      } else if (
+        formData.variants.some((variant) => variant.stock !== "" && !Number.isInteger(Number(variant.stock)))
+      ) {
+        newErrors.variants = "Stock must be a whole number";
+      }
+    }
+
+    // Same limits as the server (shared/categories.js)
+    if (formData.category.split(">").filter((level) => level.trim()).length > 4) {
+      newErrors.category = "Category can have at most 4 levels";
+    }
+
+    if (formData.tags.split(",").filter((tag) => tag.trim()).length > 20) {
+      newErrors.tags = "At most 20 tags allowed";
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -174,6 +279,9 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
       if (normalizeValue(formData.name) !== normalizeValue(product.name)) {
         changes.name = formData.name;
       }
+      if (normalizeValue(formData.sku) !== normalizeValue(product.sku)) {
+        changes.sku = formData.sku;
+      }
       if (normalizeValue(formData.price) !== normalizeValue(String(product.price || ""))) {
         changes.price = formData.price;
       }
@@ -195,6 +303,15 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
       if (normalizeValue(formData.poster) !== normalizeValue(product.poster)) {
         changes.poster = formData.poster;
       }
+      // Category and tags are compared in their text form (as shown in the inputs)
+      const normalizeList = (val, separator) =>
+        val.split(separator).map((item) => item.trim()).filter(Boolean).join(separator);
+      if (normalizeList(formData.category, ">") !== (product.category || []).join(">")) {
+        changes.category = formData.category;
+      }
+      if (normalizeList(formData.tags, ",") !== (product.tags || []).join(",")) {
+        changes.tags = formData.tags;
+      }
       
       // Compare boolean fields (handle both Number 1/0 and Boolean true/false)
       const currentInStock = product.in_stock === 1 || product.in_stock === true;
@@ -224,6 +341,7 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
       // Convert values to proper types for backend
       const processedChanges = {};
       if (changes.name !== undefined) processedChanges.name = changes.name;
+      if (changes.sku !== undefined) processedChanges.sku = changes.sku;
       if (changes.price !== undefined) processedChanges.price = Number(changes.price);
       if (changes.stock !== undefined) {
         processedChanges.stock = changes.stock !== "" && changes.stock !== null ? Number(changes.stock) : undefined;
@@ -235,10 +353,31 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
       if (changes.long_description !== undefined) processedChanges.long_description = changes.long_description;
       if (changes.image_local !== undefined) processedChanges.image_local = changes.image_local;
       if (changes.poster !== undefined) processedChanges.poster = changes.poster;
+      if (changes.category !== undefined) processedChanges.category = changes.category; // Server splits on ">"
+      if (changes.tags !== undefined) processedChanges.tags = changes.tags; // Server splits on ","
       if (changes.in_stock !== undefined) processedChanges.in_stock = changes.in_stock;
       if (changes.best_seller !== undefined) processedChanges.best_seller = changes.best_seller;
       if (changes.featured_product !== undefined) processedChanges.featured_product = changes.featured_product ? 1 : 0; // Convert Boolean to Number (1/0)
       if (changes.rating !== undefined) processedChanges.rating = changes.rating !== "" ? Number(changes.rating) : undefined;
+
+      // Variants are sent as a whole list when any of them changed
+      const variantsChanged =
+        JSON.stringify(toVariantPayload(formData.variants)) !==
+        JSON.stringify(toVariantPayload(toVariantRows(product.variants)));
+      if (variantsChanged) {
+        processedChanges.variants = toVariantPayload(formData.variants);
+        if (!hasVariantRows) {
+          // Last format removed - the product is sold with its own price and stock again
+          processedChanges.price = Number(formData.price);
+          processedChanges.stock = formData.stock !== "" ? Number(formData.stock) : undefined;
+        }
+      }
+      if (hasVariantRows) {
+        // Derived from the variants by the API
+        delete processedChanges.price;
+        delete processedChanges.stock;
+        delete processedChanges.in_stock;
+      }
       
       submitData = processedChanges;
     } else {
@@ -254,7 +393,14 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
         lowStockThreshold: formData.lowStockThreshold !== "" && formData.lowStockThreshold !== null ? Number(formData.lowStockThreshold) : undefined,
         featured_product: formData.featured_product ? 1 : 0, // Convert Boolean to Number (1/0)
         rating: formData.rating !== "" ? Number(formData.rating) : undefined, // Convert rating to Number or undefined
+        variants: hasVariantRows ? toVariantPayload(formData.variants) : undefined,
       };
+      if (hasVariantRows) {
+        // Derived from the variants by the API
+        delete submitData.price;
+        delete submitData.stock;
+        delete submitData.in_stock;
+      }
     }
 
     // Debug logging to verify data being sent
@@ -291,49 +437,67 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
         <FormError message={errors.name} />
       </div>
 
-      {/* Price Field */}
+      {/* SKU Field */}
       <div>
-        <FormLabel htmlFor="price" required>
-          Price ($)
-        </FormLabel>
+        <FormLabel htmlFor="sku">SKU</FormLabel>
         <FormInput
-          id="price"
-          name="price"
-          type="number"
-          value={formData.price}
+          id="sku"
+          name="sku"
+          type="text"
+          value={formData.sku}
           onChange={handleChange}
-          step="0.01"
-          min="0"
-          placeholder="0.00"
-          required
-          error={errors.price}
+          placeholder="e.g. BK-REACT-001 (optional, used to match product imports)"
+          maxLength={64}
         />
-        <FormError message={errors.price} />
       </div>
 
-      {/* Stock Quantity and Low Stock Threshold Fields */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-        {/* Stock Quantity Field */}
+      {/* Price Field (products with variants are priced per format) */}
+      {!hasVariantRows && (
         <div>
-          <FormLabel htmlFor="stock">
-            Stock Quantity
+          <FormLabel htmlFor="price" required>
+            Price ($)
           </FormLabel>
           <FormInput
-            id="stock"
-            name="stock"
+            id="price"
+            name="price"
             type="number"
-            value={formData.stock}
+            value={formData.price}
             onChange={handleChange}
-            step="1"
+            step="0.01"
             min="0"
-            placeholder="0"
-            error={errors.stock}
+            placeholder="0.00"
+            required
+            error={errors.price}
           />
-          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-            Current stock quantity (leave empty if not tracking)
-          </p>
-          <FormError message={errors.stock} />
+          <FormError message={errors.price} />
         </div>
+      )}
+
+      {/* Stock Quantity and Low Stock Threshold Fields */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {/* Stock Quantity Field (products with variants have stock per format) */}
+        {!hasVariantRows && (
+          <div>
+            <FormLabel htmlFor="stock">
+              Stock Quantity
+            </FormLabel>
+            <FormInput
+              id="stock"
+              name="stock"
+              type="number"
+              value={formData.stock}
+              onChange={handleChange}
+              step="1"
+              min="0"
+              placeholder="0"
+              error={errors.stock}
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Current stock quantity (leave empty if not tracking)
+            </p>
+            <FormError message={errors.stock} />
+          </div>
+        )}
 
         {/* Low Stock Threshold Field */}
         <div>
@@ -358,6 +522,114 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
         </div>
       </div>
 
+      {/* Formats (Variants) */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <FormLabel>Formats</FormLabel>
+          <button
+            type="button"
+            onClick={addVariant}
+            disabled={formData.variants.length >= Object.keys(VARIANT_FORMATS).length}
+            className="px-3 py-1.5 text-sm font-medium text-blue-700 dark:text-blue-400 border border-blue-300 dark:border-blue-700 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <i className="bi bi-plus-lg mr-1"></i>
+            Add Format
+          </button>
+        </div>
+        {hasVariantRows && (
+          <div className="space-y-3">
+            {formData.variants.map((variant, index) => (
+              <div
+                key={index}
+                className="grid grid-cols-2 sm:grid-cols-[1fr_1.5fr_1fr_1fr_1fr_auto] gap-2 items-end p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+              >
+                <div>
+                  <FormLabel htmlFor={`variant-format-${index}`}>Format</FormLabel>
+                  <select
+                    id={`variant-format-${index}`}
+                    value={variant.format}
+                    onChange={(e) => handleVariantChange(index, "format", e.target.value)}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Choose...</option>
+                    {Object.entries(VARIANT_FORMATS).map(([format, label]) => (
+                      <option
+                        key={format}
+                        value={format}
+                        disabled={format !== variant.format && usedFormats.includes(format)}
+                      >
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <FormLabel htmlFor={`variant-sku-${index}`}>SKU</FormLabel>
+                  <FormInput
+                    id={`variant-sku-${index}`}
+                    type="text"
+                    value={variant.sku}
+                    onChange={(e) => handleVariantChange(index, "sku", e.target.value)}
+                    placeholder="Optional"
+                    maxLength={64}
+                  />
+                </div>
+                <div>
+                  <FormLabel htmlFor={`variant-price-${index}`} required>Price ($)</FormLabel>
+                  <FormInput
+                    id={`variant-price-${index}`}
+                    type="number"
+                    value={variant.price}
+                    onChange={(e) => handleVariantChange(index, "price", e.target.value)}
+                    step="0.01"
+                    min="0"
+                    placeholder="0.00"
+                  />
+                </div>
+                <div>
+                  <FormLabel htmlFor={`variant-stock-${index}`}>Stock</FormLabel>
+                  <FormInput
+                    id={`variant-stock-${index}`}
+                    type="number"
+                    value={variant.stock}
+                    onChange={(e) => handleVariantChange(index, "stock", e.target.value)}
+                    step="1"
+                    min="0"
+                    placeholder="Not tracked"
+                  />
+                </div>
+                <div>
+                  <FormLabel htmlFor={`variant-weight-${index}`}>Weight (g)</FormLabel>
+                  <FormInput
+                    id={`variant-weight-${index}`}
+                    type="number"
+                    value={variant.weight}
+                    onChange={(e) => handleVariantChange(index, "weight", e.target.value)}
+                    step="1"
+                    min="0"
+                    placeholder="Optional"
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeVariant(index)}
+                  className="p-2 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                  aria-label={`Remove ${VARIANT_FORMATS[variant.format] || "format"}`}
+                >
+                  <i className="bi bi-trash"></i>
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          {hasVariantRows
+            ? "Each format has its own SKU, price and stock (leave stock empty for downloads). The product shows the lowest price."
+            : "Optional - add formats (PDF, EPUB, paperback, ...) to sell this book in several versions"}
+        </p>
+        <FormError message={errors.variants} />
+      </div>
+
       {/* Overview Field */}
       <div>
         <FormLabel htmlFor="overview">Overview</FormLabel>
@@ -384,6 +656,45 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
         />
       </div>
 
+      {/* Category and Tags Fields */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {/* Category Field */}
+        <div>
+          <FormLabel htmlFor="category">Category</FormLabel>
+          <FormInput
+            id="category"
+            name="category"
+            type="text"
+            value={formData.category}
+            onChange={handleChange}
+            placeholder="Programming > JavaScript > React"
+            error={errors.category}
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Separate levels with "&gt;" (top level first, up to 4 levels)
+          </p>
+          <FormError message={errors.category} />
+        </div>
+
+        {/* Tags Field */}
+        <div>
+          <FormLabel htmlFor="tags">Tags</FormLabel>
+          <FormInput
+            id="tags"
+            name="tags"
+            type="text"
+            value={formData.tags}
+            onChange={handleChange}
+            placeholder="hooks, frontend"
+            error={errors.tags}
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Comma-separated, shown as filters on the products page
+          </p>
+          <FormError message={errors.tags} />
+        </div>
+      </div>
+
       {/* Product Image Upload */}
       <div>
         <ImageUpload
@@ -459,14 +770,16 @@ export const ProductForm = ({ product = null, onSubmit, isLoading = false, featu
 
       {/* Checkboxes */}
       <div className="flex flex-col sm:flex-row gap-6">
-        {/* In Stock Checkbox */}
-        <FormCheckbox
-          id="in_stock"
-          name="in_stock"
-          checked={formData.in_stock}
-          onChange={handleChange}
-          label="In Stock"
-        />
+        {/* In Stock Checkbox (with variants: in stock while any format is available) */}
+        {!hasVariantRows && (
+          <FormCheckbox
+            id="in_stock"
+            name="in_stock"
+            checked={formData.in_stock}
+            onChange={handleChange}
+            label="In Stock"
+          />
+        )}
 
         {/* Best Seller Checkbox */}
         <FormCheckbox
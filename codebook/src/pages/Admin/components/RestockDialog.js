@@ -0,0 +1,157 @@
+/**
+ * RestockDialog Component
+ *
+ * Dialog for recording a delivery of new copies (quantity received, supplier note and cost).
+ * The stock is increased by the API and the restock is recorded in the activity log.
+ * Products sold in several formats are restocked per format (variants that track stock).
+ *
+ * @param {Object} product - Product to restock (null closes the dialog)
+ * @param {Function} onClose - Called when the dialog is closed
+ */
+
+import { useState, useEffect } from "react";
+import { useRestockProduct } from "../../../hooks/useAdmin";
+import { getVariantLabel } from "../../../utils/productVariants";
+import {
+  FormInput,
+  FormLabel,
+  FormTextarea,
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "../../../components/ui";
+
+export const RestockDialog = ({ product, onClose }) => {
+  const [quantity, setQuantity] = useState("");
+  const [supplierNote, setSupplierNote] = useState("");
+  const [cost, setCost] = useState("");
+  const [variantId, setVariantId] = useState("");
+  const restockMutation = useRestockProduct();
+
+  // Formats with stock tracking (downloads can't run out)
+  const stockVariants = (product?.variants || []).filter((variant) => variant.stock !== undefined);
+  const selectedVariant = stockVariants.find((variant) => variant.id === variantId);
+
+  // Start with an empty form for every product
+  useEffect(() => {
+    setQuantity("");
+    setSupplierNote("");
+    setCost("");
+    setVariantId("");
+  }, [product?.id]);
+
+  const quantityValue = Number(quantity);
+  const isQuantityValid =
+    Number.isInteger(quantityValue) && quantityValue > 0 && (stockVariants.length === 0 || !!selectedVariant);
+
+  const handleOpenChange = (open) => {
+    if (!open) onClose();
+  };
+
+  const handleConfirm = () => {
+    if (!product || !isQuantityValid) return;
+    restockMutation.mutate({
+      productId: product.id,
+      restock: {
+        variantId: selectedVariant?.id,
+        quantity: quantityValue,
+        supplierNote: supplierNote.trim() || undefined,
+        cost: cost === "" ? undefined : Number(cost),
+      },
+    });
+  };
+
+  return (
+    <AlertDialog open={Boolean(product)} onOpenChange={handleOpenChange}>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>Restock {product?.name}</AlertDialogTitle>
+          <AlertDialogDescription>
+            Currently {(selectedVariant || product)?.stock ?? 0} in stock
+            {selectedVariant ? ` as ${getVariantLabel(selectedVariant)}` : ""}. The received copies are
+            added to the stock and the restock is recorded in the activity log.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <div className="px-6 py-4 space-y-4">
+          {stockVariants.length > 0 && (
+            <div>
+              <FormLabel htmlFor="restock-variant" required>
+                Format
+              </FormLabel>
+              <select
+                id="restock-variant"
+                value={variantId}
+                onChange={(e) => setVariantId(e.target.value)}
+                className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Choose a format...</option>
+                {stockVariants.map((variant) => (
+                  <option key={variant.id} value={variant.id}>
+                    {getVariantLabel(variant)} ({variant.stock} in stock)
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <FormLabel htmlFor="restock-quantity" required>
+              Quantity Received
+            </FormLabel>
+            <FormInput
+              id="restock-quantity"
+              name="quantity"
+              type="number"
+              min="1"
+              step="1"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              placeholder="e.g. 25"
+              required
+            />
+          </div>
+          <div>
+            <FormLabel htmlFor="restock-cost">Cost ($)</FormLabel>
+            <FormInput
+              id="restock-cost"
+              name="cost"
+              type="number"
+              min="0"
+              step="0.01"
+              value={cost}
+              onChange={(e) => setCost(e.target.value)}
+              placeholder="Total cost of the delivery (optional)"
+            />
+          </div>
+          <div>
+            <FormLabel htmlFor="restock-supplier-note">Supplier Note</FormLabel>
+            <FormTextarea
+              id="restock-supplier-note"
+              name="supplierNote"
+              value={supplierNote}
+              onChange={(e) => setSupplierNote(e.target.value)}
+              rows={3}
+              maxLength={500}
+              placeholder="e.g. PO-1042, delivered by O'Reilly"
+            />
+          </div>
+        </div>
+        <AlertDialogFooter>
+          <AlertDialogCancel disabled={restockMutation.isPending}>
+            Cancel
+          </AlertDialogCancel>
+          <AlertDialogAction
+            onClick={handleConfirm}
+            disabled={!isQuantityValid || restockMutation.isPending}
+          >
+            {restockMutation.isPending ? "Restocking..." : "Restock"}
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
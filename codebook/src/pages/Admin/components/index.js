@@ -8,4 +8,7 @@ export { AdminMetricsCard } from "./AdminMetricsCard";
 export { AdminRecentOrders } from "./AdminRecentOrders";
 export { AdminStatsSkeleton } from "./AdminStatsSkeleton";
 export { ProductForm } from "./ProductForm";
+export { CouponForm } from "./CouponForm";
 
+export { RestockDialog } from "./RestockDialog";
+export { EbookFileCard } from "./EbookFileCard";
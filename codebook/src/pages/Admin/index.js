@@ -7,6 +7,7 @@
 export { AdminDashboardPage } from "./AdminDashboardPage";
 export { AdminProductsPage } from "./AdminProductsPage";
 export { AdminProductCreatePage } from "./AdminProductCreatePage";
+export { AdminProductImportPage } from "./AdminProductImportPage";
 export { AdminProductEditPage } from "./AdminProductEditPage";
 export { AdminProductDetailPage } from "./AdminProductDetailPage";
 export { AdminOrdersPage } from "./AdminOrdersPage";
@@ -14,9 +15,14 @@ export { AdminOrderDetailPage } from "./AdminOrderDetailPage";
 export { AdminUsersPage } from "./AdminUsersPage";
 export { AdminUserDetailPage } from "./AdminUserDetailPage";
 export { AdminUserEditPage } from "./AdminUserEditPage";
+export { AdminCouponsPage } from "./AdminCouponsPage";
+export { AdminCouponCreatePage } from "./AdminCouponCreatePage";
+export { AdminCouponEditPage } from "./AdminCouponEditPage";
 export { AdminAnalyticsPage } from "./AdminAnalyticsPage";
 export { AdminHistoryPage } from "./AdminHistoryPage";
 export { AdminTicketsPage } from "./AdminTicketsPage";
 export { AdminReviewsPage } from "./AdminReviewsPage";
+export { AdminEmailTemplatesPage } from "./AdminEmailTemplatesPage";
+export { AdminEmailTemplateEditPage } from "./AdminEmailTemplateEditPage";
 export { AdminSettingsPage } from "./AdminSettingsPage";
 
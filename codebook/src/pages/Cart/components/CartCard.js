@@ -6,25 +6,30 @@
  *
  * Features:
  * - Product image with link to product detail
- * - Product name and details
+ * - Product name, details and format (products sold in several formats)
  * - Quantity controls (increase/decrease)
  * - Price display (unit price and total)
  * - Remove button with icon
+ * - "Move to wishlist" action (logged-in users)
  * - Badge for best seller/featured status
  */
 
 import { Link } from "react-router-dom";
 import { useMemo } from "react";
+import { toast } from "react-toastify";
 import { useCart } from "../../../context";
+import { useAddToWishlist } from "../../../hooks/useWishlist";
 import {
   getProductImageUrl,
   getProductImageKey,
 } from "../../../utils/productImage";
 import { formatPrice } from "../../../utils/formatPrice";
+import { getVariantLabel } from "../../../utils/productVariants";
 import { Card, StatusBadge, QuantityInput } from "../../../components/ui";
 
 export const CartCard = ({ product }) => {
   const { removeFromCart, updateQuantity } = useCart();
+  const addToWishlist = useAddToWishlist({ silent: true });
 
   // Memoize calculations for performance (hooks must be called unconditionally)
   const quantity = useMemo(() => product?.quantity || 1, [product?.quantity]);
@@ -38,6 +43,27 @@ export const CartCard = ({ product }) => {
     }
   };
 
+  // Save the book to the wishlist, then take it out of the cart
+  const handleMoveToWishlist = () => {
+    if (!sessionStorage.getItem("token")) {
+      toast.info("Please log in to save books to your wishlist", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      return;
+    }
+
+    addToWishlist.mutate(product.id, {
+      onSuccess: () => {
+        removeFromCart(product);
+        toast.success("Moved to wishlist", {
+          closeButton: true,
+          position: "bottom-right",
+        });
+      },
+    });
+  };
+
   // Validate product - return null after hooks
   if (!product || !product.id) {
     return null; // Don't render if product is invalid
@@ -84,6 +110,15 @@ export const CartCard = ({ product }) => {
                   {product.overview}
                 </p>
               )}
+              <button
+                type="button"
+                onClick={handleMoveToWishlist}
+                disabled={addToWishlist.isPending}
+                className="inline-flex items-center text-sm font-medium text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 disabled:opacity-60 disabled:cursor-wait mb-2"
+              >
+                <i className="bi bi-heart mr-1.5"></i>
+                {addToWishlist.isPending ? "Moving..." : "Move to wishlist"}
+              </button>
             </div>
 
             {/* Remove Button - Desktop: top right corner */}
@@ -98,6 +133,12 @@ export const CartCard = ({ product }) => {
 
           {/* Product Badges */}
           <div className="flex flex-wrap items-center gap-2 mb-3">
+            {product.variantId && (
+              <span className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">
+                <i className="bi bi-book mr-1.5 text-xs"></i>
+                {getVariantLabel(product)}
+              </span>
+            )}
             {product.best_seller && (
               <StatusBadge
                 status="best_seller"
@@ -2,19 +2,21 @@
  * CartList Component
  *
  * Displays cart items list with modern UI using ShadCN components.
- * Shows total amount and checkout button.
+ * Shows coupon form, total amount (after discount) and checkout button.
  */
 
 import { useState, useMemo } from "react";
 import { useCart } from "../../../context";
+import { getCartLineKey } from "../../../reducers";
 import { CartCard } from "./CartCard";
 import { StripeCheckout } from "./StripeCheckout";
+import { CouponForm } from "./CouponForm";
 import { formatPrice } from "../../../utils/formatPrice";
 import { Card, PageHeader } from "../../../components/ui";
 
 export const CartList = () => {
   const [checkout, setCheckout] = useState(false);
-  const { cartList, total } = useCart();
+  const { cartList, total, coupon, payableTotal } = useCart();
 
   // Calculate total items count (sum of all quantities)
   const totalItems = useMemo(() => {
@@ -35,12 +37,15 @@ export const CartList = () => {
         {/* Cart Items */}
         <div className="mt-6">
           {cartList.map((product) => (
-            <CartCard key={product.id} product={product} />
+            <CartCard key={getCartLineKey(product)} product={product} />
           ))}
         </div>
 
         {/* Order Summary */}
         <Card className="mt-6">
+          <div className="mb-4 pb-4 border-b border-gray-200 dark:border-gray-700">
+            <CouponForm />
+          </div>
           <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
             <div className="flex-1">
               <p className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
@@ -52,8 +57,16 @@ export const CartList = () => {
             </div>
             <div className="flex items-center gap-4">
               <div className="text-right">
+                {coupon && payableTotal !== total && (
+                  <div className="text-sm text-gray-500 dark:text-gray-400 line-through">
+                    ${formatPrice(total)}
+                  </div>
+                )}
                 <div className="text-2xl font-bold text-gray-900 dark:text-white">
-                  ${formatPrice(total)}
+                  ${formatPrice(payableTotal)}
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  Shipping and tax calculated at checkout
                 </div>
               </div>
               <button
@@ -0,0 +1,135 @@
+/**
+ * Coupon Form Component
+ *
+ * Lets the customer apply a coupon code to the cart.
+ * The API prices the cart and returns the discount; the result is kept in CartContext.
+ * When the cart changes, the applied coupon is validated again (the discount can change,
+ * or the coupon may no longer apply - e.g. below the minimum order value).
+ */
+
+import { useState, useEffect, useMemo, useRef } from "react";
+import { toast } from "react-toastify";
+import { useCart } from "../../../context";
+import { getCartLineKey } from "../../../reducers";
+import { useApplyCoupon } from "../../../hooks/useCoupons";
+import { formatPrice } from "../../../utils/formatPrice";
+import { FormInput, FormError } from "../../../components/ui";
+
+export const CouponForm = () => {
+  const { cartList, coupon, discount, applyCoupon, removeCoupon } = useCart();
+  const applyCouponMutation = useApplyCoupon();
+  const [code, setCode] = useState("");
+  const [error, setError] = useState(null);
+
+  // Cart contents that affect the discount (cart lines + quantities)
+  const cartKey = useMemo(
+    () => cartList.map((item) => `${getCartLineKey(item)}:${item.quantity || 1}`).join(","),
+    [cartList]
+  );
+  const validatedCartKeyRef = useRef(cartKey);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    const trimmed = code.trim();
+    if (!trimmed) {
+      setError("Please enter a coupon code");
+      return;
+    }
+
+    setError(null);
+    try {
+      const result = await applyCouponMutation.mutateAsync({ code: trimmed, cartList });
+      validatedCartKeyRef.current = cartKey;
+      applyCoupon(result);
+      setCode("");
+      toast.success(`Coupon ${result.coupon.code} applied`, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    } catch (applyError) {
+      setError(applyError.message || "Failed to apply coupon");
+    }
+  };
+
+  // Re-validate the applied coupon whenever the cart changes
+  const { mutateAsync } = applyCouponMutation;
+  useEffect(() => {
+    if (!coupon || cartList.length === 0 || validatedCartKeyRef.current === cartKey) {
+      return;
+    }
+    validatedCartKeyRef.current = cartKey;
+
+    mutateAsync({ code: coupon.coupon.code, cartList })
+      .then(applyCoupon)
+      .catch((revalidateError) => {
+        removeCoupon();
+        toast.warning(
+          `Coupon ${coupon.coupon.code} was removed: ${revalidateError.message}`,
+          {
+            closeButton: true,
+            position: "bottom-right",
+          }
+        );
+      });
+    // Only re-run when the cart contents change
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cartKey]);
+
+  if (coupon) {
+    return (
+      <div className="flex items-center justify-between gap-4 p-3 border border-green-200 dark:border-green-800 bg-green-50 dark:bg-green-900/20 rounded-lg">
+        <div className="text-sm">
+          <p className="font-medium text-green-800 dark:text-green-200">
+            <i className="bi bi-tag mr-2"></i>
+            {coupon.coupon.code}
+            {applyCouponMutation.isPending && (
+              <span className="ml-2 text-xs text-gray-500">Updating...</span>
+            )}
+          </p>
+          <p className="text-green-700 dark:text-green-300">
+            {coupon.freeShipping && discount === 0
+              ? "Free shipping"
+              : `You save $${formatPrice(discount)}`}
+            {coupon.coupon.description && ` - ${coupon.coupon.description}`}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={removeCoupon}
+          className="text-sm text-red-600 dark:text-red-400 hover:underline"
+        >
+          Remove
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleApply}>
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <FormInput
+            id="coupon-code"
+            name="couponCode"
+            value={code}
+            onChange={(e) => {
+              setCode(e.target.value);
+              setError(null);
+            }}
+            placeholder="Coupon code"
+            error={error}
+            autoComplete="off"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={applyCouponMutation.isPending}
+          className="px-4 py-2 text-blue-600 dark:text-blue-400 border border-blue-600 dark:border-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {applyCouponMutation.isPending ? "Applying..." : "Apply"}
+        </button>
+      </div>
+      <FormError message={error} />
+    </form>
+  );
+};
@@ -0,0 +1,294 @@
+/**
+ * Shipping Address Step Component
+ *
+ * First step of checkout: pick a saved address or enter a new one.
+ * New addresses can be saved to the user's address book (optionally as default).
+ * The selected address is passed to onContinue and sent with the payment intent.
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import {
+  useAddresses,
+  useAddAddress,
+  useSetDefaultAddress,
+  useDeleteAddress,
+} from "../../../hooks/useAddresses";
+import {
+  COUNTRIES,
+  EMPTY_ADDRESS,
+  validateAddress,
+  formatAddressLines,
+} from "../../../utils/addresses";
+import {
+  FormInput,
+  FormSelect,
+  FormLabel,
+  FormCheckbox,
+  FormError,
+  LoadingState,
+} from "../../../components/ui";
+
+const NEW_ADDRESS = "new";
+
+const COUNTRY_OPTIONS = Object.entries(COUNTRIES).map(([code, country]) => ({
+  value: code,
+  label: country.name,
+}));
+
+/**
+ * Address form fields (controlled)
+ * @param {Object} address - Form values
+ * @param {Object} errors - Field errors from validateAddress
+ * @param {Function} onChange - Called with (field, value)
+ */
+function AddressFields({ address, errors, onChange }) {
+  const country = COUNTRIES[address.country];
+  const stateOptions = country?.states
+    ? [
+        { value: "", label: "Select..." },
+        ...Object.entries(country.states).map(([code, name]) => ({
+          value: code,
+          label: name,
+        })),
+      ]
+    : null;
+
+  const handleChange = (e) => onChange(e.target.name, e.target.value);
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      <div className="sm:col-span-2">
+        <FormLabel htmlFor="address-name" required>Full Name</FormLabel>
+        <FormInput id="address-name" name="name" value={address.name} onChange={handleChange} error={errors.name} autoComplete="name" />
+        <FormError message={errors.name} />
+      </div>
+      <div className="sm:col-span-2">
+        <FormLabel htmlFor="address-street1" required>Street Address</FormLabel>
+        <FormInput id="address-street1" name="street1" value={address.street1} onChange={handleChange} error={errors.street1} autoComplete="address-line1" />
+        <FormError message={errors.street1} />
+      </div>
+      <div className="sm:col-span-2">
+        <FormLabel htmlFor="address-street2">Apartment, suite, etc.</FormLabel>
+        <FormInput id="address-street2" name="street2" value={address.street2} onChange={handleChange} autoComplete="address-line2" />
+      </div>
+      <div>
+        <FormLabel htmlFor="address-country" required>Country</FormLabel>
+        <FormSelect
+          id="address-country"
+          name="country"
+          value={address.country}
+          onChange={(e) => {
+            // States differ per country - reset when the country changes
+            onChange("country", e.target.value);
+            onChange("state", "");
+          }}
+          options={COUNTRY_OPTIONS}
+        />
+        <FormError message={errors.country} />
+      </div>
+      <div>
+        <FormLabel htmlFor="address-city" required>City</FormLabel>
+        <FormInput id="address-city" name="city" value={address.city} onChange={handleChange} error={errors.city} autoComplete="address-level2" />
+        <FormError message={errors.city} />
+      </div>
+      {stateOptions && (
+        <div>
+          <FormLabel htmlFor="address-state" required>State / Province</FormLabel>
+          <FormSelect id="address-state" name="state" value={address.state} onChange={handleChange} options={stateOptions} />
+          <FormError message={errors.state} />
+        </div>
+      )}
+      <div>
+        <FormLabel htmlFor="address-zip" required>{country?.zipLabel || "Postal Code"}</FormLabel>
+        <FormInput id="address-zip" name="zip" value={address.zip} onChange={handleChange} error={errors.zip} autoComplete="postal-code" />
+        <FormError message={errors.zip} />
+      </div>
+      <div className={stateOptions ? "sm:col-span-2" : ""}>
+        <FormLabel htmlFor="address-phone">Phone</FormLabel>
+        <FormInput id="address-phone" name="phone" type="tel" value={address.phone} onChange={handleChange} error={errors.phone} autoComplete="tel" />
+        <FormError message={errors.phone} />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} user - Current user (name prefills the new address form)
+ * @param {Function} onContinue - Called with the selected address
+ * @param {Function} onCancel - Close checkout
+ */
+export function ShippingAddressStep({ user = {}, onContinue, onCancel }) {
+  const { data, isLoading } = useAddresses();
+  const addAddressMutation = useAddAddress();
+  const setDefaultMutation = useSetDefaultAddress();
+  const deleteMutation = useDeleteAddress();
+
+  const addresses = useMemo(() => data?.addresses || [], [data]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState({ ...EMPTY_ADDRESS, name: user.name || "" });
+  const [errors, setErrors] = useState({});
+  const [saveAddress, setSaveAddress] = useState(true);
+  const [makeDefault, setMakeDefault] = useState(false);
+
+  // Preselect the default address once the address book loads
+  // (or the new address form if nothing is saved yet)
+  useEffect(() => {
+    if (isLoading) return;
+    setSelectedId((current) => {
+      if (current && (current === NEW_ADDRESS || addresses.some((a) => a.id === current))) {
+        return current;
+      }
+      return data?.defaultAddressId || addresses[0]?.id || NEW_ADDRESS;
+    });
+  }, [isLoading, data, addresses]);
+
+  const handleFieldChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleContinue = async (e) => {
+    e.preventDefault();
+
+    if (selectedId !== NEW_ADDRESS) {
+      const selected = addresses.find((a) => a.id === selectedId);
+      if (selected) onContinue(selected);
+      return;
+    }
+
+    const fieldErrors = validateAddress(form);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) return;
+
+    if (!saveAddress) {
+      onContinue(form);
+      return;
+    }
+
+    try {
+      const result = await addAddressMutation.mutateAsync({ address: form, isDefault: makeDefault });
+      onContinue(result.address);
+    } catch {
+      // Error toast is shown by the hook - keep the form so the user can fix it
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingState message="Loading saved addresses..." />;
+  }
+
+  return (
+    <form onSubmit={handleContinue} className="space-y-4">
+      <h3 className="text-md font-medium text-gray-900 dark:text-white">
+        <i className="bi bi-geo-alt mr-2"></i>Shipping Address
+      </h3>
+
+      {addresses.map((address) => (
+        <label
+          key={address.id}
+          className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer ${
+            selectedId === address.id
+              ? "border-blue-500 bg-blue-50 dark:bg-blue-900/20"
+              : "border-gray-200 dark:border-gray-700"
+          }`}
+        >
+          <input
+            type="radio"
+            name="shipping-address"
+            className="mt-1"
+            checked={selectedId === address.id}
+            onChange={() => setSelectedId(address.id)}
+          />
+          <div className="flex-1 text-sm text-gray-700 dark:text-gray-300">
+            {formatAddressLines(address).map((line, index) => (
+              <div key={index} className={index === 0 ? "font-medium text-gray-900 dark:text-white" : ""}>
+                {line}
+              </div>
+            ))}
+            <div className="flex gap-3 mt-2 text-xs">
+              {address.isDefault ? (
+                <span className="inline-flex items-center px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                  Default
+                </span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setDefaultMutation.mutate(address.id)}
+                  disabled={setDefaultMutation.isPending}
+                  className="text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                >
+                  Set as default
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => deleteMutation.mutate(address.id)}
+                disabled={deleteMutation.isPending}
+                className="text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        </label>
+      ))}
+
+      {addresses.length > 0 && (
+        <label
+          className={`flex items-center gap-3 p-3 border rounded-lg cursor-pointer text-sm text-gray-700 dark:text-gray-300 ${
+            selectedId === NEW_ADDRESS
+              ? "border-blue-500 bg-blue-50 dark:bg-blue-900/20"
+              : "border-gray-200 dark:border-gray-700"
+          }`}
+        >
+          <input
+            type="radio"
+            name="shipping-address"
+            checked={selectedId === NEW_ADDRESS}
+            onChange={() => setSelectedId(NEW_ADDRESS)}
+          />
+          Use a new address
+        </label>
+      )}
+
+      {selectedId === NEW_ADDRESS && (
+        <div className="space-y-4">
+          <AddressFields address={form} errors={errors} onChange={handleFieldChange} />
+          <FormCheckbox
+            id="address-save"
+            name="saveAddress"
+            checked={saveAddress}
+            onChange={(e) => setSaveAddress(e.target.checked)}
+            label="Save this address to my address book"
+          />
+          {saveAddress && addresses.length > 0 && (
+            <FormCheckbox
+              id="address-default"
+              name="makeDefault"
+              checked={makeDefault}
+              onChange={(e) => setMakeDefault(e.target.checked)}
+              label="Make this my default address"
+            />
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 px-4 py-2 text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-lg transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={addAddressMutation.isPending}
+          className="flex-1 px-4 py-3 text-white bg-blue-600 dark:bg-blue-500 hover:bg-blue-700 dark:hover:bg-blue-600 font-medium rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {addAddressMutation.isPending ? "Saving..." : "Continue to Payment"}
+        </button>
+      </div>
+    </form>
+  );
+}
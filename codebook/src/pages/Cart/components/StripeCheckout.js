@@ -3,6 +3,15 @@
  *
  * Modern Stripe checkout using latest Payment Element.
  * Replaces the old mock checkout with real Stripe integration.
+ *
+ * Steps:
+ * 1. Shipping address (saved address or new one) - ShippingAddressStep
+ * 2. Payment - payment intent is created with the selected shipping address
+ *
+ * The amount charged is calculated by the API from the cart (prices, coupon,
+ * shipping and tax) - the order summary shows the itemized quote it returns.
+ * The books are reserved while the customer pays; cancelling after the payment
+ * intent was created goes to PaymentCancelPage, which releases them.
  */
 
 import { useState, useEffect, useRef, useMemo } from "react";
@@ -19,7 +28,8 @@ import { useCart } from "../../../context";
 import { useUser } from "../../../hooks/useUser";
 import { useCreatePaymentIntent } from "../../../hooks/usePayment";
 import { formatPrice } from "../../../utils/formatPrice";
-import { sendPaymentProcessingEmail, sendPaymentFailedEmail } from "../../../services";
+import { formatAddressLines } from "../../../utils/addresses";
+import { getVariantLabel } from "../../../utils/productVariants";
 import {
   Card,
   PageHeader,
@@ -27,6 +37,7 @@ import {
   FormError,
   ErrorState,
 } from "../../../components/ui";
+import { ShippingAddressStep } from "./ShippingAddressStep";
 
 // Initialize Stripe with publishable key
 const stripePromise = loadStripe(
@@ -179,15 +190,6 @@ function TestCredentialsSection() {
           )}
         </div>
       </div>
-      
-      {/* Shipping Address Note */}
-      <div className="mt-4 pt-4 border-t border-blue-200 dark:border-blue-700">
-        <p className="text-xs text-blue-700 dark:text-blue-300 leading-relaxed">
-          <strong className="font-semibold">Note:</strong> In this demo project, we haven't implemented user address collection during checkout. 
-          For shipping label generation and tracking, we're using fallback test addresses. 
-          In production, customers would provide their shipping address during checkout.
-        </p>
-      </div>
     </div>
   );
 }
@@ -304,9 +306,10 @@ function CheckoutForm({ onSuccess, onCancel }) {
  * @param {Function} setCheckout - Function to close checkout modal
  */
 export const StripeCheckout = ({ setCheckout }) => {
-  const { cartList, total } = useCart();
+  const { cartList, coupon, payableTotal } = useCart();
   const navigate = useNavigate();
   const [clientSecret, setClientSecret] = useState(null);
+  const [shippingAddress, setShippingAddress] = useState(null); // Selected in step 1
   const {
     data: user = {},
     error: userError,
@@ -321,18 +324,7 @@ export const StripeCheckout = ({ setCheckout }) => {
       if (data?.clientSecret) {
         setClientSecret(data.clientSecret);
         paymentIntentCreatedRef.current = true;
-
-        // Send payment processing email to customer (async, don't block)
-        if (user?.email && user?.id) {
-          sendPaymentProcessingEmail({
-            customerEmail: user.email,
-            customerName: user.name || "Customer",
-            orderId: data?.paymentIntentId || "pending",
-            amount: total,
-          }).catch((emailError) => {
-            console.error("Failed to send payment processing email:", emailError);
-          });
-        }
+        // The payment processing email is sent by the API with the payment intent
       } else {
         console.error("No clientSecret in response:", data);
         toast.error("Payment initialization failed. Please try again.", {
@@ -347,18 +339,6 @@ export const StripeCheckout = ({ setCheckout }) => {
       // Reset ref on error so user can try again if they want
       paymentIntentCreatedRef.current = false;
 
-      // Send payment failed email to customer (async, don't block)
-      if (user?.email && user?.id) {
-        sendPaymentFailedEmail({
-          customerEmail: user.email,
-          customerName: user.name || "Customer",
-          orderId: "pending",
-          amount: total,
-        }).catch((emailError) => {
-          console.error("Failed to send payment failed email:", emailError);
-        });
-      }
-
       // Error toast is already shown by the hook
       // Don't close checkout immediately - let user see the error and retry
     },
@@ -368,6 +348,12 @@ export const StripeCheckout = ({ setCheckout }) => {
   const effectiveClientSecret =
     clientSecret || createPaymentIntentMutation.data?.clientSecret;
 
+  // Itemized quote calculated server-side (what the customer is actually charged)
+  const quote = createPaymentIntentMutation.data?.quote;
+
+  // Books are held for this checkout until then (released if not paid in time)
+  const reservationExpiresAt = createPaymentIntentMutation.data?.reservationExpiresAt;
+
   // Show error toast if user fetch fails
   useEffect(() => {
     if (userError) {
@@ -382,22 +368,27 @@ export const StripeCheckout = ({ setCheckout }) => {
   // Create payment intent on mount - use refs to capture values
   const userRef = useRef(user);
   const cartListRef = useRef(cartList);
-  const totalRef = useRef(total);
+  const couponCodeRef = useRef(coupon?.coupon?.code);
 
   // Update refs when values change
   useEffect(() => {
     userRef.current = user;
     cartListRef.current = cartList;
-    totalRef.current = total;
-  }, [user, cartList, total]);
+    couponCodeRef.current = coupon?.coupon?.code;
+  }, [user, cartList, coupon]);
 
-  // Create payment intent once user data is loaded
+  // Create payment intent once user data is loaded and a shipping address is selected
   useEffect(() => {
     // Wait for user data to load
     if (userLoading) {
       return; // Don't proceed if user is still loading
     }
 
+    // Wait for the shipping address step
+    if (!shippingAddress) {
+      return;
+    }
+
     // Prevent duplicate payment intent creation
     if (paymentIntentCreatedRef.current) {
       return;
@@ -430,25 +421,17 @@ export const StripeCheckout = ({ setCheckout }) => {
       return;
     }
 
-    if (totalRef.current <= 0) {
-      toast.error("Invalid order total", {
-        closeButton: true,
-        position: "bottom-right",
-      });
-      setCheckout(false);
-      return;
-    }
-
     // Create payment intent using React Query mutation (only once)
+    // The API prices the cart itself - only product IDs and quantities are sent
     paymentIntentCreatedRef.current = true; // Mark as attempted immediately
     createPaymentIntentMutation.mutate({
-      amount: totalRef.current,
       cartList: cartListRef.current,
-      user: userRef.current,
+      shippingAddress,
+      couponCode: couponCodeRef.current,
     });
     // Note: createPaymentIntentMutation and setCheckout are stable (from React Query and useState),
     // so including them in dependencies won't cause unnecessary re-runs
-  }, [userLoading, createPaymentIntentMutation, setCheckout]);
+  }, [userLoading, shippingAddress, createPaymentIntentMutation, setCheckout]);
 
   const handlePaymentSuccess = (paymentIntent) => {
     // Navigate to success page with payment intent ID
@@ -462,6 +445,12 @@ export const StripeCheckout = ({ setCheckout }) => {
 
   const handleCancel = () => {
     setCheckout(false);
+
+    // Release the books reserved for this payment intent
+    const paymentIntentId = createPaymentIntentMutation.data?.paymentIntentId;
+    if (paymentIntentId) {
+      navigate("/payment-cancel", { state: { paymentIntentId } });
+    }
   };
 
   // Detect dark mode - memoized to avoid recalculation (must be before early return)
@@ -516,6 +505,35 @@ export const StripeCheckout = ({ setCheckout }) => {
     );
   }
 
+  // Step 1: shipping address (payment intent is created after an address is selected)
+  if (!shippingAddress) {
+    return (
+      <section>
+        <div
+          className="fixed top-0 left-0 w-full h-full bg-black bg-opacity-50 z-40"
+          onClick={handleCancel}
+        ></div>
+        <div className="fixed top-0 right-0 left-0 z-50 w-full md:inset-0 h-full flex justify-center items-center p-4">
+          <Card className="max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <div className="mb-6">
+                <PageHeader
+                  title="Checkout"
+                  description="Where should we send your order?"
+                />
+              </div>
+              <ShippingAddressStep
+                user={user}
+                onContinue={setShippingAddress}
+                onCancel={handleCancel}
+              />
+            </div>
+          </Card>
+        </div>
+      </section>
+    );
+  }
+
   // Loading state - use reusable LoadingState component (after all hooks)
   // Only show loading if we're actually loading AND don't have clientSecret yet
   // Use effectiveClientSecret to check both state and mutation data
@@ -612,13 +630,10 @@ export const StripeCheckout = ({ setCheckout }) => {
                 </div>
               </div>
 
-              {/* Individual Items List */}
+              {/* Individual Items List (server prices) */}
               <div className="space-y-2 text-sm mb-3">
-                {cartList.map((item, index) => {
+                {(quote?.items || []).map((item, index) => {
                   const itemQuantity = item.quantity || 1;
-                  const itemPrice = item.price || 0;
-                  const itemTotal = itemPrice * itemQuantity;
-                  const itemName = item.name || item.productName || "Product";
                   // Badge shows only item number
                   const badgeText = `${index + 1}`;
 
@@ -634,7 +649,8 @@ export const StripeCheckout = ({ setCheckout }) => {
                         </span>
                         <div className="flex-1 min-w-0 flex items-center gap-2 flex-wrap">
                           <span className="text-gray-900 dark:text-white">
-                            {itemName}
+                            {item.name || "Product"}
+                            {item.format && ` (${getVariantLabel(item)})`}
                           </span>
                           {itemQuantity > 1 && (
                             <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
@@ -644,22 +660,76 @@ export const StripeCheckout = ({ setCheckout }) => {
                         </div>
                       </div>
                       <span className="text-gray-900 dark:text-white font-medium whitespace-nowrap">
-                        {formatPrice(itemTotal)}
+                        {formatPrice(item.lineTotal)}
                       </span>
                     </div>
                   );
                 })}
               </div>
 
+              {/* Subtotal, Coupon Discount, Shipping and Tax */}
+              {quote && (
+                <div className="space-y-1 text-sm pt-2 border-t border-gray-200 dark:border-gray-700 mb-2">
+                  <div className="flex justify-between text-gray-600 dark:text-gray-400">
+                    <span>Subtotal</span>
+                    <span>{formatPrice(quote.subtotal)}</span>
+                  </div>
+                  {quote.coupon && (
+                    <div className="flex justify-between text-green-600 dark:text-green-400">
+                      <span>
+                        <i className="bi bi-tag mr-1"></i>Coupon {quote.coupon.code}
+                      </span>
+                      <span>
+                        {quote.discount > 0 ? `-${formatPrice(quote.discount)}` : "Applied"}
+                      </span>
+                    </div>
+                  )}
+                  <div className="flex justify-between text-gray-600 dark:text-gray-400">
+                    <span>Shipping</span>
+                    <span>{quote.shipping > 0 ? formatPrice(quote.shipping) : "Free"}</span>
+                  </div>
+                  {quote.tax > 0 && (
+                    <div className="flex justify-between text-gray-600 dark:text-gray-400">
+                      <span>Tax ({Math.round(quote.taxRate * 100)}%)</span>
+                      <span>{formatPrice(quote.tax)}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Total */}
               <div className="flex justify-between font-semibold text-lg pt-2 border-t border-gray-200 dark:border-gray-700">
                 <span className="text-gray-900 dark:text-white">Total</span>
                 <span className="text-gray-900 dark:text-white">
-                  {formatPrice(total)}
+                  {formatPrice(quote ? quote.total : payableTotal)}
                 </span>
               </div>
             </div>
 
+            {reservationExpiresAt && (
+              <p className="mb-6 text-sm text-gray-600 dark:text-gray-400">
+                <i className="bi bi-clock mr-2"></i>
+                Your books are reserved until{" "}
+                {new Date(reservationExpiresAt).toLocaleTimeString([], {
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+                . Complete your payment before then to keep them.
+              </p>
+            )}
+
+            {/* Shipping Address */}
+            <div className="mb-6 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg">
+              <span className="block text-md font-medium text-gray-600 dark:text-gray-400 mb-2">
+                <i className="bi bi-geo-alt mr-2"></i>Shipping To
+              </span>
+              <div className="text-sm text-gray-900 dark:text-white">
+                {formatAddressLines(shippingAddress).map((line, index) => (
+                  <div key={index}>{line}</div>
+                ))}
+              </div>
+            </div>
+
             {/* Test Credentials */}
             <TestCredentialsSection />
 
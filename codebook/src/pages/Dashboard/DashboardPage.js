@@ -1,10 +1,18 @@
 import { useMemo, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import { toast } from "react-toastify";
 import { useTitle } from "../../hooks/useTitle";
 import { useUserOrders } from "../../hooks/useUser";
+import { useWishlist } from "../../hooks/useWishlist";
 import { DashboardCard } from "./components/DashboardCard";
 import { DashboardCardSkeleton } from "./components/DashboardCardSkeleton";
 import { DashboardEmpty } from "./components/DashboardEmpty";
+import { WishlistCard } from "./components/WishlistCard";
+
+const TABS = [
+  { id: "orders", label: "Orders", icon: "bi-bag" },
+  { id: "wishlist", label: "Wishlist", icon: "bi-heart" },
+];
 
 export const DashboardPage = () => {
   useTitle("Dashboard");
@@ -13,6 +21,12 @@ export const DashboardPage = () => {
   // refetchOnMount is enabled by default, so it will check for new data when component mounts
   const { data: orders = [], isLoading: loading, error } = useUserOrders();
 
+  // Active tab lives in the URL (?tab=wishlist) so it can be linked to
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = searchParams.get("tab") === "wishlist" ? "wishlist" : "orders";
+  const { data: wishlist, isLoading: wishlistLoading, error: wishlistError } = useWishlist();
+  const wishlistItems = wishlist?.items || [];
+
   // Sort orders by date (most recent first) - using useMemo to avoid re-sorting on every render
   const sortedOrders = useMemo(() => {
     return [...orders].sort((a, b) => {
@@ -37,6 +51,15 @@ export const DashboardPage = () => {
     }
   }, [error]);
 
+  useEffect(() => {
+    if (wishlistError) {
+      toast.error(wishlistError.message, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    }
+  }, [wishlistError]);
+
   return (
     <main>
       <section>
@@ -45,20 +68,63 @@ export const DashboardPage = () => {
         </p>
       </section>
 
-      <section>
-        {loading ? (
-          // Show skeleton loaders while loading
-          Array(2).fill(0).map((_, index) => (
-            <DashboardCardSkeleton key={`skeleton-${index}`} />
-          ))
-        ) : sortedOrders.length > 0 ? (
-          // Show actual orders when loaded and orders exist (sorted by date)
-          sortedOrders.map((order) => <DashboardCard key={order.id} order={order} />)
-        ) : (
-          // Show empty state only when not loading and no orders
-          <DashboardEmpty />
-        )}
+      <section className="max-w-7xl mx-auto mb-6 flex gap-2 border-b border-gray-200 dark:border-slate-700" role="tablist">
+        {TABS.map((tab) => (
+          <button
+            key={tab.id}
+            type="button"
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            onClick={() => setSearchParams(tab.id === "orders" ? {} : { tab: tab.id }, { replace: true })}
+            className={`inline-flex items-center px-4 py-2 -mb-px text-base font-medium border-b-2 transition-colors ${
+              activeTab === tab.id
+                ? "border-blue-600 text-blue-600 dark:border-blue-400 dark:text-blue-400"
+                : "border-transparent text-gray-600 hover:text-gray-900 dark:text-slate-400 dark:hover:text-slate-200"
+            }`}
+          >
+            <i className={`bi ${tab.icon} mr-2`}></i>
+            {tab.label}
+            {tab.id === "wishlist" && wishlistItems.length > 0 && (
+              <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">({wishlistItems.length})</span>
+            )}
+          </button>
+        ))}
       </section>
+
+      {activeTab === "wishlist" ? (
+        <section>
+          {wishlistLoading ? (
+            Array(2).fill(0).map((_, index) => (
+              <DashboardCardSkeleton key={`wishlist-skeleton-${index}`} />
+            ))
+          ) : wishlistItems.length > 0 ? (
+            wishlistItems.map((item) => <WishlistCard key={item.productId} item={item} />)
+          ) : (
+            <section className="text-xl text-center max-w-7xl mx-auto my-10 py-8 sm:py-10 px-4 dark:text-slate-100 border border-gray-200 dark:border-slate-700 rounded-lg shadow-sm dark:shadow-slate-900/50 bg-white dark:bg-slate-800 transition-colors">
+              <p className="bi bi-heart text-red-500 dark:text-red-400 text-7xl mb-5"></p>
+              <p className="text-lg sm:text-xl mb-2">Your wishlist is empty.</p>
+              <p className="text-base sm:text-lg text-gray-600 dark:text-slate-400">
+                Tap the heart on any eBook to save it here. We'll email you when it's back in stock or cheaper.
+              </p>
+            </section>
+          )}
+        </section>
+      ) : (
+        <section>
+          {loading ? (
+            // Show skeleton loaders while loading
+            Array(2).fill(0).map((_, index) => (
+              <DashboardCardSkeleton key={`skeleton-${index}`} />
+            ))
+          ) : sortedOrders.length > 0 ? (
+            // Show actual orders when loaded and orders exist (sorted by date)
+            sortedOrders.map((order) => <DashboardCard key={order.id} order={order} />)
+          ) : (
+            // Show empty state only when not loading and no orders
+            <DashboardEmpty />
+          )}
+        </section>
+      )}
     </main>
   );
 };
@@ -4,6 +4,8 @@ import {
   getProductImageKey,
 } from "../../../utils/productImage";
 import { formatPrice } from "../../../utils/formatPrice";
+import { getVariantLabel } from "../../../utils/productVariants";
+import { getCartLineKey } from "../../../reducers";
 import { StatusBadge, OrderTrackingInfo } from "../../../components/ui";
 
 export const DashboardCard = ({ order }) => {
@@ -98,7 +100,7 @@ export const DashboardCard = ({ order }) => {
       {/* Order Items */}
       <div className="space-y-4">
         {order.cartList?.map((product, index) => (
-          <div key={product.id}>
+          <div key={getCartLineKey(product)}>
             <div className="flex flex-col sm:flex-row gap-4 p-3 sm:p-4 rounded-lg bg-gray-50 dark:bg-slate-900/50 hover:bg-gray-100 dark:hover:bg-slate-900 transition-colors">
               {/* Product Image */}
               <Link to={`/products/${product.id}`} className="flex-shrink-0">
@@ -141,6 +143,13 @@ export const DashboardCard = ({ order }) => {
                       Qty: {product.quantity || 1}
                     </span>
 
+                    {product.format && (
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300 border border-blue-200 dark:border-blue-800">
+                        <i className="bi bi-book mr-1 text-xs"></i>
+                        {getVariantLabel(product)}
+                      </span>
+                    )}
+
                     {product.best_seller && (
                       <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300 border border-amber-200 dark:border-amber-800">
                         <i className="bi bi-star-fill mr-1 text-xs"></i>
@@ -192,6 +201,21 @@ export const DashboardCard = ({ order }) => {
         ))}
       </div>
 
+      {/* Paid orders are delivered as downloads in the library (access ends if the order is refunded) */}
+      {(order.paymentStatus === "paid" || order.paymentStatus === "partially_refunded") &&
+        order.status !== "refunded" &&
+        order.status !== "cancelled" && (
+          <div className="mt-4 pt-4 border-t border-gray-200 dark:border-slate-700">
+            <Link
+              to="/library"
+              className="inline-flex items-center text-sm font-medium text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              <i className="bi bi-download mr-1.5"></i>
+              Download these eBooks from My Library
+            </Link>
+          </div>
+        )}
+
       {/* Shipping & Tracking Information */}
       {/* Only shows for shipped/delivered orders, hides for cancelled/refunded */}
       <OrderTrackingInfo order={order} />
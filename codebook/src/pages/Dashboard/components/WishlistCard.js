@@ -0,0 +1,111 @@
+import { Link } from "react-router-dom";
+import { useCart } from "../../../context";
+import { useRemoveFromWishlist } from "../../../hooks/useWishlist";
+import {
+  getProductImageUrl,
+  getProductImageKey,
+} from "../../../utils/productImage";
+import { formatPrice } from "../../../utils/formatPrice";
+
+export const WishlistCard = ({ item }) => {
+  const { cartList, addToCart } = useCart();
+  const removeFromWishlist = useRemoveFromWishlist();
+  const { product } = item;
+
+  const inCart = cartList.some((cartItem) => cartItem.id === product.id);
+  const isAvailable =
+    product.in_stock !== false && (product.stock === undefined || product.stock > 0);
+
+  // Price change since the book was wishlisted
+  const priceWhenAdded = Number(item.priceWhenAdded) || 0;
+  const currentPrice = Number(product.price) || 0;
+  const priceDrop = priceWhenAdded > currentPrice ? priceWhenAdded - currentPrice : 0;
+
+  return (
+    <div className="max-w-7xl mx-auto mb-4 p-4 sm:p-6 border border-gray-200 dark:border-slate-700 rounded-lg shadow-sm dark:shadow-slate-900/50 bg-white dark:bg-slate-800 transition-colors">
+      <div className="flex flex-col sm:flex-row gap-4">
+        {/* Product Image */}
+        <Link to={`/products/${product.id}`} className="flex-shrink-0 sm:w-32">
+          {getProductImageUrl(product) && (
+            <img
+              key={getProductImageKey(product)}
+              className="w-full h-40 sm:h-32 rounded-lg object-cover border border-gray-200 dark:border-gray-700 hover:opacity-90 transition-opacity"
+              src={getProductImageUrl(product)}
+              alt={product.name || "Product"}
+              loading="lazy"
+              onError={(e) => {
+                // Fallback if image fails to load
+                if (product.poster && e.target.src !== product.poster) {
+                  e.target.src = product.poster;
+                } else {
+                  e.target.style.display = "none";
+                }
+              }}
+            />
+          )}
+        </Link>
+
+        {/* Product Details */}
+        <div className="flex-1 min-w-0 flex flex-col">
+          <Link to={`/products/${product.id}`}>
+            <h3 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors mb-2">
+              {product.name || "N/A"}
+            </h3>
+          </Link>
+
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <span
+              className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium ${
+                isAvailable
+                  ? "bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300"
+                  : "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300"
+              }`}
+            >
+              <i className={`bi ${isAvailable ? "bi-check-circle" : "bi-x-circle"} mr-1.5 text-xs`}></i>
+              {isAvailable ? "In Stock" : "Out of Stock"}
+            </span>
+            {priceDrop > 0 && (
+              <span className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">
+                <i className="bi bi-arrow-down mr-1.5 text-xs"></i>
+                ${formatPrice(priceDrop)} cheaper since you saved it
+              </span>
+            )}
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              Saved {new Date(item.addedAt).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })}
+            </span>
+          </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3 mt-auto">
+            <div className="text-xl font-bold text-gray-900 dark:text-white">
+              ${formatPrice(currentPrice)}
+              {priceDrop > 0 && (
+                <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400 line-through">
+                  ${formatPrice(priceWhenAdded)}
+                </span>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => addToCart(product)}
+                disabled={!isAvailable || inCart}
+                className="inline-flex items-center py-2 px-3 text-sm font-medium text-white bg-blue-700 rounded-lg hover:bg-blue-800 dark:bg-blue-600 dark:hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {inCart ? "In Cart" : "Add To Cart"} <i className={`ml-1 bi ${inCart ? "bi-check-lg" : "bi-plus-lg"}`}></i>
+              </button>
+              <button
+                type="button"
+                onClick={() => removeFromWishlist.mutate(product.id)}
+                disabled={removeFromWishlist.isPending}
+                className="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 p-2 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-60 transition-colors"
+                aria-label="Remove from wishlist"
+              >
+                <span className="bi-trash text-xl"></span>
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
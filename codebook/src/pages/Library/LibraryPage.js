@@ -0,0 +1,68 @@
+import { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useTitle } from "../../hooks/useTitle";
+import { useLibrary, useDownloadEbook } from "../../hooks/useLibrary";
+import { DashboardCardSkeleton } from "../Dashboard/components/DashboardCardSkeleton";
+import { LibraryCard } from "./components/LibraryCard";
+
+export const LibraryPage = () => {
+  useTitle("My Library");
+
+  // Every book from the user's paid orders (refunded orders are left out by the API)
+  const { data, isLoading, error } = useLibrary();
+  const items = data?.items || [];
+  const downloadMutation = useDownloadEbook();
+
+  // Show error toast if API call fails (use useEffect to avoid render-time side effects)
+  useEffect(() => {
+    if (error) {
+      toast.error(error.message, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    }
+  }, [error]);
+
+  return (
+    <main>
+      <section>
+        <p className="text-2xl text-center font-semibold dark:text-slate-100 my-10 underline underline-offset-8">
+          My Library {items.length > 0 && <span className="text-lg font-normal text-gray-600 dark:text-gray-400">({items.length} {items.length === 1 ? "eBook" : "eBooks"})</span>}
+        </p>
+      </section>
+
+      <section>
+        {isLoading ? (
+          // Show skeleton loaders while loading
+          Array(2).fill(0).map((_, index) => (
+            <DashboardCardSkeleton key={`library-skeleton-${index}`} />
+          ))
+        ) : items.length > 0 ? (
+          items.map((item) => (
+            <LibraryCard
+              key={item.productId}
+              item={item}
+              onDownload={(productId) => downloadMutation.mutate(productId)}
+              downloading={downloadMutation.isPending && downloadMutation.variables === item.productId}
+            />
+          ))
+        ) : (
+          <section className="text-xl text-center max-w-7xl mx-auto my-10 py-8 sm:py-10 px-4 dark:text-slate-100 border border-gray-200 dark:border-slate-700 rounded-lg shadow-sm dark:shadow-slate-900/50 bg-white dark:bg-slate-800 transition-colors">
+            <p className="bi bi-book text-blue-600 dark:text-blue-400 text-7xl mb-5"></p>
+            <p className="text-lg sm:text-xl mb-2">Your library is empty.</p>
+            <p className="text-base sm:text-lg text-gray-600 dark:text-slate-400 mb-6">
+              eBooks you buy show up here, ready to download.
+            </p>
+            <Link
+              to="/products"
+              className="inline-flex items-center py-2.5 px-5 text-base font-medium text-white bg-blue-700 rounded-lg hover:bg-blue-800 dark:bg-blue-600 dark:hover:bg-blue-700 transition-colors"
+            >
+              Browse eBooks <i className="ml-2 bi bi-arrow-right"></i>
+            </Link>
+          </section>
+        )}
+      </section>
+    </main>
+  );
+};
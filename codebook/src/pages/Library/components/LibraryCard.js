@@ -0,0 +1,85 @@
+import { Link } from "react-router-dom";
+import {
+  getProductImageUrl,
+  getProductImageKey,
+} from "../../../utils/productImage";
+import { formatFileSize } from "../../../utils/formatFileSize";
+
+export const LibraryCard = ({ item, onDownload, downloading }) => {
+  const { product, file } = item;
+  const canDownload = !!file && item.downloadsRemaining > 0;
+
+  return (
+    <div className="max-w-7xl mx-auto mb-4 p-4 sm:p-6 border border-gray-200 dark:border-slate-700 rounded-lg shadow-sm dark:shadow-slate-900/50 bg-white dark:bg-slate-800 transition-colors">
+      <div className="flex flex-col sm:flex-row gap-4">
+        {/* Product Image */}
+        <Link to={`/products/${item.productId}`} className="flex-shrink-0 sm:w-32">
+          {getProductImageUrl(product) && (
+            <img
+              key={getProductImageKey(product)}
+              className="w-full h-40 sm:h-32 rounded-lg object-cover border border-gray-200 dark:border-gray-700 hover:opacity-90 transition-opacity"
+              src={getProductImageUrl(product)}
+              alt={product.name || "Product"}
+              loading="lazy"
+              onError={(e) => {
+                // Fallback if image fails to load
+                if (product.poster && e.target.src !== product.poster) {
+                  e.target.src = product.poster;
+                } else {
+                  e.target.style.display = "none";
+                }
+              }}
+            />
+          )}
+        </Link>
+
+        {/* Book Details */}
+        <div className="flex-1 min-w-0 flex flex-col">
+          <Link to={`/products/${item.productId}`}>
+            <h3 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors mb-2">
+              {product.name || "N/A"}
+            </h3>
+          </Link>
+
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            {file ? (
+              <span className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">
+                <i className={`bi ${file.format === "pdf" ? "bi-file-earmark-pdf" : "bi-book"} mr-1.5 text-xs`}></i>
+                {file.format?.toUpperCase()}
+                {file.size ? `, ${formatFileSize(file.size)}` : ""}
+              </span>
+            ) : (
+              <span className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300">
+                <i className="bi bi-hourglass-split mr-1.5 text-xs"></i>
+                File not available yet
+              </span>
+            )}
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              Purchased {new Date(item.purchasedAt).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })}
+            </span>
+          </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3 mt-auto">
+            <div className="text-sm text-gray-600 dark:text-gray-400">
+              {item.downloadsRemaining} of {item.downloadLimit} downloads left
+              {item.lastDownloadAt && (
+                <span className="block text-xs text-gray-500 dark:text-gray-500">
+                  Last downloaded {new Date(item.lastDownloadAt).toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" })}
+                </span>
+              )}
+            </div>
+            <button
+              type="button"
+              onClick={() => onDownload(item.productId)}
+              disabled={!canDownload || downloading}
+              className="inline-flex items-center justify-center py-2 px-3 text-sm font-medium text-white bg-blue-700 rounded-lg hover:bg-blue-800 dark:bg-blue-600 dark:hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <i className="bi bi-download mr-1.5"></i>
+              {downloading ? "Preparing..." : "Download"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,19 +1,52 @@
-import { useRef, useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import { useEffect, useRef, useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
 import { toast } from "react-toastify";
 import { useQueryClient } from "@tanstack/react-query";
 import { useTitle } from "../hooks/useTitle";
-import { login } from "../services";
+import { useCart } from "../context";
+import { login, forgotPassword, verifyEmail, resendVerification } from "../services";
 import { getNotificationCount } from "../services/notificationService";
 
 export const Login = () => {
   useTitle("Login");
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { mergeGuestCart } = useCart();
   const email = useRef();
   const password = useRef();
   const [selectedRole, setSelectedRole] = useState("");
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
+  // "login" | "forgot" (request reset link) | "forgot-sent"
+  const [mode, setMode] = useState("login");
+  const [unverifiedEmail, setUnverifiedEmail] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const verifyHandled = useRef(false);
+
+  // Email verification link: /login?verify=<token>
+  useEffect(() => {
+    const token = searchParams.get("verify");
+    // Tokens are single-use - don't send it twice (React StrictMode runs effects twice)
+    if (!token || verifyHandled.current) return;
+    verifyHandled.current = true;
+
+    verifyEmail(token)
+      .then((data) => {
+        toast.success(data.message || "Email verified. You can now log in.");
+        if (data.email && email.current) {
+          email.current.value = data.email;
+        }
+      })
+      .catch((error) => {
+        toast.error(error.message, {
+          closeButton: true,
+          position: "bottom-right",
+        });
+      })
+      .finally(() => {
+        setSearchParams({}, { replace: true });
+      });
+  }, [searchParams, setSearchParams]);
 
   // Role-based test accounts configuration
   const testAccounts = [
@@ -53,6 +86,7 @@ export const Login = () => {
 
   async function handleLogin(event) {
     event.preventDefault();
+    setUnverifiedEmail("");
     try {
       const authDetail = {
         email: email.current.value,
@@ -77,19 +111,120 @@ export const Login = () => {
           queryFn: getNotificationCount,
           staleTime: 0, // Always fetch fresh count on login
         });
-        
+
+        // Merge the guest cart into the saved cart before showing products
+        await mergeGuestCart();
+
         navigate("/products");
       } else {
         toast.error(data);
       }
+    } catch (error) {
+      // Account exists but the email hasn't been verified yet
+      if (error.status === 403) {
+        setUnverifiedEmail(email.current.value);
+      }
+      toast.error(error.message, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    }
+  }
+
+  async function handleResendVerification() {
+    setIsSubmitting(true);
+    try {
+      const data = await resendVerification(unverifiedEmail);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.message, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  async function handleForgotPassword(event) {
+    event.preventDefault();
+    setIsSubmitting(true);
+    try {
+      await forgotPassword(event.target.email.value);
+      setMode("forgot-sent");
     } catch (error) {
       toast.error(error.message, {
         closeButton: true,
         position: "bottom-right",
       });
+    } finally {
+      setIsSubmitting(false);
     }
   }
 
+  // Forgotten password: ask for the email, then confirm the link was sent
+  if (mode !== "login") {
+    return (
+      <main>
+        <section>
+          <p className="text-2xl text-center font-semibold dark:text-slate-100 my-10 underline underline-offset-8">
+            Reset Password
+          </p>
+        </section>
+        {mode === "forgot-sent" ? (
+          <div className="mb-6 text-center">
+            <p className="mb-6 text-gray-700 dark:text-gray-300">
+              If an account exists for this email, we've sent a link to reset
+              your password. The link expires in 1 hour.
+            </p>
+            <button
+              type="button"
+              onClick={() => setMode("login")}
+              className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 font-medium underline"
+            >
+              Back to login
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleForgotPassword}>
+            <div className="mb-6">
+              <label
+                htmlFor="email"
+                className="block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300"
+              >
+                Email
+              </label>
+              <input
+                type="email"
+                id="email"
+                className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white dark:focus:ring-blue-500 dark:focus:border-blue-500"
+                placeholder="test@example.com"
+                required
+                autoComplete="email"
+              />
+            </div>
+            <div className="mb-6 text-center">
+              <button
+                type="button"
+                onClick={() => setMode("login")}
+                className="text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 font-medium underline"
+              >
+                Back to login
+              </button>
+            </div>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="text-white bg-blue-700 hover:bg-blue-800 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm w-full sm:w-auto px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50"
+            >
+              {isSubmitting ? "Sending..." : "Send Reset Link"}
+            </button>
+          </form>
+        )}
+      </main>
+    );
+  }
+
   return (
     <main>
       <section>
@@ -211,6 +346,33 @@ export const Login = () => {
           />
         </div>
 
+        {/* Forgot Password Link */}
+        <div className="mb-6 text-right">
+          <button
+            type="button"
+            onClick={() => setMode("forgot")}
+            className="text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 font-medium underline"
+          >
+            Forgot password?
+          </button>
+        </div>
+
+        {/* Unverified Email Notice */}
+        {unverifiedEmail && (
+          <div className="mb-6 p-4 text-sm text-yellow-800 bg-yellow-50 border border-yellow-300 rounded-lg dark:bg-gray-800 dark:text-yellow-300 dark:border-yellow-800">
+            Please verify your email address using the link we sent to{" "}
+            <strong>{unverifiedEmail}</strong>.{" "}
+            <button
+              type="button"
+              onClick={handleResendVerification}
+              disabled={isSubmitting}
+              className="font-medium underline disabled:opacity-50"
+            >
+              Resend verification email
+            </button>
+          </div>
+        )}
+
         {/* Register Link */}
         <div className="mb-6 text-center">
           <span className="text-sm text-gray-600 dark:text-gray-400">
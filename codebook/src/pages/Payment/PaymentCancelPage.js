@@ -2,14 +2,35 @@
  * Payment Cancel Page
  *
  * Displays message when user cancels payment.
+ * Cancels the payment intent (from navigation state or ?payment_intent=) so the
+ * books reserved for the checkout are released straight away.
  * Uses reusable UI components (Card, PageHeader) for consistency.
  */
 
-import { useNavigate } from "react-router-dom";
+import { useEffect, useRef } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import { Card, PageHeader } from "../../components/ui";
+import { useCancelPaymentIntent } from "../../hooks/usePayment";
 
 export const PaymentCancelPage = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const cancelPaymentIntentMutation = useCancelPaymentIntent();
+  const cancelRequestedRef = useRef(false); // Cancel only once (StrictMode runs effects twice)
+
+  const paymentIntentId =
+    location.state?.paymentIntentId || searchParams.get("payment_intent");
+
+  useEffect(() => {
+    if (!paymentIntentId || cancelRequestedRef.current) {
+      return;
+    }
+    cancelRequestedRef.current = true;
+    cancelPaymentIntentMutation.mutate(paymentIntentId);
+  }, [paymentIntentId, cancelPaymentIntentMutation]);
+
+  const released = cancelPaymentIntentMutation.data?.released;
 
   return (
     <div className="max-w-4xl mx-auto px-4 py-8">
@@ -41,6 +62,11 @@ export const PaymentCancelPage = () => {
           <p className="text-gray-600 dark:text-gray-400 mb-6">
             Your payment was cancelled. No charges were made to your account.
           </p>
+          {released && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 -mt-4 mb-6">
+              The books reserved for your checkout have been released.
+            </p>
+          )}
 
           <div className="flex gap-3 justify-center">
             <button
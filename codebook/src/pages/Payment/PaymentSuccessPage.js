@@ -14,7 +14,7 @@ import { toast } from "react-toastify";
 import { useCart } from "../../context";
 import { useUser } from "../../hooks/useUser";
 import { usePaymentStatus } from "../../hooks/usePayment";
-import { createOrder, sendOrderConfirmationEmail, sendAdminNewOrderEmail, sendAdminOutOfStockEmail, sendAdminLowStockEmail } from "../../services";
+import { createOrder } from "../../services";
 import { invalidateAfterOrderCreation } from "../../utils/queryInvalidation";
 import {
   Card,
@@ -29,7 +29,7 @@ export const PaymentSuccessPage = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
-  const { cartList, total, clearCart } = useCart();
+  const { cartList, payableTotal, clearCart } = useCart();
   const { data: user = {}, error: userError } = useUser();
 
   const orderCreatedRef = useRef(false); // Use ref to track order creation without triggering re-renders
@@ -62,8 +62,7 @@ export const PaymentSuccessPage = () => {
 
   // Create order mutation using React Query
   const createOrderMutation = useMutation({
-    mutationFn: ({ cartList, total, user, paymentInfo }) =>
-      createOrder(cartList, total, user, paymentInfo),
+    mutationFn: (paymentIntentId) => createOrder(paymentIntentId),
     retry: false, // Don't retry automatically - prevent duplicate orders
     onSuccess: (orderData) => {
       orderCreatedRef.current = true;
@@ -145,68 +144,7 @@ export const PaymentSuccessPage = () => {
         position: "bottom-right",
       });
 
-      // Send order confirmation email to customer (async, don't block)
-      sendOrderConfirmationEmail({
-        customerEmail: user.email,
-        customerName: user.name,
-        orderId: orderData?.id || orderData?.orderId,
-        items: cartListRef.current.map((item) => ({
-          id: item.id,
-          name: item.productName || item.name,
-          quantity: item.quantity,
-          price: item.price,
-        })),
-        total: totalRef.current,
-        orderDate: new Date().toLocaleDateString(),
-      }).catch((emailError) => {
-        // Log email error but don't show to user (non-critical)
-        console.error("Failed to send order confirmation email:", emailError);
-      });
-
-      // Send admin alert email (async, don't block)
-      // Calculate total quantity from cart items
-      const totalQuantity = cartListRef.current.reduce((sum, item) => sum + (item.quantity || 1), 0);
-      
-      sendAdminNewOrderEmail({
-        orderId: orderData?.id || orderData?.orderId,
-        customerName: user.name,
-        customerEmail: user.email,
-        total: totalRef.current,
-        itemCount: cartListRef.current.length,
-        totalQuantity: totalQuantity,
-        items: cartListRef.current, // Pass items array for detailed display
-      }).catch((emailError) => {
-        // Log email error but don't show to user (non-critical)
-        console.error("Failed to send admin new order email:", emailError);
-      });
-
-      // Check if any products reached 0 stock and send out-of-stock alert
-      if (orderData?._stockUpdates && Array.isArray(orderData._stockUpdates)) {
-        orderData._stockUpdates.forEach((stockUpdate) => {
-          if (stockUpdate.success && stockUpdate.newStock === 0) {
-            sendAdminOutOfStockEmail({
-              productId: stockUpdate.productId,
-              productName: stockUpdate.productName,
-            }).catch((emailError) => {
-              console.error("Failed to send out-of-stock alert email:", emailError);
-            });
-          }
-        });
-      }
-
-      // Send low stock alert emails if any products went below threshold
-      if (orderData?._lowStockAlerts && Array.isArray(orderData._lowStockAlerts)) {
-        orderData._lowStockAlerts.forEach((alert) => {
-          sendAdminLowStockEmail({
-            productId: alert.productId,
-            productName: alert.productName,
-            currentStock: alert.currentStock,
-            lowStockThreshold: alert.lowStockThreshold,
-          }).catch((emailError) => {
-            console.error("Failed to send low stock alert email:", emailError);
-          });
-        });
-      }
+      // Order confirmation and admin new order emails are sent by the API when the order is created
     },
     onError: (error) => {
       console.error("❌ Error creating order:", error);
@@ -224,13 +162,13 @@ export const PaymentSuccessPage = () => {
   // Create order when payment is verified
   // Use refs to capture values without triggering re-runs
   const cartListRef = useRef(cartList);
-  const totalRef = useRef(total);
+  const totalRef = useRef(payableTotal); // For the success log only - the API sets amount_paid from the payment quote
 
   // Update refs when values change
   useEffect(() => {
     cartListRef.current = cartList;
-    totalRef.current = total;
-  }, [cartList, total]);
+    totalRef.current = payableTotal;
+  }, [cartList, payableTotal]);
 
   useEffect(() => {
     // Prevent duplicate order creation
@@ -252,15 +190,8 @@ export const PaymentSuccessPage = () => {
     ) {
       // Mark as attempted immediately to prevent duplicate calls
       orderCreatedRef.current = true;
-      createOrderMutation.mutate({
-        cartList: cartListRef.current,
-        total: totalRef.current,
-        user,
-        paymentInfo: {
-          paymentIntentId: paymentData.paymentIntentId,
-          paymentStatus: "paid",
-        },
-      });
+      // The API builds the order (cart, total, shipping address, coupon) from the payment intent
+      createOrderMutation.mutate(paymentData.paymentIntentId);
     }
     // Note: createOrderMutation is stable from useMutation, user object is stable
     // eslint-disable-next-line react-hooks/exhaustive-deps
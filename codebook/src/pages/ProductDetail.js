@@ -1,14 +1,16 @@
 import { useEffect, useState, useMemo, useCallback } from "react";
-import { useParams } from "react-router-dom";
+import { Link, useParams } from "react-router-dom";
 import { toast } from "react-toastify";
 import { useTitle } from "../hooks/useTitle";
-import { Rating, ProductDetailSkeleton, ReviewList, ReviewForm, ReviewListSkeleton } from "../components";
+import { Rating, ProductDetailSkeleton, ReviewList, ReviewForm, ReviewListSkeleton, WishlistButton } from "../components";
 import { ProductQRCode } from "../components/ProductQRCode";
 import { useCart } from "../context";
 import { useProduct } from "../hooks/useProducts";
 import { useUserOrders } from "../hooks/useUser";
-import { useReviewsByProduct, useCreateReview, useUpdateReview, useDeleteReview } from "../hooks/useReviews";
+import { useReviewsByProduct, useCreateReview, useUpdateReview, useDeleteReview, useVoteReview } from "../hooks/useReviews";
 import { getProductImageUrl, getProductImageKey } from "../utils/productImage";
+import { hasVariants, getVariantLabel, isVariantAvailable, getVariantProduct, DIGITAL_FORMATS } from "../utils/productVariants";
+import { getCartLineKey } from "../reducers";
 import { Card } from "../components/ui/card";
 import {
   AlertDialog,
@@ -28,6 +30,8 @@ export const ProductDetail = () => {
   const [editingReview, setEditingReview] = useState(null);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [reviewToDelete, setReviewToDelete] = useState(null);
+  const [reviewSort, setReviewSort] = useState("newest");
+  const [selectedVariantId, setSelectedVariantId] = useState(null);
   const { id } = useParams();
 
   // Get current user ID
@@ -47,7 +51,7 @@ export const ProductDetail = () => {
   const {
     data: reviewsData = { reviews: [], ratingStats: { averageRating: 0, reviewCount: 0 } },
     isLoading: reviewsLoading,
-  } = useReviewsByProduct(id, !!id);
+  } = useReviewsByProduct(id, !!id, reviewSort);
 
   // Fetch user orders to check if they can review
   const { data: userOrders = [] } = useUserOrders();
@@ -56,9 +60,27 @@ export const ProductDetail = () => {
   const createReviewMutation = useCreateReview();
   const updateReviewMutation = useUpdateReview();
   const deleteReviewMutation = useDeleteReview();
+  const voteReviewMutation = useVoteReview();
 
   useTitle(product.name);
 
+  // Products sold in several formats: the chosen variant (first available one by default)
+  const withVariants = hasVariants(product);
+  const selectedVariant = useMemo(() => {
+    if (!withVariants) return null;
+    return (
+      product.variants.find((variant) => variant.id === selectedVariantId) ||
+      product.variants.find(isVariantAvailable) ||
+      product.variants[0]
+    );
+  }, [withVariants, product.variants, selectedVariantId]);
+
+  // What the buttons add to the cart: the product, or the product in the chosen format
+  const purchasable = useMemo(
+    () => (selectedVariant ? getVariantProduct(product, selectedVariant) : product),
+    [product, selectedVariant]
+  );
+
   // Check if user has ordered this product
   const hasOrderedProduct = useMemo(() => {
     if (!userOrders || userOrders.length === 0) return false;
@@ -79,7 +101,7 @@ export const ProductDetail = () => {
   // Check if user has already reviewed this product
   const userReview = useMemo(() => {
     if (!currentUserId || !reviewsData.reviews) return null;
-    return reviewsData.reviews.find((review) => review.userId === currentUserId) || null;
+    return reviewsData.reviews.find((review) => review.isMine) || null;
   }, [currentUserId, reviewsData.reviews]);
 
   // Use review stats if available, otherwise fall back to product rating
@@ -110,14 +132,16 @@ export const ProductDetail = () => {
   }, [error]);
 
   useEffect(() => {
-    const productInCart = cartList.find((item) => item.id === product.id);
+    if (!purchasable.id) return;
+    const lineKey = getCartLineKey(purchasable);
+    const productInCart = cartList.find((item) => getCartLineKey(item) === lineKey);
 
     if (productInCart) {
       setInCart(true);
     } else {
       setInCart(false);
     }
-  }, [cartList, product.id]);
+  }, [cartList, purchasable]);
 
   // Handle review form submission
   const handleReviewSubmit = useCallback(
@@ -180,6 +204,14 @@ export const ProductDetail = () => {
     }
   }, [reviewToDelete, deleteReviewMutation]);
 
+  // Handle helpful/unhelpful vote (vote is null when the user removes their vote)
+  const handleReviewVote = useCallback(
+    (review, vote) => {
+      voteReviewMutation.mutate({ reviewId: review.id, vote, productId: id });
+    },
+    [voteReviewMutation, id]
+  );
+
   // Handle cancel review form
   const handleCancelReview = useCallback(() => {
     setShowReviewForm(false);
@@ -193,6 +225,23 @@ export const ProductDetail = () => {
   return (
     <main>
       <section className="max-w-7xl mx-auto px-4 sm:px-6 py-8 sm:py-10">
+        {/* Category breadcrumb - each level links to its category page */}
+        {product.category?.length > 0 && (
+          <nav aria-label="Category" className="flex justify-center flex-wrap gap-1 mb-2 text-sm text-gray-500 dark:text-slate-400">
+            {product.category.map((name, index) => (
+              <span key={`${name}-${index}`} className="flex items-center gap-1">
+                {index > 0 && <span className="bi-chevron-right text-xs"></span>}
+                <Link
+                  to={`/products/category/${product.categorySlugs?.[index]}`}
+                  className="hover:underline hover:text-blue-600 dark:hover:text-blue-400"
+                >
+                  {name}
+                </Link>
+              </span>
+            ))}
+          </nav>
+        )}
+
         {/* Title and Overview */}
         <div className="text-center mb-4">
           <h1 className="text-3xl sm:text-4xl font-bold text-gray-900 dark:text-slate-200">
@@ -201,6 +250,18 @@ export const ProductDetail = () => {
           <p className="mb-2 text-base sm:text-lg text-center text-gray-700 dark:text-slate-300 max-w-7xl mx-auto">
             {product.overview}
           </p>
+          {product.tags?.length > 0 && (
+            <div className="flex justify-center flex-wrap gap-2 mt-2">
+              {product.tags.map((tag) => (
+                <span
+                  key={tag}
+                  className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700 dark:bg-slate-700 dark:text-slate-300"
+                >
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Main Content Card */}
@@ -228,7 +289,7 @@ export const ProductDetail = () => {
                   <div>
                     <span className="inline-flex items-center px-4 py-2 rounded-lg text-2xl sm:text-3xl font-bold bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300 border border-green-200 dark:border-green-800">
                       <i className="bi bi-currency-dollar mr-1.5"></i>
-                      {product.price?.toFixed(2) || "0.00"}
+                      {purchasable.price?.toFixed(2) || "0.00"}
                     </span>
                   </div>
 
@@ -257,25 +318,25 @@ export const ProductDetail = () => {
                       </span>
                     )}
                     {/* Stock Quantity Badge - Show detailed stock info if available */}
-                    {product.stock !== undefined ? (
+                    {purchasable.stock !== undefined ? (
                       <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ${
-                        product.stock === 0 
+                        purchasable.stock === 0 
                           ? "bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300 border-red-200 dark:border-red-800"
-                          : product.stock <= (product.lowStockThreshold || 10)
+                          : purchasable.stock <= (product.lowStockThreshold || 10)
                           ? "bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300 border-amber-200 dark:border-amber-800"
                           : "bg-emerald-100 text-emerald-800 dark:bg-emerald-900/30 dark:text-emerald-300 border-emerald-200 dark:border-emerald-800"
                       }`}>
-                        <i className={`bi ${product.stock === 0 ? "bi-x-circle" : product.stock <= (product.lowStockThreshold || 10) ? "bi-exclamation-triangle" : "bi-check-circle"} mr-1.5 text-xs`}></i>
-                        {product.stock === 0 
+                        <i className={`bi ${purchasable.stock === 0 ? "bi-x-circle" : purchasable.stock <= (product.lowStockThreshold || 10) ? "bi-exclamation-triangle" : "bi-check-circle"} mr-1.5 text-xs`}></i>
+                        {purchasable.stock === 0 
                           ? "Out of Stock" 
-                          : product.stock <= (product.lowStockThreshold || 10)
-                          ? `Low Stock (${product.stock} left)`
-                          : `${product.stock} in stock`
+                          : purchasable.stock <= (product.lowStockThreshold || 10)
+                          ? `Low Stock (${purchasable.stock} left)`
+                          : `${purchasable.stock} in stock`
                         }
                       </span>
                     ) : (
                       // Fallback to in_stock boolean if stock quantity not available
-                      product.in_stock ? (
+                      purchasable.in_stock ? (
                         <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-emerald-100 text-emerald-800 dark:bg-emerald-900/30 dark:text-emerald-300 border border-emerald-200 dark:border-emerald-800">
                           <i className="bi bi-check-circle mr-1.5 text-xs"></i>
                           In Stock
@@ -287,7 +348,7 @@ export const ProductDetail = () => {
                         </span>
                       )
                     )}
-                    {product.size && (
+                    {product.size && (!selectedVariant || DIGITAL_FORMATS.includes(selectedVariant.format)) && (
                       <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300 border border-blue-200 dark:border-blue-800">
                         <i className="bi bi-file-earmark mr-1.5 text-xs"></i>
                         {product.size} MB
@@ -295,20 +356,52 @@ export const ProductDetail = () => {
                     )}
                   </div>
 
-                  {/* Add to Cart Button */}
-                  <div className="py-2">
+                  {/* Format Picker - each format has its own price and stock */}
+                  {withVariants && (
+                    <div role="radiogroup" aria-label="Format" className="flex flex-wrap gap-2 pt-1">
+                      {product.variants.map((variant) => {
+                        const selected = variant.id === selectedVariant?.id;
+                        const available = isVariantAvailable(variant);
+                        return (
+                          <button
+                            key={variant.id}
+                            type="button"
+                            role="radio"
+                            aria-checked={selected}
+                            onClick={() => setSelectedVariantId(variant.id)}
+                            className={`flex flex-col items-start px-4 py-2 rounded-lg border text-left transition-colors ${
+                              selected
+                                ? "border-blue-600 bg-blue-50 dark:border-blue-500 dark:bg-blue-900/30"
+                                : "border-gray-300 hover:border-blue-400 dark:border-slate-600 dark:hover:border-blue-500"
+                            }`}
+                          >
+                            <span className="text-sm font-semibold text-gray-900 dark:text-slate-200">
+                              {getVariantLabel(variant)}
+                            </span>
+                            <span className="text-xs text-gray-600 dark:text-slate-400">
+                              ${Number(variant.price).toFixed(2)}
+                              {!available && " \u00B7 Out of stock"}
+                            </span>
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {/* Add to Cart / Wishlist Buttons */}
+                  <div className="py-2 flex flex-wrap items-center gap-3">
                     {!inCart ? (
                       <button
                         onClick={() => {
                           // Prevent adding out-of-stock items
-                          if (!product.in_stock) {
+                          if (!purchasable.in_stock) {
                             return;
                           }
-                          addToCart(product);
+                          addToCart(purchasable);
                         }}
-                        disabled={!product.in_stock}
+                        disabled={!purchasable.in_stock}
                         className={`inline-flex items-center justify-center py-3 px-6 text-base sm:text-lg font-medium text-center text-white rounded-lg transition-colors ${
-                          product.in_stock
+                          purchasable.in_stock
                             ? "bg-blue-700 hover:bg-blue-800 dark:bg-blue-600 dark:hover:bg-blue-700"
                             : "bg-gray-400 cursor-not-allowed"
                         }`}
@@ -318,18 +411,19 @@ export const ProductDetail = () => {
                       </button>
                     ) : (
                       <button
-                        onClick={() => removeFromCart(product)}
+                        onClick={() => removeFromCart(purchasable)}
                         className={`inline-flex items-center justify-center py-3 px-6 text-base sm:text-lg font-medium text-center text-white rounded-lg transition-colors ${
-                          product.in_stock
+                          purchasable.in_stock
                             ? "bg-red-600 hover:bg-red-700 dark:bg-red-700 dark:hover:bg-red-800"
                             : "bg-gray-400 cursor-not-allowed"
                         }`}
-                        disabled={!product.in_stock}
+                        disabled={!purchasable.in_stock}
                       >
                         <i className="bi bi-trash3 mr-2"></i>
                         Remove From Cart
                       </button>
                     )}
+                    <WishlistButton productId={product.id} showLabel className="py-3 px-4" />
                   </div>
                 </div>
 
@@ -401,9 +495,14 @@ export const ProductDetail = () => {
             ) : (
               <ReviewList
                 reviews={reviewsData.reviews || []}
+                ratingStats={reviewsData.ratingStats}
                 isLoading={reviewsLoading}
+                sortBy={reviewSort}
+                onSortChange={setReviewSort}
                 onEdit={handleReviewEdit}
                 onDelete={handleReviewDelete}
+                onVote={handleReviewVote}
+                isVoting={voteReviewMutation.isPending}
                 currentUserId={currentUserId}
               />
             )}
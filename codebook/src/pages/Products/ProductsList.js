@@ -1,5 +1,5 @@
-import { useEffect, useState } from "react";
-import { useLocation } from "react-router-dom";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useLocation, useParams } from "react-router-dom";
 import { useTitle } from "../../hooks/useTitle";
 
 import { ProductCard, ProductCardSkeleton } from "../../components";
@@ -9,28 +9,71 @@ import { useFilter } from "../../context";
 import { useProducts } from "../../hooks/useProducts";
 import { toast } from "react-toastify";
 
+/**
+ * Find a category in the facet tree by slug
+ * @param {Array} nodes - Category facets ({ slug, name, count, children })
+ * @param {string} slug - Category slug
+ * @returns {Object|null} Category facet or null if not found
+ */
+function findCategory(nodes = [], slug) {
+  for (const node of nodes) {
+    if (node.slug === slug) return node;
+    const child = findCategory(node.children, slug);
+    if (child) return child;
+  }
+  return null;
+}
+
 export const ProductsList = () => {
-  const { products, initialProductList } = useFilter();
+  const { filters } = useFilter();
   const [show, setShow] = useState(false);
+  const loadMoreRef = useRef(null);
   const search = useLocation().search;
   const searchTerm = new URLSearchParams(search).get("q") || "";
-  useTitle("Explore eBooks Collection");
+  // Category landing pages (/products/category/:slug) list one category and its subcategories
+  const { slug: categorySlug } = useParams();
+  const catalogFilters = useMemo(
+    () => (categorySlug ? { ...filters, category: categorySlug } : filters),
+    [filters, categorySlug]
+  );
 
-  // Use React Query hook - automatically handles caching, deduplication, and loading states
-  // Automatically refetches when searchTerm changes (from URL params)
+  // Use React Query infinite hook - the server filters, sorts and paginates
+  // Automatically restarts from the first page when searchTerm (URL params) or filters change
   const {
-    data: productData = [],
+    data,
     isLoading: loading,
     error,
-  } = useProducts(searchTerm);
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useProducts(searchTerm, catalogFilters);
+
+  // Flatten loaded pages into a single list
+  const products = data?.pages.flatMap((page) => page.items || []) || [];
+  // Search pages carry the total number of matches
+  const searchTotal = searchTerm ? data?.pages[0]?.total : undefined;
+  // Category and tag counts for the FilterBar (first page only)
+  const facets = data?.pages[0]?.facets;
+  const category = categorySlug ? findCategory(facets?.categories, categorySlug) : null;
+  useTitle(category ? `${category.name} eBooks` : "Explore eBooks Collection");
 
-  // Update FilterContext when product data changes
-  // Prioritize showing cached data immediately
+  // Load the next page when the sentinel below the grid scrolls into view
   useEffect(() => {
-    if (productData.length > 0 || !loading) {
-      initialProductList(productData);
-    }
-  }, [productData, initialProductList, loading]);
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasNextPage) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting && !isFetchingNextPage) {
+          fetchNextPage();
+        }
+      },
+      { rootMargin: "200px" }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
 
   // Show error toast if API call fails (use useEffect to avoid setState during render)
   useEffect(() => {
@@ -47,7 +90,11 @@ export const ProductsList = () => {
       <section className="my-5">
         <div className="my-5 flex justify-between">
           <span className="text-2xl font-semibold dark:text-slate-100 mb-5">
-            All eBooks ({products.length})
+            {searchTerm
+              ? `Results for "${searchTerm}" (${searchTotal ?? products.length})`
+              : categorySlug
+              ? `${category?.name || categorySlug} (${category?.count ?? products.length})`
+              : `All eBooks (${products.length}${hasNextPage ? "+" : ""})`}
           </span>
           <span>
             <button
@@ -82,10 +129,30 @@ export const ProductsList = () => {
             : products.map((product) => (
                 <ProductCard key={product.id} product={product} />
               ))}
+          {isFetchingNextPage &&
+            Array(3)
+              .fill(0)
+              .map((_, index) => (
+                <ProductCardSkeleton key={`next-skeleton-${index}`} />
+              ))}
         </div>
+
+        {/* Infinite scroll sentinel - the button is a fallback if the observer doesn't fire */}
+        {hasNextPage && (
+          <div ref={loadMoreRef} className="flex justify-center my-8">
+            <button
+              onClick={() => fetchNextPage()}
+              disabled={isFetchingNextPage}
+              type="button"
+              className="text-gray-900 bg-white border border-gray-300 hover:bg-gray-100 font-medium rounded-lg text-sm px-5 py-2.5 disabled:opacity-50 dark:bg-gray-800 dark:text-white dark:border-gray-600 dark:hover:bg-gray-700"
+            >
+              {isFetchingNextPage ? "Loading..." : "Load more"}
+            </button>
+          </div>
+        )}
       </section>
 
-      {show && <FilterBar setShow={setShow} />}
+      {show && <FilterBar setShow={setShow} facets={facets} />}
     </main>
   );
 };
@@ -1,7 +1,26 @@
+import { useState } from "react";
 import { useFilter } from "../../../context";
 
-export const FilterBar = ({setShow}) => {
+// Category facets as nested checkboxes ("React (12)"), indented by depth
+const CategoryFacets = ({nodes, depth = 0, selected, onToggle}) => (
+  <>
+    {nodes.map((node) => (
+      <div key={node.slug}>
+        <div className="flex items-center my-1" style={{paddingLeft: `${depth * 1.25}rem`}}>
+            <input onChange={() => onToggle(node.slug)} checked={selected.includes(node.slug)} id={`category-${node.slug}`} type="checkbox" value="" className="w-4 h-4 text-blue-600 bg-gray-100 rounded border-gray-300 dark:bg-gray-700 dark:border-gray-600" />
+            <label htmlFor={`category-${node.slug}`} className="ml-2 text-sm font-medium text-gray-900 dark:text-gray-300">{node.name} ({node.count})</label>
+        </div>
+        {node.children?.length > 0 && <CategoryFacets nodes={node.children} depth={depth + 1} selected={selected} onToggle={onToggle} />}
+      </div>
+    ))}
+  </>
+)
+
+export const FilterBar = ({setShow, facets}) => {
   const {state, dispatch} = useFilter();
+  // Price inputs are applied with the Apply button so typing doesn't refetch on every keystroke
+  const [minPrice, setMinPrice] = useState(state.minPrice);
+  const [maxPrice, setMaxPrice] = useState(state.maxPrice);
 
   return (
     <section className="filter">
@@ -24,6 +43,14 @@ export const FilterBar = ({setShow}) => {
                         <input onChange={() => dispatch({type: "SORT_BY", payload: {sortBy: "hightolow"}})} checked={state.sortBy === "hightolow" || false} id="price-sort-2" type="radio" value="" name="price-sort" className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 dark:bg-gray-700 dark:border-gray-600" />
                         <label htmlFor="price-sort-2" className="ml-2 text-sm font-medium text-gray-900 dark:text-gray-300">Price - High to Low</label>
                     </div>
+                    <div className="flex items-center my-1">
+                        <input onChange={() => dispatch({type: "SORT_BY", payload: {sortBy: "toprated"}})} checked={state.sortBy === "toprated" || false} id="price-sort-3" type="radio" value="" name="price-sort" className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 dark:bg-gray-700 dark:border-gray-600" />
+                        <label htmlFor="price-sort-3" className="ml-2 text-sm font-medium text-gray-900 dark:text-gray-300">Rating - High to Low</label>
+                    </div>
+                    <div className="flex items-center my-1">
+                        <input onChange={() => dispatch({type: "SORT_BY", payload: {sortBy: "newest"}})} checked={state.sortBy === "newest" || false} id="price-sort-4" type="radio" value="" name="price-sort" className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 dark:bg-gray-700 dark:border-gray-600" />
+                        <label htmlFor="price-sort-4" className="ml-2 text-sm font-medium text-gray-900 dark:text-gray-300">Newest First</label>
+                    </div>
                   </li>
                   <li className="mt-1 mb-5">
                     <span className="font-semibold">Rating</span>
@@ -44,6 +71,32 @@ export const FilterBar = ({setShow}) => {
                         <label htmlFor="rating-sort-4" className="ml-2 text-sm font-medium text-gray-900 dark:text-gray-300">1 Stars & Above</label>
                     </div>
                   </li>
+                  <li className="mt-1 mb-5">
+                    <span className="font-semibold">Price</span>
+                    <div className="flex items-center gap-2 my-1">
+                        <input onChange={(event) => setMinPrice(event.target.value)} value={minPrice} id="min-price" type="number" min="0" placeholder="Min" className="w-20 p-1.5 text-sm text-gray-900 bg-gray-50 rounded-lg border border-gray-300 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+                        <span className="text-sm">to</span>
+                        <input onChange={(event) => setMaxPrice(event.target.value)} value={maxPrice} id="max-price" type="number" min="0" placeholder="Max" className="w-20 p-1.5 text-sm text-gray-900 bg-gray-50 rounded-lg border border-gray-300 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+                        <button onClick={() => dispatch({type: "PRICE_RANGE", payload: {minPrice, maxPrice}})} type="button" className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-400">Apply</button>
+                    </div>
+                  </li>
+                  {facets?.categories?.length > 0 && (
+                  <li className="mt-1 mb-5">
+                    <span className="font-semibold">Categories</span>
+                    <CategoryFacets nodes={facets.categories} selected={state.categories} onToggle={(category) => dispatch({type: "TOGGLE_CATEGORY", payload: {category}})} />
+                  </li>
+                  )}
+                  {facets?.tags?.length > 0 && (
+                  <li className="mt-1 mb-5">
+                    <span className="font-semibold">Tags</span>
+                    {facets.tags.map(({tag, count}) => (
+                    <div key={tag} className="flex items-center my-1">
+                        <input onChange={() => dispatch({type: "TOGGLE_TAG", payload: {tag}})} checked={state.tags.includes(tag)} id={`tag-${tag.replace(/\s+/g, "-")}`} type="checkbox" value="" className="w-4 h-4 text-blue-600 bg-gray-100 rounded border-gray-300 dark:bg-gray-700 dark:border-gray-600" />
+                        <label htmlFor={`tag-${tag.replace(/\s+/g, "-")}`} className="ml-2 text-sm font-medium text-gray-900 dark:text-gray-300">{tag} ({count})</label>
+                    </div>
+                    ))}
+                  </li>
+                  )}
                   <li className="mt-1 mb-5">
                     <span className="font-semibold">Other Filters</span>
                     <div className="flex items-center my-1">
@@ -56,7 +109,7 @@ export const FilterBar = ({setShow}) => {
                     </div>
                   </li>
                   <li className="mt-1 mb-5 px-1">
-                    <button onClick={() => dispatch({type: "CLEAR_FILTER"})} type="button" className="text-gray-900 bg-white border border-gray-300 focus:outline-none hover:bg-gray-100 focus:ring-4 focus:ring-gray-200 font-medium rounded-lg text-sm px-10 py-2.5 mr-2 mb-2 dark:bg-gray-800 dark:text-white dark:border-gray-600 dark:hover:bg-gray-700 dark:hover:border-gray-600 dark:focus:ring-gray-700">Clear Filter</button>
+                    <button onClick={() => { setMinPrice(""); setMaxPrice(""); dispatch({type: "CLEAR_FILTER"}); }} type="button" className="text-gray-900 bg-white border border-gray-300 focus:outline-none hover:bg-gray-100 focus:ring-4 focus:ring-gray-200 font-medium rounded-lg text-sm px-10 py-2.5 mr-2 mb-2 dark:bg-gray-800 dark:text-white dark:border-gray-600 dark:hover:bg-gray-700 dark:hover:border-gray-600 dark:focus:ring-gray-700">Clear Filter</button>
                   </li>
                 </ul>
             </div>
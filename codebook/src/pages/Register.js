@@ -1,14 +1,18 @@
-import { useNavigate } from "react-router-dom";
+import { useState } from "react";
+import { useNavigate, Link } from "react-router-dom";
 import { toast } from "react-toastify";
 import { useQueryClient } from "@tanstack/react-query";
 import { useTitle } from "../hooks/useTitle";
-import { register } from "../services";
+import { register, resendVerification } from "../services";
 import { invalidateAfterUserRegistration } from "../utils/queryInvalidation";
 
 export const Register = () => {
   useTitle("Register");
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  // Email the verification link was sent to (shows the "check your email" state)
+  const [registeredEmail, setRegisteredEmail] = useState("");
+  const [isResending, setIsResending] = useState(false);
 
   async function handleRegister(event) {
     event.preventDefault();
@@ -19,7 +23,13 @@ export const Register = () => {
         password: event.target.password.value,
       };
       const data = await register(authDetail);
-      if (data.accessToken) {
+      if (data.requiresVerification) {
+        // Invalidate admin queries so admin dashboard updates immediately
+        // (new user registration affects "Total Users" metric)
+        invalidateAfterUserRegistration(queryClient);
+
+        setRegisteredEmail(authDetail.email);
+      } else if (data.accessToken) {
         // Clear React Query cache to prevent showing previous user's data
         queryClient.clear();
 
@@ -39,6 +49,58 @@ export const Register = () => {
     }
   }
 
+  async function handleResend() {
+    setIsResending(true);
+    try {
+      const data = await resendVerification(registeredEmail);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.message, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    } finally {
+      setIsResending(false);
+    }
+  }
+
+  // Registered - the account has to be verified before logging in
+  if (registeredEmail) {
+    return (
+      <main>
+        <section>
+          <p className="text-2xl text-center font-semibold dark:text-slate-100 my-10 underline underline-offset-8">
+            Check Your Email
+          </p>
+        </section>
+        <div className="mb-6 text-center text-gray-700 dark:text-gray-300">
+          <p className="mb-4">
+            We've sent a verification link to <strong>{registeredEmail}</strong>.
+            Open it to activate your account, then log in.
+          </p>
+          <p className="mb-6 text-sm text-gray-500 dark:text-gray-400">
+            Didn't get the email? Check your spam folder or{" "}
+            <button
+              type="button"
+              onClick={handleResend}
+              disabled={isResending}
+              className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 font-medium underline disabled:opacity-50"
+            >
+              send it again
+            </button>
+            .
+          </p>
+          <Link
+            to="/login"
+            className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 font-medium underline"
+          >
+            Go to login
+          </Link>
+        </div>
+      </main>
+    );
+  }
+
   return (
     <main>
       <section>
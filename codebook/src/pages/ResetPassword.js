@@ -0,0 +1,110 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { useTitle } from "../hooks/useTitle";
+import { resetPassword } from "../services";
+
+// Same rule as the Register form and the API
+const MIN_PASSWORD_LENGTH = 7;
+
+export const ResetPassword = () => {
+  useTitle("Reset Password");
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  async function handleReset(event) {
+    event.preventDefault();
+    const password = event.target.password.value;
+    const confirmPassword = event.target.confirmPassword.value;
+
+    if (password !== confirmPassword) {
+      toast.error("Passwords do not match", {
+        closeButton: true,
+        position: "bottom-right",
+      });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const data = await resetPassword(token, password);
+      toast.success(data.message);
+      navigate("/login");
+    } catch (error) {
+      toast.error(error.message, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <main>
+      <section>
+        <p className="text-2xl text-center font-semibold dark:text-slate-100 my-10 underline underline-offset-8">
+          Reset Password
+        </p>
+      </section>
+      {!token ? (
+        <div className="mb-6 text-center text-gray-700 dark:text-gray-300">
+          <p className="mb-6">
+            This reset link is incomplete. Please use the link from the email,
+            or request a new one.
+          </p>
+          <Link
+            to="/login"
+            className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 font-medium underline"
+          >
+            Back to login
+          </Link>
+        </div>
+      ) : (
+        <form onSubmit={handleReset}>
+          <div className="mb-6">
+            <label
+              htmlFor="password"
+              className="block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300"
+            >
+              New password
+            </label>
+            <input
+              type="password"
+              id="password"
+              className="shadow-sm bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white dark:focus:ring-blue-500 dark:focus:border-blue-500 dark:shadow-sm-light"
+              required
+              minLength={MIN_PASSWORD_LENGTH}
+              autoComplete="new-password"
+            />
+          </div>
+          <div className="mb-6">
+            <label
+              htmlFor="confirmPassword"
+              className="block mb-2 text-sm font-medium text-gray-900 dark:text-gray-300"
+            >
+              Confirm new password
+            </label>
+            <input
+              type="password"
+              id="confirmPassword"
+              className="shadow-sm bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 dark:bg-gray-700 dark:border-gray-600 dark:placeholder-gray-400 dark:text-white dark:focus:ring-blue-500 dark:focus:border-blue-500 dark:shadow-sm-light"
+              required
+              minLength={MIN_PASSWORD_LENGTH}
+              autoComplete="new-password"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="text-white bg-blue-700 hover:bg-blue-800 focus:ring-4 focus:outline-none focus:ring-blue-300 font-medium rounded-lg text-sm px-5 py-2.5 text-center dark:bg-blue-600 dark:hover:bg-blue-700 dark:focus:ring-blue-800 disabled:opacity-50"
+          >
+            {isSubmitting ? "Saving..." : "Set New Password"}
+          </button>
+        </form>
+      )}
+    </main>
+  );
+};
@@ -0,0 +1,90 @@
+import { useEffect } from "react";
+import { toast } from "react-toastify";
+import { useTitle } from "../../hooks/useTitle";
+import {
+  useNotificationPreferences,
+  useUpdateNotificationPreferences,
+} from "../../hooks/useNotifications";
+
+export const SettingsPage = () => {
+  useTitle("Settings");
+
+  // Which optional emails the user gets (each switch saves right away)
+  const { data, isLoading, error } = useNotificationPreferences();
+  const updateMutation = useUpdateNotificationPreferences();
+  const categories = data?.categories || [];
+  const preferences = data?.preferences || {};
+
+  // Show error toast if API call fails (use useEffect to avoid render-time side effects)
+  useEffect(() => {
+    if (error) {
+      toast.error(error.message, {
+        closeButton: true,
+        position: "bottom-right",
+      });
+    }
+  }, [error]);
+
+  return (
+    <main>
+      <section>
+        <p className="text-2xl text-center font-semibold dark:text-slate-100 my-10 underline underline-offset-8">
+          Settings
+        </p>
+      </section>
+
+      <section className="max-w-3xl mx-auto mb-10 p-4 sm:p-6 border border-gray-200 dark:border-slate-700 rounded-lg shadow-sm dark:shadow-slate-900/50 bg-white dark:bg-slate-800 transition-colors">
+        <h2 className="text-lg sm:text-xl font-semibold text-gray-900 dark:text-slate-100">
+          <i className="bi bi-envelope mr-2 text-blue-600 dark:text-blue-400"></i>
+          Email Notifications
+        </h2>
+        <p className="mt-1 mb-4 text-sm text-gray-600 dark:text-slate-400">
+          Choose which emails you get from us. Account emails, order confirmations and
+          payment problems are always sent.
+        </p>
+
+        {isLoading ? (
+          <div className="space-y-4 animate-pulse">
+            {Array(5).fill(0).map((_, index) => (
+              <div key={`preference-skeleton-${index}`} className="h-12 bg-gray-200 dark:bg-slate-700 rounded"></div>
+            ))}
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+            {categories.map((category) => {
+              const enabled = preferences[category.key] !== false;
+              return (
+                <li key={category.key} className="flex items-center justify-between gap-4 py-4">
+                  <div>
+                    <p className="text-base font-medium text-gray-900 dark:text-slate-100">
+                      {category.label}
+                    </p>
+                    <p className="text-sm text-gray-600 dark:text-slate-400">
+                      {category.description}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    role="switch"
+                    aria-checked={enabled}
+                    aria-label={category.label}
+                    onClick={() => updateMutation.mutate({ [category.key]: !enabled })}
+                    className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors focus:outline-none focus:ring-4 focus:ring-blue-300 dark:focus:ring-blue-800 ${
+                      enabled ? "bg-blue-600 dark:bg-blue-500" : "bg-gray-300 dark:bg-slate-600"
+                    }`}
+                  >
+                    <span
+                      className={`inline-block h-5 w-5 transform rounded-full bg-white shadow transition-transform ${
+                        enabled ? "translate-x-5" : "translate-x-0.5"
+                      }`}
+                    ></span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+    </main>
+  );
+};
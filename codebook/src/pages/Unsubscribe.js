@@ -0,0 +1,56 @@
+import { useState, useEffect, useRef } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { useTitle } from "../hooks/useTitle";
+import { unsubscribe } from "../services";
+
+// Opened from the unsubscribe link in an email: the signed token turns the
+// email's category off right away, no login needed
+export const Unsubscribe = () => {
+  useTitle("Unsubscribe");
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Only once, even when effects run twice in development
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    unsubscribe(token)
+      .then(setResult)
+      .catch((unsubscribeError) => setError(unsubscribeError.message));
+  }, [token]);
+
+  return (
+    <main>
+      <section>
+        <p className="text-2xl text-center font-semibold dark:text-slate-100 my-10 underline underline-offset-8">
+          Unsubscribe
+        </p>
+      </section>
+      <div className="mb-6 text-center text-gray-700 dark:text-gray-300">
+        {!token || error ? (
+          <p className="mb-6">
+            {error || "This unsubscribe link is incomplete. Please use the link from the email."}
+          </p>
+        ) : !result ? (
+          <p className="mb-6">Unsubscribing...</p>
+        ) : (
+          <>
+            <p className="bi bi-envelope-check text-blue-600 dark:text-blue-400 text-5xl mb-4"></p>
+            <p className="mb-2">{result.message}.</p>
+            <p className="mb-6">You won't get these emails anymore.</p>
+          </>
+        )}
+        <Link
+          to="/settings"
+          className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 font-medium underline"
+        >
+          Manage email preferences
+        </Link>
+      </div>
+    </main>
+  );
+};
@@ -5,13 +5,17 @@ export { ProductDetail } from "./ProductDetail";
 export { CartPage } from "./Cart/CartPage";
 export { OrderPage } from "./Order/OrderPage";
 export { DashboardPage } from "./Dashboard/DashboardPage";
+export { LibraryPage } from "./Library/LibraryPage";
+export { SettingsPage } from "./Settings/SettingsPage";
 export { PaymentSuccessPage } from "./Payment/PaymentSuccessPage";
 export { PaymentCancelPage } from "./Payment/PaymentCancelPage";
 
 export { Login } from "./Login";
 export { Register } from "./Register";
+export { ResetPassword } from "./ResetPassword";
+export { Unsubscribe } from "./Unsubscribe";
 
-export { AdminDashboardPage, AdminProductsPage, AdminProductCreatePage, AdminProductEditPage, AdminProductDetailPage, AdminOrdersPage, AdminOrderDetailPage, AdminUsersPage, AdminUserDetailPage, AdminUserEditPage, AdminAnalyticsPage, AdminHistoryPage, AdminTicketsPage, AdminReviewsPage, AdminSettingsPage } from "./Admin";
+export { AdminDashboardPage, AdminProductsPage, AdminProductCreatePage, AdminProductImportPage, AdminProductEditPage, AdminProductDetailPage, AdminOrdersPage, AdminOrderDetailPage, AdminUsersPage, AdminUserDetailPage, AdminUserEditPage, AdminCouponsPage, AdminCouponCreatePage, AdminCouponEditPage, AdminAnalyticsPage, AdminHistoryPage, AdminTicketsPage, AdminReviewsPage, AdminEmailTemplatesPage, AdminEmailTemplateEditPage, AdminSettingsPage } from "./Admin";
 export { CreateTicketPage, TicketsListPage, TicketDetailPage } from "./Tickets";
 
 export { PageNotFound } from "./PageNotFound";
@@ -4,8 +4,21 @@
  * Manages cart state with quantity tracking.
  * Cart structure: Array of objects with { product, quantity }
  * Each product in cart has a quantity field (default: 1)
+ * coupon holds the last POST /cart/apply-coupon result (or null)
+ * SET_CART replaces the whole cart (server cart loaded or merged on login)
+ * A cart line is a product, or a product in one format (variantId) - see getCartLineKey
  */
 
+/**
+ * Key of a cart line: the product, plus the variant for products sold in several formats
+ * (same key as the API uses for cart lines and reservations)
+ * @param {Object} item - Product or cart item ({ id, variantId })
+ * @returns {string} "productId" or "productId:variantId"
+ */
+export const getCartLineKey = (item) => {
+    return item.variantId ? `${item.id}:${item.variantId}` : item.id;
+}
+
 export const cartReducer = (state, action) => {
     const { type, payload } = action;
 
@@ -21,7 +34,16 @@ export const cartReducer = (state, action) => {
             return {...state, cartList: payload.products, total: payload.total}
         
         case "CLEAR_CART":
-            return {...state, cartList: payload.products, total: payload.total}
+            return {...state, cartList: payload.products, total: payload.total, coupon: null}
+
+        case "SET_CART":
+            return {...state, cartList: payload.products, total: payload.total, coupon: null}
+
+        case "APPLY_COUPON":
+            return {...state, coupon: payload.coupon}
+
+        case "REMOVE_COUPON":
+            return {...state, coupon: null}
 
         default:
             throw new Error("No case found!");
@@ -3,9 +3,6 @@ export const filterReducer = (state, action) => {
 
     switch(type){
 
-        case "PRODUCT_LIST":
-            return { productList: payload.products }
-        
         case "SORT_BY":
             return {...state, sortBy: payload.sortBy}
         
@@ -18,13 +15,37 @@ export const filterReducer = (state, action) => {
         case "ONLY_IN_STOCK":
             return {...state, onlyInStock: payload.onlyInStock}
 
+        case "PRICE_RANGE":
+            return {...state, minPrice: payload.minPrice, maxPrice: payload.maxPrice}
+
+        // Facet checkboxes: add the value if it isn't selected yet, otherwise remove it
+        case "TOGGLE_CATEGORY":
+            return {
+                ...state,
+                categories: state.categories.includes(payload.category)
+                    ? state.categories.filter((slug) => slug !== payload.category)
+                    : [...state.categories, payload.category]
+            }
+
+        case "TOGGLE_TAG":
+            return {
+                ...state,
+                tags: state.tags.includes(payload.tag)
+                    ? state.tags.filter((tag) => tag !== payload.tag)
+                    : [...state.tags, payload.tag]
+            }
+
         case "CLEAR_FILTER":
             return {
                 ...state, 
                 onlyInStock: false,
                 bestSellerOnly: false,
                 sortBy: null,
-                ratings: null
+                ratings: null,
+                minPrice: "",
+                maxPrice: "",
+                categories: [],
+                tags: []
             }
         
         default:
@@ -1,2 +1,2 @@
 export { filterReducer } from "./filterReducers";
-export { cartReducer } from "./cartReducers";
\ No newline at end of file
+export { cartReducer, getCartLineKey } from "./cartReducers";
\ No newline at end of file
@@ -5,14 +5,19 @@ import {
   ProductDetail,
   Login,
   Register,
+  ResetPassword,
+  Unsubscribe,
   CartPage,
   OrderPage,
   DashboardPage,
+  LibraryPage,
+  SettingsPage,
   PaymentSuccessPage,
   PaymentCancelPage,
   AdminDashboardPage,
   AdminProductsPage,
   AdminProductCreatePage,
+  AdminProductImportPage,
   AdminProductEditPage,
   AdminProductDetailPage,
   AdminOrdersPage,
@@ -20,10 +25,15 @@ import {
   AdminUsersPage,
   AdminUserDetailPage,
   AdminUserEditPage,
+  AdminCouponsPage,
+  AdminCouponCreatePage,
+  AdminCouponEditPage,
   AdminAnalyticsPage,
   AdminHistoryPage,
   AdminTicketsPage,
   AdminReviewsPage,
+  AdminEmailTemplatesPage,
+  AdminEmailTemplateEditPage,
   AdminSettingsPage,
   CreateTicketPage,
   TicketsListPage,
@@ -38,10 +48,13 @@ export const AllRoutes = () => {
       <Routes>
         <Route path="/" element={<HomePage />} />
         <Route path="products" element={<ProductsList />} />
+        <Route path="products/category/:slug" element={<ProductsList />} />
         <Route path="products/:id" element={<ProductDetail />} />
 
         <Route path="login" element={<Login />} />
         <Route path="register" element={<Register />} />
+        <Route path="reset-password" element={<ResetPassword />} />
+        <Route path="unsubscribe" element={<Unsubscribe />} />
 
         <Route
           path="cart"
@@ -67,6 +80,22 @@ export const AllRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="library"
+          element={
+            <ProtectedRoute>
+              <LibraryPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="settings"
+          element={
+            <ProtectedRoute>
+              <SettingsPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="payment-success"
           element={
@@ -135,6 +164,14 @@ export const AllRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="admin/products/import"
+          element={
+            <ProtectedRoute requiredRole="admin">
+              <AdminProductImportPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="admin/products/:id"
           element={
@@ -191,6 +228,30 @@ export const AllRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="admin/coupons"
+          element={
+            <ProtectedRoute requiredRole="admin">
+              <AdminCouponsPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="admin/coupons/new"
+          element={
+            <ProtectedRoute requiredRole="admin">
+              <AdminCouponCreatePage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="admin/coupons/:code/edit"
+          element={
+            <ProtectedRoute requiredRole="admin">
+              <AdminCouponEditPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="admin/business-insights"
           element={
@@ -231,6 +292,22 @@ export const AllRoutes = () => {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="admin/email-templates"
+          element={
+            <ProtectedRoute requiredRole="admin">
+              <AdminEmailTemplatesPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="admin/email-templates/:name"
+          element={
+            <ProtectedRoute requiredRole="admin">
+              <AdminEmailTemplateEditPage />
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="admin/settings"
           element={
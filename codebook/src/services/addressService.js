@@ -0,0 +1,126 @@
+/**
+ * Address Service - API functions for the user's address book
+ *
+ * This service handles all API calls related to saved shipping addresses.
+ * Pure functions - no React Query logic here.
+ */
+
+import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
+
+// Base API URL from environment (use same env var as other services)
+const API_BASE =
+  process.env.REACT_APP_LAMBDA_API_URL ||
+  "https://d4vvkswb4a.execute-api.eu-north-1.amazonaws.com";
+
+/**
+ * Get session token from storage
+ * @returns {string|null} Auth token
+ */
+function getToken() {
+  try {
+    return JSON.parse(sessionStorage.getItem("token"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send an authenticated request to the addresses API
+ * @param {string} path - Path under /addresses (e.g. "" or "/{id}")
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Error with message and status
+ */
+async function addressRequest(path, { method = "GET", body } = {}) {
+  const token = getToken();
+
+  if (!token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const response = await authFetch(`${API_BASE}/addresses${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Get the authenticated user's saved addresses
+ * @returns {Promise<Object>} { addresses, defaultAddressId }
+ * @throws {ApiError} Error with message and status
+ */
+export async function getAddresses() {
+  return addressRequest("");
+}
+
+/**
+ * Save a new address to the address book
+ * @param {Object} address - Address fields (name, street1, street2, city, state, zip, country, phone)
+ * @param {boolean} [isDefault=false] - Make it the default address
+ * @returns {Promise<Object>} { address, addresses, defaultAddressId }
+ * @throws {ApiError} Error with message and status
+ */
+export async function addAddress(address, isDefault = false) {
+  return addressRequest("", {
+    method: "POST",
+    body: { ...address, isDefault },
+  });
+}
+
+/**
+ * Update a saved address
+ * @param {string} addressId - Address ID
+ * @param {Object} address - Address fields
+ * @param {boolean} [isDefault=false] - Make it the default address
+ * @returns {Promise<Object>} { address, addresses, defaultAddressId }
+ * @throws {ApiError} Error with message and status
+ */
+export async function updateAddress(addressId, address, isDefault = false) {
+  return addressRequest(`/${addressId}`, {
+    method: "PUT",
+    body: { ...address, isDefault },
+  });
+}
+
+/**
+ * Make a saved address the default one
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object>} { addresses, defaultAddressId }
+ * @throws {ApiError} Error with message and status
+ */
+export async function setDefaultAddress(addressId) {
+  return addressRequest(`/${addressId}`, {
+    method: "PUT",
+    body: { isDefault: true },
+  });
+}
+
+/**
+ * Delete a saved address
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object>} { addresses, defaultAddressId }
+ * @throws {ApiError} Error with message and status
+ */
+export async function deleteAddress(addressId) {
+  return addressRequest(`/${addressId}`, { method: "DELETE" });
+}
@@ -6,6 +6,7 @@
  */
 
 import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
 
 // AWS Lambda HTTP API Base URL
 const LAMBDA_API_BASE =
@@ -56,7 +57,7 @@ export async function getAllOrders() {
   // Use dedicated admin endpoint to get all orders (admin panel)
   // This endpoint returns all orders regardless of user
   // User dashboard uses /orders endpoint (user-specific)
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/orders`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/orders`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -99,7 +100,7 @@ export async function getAllUsers() {
     },
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/users`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/users`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -142,7 +143,7 @@ export async function getAllProducts() {
     },
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/products`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/products`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -198,7 +199,7 @@ export async function createProduct(productData) {
     body: JSON.stringify(requestBody),
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/products`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/products`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -265,7 +266,7 @@ export async function updateProduct(productId, updates) {
     body: JSON.stringify(requestBody),
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/products/${productId}`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/products/${productId}`, requestOptions);
   
   // Debug logging to verify response
   if (response.ok) {
@@ -296,6 +297,254 @@ export async function updateProduct(productId, updates) {
   return await response.json();
 }
 
+/**
+ * Record a delivery of new copies for a product (admin only)
+ * Adds the quantity to the stock and logs the restock in the activity log.
+ * @param {string} productId - Product ID
+ * @param {Object} restock - { variantId, quantity, supplierNote, cost } (variantId: format to restock, for products with variants)
+ * @returns {Promise<Object>} { product, restock: { quantityReceived, supplierNote, cost, oldStock, newStock } }
+ * @throws {ApiError} Error object with message and status
+ */
+export async function restockProduct(productId, { variantId, quantity, supplierNote, cost }) {
+  const browserData = getSession();
+
+  if (!browserData.token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const userRole = sessionStorage.getItem("userRole");
+  if (userRole !== "admin") {
+    throw new ApiError("Admin access required", 403);
+  }
+
+  const requestOptions = {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${browserData.token}`,
+    },
+    body: JSON.stringify({ variantId, quantity, supplierNote, cost }),
+  };
+
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/products/${productId}/restock`, requestOptions);
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Upload a product's eBook file (PDF/EPUB) and attach it to the product (admin only)
+ * The file goes straight from the browser to storage through a presigned URL,
+ * then the product is pointed at it.
+ * @param {string} productId - Product ID
+ * @param {File} file - PDF or EPUB file
+ * @returns {Promise<Object>} Updated product (with ebookFile)
+ * @throws {ApiError} Error object with message and status
+ */
+export async function uploadEbookFile(productId, file) {
+  const browserData = getSession();
+
+  if (!browserData.token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const userRole = sessionStorage.getItem("userRole");
+  if (userRole !== "admin") {
+    throw new ApiError("Admin access required", 403);
+  }
+
+  const ebookRequest = async (method, body) => {
+    const response = await authFetch(`${LAMBDA_API_BASE}/admin/products/${productId}/ebook`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${browserData.token}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      let errorMessage = response.statusText;
+      try {
+        const errorData = await response.json();
+        errorMessage =
+          errorData.message || errorData.error || response.statusText;
+      } catch {
+        errorMessage = response.statusText;
+      }
+      throw new ApiError(errorMessage, response.status);
+    }
+
+    return await response.json();
+  };
+
+  // 1. Presigned upload URL for this file
+  const { uploadUrl, key, contentType } = await ebookRequest("POST", {
+    fileName: file.name,
+    size: file.size,
+  });
+
+  // 2. Upload the file to storage (no auth header - the URL is signed)
+  const uploadResponse = await fetch(uploadUrl, {
+    method: "PUT",
+    headers: { "Content-Type": contentType },
+    body: file,
+  });
+  if (!uploadResponse.ok) {
+    throw new ApiError("Failed to upload the eBook file", uploadResponse.status);
+  }
+
+  // 3. Attach the uploaded file to the product
+  return await ebookRequest("PUT", { key, fileName: file.name });
+}
+
+/**
+ * Remove a product's eBook file (admin only)
+ * Customers can no longer download the book until a new file is uploaded.
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} Updated product
+ * @throws {ApiError} Error object with message and status
+ */
+export async function removeEbookFile(productId) {
+  const browserData = getSession();
+
+  if (!browserData.token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const userRole = sessionStorage.getItem("userRole");
+  if (userRole !== "admin") {
+    throw new ApiError("Admin access required", 403);
+  }
+
+  const requestOptions = {
+    method: "DELETE",
+    headers: {
+      Authorization: `Bearer ${browserData.token}`,
+    },
+  };
+
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/products/${productId}/ebook`, requestOptions);
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Import products from a CSV or JSON file (admin only)
+ * Rows are matched to existing products by id, then by SKU.
+ * @param {Object} params - { format: "csv"|"json", data: file text, mode: "upsert"|"create", dryRun }
+ * @returns {Promise<Object>} Import report { dryRun, mode, summary, warnings, rows }
+ * @throws {ApiError} Error object with message and status
+ */
+export async function importProducts({ format, data, mode = "upsert", dryRun = false }) {
+  const browserData = getSession();
+
+  if (!browserData.token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const userRole = sessionStorage.getItem("userRole");
+  if (userRole !== "admin") {
+    throw new ApiError("Admin access required", 403);
+  }
+
+  // Include baseUrl for QR codes of new products (same as createProduct)
+  const baseUrl = process.env.REACT_APP_BASE_URL || (typeof window !== "undefined" ? window.location.origin : "");
+
+  const requestOptions = {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${browserData.token}`,
+    },
+    body: JSON.stringify({ format, data, mode, dryRun, ...(baseUrl && { baseUrl }) }),
+  };
+
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/products/import`, requestOptions);
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Export the full catalog as a file (admin only)
+ * @param {string} format - "csv" or "json"
+ * @returns {Promise<Blob>} File content
+ * @throws {ApiError} Error object with message and status
+ */
+export async function exportProducts(format = "csv") {
+  const browserData = getSession();
+
+  if (!browserData.token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const userRole = sessionStorage.getItem("userRole");
+  if (userRole !== "admin") {
+    throw new ApiError("Admin access required", 403);
+  }
+
+  const requestOptions = {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${browserData.token}`,
+    },
+  };
+
+  const response = await authFetch(
+    `${LAMBDA_API_BASE}/admin/products/export?format=${encodeURIComponent(format)}`,
+    requestOptions
+  );
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  return await response.blob();
+}
+
 /**
  * Get count of featured products (admin only)
  * Used to validate max 3 featured products limit
@@ -348,7 +597,7 @@ export async function deleteProduct(productId) {
     },
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/products/${productId}`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/products/${productId}`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -403,7 +652,7 @@ export async function migrateFeaturedProducts() {
     },
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/migrate-featured-products`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/migrate-featured-products`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -446,7 +695,7 @@ export async function migrateFeaturedToNumber() {
     },
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/migrate-featured-to-number`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/migrate-featured-to-number`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -490,7 +739,7 @@ export async function updateOrderStatus(orderId, status) {
     body: JSON.stringify({ status }),
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/orders/${orderId}/status`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/orders/${orderId}/status`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -537,7 +786,7 @@ export async function refundOrder(orderId, refundData = {}) {
     body: JSON.stringify(refundData),
   };
 
-  const response = await fetch(
+  const response = await authFetch(
     `${LAMBDA_API_BASE}/admin/orders/${orderId}/refund`,
     requestOptions
   );
@@ -597,7 +846,7 @@ export async function generateShippingLabel(orderId, options = {}) {
     body: JSON.stringify(options),
   };
 
-  const response = await fetch(
+  const response = await authFetch(
     `${LAMBDA_API_BASE}/admin/orders/${orderId}/generate-label`,
     requestOptions
   );
@@ -659,7 +908,7 @@ export async function addTrackingNumber(orderId, trackingNumber, trackingCarrier
     }),
   };
 
-  const response = await fetch(
+  const response = await authFetch(
     `${LAMBDA_API_BASE}/admin/orders/${orderId}/tracking`,
     requestOptions
   );
@@ -705,7 +954,7 @@ export async function getOrderById(orderId) {
     },
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/orders/${orderId}`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/orders/${orderId}`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -750,7 +999,7 @@ export async function updateUser(userId, updates) {
     body: JSON.stringify(updates),
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/users/${userId}`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/users/${userId}`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -793,7 +1042,7 @@ export async function deleteUser(userId) {
     },
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/users/${userId}`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/users/${userId}`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -836,7 +1085,7 @@ export async function getUserById(userId) {
     },
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/admin/users/${userId}`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/admin/users/${userId}`, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
@@ -967,7 +1216,7 @@ export async function getActivityLogs(options = {}) {
     },
   };
 
-  const response = await fetch(url, requestOptions);
+  const response = await authFetch(url, requestOptions);
 
   if (!response.ok) {
     let errorMessage = response.statusText;
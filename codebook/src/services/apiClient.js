@@ -3,7 +3,7 @@
  * 
  * This client wraps all Lambda endpoints and provides:
  * - Consistent error handling
- * - Automatic token management
+ * - Automatic token management (expired access tokens are refreshed transparently)
  * - Request/response interceptors
  * - Type-safe API methods
  * 
@@ -33,6 +33,122 @@ function getAuthToken() {
   }
 }
 
+/**
+ * Get refresh token from session storage
+ * @returns {string|null} Refresh token or null
+ */
+function getRefreshToken() {
+  try {
+    const refreshToken = sessionStorage.getItem("refreshToken");
+    return refreshToken ? JSON.parse(refreshToken) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Clear all auth data from session storage and notify listeners
+ */
+function clearSession() {
+  sessionStorage.removeItem("userRole");
+  sessionStorage.removeItem("token");
+  sessionStorage.removeItem("refreshToken");
+  sessionStorage.removeItem("cbid");
+  sessionStorage.removeItem("userEmail");
+  sessionStorage.removeItem("userName");
+  window.dispatchEvent(new Event("sessionStorageChange"));
+}
+
+// In-flight refresh, shared so parallel 401s only refresh once
+// (refresh tokens rotate - using the same one twice ends the session)
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token for a new access token
+ *
+ * Stores the new tokens (and the user's current role) in session storage.
+ * If the refresh token is rejected the session is over and is cleared.
+ *
+ * @returns {Promise<string|null>} New access token or null if the session has ended
+ */
+export function refreshSession() {
+  if (refreshPromise) return refreshPromise;
+
+  // Checked before the shared promise is set, so a missing token can't leave
+  // a settled promise behind that answers null after the next login
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.resolve(null);
+
+  refreshPromise = (async () => {
+    try {
+      const response = await fetch(`${LAMBDA_API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      if (!response.ok) {
+        // Network hiccups and server errors don't end the session, rejected tokens do
+        if (response.status === 400 || response.status === 401) {
+          clearSession();
+        }
+        return null;
+      }
+
+      const data = await response.json();
+      sessionStorage.setItem("token", JSON.stringify(data.accessToken));
+      sessionStorage.setItem("refreshToken", JSON.stringify(data.refreshToken));
+      if (data.user?.role) {
+        sessionStorage.setItem("userRole", data.user.role);
+      }
+      if (data.user?.name) {
+        sessionStorage.setItem("userName", data.user.name);
+      }
+      if (data.user?.email) {
+        sessionStorage.setItem("userEmail", data.user.email);
+      }
+      window.dispatchEvent(new Event("sessionStorageChange"));
+      return data.accessToken;
+    } catch {
+      return null;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+}
+
+/**
+ * fetch() for authenticated requests
+ *
+ * Drop-in replacement for fetch used by the services. If a request that sent a
+ * Bearer token comes back 401 (access token expired), the session is refreshed
+ * and the request is retried once with the new token.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} [options={}] - fetch options
+ * @returns {Promise<Response>} fetch response
+ */
+export async function authFetch(url, options = {}) {
+  const response = await fetch(url, options);
+
+  const hasBearer = Boolean(options.headers?.Authorization);
+  if (response.status !== 401 || !hasBearer) {
+    return response;
+  }
+
+  const accessToken = await refreshSession();
+  if (!accessToken) {
+    return response;
+  }
+
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${accessToken}` },
+  });
+}
+
 /**
  * Get user ID from session storage
  * @returns {string|null} User ID or null
@@ -114,7 +230,7 @@ async function apiRequest(endpoint, options = {}) {
   }
 
   try {
-    const response = await fetch(url, requestOptions);
+    const response = await authFetch(url, requestOptions);
     
     // Parse response
     let data;
@@ -210,6 +326,7 @@ export const authApi = {
     // Store token and user info on successful login
     if (response.ok && response.data?.accessToken) {
       sessionStorage.setItem("token", JSON.stringify(response.data.accessToken));
+      sessionStorage.setItem("refreshToken", JSON.stringify(response.data.refreshToken));
       sessionStorage.setItem("cbid", JSON.stringify(response.data.user.id));
       if (response.data.user?.email) {
         sessionStorage.setItem("userEmail", response.data.user.email);
@@ -239,6 +356,7 @@ export const authApi = {
     // Store token and user info on successful registration
     if (response.ok && response.data?.accessToken) {
       sessionStorage.setItem("token", JSON.stringify(response.data.accessToken));
+      sessionStorage.setItem("refreshToken", JSON.stringify(response.data.refreshToken));
       sessionStorage.setItem("cbid", JSON.stringify(response.data.user.id));
       if (response.data.user?.email) {
         sessionStorage.setItem("userEmail", response.data.user.email);
@@ -254,13 +372,19 @@ export const authApi = {
   },
 
   /**
-   * Logout user (clears session storage)
+   * Logout user (revokes the refresh token and clears session storage)
+   * @returns {Promise<ApiResponse>}
    */
-  logout: () => {
-    sessionStorage.removeItem("token");
-    sessionStorage.removeItem("cbid");
-    sessionStorage.removeItem("userEmail");
-    sessionStorage.removeItem("userRole");
+  logout: async () => {
+    const refreshToken = getRefreshToken();
+    clearSession();
+    if (!refreshToken) {
+      return { ok: true, status: 200, data: null, error: null };
+    }
+    return apiRequest('/auth/logout', {
+      method: 'POST',
+      body: { refreshToken },
+    });
   },
 };
 
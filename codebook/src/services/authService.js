@@ -12,6 +12,41 @@ const LAMBDA_API_BASE =
   process.env.REACT_APP_LAMBDA_API_URL ||
   "https://d4vvkswb4a.execute-api.eu-north-1.amazonaws.com";
 
+/**
+ * Read the error message from a failed API response
+ * @param {Response} response - fetch response
+ * @returns {Promise<string>} Error message
+ */
+async function getErrorMessage(response) {
+  try {
+    const errorData = await response.json();
+    return errorData.message || errorData.error || response.statusText;
+  } catch {
+    return response.statusText;
+  }
+}
+
+/**
+ * POST to a public auth endpoint
+ * @param {string} path - API path (e.g. "/auth/forgot-password")
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Error with message and status
+ */
+async function postAuth(path, body) {
+  const response = await fetch(`${LAMBDA_API_BASE}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw new ApiError(await getErrorMessage(response), response.status);
+  }
+
+  return response.json();
+}
+
 /**
  * Login user with email and password
  * @param {Object} authDetail - Authentication details
@@ -30,7 +65,8 @@ export async function login(authDetail) {
   const response = await fetch(`${LAMBDA_API_BASE}/login`, requestOptions);
 
   if (!response.ok) {
-    throw new ApiError(response.statusText, response.status);
+    // 403 means the email isn't verified yet - keep the API message for the Login page
+    throw new ApiError(await getErrorMessage(response), response.status);
   }
 
   const data = await response.json();
@@ -38,6 +74,8 @@ export async function login(authDetail) {
   // Store token and user info on successful login
   if (data.accessToken) {
     sessionStorage.setItem("token", JSON.stringify(data.accessToken));
+    // Refresh token exchanges the short-lived access token for a new one (see apiClient)
+    sessionStorage.setItem("refreshToken", JSON.stringify(data.refreshToken));
     sessionStorage.setItem("cbid", JSON.stringify(data.user.id));
     // Cache user email for instant display in dropdown
     if (data.user && data.user.email) {
@@ -64,7 +102,7 @@ export async function login(authDetail) {
  * @param {string} authDetail.email - User email
  * @param {string} authDetail.password - User password
  * @param {string} authDetail.name - User name
- * @returns {Promise<Object>} Response data with accessToken and user
+ * @returns {Promise<Object>} Response data ({ message, requiresVerification, user })
  * @throws {Object} Error object with message and status
  */
 export async function register(authDetail) {
@@ -77,14 +115,17 @@ export async function register(authDetail) {
   const response = await fetch(`${LAMBDA_API_BASE}/register`, requestOptions);
 
   if (!response.ok) {
-    throw new ApiError(response.statusText, response.status);
+    throw new ApiError(await getErrorMessage(response), response.status);
   }
 
   const data = await response.json();
 
   // Store token and user info on successful registration
+  // (new accounts verify their email first and get no token here)
   if (data.accessToken) {
     sessionStorage.setItem("token", JSON.stringify(data.accessToken));
+    // Refresh token exchanges the short-lived access token for a new one (see apiClient)
+    sessionStorage.setItem("refreshToken", JSON.stringify(data.refreshToken));
     sessionStorage.setItem("cbid", JSON.stringify(data.user.id));
     // Cache user email for instant display in dropdown
     if (data.user && data.user.email) {
@@ -108,15 +149,67 @@ export async function register(authDetail) {
 }
 
 /**
- * Logout user (clears session storage)
+ * Logout user (revokes the refresh token and clears session storage)
  */
 export function logout() {
+  // Revoke the session server-side (fire-and-forget - logging out never waits on the network)
+  const refreshToken = sessionStorage.getItem("refreshToken");
+  if (refreshToken) {
+    fetch(`${LAMBDA_API_BASE}/auth/logout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken: JSON.parse(refreshToken) }),
+      keepalive: true,
+    }).catch(() => {});
+  }
+
   // Clear all session storage items in a specific order to prevent race conditions
   sessionStorage.removeItem("userRole"); // Clear role FIRST to prevent access issues
   sessionStorage.removeItem("token");
+  sessionStorage.removeItem("refreshToken");
   sessionStorage.removeItem("cbid");
   sessionStorage.removeItem("userEmail");
   sessionStorage.removeItem("userName");
   // Dispatch custom event to notify components of storage change
   window.dispatchEvent(new Event("sessionStorageChange"));
 }
+
+/**
+ * Request a password reset link by email
+ * Always resolves with the same message, whether or not the account exists.
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} { message }
+ */
+export async function forgotPassword(email) {
+  return postAuth("/auth/forgot-password", { email });
+}
+
+/**
+ * Set a new password with the token from the reset link
+ * @param {string} token - Token from the emailed link
+ * @param {string} password - New password
+ * @returns {Promise<Object>} { message }
+ * @throws {ApiError} If the link is invalid/expired or the password is too short
+ */
+export async function resetPassword(token, password) {
+  return postAuth("/auth/reset-password", { token, password });
+}
+
+/**
+ * Verify an email address with the token from the verification link
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object>} { message, email }
+ * @throws {ApiError} If the link is invalid or expired
+ */
+export async function verifyEmail(token) {
+  return postAuth("/auth/verify-email", { token });
+}
+
+/**
+ * Send a new email verification link
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} { message }
+ */
+export async function resendVerification(email) {
+  return postAuth("/auth/resend-verification", { email });
+}
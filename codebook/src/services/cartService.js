@@ -0,0 +1,116 @@
+/**
+ * Cart Service - API functions for the server-side cart
+ *
+ * The cart of a logged-in user is stored by the API (GET/PUT /cart) so it is
+ * the same on every device. Guest carts stay in the browser (see CartContext)
+ * and are merged in on login.
+ * Pure functions - no React Query logic here.
+ */
+
+import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
+
+// Base API URL from environment (use same env var as other services)
+const API_BASE =
+  process.env.REACT_APP_LAMBDA_API_URL ||
+  "https://d4vvkswb4a.execute-api.eu-north-1.amazonaws.com";
+
+/**
+ * Get session token from storage
+ * @returns {string|null} Auth token
+ */
+function getToken() {
+  try {
+    return JSON.parse(sessionStorage.getItem("token"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send an authenticated request to the cart API
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Error with message and status
+ */
+async function cartRequest({ method = "GET", body } = {}) {
+  const token = getToken();
+
+  if (!token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const response = await authFetch(`${API_BASE}/cart`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Reduce cart items to what the API stores (product ID, variant ID, quantity, price seen)
+ * @param {Array} cartList - Cart items ({ ...product, quantity })
+ * @returns {Array<Object>} [{ id, variantId, quantity, price }]
+ */
+function toCartEntries(cartList) {
+  return cartList.map((item) => ({
+    id: item.id,
+    variantId: item.variantId,
+    quantity: item.quantity || 1,
+    price: item.price,
+  }));
+}
+
+/**
+ * Get the authenticated user's cart (prices and stock revalidated)
+ * @returns {Promise<Object>} { cartList, total, adjustments, updatedAt }
+ * @throws {ApiError} Error with message and status
+ */
+export async function getCart() {
+  return cartRequest();
+}
+
+/**
+ * Replace the authenticated user's cart
+ * @param {Array} cartList - Cart items ({ ...product, quantity })
+ * @returns {Promise<Object>} { cartList, total, adjustments, updatedAt }
+ * @throws {ApiError} Error with message and status
+ */
+export async function saveCart(cartList) {
+  return cartRequest({
+    method: "PUT",
+    body: { cartList: toCartEntries(cartList) },
+  });
+}
+
+/**
+ * Merge a guest cart into the authenticated user's cart
+ * Quantities of the same book are added up and clamped to the stock.
+ * @param {Array} cartList - Guest cart items ({ ...product, quantity })
+ * @returns {Promise<Object>} { cartList, total, adjustments, updatedAt }
+ * @throws {ApiError} Error with message and status
+ */
+export async function mergeCart(cartList) {
+  return cartRequest({
+    method: "PUT",
+    body: { cartList: toCartEntries(cartList), merge: true },
+  });
+}
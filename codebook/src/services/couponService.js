@@ -0,0 +1,150 @@
+/**
+ * Coupon Service - API functions for discount coupons
+ *
+ * This service handles applying a coupon to the cart (customers)
+ * and coupon management (admin only).
+ * Pure functions - no React Query logic here.
+ */
+
+import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
+
+// Base API URL from environment (use same env var as other services)
+const API_BASE =
+  process.env.REACT_APP_LAMBDA_API_URL ||
+  "https://d4vvkswb4a.execute-api.eu-north-1.amazonaws.com";
+
+/**
+ * Get session token from storage
+ * @returns {string|null} Auth token
+ */
+function getToken() {
+  try {
+    return JSON.parse(sessionStorage.getItem("token"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send an authenticated request to the API
+ * @param {string} path - API path (e.g. "/admin/coupons")
+ * @param {Object} options - fetch options (method, body, admin)
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Error with message and status
+ */
+async function couponRequest(path, { method = "GET", body, admin = false } = {}) {
+  const token = getToken();
+
+  if (!token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  if (admin && sessionStorage.getItem("userRole") !== "admin") {
+    throw new ApiError("Admin access required", 403);
+  }
+
+  const response = await authFetch(`${API_BASE}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Validate a coupon code against the cart
+ * Prices are looked up by the API - only product IDs, variant IDs and quantities are sent.
+ *
+ * @param {string} code - Coupon code
+ * @param {Array} cartList - Cart items
+ * @returns {Promise<Object>} { coupon, subtotal, discount, freeShipping, total, eligibleProductIds }
+ * @throws {ApiError} Error with message and status (400 when the coupon can't be used)
+ */
+export async function applyCoupon(code, cartList) {
+  return couponRequest("/cart/apply-coupon", {
+    method: "POST",
+    body: {
+      code,
+      cartList: cartList.map((item) => ({ id: item.id, variantId: item.variantId, quantity: item.quantity || 1 })),
+    },
+  });
+}
+
+/**
+ * Get all coupons (admin only)
+ * @returns {Promise<Array>} Coupons (newest first)
+ * @throws {ApiError} Error with message and status
+ */
+export async function getAllCoupons() {
+  return couponRequest("/admin/coupons", { admin: true });
+}
+
+/**
+ * Get a coupon by code (admin only)
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object>} Coupon (including usage counters)
+ * @throws {ApiError} Error with message and status
+ */
+export async function getCoupon(code) {
+  return couponRequest(`/admin/coupons/${encodeURIComponent(code)}`, { admin: true });
+}
+
+/**
+ * Create a coupon (admin only)
+ * @param {Object} couponData - Coupon fields (code, type, value, minOrderValue, perUserLimit, usageLimit, expiresAt, productIds, active)
+ * @returns {Promise<Object>} Created coupon
+ * @throws {ApiError} Error with message and status (409 when the code exists)
+ */
+export async function createCoupon(couponData) {
+  return couponRequest("/admin/coupons", {
+    method: "POST",
+    body: couponData,
+    admin: true,
+  });
+}
+
+/**
+ * Update a coupon (admin only)
+ * @param {string} code - Coupon code
+ * @param {Object} updates - Fields to update (code can't be changed)
+ * @returns {Promise<Object>} Updated coupon
+ * @throws {ApiError} Error with message and status
+ */
+export async function updateCoupon(code, updates) {
+  return couponRequest(`/admin/coupons/${encodeURIComponent(code)}`, {
+    method: "PUT",
+    body: updates,
+    admin: true,
+  });
+}
+
+/**
+ * Delete a coupon (admin only)
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object>} { message, code }
+ * @throws {ApiError} Error with message and status
+ */
+export async function deleteCoupon(code) {
+  return couponRequest(`/admin/coupons/${encodeURIComponent(code)}`, {
+    method: "DELETE",
+    admin: true,
+  });
+}
@@ -6,6 +6,7 @@
  */
 
 import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
 
 // AWS Lambda HTTP API Base URL
 const LAMBDA_API_BASE =
@@ -78,7 +79,7 @@ export async function getUserOrders() {
     },
   };
 
-  const response = await fetch(
+  const response = await authFetch(
     `${LAMBDA_API_BASE}/orders?user.id=${browserData.cbid}`,
     requestOptions
   );
@@ -102,54 +103,32 @@ export async function getUserOrders() {
 }
 
 /**
- * Create a new order
- * @param {Array} cartList - Cart items
- * @param {number} total - Total amount paid
- * @param {Object} user - User information
- * @param {Object} paymentInfo - Optional payment information (paymentIntentId, paymentStatus)
+ * Create the order for a successful payment
+ * @param {string} paymentIntentId - Stripe payment intent ID
  * @returns {Promise<Object>} Created order
  * @throws {Object} Error object with message and status
+ *
+ * The API builds the order (cart, total, shipping address, coupon) from the quote stored
+ * when the payment intent was created. If the Stripe webhook already created the order,
+ * that same order is returned.
  */
-export async function createOrder(cartList, total, user, paymentInfo = {}) {
+export async function createOrder(paymentIntentId) {
   const browserData = getSession();
 
   if (!browserData.cbid) {
     throw new ApiError("User not authenticated", 401);
   }
 
-  // Calculate total quantity (sum of all item quantities)
-  const totalQuantity = cartList.reduce((sum, item) => sum + (item.quantity || 1), 0);
-
-  // Ensure cartList items have quantity field (for backward compatibility)
-  const cartListWithQuantities = cartList.map(item => ({
-    ...item,
-    quantity: item.quantity || 1, // Ensure quantity exists, default to 1
-  }));
-
-  const order = {
-    cartList: cartListWithQuantities, // Include quantities in each item
-    amount_paid: total,
-    quantity: totalQuantity, // Total number of items (sum of all quantities)
-    user: {
-      name: user.name,
-      email: user.email,
-      id: user.id || browserData.cbid,
-    },
-    // Include payment information if provided
-    ...(paymentInfo.paymentIntentId && { paymentIntentId: paymentInfo.paymentIntentId }),
-    ...(paymentInfo.paymentStatus && { paymentStatus: paymentInfo.paymentStatus }),
-  };
-
   const requestOptions = {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
       Authorization: `Bearer ${browserData.token}`,
     },
-    body: JSON.stringify(order),
+    body: JSON.stringify({ paymentIntentId }),
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/orders`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/orders`, requestOptions);
 
   if (!response.ok) {
     // Try to parse error response body for better error message
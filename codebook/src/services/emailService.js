@@ -1,11 +1,13 @@
 /**
  * Email Service - Send transactional emails via Brevo
  *
- * This service handles sending emails through the Lambda email API.
- * Used for order confirmations, shipping notifications, admin alerts, etc.
+ * Order, payment, shipping, refund and ticket emails are sent by the API when the
+ * order, payment or ticket changes - the browser never triggers them.
+ * POST /email/send is for admins only (e.g. to resend an email by hand).
  */
 
 import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
 
 // AWS Lambda HTTP API Base URL
 const LAMBDA_API_BASE =
@@ -27,7 +29,7 @@ function getSession() {
 }
 
 /**
- * Send email via Brevo API
+ * Send email via Brevo API (admin only)
  *
  * @param {string} to - Recipient email address
  * @param {string} template - Email template name (e.g., "order-confirmation", "shipping-notification")
@@ -37,7 +39,9 @@ function getSession() {
  *
  * Available templates:
  * - Customer: order-confirmation, shipping-notification, delivery-confirmation, payment-processing, payment-failed, order-canceled, order-refunded
- * - Admin: admin-new-order, admin-low-stock, admin-payment-failure, admin-refund-processed
+ * - Admin: admin-new-order, admin-payment-failure, admin-refund-processed
+ *
+ * Account, stock alert, review, wishlist and ticket emails can't be sent through this endpoint.
  */
 export async function sendEmail(to, template, data = {}) {
   const browserData = getSession();
@@ -58,7 +62,7 @@ export async function sendEmail(to, template, data = {}) {
     }),
   };
 
-  const response = await fetch(`${LAMBDA_API_BASE}/email/send`, requestOptions);
+  const response = await authFetch(`${LAMBDA_API_BASE}/email/send`, requestOptions);
 
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
@@ -70,234 +74,3 @@ export async function sendEmail(to, template, data = {}) {
 
   return await response.json();
 }
-
-/**
- * Send order confirmation email to customer
- *
- * @param {Object} orderData - Order data (orderId, customerName, customerEmail, items, total, orderDate)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendOrderConfirmationEmail(orderData) {
-  const { customerEmail, customerName, orderId, items, total, orderDate } = orderData;
-
-  if (!customerEmail) {
-    throw new ApiError("Customer email is required", 400);
-  }
-
-  return sendEmail(customerEmail, "order-confirmation", {
-    orderId,
-    customerName,
-    items,
-    total,
-    orderDate,
-  });
-}
-
-/**
- * Send shipping notification email to customer
- *
- * @param {Object} shippingData - Shipping data (orderId, customerName, customerEmail, trackingNumber, trackingCarrier, trackingUrl)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendShippingNotificationEmail(shippingData) {
-  const { customerEmail, customerName, orderId, trackingNumber, trackingCarrier, trackingUrl } = shippingData;
-
-  if (!customerEmail) {
-    throw new ApiError("Customer email is required", 400);
-  }
-
-  return sendEmail(customerEmail, "shipping-notification", {
-    orderId,
-    customerName,
-    trackingNumber,
-    trackingCarrier: trackingCarrier || "usps",
-    trackingUrl: trackingUrl || null,
-  });
-}
-
-/**
- * Send delivery confirmation email to customer
- *
- * @param {Object} deliveryData - Delivery data (orderId, customerName, customerEmail)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendDeliveryConfirmationEmail(deliveryData) {
-  const { customerEmail, customerName, orderId } = deliveryData;
-
-  if (!customerEmail) {
-    throw new ApiError("Customer email is required", 400);
-  }
-
-  return sendEmail(customerEmail, "delivery-confirmation", {
-    orderId,
-    customerName,
-  });
-}
-
-/**
- * Send payment processing email to customer
- *
- * @param {Object} paymentData - Payment data (orderId, customerName, customerEmail, amount)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendPaymentProcessingEmail(paymentData) {
-  const { customerEmail, customerName, orderId, amount } = paymentData;
-
-  if (!customerEmail) {
-    throw new ApiError("Customer email is required", 400);
-  }
-
-  return sendEmail(customerEmail, "payment-processing", {
-    orderId,
-    customerName,
-    amount,
-  });
-}
-
-/**
- * Send payment failed email to customer
- *
- * @param {Object} paymentData - Payment data (orderId, customerName, customerEmail, amount)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendPaymentFailedEmail(paymentData) {
-  const { customerEmail, customerName, orderId, amount } = paymentData;
-
-  if (!customerEmail) {
-    throw new ApiError("Customer email is required", 400);
-  }
-
-  return sendEmail(customerEmail, "payment-failed", {
-    orderId,
-    customerName,
-    amount,
-  });
-}
-
-/**
- * Send order canceled email to customer
- *
- * @param {Object} cancelData - Cancel data (orderId, customerName, customerEmail, refundAmount)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendOrderCanceledEmail(cancelData) {
-  const { customerEmail, customerName, orderId, refundAmount } = cancelData;
-
-  if (!customerEmail) {
-    throw new ApiError("Customer email is required", 400);
-  }
-
-  return sendEmail(customerEmail, "order-canceled", {
-    orderId,
-    customerName,
-    refundAmount,
-  });
-}
-
-/**
- * Send order refunded email to customer
- *
- * @param {Object} refundData - Refund data (orderId, customerName, customerEmail, refundAmount, refundId)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendOrderRefundedEmail(refundData) {
-  const { customerEmail, customerName, orderId, refundAmount, refundId } = refundData;
-
-  if (!customerEmail) {
-    throw new ApiError("Customer email is required", 400);
-  }
-
-  return sendEmail(customerEmail, "order-refunded", {
-    orderId,
-    customerName,
-    refundAmount,
-    refundId,
-  });
-}
-
-/**
- * Send new order alert email to admin
- *
- * @param {Object} orderData - Order data (orderId, customerName, customerEmail, total, itemCount, totalQuantity, items)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendAdminNewOrderEmail(orderData) {
-  const { orderId, customerName, customerEmail, total, itemCount, totalQuantity, items } = orderData;
-
-  return sendEmail("arnobt78@gmail.com", "admin-new-order", {
-    orderId,
-    customerName,
-    customerEmail,
-    total,
-    itemCount,
-    totalQuantity, // Total quantity across all items
-    items, // Items array for detailed display
-  });
-}
-
-/**
- * Send low stock alert email to admin
- *
- * @param {Object} stockData - Stock data (productId, productName, currentStock, lowStockThreshold)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendAdminLowStockEmail(stockData) {
-  const { productId, productName, currentStock, lowStockThreshold } = stockData;
-
-  return sendEmail("arnobt78@gmail.com", "admin-low-stock", {
-    productId,
-    productName,
-    currentStock,
-    lowStockThreshold,
-  });
-}
-
-/**
- * Send out of stock alert email to admin
- *
- * @param {Object} stockData - Stock data (productId, productName)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendAdminOutOfStockEmail(stockData) {
-  const { productId, productName } = stockData;
-
-  return sendEmail("arnobt78@gmail.com", "admin-out-of-stock", {
-    productId,
-    productName,
-  });
-}
-
-/**
- * Send payment failure alert email to admin
- *
- * @param {Object} paymentData - Payment data (orderId, customerName, amount, error)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendAdminPaymentFailureEmail(paymentData) {
-  const { orderId, customerName, amount, error } = paymentData;
-
-  return sendEmail("arnobt78@gmail.com", "admin-payment-failure", {
-    orderId,
-    customerName,
-    amount,
-    error,
-  });
-}
-
-/**
- * Send refund processed alert email to admin
- *
- * @param {Object} refundData - Refund data (orderId, customerName, refundAmount, refundId)
- * @returns {Promise<Object>} Email send result
- */
-export async function sendAdminRefundProcessedEmail(refundData) {
-  const { orderId, customerName, refundAmount, refundId } = refundData;
-
-  return sendEmail("arnobt78@gmail.com", "admin-refund-processed", {
-    orderId,
-    customerName,
-    refundAmount,
-    refundId,
-  });
-}
-
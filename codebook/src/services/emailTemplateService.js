@@ -0,0 +1,132 @@
+/**
+ * Email Template Service - API functions for the email template editor (admin only)
+ *
+ * Templates are Mustache templates stored by the API with a version history.
+ * Pure functions - no React Query logic here.
+ */
+
+import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
+
+// Base API URL from environment (use same env var as other services)
+const API_BASE =
+  process.env.REACT_APP_LAMBDA_API_URL ||
+  "https://d4vvkswb4a.execute-api.eu-north-1.amazonaws.com";
+
+/**
+ * Get session token from storage
+ * @returns {string|null} Auth token
+ */
+function getToken() {
+  try {
+    return JSON.parse(sessionStorage.getItem("token"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send an authenticated admin request to the API
+ * @param {string} path - API path (e.g. "/admin/email-templates")
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Error with message and status
+ */
+async function templateRequest(path, { method = "GET", body } = {}) {
+  const token = getToken();
+
+  if (!token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  if (sessionStorage.getItem("userRole") !== "admin") {
+    throw new ApiError("Admin access required", 403);
+  }
+
+  const response = await authFetch(`${API_BASE}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Get all email templates and partials
+ * @returns {Promise<Object>} { templates, partials } - name, description, audience, version, updatedAt, updatedBy
+ * @throws {ApiError} Error with message and status
+ */
+export async function getEmailTemplates() {
+  return templateRequest("/admin/email-templates");
+}
+
+/**
+ * Get an email template or partial
+ * @param {string} name - Template or partial name
+ * @param {number} [version] - Version to load (default: current, 0: default from the code)
+ * @returns {Promise<Object>} { template, description, variables, sampleData, previewTemplate, versions }
+ * @throws {ApiError} Error with message and status
+ */
+export async function getEmailTemplate(name, version) {
+  const query = version !== undefined && version !== null ? `?version=${version}` : "";
+  return templateRequest(`/admin/email-templates/${encodeURIComponent(name)}${query}`);
+}
+
+/**
+ * Save a new version of an email template or partial
+ * @param {string} name - Template or partial name
+ * @param {Object} content - { subject, heading, html, text } (partials: { html, text })
+ * @returns {Promise<Object>} Saved version
+ * @throws {ApiError} Error with message and status (400 for invalid Mustache)
+ */
+export async function saveEmailTemplate(name, content) {
+  return templateRequest(`/admin/email-templates/${encodeURIComponent(name)}`, {
+    method: "PUT",
+    body: content,
+  });
+}
+
+/**
+ * Render unsaved template content
+ * @param {string} name - Template or partial name
+ * @param {Object} params - { content, data } (data defaults to the sample data)
+ * @returns {Promise<Object>} { template, subject, html, text }
+ * @throws {ApiError} Error with message and status (400 for invalid Mustache)
+ */
+export async function previewEmailTemplate(name, { content, data } = {}) {
+  return templateRequest(`/admin/email-templates/${encodeURIComponent(name)}/preview`, {
+    method: "POST",
+    body: { content, data },
+  });
+}
+
+/**
+ * Send unsaved template content as a test email to the logged-in admin
+ * @param {string} name - Template or partial name
+ * @param {Object} params - { content, data } (data defaults to the sample data)
+ * @returns {Promise<Object>} { message, to, messageId }
+ * @throws {ApiError} Error with message and status
+ */
+export async function sendTestEmailTemplate(name, { content, data } = {}) {
+  return templateRequest(`/admin/email-templates/${encodeURIComponent(name)}/test`, {
+    method: "POST",
+    body: { content, data },
+  });
+}
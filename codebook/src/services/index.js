@@ -1,11 +1,32 @@
-export { login, register, logout } from "./authService";
+export {
+  login,
+  register,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} from "./authService";
 export { getUser, getUserOrders, createOrder } from "./dataService";
-export { getProductList, getProduct, getFeaturedList } from "./productService";
-export { getAllOrders, getAllProducts, getAllUsers, getAdminStats, createProduct, updateProduct, deleteProduct, getFeaturedProductsCount, migrateFeaturedProducts, migrateFeaturedToNumber, updateOrderStatus, getOrderById, refundOrder, generateShippingLabel, addTrackingNumber, updateUser, deleteUser, getUserById, getActivityLogs } from "./adminService";
-export { createPaymentIntent, verifyPaymentStatus } from "./paymentService";
-export { sendEmail, sendOrderConfirmationEmail, sendShippingNotificationEmail, sendDeliveryConfirmationEmail, sendPaymentProcessingEmail, sendPaymentFailedEmail, sendOrderCanceledEmail, sendOrderRefundedEmail, sendAdminNewOrderEmail, sendAdminLowStockEmail, sendAdminOutOfStockEmail, sendAdminPaymentFailureEmail, sendAdminRefundProcessedEmail } from "./emailService";
+export {
+  getProductList,
+  getProductPage,
+  searchProducts,
+  getSearchSuggestions,
+  getProduct,
+  getFeaturedList,
+} from "./productService";
+export { getAllOrders, getAllProducts, getAllUsers, getAdminStats, createProduct, updateProduct, restockProduct, uploadEbookFile, removeEbookFile, importProducts, exportProducts, deleteProduct, getFeaturedProductsCount, migrateFeaturedProducts, migrateFeaturedToNumber, updateOrderStatus, getOrderById, refundOrder, generateShippingLabel, addTrackingNumber, updateUser, deleteUser, getUserById, getActivityLogs } from "./adminService";
+export { createPaymentIntent, verifyPaymentStatus, cancelPaymentIntent } from "./paymentService";
+export { sendEmail } from "./emailService";
+export { getEmailTemplates, getEmailTemplate, saveEmailTemplate, previewEmailTemplate, sendTestEmailTemplate } from "./emailTemplateService";
 export { uploadImage, deleteImage, getOptimizedImageUrl } from "./imageService";
-export { getNotificationCount, markNotificationsRead } from "./notificationService";
+export { getNotifications, getNotificationCount, markNotificationsRead, markNotificationRead, getNotificationPreferences, updateNotificationPreferences, unsubscribe } from "./notificationService";
+export { getAddresses, addAddress, updateAddress, setDefaultAddress, deleteAddress } from "./addressService";
+export { getWishlist, addToWishlist, removeFromWishlist } from "./wishlistService";
+export { getLibrary, getDownloadLink } from "./libraryService";
+export { getCart, saveCart, mergeCart } from "./cartService";
+export { applyCoupon, getAllCoupons, getCoupon, createCoupon, updateCoupon, deleteCoupon } from "./couponService";
 export {
   createTicket,
   getTickets,
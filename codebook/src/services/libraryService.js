@@ -0,0 +1,81 @@
+/**
+ * Library Service - API functions for the user's purchased eBooks
+ *
+ * This service handles the library list and download links.
+ * Pure functions - no React Query logic here.
+ */
+
+import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
+
+// Base API URL from environment (use same env var as other services)
+const API_BASE =
+  process.env.REACT_APP_LAMBDA_API_URL ||
+  "https://d4vvkswb4a.execute-api.eu-north-1.amazonaws.com";
+
+/**
+ * Get session token from storage
+ * @returns {string|null} Auth token
+ */
+function getToken() {
+  try {
+    return JSON.parse(sessionStorage.getItem("token"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send an authenticated request to the library API
+ * @param {string} path - Path under /library (e.g. "" or "/{productId}/download")
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Error with message and status
+ */
+async function libraryRequest(path) {
+  const token = getToken();
+
+  if (!token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const response = await authFetch(`${API_BASE}/library${path}`, {
+    method: "GET",
+    headers: {
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Get the authenticated user's library (books from paid orders)
+ * @returns {Promise<Object>} { items: [{ productId, product, file, purchasedAt, downloadsUsed, downloadLimit, downloadsRemaining }] }
+ * @throws {ApiError} Error with message and status
+ */
+export async function getLibrary() {
+  return libraryRequest("");
+}
+
+/**
+ * Get a short-lived download link for a purchased book (counts as one download)
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} { url, expiresAt, file, downloadsUsed, downloadLimit, downloadsRemaining }
+ * @throws {ApiError} Error with message and status (403 if not purchased or no downloads left)
+ */
+export async function getDownloadLink(productId) {
+  return libraryRequest(`/${encodeURIComponent(productId)}/download`);
+}
@@ -1,10 +1,12 @@
 /**
  * Notification Service - Frontend API calls for notifications
  *
- * Handles notification count retrieval and marking notifications as read.
+ * Handles the notification feed (list, unread count, marking notifications as read) and
+ * the user's email notification preferences (including unsubscribe links from emails).
  */
 
 import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
 
 // AWS Lambda HTTP API Base URL
 const LAMBDA_API_BASE =
@@ -25,14 +27,57 @@ function getSession() {
   }
 }
 
+/**
+ * Get one page of the user's notifications (newest first)
+ *
+ * @param {Object} [params]
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {number} [params.limit] - Page size (max 50)
+ * @returns {Promise<Object>} { notifications: [{ id, type, title, message, link, read, createdAt }], nextCursor, unreadCount }
+ * @throws {ApiError} Error object with message and status
+ */
+export async function getNotifications({ cursor, limit } = {}) {
+  const browserData = getSession();
+
+  if (!browserData.token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const params = new URLSearchParams();
+  if (limit) params.set("limit", String(limit));
+  if (cursor) params.set("cursor", cursor);
+  const query = params.toString();
+
+  const response = await authFetch(
+    `${LAMBDA_API_BASE}/notifications${query ? `?${query}` : ""}`,
+    {
+      method: "GET",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${browserData.token}`,
+      },
+    }
+  );
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  return await response.json();
+}
+
 /**
  * Get unread notification count
  *
- * @returns {Promise<Object>} Notification count, order count, ticket count, and read timestamp
- * @returns {number} count - Total unread notification count
- * @returns {number} orderCount - Unread order notifications count
- * @returns {number} ticketCount - Unread ticket notifications count
- * @returns {string|null} notificationsReadAt - Timestamp when notifications were last read
+ * @returns {Promise<Object>} { count } - Number of unread notifications
  * @throws {ApiError} Error object with message and status
  */
 export async function getNotificationCount() {
@@ -50,7 +95,7 @@ export async function getNotificationCount() {
     },
   };
 
-  const response = await fetch(
+  const response = await authFetch(
     `${LAMBDA_API_BASE}/notifications/count`,
     requestOptions
   );
@@ -71,9 +116,9 @@ export async function getNotificationCount() {
 }
 
 /**
- * Mark notifications as read
+ * Mark all notifications as read
  *
- * @returns {Promise<Object>} Updated notificationsReadAt timestamp
+ * @returns {Promise<Object>} { updated } - Number of notifications that were unread
  * @throws {ApiError} Error object with message and status
  */
 export async function markNotificationsRead() {
@@ -91,7 +136,7 @@ export async function markNotificationsRead() {
     },
   };
 
-  const response = await fetch(
+  const response = await authFetch(
     `${LAMBDA_API_BASE}/notifications/mark-read`,
     requestOptions
   );
@@ -111,3 +156,130 @@ export async function markNotificationsRead() {
   return await response.json();
 }
 
+/**
+ * Mark one notification as read
+ *
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object>} { notification } - The updated notification
+ * @throws {ApiError} Error object with message and status
+ */
+export async function markNotificationRead(notificationId) {
+  const browserData = getSession();
+
+  if (!browserData.token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const response = await authFetch(
+    `${LAMBDA_API_BASE}/notifications/${encodeURIComponent(notificationId)}/read`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${browserData.token}`,
+      },
+    }
+  );
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  return await response.json();
+}
+
+
+/**
+ * Send an authenticated request to the notification preferences API
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} { preferences, categories }
+ * @throws {ApiError} Error object with message and status
+ */
+async function preferencesRequest({ method = "GET", body } = {}) {
+  const browserData = getSession();
+
+  if (!browserData.token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const response = await authFetch(`${LAMBDA_API_BASE}/notifications/preferences`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${browserData.token}`,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Get the user's email notification preferences
+ *
+ * @returns {Promise<Object>} { preferences: { [category]: boolean }, categories: [{ key, label, description }] }
+ * @throws {ApiError} Error object with message and status
+ */
+export async function getNotificationPreferences() {
+  return preferencesRequest();
+}
+
+/**
+ * Turn email categories on or off
+ *
+ * @param {Object} changes - { [category]: boolean } (only the categories to change)
+ * @returns {Promise<Object>} { preferences, categories }
+ * @throws {ApiError} Error object with message and status
+ */
+export async function updateNotificationPreferences(changes) {
+  return preferencesRequest({ method: "PUT", body: changes });
+}
+
+/**
+ * Turn off an email category with the token from an unsubscribe link (no login needed)
+ *
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<Object>} { message, category, label }
+ * @throws {ApiError} If the link is invalid
+ */
+export async function unsubscribe(token) {
+  const response = await fetch(`${LAMBDA_API_BASE}/notifications/unsubscribe`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  return await response.json();
+}
@@ -6,6 +6,7 @@
  */
 
 import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
 
 // AWS Lambda HTTP API Base URL
 const LAMBDA_API_BASE =
@@ -28,31 +29,28 @@ function getSession() {
 
 /**
  * Create a Stripe payment intent
- * @param {number} amount - Total amount in cents (e.g., 1000 = $10.00)
- * @param {Array} cartList - Cart items for metadata
- * @param {Object} user - User information
- * @returns {Promise<Object>} Payment intent object with client_secret
+ * The amount is calculated server-side from the cart (prices, coupon, shipping and tax).
+ * @param {Array} cartList - Cart items (only id, variantId and quantity are sent)
+ * @param {Object} shippingAddress - Shipping address selected at checkout
+ * @param {string} couponCode - Applied coupon code (optional)
+ * @returns {Promise<Object>} Payment intent with clientSecret and the itemized quote
  * @throws {Object} Error object with message and status
  */
-export async function createPaymentIntent(amount, cartList, user) {
+export async function createPaymentIntent(cartList, shippingAddress, couponCode) {
   const browserData = getSession();
 
   if (!browserData.cbid) {
     throw new ApiError("User not authenticated", 401);
   }
 
-  // Convert amount to cents (Stripe uses cents)
-  const amountInCents = Math.round(amount * 100);
-
   const requestBody = {
-    amount: amountInCents,
-    currency: "usd",
-    metadata: {
-      userId: user.id || browserData.cbid,
-      userEmail: user.email,
-      userName: user.name || "Guest",
-      itemCount: cartList.length,
-    },
+    cartList: cartList.map((item) => ({
+      id: item.id,
+      variantId: item.variantId,
+      quantity: item.quantity || 1,
+    })),
+    shippingAddress,
+    ...(couponCode && { couponCode }),
   };
 
   const requestOptions = {
@@ -64,7 +62,7 @@ export async function createPaymentIntent(amount, cartList, user) {
     body: JSON.stringify(requestBody),
   };
 
-  const response = await fetch(
+  const response = await authFetch(
     `${LAMBDA_API_BASE}/payment/create-intent`,
     requestOptions
   );
@@ -106,7 +104,7 @@ export async function verifyPaymentStatus(paymentIntentId) {
     },
   };
 
-  const response = await fetch(
+  const response = await authFetch(
     `${LAMBDA_API_BASE}/payment/verify/${paymentIntentId}`,
     requestOptions
   );
@@ -127,3 +125,45 @@ export async function verifyPaymentStatus(paymentIntentId) {
   return data;
 }
 
+/**
+ * Cancel an unpaid payment intent and release the books reserved for it
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<Object>} { paymentIntentId, status, released }
+ * @throws {Object} Error object with message and status
+ */
+export async function cancelPaymentIntent(paymentIntentId) {
+  const browserData = getSession();
+
+  if (!browserData.cbid) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const requestOptions = {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${browserData.token}`,
+    },
+  };
+
+  const response = await authFetch(
+    `${LAMBDA_API_BASE}/payment/cancel/${paymentIntentId}`,
+    requestOptions
+  );
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
@@ -27,6 +27,82 @@ export async function getProductList(searchTerm) {
   return data;
 }
 
+/**
+ * Get one page of the product catalog (server-side filtering, sorting and pagination)
+ * @param {Object} params - Catalog query
+ * @param {string} [params.searchTerm] - Search term (name/overview)
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {number} [params.limit=12] - Page size
+ * @param {Object} [params.filters] - Query filters from FilterContext (sort, order, min_price, max_price, min_rating, best_seller, in_stock)
+ * @returns {Promise<Object>} Page object { items, nextCursor, count }
+ */
+export async function getProductPage({ searchTerm = "", cursor = null, limit = 12, filters = {} } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (searchTerm) params.set("name_like", searchTerm);
+  if (cursor) params.set("cursor", cursor);
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== "") {
+      params.set(key, String(value));
+    }
+  });
+
+  const response = await fetch(`${LAMBDA_API_BASE}/products?${params.toString()}`);
+
+  if (!response.ok) {
+    throw new ApiError(response.statusText, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Search products by relevance (typo tolerant, matches partial words)
+ * Returns pages in the same shape as getProductPage, so it can back the catalog listing.
+ * @param {Object} params - Search query
+ * @param {string} params.query - Search text
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {number} [params.limit=12] - Page size
+ * @param {Object} [params.filters] - Query filters from FilterContext (sort overrides relevance order)
+ * @returns {Promise<Object>} Page object { query, items, nextCursor, count, total }
+ */
+export async function searchProducts({ query, cursor = null, limit = 12, filters = {} }) {
+  const params = new URLSearchParams({ q: query, limit: String(limit) });
+  if (cursor) params.set("cursor", cursor);
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== "") {
+      params.set(key, String(value));
+    }
+  });
+
+  const response = await fetch(`${LAMBDA_API_BASE}/products/search?${params.toString()}`);
+
+  if (!response.ok) {
+    throw new ApiError(response.statusText, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Get search box suggestions for the text typed so far
+ * @param {string} query - Partial search text
+ * @param {number} [limit=5] - Max product and term suggestions
+ * @returns {Promise<Object>} { query, products: [{ id, name, price, poster, image_local }], terms }
+ */
+export async function getSearchSuggestions(query, limit = 5) {
+  const params = new URLSearchParams({ q: query, limit: String(limit) });
+  const response = await fetch(`${LAMBDA_API_BASE}/products/autocomplete?${params.toString()}`);
+
+  if (!response.ok) {
+    throw new ApiError(response.statusText, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
 export async function getProduct(id) {
   const response = await fetch(`${LAMBDA_API_BASE}/products/${id}`);
 
@@ -5,6 +5,8 @@
  * NO React Query logic here - just fetch calls.
  */
 
+import { authFetch } from "./apiClient";
+
 // Base API URL from environment
 const API_BASE = process.env.REACT_APP_LAMBDA_API_URL || "";
 
@@ -22,11 +24,13 @@ function getToken() {
 
 /**
  * Get reviews for a product
+ * Sends the token when logged in so each review includes the user's own vote (myVote).
  * @param {string} productId - Product ID
- * @returns {Promise<Object>} Object with reviews array and ratingStats
+ * @param {string} sort - newest, oldest, helpful, highest, lowest (default: newest)
+ * @returns {Promise<Object>} Object with reviews array and ratingStats (incl. histogram)
  * @throws {Error} Error with message and status
  */
-export async function getReviewsByProduct(productId) {
+export async function getReviewsByProduct(productId, sort = "newest") {
   console.log("🔍 [ReviewService] getReviewsByProduct - Starting");
   console.log("🔍 [ReviewService] productId:", productId);
   console.log("🔍 [ReviewService] API_BASE:", API_BASE);
@@ -36,14 +40,18 @@ export async function getReviewsByProduct(productId) {
     throw new Error("Product ID is required");
   }
 
-  const url = `${API_BASE}/reviews?productId=${productId}`;
+  const params = new URLSearchParams({ productId, sort });
+  const url = `${API_BASE}/reviews?${params.toString()}`;
   console.log("🔍 [ReviewService] Fetching from URL:", url);
 
+  const token = getToken();
+
   try {
-    const response = await fetch(url, {
+    const response = await authFetch(url, {
       method: "GET",
       headers: {
         "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
       },
     });
 
@@ -85,7 +93,7 @@ export async function getReviewsByProduct(productId) {
     // Ensure we always return the expected structure
     const result = {
       reviews: data.reviews || [],
-      ratingStats: data.ratingStats || { averageRating: 0, reviewCount: 0 },
+      ratingStats: data.ratingStats || { averageRating: 0, reviewCount: 0, histogram: {} },
     };
     
     console.log("✅ [ReviewService] Returning result:", result);
@@ -101,7 +109,7 @@ export async function getReviewsByProduct(productId) {
 
 /**
  * Create a new review
- * @param {Object} reviewData - Review data { productId, orderId, rating, comment }
+ * @param {Object} reviewData - Review data { productId, orderId, rating, comment, images? }
  * @returns {Promise<Object>} Created review
  * @throws {Error} Error with message and status
  */
@@ -112,7 +120,7 @@ export async function createReview(reviewData) {
     throw new Error("User not authenticated");
   }
 
-  const response = await fetch(`${API_BASE}/reviews`, {
+  const response = await authFetch(`${API_BASE}/reviews`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -139,7 +147,7 @@ export async function createReview(reviewData) {
 /**
  * Update a review
  * @param {string} reviewId - Review ID
- * @param {Object} updates - Updates { rating?, comment? }
+ * @param {Object} updates - Updates { rating?, comment?, images? }
  * @returns {Promise<Object>} Updated review
  * @throws {Error} Error with message and status
  */
@@ -150,7 +158,7 @@ export async function updateReview(reviewId, updates) {
     throw new Error("User not authenticated");
   }
 
-  const response = await fetch(`${API_BASE}/reviews/${reviewId}`, {
+  const response = await authFetch(`${API_BASE}/reviews/${reviewId}`, {
     method: "PUT",
     headers: {
       "Content-Type": "application/json",
@@ -174,6 +182,44 @@ export async function updateReview(reviewId, updates) {
   return data.review || data;
 }
 
+/**
+ * Vote a review helpful or unhelpful (one vote per user)
+ * @param {string} reviewId - Review ID
+ * @param {string|null} vote - "helpful", "unhelpful", or null to remove the vote
+ * @returns {Promise<Object>} Updated review (with helpfulCount, unhelpfulCount, myVote)
+ * @throws {Error} Error with message and status
+ */
+export async function voteReview(reviewId, vote) {
+  const token = getToken();
+
+  if (!token) {
+    throw new Error("User not authenticated");
+  }
+
+  const response = await authFetch(`${API_BASE}/reviews/${reviewId}/vote`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ vote }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage = errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new Error(errorMessage);
+  }
+
+  const data = await response.json();
+  return data.review || data;
+}
+
 /**
  * Delete a review
  * @param {string} reviewId - Review ID
@@ -187,7 +233,7 @@ export async function deleteReview(reviewId) {
     throw new Error("User not authenticated");
   }
 
-  const response = await fetch(`${API_BASE}/reviews/${reviewId}`, {
+  const response = await authFetch(`${API_BASE}/reviews/${reviewId}`, {
     method: "DELETE",
     headers: {
       "Content-Type": "application/json",
@@ -227,7 +273,7 @@ export async function getAllReviews(status = null) {
     ? `${API_BASE}/admin/reviews?status=${status}`
     : `${API_BASE}/admin/reviews`;
 
-  const response = await fetch(url, {
+  const response = await authFetch(url, {
     method: "GET",
     headers: {
       "Content-Type": "application/json",
@@ -254,23 +300,24 @@ export async function getAllReviews(status = null) {
  * Update review status (admin only)
  * @param {string} reviewId - Review ID
  * @param {string} status - New status (approved, pending, rejected)
+ * @param {string} reason - Optional rejection reason (emailed to the customer)
  * @returns {Promise<Object>} Updated review
  * @throws {Error} Error with message and status
  */
-export async function updateReviewStatus(reviewId, status) {
+export async function updateReviewStatus(reviewId, status, reason = "") {
   const token = getToken();
 
   if (!token) {
     throw new Error("User not authenticated");
   }
 
-  const response = await fetch(`${API_BASE}/admin/reviews/${reviewId}`, {
+  const response = await authFetch(`${API_BASE}/admin/reviews/${reviewId}`, {
     method: "PUT",
     headers: {
       "Content-Type": "application/json",
       Authorization: `Bearer ${token}`,
     },
-    body: JSON.stringify({ status }),
+    body: JSON.stringify({ status, ...(reason && { reason }) }),
   });
 
   if (!response.ok) {
@@ -288,3 +335,41 @@ export async function updateReviewStatus(reviewId, status) {
   return data.review || data;
 }
 
+
+/**
+ * Post, edit or remove the public store reply on a review (admin only)
+ * @param {string} reviewId - Review ID
+ * @param {string} reply - Reply text (empty string removes the reply)
+ * @returns {Promise<Object>} Updated review
+ * @throws {Error} Error with message and status
+ */
+export async function replyToReview(reviewId, reply) {
+  const token = getToken();
+
+  if (!token) {
+    throw new Error("User not authenticated");
+  }
+
+  const response = await authFetch(`${API_BASE}/admin/reviews/${reviewId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ reply }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage = errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new Error(errorMessage);
+  }
+
+  const data = await response.json();
+  return data.review || data;
+}
@@ -6,6 +6,7 @@
  */
 
 import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
 
 // Base API URL from environment (use same env var as other services)
 const API_BASE =
@@ -39,7 +40,7 @@ export async function createTicket(ticketData) {
     throw new ApiError("User not authenticated", 401);
   }
 
-  const response = await fetch(`${API_BASE}/tickets`, {
+  const response = await authFetch(`${API_BASE}/tickets`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -76,7 +77,7 @@ export async function getTickets() {
     throw new ApiError("User not authenticated", 401);
   }
 
-  const response = await fetch(`${API_BASE}/tickets`, {
+  const response = await authFetch(`${API_BASE}/tickets`, {
     method: "GET",
     headers: {
       "Content-Type": "application/json",
@@ -113,7 +114,7 @@ export async function getTicket(ticketId) {
     throw new ApiError("User not authenticated", 401);
   }
 
-  const response = await fetch(`${API_BASE}/tickets/${ticketId}`, {
+  const response = await authFetch(`${API_BASE}/tickets/${ticketId}`, {
     method: "GET",
     headers: {
       "Content-Type": "application/json",
@@ -152,7 +153,7 @@ export async function replyToTicket(ticketId, message) {
     throw new ApiError("User not authenticated", 401);
   }
 
-  const response = await fetch(`${API_BASE}/tickets/${ticketId}/reply`, {
+  const response = await authFetch(`${API_BASE}/tickets/${ticketId}/reply`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -191,7 +192,7 @@ export async function updateTicketStatus(ticketId, status) {
     throw new ApiError("User not authenticated", 401);
   }
 
-  const response = await fetch(`${API_BASE}/tickets/${ticketId}/status`, {
+  const response = await authFetch(`${API_BASE}/tickets/${ticketId}/status`, {
     method: "PUT",
     headers: {
       "Content-Type": "application/json",
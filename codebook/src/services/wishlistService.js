@@ -0,0 +1,97 @@
+/**
+ * Wishlist Service - API functions for the user's wishlist
+ *
+ * This service handles all API calls related to wishlisted books.
+ * Pure functions - no React Query logic here.
+ */
+
+import { ApiError } from "./apiError";
+import { authFetch } from "./apiClient";
+
+// Base API URL from environment (use same env var as other services)
+const API_BASE =
+  process.env.REACT_APP_LAMBDA_API_URL ||
+  "https://d4vvkswb4a.execute-api.eu-north-1.amazonaws.com";
+
+/**
+ * Get session token from storage
+ * @returns {string|null} Auth token
+ */
+function getToken() {
+  try {
+    return JSON.parse(sessionStorage.getItem("token"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send an authenticated request to the wishlist API
+ * @param {string} path - Path under /wishlist (e.g. "" or "/{productId}")
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} Error with message and status
+ */
+async function wishlistRequest(path, { method = "GET", body } = {}) {
+  const token = getToken();
+
+  if (!token) {
+    throw new ApiError("User not authenticated", 401);
+  }
+
+  const response = await authFetch(`${API_BASE}/wishlist${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+
+  if (!response.ok) {
+    let errorMessage = response.statusText;
+    try {
+      const errorData = await response.json();
+      errorMessage =
+        errorData.message || errorData.error || response.statusText;
+    } catch {
+      errorMessage = response.statusText;
+    }
+    throw new ApiError(errorMessage, response.status);
+  }
+
+  const data = await response.json();
+  return data;
+}
+
+/**
+ * Get the authenticated user's wishlist
+ * @returns {Promise<Object>} { items: [{ productId, addedAt, priceWhenAdded, product }], productIds }
+ * @throws {ApiError} Error with message and status
+ */
+export async function getWishlist() {
+  return wishlistRequest("");
+}
+
+/**
+ * Add a book to the wishlist
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} { message, item }
+ * @throws {ApiError} Error with message and status
+ */
+export async function addToWishlist(productId) {
+  return wishlistRequest("", {
+    method: "POST",
+    body: { productId },
+  });
+}
+
+/**
+ * Remove a book from the wishlist
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object>} { message, productId }
+ * @throws {ApiError} Error with message and status
+ */
+export async function removeFromWishlist(productId) {
+  return wishlistRequest(`/${encodeURIComponent(productId)}`, { method: "DELETE" });
+}
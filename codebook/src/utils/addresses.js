@@ -0,0 +1,126 @@
+/**
+ * Address Utilities
+ *
+ * Country/state options and client-side validation for shipping addresses.
+ * Mirrors aws-lambda/shared/addresses.js - the API validates again on save.
+ */
+
+// Countries we ship to. Countries with `states` require a state/province selection.
+export const COUNTRIES = {
+  US: {
+    name: "United States",
+    zipLabel: "ZIP Code",
+    zipPattern: /^\d{5}(-\d{4})?$/,
+    states: {
+      AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California",
+      CO: "Colorado", CT: "Connecticut", DE: "Delaware", DC: "District of Columbia",
+      FL: "Florida", GA: "Georgia", HI: "Hawaii", ID: "Idaho", IL: "Illinois",
+      IN: "Indiana", IA: "Iowa", KS: "Kansas", KY: "Kentucky", LA: "Louisiana",
+      ME: "Maine", MD: "Maryland", MA: "Massachusetts", MI: "Michigan", MN: "Minnesota",
+      MS: "Mississippi", MO: "Missouri", MT: "Montana", NE: "Nebraska", NV: "Nevada",
+      NH: "New Hampshire", NJ: "New Jersey", NM: "New Mexico", NY: "New York",
+      NC: "North Carolina", ND: "North Dakota", OH: "Ohio", OK: "Oklahoma", OR: "Oregon",
+      PA: "Pennsylvania", RI: "Rhode Island", SC: "South Carolina", SD: "South Dakota",
+      TN: "Tennessee", TX: "Texas", UT: "Utah", VT: "Vermont", VA: "Virginia",
+      WA: "Washington", WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming",
+      PR: "Puerto Rico",
+    },
+  },
+  CA: {
+    name: "Canada",
+    zipLabel: "Postal Code",
+    zipPattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+    states: {
+      AB: "Alberta", BC: "British Columbia", MB: "Manitoba", NB: "New Brunswick",
+      NL: "Newfoundland and Labrador", NS: "Nova Scotia", NT: "Northwest Territories",
+      NU: "Nunavut", ON: "Ontario", PE: "Prince Edward Island", QC: "Quebec",
+      SK: "Saskatchewan", YT: "Yukon",
+    },
+  },
+  GB: {
+    name: "United Kingdom",
+    zipLabel: "Postcode",
+    zipPattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  },
+  DE: {
+    name: "Germany",
+    zipLabel: "Postleitzahl",
+    zipPattern: /^\d{5}$/,
+  },
+  AU: {
+    name: "Australia",
+    zipLabel: "Postcode",
+    zipPattern: /^\d{4}$/,
+    states: {
+      ACT: "Australian Capital Territory", NSW: "New South Wales", NT: "Northern Territory",
+      QLD: "Queensland", SA: "South Australia", TAS: "Tasmania", VIC: "Victoria",
+      WA: "Western Australia",
+    },
+  },
+};
+
+export const EMPTY_ADDRESS = {
+  name: "",
+  street1: "",
+  street2: "",
+  city: "",
+  state: "",
+  zip: "",
+  country: "US",
+  phone: "",
+};
+
+/**
+ * Validate a shipping address form
+ * @param {Object} address - Address form values
+ * @returns {Object} Field errors keyed by field name (empty object when valid)
+ */
+export function validateAddress(address) {
+  const errors = {};
+  const country = COUNTRIES[address.country];
+  const zip = (address.zip || "").trim().toUpperCase();
+
+  if (!address.name?.trim()) errors.name = "Full name is required";
+  if (!address.street1?.trim()) errors.street1 = "Street address is required";
+  if (!address.city?.trim()) errors.city = "City is required";
+
+  if (!country) {
+    errors.country = "Please select a country";
+  } else {
+    if (country.states && !country.states[address.state]) {
+      errors.state = "Please select a state / province";
+    }
+    if (!zip) {
+      errors.zip = `${country.zipLabel} is required`;
+    } else if (!country.zipPattern.test(zip)) {
+      errors.zip = `Enter a valid ${country.zipLabel.toLowerCase()}`;
+    }
+  }
+
+  if (address.phone?.trim() && !/^\+?[\d\s().-]{7,20}$/.test(address.phone.trim())) {
+    errors.phone = "Enter a valid phone number";
+  }
+
+  return errors;
+}
+
+/**
+ * Format an address as display lines
+ * @param {Object} address - Address object
+ * @returns {string[]} Lines (name, street, city/state/zip, country)
+ */
+export function formatAddressLines(address) {
+  if (!address) return [];
+
+  const cityLine = [address.city, [address.state, address.zip].filter(Boolean).join(" ")]
+    .filter(Boolean)
+    .join(", ");
+
+  return [
+    address.name,
+    address.street1,
+    address.street2,
+    cityLine,
+    COUNTRIES[address.country]?.name || address.country,
+  ].filter(Boolean);
+}
@@ -2,7 +2,8 @@
  * Export Utilities
  *
  * Functions for exporting analytics data to CSV and PDF formats.
- * All exports are done client-side without server calls.
+ * Analytics exports are done client-side without server calls; downloadBlob saves
+ * files generated by the API.
  */
 
 /**
@@ -157,3 +158,20 @@ export function printToPDF() {
   window.print();
 }
 
+/**
+ * Download a file received from the API (e.g. the product export)
+ * @param {Blob} blob - File content
+ * @param {string} filename - File name including extension
+ */
+export function downloadBlob(blob, filename) {
+  const link = document.createElement("a");
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute("href", url);
+  link.setAttribute("download", filename);
+  link.style.visibility = "hidden";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -93,3 +93,38 @@ export function formatDate(dateString, options = {}) {
   return formatDateShort(dateString);
 }
 
+/**
+ * Format date to relative time (e.g., "2 days ago")
+ * @param {string|Date} date - Date string or Date object
+ * @returns {string} Formatted date string
+ */
+export function formatRelativeTime(date) {
+  if (!date) return "";
+
+  try {
+    const dateObj = typeof date === "string" ? new Date(date) : date;
+    const now = new Date();
+    const diffMs = now - dateObj;
+    const diffSecs = Math.floor(diffMs / 1000);
+    const diffMins = Math.floor(diffSecs / 60);
+    const diffHours = Math.floor(diffMins / 60);
+    const diffDays = Math.floor(diffHours / 24);
+    const diffWeeks = Math.floor(diffDays / 7);
+    const diffMonths = Math.floor(diffDays / 30);
+    const diffYears = Math.floor(diffDays / 365);
+
+    if (diffSecs < 60) return "just now";
+    if (diffMins < 60)
+      return `${diffMins} minute${diffMins > 1 ? "s" : ""} ago`;
+    if (diffHours < 24)
+      return `${diffHours} hour${diffHours > 1 ? "s" : ""} ago`;
+    if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? "s" : ""} ago`;
+    if (diffWeeks < 4)
+      return `${diffWeeks} week${diffWeeks > 1 ? "s" : ""} ago`;
+    if (diffMonths < 12)
+      return `${diffMonths} month${diffMonths > 1 ? "s" : ""} ago`;
+    return `${diffYears} year${diffYears > 1 ? "s" : ""} ago`;
+  } catch {
+    return "";
+  }
+}
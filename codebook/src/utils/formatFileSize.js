@@ -0,0 +1,21 @@
+/**
+ * File Size Formatting Utility
+ *
+ * Formats a size in bytes for display (eBook files in the library and admin panel).
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size (e.g., "2.4 MB", "820 KB"), empty string if unknown
+ */
+
+export function formatFileSize(bytes) {
+  const size = Number(bytes);
+  if (!size || isNaN(size) || size < 0) {
+    return "";
+  }
+
+  if (size < 1024 * 1024) {
+    return `${Math.max(Math.round(size / 1024), 1)} KB`;
+  }
+
+  return `${(size / 1024 / 1024).toFixed(1)} MB`;
+}
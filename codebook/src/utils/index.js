@@ -5,7 +5,10 @@
  */
 
 export { formatPrice } from "./formatPrice";
-export { formatDate, formatDateShort, formatDateLong, formatDateFull } from "./formatDate";
+export { formatFileSize } from "./formatFileSize";
+export { formatDate, formatDateShort, formatDateLong, formatDateFull, formatRelativeTime } from "./formatDate";
 export { isDemoAccount, getDemoAccountEmails } from "./demoAccount";
 export { getProductImageUrl, getProductImageKey } from "./productImage";
+export { VARIANT_FORMATS, DIGITAL_FORMATS, hasVariants, getVariantLabel, isVariantAvailable, getVariantProduct } from "./productVariants";
 
+export { COUNTRIES, EMPTY_ADDRESS, validateAddress, formatAddressLines } from "./addresses";
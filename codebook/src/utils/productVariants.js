@@ -0,0 +1,65 @@
+/**
+ * Product Variant Utilities
+ *
+ * A product can be sold in several formats (PDF, EPUB, paperback, ...), each with
+ * its own SKU, price, stock and weight. The format is the variant ID.
+ * Same rules as the API (aws-lambda/shared/products.js).
+ */
+
+// Formats a product can be sold in (variant ID -> label)
+export const VARIANT_FORMATS = {
+  pdf: "PDF",
+  epub: "EPUB",
+  paperback: "Paperback",
+  hardcover: "Hardcover",
+};
+
+// Formats delivered as a download from the customer's library
+export const DIGITAL_FORMATS = ["pdf", "epub"];
+
+/**
+ * Whether a product is sold in several formats
+ * @param {Object} product - Product
+ * @returns {boolean} True if the product has variants
+ */
+export function hasVariants(product) {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+}
+
+/**
+ * Display label of a variant or cart item format (e.g. "Paperback")
+ * @param {Object} variant - Variant, cart item or order item ({ format })
+ * @returns {string} Label ("" if there is no format)
+ */
+export function getVariantLabel(variant) {
+  return VARIANT_FORMATS[variant?.format] || variant?.format || "";
+}
+
+/**
+ * Whether a variant can be bought right now (variants without stock can't run out)
+ * @param {Object} variant - Variant
+ * @returns {boolean} True if available
+ */
+export function isVariantAvailable(variant) {
+  return variant.stock === undefined || Number(variant.stock) > 0;
+}
+
+/**
+ * The product as sold in one format - what goes into the cart
+ * @param {Object} product - Product with variants
+ * @param {Object} variant - Chosen variant
+ * @returns {Object} Product without variants, with the variant's variantId, format, sku, price, stock, weight and in_stock
+ */
+export function getVariantProduct(product, variant) {
+  const { variants, ...details } = product;
+  return {
+    ...details,
+    variantId: variant.id,
+    format: variant.format,
+    sku: variant.sku,
+    price: variant.price,
+    stock: variant.stock,
+    weight: variant.weight,
+    in_stock: isVariantAvailable(variant),
+  };
+}
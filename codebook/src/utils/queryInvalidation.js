@@ -28,6 +28,9 @@ export function invalidateAdminQueries(queryClient) {
   // Invalidate admin products list (when product management is implemented)
   // Note: Currently products are static, but this will be needed when product CRUD is added
   queryClient.invalidateQueries({ queryKey: ["admin-products"] });
+
+  // Invalidate analytics reports (all ranges) - new orders/users change the rollups
+  queryClient.invalidateQueries({ queryKey: ["admin-analytics"] });
 }
 
 /**